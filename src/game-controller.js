@@ -1,56 +1,25 @@
 /**
  * Main Game Controller
- * Integrates all rogue-like systems into the WebXR application
+ * Integrates all rogue-like systems into the WebXR application: reads input,
+ * dispatches it to the headless engine and wires the engine's events to the
+ * renderer adapter, HUD, audio and logs
  */
 
 import { 
-    MOVEMENT_THRESHOLD,
-    COMBAT_DETECTION_RADIUS,
-    ENEMY_TYPES,
-    PALETTE,
-    ITEM_TYPES,
-    MIN_ATTRACTED_ENEMIES,
-    MAX_ATTRACTED_ENEMIES_RANGE,
-    MIN_SPAWN_DISTANCE,
-    SPAWN_DISTANCE_RANGE
-} from './rogue/constants.js';
-import { 
-    createInitialState,
-    updatePlayerWorldPosition,
-    updatePlayerPosition,
-    updatePlayerRotation,
-    damagePlayer,
-    setCombatMode,
-    updateAccumulatedMovement,
-    addItemToInventory,
-    removeItemFromWorld,
-    addGold
-} from './rogue/game-state.js';
-import { advanceTurn, checkTurnAdvancement } from './rogue/turn-manager.js';
-import { 
-    worldToGrid,
-    gridToWorld,
-    isWalkable,
-    findPath
-} from './rogue/grid-utils.js';
-import { generateDungeon, getPlayerStartPosition } from './rogue/dungeon-generator.js';
-import { 
-    computeVisibleTiles,
-    updateExploredTiles,
-    filterVisibleEntities,
-    getEffectiveVisibilityRadius
-} from './rogue/visibility.js';
+    playFootstepSound,
+    playCombatHitSound,
+    playLevelUpSound,
+    createAmbientDrone
+} from './rogue/audio-generator.js';
 import {
-    createWall,
-    createFloor,
-    createStairsDown,
-    createRoomLight,
-    createMovementIndicator,
-    createEnemy,
-    createPlayer,
-    createItem,
     createHUDCanvas,
-    createTargetHighlight
+    formatHUDText,
+    formatShopPanel,
+    formatSpellMenu,
+    createTeleportArc,
+    createTargetHighlight,
+    createVignette,
+    createCanvasPanel
 } from './rogue/render-utils.js';
 import {
     readJoystickAxes,
@@ -58,25 +27,62 @@ import {
     calculateMovementDelta,
     calculateMovementDistance,
     calculateRotationDelta,
-    detectCombatMode,
-    calculateMovementBudget,
-    checkCollision,
-    calculateCameraRotation,
-    clampPitch
+    getRadialSelection,
+    MOVEMENT_MODES,
+    getStepDirection
 } from './rogue/movement.js';
-import { createEnemy as createEnemyEntity, isEntityAlive, createItemFromSpawn, generateEnemyLoot, getRandomEnemyTypeForLevel, isValidSpawnPosition } from './rogue/entity-manager.js';
-import { executeAttack, processEnemyTurn, getCombatMessage } from './rogue/combat.js';
-import { 
-    playFootstepSound,
-    playCombatHitSound,
-    createAmbientDrone
-} from './rogue/audio-generator.js';
 import {
-    findInteractablesAtPosition,
-    getInteractionAction
-} from './rogue/interaction.js';
-import { getInventoryDisplay, getSlotLetter, useItem, equipItem, removeItemFromInventory } from './rogue/inventory.js';
-import { updateStatusEffects, hasStatusEffect, getStatusEffect, STATUS_TYPES } from './rogue/status-effects.js';
+    LOCOMOTION_MODES,
+    TURN_MODES,
+    createComfortSettings,
+    loadComfortSettings,
+    saveComfortSettings,
+    cycleTurnSetting,
+    calculateSnapTurn,
+    calculateTeleportArc,
+    getTeleportTarget,
+    planTeleportSteps,
+    calculateVignetteOpacity
+} from './rogue/comfort.js';
+import {
+    NO_GESTURES,
+    readHandJoints,
+    recognizeHandGestures,
+    getGestureChanges,
+    calculatePointMovement
+} from './rogue/gestures.js';
+import {
+    layoutWristPanel,
+    layoutInventoryTablet,
+    uvToPanelPoint,
+    getSlotAtPoint,
+    getItemTooltip,
+    layoutTooltip,
+    layoutMessageLog,
+    drawPanel
+} from './rogue/vr-ui.js';
+import { layoutMinimap, layoutAutomap, changeAutomapZoom } from './rogue/automap.js';
+import { PALETTE, STEP_KEYS, VR_PANELS, VR_PANEL_TEXT, MAP_PANELS, AUTOMAP_ZOOMS } from './rogue/constants.js';
+import { gridToWorld } from './rogue/grid-utils.js';
+import { getInventoryDisplay, getQuantity } from './rogue/inventory.js';
+import { EQUIPMENT_SLOTS, getEquipmentDisplay, getEffectiveStats } from './rogue/equipment.js';
+import { SCROLL_TARGETS, getScrollTarget, getScrollDefinition, getAimedTile } from './rogue/scrolls.js';
+import { getJournalDisplay } from './rogue/discoveries.js';
+import { getEncumbrance, getLoad } from './rogue/encumbrance.js';
+import { getTurnThreshold } from './rogue/turn-manager.js';
+import { SHOP_ACTIONS, isShopOpen, getShopView, getShopRows } from './rogue/shops.js';
+import { getBearing, getBearingTile, getLauncher, getProjectileRange } from './rogue/ranged.js';
+import { SPELL_TARGETS, getSpellDefinition, getSpellMenu } from './rogue/spells.js';
+import { GAME_EVENTS } from './rogue/game-rules.js';
+import { createEngine, ENGINE_ACTIONS } from './rogue/game-engine.js';
+import { createRendererAdapter } from './rogue/renderer-adapter.js';
+import {
+    writeSave,
+    readSave,
+    hasSave,
+    deleteSave,
+    getDefaultStorage
+} from './rogue/save-game.js';
 
 /**
  * Create and initialize the game
@@ -86,258 +92,26 @@ import { updateStatusEffects, hasStatusEffect, getStatusEffect, STATUS_TYPES } f
  * @param {object} renderer - Three.js renderer with XR enabled
  * @param {number} customSeed - Optional custom seed for reproducible dungeons
  * @param {object} keyboardState - Optional keyboard state tracker for desktop mode
+ * @param {object} storage - Optional Web Storage compatible object for saves (defaults to localStorage)
  * @returns {object} Game controller
  */
-export function createGame(THREE, scene, camera, renderer, customSeed = null, keyboardState = null) {
-    // Initialize game state
+export function createGame(THREE, scene, camera, renderer, customSeed = null, keyboardState = null, storage = getDefaultStorage()) {
+    // Initialize the headless engine and the scene that mirrors it
     const seed = customSeed !== null ? customSeed : Date.now();
-    let gameState = createInitialState(seed);
-    
-    // Create scene objects
-    let dungeonMeshes = new Map(); // Use Map with position keys instead of array
-    let enemyMeshes = new Map();
-    let itemMeshes = new Map();
-    let lightMap = new Map();
-    let playerMesh = null; // Will be initialized after dungeon load
-    let targetHighlight = null; // Yellow preview of target tile
-    
-    // Generate initial dungeon
-    let dungeon = generateDungeon(seed, 1);
-    gameState.dungeon = dungeon;
-    
-    /**
-     * Clear and rebuild dungeon for new level
-     * @param {number} newLevel - The new dungeon level
-     */
-    function loadNewDungeonLevel(newLevel) {
-        // Clear existing dungeon meshes
-        dungeonMeshes.forEach(mesh => scene.remove(mesh));
-        dungeonMeshes.clear();
-        
-        // Clear existing enemy meshes
-        enemyMeshes.forEach(mesh => scene.remove(mesh));
-        enemyMeshes.clear();
-        
-        // Clear existing item meshes
-        itemMeshes.forEach(mesh => scene.remove(mesh));
-        itemMeshes.clear();
-        
-        // Clear existing lights
-        lightMap.forEach(light => scene.remove(light));
-        lightMap.clear();
-        
-        // Generate new dungeon
-        dungeon = generateDungeon(seed, newLevel);
-        gameState.dungeon = dungeon;
-        gameState.dungeon.level = newLevel;
-        
-        // Update statistics
-        gameState.statistics.deepestLevel = Math.max(gameState.statistics.deepestLevel, newLevel);
-        
-        // Set player starting position
-        const startPos = getPlayerStartPosition(dungeon);
-        gameState.player.position = startPos;
-        const startWorld = gridToWorld(startPos.x, startPos.y);
-        gameState.player.worldPosition = { 
-            x: startWorld.x, 
-            y: 1.6, 
-            z: startWorld.z 
-        };
-        
-        // Reset visibility
-        const visibilityRadius = getEffectiveVisibilityRadius(gameState.player.statusEffects);
-        gameState.visibleTiles = computeVisibleTiles(dungeon.grid, startPos, visibilityRadius);
-        gameState.exploredTiles = updateExploredTiles(new Set(), gameState.visibleTiles);
-        
-        // Create entities from spawn data
-        gameState.entities.enemies = dungeon.enemySpawns.map(spawn =>
-            createEnemyEntity(spawn.type, spawn.position, newLevel)
-        );
-        gameState.entities.items = (dungeon.itemSpawns || []).map(spawn =>
-            createItemFromSpawn(spawn)
-        );
-        
-        // Build dungeon geometry
-        for (let y = 0; y < dungeon.height; y++) {
-            for (let x = 0; x < dungeon.width; x++) {
-                const tile = dungeon.grid[y][x];
-                const world = gridToWorld(x, y);
-                const key = `${x},${y}`;
-                
-                if (tile === 'wall') {
-                    const wall = createWall(THREE, world.x, world.z);
-                    scene.add(wall);
-                    dungeonMeshes.set(key, wall);
-                } else if (tile === 'floor' || tile === 'door') {
-                    const floor = createFloor(THREE, world.x, world.z, 'hidden');
-                    scene.add(floor);
-                    dungeonMeshes.set(key, floor);
-                } else if (tile === 'stairs_down') {
-                    const floor = createFloor(THREE, world.x, world.z, 'hidden');
-                    scene.add(floor);
-                    dungeonMeshes.set(key, floor);
-                    
-                    const stairs = createStairsDown(THREE, world.x, world.z);
-                    scene.add(stairs);
-                    dungeonMeshes.set(`${key}_stairs`, stairs);
-                }
-            }
-        }
-        
-        // Add room lights
-        for (const room of dungeon.rooms) {
-            const center = gridToWorld(room.center.x, room.center.y);
-            const light = createRoomLight(THREE, center.x, center.z, false);
-            scene.add(light);
-            lightMap.set(`${room.center.x},${room.center.y}`, light);
-        }
-        
-        // Create enemy meshes
-        for (const enemy of gameState.entities.enemies) {
-            const config = ENEMY_TYPES[enemy.type];
-            const world = gridToWorld(enemy.position.x, enemy.position.y);
-            const mesh = createEnemy(THREE, config, world.x, world.z);
-            mesh.visible = false; // Hidden until in visible range
-            scene.add(mesh);
-            enemyMeshes.set(enemy.id, mesh);
-        }
-        
-        // Create item meshes
-        for (const item of gameState.entities.items) {
-            const world = gridToWorld(item.position.x, item.position.y);
-            const mesh = createItem(THREE, item, world.x, world.z);
-            mesh.visible = false; // Hidden until in visible range
-            scene.add(mesh);
-            itemMeshes.set(item.id, mesh);
-        }
-        
-        // Update player mesh position
-        playerMesh.position.set(
-            gameState.player.worldPosition.x,
-            0,
-            gameState.player.worldPosition.z
-        );
-        
-        // Update camera position
-        camera.position.set(
-            gameState.player.worldPosition.x,
-            1.6,
-            gameState.player.worldPosition.z
-        );
-        
-        // Update visibility
-        updateDungeonVisibility();
-        updateEnemyVisibility();
-        updateItemVisibility();
-        updateLights();
-        
-        addLogMessage(`📍 Welcome to dungeon level ${newLevel}!`);
-    }
-    
-    // Initial dungeon load
-    // Set player starting position
-    const startPos = getPlayerStartPosition(dungeon);
-    gameState.player.position = startPos;
-    const startWorld = gridToWorld(startPos.x, startPos.y);
-    gameState.player.worldPosition = { 
-        x: startWorld.x, 
-        y: 1.6, 
-        z: startWorld.z 
-    };
-    
-    // Initialize visibility
-    const visibilityRadius = getEffectiveVisibilityRadius(gameState.player.statusEffects);
-    gameState.visibleTiles = computeVisibleTiles(dungeon.grid, startPos, visibilityRadius);
-    gameState.exploredTiles = updateExploredTiles(new Set(), gameState.visibleTiles);
-    
-    // Create entities from spawn data
-    gameState.entities.enemies = dungeon.enemySpawns.map(spawn =>
-        createEnemyEntity(spawn.type, spawn.position, spawn.level)
-    );
-    
-    // Create items from spawn data
-    gameState.entities.items = (dungeon.itemSpawns || []).map(spawn =>
-        createItemFromSpawn(spawn)
-    );
-    
-    // Build dungeon geometry
-    for (let y = 0; y < dungeon.height; y++) {
-        for (let x = 0; x < dungeon.width; x++) {
-            const tile = dungeon.grid[y][x];
-            const world = gridToWorld(x, y);
-            const key = `${x},${y}`;
-            
-            if (tile === 'wall') {
-                const wall = createWall(THREE, world.x, world.z);
-                scene.add(wall);
-                dungeonMeshes.set(key, wall);
-            } else if (tile === 'floor' || tile === 'door') {
-                const floor = createFloor(THREE, world.x, world.z, 'hidden');
-                scene.add(floor);
-                dungeonMeshes.set(key, floor);
-            } else if (tile === 'stairs_down') {
-                const floor = createFloor(THREE, world.x, world.z, 'hidden');
-                scene.add(floor);
-                dungeonMeshes.set(key, floor);
-                
-                const stairs = createStairsDown(THREE, world.x, world.z);
-                scene.add(stairs);
-                dungeonMeshes.set(`${key}_stairs`, stairs);
-            }
-        }
-    }
-    
-    // Add room lights
-    for (const room of dungeon.rooms) {
-        const center = gridToWorld(room.center.x, room.center.y);
-        const light = createRoomLight(THREE, center.x, center.z, false);
-        scene.add(light);
-        lightMap.set(`${room.center.x},${room.center.y}`, light);
-    }
-    
-    // Create player mesh
-    playerMesh = createPlayer(THREE);
-    playerMesh.position.set(
-        gameState.player.worldPosition.x,
-        0,
-        gameState.player.worldPosition.z
-    );
-    scene.add(playerMesh);
-    
-    // Position camera at player's starting location
-    camera.position.set(
-        gameState.player.worldPosition.x,
-        1.6, // Eye height
-        gameState.player.worldPosition.z
-    );
-    
-    // Create enemy meshes
-    for (const enemy of gameState.entities.enemies) {
-        const config = ENEMY_TYPES[enemy.type];
-        const world = gridToWorld(enemy.position.x, enemy.position.y);
-        const mesh = createEnemy(THREE, config, world.x, world.z);
-        mesh.visible = false; // Hidden until in visible range
-        scene.add(mesh);
-        enemyMeshes.set(enemy.id, mesh);
-    }
-    
-    // Create item meshes
-    for (const item of gameState.entities.items) {
-        const world = gridToWorld(item.position.x, item.position.y);
-        const mesh = createItem(THREE, item, world.x, world.z);
-        mesh.visible = false; // Hidden until in visible range
-        scene.add(mesh);
-        itemMeshes.set(item.id, mesh);
-    }
+    const engine = createEngine(seed);
+    const view = createRendererAdapter(THREE, scene, camera, engine);
     
     // Create HUD
+    const initialState = engine.getState();
     const hudCanvas = createHUDCanvas({
-        hp: gameState.player.hp,
-        maxHp: gameState.player.maxHp,
-        hunger: gameState.player.hunger,
-        maxHunger: gameState.player.maxHunger,
-        level: gameState.player.level,
-        turn: gameState.turnCount
+        hp: initialState.player.hp,
+        maxHp: initialState.player.maxHp,
+        mana: initialState.player.mana,
+        maxMana: initialState.player.maxMana,
+        hunger: initialState.player.hunger,
+        maxHunger: initialState.player.maxHunger,
+        level: initialState.player.level,
+        turn: initialState.turnCount
     });
     const hudTexture = new THREE.CanvasTexture(hudCanvas);
     const hudGeometry = new THREE.PlaneGeometry(2, 1);
@@ -349,8 +123,77 @@ export function createGame(THREE, scene, camera, renderer, customSeed = null, ke
     hudMesh.position.set(-1.5, 1.2, -2);
     camera.add(hudMesh);
     
-    // Create movement indicator
-    let movementIndicator = null;
+    // Shop panel, shown in front of the player while trading
+    const shopCanvas = document.createElement('canvas');
+    shopCanvas.width = 512;
+    shopCanvas.height = 512;
+    const shopTexture = new THREE.CanvasTexture(shopCanvas);
+    const shopMesh = new THREE.Mesh(
+        new THREE.PlaneGeometry(1.6, 1.6),
+        new THREE.MeshBasicMaterial({ map: shopTexture, transparent: true })
+    );
+    shopMesh.position.set(0, 0, -2);
+    shopMesh.visible = false;
+    camera.add(shopMesh);
+    
+    // Radial spell menu, shown in front of the player while picking a spell
+    const spellCanvas = document.createElement('canvas');
+    spellCanvas.width = 512;
+    spellCanvas.height = 512;
+    const spellTexture = new THREE.CanvasTexture(spellCanvas);
+    const spellMesh = new THREE.Mesh(
+        new THREE.PlaneGeometry(1.6, 1.6),
+        new THREE.MeshBasicMaterial({ map: spellTexture, transparent: true })
+    );
+    spellMesh.position.set(0, 0, -2);
+    spellMesh.visible = false;
+    camera.add(spellMesh);
+    
+    // Teleport pointer and the tile it lands on, shown while aiming a teleport
+    const teleportArc = createTeleportArc(THREE);
+    scene.add(teleportArc);
+    const teleportMarker = createTargetHighlight(THREE, 0, 0);
+    teleportMarker.visible = false;
+    scene.add(teleportMarker);
+    
+    // Comfort vignette, faded in over the view while moving smoothly
+    const vignetteMesh = createVignette(THREE);
+    camera.add(vignetteMesh);
+    
+    // World-space VR panels: stats on the left wrist, the message log below the
+    // view, and an inventory tablet with item tooltips that can be grabbed and
+    // pointed at with a controller's laser
+    const wristPanel = createCanvasPanel(THREE, VR_PANELS.wrist);
+    wristPanel.position.set(0, 0.05, 0.08); // Over the back of the wrist, behind the grip
+    wristPanel.rotation.x = -Math.PI / 2;   // Lying face up
+    wristPanel.visible = false;
+    renderer.xr.getController(0).add(wristPanel);
+    
+    const logPanel = createCanvasPanel(THREE, VR_PANELS.log);
+    logPanel.position.set(0, -0.45, -1);
+    logPanel.rotation.x = -0.5; // Tilted up toward the eyes
+    logPanel.visible = false;
+    camera.add(logPanel);
+    
+    const tabletPanel = createCanvasPanel(THREE, VR_PANELS.tablet);
+    tabletPanel.visible = false;
+    const tooltipPanel = createCanvasPanel(THREE, VR_PANELS.tooltip);
+    tooltipPanel.position.x = (VR_PANELS.tablet.worldWidth + VR_PANELS.tooltip.worldWidth) / 2 + 0.02;
+    tooltipPanel.visible = false;
+    tabletPanel.add(tooltipPanel);
+    
+    // Minimap in the HUD's far corner on desktop, or lying on the floor ahead
+    // of the player in VR, and the full-screen automap
+    // (placed by updateMaps)
+    const minimapPanel = createCanvasPanel(THREE, MAP_PANELS.minimap);
+    
+    const automapPanel = createCanvasPanel(THREE, MAP_PANELS.automap);
+    automapPanel.position.set(0, 0, -1.8);
+    automapPanel.visible = false;
+    camera.add(automapPanel);
+    
+    const raycaster = new THREE.Raycaster();
+    const rayRotation = new THREE.Matrix4();
     
     // Start ambient drone
     const ambientDrone = createAmbientDrone(0.05);
@@ -363,6 +206,72 @@ export function createGame(THREE, scene, camera, renderer, customSeed = null, ke
     const actionLog = []; // For display in UI
     const MAX_LOG_MESSAGES = 10;
     let gameOverLogged = false; // Track if game over has been logged
+    const ANNOUNCEMENT_DURATION = 3000; // ms a HUD announcement stays up
+    let announcement = null; // {text, expiresAt} shown under the HUD stats
+    
+    // Track inventory visibility state
+    let inventoryVisible = false;
+    let journalVisible = false;
+    
+    // Targeted scroll waiting for the player to pick its target {slot, target}
+    let pendingScroll = null;
+    
+    // Shop panel state: open while the player trades, with a selected row
+    let shopOpen = false;
+    let shopSelection = 0;
+    
+    // Spell menu state: open while the player picks a spell, with a selected slice
+    let spellMenuOpen = false;
+    let spellSelection = 0;
+    
+    // VR comfort options, with the snap turn's stick state and the teleport
+    // being aimed {tile, path, valid}
+    let comfort = loadComfortSettings(storage);
+    let snapReady = true;
+    let teleportAim = null;
+    
+    // Keyboard movement: smooth, or a tile and a turn per key press
+    let movementMode = MOVEMENT_MODES.SMOOTH;
+    
+    // Tracked hands, with the handedness their input source reports and
+    // their gestures last frame
+    const hands = [0, 1].map(index => {
+        const hand = { object: renderer.xr.getHand(index), handedness: null, gestures: NO_GESTURES };
+        hand.object.addEventListener('connected', event => {
+            hand.handedness = event.data.handedness;
+        });
+        hand.object.addEventListener('disconnected', () => {
+            hand.gestures = NO_GESTURES;
+        });
+        return hand;
+    });
+    let palmInventory = false; // The inventory is open because a palm is turned up
+    
+    // VR tablet state: the slot picked, the slot under the laser pointer and
+    // the controller holding the tablet, if any
+    let inventorySelection = -1;
+    let pointedSlot = -1;
+    let tabletSlots = [];
+    let tabletHolder = null;
+    const panelViews = {}; // What each VR panel last showed, to redraw only on change
+    
+    // Maps: whether the automap is open, its zoom level and the state last drawn
+    let automapOpen = false;
+    let automapZoom = 1;
+    let mappedState = null;
+    
+    // Squeezing a grip while pointing at the tablet picks it up; letting go leaves it there
+    for (const controller of [renderer.xr.getController(0), renderer.xr.getController(1)]) {
+        controller.addEventListener('squeezestart', () => {
+            if (tabletPanel.visible && !tabletHolder && getPanelHit(controller, tabletPanel)) {
+                tabletHolder = controller;
+                controller.attach(tabletPanel);
+            }
+        });
+        controller.addEventListener('squeezeend', () => {
+            if (tabletHolder === controller) releaseTablet();
+        });
+    }
     
     /**
      * Add a message to the action log
@@ -375,261 +284,357 @@ export function createGame(THREE, scene, camera, renderer, customSeed = null, ke
         }
     }
     
+    // Track the encumbrance level to report when it changes
+    let lastEncumbrance = getEncumbrance(initialState)?.name || null;
+    
     // Track last HUD stats to avoid unnecessary updates
     let lastHUDStats = {
-        hp: gameState.player.hp,
-        maxHp: gameState.player.maxHp,
-        hunger: gameState.player.hunger,
-        maxHunger: gameState.player.maxHunger,
-        level: gameState.player.level,
-        turn: gameState.turnCount
+        hp: initialState.player.hp,
+        maxHp: initialState.player.maxHp,
+        mana: initialState.player.mana,
+        maxMana: initialState.player.maxMana,
+        hunger: initialState.player.hunger,
+        maxHunger: initialState.player.maxHunger,
+        level: initialState.player.level,
+        turn: initialState.turnCount
     };
     
-    // Helper functions for updating visibility (defined before being called below)
     /**
-     * Update dungeon tile visibility
+     * Update HUD display (only if stats changed)
      */
-    function updateDungeonVisibility() {
-        for (let y = 0; y < dungeon.height; y++) {
-            for (let x = 0; x < dungeon.width; x++) {
-                const key = `${x},${y}`;
-                const tile = dungeon.grid[y][x];
-                
-                const visible = gameState.visibleTiles.has(key);
-                const explored = gameState.exploredTiles.has(key);
-                
-                // Handle walls - only visible if explored or currently visible
-                if (tile === 'wall') {
-                    const meshOrGroup = dungeonMeshes.get(key);
-                    if (meshOrGroup) {
-                        meshOrGroup.visible = visible || explored;
-                        
-                        // Darken explored walls that are not currently visible
-                        const actualMesh = meshOrGroup.userData?.mesh || meshOrGroup;
-                        if (actualMesh.material) {
-                            const color = visible ? PALETTE.WALL : PALETTE.EXPLORED;
-                            actualMesh.material.color.setHex(color);
-                        }
-                    }
-                    continue;
-                }
-                
-                const meshOrGroup = dungeonMeshes.get(key);
-                if (meshOrGroup) {
-                    meshOrGroup.visible = visible || explored;
-                    
-                    if (tile === 'floor' || tile === 'door') {
-                        const visState = visible ? 'visible' : explored ? 'explored' : 'hidden';
-                        const color = visState === 'visible' ? PALETTE.FLOOR : 
-                                     visState === 'explored' ? PALETTE.EXPLORED : PALETTE.HIDDEN;
-                        
-                        // Handle group with userData.mesh (from addWhiteOutline)
-                        const actualMesh = meshOrGroup.userData?.mesh || meshOrGroup;
-                        if (actualMesh.material) {
-                            actualMesh.material.color.setHex(color);
-                        }
-                    }
-                }
-                
-                // Update stairs visibility if present
-                if (tile === 'stairs_down') {
-                    const stairsMesh = dungeonMeshes.get(`${key}_stairs`);
-                    if (stairsMesh) {
-                        stairsMesh.visible = visible || explored;
-                    }
-                }
-            }
+    function updateHUD() {
+        const state = engine.getState();
+        const currentStats = {
+            hp: state.player.hp,
+            maxHp: state.player.maxHp,
+            mana: state.player.mana,
+            maxMana: state.player.maxMana,
+            hunger: state.player.hunger,
+            maxHunger: state.player.maxHunger,
+            level: state.player.level,
+            turn: state.turnCount,
+            encumbrance: getEncumbrance(state)?.name || null,
+            announcement: announcement ? announcement.text : null
+        };
+        
+        // Check if stats changed
+        if (JSON.stringify(currentStats) === JSON.stringify(lastHUDStats)) {
+            return; // No update needed
         }
+        
+        lastHUDStats = currentStats;
+        
+        // Reuse existing canvas, just redraw content
+        const ctx = hudCanvas.getContext('2d');
+        
+        // Clear canvas
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, hudCanvas.width, hudCanvas.height);
+        
+        // Redraw text
+        ctx.font = 'Bold 30px Arial';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        
+        const lineHeight = 40;
+        formatHUDText(currentStats).forEach((line, index) => {
+            ctx.fillStyle = line.color;
+            ctx.fillText(line.text, 10, 10 + index * lineHeight);
+        });
+        
+        hudTexture.needsUpdate = true;
     }
     
     /**
-     * Update enemy mesh visibility
+     * Redraw the shop panel, scrolled to keep the selected row in view
      */
-    function updateEnemyVisibility() {
-        for (const enemy of gameState.entities.enemies) {
-            const mesh = enemyMeshes.get(enemy.id);
-            if (mesh) {
-                const key = `${enemy.position.x},${enemy.position.y}`;
-                mesh.visible = gameState.visibleTiles.has(key) && isEntityAlive(enemy);
-            }
-        }
+    function updateShopPanel() {
+        shopMesh.visible = shopOpen;
+        if (!shopOpen) return;
+        
+        const { gold, rows, selected } = getShopState();
+        const [header, ...lines] = formatShopPanel(gold, rows, selected);
+        const lineHeight = 36;
+        const visibleRows = Math.floor((shopCanvas.height - 20) / lineHeight) - 1;
+        const first = Math.max(0, Math.min(selected - Math.floor(visibleRows / 2), lines.length - visibleRows));
+        
+        const ctx = shopCanvas.getContext('2d');
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, shopCanvas.width, shopCanvas.height);
+        ctx.font = 'Bold 26px Arial';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        
+        [header, ...lines.slice(first, first + visibleRows)].forEach((line, index) => {
+            ctx.fillStyle = line.color;
+            ctx.fillText(line.text, 10, 10 + index * lineHeight);
+        });
+        
+        shopTexture.needsUpdate = true;
     }
     
     /**
-     * Update item visibility based on player's visible tiles
+     * Redraw the spell menu, its spells laid around the mana pool in the middle
      */
-    function updateItemVisibility() {
-        for (const item of gameState.entities.items) {
-            const mesh = itemMeshes.get(item.id);
-            if (mesh) {
-                const key = `${item.position.x},${item.position.y}`;
-                mesh.visible = gameState.visibleTiles.has(key);
-            }
-        }
+    function updateSpellMenu() {
+        spellMesh.visible = spellMenuOpen;
+        if (!spellMenuOpen) return;
+        
+        const { mana, maxMana, rows, selected } = getSpellMenuState();
+        const radius = 170;
+        
+        const ctx = spellCanvas.getContext('2d');
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, spellCanvas.width, spellCanvas.height);
+        ctx.font = 'Bold 26px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        formatSpellMenu(mana, maxMana, rows, selected).forEach(label => {
+            ctx.fillStyle = label.color;
+            ctx.fillText(label.text, spellCanvas.width / 2 + label.x * radius, spellCanvas.height / 2 + label.y * radius);
+        });
+        
+        spellTexture.needsUpdate = true;
     }
     
     /**
-     * Update room lights based on visibility
+     * Redraw the minimap and the open automap whenever the game state changes,
+     * and carry the minimap with the player: in the HUD on desktop, on the
+     * floor ahead in VR (kept north-up, so it lines up with the dungeon)
+     * @param {boolean} force - Redraw even if the state hasn't changed, e.g. after zooming
      */
-    function updateLights() {
-        for (const [key, light] of lightMap.entries()) {
-            const visible = gameState.visibleTiles.has(key);
-            light.intensity = visible ? 1.0 : 0.0;
+    function updateMaps(force = false) {
+        const state = engine.getState();
+        const presenting = renderer.xr.isPresenting;
+        const home = presenting ? scene : camera;
+        
+        if (minimapPanel.parent !== home) {
+            if (minimapPanel.parent) minimapPanel.parent.remove(minimapPanel);
+            home.add(minimapPanel);
+            minimapPanel.rotation.set(presenting ? -Math.PI / 2 : 0, 0, 0);
+            if (!presenting) minimapPanel.position.set(1.6, 1.0, -2);
+        }
+        if (presenting) {
+            const { worldPosition, rotation } = state.player;
+            minimapPanel.position.set(worldPosition.x - Math.sin(rotation) * 0.8, 0.02, worldPosition.z - Math.cos(rotation) * 0.8);
+        }
+        
+        automapPanel.visible = automapOpen;
+        if (state === mappedState && !force) return;
+        mappedState = state;
+        
+        redrawPanel(minimapPanel, MAP_PANELS.minimap, () => layoutMinimap(state));
+        if (automapOpen) {
+            redrawPanel(automapPanel, MAP_PANELS.automap, measure => layoutAutomap(state, automapZoom, measure));
         }
     }
     
     /**
-     * Update movement budget indicator
+     * Lay out and repaint a VR panel
+     * @param {object} mesh - Panel from createCanvasPanel
+     * @param {object} panel - Panel size from VR_PANELS
+     * @param {Function} layout - Given a text measurer, gives the elements to draw
      */
-    function updateMovementIndicator() {
-        if (gameState.inCombatMode) {
-            const budget = calculateMovementBudget(gameState.accumulatedMovement);
-            const radius = budget * MOVEMENT_THRESHOLD;
-            
-            if (!movementIndicator) {
-                movementIndicator = createMovementIndicator(THREE, radius, MOVEMENT_THRESHOLD);
-                scene.add(movementIndicator);
-            }
-            
-            movementIndicator.position.set(
-                gameState.player.worldPosition.x,
-                0.01,
-                gameState.player.worldPosition.z
-            );
-            movementIndicator.visible = true;
-        } else if (movementIndicator) {
-            movementIndicator.visible = false;
-        }
+    function redrawPanel(mesh, panel, layout) {
+        const ctx = mesh.userData.canvas.getContext('2d');
+        ctx.font = VR_PANEL_TEXT.font;
+        drawPanel(ctx, layout(text => ctx.measureText(text).width), panel);
+        mesh.userData.texture.needsUpdate = true;
     }
     
     /**
-     * Process all enemy turns
+     * Repaint a VR panel if what it shows has changed since it was last painted
+     * @param {string} name - Panel name
+     * @param {*} view - What the panel shows
+     * @param {Function} redraw - Repaints the panel
      */
-    function processEnemies() {
-        for (const enemy of gameState.entities.enemies) {
-            if (!isEntityAlive(enemy)) continue;
-            
-            // Handle special abilities
-            const enemyConfig = ENEMY_TYPES[enemy.type];
-            
-            // Troll regeneration
-            if (enemyConfig && enemyConfig.regenerates && enemy.hp < enemy.maxHp) {
-                enemy.hp = Math.min(enemy.hp + 1, enemy.maxHp);
-            }
-            
-            const playerEffects = gameState.player.statusEffects || [];
-            const action = processEnemyTurn(
-                enemy,
-                gameState.player.position,
-                dungeon.grid,
-                findPath,
-                playerEffects
-            );
-            
-            if (action.action === 'attack') {
-                // Enemy attacks player
-                const playerEffects = gameState.player.statusEffects || [];
-                const result = executeAttack(enemy, gameState.player, [], playerEffects);
-                const message = getCombatMessage(enemy.name, 'Player', result);
-                combatLog.push(message);
-                addLogMessage(message); // Add to action log
-                
-                if (result.hit) {
-                    playCombatHitSound(0.3);
-                    if (result.blocked) {
-                        addLogMessage('💎 Stone effect blocks damage!');
-                    } else {
-                        gameState = damagePlayer(gameState, result.damage);
-                    }
-                }
-            } else if (action.action === 'move') {
-                // Check if target position is occupied by another enemy
-                const targetOccupied = gameState.entities.enemies.some(otherEnemy => 
-                    otherEnemy.id !== enemy.id &&
-                    isEntityAlive(otherEnemy) &&
-                    otherEnemy.position.x === action.newPosition.x &&
-                    otherEnemy.position.y === action.newPosition.y
-                );
-                
-                // Only move if target is not occupied
-                if (!targetOccupied) {
-                    enemy.position = action.newPosition;
-                    const world = gridToWorld(action.newPosition.x, action.newPosition.y);
-                    const mesh = enemyMeshes.get(enemy.id);
-                    if (mesh) {
-                        mesh.position.set(world.x, 1, world.z);
-                    }
-                }
-                // If occupied, enemy doesn't move (blocked)
-            }
+    function showOnPanel(name, view, redraw) {
+        const key = JSON.stringify(view);
+        if (panelViews[name] !== key) {
+            panelViews[name] = key;
+            redraw();
         }
     }
     
     /**
-     * Update HUD display (only if stats changed)
+     * Bring the world-space VR panels up to date. They are hidden outside VR,
+     * where the page shows the same things.
      */
-    function updateHUD() {
-        const currentStats = {
-            hp: gameState.player.hp,
-            maxHp: gameState.player.maxHp,
-            hunger: gameState.player.hunger,
-            maxHunger: gameState.player.maxHunger,
-            level: gameState.player.level,
-            turn: gameState.turnCount
-        };
-        
-        // Check if stats changed
-        if (JSON.stringify(currentStats) === JSON.stringify(lastHUDStats)) {
-            return; // No update needed
+    function updateVRPanels() {
+        const presenting = renderer.xr.isPresenting;
+        wristPanel.visible = presenting;
+        logPanel.visible = presenting;
+        if (!presenting) {
+            if (tabletPanel.visible) putTabletAway();
+            return;
         }
         
-        lastHUDStats = currentStats;
-        
-        // Reuse existing canvas, just redraw content
-        const ctx = hudCanvas.getContext('2d');
+        const state = engine.getState();
+        const stats = {
+            hp: state.player.hp,
+            maxHp: state.player.maxHp,
+            mana: state.player.mana,
+            maxMana: state.player.maxMana,
+            hunger: state.player.hunger,
+            maxHunger: state.player.maxHunger,
+            level: state.player.level,
+            depth: state.dungeon.level,
+            turn: state.turnCount,
+            gold: state.player.gold || 0,
+            encumbrance: getEncumbrance(state)?.name || null
+        };
+        showOnPanel('wrist', stats, () => redrawPanel(wristPanel, VR_PANELS.wrist, () => layoutWristPanel(stats)));
+        showOnPanel('log', actionLog, () => redrawPanel(logPanel, VR_PANELS.log, measure => layoutMessageLog(actionLog, measure)));
         
-        // Clear canvas
-        ctx.fillStyle = '#000000';
-        ctx.fillRect(0, 0, hudCanvas.width, hudCanvas.height);
+        updateTablet(state);
+    }
+    
+    /**
+     * Show the inventory tablet while the inventory is open, with the slot
+     * under the laser pointer outlined and a tooltip for the item pointed at,
+     * or else the item picked
+     * @param {object} state - Current game state
+     */
+    function updateTablet(state) {
+        if (!inventoryVisible) {
+            if (tabletPanel.visible) putTabletAway();
+            return;
+        }
+        if (!tabletPanel.visible) holdTabletUp();
         
-        // Redraw text
-        ctx.font = 'Bold 30px Arial';
-        ctx.textAlign = 'left';
-        ctx.textBaseline = 'top';
+        // Point with the right controller, or the left while the right holds the tablet
+        const pointer = renderer.xr.getController(tabletHolder === renderer.xr.getController(1) ? 0 : 1);
+        const hit = getPanelHit(pointer, tabletPanel);
+        pointedSlot = hit && hit.uv ? getSlotAtPoint(tabletSlots, uvToPanelPoint(hit.uv, VR_PANELS.tablet)) : -1;
         
-        let y = 10;
-        const lineHeight = 40;
+        const load = getLoad(state);
+        const view = {
+            title: `Inventory  Gold ${state.player.gold || 0}  Load ${load.weight}/${load.capacity}`,
+            items: getInventoryDisplay(state.inventory, state.discoveries),
+            selected: inventorySelection,
+            pointed: pointedSlot
+        };
+        showOnPanel('tablet', view, () => redrawPanel(tabletPanel, VR_PANELS.tablet, measure => {
+            const layout = layoutInventoryTablet(view, measure);
+            tabletSlots = layout.slots;
+            return layout.elements;
+        }));
         
-        // HP
-        const hpPercent = currentStats.hp / currentStats.maxHp;
-        const hpColor = hpPercent > 0.6 ? '#00ff00' : hpPercent > 0.3 ? '#ffff00' : '#ff0000';
-        ctx.fillStyle = hpColor;
-        ctx.fillText(`HP: ${currentStats.hp}/${currentStats.maxHp}`, 10, y);
-        y += lineHeight;
+        const shown = pointedSlot >= 0 ? pointedSlot : inventorySelection;
+        const lines = shown >= 0 ? getItemTooltip(state.inventory[shown], state.discoveries) : null;
+        tooltipPanel.visible = Boolean(lines);
+        if (lines) {
+            showOnPanel('tooltip', lines, () => redrawPanel(tooltipPanel, VR_PANELS.tooltip, measure => layoutTooltip(lines, measure)));
+        }
+    }
+    
+    /**
+     * Hold the tablet up half a meter in front of the player, facing them. It
+     * rides along with the player rig, if the camera is on one.
+     */
+    function holdTabletUp() {
+        const eyes = camera.getWorldPosition(new THREE.Vector3());
+        const facing = camera.getWorldDirection(new THREE.Vector3());
+        facing.y = 0;
+        facing.normalize();
         
-        // Hunger
-        const hungerPercent = currentStats.hunger / currentStats.maxHunger;
-        const hungerColor = hungerPercent > 0.5 ? '#00ff00' : hungerPercent > 0.2 ? '#ffaa00' : '#ff0000';
-        ctx.fillStyle = hungerColor;
-        ctx.fillText(`Hunger: ${currentStats.hunger}`, 10, y);
-        y += lineHeight;
+        scene.add(tabletPanel);
+        tabletPanel.position.copy(eyes).addScaledVector(facing, 0.5);
+        tabletPanel.position.y -= 0.15;
+        tabletPanel.lookAt(eyes);
+        (camera.parent || scene).attach(tabletPanel);
+        tabletPanel.visible = true;
+    }
+    
+    /**
+     * Let go of the tablet where it is
+     */
+    function releaseTablet() {
+        (camera.parent || scene).attach(tabletPanel);
+        tabletHolder = null;
+    }
+    
+    /**
+     * Put the tablet away when the inventory closes or the player leaves VR
+     */
+    function putTabletAway() {
+        tabletHolder = null;
+        if (tabletPanel.parent) tabletPanel.parent.remove(tabletPanel);
+        tabletPanel.visible = false;
+        tooltipPanel.visible = false;
+        pointedSlot = -1;
+    }
+    
+    /**
+     * Find where a controller's laser meets a panel
+     * @param {object} controller - XR controller, whose ray points down its -Z axis
+     * @param {object} mesh - Panel mesh
+     * @returns {object|null} Three.js intersection, with the uv it hits, or null
+     */
+    function getPanelHit(controller, mesh) {
+        rayRotation.identity().extractRotation(controller.matrixWorld);
+        raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
+        raycaster.ray.direction.set(0, 0, -1).applyMatrix4(rayRotation);
+        return raycaster.intersectObject(mesh, false)[0] || null;
+    }
+    
+    /**
+     * Log messages and play sounds for engine events
+     * @param {Array} events - Events emitted by the engine
+     */
+    function handleEvents(events) {
+        for (const event of events) {
+            switch (event.type) {
+                case GAME_EVENTS.LOG:
+                    if (event.combat) {
+                        combatLog.push(event.message);
+                    }
+                    addLogMessage(event.message);
+                    break;
+                    
+                case GAME_EVENTS.TURN_ADVANCED:
+                    playFootstepSound(0.2);
+                    break;
+                    
+                case GAME_EVENTS.ATTACK_HIT:
+                case GAME_EVENTS.ENEMIES_SPAWNED:
+                    playCombatHitSound(0.3);
+                    break;
+                    
+                case GAME_EVENTS.LEVEL_UP:
+                    playLevelUpSound(0.4);
+                    announcement = {
+                        text: `LEVEL UP! Level ${event.level}`,
+                        expiresAt: performance.now() + ANNOUNCEMENT_DURATION
+                    };
+                    break;
+                    
+                case GAME_EVENTS.SHOP_OPENED:
+                    shopOpen = true;
+                    shopSelection = 0;
+                    break;
+            }
+        }
         
-        // Level
-        ctx.fillStyle = '#00ff00';
-        ctx.fillText(`Level: ${currentStats.level}`, 10, y);
-        y += lineHeight;
+        // The panel closes once the player walks out or the shopkeeper turns
+        if (shopOpen && !isShopOpen(engine.getState())) {
+            shopOpen = false;
+        }
+        updateShopPanel();
+        updateSpellMenu();
         
-        // Turn
-        ctx.fillText(`Turn: ${currentStats.turn}`, 10, y);
+        // Report the player's load when it crosses an encumbrance level
+        const encumbrance = getEncumbrance(engine.getState())?.name || null;
+        if (encumbrance !== lastEncumbrance) {
+            addLogMessage(encumbrance ? `🎒 You are ${encumbrance.toLowerCase()} by your load` : '🎒 Your load is bearable again');
+            lastEncumbrance = encumbrance;
+        }
         
-        hudTexture.needsUpdate = true;
+        updateHUD();
     }
     
-    // Initialize visibility on first frame
-    updateDungeonVisibility();
-    updateEnemyVisibility();
-    updateItemVisibility();
-    updateLights();
+    engine.subscribe(handleEvents);
     
     // Add initial log message
     addLogMessage('Welcome to the dungeon! Use WASD to move, arrows to rotate.');
@@ -643,19 +648,38 @@ export function createGame(THREE, scene, camera, renderer, customSeed = null, ke
         const deltaTime = (currentTime - lastTime) / 1000;
         lastTime = currentTime;
         
-        if (gameState.gameOver) {
+        if (announcement && currentTime >= announcement.expiresAt) {
+            announcement = null;
+            updateHUD();
+        }
+        
+        updateVRPanels();
+        updateMaps();
+        
+        const state = engine.getState();
+        
+        if (state.gameOver) {
             // Log game over message once using flag
             if (!gameOverLogged) {
-                addLogMessage(`💀 GAME OVER: ${gameState.deathMessage}`);
+                addLogMessage(`💀 GAME OVER: ${state.deathMessage}`);
                 gameOverLogged = true;
+                
+                // Permadeath - a finished run can't be resumed
+                deleteSave(storage);
             }
             return; // Stop updating if game over
         }
         
         // Read input from VR controller or keyboard
         const controller = renderer.xr.getController(0);
-        const vrAxes = readJoystickAxes(controller);
-        const kbAxes = keyboardState ? readKeyboardAxes(keyboardState) : { x: 0, y: 0 };
+        const kbAxes = keyboardState && movementMode === MOVEMENT_MODES.SMOOTH ? readKeyboardAxes(keyboardState) : { x: 0, y: 0 };
+        
+        // With teleport locomotion the left stick aims teleports instead of walking
+        let vrAxes = readJoystickAxes(controller);
+        if (comfort.locomotion === LOCOMOTION_MODES.TELEPORT) {
+            updateTeleport(controller, vrAxes);
+            vrAxes = { x: 0, y: 0 };
+        }
         
         // Combine VR and keyboard input (prioritize VR when both active)
         const axes = {
@@ -663,181 +687,274 @@ export function createGame(THREE, scene, camera, renderer, customSeed = null, ke
             y: vrAxes.y !== 0 ? vrAxes.y : kbAxes.y
         };
         
-        const moveDelta = calculateMovementDelta(axes, deltaTime, 2.6, gameState.player.rotation);
-        const moveDistance = calculateMovementDistance(moveDelta);
+        // The right stick turns, unless a panel is using it
+        const turning = updateTurning(renderer.xr.getController(1), deltaTime);
         
-        // Update target tile highlight (yellow preview) - shows tile in front of player based on facing direction
-        // This is the tile that would be targeted by an attack action or interaction
-        const targetGridPos = getTargetTile();
-        const targetWorld = gridToWorld(targetGridPos.x, targetGridPos.y);
+        // Hand gestures: pinch to interact, palm up for the inventory, point to walk
+        const pointDirection = updateHands();
         
-        // Show highlight if it's within grid bounds and different from current position
-        if (targetGridPos.y >= 0 && targetGridPos.y < dungeon.grid.length &&
-            targetGridPos.x >= 0 && targetGridPos.x < dungeon.grid[0].length &&
-            (targetGridPos.x !== gameState.player.position.x || 
-             targetGridPos.y !== gameState.player.position.y)) {
-            
-            if (!targetHighlight) {
-                targetHighlight = createTargetHighlight(THREE, targetWorld.x, targetWorld.z);
-                scene.add(targetHighlight);
-            } else {
-                targetHighlight.position.set(targetWorld.x, 0.02, targetWorld.z);
-                targetHighlight.visible = true;
-            }
-        } else if (targetHighlight) {
-            targetHighlight.visible = false;
+        // A teleport, turn or pinch may have moved the player since the frame began
+        const { player } = engine.getState();
+        let moveDelta = calculateMovementDelta(axes, deltaTime, 2.6, player.rotation);
+        if (pointDirection && calculateMovementDistance(moveDelta) === 0) {
+            moveDelta = calculatePointMovement(pointDirection, deltaTime, 2.6);
         }
+        const moveDistance = calculateMovementDistance(moveDelta);
         
-        // Apply movement if not in combat mode or always allow in exploration
         if (moveDistance > 0.01) {
-            const newWorldPos = {
-                x: gameState.player.worldPosition.x + moveDelta.dx,
-                y: gameState.player.worldPosition.y,
-                z: gameState.player.worldPosition.z + moveDelta.dz
-            };
-            
-            // Check collision with walls
-            const gridPos = worldToGrid(newWorldPos.x, newWorldPos.z);
-            const tileWalkable = checkCollision(newWorldPos, dungeon.grid, worldToGrid, isWalkable);
+            engine.dispatch({
+                type: ENGINE_ACTIONS.MOVE,
+                worldPosition: {
+                    x: player.worldPosition.x + moveDelta.dx,
+                    y: player.worldPosition.y,
+                    z: player.worldPosition.z + moveDelta.dz
+                },
+                distance: moveDistance
+            });
+        }
+        
+        // Fade the vignette with how hard the player walks or turns with the sticks
+        const walking = moveDistance > 0.01 ? (pointDirection ? 1 : Math.min(1, Math.hypot(vrAxes.x, vrAxes.y))) : 0;
+        const intensity = comfort.vignette ? Math.max(walking, turning) : 0;
+        vignetteMesh.material.opacity = calculateVignetteOpacity(vignetteMesh.material.opacity, intensity, deltaTime);
+        vignetteMesh.visible = vignetteMesh.material.opacity > 0;
+        
+        // Bring meshes, projectiles, fog of war, target highlight and movement indicator up to date
+        view.update(deltaTime);
+    }
+    
+    /**
+     * Aim a teleport while the stick is pushed forward and go once it is let go
+     * @param {object} controller - XR controller the arc is thrown from
+     * @param {object} axes - Its thumbstick axes {x, y}
+     */
+    function updateTeleport(controller, axes) {
+        if (axes.y < -0.5) {
+            // A controller's ray points down its -Z axis
+            const origin = controller.getWorldPosition(new THREE.Vector3());
+            const facing = controller.getWorldDirection(new THREE.Vector3());
+            const { points, landing } = calculateTeleportArc(origin, { x: -facing.x, y: -facing.y, z: -facing.z });
+            teleportAim = getTeleportTarget(engine.getState(), landing);
             
-            // Check collision with monsters (monsters are solid)
-            const monsterAtPosition = gameState.entities.enemies.some(enemy => 
-                enemy.isAlive && 
-                enemy.position.x === gridPos.x && 
-                enemy.position.y === gridPos.y
-            );
+            const color = teleportAim && teleportAim.valid ? PALETTE.TELEPORT_VALID : PALETTE.TELEPORT_INVALID;
+            teleportArc.geometry.setFromPoints(points.map(point => new THREE.Vector3(point.x, point.y, point.z)));
+            teleportArc.material.color.setHex(color);
+            teleportArc.visible = true;
             
-            if (tileWalkable && !monsterAtPosition) {
-                gameState = updatePlayerWorldPosition(gameState, newWorldPos);
-                
-                // Update player mesh
-                playerMesh.position.set(newWorldPos.x, 0, newWorldPos.z);
-                camera.position.set(newWorldPos.x, 1.6, newWorldPos.z);
-                
-                // Update grid position
-                if (gridPos.x !== gameState.player.position.x || 
-                    gridPos.y !== gameState.player.position.y) {
-                    gameState = updatePlayerPosition(gameState, gridPos);
-                    
-                    // Check if player found stairs
-                    const tile = dungeon.grid[gridPos.y]?.[gridPos.x];
-                    if (tile === 'stairs_down') {
-                        addLogMessage('🎯 You found the stairs down!');
-                    }
-                    
-                    // Update visibility
-                    const visibilityRadius = getEffectiveVisibilityRadius(gameState.player.statusEffects);
-                    gameState.visibleTiles = computeVisibleTiles(dungeon.grid, gridPos, visibilityRadius);
-                    gameState.exploredTiles = updateExploredTiles(
-                        gameState.exploredTiles,
-                        gameState.visibleTiles
-                    );
-                }
-                
-                // Accumulate movement
-                gameState = updateAccumulatedMovement(gameState, moveDistance);
-                
-                // Check for turn advancement
-                if (checkTurnAdvancement(gameState)) {
-                    const oldHunger = gameState.player.hunger;
-                    gameState = advanceTurn(gameState);
-                    playFootstepSound(0.2);
-                    
-                    // Update status effects
-                    if (gameState.player.statusEffects) {
-                        // Check for attraction effect before updating (so we can detect it before it's removed)
-                        const hadAttractionEffect = hasStatusEffect(gameState.player.statusEffects, STATUS_TYPES.ATTRACTION);
-                        
-                        gameState.player.statusEffects = updateStatusEffects(gameState.player.statusEffects);
-                        
-                        // Handle attraction effect - spawn 2-4 enemies nearby
-                        if (hadAttractionEffect) {
-                            const numToSpawn = MIN_ATTRACTED_ENEMIES + Math.floor(Math.random() * MAX_ATTRACTED_ENEMIES_RANGE);
-                            let spawned = 0;
-                            const maxAttempts = 20;
-                            
-                            for (let attempt = 0; attempt < maxAttempts && spawned < numToSpawn; attempt++) {
-                                // Try to spawn in a radius around player
-                                const angle = Math.random() * Math.PI * 2;
-                                const distance = MIN_SPAWN_DISTANCE + Math.random() * SPAWN_DISTANCE_RANGE;
-                                const spawnX = Math.round(gameState.player.position.x + Math.cos(angle) * distance);
-                                const spawnY = Math.round(gameState.player.position.y + Math.sin(angle) * distance);
-                                
-                                const spawnPos = { x: spawnX, y: spawnY };
-                                
-                                if (isValidSpawnPosition(spawnPos, dungeon.grid, gameState.entities.enemies, gameState.player.position)) {
-                                    const enemyType = getRandomEnemyTypeForLevel(gameState.dungeonLevel);
-                                    const enemy = createEnemyEntity(enemyType, spawnPos, gameState.dungeonLevel);
-                                    gameState.entities.enemies.push(enemy);
-                                    
-                                    // Create enemy mesh and add to scene
-                                    const enemyMesh = createEnemy(THREE, enemy);
-                                    scene.add(enemyMesh);
-                                    
-                                    spawned++;
-                                }
-                            }
-                            
-                            if (spawned > 0) {
-                                addLogMessage(`🎯 ${spawned} monster${spawned > 1 ? 's' : ''} appeared!`);
-                                playCombatHitSound(0.3);
-                            }
-                        }
-                    }
-                    
-                    // Check for hunger warnings
-                    const newHunger = gameState.player.hunger;
-                    if (newHunger <= 100 && oldHunger > 100) {
-                        addLogMessage('⚠️ You are getting hungry!');
-                    } else if (newHunger <= 50 && oldHunger > 50) {
-                        addLogMessage('⚠️⚠️ You are very hungry!');
-                    } else if (newHunger <= 20 && oldHunger > 20) {
-                        addLogMessage('🚨 Critical: You are starving!');
-                    }
-                    
-                    // Process enemy turns
-                    processEnemies();
-                    
-                    // Update HUD
-                    updateHUD();
-                }
-                
-                // Check combat mode
-                const visibleEnemies = filterVisibleEntities(
-                    gameState.entities.enemies.filter(isEntityAlive),
-                    gameState.visibleTiles
-                );
-                const inCombat = detectCombatMode(
-                    newWorldPos,
-                    visibleEnemies,
-                    COMBAT_DETECTION_RADIUS
-                );
-                
-                // Log combat mode changes
-                if (inCombat && !gameState.inCombatMode) {
-                    addLogMessage('⚔️ Entered combat mode!');
-                } else if (!inCombat && gameState.inCombatMode) {
-                    addLogMessage('✓ Combat ended.');
-                }
-                
-                gameState = setCombatMode(gameState, inCombat);
+            teleportMarker.visible = Boolean(teleportAim);
+            if (teleportAim) {
+                const world = gridToWorld(teleportAim.tile.x, teleportAim.tile.y);
+                teleportMarker.position.set(world.x, 0.02, world.z);
+                teleportMarker.material.color.setHex(color);
+            }
+        } else if (Math.abs(axes.y) < 0.3 && teleportArc.visible) {
+            // Letting go of the stick teleports to a valid tile
+            if (teleportAim && teleportAim.valid) {
+                teleport(teleportAim.path);
+            }
+            cancelTeleport();
+        }
+    }
+    
+    /**
+     * Hide the teleport pointer without going anywhere
+     */
+    function cancelTeleport() {
+        teleportAim = null;
+        teleportArc.visible = false;
+        teleportMarker.visible = false;
+    }
+    
+    /**
+     * Teleport along a path of tiles, walking it a tile at a time so turns pass
+     * as they would on foot. Stops early if something gets in the way.
+     * @param {Array} path - Tiles to pass through {x, y}, as from getTeleportTarget
+     * @returns {boolean} True if the player got to the end of the path
+     */
+    function teleport(path) {
+        const state = engine.getState();
+        const steps = planTeleportSteps(state.player.worldPosition, path, state.accumulatedMovement, getTurnThreshold(state));
+        for (const step of steps) {
+            const result = engine.dispatch({ type: ENGINE_ACTIONS.MOVE, ...step });
+            if (!result.moved || engine.getState().gameOver) return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Recognize the tracked hands' gestures and act on them: a pinch interacts
+     * with the highlighted tile, turning a palm up shows the inventory until it
+     * is turned back over, and pointing walks the way the finger points
+     * @returns {object|null} Direction a hand is pointing to walk {x, y, z}, or null
+     */
+    function updateHands() {
+        let pointDirection = null;
+        
+        for (const hand of hands) {
+            const joints = hand.handedness ? readHandJoints(hand.object) : null;
+            const gestures = recognizeHandGestures(joints, hand.handedness, hand.gestures);
+            const changes = getGestureChanges(hand.gestures, gestures);
+            hand.gestures = gestures;
+            
+            if (changes.pinchStarted && !inventoryVisible) {
+                interact();
+            }
+            if (changes.palmUpStarted && !inventoryVisible) {
+                toggleInventory();
+                palmInventory = true;
+            }
+            if (gestures.point && !pointDirection) {
+                pointDirection = gestures.pointDirection;
             }
         }
         
-        // Update floor visibility
-        updateDungeonVisibility();
+        // Close the inventory once no palm is turned up any more
+        if (palmInventory && !hands.some(hand => hand.gestures.palmUp)) {
+            if (inventoryVisible) toggleInventory();
+            palmInventory = false;
+        }
         
-        // Update enemy visibility
-        updateEnemyVisibility();
+        return inventoryVisible || shopOpen || spellMenuOpen ? null : pointDirection;
+    }
+    
+    /**
+     * Turn the player with a VR thumbstick, smoothly or in snaps
+     * @param {object} controller - XR controller whose stick turns
+     * @param {number} deltaTime - Seconds since the last frame
+     * @returns {number} How hard the player is turning smoothly (0 to 1), for the vignette
+     */
+    function updateTurning(controller, deltaTime) {
+        if (inventoryVisible || shopOpen || spellMenuOpen || automapOpen) return 0;
         
-        // Update item visibility
-        updateItemVisibility();
+        const input = readJoystickAxes(controller).x;
+        const rotation = engine.getState().player.rotation;
         
-        // Update room lights
-        updateLights();
+        if (comfort.turning === TURN_MODES.SNAP) {
+            const snap = calculateSnapTurn(input, snapReady, comfort.snapAngle);
+            snapReady = snap.ready;
+            if (snap.delta !== 0) {
+                setRotation(rotation + snap.delta);
+            }
+            return 0;
+        }
+        
+        // Pushing right turns clockwise
+        const turn = Math.abs(input) > 0.15 ? input : 0;
+        if (turn !== 0) {
+            setRotation(rotation + calculateRotationDelta(-turn, deltaTime));
+        }
+        return Math.abs(turn);
+    }
+    
+    /**
+     * Get the VR comfort settings
+     * @returns {object} {locomotion, turning, snapAngle, vignette}
+     */
+    function getComfortSettings() {
+        return { ...comfort };
+    }
+    
+    /**
+     * Change VR comfort settings and remember them for later runs
+     * @param {object} changes - Settings to change {locomotion, turning, snapAngle, vignette}
+     * @returns {object} Updated settings
+     */
+    function setComfortSettings(changes) {
+        comfort = createComfortSettings({ ...comfort, ...changes });
+        saveComfortSettings(comfort, storage);
+        if (comfort.locomotion !== LOCOMOTION_MODES.TELEPORT) {
+            cancelTeleport();
+        }
+        return getComfortSettings();
+    }
+    
+    /**
+     * Switch between smooth and teleport locomotion
+     */
+    function toggleLocomotion() {
+        const teleporting = comfort.locomotion === LOCOMOTION_MODES.TELEPORT;
+        setComfortSettings({ locomotion: teleporting ? LOCOMOTION_MODES.SMOOTH : LOCOMOTION_MODES.TELEPORT });
+        addLogMessage(teleporting ? '🕹️ Smooth movement' : '🕹️ Teleport movement: push the left stick forward to aim, let go to jump');
+    }
+    
+    /**
+     * Step to the next turning option: smooth, then each snap increment
+     */
+    function cycleTurning() {
+        setComfortSettings(cycleTurnSetting(comfort));
+        addLogMessage(comfort.turning === TURN_MODES.SNAP ? `🔄 Snap turning by ${comfort.snapAngle}°` : '🔄 Smooth turning');
+    }
+    
+    /**
+     * Get the automap's display state
+     * @returns {{open: boolean, zoom: number, zooms: number}} Whether it is open, its
+     *     zoom level and how many zoom levels there are
+     */
+    function getAutomapState() {
+        return { open: automapOpen, zoom: automapZoom, zooms: AUTOMAP_ZOOMS.length };
+    }
+    
+    /**
+     * Open or close the full-screen automap
+     */
+    function toggleAutomap() {
+        automapOpen = !automapOpen;
+        updateMaps(true);
+    }
+    
+    /**
+     * Zoom the automap in or out a level
+     * @param {number} delta - +1 to zoom in, -1 to zoom out
+     */
+    function zoomAutomap(delta) {
+        automapZoom = changeAutomapZoom(automapZoom, delta);
+        updateMaps(true);
+    }
+    
+    /**
+     * Get how the keyboard moves the player
+     * @returns {string} Mode from MOVEMENT_MODES
+     */
+    function getMovementMode() {
+        return movementMode;
+    }
+    
+    /**
+     * Set how the keyboard moves the player
+     * @param {string} mode - Mode from MOVEMENT_MODES
+     */
+    function setMovementMode(mode) {
+        if (!Object.values(MOVEMENT_MODES).includes(mode)) {
+            throw new Error(`Unknown movement mode: ${mode}`);
+        }
+        movementMode = mode;
+    }
+    
+    /**
+     * Switch the keyboard between smooth and grid-step movement
+     */
+    function toggleMovementMode() {
+        const stepping = movementMode === MOVEMENT_MODES.STEP;
+        setMovementMode(stepping ? MOVEMENT_MODES.SMOOTH : MOVEMENT_MODES.STEP);
+        addLogMessage(stepping ? '🚶 Smooth movement' : '🚶 Grid-step movement: each key press moves one tile');
+    }
+    
+    /**
+     * Step one tile for a key press in grid-step mode. Presses that come while
+     * the last step is still gliding are ignored, so holding a key walks on
+     * tile by tile.
+     * @param {string} code - KeyboardEvent code
+     * @returns {boolean} True if the key is a step key in grid-step mode
+     */
+    function stepWithKey(code) {
+        const step = STEP_KEYS[code];
+        if (movementMode !== MOVEMENT_MODES.STEP || !step) return false;
         
-        // Show movement indicator in combat mode
-        updateMovementIndicator();
+        if (!view.isStepping()) {
+            const direction = getStepDirection(step, engine.getState().player.rotation);
+            engine.dispatch({ type: ENGINE_ACTIONS.STEP, direction });
+        }
+        return true;
     }
     
     /**
@@ -848,14 +965,18 @@ export function createGame(THREE, scene, camera, renderer, customSeed = null, ke
             ambientDrone.stop();
         }
         
-        // Remove all meshes
-        dungeonMeshes.forEach(mesh => scene.remove(mesh));
-        enemyMeshes.forEach(mesh => scene.remove(mesh));
-        scene.remove(playerMesh);
-        scene.remove(hudMesh);
-        if (movementIndicator) {
-            scene.remove(movementIndicator);
-        }
+        view.dispose();
+        camera.remove(hudMesh);
+        camera.remove(shopMesh);
+        camera.remove(spellMesh);
+        camera.remove(vignetteMesh);
+        camera.remove(logPanel);
+        camera.remove(automapPanel);
+        if (minimapPanel.parent) minimapPanel.parent.remove(minimapPanel);
+        renderer.xr.getController(0).remove(wristPanel);
+        putTabletAway();
+        scene.remove(teleportArc);
+        scene.remove(teleportMarker);
     }
     
     /**
@@ -863,26 +984,7 @@ export function createGame(THREE, scene, camera, renderer, customSeed = null, ke
      * @param {number} rotation - Rotation in radians
      */
     function setRotation(rotation) {
-        gameState = updatePlayerRotation(gameState, rotation);
-    }
-    
-    /**
-     * Get the tile position in front of the player based on facing direction
-     * @returns {object} Target position {x, y}
-     */
-    function getTargetTile() {
-        const playerRotation = gameState.player.rotation;
-        
-        // Calculate the tile 1 square in front based on facing direction
-        // In Three.js, rotation 0 faces -Z (south), rotation increases counter-clockwise
-        // So: 0 = South, PI/2 = West, PI = North, 3*PI/2 = East
-        const facingDx = Math.round(-Math.sin(playerRotation));
-        const facingDy = Math.round(-Math.cos(playerRotation));
-        
-        return {
-            x: gameState.player.position.x + facingDx,
-            y: gameState.player.position.y + facingDy
-        };
+        engine.dispatch({ type: ENGINE_ACTIONS.ROTATE, rotation });
     }
     
     /**
@@ -890,149 +992,69 @@ export function createGame(THREE, scene, camera, renderer, customSeed = null, ke
      * @returns {boolean} True if an interaction was performed
      */
     function interact() {
-        if (gameState.gameOver) return false;
-        
-        // Interactions happen on the highlighted tile in front of the player
-        const targetPosition = getTargetTile();
-        const tile = dungeon.grid[targetPosition.y]?.[targetPosition.x];
-        
-        const interactables = findInteractablesAtPosition(
-            targetPosition,
-            gameState.entities,
-            tile
-        );
-        
-        const action = getInteractionAction(interactables);
-        
-        if (!action) {
-            addLogMessage('Nothing to interact with here.');
-            return false;
+        // Interacting while aiming a scroll reads it at the tile faced
+        if (pendingScroll && pendingScroll.target === SCROLL_TARGETS.TILE) {
+            return readScrollAtAimedTile();
         }
-        
-        if (action.type === 'attack') {
-            // Attack adjacent enemy
-            const enemy = action.target;
-            const playerEffects = gameState.player.statusEffects || [];
-            const result = executeAttack(gameState.player, enemy, playerEffects, []);
-            const message = getCombatMessage('Player', enemy.name, result);
-            addLogMessage(message);
-            
-            if (result.hit) {
-                playCombatHitSound(0.3);
-                
-                // Update enemy HP
-                enemy.hp -= result.damage;
-                if (enemy.hp <= 0) {
-                    enemy.isAlive = false;
-                    addLogMessage(`💀 ${enemy.name} defeated!`);
-                    
-                    // Award XP (simplified - just use xpValue from entity)
-                    const xpGained = enemy.xpValue || 50;
-                    addLogMessage(`+${xpGained} XP`);
-                    
-                    // Generate loot drop
-                    const loot = generateEnemyLoot(enemy, gameState.dungeon.level);
-                    if (loot) {
-                        gameState.entities.items.push(loot);
-                        
-                        // Create mesh for the loot
-                        const world = gridToWorld(loot.position.x, loot.position.y);
-                        const mesh = createItem(THREE, loot, world.x, world.z);
-                        
-                        // Check if item is visible
-                        const key = `${loot.position.x},${loot.position.y}`;
-                        mesh.visible = gameState.visibleTiles.has(key);
-                        
-                        scene.add(mesh);
-                        itemMeshes.set(loot.id, mesh);
-                        
-                        addLogMessage(`${enemy.name} dropped an item!`);
-                    }
-                }
-            }
-            
-            // Process enemy turns after player attack
-            processEnemies();
-            updateHUD();
-            
-            return true;
+        // Interacting at the shop counter trades the selected row
+        if (shopOpen) {
+            return confirmShopSelection();
         }
-        
-        if (action.type === 'pickup') {
-            // Pick up item
-            const item = action.target;
-            
-            // Handle gold separately
-            if (item.type === ITEM_TYPES.GOLD) {
-                gameState = addGold(gameState, item.amount);
-                gameState = removeItemFromWorld(gameState, item.id);
-                
-                // Remove item mesh from scene
-                const mesh = itemMeshes.get(item.id);
-                if (mesh) {
-                    scene.remove(mesh);
-                    itemMeshes.delete(item.id);
-                }
-                
-                addLogMessage(`💰 Picked up ${item.amount} gold!`);
-                return true;
-            }
-            
-            // Try to add to inventory
-            const result = addItemToInventory(gameState, item);
-            gameState = result;
-            
-            if (result.success) {
-                gameState = removeItemFromWorld(gameState, item.id);
-                
-                // Remove item mesh from scene
-                const mesh = itemMeshes.get(item.id);
-                if (mesh) {
-                    scene.remove(mesh);
-                    itemMeshes.delete(item.id);
-                }
-                
-                const letter = getSlotLetter(result.slot);
-                addLogMessage(`📦 Picked up ${item.name || 'item'} (${letter})`);
-            } else {
-                addLogMessage('⚠️ Inventory is full!');
-            }
-            
-            return result.success;
-        }
-        
-        if (action.type === 'descend') {
-            // Descend stairs
-            const currentLevel = gameState.dungeon.level;
-            const nextLevel = currentLevel + 1;
-            
-            addLogMessage('⬇️ Descending to the next level...');
-            
-            // Load new dungeon level
-            loadNewDungeonLevel(nextLevel);
-            
-            return true;
-        }
-        
-        return false;
+        return engine.dispatch({ type: ENGINE_ACTIONS.INTERACT }).performed;
     }
     
     /**
-     * Get inventory display state
-     * @returns {object} {visible: boolean, items: Array<string>}
+     * Get inventory display state, including the equipment panel
+     * @returns {object} {visible: boolean, items: Array<string>, equipment: Array<string>, stats: object}
      */
     function getInventoryState() {
+        const state = engine.getState();
         return {
             visible: inventoryVisible,
-            items: getInventoryDisplay(gameState.inventory)
+            items: getInventoryDisplay(state.inventory, state.discoveries),
+            equipment: getEquipmentDisplay(state.player),
+            stats: getEffectiveStats(state.player),
+            load: getLoad(state),
+            gold: state.player.gold || 0
         };
     }
     
+    /**
+     * Get the inventory slot picked on the VR tablet
+     * @returns {number} Slot (0-25), or -1 if none is picked
+     */
+    function getInventorySelection() {
+        return inventorySelection;
+    }
+    
+    /**
+     * Pick an inventory slot on the VR tablet, e.g. when stepping through
+     * the slots with the controller buttons
+     * @param {number} slot - Slot (0-25), or -1 for none
+     */
+    function setInventorySelection(slot) {
+        inventorySelection = slot;
+    }
+    
+    /**
+     * Pick the inventory slot the laser pointer is on
+     * @returns {number|null} The slot picked, or null if the pointer isn't on a slot
+     */
+    function selectPointedSlot() {
+        if (!inventoryVisible || pointedSlot < 0) return null;
+        inventorySelection = pointedSlot;
+        return pointedSlot;
+    }
+    
     /**
      * Toggle inventory display
      */
     function toggleInventory() {
         inventoryVisible = !inventoryVisible;
+        // Item targets are picked from the inventory, so closing it gives up
+        if (pendingScroll && pendingScroll.target === SCROLL_TARGETS.ITEM && !inventoryVisible) {
+            pendingScroll = null;
+        }
         addLogMessage(inventoryVisible ? '📋 Inventory opened' : '📋 Inventory closed');
     }
     
@@ -1042,20 +1064,91 @@ export function createGame(THREE, scene, camera, renderer, customSeed = null, ke
      * @returns {boolean} True if item was used successfully
      */
     function useInventoryItem(slot) {
-        if (gameState.gameOver) return false;
-        
-        const result = useItem(gameState.inventory, slot, gameState);
-        
-        if (result.success) {
-            gameState.inventory = result.inventory;
-            gameState = result.newState;
-            addLogMessage(`✨ ${result.message}`);
-            updateHUD();
-            return true;
-        } else {
-            addLogMessage(`⚠️ ${result.message}`);
+        const target = getScrollTarget(engine.getState().inventory[slot]);
+        if (target !== SCROLL_TARGETS.NONE) {
+            // The scroll is read once its target is picked
+            pendingScroll = { slot, target };
+            addLogMessage(target === SCROLL_TARGETS.ITEM
+                ? '📜 Choose an item to read the scroll on (a-z, or 1-7 for worn items)'
+                : '🎯 Face your target and interact to read the scroll');
+            return false;
+        }
+        return engine.dispatch({ type: ENGINE_ACTIONS.USE_ITEM, slot }).performed;
+    }
+    
+    /**
+     * Get what the scroll being read is waiting for
+     * @returns {string|null} Target kind from SCROLL_TARGETS, or null if no scroll is waiting
+     */
+    function getPendingScrollTarget() {
+        return pendingScroll ? pendingScroll.target : null;
+    }
+    
+    /**
+     * Read the waiting scroll on a target
+     * @param {object} target - {slot}, {equipSlot} or a tile {x, y}
+     * @returns {boolean} True if the scroll was read
+     */
+    function readPendingScroll(target) {
+        if (!pendingScroll) return false;
+        const { slot } = pendingScroll;
+        pendingScroll = null;
+        return engine.dispatch({ type: ENGINE_ACTIONS.USE_ITEM, slot, target }).performed;
+    }
+    
+    /**
+     * Read the waiting scroll on an inventory item
+     * @param {number} slot - Inventory slot (0-25)
+     * @returns {boolean} True if the scroll was read
+     */
+    function readScrollOnItem(slot) {
+        return readPendingScroll({ slot });
+    }
+    
+    /**
+     * Read the waiting scroll on an equipped item
+     * @param {number} index - Equipment panel line (0-6, in EQUIPMENT_SLOTS order)
+     * @returns {boolean} True if the scroll was read
+     */
+    function readScrollOnEquipment(index) {
+        const equipSlot = Object.values(EQUIPMENT_SLOTS)[index];
+        if (!equipSlot) return false;
+        return readPendingScroll({ equipSlot });
+    }
+    
+    /**
+     * Read the waiting scroll at the tile the player faces
+     * @returns {boolean} True if the scroll was read
+     */
+    function readScrollAtAimedTile() {
+        const state = engine.getState();
+        const scroll = state.inventory[pendingScroll.slot];
+        if (!scroll) {
+            pendingScroll = null;
+            return false;
+        }
+        const tile = getAimedTile(
+            state.dungeon.grid,
+            state.player.position,
+            state.player.rotation,
+            getScrollDefinition(scroll.trueType).range,
+            state.entities.enemies
+        );
+        if (!tile) {
+            addLogMessage('⚠️ There is nothing to aim at there');
             return false;
         }
+        return readPendingScroll(tile);
+    }
+    
+    /**
+     * Stop waiting for a scroll's target without reading it
+     */
+    function cancelScroll() {
+        if (pendingScroll) {
+            pendingScroll = null;
+            addLogMessage('📜 You put the scroll away');
+        }
     }
     
     /**
@@ -1064,78 +1157,362 @@ export function createGame(THREE, scene, camera, renderer, customSeed = null, ke
      * @returns {boolean} True if item was equipped successfully
      */
     function equipInventoryItem(slot) {
-        if (gameState.gameOver) return false;
-        
-        const result = equipItem(gameState.inventory, slot, gameState.player);
-        
-        if (result.success) {
-            gameState.inventory = result.inventory;
-            gameState.player = result.player;
-            addLogMessage(`⚔️ ${result.message}`);
-            updateHUD();
-            return true;
-        } else {
-            addLogMessage(`⚠️ ${result.message}`);
-            return false;
-        }
+        return engine.dispatch({ type: ENGINE_ACTIONS.EQUIP_ITEM, slot }).performed;
+    }
+    
+    /**
+     * Take off an equipped item
+     * @param {number} index - Equipment panel line (0-6, in EQUIPMENT_SLOTS order)
+     * @returns {boolean} True if the item was taken off
+     */
+    function unequipItem(index) {
+        const equipSlot = Object.values(EQUIPMENT_SLOTS)[index];
+        if (!equipSlot) return false;
+        return engine.dispatch({ type: ENGINE_ACTIONS.UNEQUIP_ITEM, equipSlot }).performed;
     }
     
     /**
-     * Drop an item from inventory
+     * Drop an item, or some of a stack, from inventory
      * @param {number} slot - Inventory slot (0-25)
+     * @param {number} quantity - How many to drop (optional, the whole stack)
      * @returns {boolean} True if item was dropped successfully
      */
-    function dropInventoryItem(slot) {
-        if (gameState.gameOver) return false;
+    function dropInventoryItem(slot, quantity = null) {
+        return engine.dispatch({ type: ENGINE_ACTIONS.DROP_ITEM, slot, quantity }).performed;
+    }
+    
+    /**
+     * Get how many items an inventory slot holds
+     * @param {number} slot - Inventory slot (0-25)
+     * @returns {number} Quantity, 0 for an empty slot
+     */
+    function getSlotQuantity(slot) {
+        return getQuantity(engine.getState().inventory[slot]);
+    }
+    
+    /**
+     * Call an unidentified potion or scroll by a name of the player's choosing
+     * @param {number} slot - Inventory slot (0-25)
+     * @param {string} name - Name to call it; blank forgets the name
+     * @returns {boolean} True if the name was set
+     */
+    function callInventoryItem(slot, name) {
+        return engine.dispatch({ type: ENGINE_ACTIONS.CALL_ITEM, slot, name }).performed;
+    }
+    
+    /**
+     * Get journal display state
+     * @returns {object} {visible: boolean, lines: Array<string>}
+     */
+    function getJournalState() {
+        return {
+            visible: journalVisible,
+            lines: getJournalDisplay(engine.getState().discoveries)
+        };
+    }
+    
+    /**
+     * Toggle the journal of known and called potions and scrolls
+     */
+    function toggleJournal() {
+        journalVisible = !journalVisible;
+    }
+    
+    /**
+     * Get shop panel state
+     * @returns {object} {open: boolean, gold: number, rows: Array, selected: number} with rows from getShopRows
+     */
+    function getShopState() {
+        const view = getShopView(engine.getState());
+        const rows = getShopRows(view);
+        return {
+            open: shopOpen,
+            gold: view.gold,
+            rows,
+            selected: Math.min(shopSelection, Math.max(0, rows.length - 1))
+        };
+    }
+    
+    /**
+     * Move the shop panel's selection, wrapping around the ends
+     * @param {number} delta - Rows to move (negative moves up)
+     */
+    function moveShopSelection(delta) {
+        if (!shopOpen) return;
+        const { rows, selected } = getShopState();
+        if (rows.length === 0) return;
+        shopSelection = (selected + delta + rows.length) % rows.length;
+        updateShopPanel();
+    }
+    
+    /**
+     * Select a shop panel row directly
+     * @param {number} index - Row index
+     */
+    function selectShopRow(index) {
+        if (!shopOpen) return;
+        shopSelection = Math.max(0, index);
+        updateShopPanel();
+    }
+    
+    /**
+     * Pay for, buy or sell what the selected shop row holds
+     * @returns {boolean} True if the trade went through
+     */
+    function confirmShopSelection() {
+        const { rows, selected } = getShopState();
+        const row = rows[selected];
+        if (!row) return false;
+        return row.action === SHOP_ACTIONS.SELL ? sellShopItem(row.target.slot) : buyShopItem(row.target);
+    }
+    
+    /**
+     * Pay for an unpaid item or buy goods off the shop floor
+     * @param {object} target - {slot} of an unpaid inventory item or {itemId} of goods on sale
+     * @returns {boolean} True if the purchase went through
+     */
+    function buyShopItem(target) {
+        return engine.dispatch({ type: ENGINE_ACTIONS.BUY_ITEM, target }).performed;
+    }
+    
+    /**
+     * Sell an inventory item, or a whole stack, to the shop
+     * @param {number} slot - Inventory slot (0-25)
+     * @returns {boolean} True if the sale went through
+     */
+    function sellShopItem(slot) {
+        return engine.dispatch({ type: ENGINE_ACTIONS.SELL_ITEM, slot }).performed;
+    }
+    
+    /**
+     * Close the shop panel
+     */
+    function closeShop() {
+        if (!shopOpen) return;
+        shopOpen = false;
+        updateShopPanel();
+        addLogMessage('🛒 You step away from the counter');
+    }
+    
+    /**
+     * Get the tile a projectile is aimed at: along a VR controller's ray when
+     * one is given, otherwise straight ahead of the player
+     * @param {number} range - Projectile range in tiles
+     * @param {object} controller - XR controller to aim with (optional)
+     * @returns {object} Aimed tile {x, y}
+     */
+    function getProjectileTarget(range, controller) {
+        const state = engine.getState();
+        let bearing = state.player.rotation;
+        if (controller) {
+            // A controller's ray points down its -Z axis
+            const direction = controller.getWorldDirection(new THREE.Vector3());
+            bearing = getBearing({ x: -direction.x, z: -direction.z });
+        }
+        return getBearingTile(state.player.position, bearing, range);
+    }
+    
+    /**
+     * Shoot the wielded launcher
+     * @param {object} controller - XR controller to aim with (optional, defaults to the facing)
+     * @returns {boolean} True if a shot was fired
+     */
+    function fire(controller = null) {
+        const launcher = getLauncher(engine.getState().player);
+        const target = getProjectileTarget(getProjectileRange(launcher), controller);
+        return engine.dispatch({ type: ENGINE_ACTIONS.FIRE, target }).performed;
+    }
+    
+    /**
+     * Throw an item from inventory
+     * @param {number} slot - Inventory slot (0-25)
+     * @param {object} controller - XR controller to aim with (optional, defaults to the facing)
+     * @returns {boolean} True if the item was thrown
+     */
+    function throwInventoryItem(slot, controller = null) {
+        const target = getProjectileTarget(getProjectileRange(), controller);
+        return engine.dispatch({ type: ENGINE_ACTIONS.THROW_ITEM, slot, target }).performed;
+    }
+    
+    /**
+     * Get spell menu state
+     * @returns {object} {open: boolean, mana: number, maxMana: number, rows: Array, selected: number} with rows from getSpellMenu
+     */
+    function getSpellMenuState() {
+        const { player } = engine.getState();
+        const rows = getSpellMenu(player);
+        return {
+            open: spellMenuOpen,
+            mana: player.mana,
+            maxMana: player.maxMana,
+            rows,
+            selected: Math.min(spellSelection, rows.length - 1)
+        };
+    }
+    
+    /**
+     * Open or close the spell menu
+     */
+    function toggleSpellMenu() {
+        spellMenuOpen = !spellMenuOpen;
+        spellSelection = 0;
+        updateSpellMenu();
+    }
+    
+    /**
+     * Select a spell in the menu directly
+     * @param {number} index - Menu slice, in the order spells were learned
+     */
+    function selectSpell(index) {
+        if (!spellMenuOpen) return;
+        spellSelection = Math.max(0, index);
+        updateSpellMenu();
+    }
+    
+    /**
+     * Select the spell a thumbstick points at; a centered stick keeps the selection
+     * @param {object} axes - Thumbstick axes {x, y}
+     */
+    function selectSpellWithAxes(axes) {
+        if (!spellMenuOpen) return;
+        const index = getRadialSelection(axes, getSpellMenuState().rows.length);
+        if (index !== -1 && index !== spellSelection) {
+            selectSpell(index);
+        }
+    }
+    
+    /**
+     * Cast the spell selected in the menu, closing it
+     * @param {object} controller - XR controller to aim with (optional, defaults to the facing)
+     * @returns {boolean} True if the spell was cast
+     */
+    function castSelectedSpell(controller = null) {
+        const { rows, selected } = getSpellMenuState();
+        if (!spellMenuOpen || selected < 0) return false;
+        spellMenuOpen = false;
+        updateSpellMenu();
+        return castSpell(rows[selected].spell, controller);
+    }
+    
+    /**
+     * Cast a spell, aiming spells that fly at a tile
+     * @param {string} spell - Spell name (e.g., 'magic missile')
+     * @param {object} controller - XR controller to aim with (optional, defaults to the facing)
+     * @returns {boolean} True if the spell was cast
+     */
+    function castSpell(spell, controller = null) {
+        const definition = getSpellDefinition(spell);
+        const target = definition && definition.target === SPELL_TARGETS.TILE
+            ? getProjectileTarget(definition.range, controller)
+            : null;
+        return engine.dispatch({ type: ENGINE_ACTIONS.CAST_SPELL, spell, target }).performed;
+    }
+    
+    /**
+     * Save the current run to storage
+     * @returns {boolean} True if the run was saved
+     */
+    function saveGame() {
+        if (engine.getState().gameOver) return false;
         
-        const result = removeItemFromInventory(gameState.inventory, slot);
+        const saved = writeSave(engine.getSaveData(), storage);
+        if (saved) {
+            addLogMessage('💾 Game saved.');
+        }
+        return saved;
+    }
+    
+    /**
+     * Check whether a saved run exists in storage
+     * @returns {boolean} True if a save exists
+     */
+    function hasSavedGame() {
+        return hasSave(storage);
+    }
+    
+    /**
+     * Resume the saved run from storage, replacing the current one
+     * @returns {boolean} True if a saved run was loaded
+     */
+    function loadGame() {
+        const data = readSave(storage);
+        if (!data) return false;
         
-        if (result.success) {
-            gameState.inventory = result.inventory;
-            
-            // Place item at player's current position
-            const droppedItem = {
-                ...result.item,
-                position: { ...gameState.player.position }
-            };
-            
-            gameState.entities.items.push(droppedItem);
-            
-            // Create mesh for dropped item
-            const world = gridToWorld(droppedItem.position.x, droppedItem.position.y);
-            const mesh = createItem(THREE, droppedItem, world.x, world.z);
-            
-            // Check if item is visible
-            const key = `${droppedItem.position.x},${droppedItem.position.y}`;
-            mesh.visible = gameState.visibleTiles.has(key);
-            
-            scene.add(mesh);
-            itemMeshes.set(droppedItem.id, mesh);
-            
-            const letter = getSlotLetter(slot);
-            addLogMessage(`📦 Dropped ${droppedItem.name || 'item'} (${letter})`);
-            return true;
-        } else {
-            addLogMessage(`⚠️ ${result.message || 'Cannot drop item'}`);
+        try {
+            engine.restore(data);
+        } catch (error) {
+            addLogMessage(`⚠️ Could not load save: ${error.message}`);
             return false;
         }
+        
+        gameOverLogged = false;
+        pendingScroll = null;
+        shopOpen = false;
+        spellMenuOpen = false;
+        cancelTeleport();
+        updateShopPanel();
+        updateSpellMenu();
+        view.update();
+        
+        addLogMessage(`💾 Resumed run on dungeon level ${engine.getState().dungeon.level}.`);
+        return true;
     }
     
-    // Track inventory visibility state
-    let inventoryVisible = false;
-    
     return {
         update,
         dispose,
-        getState: () => gameState,
+        getState: () => engine.getState(),
+        getEngine: () => engine,
         getCombatLog: () => combatLog,
         getActionLog: () => actionLog,
         setRotation,
         interact,
         getInventoryState,
         toggleInventory,
+        getInventorySelection,
+        setInventorySelection,
+        selectPointedSlot,
         useInventoryItem,
+        getPendingScrollTarget,
+        readScrollOnItem,
+        readScrollOnEquipment,
+        cancelScroll,
         equipInventoryItem,
-        dropInventoryItem
+        unequipItem,
+        dropInventoryItem,
+        getSlotQuantity,
+        callInventoryItem,
+        getJournalState,
+        toggleJournal,
+        getShopState,
+        moveShopSelection,
+        selectShopRow,
+        confirmShopSelection,
+        buyShopItem,
+        sellShopItem,
+        closeShop,
+        fire,
+        throwInventoryItem,
+        getSpellMenuState,
+        toggleSpellMenu,
+        selectSpell,
+        selectSpellWithAxes,
+        castSelectedSpell,
+        castSpell,
+        getComfortSettings,
+        setComfortSettings,
+        toggleLocomotion,
+        cycleTurning,
+        getAutomapState,
+        toggleAutomap,
+        zoomAutomap,
+        getMovementMode,
+        setMovementMode,
+        toggleMovementMode,
+        stepWithKey,
+        saveGame,
+        loadGame,
+        hasSavedGame,
+        getReplay: () => engine.getReplay()
     };
 }
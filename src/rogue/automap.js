@@ -0,0 +1,261 @@
+/**
+ * Minimap and Automap
+ * Maps of the current level drawn from game state alone: the tiles the
+ * player has explored (dimmer once out of sight), doors, stairs, items
+ * where the player last saw them, enemies in view and the player. The minimap is a window
+ * around the player; the automap shows the whole level at a chosen zoom with
+ * labels on the stairs, the shop and the player. Maps come out as rows of
+ * cells, which write out as text for snapshot tests, or as vr-ui.js elements
+ * for drawPanel to paint onto a canvas texture.
+ */
+
+import { MAP_PANELS, AUTOMAP_ZOOMS, MAP_COLORS, MAP_GLYPHS, VR_PANEL_TEXT } from './constants.js';
+import { isEntityAlive } from './entity-manager.js';
+
+/**
+ * Map kinds of the dungeon grid's tiles
+ */
+const TILE_KINDS = {
+    wall: 'wall',
+    floor: 'floor',
+    door: 'door',
+    door_closed: 'doorClosed',
+    stairs_down: 'stairsDown',
+    stairs_up: 'stairsUp'
+};
+
+/**
+ * Labels for the tiles the automap annotates
+ */
+const TILE_LABELS = {
+    stairs_down: 'Stairs down',
+    stairs_up: 'Stairs up'
+};
+
+/**
+ * Build the map of a stretch of the level
+ * @param {object} state - Current game state
+ * @param {object} bounds - Tiles to map {x, y, width, height}; the whole level if null.
+ *     Tiles outside the level map as unknown.
+ * @returns {{x: number, y: number, width: number, height: number, rows: Array<Array<object>>}} Bounds
+ *     and rows of cells {kind, visible}, kind being a key of MAP_GLYPHS
+ */
+export function buildMapView(state, bounds = null) {
+    const { grid } = state.dungeon;
+    const area = bounds || { x: 0, y: 0, width: grid.length > 0 ? grid[0].length : 0, height: grid.length };
+    const { player } = state;
+
+    const enemies = new Set(state.entities.enemies
+        .filter(enemy => isEntityAlive(enemy))
+        .map(enemy => `${enemy.position.x},${enemy.position.y}`));
+    // Items in view are drawn where they are; out of view, where the player last saw them
+    const items = new Set(state.entities.items
+        .filter(item => item.position)
+        .map(item => `${item.position.x},${item.position.y}`));
+    const remembered = state.rememberedItems || new Set();
+
+    const rows = [];
+    for (let y = area.y; y < area.y + area.height; y++) {
+        const row = [];
+        for (let x = area.x; x < area.x + area.width; x++) {
+            const key = `${x},${y}`;
+            const visible = state.visibleTiles.has(key);
+            const tile = grid[y] && grid[y][x];
+
+            let kind;
+            if (x === player.position.x && y === player.position.y) {
+                kind = 'player';
+            } else if (visible && enemies.has(key)) {
+                kind = 'enemy';
+            } else if (!tile || !(visible || state.exploredTiles.has(key))) {
+                kind = 'unknown';
+            } else if (visible ? items.has(key) : remembered.has(key)) {
+                kind = 'item';
+            } else {
+                kind = TILE_KINDS[tile] || 'floor';
+            }
+            row.push({ kind, visible });
+        }
+        rows.push(row);
+    }
+
+    return { ...area, rows };
+}
+
+/**
+ * Get the tiles a minimap shows: a square centered on the player
+ * @param {object} position - Player's grid position {x, y}
+ * @param {number} radius - Tiles shown on each side of the player
+ * @returns {{x: number, y: number, width: number, height: number}} Bounds
+ */
+export function getMinimapBounds(position, radius) {
+    return { x: position.x - radius, y: position.y - radius, width: 2 * radius + 1, height: 2 * radius + 1 };
+}
+
+/**
+ * Write a map out as text, one glyph per tile. Floor out of sight is written
+ * as remembered floor.
+ * @param {object} view - Map, as from buildMapView
+ * @param {object} glyphs - Glyph for each kind of cell
+ * @returns {Array<string>} One line per row
+ */
+export function formatMapText(view, glyphs = MAP_GLYPHS) {
+    return view.rows.map(row => row
+        .map(cell => (cell.kind === 'floor' && !cell.visible ? glyphs.rememberedFloor : glyphs[cell.kind]))
+        .join(''));
+}
+
+/**
+ * Get the automap's labels: the stairs and the shop once explored, and the player
+ * @param {object} state - Current game state
+ * @returns {Array<{x: number, y: number, text: string}>} Labels on grid tiles
+ */
+export function getMapAnnotations(state) {
+    const { grid, shop } = state.dungeon;
+    const annotations = [];
+
+    grid.forEach((row, y) => row.forEach((tile, x) => {
+        if (TILE_LABELS[tile] && state.exploredTiles.has(`${x},${y}`)) {
+            annotations.push({ x, y, text: TILE_LABELS[tile] });
+        }
+    }));
+
+    if (shop) {
+        const center = { x: shop.room.x + Math.floor(shop.room.width / 2), y: shop.room.y + Math.floor(shop.room.height / 2) };
+        if (state.exploredTiles.has(`${center.x},${center.y}`)) {
+            annotations.push({ ...center, text: 'Shop' });
+        }
+    }
+
+    annotations.push({ ...state.player.position, text: 'You' });
+    return annotations;
+}
+
+/**
+ * Turn a hex color into a CSS color with an opacity
+ * @param {string} color - Color as '#rrggbb'
+ * @param {number} alpha - Opacity (0-1)
+ * @returns {string} 'rgba(r, g, b, a)'
+ */
+function withAlpha(color, alpha) {
+    const value = parseInt(color.slice(1), 16);
+    return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+/**
+ * Lay out a map's known tiles as squares
+ * @param {object} view - Map, as from buildMapView
+ * @param {object} origin - Canvas point of the map's top-left corner {x, y}
+ * @param {number} tileSize - Pixels per tile
+ * @param {object} colors - Color for each kind of cell, and rememberedAlpha
+ * @returns {Array<object>} Rectangles to draw
+ */
+export function layoutMapTiles(view, origin, tileSize, colors = MAP_COLORS) {
+    const elements = [];
+    view.rows.forEach((row, rowIndex) => row.forEach((cell, column) => {
+        if (cell.kind === 'unknown') return;
+        elements.push({
+            type: 'rect',
+            x: origin.x + column * tileSize,
+            y: origin.y + rowIndex * tileSize,
+            width: tileSize,
+            height: tileSize,
+            color: cell.visible || cell.kind === 'player' ? colors[cell.kind] : withAlpha(colors[cell.kind], colors.rememberedAlpha)
+        });
+    }));
+    return elements;
+}
+
+/**
+ * Lay out the minimap: as many tiles around the player as fit the panel,
+ * with the player in the middle
+ * @param {object} state - Current game state
+ * @param {object} panel - Panel size {width, height, tileSize}
+ * @param {object} colors - Map colors
+ * @returns {Array<object>} Elements to draw
+ */
+export function layoutMinimap(state, panel = MAP_PANELS.minimap, colors = MAP_COLORS) {
+    const radius = Math.floor((Math.min(panel.width, panel.height) / panel.tileSize - 1) / 2);
+    const view = buildMapView(state, getMinimapBounds(state.player.position, radius));
+    const size = view.width * panel.tileSize;
+    const origin = { x: Math.floor((panel.width - size) / 2), y: Math.floor((panel.height - size) / 2) };
+    return layoutMapTiles(view, origin, panel.tileSize, colors);
+}
+
+/**
+ * Place a map along one axis of the panel: centered if it fits, else
+ * centered on the player but never scrolled past its edges
+ * @param {number} tiles - Map size in tiles
+ * @param {number} player - Player's tile along the axis
+ * @param {number} tileSize - Pixels per tile
+ * @param {number} space - Panel size in pixels
+ * @returns {number} Canvas coordinate of the map's first tile
+ */
+function placeMapAxis(tiles, player, tileSize, space) {
+    const size = tiles * tileSize;
+    if (size <= space) return Math.floor((space - size) / 2);
+    const centered = Math.round(space / 2 - (player + 0.5) * tileSize);
+    return Math.min(0, Math.max(space - size, centered));
+}
+
+/**
+ * Step the automap's zoom in or out, staying within the zoom levels
+ * @param {number} zoom - Index into the zoom levels
+ * @param {number} delta - +1 to zoom in, -1 to zoom out
+ * @param {Array<number>} zooms - Pixels per tile at each zoom level
+ * @returns {number} New zoom index
+ */
+export function changeAutomapZoom(zoom, delta, zooms = AUTOMAP_ZOOMS) {
+    return Math.min(zooms.length - 1, Math.max(0, zoom + delta));
+}
+
+/**
+ * Lay out the full-screen automap: the whole level at the zoom level, the
+ * labels from getMapAnnotations beside their tiles and a title bar
+ * @param {object} state - Current game state
+ * @param {number} zoom - Index into the zoom levels
+ * @param {Function} measure - Gives the width of a string in pixels
+ * @param {object} panel - Panel size {width, height}
+ * @param {Array<number>} zooms - Pixels per tile at each zoom level
+ * @param {object} colors - Map colors
+ * @param {object} text - Text settings {lineHeight, padding}
+ * @returns {Array<object>} Elements to draw
+ */
+export function layoutAutomap(state, zoom, measure, panel = MAP_PANELS.automap, zooms = AUTOMAP_ZOOMS,
+    colors = MAP_COLORS, text = VR_PANEL_TEXT) {
+    const tileSize = zooms[zoom];
+    const view = buildMapView(state);
+    const origin = {
+        x: placeMapAxis(view.width, state.player.position.x, tileSize, panel.width),
+        y: placeMapAxis(view.height, state.player.position.y, tileSize, panel.height)
+    };
+
+    // Tiles scrolled off the panel aren't drawn
+    const elements = layoutMapTiles(view, origin, tileSize, colors).filter(element =>
+        element.x + element.width > 0 && element.x < panel.width &&
+        element.y + element.height > 0 && element.y < panel.height
+    );
+
+    // Labels go to the right of their tile, pulled back inside the panel near
+    // its right edge; tiles scrolled off the panel aren't labelled
+    for (const annotation of getMapAnnotations(state)) {
+        const tile = { x: origin.x + annotation.x * tileSize, y: origin.y + annotation.y * tileSize };
+        if (tile.x < 0 || tile.x >= panel.width || tile.y < 0 || tile.y >= panel.height) continue;
+
+        const x = tile.x + tileSize + 4;
+        const y = tile.y + (tileSize - text.lineHeight) / 2;
+        elements.push({
+            type: 'text',
+            x: Math.max(0, Math.min(x, panel.width - measure(annotation.text))),
+            y,
+            text: annotation.text,
+            color: '#ffffff'
+        });
+    }
+
+    elements.push(
+        { type: 'rect', x: 0, y: 0, width: panel.width, height: text.lineHeight + 2 * text.padding, color: '#000000' },
+        { type: 'text', x: text.padding, y: text.padding, text: `Depth ${state.dungeon.level}  Turn ${state.turnCount}  Zoom ${zoom + 1}/${zooms.length}`, color: '#ffd700' }
+    );
+    return elements;
+}
@@ -3,12 +3,16 @@
  * Handles turn-based combat mechanics
  */
 
+import { nextRandom } from './rng.js';
+import { decideEnemyAction } from './enemy-ai.js';
+
 /**
  * Roll a d20
+ * @param {object} rng - Run RNG (optional, falls back to Math.random)
  * @returns {number} Result (1-20)
  */
-export function rollD20() {
-    return Math.floor(Math.random() * 20) + 1;
+export function rollD20(rng = null) {
+    return Math.floor(nextRandom(rng) * 20) + 1;
 }
 
 /**
@@ -16,12 +20,13 @@ export function rollD20() {
  * @param {number} count - Number of dice
  * @param {number} sides - Sides per die
  * @param {number} bonus - Bonus to add
+ * @param {object} rng - Run RNG (optional, falls back to Math.random)
  * @returns {number} Total damage
  */
-export function rollDamage(count, sides, bonus = 0) {
+export function rollDamage(count, sides, bonus = 0, rng = null) {
     let total = bonus;
     for (let i = 0; i < count; i++) {
-        total += Math.floor(Math.random() * sides) + 1;
+        total += Math.floor(nextRandom(rng) * sides) + 1;
     }
     return Math.max(1, total); // Minimum 1 damage
 }
@@ -31,11 +36,12 @@ export function rollDamage(count, sides, bonus = 0) {
  * @param {object} attacker - Attacker entity with attackBonus
  * @param {object} defender - Defender entity with ac
  * @param {number} roll - d20 roll (optional, will roll if not provided)
+ * @param {object} rng - Run RNG used when rolling (optional)
  * @returns {object} {hit: boolean, roll: number, natural20: boolean}
  */
-export function calculateHit(attacker, defender, roll = null) {
+export function calculateHit(attacker, defender, roll = null, rng = null) {
     if (roll === null) {
-        roll = rollD20();
+        roll = rollD20(rng);
     }
     
     const attackBonus = attacker.attackBonus || 0;
@@ -57,9 +63,10 @@ export function calculateHit(attacker, defender, roll = null) {
  * @param {object} defender - Defender entity
  * @param {Array} attackerEffects - Status effects on attacker (optional)
  * @param {Array} defenderEffects - Status effects on defender (optional)
+ * @param {object} rng - Run RNG (optional, falls back to Math.random)
  * @returns {object} Combat result {hit, damage, killed, attackRoll}
  */
-export function executeAttack(attacker, defender, attackerEffects = [], defenderEffects = []) {
+export function executeAttack(attacker, defender, attackerEffects = [], defenderEffects = [], rng = null) {
     // Check if defender has stone effect (invulnerable)
     const hasStone = defenderEffects.some(e => e.type === 'stone');
     
@@ -70,7 +77,7 @@ export function executeAttack(attacker, defender, attackerEffects = [], defender
         attackBonus += skillEffect.magnitude;
     }
     
-    const attackResult = calculateHit({...attacker, attackBonus}, defender);
+    const attackResult = calculateHit({...attacker, attackBonus}, defender, null, rng);
     
     if (!attackResult.hit) {
         return {
@@ -93,21 +100,25 @@ export function executeAttack(attacker, defender, attackerEffects = [], defender
     }
     
     // Calculate damage
+    // The player wields from their main hand; other attackers may carry a weapon
+    const weapon = (attacker.equipment && attacker.equipment.mainHand) || attacker.weapon;
     let damage = 0;
-    if (attacker.weapon) {
+    if (weapon) {
         damage = rollDamage(
-            attacker.weapon.damage[0],
-            attacker.weapon.damage[1],
-            attacker.weapon.bonus || 0
+            weapon.damage[0],
+            weapon.damage[1],
+            (weapon.bonus || 0) + (attacker.damageBonus || 0),
+            rng
         );
     } else if (attacker.damage) {
         damage = rollDamage(
             attacker.damage[0],
             attacker.damage[1],
-            attacker.damageBonus || 0
+            attacker.damageBonus || 0,
+            rng
         );
     } else {
-        damage = rollDamage(1, 4, 0); // Default 1d4
+        damage = rollDamage(1, 4, 0, rng); // Default 1d4
     }
     
     // Apply strength bonus to damage if attacker has it
@@ -140,13 +151,19 @@ export function executeAttack(attacker, defender, attackerEffects = [], defender
  * @param {Array<Array>} grid - Dungeon grid
  * @param {function} findPath - Pathfinding function
  * @param {Array} playerEffects - Player's active status effects (optional)
- * @returns {object} {action: 'move'|'attack'|'wait', newPosition?, target?}
+ * @param {object} context - AI context {noise, enemies, doors, rng} (optional). With it the
+ *                           enemy follows its type's AI profile; without it it chases the player
+ * @returns {object} {action: 'move'|'attack'|'wait', newPosition?, target?, ai?}
  */
-export function processEnemyTurn(enemy, playerPosition, grid, findPath, playerEffects = []) {
+export function processEnemyTurn(enemy, playerPosition, grid, findPath, playerEffects = [], context = null) {
     if (!enemy.isAlive) {
         return { action: 'wait' };
     }
     
+    if (context) {
+        return decideEnemyAction(enemy, { ...context, playerPosition, grid, findPath, playerEffects });
+    }
+    
     // Check if player is invisible - if so, enemy doesn't see them
     const playerInvisible = playerEffects.some(e => e.type === 'invisibility');
     if (playerInvisible) {
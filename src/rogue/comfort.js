@@ -0,0 +1,249 @@
+/**
+ * VR Comfort Options
+ * Alternatives to smooth joystick locomotion for players who get motion-sick:
+ * teleporting tile to tile along an arc pointer, snap turning in fixed
+ * increments and a vignette that narrows the view while moving smoothly.
+ * A teleport is walked out as tile steps, so it costs the same turns as
+ * walking there. Like movement.js, these helpers only do the math; the game
+ * controller reads the input and dispatches the moves.
+ */
+
+import {
+    MOVEMENT_THRESHOLD,
+    COMFORT_DEFAULTS,
+    SNAP_TURN_ANGLES,
+    TELEPORT_RANGE,
+    TELEPORT_ARC,
+    VIGNETTE
+} from './constants.js';
+import { worldToGrid, gridToWorld, isWalkable } from './grid-utils.js';
+import { traceProjectile } from './ranged.js';
+import { readSave, writeSave, getDefaultStorage } from './save-game.js';
+
+/**
+ * How the player gets around
+ */
+export const LOCOMOTION_MODES = {
+    SMOOTH: 'smooth',
+    TELEPORT: 'teleport'
+};
+
+/**
+ * How the player turns
+ */
+export const TURN_MODES = {
+    SMOOTH: 'smooth',
+    SNAP: 'snap'
+};
+
+/**
+ * Storage key for the comfort options, kept apart from the run's save
+ */
+export const COMFORT_STORAGE_KEY = 'wxrtest.comfort';
+
+/**
+ * Create comfort settings, filling in the defaults and dropping anything invalid
+ * @param {object} overrides - Settings to change {locomotion, turning, snapAngle, vignette}
+ * @returns {object} Comfort settings
+ */
+export function createComfortSettings(overrides = {}) {
+    const settings = { ...COMFORT_DEFAULTS };
+    if (Object.values(LOCOMOTION_MODES).includes(overrides.locomotion)) {
+        settings.locomotion = overrides.locomotion;
+    }
+    if (Object.values(TURN_MODES).includes(overrides.turning)) {
+        settings.turning = overrides.turning;
+    }
+    if (SNAP_TURN_ANGLES.includes(overrides.snapAngle)) {
+        settings.snapAngle = overrides.snapAngle;
+    }
+    if (typeof overrides.vignette === 'boolean') {
+        settings.vignette = overrides.vignette;
+    }
+    return settings;
+}
+
+/**
+ * Read the player's comfort settings from storage
+ * @param {object} storage - Web Storage compatible object (defaults to localStorage)
+ * @returns {object} Comfort settings, the defaults if none were stored
+ */
+export function loadComfortSettings(storage = getDefaultStorage()) {
+    return createComfortSettings(readSave(storage, COMFORT_STORAGE_KEY) || {});
+}
+
+/**
+ * Write the player's comfort settings to storage
+ * @param {object} settings - Comfort settings
+ * @param {object} storage - Web Storage compatible object (defaults to localStorage)
+ * @returns {boolean} True if the settings were written
+ */
+export function saveComfortSettings(settings, storage = getDefaultStorage()) {
+    return writeSave(settings, storage, COMFORT_STORAGE_KEY);
+}
+
+/**
+ * Step through the turning options: smooth, then snap turning at each
+ * increment from smallest to largest, then back to smooth
+ * @param {object} settings - Comfort settings
+ * @param {Array<number>} angles - Snap increments in degrees
+ * @returns {object} Settings with the next turning option
+ */
+export function cycleTurnSetting(settings, angles = SNAP_TURN_ANGLES) {
+    if (settings.turning === TURN_MODES.SMOOTH) {
+        return { ...settings, turning: TURN_MODES.SNAP, snapAngle: angles[0] };
+    }
+    const index = angles.indexOf(settings.snapAngle);
+    if (index === angles.length - 1) {
+        return { ...settings, turning: TURN_MODES.SMOOTH };
+    }
+    return { ...settings, snapAngle: angles[index + 1] };
+}
+
+/**
+ * Turn by a fixed increment once per push of the thumbstick. The stick has
+ * to come back near the center before it turns again.
+ * @param {number} input - Thumbstick X axis (-1 to 1, right is positive)
+ * @param {boolean} ready - Whether the stick has been released since the last snap
+ * @param {number} angle - Snap increment in degrees
+ * @param {number} threshold - Deflection that triggers a snap
+ * @param {number} release - Deflection below which the stick counts as released
+ * @returns {{delta: number, ready: boolean}} Rotation delta in radians (counter-clockwise
+ *     positive, so pushing right turns clockwise) and whether the next push snaps
+ */
+export function calculateSnapTurn(input, ready, angle, threshold = 0.7, release = 0.3) {
+    if (Math.abs(input) < release) {
+        return { delta: 0, ready: true };
+    }
+    if (ready && Math.abs(input) >= threshold) {
+        return { delta: -Math.sign(input) * angle * Math.PI / 180, ready: false };
+    }
+    return { delta: 0, ready };
+}
+
+/**
+ * Trace the teleport pointer: a parabola thrown from the controller that
+ * falls to the floor
+ * @param {object} origin - Controller world position {x, y, z}
+ * @param {object} direction - Unit vector the controller points along {x, y, z}
+ * @param {object} arc - Arc settings {speed, gravity, step, maxPoints}
+ * @returns {{points: Array<{x: number, y: number, z: number}>, landing: object|null}} Points
+ *     along the arc and where it meets the floor (null if it never does)
+ */
+export function calculateTeleportArc(origin, direction, arc = TELEPORT_ARC) {
+    const points = [{ ...origin }];
+
+    for (let i = 1; i < arc.maxPoints; i++) {
+        const t = i * arc.step;
+        const point = {
+            x: origin.x + direction.x * arc.speed * t,
+            y: origin.y + direction.y * arc.speed * t - arc.gravity * t * t / 2,
+            z: origin.z + direction.z * arc.speed * t
+        };
+
+        if (point.y <= 0) {
+            // Cut the last segment off where it crosses the floor
+            const previous = points[points.length - 1];
+            const along = previous.y / (previous.y - point.y);
+            const landing = {
+                x: previous.x + (point.x - previous.x) * along,
+                y: 0,
+                z: previous.z + (point.z - previous.z) * along
+            };
+            points.push(landing);
+            return { points, landing };
+        }
+
+        points.push(point);
+    }
+
+    return { points, landing: null };
+}
+
+/**
+ * Work out where a teleport to a point on the floor would take the player.
+ * The tile has to be walkable, in sight and in range, with a clear straight
+ * way there, no creature in it and no creature in between.
+ * @param {object} state - Current game state
+ * @param {object} landing - Point on the floor {x, z}, as from calculateTeleportArc
+ * @param {number} range - Furthest teleport in tiles
+ * @returns {{tile: object, path: Array, valid: boolean}|null} Aimed tile, the tiles walked
+ *     through to reach it (empty unless valid) and whether the teleport can go ahead;
+ *     null when there is no landing point
+ */
+export function getTeleportTarget(state, landing, range = TELEPORT_RANGE) {
+    if (!landing) return null;
+
+    const { grid } = state.dungeon;
+    const tile = worldToGrid(landing.x, landing.z);
+    const { path, enemy } = traceProjectile(grid, state.player.position, tile, range, state.entities.enemies);
+    const end = path[path.length - 1];
+
+    const valid = Boolean(end) && end.x === tile.x && end.y === tile.y && !enemy &&
+        path.every(step => isWalkable(grid, step.x, step.y)) &&
+        state.visibleTiles.has(`${tile.x},${tile.y}`);
+
+    return { tile, path: valid ? path : [], valid };
+}
+
+/**
+ * Break a teleport into the moves that walk it, tile by tile, so the
+ * movement threshold counts it like walking the same way. A move passes at
+ * most one turn, so stretches are cut wherever a turn would pass; a short
+ * threshold (a heavy load) then costs as many turns as it does on foot.
+ * @param {object} worldPosition - Player's world position {x, y, z}
+ * @param {Array} path - Tiles to pass through {x, y}, as from getTeleportTarget
+ * @param {number} accumulatedMovement - Distance already moved toward the next turn
+ * @param {number} threshold - Distance per turn, as from getTurnThreshold
+ * @returns {Array<{worldPosition: object, distance: number}>} Moves to dispatch in order
+ */
+export function planTeleportSteps(worldPosition, path, accumulatedMovement = 0, threshold = MOVEMENT_THRESHOLD) {
+    const steps = [];
+    let previous = worldPosition;
+    let accumulated = accumulatedMovement;
+
+    for (const tile of path) {
+        const world = gridToWorld(tile.x, tile.y);
+        const next = { x: world.x, y: worldPosition.y, z: world.z };
+        const length = Math.hypot(next.x - previous.x, next.z - previous.z);
+
+        let covered = 0;
+        while (covered < length) {
+            const remaining = length - covered;
+            const distance = Math.min(remaining, threshold - accumulated);
+            covered = distance === remaining ? length : covered + distance;
+
+            const along = covered / length;
+            steps.push({
+                worldPosition: covered === length ? next : {
+                    x: previous.x + (next.x - previous.x) * along,
+                    y: worldPosition.y,
+                    z: previous.z + (next.z - previous.z) * along
+                },
+                distance
+            });
+
+            // Mirrors movePlayer: passing a turn starts the count again
+            accumulated += distance;
+            if (accumulated >= threshold) accumulated = 0;
+        }
+        previous = next;
+    }
+
+    return steps;
+}
+
+/**
+ * Fade the comfort vignette toward how hard the player is moving or turning
+ * @param {number} current - Current vignette opacity
+ * @param {number} intensity - How hard the player moves or turns (0 to 1)
+ * @param {number} deltaTime - Seconds since the last frame
+ * @param {object} vignette - Vignette settings {maxOpacity, fadeRate}
+ * @returns {number} New vignette opacity
+ */
+export function calculateVignetteOpacity(current, intensity, deltaTime, vignette = VIGNETTE) {
+    const target = Math.min(1, Math.max(0, intensity)) * vignette.maxOpacity;
+    const step = vignette.fadeRate * deltaTime;
+    if (current < target) return Math.min(target, current + step);
+    return Math.max(target, current - step);
+}
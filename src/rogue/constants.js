@@ -8,6 +8,121 @@ export const VISIBILITY_RADIUS = 5; // 5 meters visibility radius
 export const MOVEMENT_THRESHOLD = 2; // 2 meters to advance turn
 export const COMBAT_DETECTION_RADIUS = 10; // 10 meters for auto-combat mode
 
+// Grid-step movement: each key moves one tile and takes one turn. Keys map to
+// a step relative to the way the player faces (forward and right, -1 to 1)
+export const STEP_KEYS = {
+    Numpad8: { forward: 1, right: 0 },
+    Numpad2: { forward: -1, right: 0 },
+    Numpad4: { forward: 0, right: -1 },
+    Numpad6: { forward: 0, right: 1 },
+    Numpad7: { forward: 1, right: -1 },
+    Numpad9: { forward: 1, right: 1 },
+    Numpad1: { forward: -1, right: -1 },
+    Numpad3: { forward: -1, right: 1 },
+    KeyK: { forward: 1, right: 0 },
+    KeyJ: { forward: -1, right: 0 },
+    KeyH: { forward: 0, right: -1 },
+    KeyL: { forward: 0, right: 1 },
+    KeyY: { forward: 1, right: -1 },
+    KeyU: { forward: 1, right: 1 },
+    KeyB: { forward: -1, right: -1 },
+    KeyN: { forward: -1, right: 1 },
+    KeyW: { forward: 1, right: 0 },
+    KeyS: { forward: -1, right: 0 },
+    ArrowUp: { forward: 1, right: 0 },
+    ArrowDown: { forward: -1, right: 0 }
+};
+export const STEP_ANIMATION_TIME = 0.15; // Seconds the view glides between tile centers
+
+// VR comfort options. Locomotion is 'smooth' (joystick) or 'teleport' (arc
+// pointer); turning is 'smooth' or 'snap' by snapAngle degrees; the vignette
+// darkens the edges of view while moving or turning smoothly.
+export const COMFORT_DEFAULTS = {
+    locomotion: 'smooth',
+    turning: 'smooth',
+    snapAngle: 45,
+    vignette: true
+};
+export const SNAP_TURN_ANGLES = [30, 45, 90]; // Degrees, cycled through in the options
+export const TELEPORT_RANGE = 4; // Furthest teleport in tiles
+export const TELEPORT_ARC = {
+    speed: 8,       // Meters per second the arc leaves the controller at
+    gravity: 9.8,   // Meters per second squared pulling it down
+    step: 0.05,     // Seconds between the arc's points
+    maxPoints: 60   // Arc length cap, for rays pointed at the sky
+};
+export const VIGNETTE = {
+    maxOpacity: 0.75, // Opacity at full joystick speed
+    fadeRate: 4       // Opacity change per second
+};
+
+// Hand tracking gestures (see gestures.js). Each gesture starts past one
+// threshold and ends past a looser one, so it doesn't flicker at the edge.
+export const HAND_GESTURES = {
+    pinchStart: 0.02,     // Meters between thumb and index tips to start a pinch
+    pinchEnd: 0.035,      // ...and to let it go
+    palmUpStart: 0.7,     // Upward part of the palm normal to turn the palm up
+    palmUpEnd: 0.4,       // ...and to turn it back over
+    fingerExtended: 0.9,  // How straight the index finger has to be to point
+    fingerCurled: 0.6,    // How bent the other fingers have to be to point
+    minPointReach: 0.5    // Horizontal part of the pointing direction needed to walk
+};
+
+// World-space VR panels (see vr-ui.js): canvas size in pixels and plane size in meters
+export const VR_PANELS = {
+    wrist: { width: 512, height: 256, worldWidth: 0.16, worldHeight: 0.08 },
+    tablet: { width: 1024, height: 768, worldWidth: 0.48, worldHeight: 0.36, columns: 2, rows: 13 },
+    tooltip: { width: 512, height: 384, worldWidth: 0.24, worldHeight: 0.18 },
+    log: { width: 1024, height: 320, worldWidth: 0.8, worldHeight: 0.25 }
+};
+
+// Text on the VR panels, sized to stay readable at arm's length
+export const VR_PANEL_TEXT = {
+    font: 'Bold 24px Arial',
+    lineHeight: 30,
+    padding: 12,
+    background: '#000000'
+};
+
+// Minimap and automap (see automap.js): canvas size in pixels, plane size in
+// meters and, for the minimap, pixels per tile
+export const MAP_PANELS = {
+    minimap: { width: 256, height: 256, worldWidth: 0.8, worldHeight: 0.8, tileSize: 8 },
+    automap: { width: 1024, height: 1024, worldWidth: 1.6, worldHeight: 1.6 }
+};
+
+// Pixels per tile at each automap zoom level
+export const AUTOMAP_ZOOMS = [4, 8, 12, 16, 24];
+
+// Map colors for each kind of tile; remembered tiles out of sight are drawn dimmer
+export const MAP_COLORS = {
+    wall: '#6b8e23',
+    floor: '#8b7355',
+    door: '#d2691e',
+    doorClosed: '#d2691e',
+    stairsDown: '#00ff00',
+    stairsUp: '#00ffff',
+    item: '#ffd700',
+    enemy: '#ff0000',
+    player: '#ffffff',
+    rememberedAlpha: 0.5
+};
+
+// Glyphs for each kind of tile when a map is written out as text
+export const MAP_GLYPHS = {
+    unknown: ' ',
+    wall: '#',
+    floor: '.',
+    rememberedFloor: ',',
+    door: "'",
+    doorClosed: '+',
+    stairsDown: '>',
+    stairsUp: '<',
+    item: '*',
+    enemy: 'E',
+    player: '@'
+};
+
 // Attraction effect constants
 export const MIN_ATTRACTED_ENEMIES = 2; // Minimum enemies spawned by attraction
 export const MAX_ATTRACTED_ENEMIES_RANGE = 3; // Range added to min (2-4 total)
@@ -52,6 +167,7 @@ export const PALETTE = {
     GOLEM: 0x708090,      // Slate gray
     GIANT_SPIDER: 0x800080, // Purple
     RAT: 0x8B7355,        // Brown
+    SHOPKEEPER: 0xFFFFFF, // White
     
     // Items
     POTION: 0xFF00FF,     // Magenta
@@ -59,7 +175,18 @@ export const PALETTE = {
     SWORD: 0xC0C0C0,      // Silver
     RING: 0xFF8C00,       // Dark orange
     GOLD: 0xFFD700,       // Gold
-    FOOD: 0xFFA500        // Orange
+    FOOD: 0xFFA500,       // Orange
+    KEY: 0xDAA520,        // Goldenrod
+    AMULET: 0x40E0D0,     // Turquoise
+    AMMO: 0xDEB887,       // Burlywood
+    SPELLBOOK: 0x4169E1,  // Royal blue
+    
+    // Magic
+    SPELL: 0x9370DB,      // Medium purple
+    
+    // VR comfort
+    TELEPORT_VALID: 0x00BFFF,   // Deep sky blue
+    TELEPORT_INVALID: 0xFF4500  // Orange red
 };
 
 // Enemy type configurations
@@ -74,7 +201,8 @@ export const ENEMY_TYPES = {
         baseDamage: [1, 6], // 1d6
         xpValue: 50,
         spawnDepth: 1, // Can spawn from level 1
-        spawnWeight: 10 // Higher weight = more common
+        spawnWeight: 10, // Higher weight = more common
+        ai: { behavior: 'hunter', sightRange: 6, hearing: 1, doors: 'open' } // Chases anything it sees or hears
     },
     SKELETON: {
         name: 'Skeleton',
@@ -86,7 +214,8 @@ export const ENEMY_TYPES = {
         baseDamage: [1, 8], // 1d8
         xpValue: 100,
         spawnDepth: 3, // Spawns from level 3+
-        spawnWeight: 7
+        spawnWeight: 7,
+        ai: { behavior: 'patrol', sightRange: 6, hearing: 0.5, patrolRadius: 6, doors: 'open' } // Walks a beat around its spawn point
     },
     SLIME: {
         name: 'Slime',
@@ -98,7 +227,8 @@ export const ENEMY_TYPES = {
         baseDamage: [1, 4], // 1d4
         xpValue: 30,
         spawnDepth: 1,
-        spawnWeight: 8
+        spawnWeight: 8,
+        ai: { behavior: 'wander', sightRange: 3, hearing: 0.5, doors: 'none' } // Oozes about at random
     },
     DRAGON: {
         name: 'Dragon',
@@ -110,7 +240,12 @@ export const ENEMY_TYPES = {
         baseDamage: [3, 6], // 3d6
         xpValue: 500,
         spawnDepth: 7, // Spawns from level 7+
-        spawnWeight: 2
+        spawnWeight: 2,
+        ai: { behavior: 'guard', sightRange: 8, hearing: 1, guardRadius: 5, doors: 'bash' }, // Guards its hoard, never strays far
+        abilities: [
+            { id: 'fireBreath', name: 'Fire Breath', type: 'breath', shape: 'cone', range: 5, angle: 90,
+                damage: [2, 6], cooldown: 5, message: '🔥 The dragon breathes fire!' }
+        ]
     },
     RAT: {
         name: 'Rat',
@@ -122,7 +257,8 @@ export const ENEMY_TYPES = {
         baseDamage: [1, 3], // 1d3
         xpValue: 10,
         spawnDepth: 1,
-        spawnWeight: 12 // Very common at low levels
+        spawnWeight: 12, // Very common at low levels
+        ai: { behavior: 'hunter', sightRange: 5, hearing: 1.5, fleeAt: 0.5, doors: 'none' } // Bolts at half HP
     },
     KOBOLD: {
         name: 'Kobold',
@@ -134,7 +270,8 @@ export const ENEMY_TYPES = {
         baseDamage: [1, 4], // 1d4
         xpValue: 25,
         spawnDepth: 1,
-        spawnWeight: 11 // Prolific at low levels
+        spawnWeight: 11, // Prolific at low levels
+        ai: { behavior: 'pack', sightRange: 6, hearing: 1, packRange: 8, doors: 'open' } // Gathers with other kobolds and hunts together
     },
     TROLL: {
         name: 'Troll',
@@ -147,7 +284,8 @@ export const ENEMY_TYPES = {
         xpValue: 200,
         spawnDepth: 4, // Mid-levels
         spawnWeight: 6,
-        regenerates: true // Special: regenerates 1HP per turn
+        regenerates: true, // Special: regenerates 1HP per turn
+        ai: { behavior: 'hunter', sightRange: 5, hearing: 1, doors: 'bash' } // Regenerates, so it never needs to run
     },
     THUG: {
         name: 'Thug',
@@ -159,7 +297,11 @@ export const ENEMY_TYPES = {
         baseDamage: [1, 8], // 1d8
         xpValue: 120,
         spawnDepth: 3,
-        spawnWeight: 8
+        spawnWeight: 8,
+        ai: { behavior: 'hunter', sightRange: 6, hearing: 1.5, fleeAt: 0.25, doors: 'open' }, // Runs once badly hurt
+        abilities: [
+            { id: 'shove', name: 'Shove', type: 'onHit', chance: 0.2, knockback: 1, message: 'You are shoved back!' }
+        ]
     },
     GOLEM: {
         name: 'Golem',
@@ -171,7 +313,12 @@ export const ENEMY_TYPES = {
         baseDamage: [2, 8], // 2d8
         xpValue: 300,
         spawnDepth: 5,
-        spawnWeight: 5
+        spawnWeight: 5,
+        ai: { behavior: 'guard', sightRange: 5, hearing: 0.5, guardRadius: 3, doors: 'bash' }, // Stands sentry over its post
+        abilities: [
+            { id: 'slam', name: 'Slam', type: 'onHit', chance: 0.3, cooldown: 4, knockback: 1,
+                effect: { type: 'stun', duration: 2 }, message: '💫 You are stunned!' }
+        ]
     },
     GIANT_SPIDER: {
         name: 'Giant Spider',
@@ -180,18 +327,47 @@ export const ENEMY_TYPES = {
         size: [0.7, 8, 6],
         baseHP: 12,
         baseAC: 12,
-        baseDamage: [1, 6], // 1d6 plus potential poison
+        baseDamage: [1, 6], // 1d6 plus a poisonous bite
         xpValue: 75,
         spawnDepth: 2,
-        spawnWeight: 7
+        spawnWeight: 7,
+        ai: { behavior: 'ambush', sightRange: 5, hearing: 0, ambushRange: 2, doors: 'none' }, // Waits motionless until prey is close
+        abilities: [
+            { id: 'venomBite', name: 'Venomous Bite', type: 'onHit', chance: 0.35,
+                effect: { type: 'poison', duration: 5, magnitude: 1 }, message: '🕷️ You are poisoned!' }
+        ]
+    },
+    SHOPKEEPER: {
+        name: 'Shopkeeper',
+        color: PALETTE.SHOPKEEPER,
+        geometry: 'cone', // ConeGeometry(0.5, 1.8, 8)
+        size: [0.5, 1.8, 8],
+        baseHP: 60,
+        baseAC: 16,
+        baseDamage: [3, 6], // 3d6
+        xpValue: 400,
+        spawnDepth: Infinity, // Never spawns at random; placed in shops (see shops.js)
+        spawnWeight: 0,
+        ai: { behavior: 'hunter', sightRange: 8, hearing: 1.5, memory: 20, doors: 'open' } // Hunts thieves down
     }
 };
 
+// Noise the player makes, as a radius in tiles that enemies can hear it from
+export const NOISE_RADIUS = {
+    MOVE: 3,
+    COMBAT: 8
+};
+
 // Game progression constants
 export const HUNGER_RATE = 1; // Hunger decreases by 1 per turn
 export const STARTING_HUNGER = 1000;
 export const STARTING_HP = 20;
 export const STARTING_LEVEL = 1;
+export const REGEN_INTERVAL = 10; // Turns between heals from equipment regeneration
+export const STARTING_MANA = 10;
+export const MANA_PER_LEVEL = 3; // Max mana gained per experience level
+export const MANA_REGEN = 1; // Mana regained every MANA_REGEN_INTERVAL turns
+export const MANA_REGEN_INTERVAL = 3;
 export const XP_PER_LEVEL = 100;
 export const XP_MULTIPLIER = 1.5; // XP needed increases by 1.5x per level
 
@@ -202,6 +378,87 @@ export const MIN_ROOM_SIZE = 3;
 export const MAX_ROOM_SIZE = 8;
 export const ENEMY_SCALE_FACTOR = 1.5; // floor(level * 1.5) enemies per level
 
+// Layout generators used at each depth: a band applies from its minLevel until
+// the next band starts, and each level picks one of the band's generators
+export const GENERATOR_BANDS = [
+    { minLevel: 1, generators: ['rooms'] },
+    { minLevel: 3, generators: ['rooms', 'bsp'] },
+    { minLevel: 5, generators: ['bsp', 'drunkard'] },
+    { minLevel: 7, generators: ['cellular', 'drunkard'] },
+    { minLevel: 9, generators: ['cellular', 'maze', 'bsp'] }
+];
+export const MAX_GENERATION_ATTEMPTS = 10; // Layouts that fail validation are regenerated
+
+// Doors placed in doorways of room layouts: each doorway gets a door with
+// DOOR_CHANCE, its state weighted among the states allowed at this depth
+export const DOOR_CHANCE = 0.5;
+export const DOOR_SPAWNS = [
+    { state: 'open', weight: 3, minLevel: 1 },
+    { state: 'closed', weight: 5, minLevel: 1 },
+    { state: 'locked', weight: 1, minLevel: 2 }, // A key is placed on the near side
+    { state: 'secret', weight: 1, minLevel: 3 } // Looks like wall until searched for
+];
+export const DOOR_KICK_DC = 15; // d20 + attack bonus needed to kick a locked door in
+export const SECRET_DOOR_SEARCH_CHANCE = 0.5; // Chance a search of the right wall finds the door
+
+// Item properties rolled for spawned weapons and armor (see item-properties.js)
+export const CURSE_CHANCE = 0.1; // Cursed, with a negative enchantment
+export const ENCHANT_CHANCE = 0.25; // Positive enchantment
+export const MAX_ENCHANTMENT = 3; // Reached from level 7; shallower levels roll lower
+export const AFFIX_CHANCE = 0.15;
+export const ITEM_AFFIXES = [
+    // Magnitude is base + 1 for every perLevels dungeon levels
+    { id: 'flaming', name: 'Flaming', position: 'prefix', itemTypes: ['weapon'], stat: 'damageBonus', base: 1, perLevels: 4, weight: 2, minLevel: 2 },
+    { id: 'regeneration', name: 'of Regeneration', position: 'suffix', itemTypes: ['armor'], stat: 'regen', base: 1, perLevels: 6, weight: 1, minLevel: 3 },
+    { id: 'warding', name: 'of Warding', position: 'suffix', itemTypes: ['weapon', 'armor'], stat: 'ac', base: 1, perLevels: 4, weight: 2, minLevel: 1 }
+];
+
+// Potions found in the dungeon, weighted by how often they spawn
+// (price is the shop base price, shared between kinds so prices only hint;
+// shatter is what a thrown one does to everything near where it breaks)
+export const POTION_TYPES = [
+    { trueType: 'healing', weight: 3, price: 100, shatter: { heal: [2, 6] } },
+    { trueType: 'poison', weight: 2, price: 50, shatter: { damage: [2, 4] } },
+    { trueType: 'invisibility', weight: 2, price: 150 },
+    { trueType: 'speed', weight: 2, price: 150 },
+    { trueType: 'strength', weight: 2, price: 100 },
+    { trueType: 'skill', weight: 2, price: 100 },
+    { trueType: 'sight', weight: 2, price: 50 },
+    { trueType: 'attraction', weight: 2, price: 50 },
+    { trueType: 'stone', weight: 2, price: 150 }
+];
+
+// Scroll catalogue (see scrolls.js). Scrolls take effect at once ('none') or
+// first need a target: an inventory or equipment slot ('item', limited to
+// itemTypes) or a tile the player can see within range ('tile'). Spawns are
+// weighted among the scrolls allowed at this depth. Prices work as for potions.
+export const SCROLL_TYPES = [
+    { trueType: 'identify', target: 'none', weight: 4, minLevel: 1, price: 20 },
+    { trueType: 'teleportation', target: 'none', weight: 3, minLevel: 1, price: 100 },
+    { trueType: 'remove curse', target: 'none', weight: 2, minLevel: 1, price: 80 },
+    { trueType: 'scare monster', target: 'none', weight: 2, minLevel: 1, price: 100 },
+    { trueType: 'magic mapping', target: 'none', weight: 2, minLevel: 2, price: 100 },
+    { trueType: 'enchant weapon', target: 'item', itemTypes: ['weapon'], weight: 2, minLevel: 2, price: 60 },
+    { trueType: 'enchant armor', target: 'item', itemTypes: ['armor'], weight: 2, minLevel: 2, price: 80 },
+    { trueType: 'summon monster', target: 'none', weight: 1, minLevel: 2, price: 60 },
+    { trueType: 'fire', target: 'tile', range: 6, weight: 2, minLevel: 3, price: 100 }
+];
+
+// Appearances shuffled onto the potion and scroll kinds at the start of each
+// run (see discoveries.js); each pool needs at least one entry per kind
+export const POTION_APPEARANCES = [
+    'red potion', 'green potion', 'clear potion', 'blue potion', 'orange potion', 'yellow potion',
+    'purple potion', 'black potion', 'gray potion', 'silver potion', 'amber potion', 'murky potion'
+];
+export const SCROLL_APPEARANCES = [
+    'dusty scroll', 'ancient scroll', 'crumpled scroll', 'wax-sealed scroll', 'faded scroll', 'stained scroll',
+    'bloodied scroll', 'black scroll', 'vellum scroll', 'charred scroll', 'gilded scroll', 'torn scroll'
+];
+export const SCROLL_FIRE_RADIUS = 1; // Tiles around the target caught in the blast
+export const SCROLL_FIRE_DAMAGE = [3, 6]; // Dice [count, sides]
+export const SCROLL_SCARE_RADIUS = 6; // Tiles
+export const SCROLL_SCARE_TURNS = 10; // Turns scared enemies flee for
+
 // Inventory constants
 export const INVENTORY_SIZE = 26; // a-z slots
 export const ITEM_TYPES = {
@@ -211,8 +468,135 @@ export const ITEM_TYPES = {
     SCROLL: 'scroll',
     RING: 'ring',
     GOLD: 'gold',
-    FOOD: 'food'
+    FOOD: 'food',
+    KEY: 'key',
+    AMULET: 'amulet',
+    AMMO: 'ammo',
+    SPELLBOOK: 'spellbook'
+};
+// Item types that stack in one slot with a quantity when identical
+export const STACKABLE_ITEM_TYPES = [ITEM_TYPES.POTION, ITEM_TYPES.SCROLL, ITEM_TYPES.FOOD, ITEM_TYPES.KEY, ITEM_TYPES.AMMO];
+
+// Ranged combat (see ranged.js). Launchers are weapons that fire one piece of
+// their ammo type per shot out to their range; the ammunition's dice set the
+// damage. Any other item can be thrown THROW_RANGE tiles: weapons in
+// THROWING_WEAPONS deal their own damage, anything else THROWN_DAMAGE, and
+// thrown potions shatter. Every tile past the first costs RANGE_HIT_PENALTY
+// to hit, and ammunition that hits has AMMO_BREAK_CHANCE of breaking.
+export const LAUNCHER_TYPES = [
+    { name: 'Sling', damage: [1, 2], bonus: 0, ammo: 'stone', range: 6 },
+    { name: 'Short Bow', damage: [1, 2], bonus: 0, ammo: 'arrow', range: 8 },
+    { name: 'Crossbow', damage: [1, 3], bonus: 1, ammo: 'bolt', range: 10 }
+];
+export const AMMO_TYPES = [
+    { ammo: 'stone', name: 'sling stone', damage: [1, 4] },
+    { ammo: 'arrow', name: 'arrow', damage: [1, 6] },
+    { ammo: 'bolt', name: 'crossbow bolt', damage: [1, 8] }
+];
+export const AMMO_STACK = { min: 5, max: 12 }; // Pieces in a spawned bundle
+export const THROWING_WEAPONS = ['Dagger'];
+export const THROW_RANGE = 5; // Tiles
+export const THROWN_DAMAGE = [1, 2]; // Dice [count, sides]
+export const RANGE_HIT_PENALTY = 1;
+export const AMMO_BREAK_CHANCE = 0.25;
+export const POTION_SHATTER_RADIUS = 1; // Tiles around where a thrown potion breaks
+export const PROJECTILE_SPEED = 24; // Meters per second a projectile mesh flies
+
+// Spell catalogue (see spells.js). Reading a spellbook teaches its spell for
+// good; casting it costs mana. Spells take effect at once ('none') or fly
+// along a line toward an aimed tile out to their range ('tile'), stopping at
+// walls and the first creature like a projectile. Spellbook spawns are
+// weighted among the spells allowed at this depth.
+export const SPELL_TYPES = [
+    { spell: 'magic missile', target: 'tile', cost: 3, range: 8, damage: [2, 4], weight: 3, minLevel: 1 },
+    { spell: 'heal', target: 'none', cost: 5, heal: [2, 6], weight: 3, minLevel: 1 },
+    { spell: 'light', target: 'none', cost: 2, duration: 30, sight: 4, weight: 2, minLevel: 1 }, // sight in meters
+    { spell: 'slow monster', target: 'tile', cost: 4, range: 6, duration: 12, weight: 2, minLevel: 2 },
+    { spell: 'blink', target: 'tile', cost: 6, range: 4, weight: 1, minLevel: 3 }
+];
+
+// Shops (see shops.js). From SHOP_MIN_LEVEL down, a level has SHOP_CHANCE of
+// turning one of its rooms into a shop stocked with SHOP_STOCK items of the
+// weighted SHOP_STOCK_TYPES.
+export const SHOP_MIN_LEVEL = 2;
+export const SHOP_CHANCE = 0.35;
+export const SHOP_STOCK = { min: 4, max: 8 };
+export const SHOP_STOCK_TYPES = [
+    { itemType: ITEM_TYPES.WEAPON, weight: 3 },
+    { itemType: ITEM_TYPES.ARMOR, weight: 3 },
+    { itemType: ITEM_TYPES.POTION, weight: 4 },
+    { itemType: ITEM_TYPES.SCROLL, weight: 4 },
+    { itemType: ITEM_TYPES.FOOD, weight: 3 },
+    { itemType: ITEM_TYPES.RING, weight: 1 },
+    { itemType: ITEM_TYPES.AMULET, weight: 1 },
+    { itemType: ITEM_TYPES.AMMO, weight: 2 },
+    { itemType: ITEM_TYPES.SPELLBOOK, weight: 1 }
+];
+// Base price of one item of each type; potions and scrolls use their kind's
+// price instead. Enchantments and affixes add to it, and prices grow by
+// perLevel for each level below the first. Shopkeepers buy at sellRate.
+export const ITEM_PRICES = {
+    [ITEM_TYPES.WEAPON]: 40,
+    [ITEM_TYPES.ARMOR]: 60,
+    [ITEM_TYPES.RING]: 150,
+    [ITEM_TYPES.AMULET]: 150,
+    [ITEM_TYPES.FOOD]: 10,
+    [ITEM_TYPES.KEY]: 25,
+    [ITEM_TYPES.AMMO]: 2,
+    [ITEM_TYPES.SPELLBOOK]: 120,
+    [ITEM_TYPES.GOLD]: 0
 };
+export const SHOP_PRICING = { perEnchantment: 30, affix: 50, perLevel: 0.1, sellRate: 0.5 };
+
+// Weight of one item of each type (see encumbrance.js); gold goes in the purse
+// and weighs nothing. ITEM_NAME_WEIGHTS overrides the type weight by name.
+export const ITEM_WEIGHTS = {
+    [ITEM_TYPES.WEAPON]: 40,
+    [ITEM_TYPES.ARMOR]: 150,
+    [ITEM_TYPES.POTION]: 20,
+    [ITEM_TYPES.SCROLL]: 5,
+    [ITEM_TYPES.RING]: 3,
+    [ITEM_TYPES.AMULET]: 20,
+    [ITEM_TYPES.FOOD]: 10,
+    [ITEM_TYPES.KEY]: 3,
+    [ITEM_TYPES.AMMO]: 1,
+    [ITEM_TYPES.SPELLBOOK]: 50,
+    [ITEM_TYPES.GOLD]: 0
+};
+export const ITEM_NAME_WEIGHTS = {
+    'Dagger': 10,
+    'Short Sword': 30,
+    'Long Sword': 40,
+    'Battle Axe': 60,
+    'Mace': 30,
+    'Sling': 3,
+    'Short Bow': 30,
+    'Crossbow': 50,
+    'Leather Armor': 150,
+    'Chain Mail': 300,
+    'Plate Mail': 450,
+    'Shield': 100,
+    'Leather Cap': 15,
+    'Iron Helm': 30,
+    'ration': 20,
+    'bread': 10,
+    'apple': 2,
+    'cheese': 10,
+    'dried meat': 5
+};
+
+// What the player can carry before slowing down: the base plus a bonus per
+// level above the first and per point of a strength potion's magnitude
+export const CARRY_CAPACITY = { base: 500, perLevel: 25, perStrength: 50 };
+
+// Encumbrance levels, heaviest last. A level applies once the carried weight
+// exceeds capacity * load; it multiplies the movement threshold (turns pass
+// after less walking) and the hunger used each turn.
+export const ENCUMBRANCE_LEVELS = [
+    { id: 'burdened', name: 'Burdened', load: 1, movement: 0.75, hunger: 2 },
+    { id: 'stressed', name: 'Stressed', load: 1.5, movement: 0.5, hunger: 3 },
+    { id: 'overloaded', name: 'Overloaded', load: 2, movement: 0.25, hunger: 4 }
+];
 
 // Material properties for low-poly aesthetics
 export const MATERIAL_PROPS = {
@@ -0,0 +1,222 @@
+/**
+ * Discoveries
+ * Per-run knowledge of potions and scrolls. At the start of a run every
+ * potion and scroll kind is given an appearance shuffled from the run seed,
+ * so a red potion heals in one run and poisons in the next. The discovery
+ * registry kept in the game state records which appearances the player has
+ * identified and the names they have called the rest, and the journal lists
+ * both.
+ */
+
+import {
+    ITEM_TYPES,
+    POTION_TYPES,
+    POTION_APPEARANCES,
+    SCROLL_TYPES,
+    SCROLL_APPEARANCES
+} from './constants.js';
+import { SeededRandom } from './dungeon-generator.js';
+
+// Offset applied to the run seed so the shuffle doesn't replay the
+// dungeon generator's or the run RNG's sequence
+const APPEARANCE_STREAM_OFFSET = 0x27D4EB2F;
+
+/**
+ * Item kinds with shuffled appearances, with the kinds of each and the
+ * appearances they are shuffled from
+ */
+export const APPEARANCE_POOLS = {
+    [ITEM_TYPES.POTION]: { label: 'Potions', types: POTION_TYPES, appearances: POTION_APPEARANCES },
+    [ITEM_TYPES.SCROLL]: { label: 'Scrolls', types: SCROLL_TYPES, appearances: SCROLL_APPEARANCES }
+};
+
+/**
+ * Give each kind its own appearance, shuffled from a pool
+ * @param {Array<string>} trueTypes - True types to give appearances
+ * @param {Array<string>} appearances - Appearance pool
+ * @param {object} rng - Seeded random number generator
+ * @returns {object} Appearance keyed by true type
+ */
+export function shuffleAppearances(trueTypes, appearances, rng) {
+    if (appearances.length < trueTypes.length) {
+        throw new Error(`Not enough appearances for ${trueTypes.length} item kinds`);
+    }
+
+    const shuffled = [...appearances];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(rng.next() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    return Object.fromEntries(trueTypes.map((trueType, index) => [trueType, shuffled[index]]));
+}
+
+/**
+ * Create the discovery registry for a new run
+ * @param {number} seed - Run seed
+ * @param {object} pools - Appearance pools keyed by item type
+ * @returns {object} Registry {appearances, known, called}
+ */
+export function createDiscoveries(seed, pools = APPEARANCE_POOLS) {
+    const rng = new SeededRandom(seed + APPEARANCE_STREAM_OFFSET);
+    const appearances = {};
+    for (const [itemType, pool] of Object.entries(pools)) {
+        appearances[itemType] = shuffleAppearances(pool.types.map(type => type.trueType), pool.appearances, rng);
+    }
+
+    return {
+        appearances, // Appearance of each kind, keyed by item type then true type
+        known: [], // Appearances the player has identified
+        called: {} // Names the player has called appearances, keyed by appearance
+    };
+}
+
+/**
+ * Check whether an item's kind can be discovered
+ * @param {object} item - Item (may be null)
+ * @returns {boolean} True for potions and scrolls
+ */
+export function hasAppearance(item) {
+    return Boolean(item && APPEARANCE_POOLS[item.type] && item.appearance);
+}
+
+/**
+ * Get what a kind of potion or scroll looks like this run
+ * @param {object} discoveries - Discovery registry (optional)
+ * @param {string} itemType - Item type from ITEM_TYPES
+ * @param {string} trueType - True type, e.g. 'healing'
+ * @param {object} pools - Appearance pools keyed by item type
+ * @returns {string} Appearance, unshuffled when there is no registry
+ */
+export function getAppearance(discoveries, itemType, trueType, pools = APPEARANCE_POOLS) {
+    const assigned = discoveries && discoveries.appearances[itemType]?.[trueType];
+    if (assigned) return assigned;
+
+    const pool = pools[itemType];
+    const index = pool.types.findIndex(type => type.trueType === trueType);
+    return pool.appearances[Math.max(0, index)];
+}
+
+/**
+ * Check whether the player has identified an item's kind
+ * @param {object} discoveries - Discovery registry (optional)
+ * @param {object} item - Item
+ * @returns {boolean} True if the item's appearance is known
+ */
+export function isDiscovered(discoveries, item) {
+    return Boolean(discoveries && hasAppearance(item) && discoveries.known.includes(item.appearance));
+}
+
+/**
+ * Record that the player has identified an item's kind
+ * @param {object} discoveries - Discovery registry
+ * @param {object} item - Identified item
+ * @returns {object} Registry with the item's appearance known (the same registry if nothing changed)
+ */
+export function discoverItem(discoveries, item) {
+    if (!hasAppearance(item) || isDiscovered(discoveries, item)) return discoveries;
+    return { ...discoveries, known: [...discoveries.known, item.appearance] };
+}
+
+/**
+ * Record every identified potion and scroll in an inventory
+ * @param {object} discoveries - Discovery registry
+ * @param {Array} inventory - Inventory slots
+ * @returns {object} Updated registry
+ */
+export function discoverInventory(discoveries, inventory) {
+    return inventory.reduce(
+        (registry, item) => (item && item.identified ? discoverItem(registry, item) : registry),
+        discoveries
+    );
+}
+
+/**
+ * Identify an item if the player already knows its kind
+ * @param {object} item - Item
+ * @param {object} discoveries - Discovery registry (optional)
+ * @returns {object} The item, identified if its appearance is known
+ */
+export function applyDiscoveries(item, discoveries) {
+    if (item.identified || !isDiscovered(discoveries, item)) return item;
+    return { ...item, identified: true };
+}
+
+/**
+ * Check whether the player can call an item by a name of their own
+ * @param {object} item - Item (may be null)
+ * @returns {boolean} True for unidentified potions and scrolls
+ */
+export function canCallItem(item) {
+    return hasAppearance(item) && !item.identified;
+}
+
+/**
+ * Call an appearance by a name of the player's choosing
+ * @param {object} discoveries - Discovery registry
+ * @param {string} appearance - Appearance, e.g. 'red potion'
+ * @param {string} name - Name to call it; blank forgets the name
+ * @returns {object} Updated registry
+ */
+export function callAppearance(discoveries, appearance, name) {
+    const { [appearance]: previous, ...called } = discoveries.called;
+    const trimmed = (name || '').trim();
+    if (trimmed) called[appearance] = trimmed;
+    return { ...discoveries, called };
+}
+
+/**
+ * Get the name the player called an item's appearance
+ * @param {object} discoveries - Discovery registry (optional)
+ * @param {object} item - Item
+ * @returns {string|null} Called name, or null
+ */
+export function getCalledName(discoveries, item) {
+    if (!discoveries || !hasAppearance(item)) return null;
+    return discoveries.called[item.appearance] || null;
+}
+
+/**
+ * List what the player knows and has guessed, kind by kind
+ * @param {object} discoveries - Discovery registry
+ * @param {object} pools - Appearance pools keyed by item type
+ * @returns {Array<{itemType: string, label: string, entries: Array}>} Sections with entries {appearance, trueType, called}
+ */
+export function getJournal(discoveries, pools = APPEARANCE_POOLS) {
+    return Object.entries(pools).map(([itemType, pool]) => {
+        const assigned = discoveries.appearances[itemType] || {};
+        const entries = [];
+
+        for (const { trueType } of pool.types) {
+            const appearance = assigned[trueType];
+            const known = discoveries.known.includes(appearance);
+            const called = discoveries.called[appearance] || null;
+            if (known || called) {
+                entries.push({ appearance, trueType: known ? trueType : null, called });
+            }
+        }
+
+        return { itemType, label: pool.label, entries };
+    });
+}
+
+/**
+ * Get the journal screen lines
+ * @param {object} discoveries - Discovery registry
+ * @returns {Array<string>} Lines, a heading per kind then one line per known or called appearance
+ */
+export function getJournalDisplay(discoveries) {
+    const lines = [];
+    for (const section of getJournal(discoveries)) {
+        lines.push(section.label);
+        if (section.entries.length === 0) {
+            lines.push('  nothing yet');
+        }
+        for (const entry of section.entries) {
+            lines.push(entry.trueType
+                ? `  ${entry.appearance}: ${entry.trueType}`
+                : `  ${entry.appearance}: called "${entry.called}"`);
+        }
+    }
+    return lines;
+}
@@ -0,0 +1,228 @@
+/**
+ * Doors
+ * Door entities that sit in doorways between rooms and corridors. A door's
+ * state decides the tile under it, so movement, pathfinding and line of sight
+ * keep working off the grid: open and broken doors are 'door' tiles, closed
+ * and locked doors are 'door_closed' tiles, and secret doors look like 'wall'
+ * until they are found.
+ */
+
+import { DOOR_CHANCE, DOOR_SPAWNS } from './constants.js';
+import { findPath } from './grid-utils.js';
+
+/**
+ * Door states
+ */
+export const DOOR_STATES = {
+    OPEN: 'open',
+    CLOSED: 'closed',
+    LOCKED: 'locked',
+    SECRET: 'secret',
+    BROKEN: 'broken' // Kicked or bashed in, stays open for good
+};
+
+/**
+ * What an enemy can do with doors in its way (the `doors` field of its AI profile)
+ */
+export const DOOR_SKILLS = {
+    NONE: 'none', // Only passes open doors
+    OPEN: 'open', // Opens closed doors, stopped by locked ones
+    BASH: 'bash' // Smashes through closed and locked doors
+};
+
+const DOOR_TILES = {
+    [DOOR_STATES.OPEN]: 'door',
+    [DOOR_STATES.BROKEN]: 'door',
+    [DOOR_STATES.CLOSED]: 'door_closed',
+    [DOOR_STATES.LOCKED]: 'door_closed',
+    [DOOR_STATES.SECRET]: 'wall'
+};
+
+/**
+ * Create a door entity
+ * @param {object} position - Grid position {x, y}
+ * @param {string} state - Door state from DOOR_STATES
+ * @returns {object} Door {id, position, state}
+ */
+export function createDoor(position, state = DOOR_STATES.CLOSED) {
+    return {
+        id: `door_${position.x}_${position.y}`,
+        position: { ...position },
+        state
+    };
+}
+
+/**
+ * Get the grid tile for a door state
+ * @param {string} state - Door state from DOOR_STATES
+ * @returns {string} Tile type
+ */
+export function getDoorTile(state) {
+    return DOOR_TILES[state];
+}
+
+/**
+ * Check whether a door lets creatures and sight through
+ * @param {object} door - Door entity
+ * @returns {boolean} True for open and broken doors
+ */
+export function isDoorOpen(door) {
+    return door.state === DOOR_STATES.OPEN || door.state === DOOR_STATES.BROKEN;
+}
+
+/**
+ * Find the door at a grid position
+ * @param {Array} doors - Doors on the level
+ * @param {object} position - Grid position {x, y}
+ * @returns {object|null} Door, or null if there is none
+ */
+export function getDoorAt(doors, position) {
+    return (doors || []).find(door =>
+        door.position.x === position.x && door.position.y === position.y
+    ) || null;
+}
+
+/**
+ * Change a door's state, updating the tile under it
+ * @param {object} dungeon - Dungeon data with doors
+ * @param {object} door - Door to change
+ * @param {string} state - New state from DOOR_STATES
+ * @returns {{dungeon: object, door: object}} New dungeon and the changed door
+ */
+export function setDoorState(dungeon, door, state) {
+    const changed = { ...door, state };
+    const { x, y } = door.position;
+    const grid = [...dungeon.grid];
+    grid[y] = [...grid[y]];
+    grid[y][x] = getDoorTile(state);
+
+    return {
+        dungeon: {
+            ...dungeon,
+            grid,
+            doors: dungeon.doors.map(other => (other.id === door.id ? changed : other))
+        },
+        door: changed
+    };
+}
+
+/**
+ * Check whether an enemy with a door skill can get through a door
+ * @param {object} door - Door entity
+ * @param {string} skill - Door skill from DOOR_SKILLS
+ * @returns {boolean} True if the enemy can pass (possibly after opening or bashing it)
+ */
+export function canPassDoor(door, skill) {
+    if (isDoorOpen(door)) return true;
+    if (door.state === DOOR_STATES.CLOSED) return skill === DOOR_SKILLS.OPEN || skill === DOOR_SKILLS.BASH;
+    if (door.state === DOOR_STATES.LOCKED) return skill === DOOR_SKILLS.BASH;
+    return false;
+}
+
+/**
+ * Get a grid for pathfinding where every door a creature can get through is walkable
+ * @param {Array<Array>} grid - Dungeon grid
+ * @param {Array} doors - Doors on the level
+ * @param {string} skill - Door skill from DOOR_SKILLS
+ * @returns {Array<Array>} The grid itself, or a copy with passable doors opened
+ */
+export function getPassableGrid(grid, doors, skill) {
+    const passable = (doors || []).filter(door => !isDoorOpen(door) && canPassDoor(door, skill));
+    if (passable.length === 0) return grid;
+
+    const copy = grid.map(row => [...row]);
+    for (const door of passable) {
+        copy[door.position.y][door.position.x] = 'door';
+    }
+    return copy;
+}
+
+/**
+ * Find doorways: corridor tiles just outside a room's edge with walls on both
+ * sides, where a corridor enters the room
+ * @param {Array<Array>} grid - Dungeon grid
+ * @param {Array} rooms - Rectangular rooms
+ * @returns {Array<{x: number, y: number}>} Doorway positions
+ */
+export function findDoorways(grid, rooms) {
+    const found = new Map();
+    const isWall = (x, y) => grid[y]?.[x] === 'wall';
+
+    for (const room of rooms) {
+        const top = room.y - 1;
+        const bottom = room.y + room.height;
+        const left = room.x - 1;
+        const right = room.x + room.width;
+
+        // Doorways above and below the room have walls to the left and right
+        for (let x = room.x; x < room.x + room.width; x++) {
+            for (const y of [top, bottom]) {
+                if (grid[y]?.[x] === 'floor' && isWall(x - 1, y) && isWall(x + 1, y)) {
+                    found.set(`${x},${y}`, { x, y });
+                }
+            }
+        }
+
+        // Doorways beside the room have walls above and below
+        for (let y = room.y; y < room.y + room.height; y++) {
+            for (const x of [left, right]) {
+                if (grid[y]?.[x] === 'floor' && isWall(x, y - 1) && isWall(x, y + 1)) {
+                    found.set(`${x},${y}`, { x, y });
+                }
+            }
+        }
+    }
+
+    return [...found.values()];
+}
+
+/**
+ * Roll a door state from the spawn table
+ * @param {object} rng - Random number generator with next()
+ * @param {number} level - Dungeon level
+ * @returns {string} Door state
+ */
+function rollDoorState(rng, level) {
+    const options = DOOR_SPAWNS.filter(spawn => level >= spawn.minLevel);
+    const total = options.reduce((sum, spawn) => sum + spawn.weight, 0);
+
+    let roll = rng.next() * total;
+    for (const spawn of options) {
+        roll -= spawn.weight;
+        if (roll < 0) return spawn.state;
+    }
+    return options[options.length - 1].state;
+}
+
+/**
+ * Put doors in some doorways, setting the tiles under them. Secret doors that
+ * would hide the only way to the stairs are turned into plain closed doors.
+ * @param {object} rng - Random number generator with next()
+ * @param {Array<Array>} grid - Dungeon grid (modified in place)
+ * @param {Array} doorways - Doorway positions from findDoorways
+ * @param {number} level - Dungeon level (locked and secret doors only appear deeper)
+ * @param {object} start - Player start position {x, y}
+ * @param {object} stairs - Stairs down position {x, y}
+ * @returns {Array} Doors placed
+ */
+export function placeDoors(rng, grid, doorways, level, start, stairs) {
+    let doors = [];
+
+    for (const doorway of doorways) {
+        if (rng.next() >= DOOR_CHANCE) continue;
+
+        const door = createDoor(doorway, rollDoorState(rng, level));
+        grid[doorway.y][doorway.x] = getDoorTile(door.state);
+        doors.push(door);
+    }
+
+    // Locked doors can always be kicked in, so only secret doors can cut the level off
+    const hidden = doors.filter(door => door.state === DOOR_STATES.SECRET);
+    while (hidden.length > 0 && findPath(getPassableGrid(grid, doors, DOOR_SKILLS.BASH), start, stairs).length === 0) {
+        const door = hidden.shift();
+        grid[door.position.y][door.position.x] = getDoorTile(DOOR_STATES.CLOSED);
+        doors = doors.map(other => (other.id === door.id ? { ...other, state: DOOR_STATES.CLOSED } : other));
+    }
+
+    return doors;
+}
@@ -1,6 +1,8 @@
 /**
  * Procedural Dungeon Generator with Seeded RNG
- * Generates dungeons with rooms, corridors, and difficulty scaling
+ * Generates dungeons with pluggable layout algorithms (rooms and corridors,
+ * BSP, cellular caverns, drunkard's walk, mazes) chosen by depth, then places
+ * stairs, spawns with difficulty scaling, and doors in room doorways
  */
 
 import { 
@@ -9,8 +11,13 @@ import {
     MIN_ROOM_SIZE, 
     MAX_ROOM_SIZE,
     ENEMY_SCALE_FACTOR,
-    ENEMY_TYPES
+    ENEMY_TYPES,
+    GENERATOR_BANDS,
+    MAX_GENERATION_ATTEMPTS,
+    ITEM_TYPES
 } from './constants.js';
+import { findPath } from './grid-utils.js';
+import { DOOR_STATES, DOOR_SKILLS, findDoorways, placeDoors, getPassableGrid } from './doors.js';
 
 /**
  * Seeded Random Number Generator (Mulberry32)
@@ -68,19 +75,190 @@ class Room {
     }
 }
 
+/**
+ * Layout generators keyed by name. Each generator is a function
+ * (rng, width, height) => {grid, rooms} that carves a connected layout into a
+ * walled grid; rooms are the areas used for the player start (first room),
+ * stairs (last room) and spawns, and every room center must be floor.
+ * Generators with proper rooms may also return doorways ({x, y} corridor
+ * tiles where doors can go).
+ */
+export const DUNGEON_GENERATORS = {};
+
+/**
+ * Register a layout generator
+ * @param {string} name - Generator name used in GENERATOR_BANDS
+ * @param {function} generate - Function (rng, width, height) => {grid, rooms}
+ * @param {object} generators - Generator table to register into
+ */
+export function registerDungeonGenerator(name, generate, generators = DUNGEON_GENERATORS) {
+    generators[name] = generate;
+}
+
+/**
+ * Get the seed for one level of a run, so each level has its own layout
+ * @param {number} seed - Run seed
+ * @param {number} level - Dungeon level
+ * @returns {number} Level seed (the run seed itself for level 1)
+ */
+export function getLevelSeed(seed, level) {
+    return (seed + Math.imul(level - 1, 0x9E3779B9)) | 0;
+}
+
+/**
+ * Pick the layout generator for a level from its depth band
+ * @param {number} seed - Run seed
+ * @param {number} level - Dungeon level
+ * @param {Array} bands - Depth bands [{minLevel, generators}]
+ * @returns {string} Generator name
+ */
+export function selectGenerator(seed, level, bands = GENERATOR_BANDS) {
+    const band = bands.filter(candidate => level >= candidate.minLevel).pop() || bands[0];
+
+    // A separate stream, so the choice doesn't shift the layout itself
+    const rng = new SeededRandom(getLevelSeed(seed, level) ^ 0x5BD1E995);
+    return rng.choice(band.generators);
+}
+
 /**
  * Generate a dungeon level
  * @param {number} seed - Random seed
  * @param {number} level - Dungeon level (for difficulty scaling)
  * @param {number} width - Grid width
  * @param {number} height - Grid height
- * @returns {object} Dungeon data {grid, rooms, stairsPosition, enemySpawns}
+ * @param {string} generator - Layout generator name (optional, picked by depth band)
+ * @param {object} generators - Generator table
+ * @returns {object} Dungeon data {grid, rooms, stairsPosition, enemySpawns, itemSpawns, doors, width, height, level, generator}
  */
-export function generateDungeon(seed, level = 1, width = 40, height = 40) {
-    const rng = new SeededRandom(seed);
+export function generateDungeon(seed, level = 1, width = 40, height = 40, generator = null, generators = DUNGEON_GENERATORS) {
+    const rng = new SeededRandom(getLevelSeed(seed, level));
+    const name = generator || selectGenerator(seed, level);
+    const generate = generators[name];
+    if (!generate) {
+        throw new Error(`Unknown dungeon generator: ${name}`);
+    }
+
+    // Regenerate layouts that come out disconnected or without usable rooms
+    let layout = null;
+    for (let attempt = 0; attempt < MAX_GENERATION_ATTEMPTS && !layout; attempt++) {
+        const candidate = generate(rng, width, height);
+        if (isLayoutValid(candidate)) {
+            layout = candidate;
+        }
+    }
+    if (!layout) {
+        throw new Error(`Dungeon generator ${name} produced no valid layout`);
+    }
+
+    const { grid, rooms } = layout;
     
+    // Place stairs down in the last room
+    const lastRoom = rooms[rooms.length - 1];
+    const stairsPosition = {
+        x: lastRoom.center.x,
+        y: lastRoom.center.y
+    };
+    grid[stairsPosition.y][stairsPosition.x] = 'stairs_down';
+    
+    // Calculate enemy spawns based on level
+    const enemyCount = Math.floor(level * ENEMY_SCALE_FACTOR);
+    const enemySpawns = generateEnemySpawns(rng, grid, rooms, enemyCount, level, stairsPosition);
+    
+    // Calculate item spawns based on level
+    const itemCount = Math.floor(level * 2 + 3); // More items than enemies
+    const itemSpawns = generateItemSpawns(rng, grid, rooms, itemCount, level, stairsPosition);
+
+    // Doors go in last so they don't change where anything else spawns
+    const start = getPlayerStartPosition({ rooms });
+    const doors = placeDoors(rng, grid, layout.doorways || [], level, start, stairsPosition);
+    itemSpawns.push(...generateKeySpawns(rng, grid, rooms, doors, level, start, stairsPosition));
+    
+    return {
+        grid,
+        rooms,
+        stairsPosition,
+        enemySpawns,
+        itemSpawns,
+        doors,
+        width,
+        height,
+        level,
+        generator: name
+    };
+}
+
+/**
+ * Check that a layout is playable: at least two rooms with distinct floor
+ * centers, and every floor tile reachable from the first room
+ * @param {object} layout - Layout {grid, rooms} from a generator
+ * @returns {boolean} True if the layout can be used
+ */
+export function isLayoutValid(layout) {
+    const { grid, rooms } = layout;
+    if (!grid || !rooms || rooms.length < 2) return false;
+
+    const start = rooms[0].center;
+    const end = rooms[rooms.length - 1].center;
+    if (start.x === end.x && start.y === end.y) return false;
+    if (rooms.some(room => grid[room.center.y]?.[room.center.x] !== 'floor')) return false;
+
+    const reachable = floodFill(grid, start);
+    let floorCount = 0;
+    for (const row of grid) {
+        for (const tile of row) {
+            if (tile === 'floor') floorCount++;
+        }
+    }
+
+    return reachable.size === floorCount;
+}
+
+/**
+ * Collect the floor tiles connected to a start tile (4-directional)
+ * @param {Array<Array>} grid - 2D grid array
+ * @param {object} start - Start position {x, y}
+ * @returns {Set<string>} Connected tiles as "x,y" keys
+ */
+function floodFill(grid, start) {
+    const seen = new Set([`${start.x},${start.y}`]);
+    const stack = [start];
+
+    while (stack.length > 0) {
+        const { x, y } = stack.pop();
+        for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+            const nx = x + dx;
+            const ny = y + dy;
+            const key = `${nx},${ny}`;
+            if (grid[ny]?.[nx] === 'floor' && !seen.has(key)) {
+                seen.add(key);
+                stack.push({ x: nx, y: ny });
+            }
+        }
+    }
+
+    return seen;
+}
+
+/**
+ * Create a grid filled with walls
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @returns {Array<Array>} 2D grid array
+ */
+function createWallGrid(width, height) {
+    return Array(height).fill(null).map(() => Array(width).fill('wall'));
+}
+
+/**
+ * Classic layout: random non-overlapping rooms chained by L-shaped corridors
+ * @param {SeededRandom} rng - Random number generator
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @returns {object} Layout {grid, rooms, doorways}
+ */
+function generateRoomsLayout(rng, width, height) {
     // Initialize grid with walls
-    const grid = Array(height).fill(null).map(() => Array(width).fill('wall'));
+    const grid = createWallGrid(width, height);
     
     // Generate rooms
     const rooms = [];
@@ -116,34 +294,245 @@ export function generateDungeon(seed, level = 1, width = 40, height = 40) {
         }
     }
     
-    // Place stairs down in the last room
-    const lastRoom = rooms[rooms.length - 1];
-    const stairsPosition = {
-        x: lastRoom.center.x,
-        y: lastRoom.center.y
-    };
-    grid[stairsPosition.y][stairsPosition.x] = 'stairs_down';
-    
-    // Calculate enemy spawns based on level
-    const enemyCount = Math.floor(level * ENEMY_SCALE_FACTOR);
-    const enemySpawns = generateEnemySpawns(rng, rooms, enemyCount, level, stairsPosition);
-    
-    // Calculate item spawns based on level
-    const itemCount = Math.floor(level * 2 + 3); // More items than enemies
-    const itemSpawns = generateItemSpawns(rng, rooms, itemCount, level, stairsPosition);
-    
-    return {
-        grid,
-        rooms,
-        stairsPosition,
-        enemySpawns,
-        itemSpawns,
-        width,
-        height,
-        level
-    };
+    return { grid, rooms, doorways: findDoorways(grid, rooms) };
+}
+
+/**
+ * Binary space partitioning: split the map into leaves, put a room in each
+ * leaf and join sibling subtrees with corridors
+ * @param {SeededRandom} rng - Random number generator
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @returns {object} Layout {grid, rooms, doorways}
+ */
+function generateBSPLayout(rng, width, height) {
+    const grid = createWallGrid(width, height);
+    const rooms = [];
+    const minLeaf = MAX_ROOM_SIZE;
+
+    /**
+     * Partition a leaf and return one of the rooms inside it
+     * @param {number} x - Leaf left edge
+     * @param {number} y - Leaf top edge
+     * @param {number} w - Leaf width
+     * @param {number} h - Leaf height
+     * @returns {Room} A room in the leaf, for corridors to aim at
+     */
+    function partition(x, y, w, h) {
+        const canSplitX = w >= minLeaf * 2;
+        const canSplitY = h >= minLeaf * 2;
+
+        if (!canSplitX && !canSplitY) {
+            const roomWidth = rng.nextInt(MIN_ROOM_SIZE, Math.min(MAX_ROOM_SIZE, w - 2));
+            const roomHeight = rng.nextInt(MIN_ROOM_SIZE, Math.min(MAX_ROOM_SIZE, h - 2));
+            const room = new Room(
+                rng.nextInt(x + 1, x + w - roomWidth - 1),
+                rng.nextInt(y + 1, y + h - roomHeight - 1),
+                roomWidth,
+                roomHeight
+            );
+            createRoom(grid, room);
+            rooms.push(room);
+            return room;
+        }
+
+        // Split across the longer side so leaves stay roughly square
+        const splitX = canSplitX && (!canSplitY || w > h || (w === h && rng.next() < 0.5));
+        let first;
+        let second;
+        if (splitX) {
+            const cut = rng.nextInt(x + minLeaf, x + w - minLeaf);
+            first = partition(x, y, cut - x, h);
+            second = partition(cut, y, x + w - cut, h);
+        } else {
+            const cut = rng.nextInt(y + minLeaf, y + h - minLeaf);
+            first = partition(x, y, w, cut - y);
+            second = partition(x, cut, w, y + h - cut);
+        }
+
+        createCorridor(grid, first.center, second.center, rng);
+        return rng.next() < 0.5 ? first : second;
+    }
+
+    partition(0, 0, width, height);
+    return { grid, rooms, doorways: findDoorways(grid, rooms) };
 }
 
+/**
+ * Cellular automata caverns: random noise smoothed into caves, keeping only
+ * the largest connected cave
+ * @param {SeededRandom} rng - Random number generator
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @returns {object} Layout {grid, rooms}
+ */
+function generateCellularLayout(rng, width, height) {
+    let grid = createWallGrid(width, height);
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            grid[y][x] = rng.next() < 0.45 ? 'wall' : 'floor';
+        }
+    }
+
+    for (let step = 0; step < 4; step++) {
+        const next = createWallGrid(width, height);
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                let walls = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        if ((dx !== 0 || dy !== 0) && grid[y + dy][x + dx] === 'wall') walls++;
+                    }
+                }
+                // Walls survive with 4 wall neighbours, floor fills in with 5
+                next[y][x] = walls >= (grid[y][x] === 'wall' ? 4 : 5) ? 'wall' : 'floor';
+            }
+        }
+        grid = next;
+    }
+
+    keepLargestCave(grid);
+    return { grid, rooms: findSectorRooms(grid) };
+}
+
+/**
+ * Drunkard's walk: a random walker tunnels from the middle of the map until
+ * enough of it is open
+ * @param {SeededRandom} rng - Random number generator
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @returns {object} Layout {grid, rooms}
+ */
+function generateDrunkardLayout(rng, width, height) {
+    const grid = createWallGrid(width, height);
+    const target = Math.floor((width - 2) * (height - 2) * 0.4);
+    const maxSteps = target * 20;
+    const steps = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+    let x = Math.floor(width / 2);
+    let y = Math.floor(height / 2);
+    grid[y][x] = 'floor';
+    let carved = 1;
+
+    for (let step = 0; step < maxSteps && carved < target; step++) {
+        const [dx, dy] = rng.choice(steps);
+        x = Math.min(width - 2, Math.max(1, x + dx));
+        y = Math.min(height - 2, Math.max(1, y + dy));
+        if (grid[y][x] === 'wall') {
+            grid[y][x] = 'floor';
+            carved++;
+        }
+    }
+
+    return { grid, rooms: findSectorRooms(grid) };
+}
+
+/**
+ * Maze: a recursive backtracker carving passages between odd cells
+ * @param {SeededRandom} rng - Random number generator
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @returns {object} Layout {grid, rooms}
+ */
+function generateMazeLayout(rng, width, height) {
+    const grid = createWallGrid(width, height);
+    const directions = [[2, 0], [-2, 0], [0, 2], [0, -2]];
+    const stack = [{ x: 1, y: 1 }];
+    grid[1][1] = 'floor';
+
+    while (stack.length > 0) {
+        const cell = stack[stack.length - 1];
+        const options = directions
+            .map(([dx, dy]) => ({ x: cell.x + dx, y: cell.y + dy, dx, dy }))
+            .filter(next => next.x > 0 && next.x < width - 1 && next.y > 0 && next.y < height - 1 &&
+                grid[next.y][next.x] === 'wall');
+
+        if (options.length === 0) {
+            stack.pop();
+            continue;
+        }
+
+        const next = rng.choice(options);
+        grid[cell.y + next.dy / 2][cell.x + next.dx / 2] = 'floor';
+        grid[next.y][next.x] = 'floor';
+        stack.push({ x: next.x, y: next.y });
+    }
+
+    return { grid, rooms: findSectorRooms(grid) };
+}
+
+/**
+ * Fill in every cave except the largest, so the level is one connected area
+ * @param {Array<Array>} grid - 2D grid array (modified in place)
+ */
+function keepLargestCave(grid) {
+    const seen = new Set();
+    let largest = new Set();
+
+    for (let y = 0; y < grid.length; y++) {
+        for (let x = 0; x < grid[y].length; x++) {
+            if (grid[y][x] !== 'floor' || seen.has(`${x},${y}`)) continue;
+            const cave = floodFill(grid, { x, y });
+            cave.forEach(key => seen.add(key));
+            if (cave.size > largest.size) largest = cave;
+        }
+    }
+
+    for (let y = 0; y < grid.length; y++) {
+        for (let x = 0; x < grid[y].length; x++) {
+            if (grid[y][x] === 'floor' && !largest.has(`${x},${y}`)) {
+                grid[y][x] = 'wall';
+            }
+        }
+    }
+}
+
+/**
+ * Find rooms for layouts without rectangular rooms: the map is split into
+ * sectors and each sector with floor gets a small room centered on the floor
+ * tile nearest its middle. Rooms run in reading order, so the first and last
+ * are at opposite corners of the map.
+ * @param {Array<Array>} grid - 2D grid array
+ * @param {number} sectorSize - Sector width and height in tiles
+ * @returns {Array<Room>} Rooms
+ */
+function findSectorRooms(grid, sectorSize = 10) {
+    const rooms = [];
+    const height = grid.length;
+    const width = grid[0].length;
+
+    for (let sy = 0; sy < height; sy += sectorSize) {
+        for (let sx = 0; sx < width; sx += sectorSize) {
+            const middle = { x: sx + sectorSize / 2, y: sy + sectorSize / 2 };
+            let best = null;
+            let bestDistance = Infinity;
+
+            for (let y = sy; y < Math.min(sy + sectorSize, height); y++) {
+                for (let x = sx; x < Math.min(sx + sectorSize, width); x++) {
+                    if (grid[y][x] !== 'floor') continue;
+                    const d = Math.abs(x - middle.x) + Math.abs(y - middle.y);
+                    if (d < bestDistance) {
+                        best = { x, y };
+                        bestDistance = d;
+                    }
+                }
+            }
+
+            if (best) {
+                rooms.push(new Room(best.x - 2, best.y - 2, 5, 5));
+            }
+        }
+    }
+
+    return rooms;
+}
+
+registerDungeonGenerator('rooms', generateRoomsLayout);
+registerDungeonGenerator('bsp', generateBSPLayout);
+registerDungeonGenerator('cellular', generateCellularLayout);
+registerDungeonGenerator('drunkard', generateDrunkardLayout);
+registerDungeonGenerator('maze', generateMazeLayout);
+
 /**
  * Create a room by carving out floor tiles
  * @param {Array<Array>} grid - 2D grid array
@@ -193,16 +582,39 @@ function createCorridor(grid, start, end, rng) {
     grid[y][x] = 'floor';
 }
 
+/**
+ * Pick a random position inside a random room. Rooms that aren't rectangles
+ * have walls inside them, so positions that land on a wall are re-rolled.
+ * @param {SeededRandom} rng - Random number generator
+ * @param {Array<Array>} grid - 2D grid array
+ * @param {Array<Room>} rooms - Rooms to pick from
+ * @returns {object|null} Open position {x, y}, or null if none was found
+ */
+function pickSpawnPosition(rng, grid, rooms) {
+    for (let attempt = 0; attempt < MAX_GENERATION_ATTEMPTS; attempt++) {
+        const room = rng.choice(rooms);
+        const position = {
+            x: rng.nextInt(room.x + 1, room.x + room.width - 2),
+            y: rng.nextInt(room.y + 1, room.y + room.height - 2)
+        };
+        if (grid[position.y]?.[position.x] !== 'wall') {
+            return position;
+        }
+    }
+    return null;
+}
+
 /**
  * Generate enemy spawn positions
  * @param {SeededRandom} rng - Random number generator
+ * @param {Array<Array>} grid - 2D grid array
  * @param {Array<Room>} rooms - List of rooms
  * @param {number} count - Number of enemies to spawn
  * @param {number} level - Dungeon level
  * @param {object} stairsPosition - Stairs position to avoid
  * @returns {Array<object>} Enemy spawn data
  */
-function generateEnemySpawns(rng, rooms, count, level, stairsPosition) {
+function generateEnemySpawns(rng, grid, rooms, count, level, stairsPosition) {
     const spawns = [];
     const availableTypes = getAvailableEnemyTypes(level);
     
@@ -214,14 +626,10 @@ function generateEnemySpawns(rng, rooms, count, level, stairsPosition) {
     }
     
     for (let i = 0; i < count; i++) {
-        const room = rng.choice(spawnRooms);
-        const position = {
-            x: rng.nextInt(room.x + 1, room.x + room.width - 2),
-            y: rng.nextInt(room.y + 1, room.y + room.height - 2)
-        };
+        const position = pickSpawnPosition(rng, grid, spawnRooms);
         
         // Don't spawn on stairs
-        if (position.x === stairsPosition.x && position.y === stairsPosition.y) {
+        if (!position || (position.x === stairsPosition.x && position.y === stairsPosition.y)) {
             continue;
         }
         
@@ -237,16 +645,49 @@ function generateEnemySpawns(rng, rooms, count, level, stairsPosition) {
     return spawns;
 }
 
+/**
+ * Place a key for every locked door somewhere the player can reach from the
+ * start without going through a locked or secret door
+ * @param {SeededRandom} rng - Random number generator
+ * @param {Array<Array>} grid - 2D grid array
+ * @param {Array<Room>} rooms - List of rooms
+ * @param {Array} doors - Doors on the level
+ * @param {number} level - Dungeon level
+ * @param {object} start - Player start position
+ * @param {object} stairsPosition - Stairs position to avoid
+ * @returns {Array<object>} Key spawn data
+ */
+function generateKeySpawns(rng, grid, rooms, doors, level, start, stairsPosition) {
+    const spawns = [];
+    const openGrid = getPassableGrid(grid, doors, DOOR_SKILLS.OPEN);
+    const isSame = (a, b) => a.x === b.x && a.y === b.y;
+    const locked = doors.filter(door => door.state === DOOR_STATES.LOCKED);
+
+    for (let i = 0; i < locked.length; i++) {
+        for (let attempt = 0; attempt < MAX_GENERATION_ATTEMPTS; attempt++) {
+            const position = pickSpawnPosition(rng, grid, rooms);
+            if (!position || isSame(position, stairsPosition)) continue;
+            if (!isSame(position, start) && findPath(openGrid, start, position).length === 0) continue;
+
+            spawns.push({ itemType: ITEM_TYPES.KEY, position, level });
+            break;
+        }
+    }
+
+    return spawns;
+}
+
 /**
  * Generate item spawn positions
  * @param {SeededRandom} rng - Random number generator
+ * @param {Array<Array>} grid - 2D grid array
  * @param {Array<Room>} rooms - List of rooms
  * @param {number} count - Number of items to spawn
  * @param {number} level - Dungeon level
  * @param {object} stairsPosition - Stairs position to avoid
  * @returns {Array<object>} Item spawn data
  */
-function generateItemSpawns(rng, rooms, count, level, stairsPosition) {
+function generateItemSpawns(rng, grid, rooms, count, level, stairsPosition) {
     const spawns = [];
     
     // Skip first room (player spawn)
@@ -257,14 +698,10 @@ function generateItemSpawns(rng, rooms, count, level, stairsPosition) {
     }
     
     for (let i = 0; i < count; i++) {
-        const room = rng.choice(spawnRooms);
-        const position = {
-            x: rng.nextInt(room.x + 1, room.x + room.width - 2),
-            y: rng.nextInt(room.y + 1, room.y + room.height - 2)
-        };
+        const position = pickSpawnPosition(rng, grid, spawnRooms);
         
         // Don't spawn on stairs
-        if (position.x === stairsPosition.x && position.y === stairsPosition.y) {
+        if (!position || (position.x === stairsPosition.x && position.y === stairsPosition.y)) {
             continue;
         }
         
@@ -284,7 +721,7 @@ function generateItemSpawns(rng, rooms, count, level, stairsPosition) {
  * Select an item type to spawn based on level
  * @param {SeededRandom} rng - Random number generator
  * @param {number} level - Dungeon level
- * @returns {string} Item type (weapon, armor, potion, scroll, food, gold)
+ * @returns {string} Item type (weapon, armor, ring, amulet, potion, scroll, food, gold)
  */
 function selectItemType(rng, level) {
     const roll = rng.next();
@@ -295,7 +732,11 @@ function selectItemType(rng, level) {
     if (roll < 0.45) return 'potion';      // 20%
     if (roll < 0.60) return 'scroll';      // 15%
     if (roll < 0.80) return 'food';        // 20%
-    return 'gold';                         // 20%
+    if (roll < 0.84) return 'ring';        // 4%
+    if (roll < 0.86) return 'amulet';      // 2%
+    if (roll < 0.90) return 'ammo';        // 4%
+    if (roll < 0.92) return 'spellbook';   // 2%
+    return 'gold';                         // 8%
 }
 
 /**
@@ -351,6 +792,6 @@ export function getPlayerStartPosition(dungeon) {
 }
 
 /**
- * Export SeededRandom for testing
+ * Export SeededRandom for testing and Room for restoring saved dungeons
  */
-export { SeededRandom };
+export { SeededRandom, Room };
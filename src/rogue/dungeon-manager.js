@@ -0,0 +1,153 @@
+/**
+ * Dungeon Manager
+ * Keeps every visited dungeon level so the player can walk back up to it.
+ * Levels the player leaves are cached as JSON-safe snapshots (grid, surviving
+ * enemies, dropped items and explored tiles) and restored when they return;
+ * new levels are generated with up-stairs linked to the level above.
+ */
+
+import { ITEM_TYPES } from './constants.js';
+import { generateDungeon, getPlayerStartPosition, Room } from './dungeon-generator.js';
+import { createEnemy, createItemFromSpawn } from './entity-manager.js';
+import { assignGuardPosts } from './enemy-ai.js';
+import { planShop, isInShop, getItemPrice } from './shops.js';
+
+/**
+ * Directions the player can travel between levels
+ */
+export const LEVEL_DIRECTIONS = {
+    DOWN: 'down',
+    UP: 'up'
+};
+
+/**
+ * Generate a new dungeon level with its enemies and items, and a shop on
+ * some levels
+ * @param {number} seed - Run seed
+ * @param {number} level - Dungeon level to generate
+ * @param {object} rng - Run RNG used to roll the entities
+ * @param {object} discoveries - Run's discovery registry, for potion and scroll appearances (optional)
+ * @returns {object} Level {dungeon, enemies, items, exploredTiles, rememberedItems}
+ */
+export function generateLevel(seed, level, rng, discoveries = null) {
+    const dungeon = generateDungeon(seed, level);
+
+    // Every level below the first has stairs up where the player arrives
+    if (level > 1) {
+        const stairsUpPosition = getPlayerStartPosition(dungeon);
+        dungeon.grid[stairsUpPosition.y][stairsUpPosition.x] = 'stairs_up';
+        dungeon.stairsUpPosition = stairsUpPosition;
+    }
+
+    let items = (dungeon.itemSpawns || []).map(spawn => createItemFromSpawn(spawn, rng, discoveries));
+    let enemies = assignGuardPosts(
+        dungeon.enemySpawns.map(spawn => createEnemy(spawn.type, spawn.position, level, rng)),
+        items
+    );
+
+    // A shop clears its room of everything else and lays out its own priced stock
+    const keys = items.filter(item => item.type === ITEM_TYPES.KEY).map(item => item.position);
+    const plan = planShop(dungeon, seed, level, keys);
+    dungeon.shop = null;
+    if (plan) {
+        const shop = { room: plan.room };
+        const shopkeeper = { ...createEnemy('SHOPKEEPER', plan.shopkeeper, level, rng), peaceful: true };
+        const stock = plan.stock.map(spawn => {
+            const item = createItemFromSpawn({ ...spawn, level }, rng, discoveries);
+            return { ...item, price: getItemPrice(item, level) };
+        });
+
+        items = [...items.filter(item => !isInShop(shop, item.position)), ...stock];
+        enemies = [...enemies.filter(enemy => !isInShop(shop, enemy.position)), shopkeeper];
+        dungeon.shop = { ...shop, shopkeeperId: shopkeeper.id, level };
+    }
+
+    return { dungeon, enemies, items, exploredTiles: new Set(), rememberedItems: new Set() };
+}
+
+/**
+ * Snapshot the level the player is on so it can be restored later
+ * @param {object} state - Current game state
+ * @returns {object} JSON-safe snapshot {dungeon, enemies, items, exploredTiles, rememberedItems}
+ */
+export function createLevelSnapshot(state) {
+    const dungeon = state.dungeon;
+
+    return JSON.parse(JSON.stringify({
+        dungeon: {
+            ...dungeon,
+            // Room centers are getters, so store the plain rectangle
+            rooms: dungeon.rooms.map(room => ({
+                x: room.x,
+                y: room.y,
+                width: room.width,
+                height: room.height
+            }))
+        },
+        enemies: state.entities.enemies,
+        items: state.entities.items,
+        exploredTiles: Array.from(state.exploredTiles || []),
+        rememberedItems: Array.from(state.rememberedItems || [])
+    }));
+}
+
+/**
+ * Rebuild a level from its snapshot
+ * @param {object} snapshot - Snapshot from createLevelSnapshot
+ * @returns {object} Level {dungeon, enemies, items, exploredTiles, rememberedItems}
+ */
+export function restoreLevelSnapshot(snapshot) {
+    const restored = JSON.parse(JSON.stringify(snapshot));
+
+    return {
+        dungeon: {
+            ...restored.dungeon,
+            rooms: restored.dungeon.rooms.map(room => new Room(room.x, room.y, room.width, room.height))
+        },
+        enemies: restored.enemies,
+        items: restored.items,
+        exploredTiles: new Set(restored.exploredTiles),
+        rememberedItems: new Set(restored.rememberedItems || [])
+    };
+}
+
+/**
+ * Get where the player arrives on a level
+ * @param {object} dungeon - Dungeon of the level being entered
+ * @param {string} direction - Direction travelled, from LEVEL_DIRECTIONS
+ * @returns {object} Grid position {x, y}
+ */
+export function getArrivalPosition(dungeon, direction) {
+    // Climbing up lands on the stairs down the player originally took
+    if (direction === LEVEL_DIRECTIONS.UP && dungeon.stairsPosition) {
+        return { ...dungeon.stairsPosition };
+    }
+    if (dungeon.stairsUpPosition) {
+        return { ...dungeon.stairsUpPosition };
+    }
+    return getPlayerStartPosition(dungeon);
+}
+
+/**
+ * Leave the current level for another one, caching the current level and
+ * restoring the destination if it was visited before
+ * @param {object} state - Current game state
+ * @param {number} level - Dungeon level to enter
+ * @param {object} rng - Run RNG, used only when a new level is generated
+ * @returns {{level: object, levels: object, arrival: object}} Entered level, remaining cache and arrival position
+ */
+export function travelToLevel(state, level, rng) {
+    const direction = level < state.dungeon.level ? LEVEL_DIRECTIONS.UP : LEVEL_DIRECTIONS.DOWN;
+    const levels = { ...(state.levels || {}) };
+
+    // A fresh run has no level to leave behind yet
+    if (state.dungeon.grid.length > 0) {
+        levels[state.dungeon.level] = createLevelSnapshot(state);
+    }
+
+    const cached = levels[level];
+    delete levels[level];
+
+    const entered = cached ? restoreLevelSnapshot(cached) : generateLevel(state.seed, level, rng, state.discoveries);
+    return { level: entered, levels, arrival: getArrivalPosition(entered.dungeon, direction) };
+}
@@ -0,0 +1,89 @@
+/**
+ * Encumbrance
+ * Carry weight and what it costs the player. Every item has a weight, and
+ * everything carried or worn counts against a capacity that grows with the
+ * player's level and strength. Past capacity the player is burdened, then
+ * stressed, then overloaded: turns pass after less walking and hunger runs
+ * down faster (see turn-manager.js).
+ */
+
+import { ITEM_WEIGHTS, ITEM_NAME_WEIGHTS, CARRY_CAPACITY, ENCUMBRANCE_LEVELS } from './constants.js';
+import { getStatusEffect, STATUS_TYPES } from './status-effects.js';
+import { getQuantity } from './inventory.js';
+
+/**
+ * Get the weight of one item of a type
+ * @param {string} type - Item type from ITEM_TYPES
+ * @param {string} name - Item name, for weights set per name (optional)
+ * @returns {number} Weight
+ */
+export function getDefaultItemWeight(type, name = null) {
+    if (name && ITEM_NAME_WEIGHTS[name] !== undefined) return ITEM_NAME_WEIGHTS[name];
+    return ITEM_WEIGHTS[type] || 0;
+}
+
+/**
+ * Get the weight of an item or a whole stack
+ * @param {object} item - Item (may be null)
+ * @returns {number} Weight; items saved before weights use their default weight
+ */
+export function getItemWeight(item) {
+    if (!item) return 0;
+    const weight = item.weight !== undefined ? item.weight : getDefaultItemWeight(item.type, item.name);
+    return weight * getQuantity(item);
+}
+
+/**
+ * Get the weight of everything the player carries and wears
+ * @param {object} state - Game state
+ * @returns {number} Carried weight
+ */
+export function getCarriedWeight(state) {
+    const carried = (state.inventory || []).reduce((total, item) => total + getItemWeight(item), 0);
+    const worn = Object.values(state.player.equipment || {}).reduce((total, item) => total + getItemWeight(item), 0);
+    return carried + worn;
+}
+
+/**
+ * Get how much the player can carry before slowing down
+ * @param {object} player - Player state
+ * @param {object} capacity - Capacity settings {base, perLevel, perStrength}
+ * @returns {number} Carry capacity
+ */
+export function getCarryCapacity(player, capacity = CARRY_CAPACITY) {
+    const strength = getStatusEffect(player.statusEffects || [], STATUS_TYPES.STRENGTH);
+    return capacity.base +
+        capacity.perLevel * Math.max(0, (player.level || 1) - 1) +
+        capacity.perStrength * (strength ? strength.magnitude : 0);
+}
+
+/**
+ * Get how encumbered the player is
+ * @param {object} state - Game state
+ * @param {Array} levels - Encumbrance levels, heaviest last
+ * @returns {object|null} Encumbrance level from ENCUMBRANCE_LEVELS, or null if unencumbered
+ */
+export function getEncumbrance(state, levels = ENCUMBRANCE_LEVELS) {
+    const weight = getCarriedWeight(state);
+    const capacity = getCarryCapacity(state.player);
+    let encumbrance = null;
+
+    for (const level of levels) {
+        if (weight > capacity * level.load) encumbrance = level;
+    }
+
+    return encumbrance;
+}
+
+/**
+ * Get the player's load for display
+ * @param {object} state - Game state
+ * @returns {{weight: number, capacity: number, encumbrance: object|null}} Carried weight, capacity and encumbrance level
+ */
+export function getLoad(state) {
+    return {
+        weight: getCarriedWeight(state),
+        capacity: getCarryCapacity(state.player),
+        encumbrance: getEncumbrance(state)
+    };
+}
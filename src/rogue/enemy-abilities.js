@@ -0,0 +1,188 @@
+/**
+ * Enemy Abilities
+ * Data-driven special attacks declared on ENEMY_TYPES[type].abilities:
+ * on-hit status effects and knockback, and ranged breath attacks shaped as
+ * cones or lines, each with an optional cooldown. These helpers only work
+ * out what happens; the game rules apply the results to the state.
+ */
+
+import { ENEMY_TYPES } from './constants.js';
+import { distance, isWalkable } from './grid-utils.js';
+import { hasLineOfSight, isOpaqueTile } from './visibility.js';
+import { nextRandom } from './rng.js';
+
+/**
+ * Ability kinds
+ */
+export const ABILITY_TYPES = {
+    ON_HIT: 'onHit', // Triggers when a melee attack lands
+    BREATH: 'breath' // Ranged area attack used instead of moving or attacking
+};
+
+/**
+ * Breath attack shapes
+ */
+export const BREATH_SHAPES = {
+    CONE: 'cone',
+    LINE: 'line'
+};
+
+const DEFAULT_CONE_ANGLE = 90; // Degrees, full width of a cone
+
+/**
+ * Get the abilities declared for an enemy type
+ * @param {string} type - Enemy type name (from ENEMY_TYPES)
+ * @returns {Array} Ability definitions
+ */
+export function getEnemyAbilities(type) {
+    const config = ENEMY_TYPES[type];
+    return (config && config.abilities) || [];
+}
+
+/**
+ * Check whether an ability is off cooldown
+ * @param {object} enemy - Enemy entity
+ * @param {object} ability - Ability definition
+ * @returns {boolean} True if the ability can be used
+ */
+export function isAbilityReady(enemy, ability) {
+    const cooldowns = enemy.cooldowns || {};
+    return !(cooldowns[ability.id] > 0);
+}
+
+/**
+ * Put an ability on cooldown
+ * @param {object} cooldowns - Current cooldowns keyed by ability id
+ * @param {object} ability - Ability that was used
+ * @returns {object} New cooldowns
+ */
+export function startCooldown(cooldowns, ability) {
+    if (!ability.cooldown) return { ...cooldowns };
+    return { ...cooldowns, [ability.id]: ability.cooldown };
+}
+
+/**
+ * Count every cooldown down by one turn, dropping finished ones
+ * @param {object} cooldowns - Current cooldowns keyed by ability id
+ * @returns {object} New cooldowns
+ */
+export function tickCooldowns(cooldowns) {
+    const ticked = {};
+    for (const [id, turns] of Object.entries(cooldowns || {})) {
+        if (turns > 1) {
+            ticked[id] = turns - 1;
+        }
+    }
+    return ticked;
+}
+
+/**
+ * Roll which on-hit abilities trigger for a landed attack
+ * @param {object} enemy - Attacking enemy
+ * @param {object} rng - Run RNG
+ * @returns {Array} Triggered ability definitions
+ */
+export function rollOnHitAbilities(enemy, rng) {
+    return getEnemyAbilities(enemy.type).filter(ability =>
+        ability.type === ABILITY_TYPES.ON_HIT &&
+        isAbilityReady(enemy, ability) &&
+        nextRandom(rng) < (ability.chance === undefined ? 1 : ability.chance)
+    );
+}
+
+/**
+ * Work out where a knockback pushes its target: straight away from the
+ * attacker, stopping early at walls and other creatures
+ * @param {object} from - Attacker position {x, y}
+ * @param {object} target - Target position {x, y}
+ * @param {number} tiles - Knockback distance in tiles
+ * @param {Array<Array>} grid - Dungeon grid
+ * @param {Array} enemies - Enemies that block the push
+ * @returns {object|null} Landing position {x, y}, or null if the target can't move
+ */
+export function getKnockbackDestination(from, target, tiles, grid, enemies = []) {
+    const stepX = Math.sign(target.x - from.x);
+    const stepY = Math.sign(target.y - from.y);
+    if (stepX === 0 && stepY === 0) return null;
+
+    let landing = null;
+    for (let i = 1; i <= tiles; i++) {
+        const x = target.x + stepX * i;
+        const y = target.y + stepY * i;
+        const occupied = enemies.some(enemy => enemy.isAlive && enemy.position.x === x && enemy.position.y === y);
+        if (!isWalkable(grid, x, y) || occupied) break;
+        landing = { x, y };
+    }
+
+    return landing;
+}
+
+/**
+ * Get the tiles a breath attack covers when aimed from an origin at a target
+ * @param {object} origin - Breathing enemy position {x, y}
+ * @param {object} target - Position aimed at {x, y}
+ * @param {object} ability - Breath ability {shape, range, angle?}
+ * @param {Array<Array>} grid - Dungeon grid (walls and closed doors stop the breath)
+ * @returns {Array<{x: number, y: number}>} Covered tiles, row by row
+ */
+export function getBreathArea(origin, target, ability, grid) {
+    const aimX = target.x - origin.x;
+    const aimY = target.y - origin.y;
+    const aimLength = Math.hypot(aimX, aimY);
+    if (aimLength === 0) return [];
+
+    const dirX = aimX / aimLength;
+    const dirY = aimY / aimLength;
+    const halfAngle = ((ability.angle || DEFAULT_CONE_ANGLE) / 2) * Math.PI / 180;
+    const range = ability.range;
+    const tiles = [];
+
+    for (let y = origin.y - range; y <= origin.y + range; y++) {
+        for (let x = origin.x - range; x <= origin.x + range; x++) {
+            if (y < 0 || y >= grid.length || x < 0 || x >= grid[0].length) continue;
+            if (x === origin.x && y === origin.y) continue;
+
+            const dx = x - origin.x;
+            const dy = y - origin.y;
+            const length = Math.hypot(dx, dy);
+            if (length > range) continue;
+
+            const along = dx * dirX + dy * dirY;
+            if (along <= 0) continue;
+
+            // The epsilon keeps tiles exactly on the cone's edge inside it
+            const inShape = ability.shape === BREATH_SHAPES.LINE
+                ? Math.abs(dx * dirY - dy * dirX) <= 0.5
+                : along / length >= Math.cos(halfAngle) - 1e-9;
+
+            if (inShape && !isOpaqueTile(grid[y][x]) && hasLineOfSight(grid, origin, { x, y })) {
+                tiles.push({ x, y });
+            }
+        }
+    }
+
+    return tiles;
+}
+
+/**
+ * Pick a ready breath ability that can reach the player
+ * @param {object} enemy - Enemy entity
+ * @param {object} playerPosition - Player grid position
+ * @param {Array<Array>} grid - Dungeon grid
+ * @returns {object|null} {ability, tiles} to use, or null
+ */
+export function findBreathAttack(enemy, playerPosition, grid) {
+    const range = distance(enemy.position.x, enemy.position.y, playerPosition.x, playerPosition.y);
+
+    for (const ability of getEnemyAbilities(enemy.type)) {
+        if (ability.type !== ABILITY_TYPES.BREATH || !isAbilityReady(enemy, ability)) continue;
+        if (range > ability.range) continue;
+
+        const tiles = getBreathArea(enemy.position, playerPosition, ability, grid);
+        if (tiles.some(tile => tile.x === playerPosition.x && tile.y === playerPosition.y)) {
+            return { ability, tiles };
+        }
+    }
+
+    return null;
+}
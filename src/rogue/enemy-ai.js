@@ -0,0 +1,399 @@
+/**
+ * Enemy AI
+ * Per-type behaviour profiles (from ENEMY_TYPES[type].ai) driving a small
+ * state machine: idle → alert (heard something) → hunt (seen the player),
+ * with flee at low HP. Enemies only know what they see along their own
+ * line of sight or hear from the noise the player makes.
+ */
+
+import { ENEMY_TYPES } from './constants.js';
+import { distance, isWalkable, getAdjacentPositions } from './grid-utils.js';
+import { hasLineOfSight } from './visibility.js';
+import { hasStatusEffect, STATUS_TYPES } from './status-effects.js';
+import { nextRandom } from './rng.js';
+import { getPassableGrid } from './doors.js';
+
+/**
+ * AI states
+ */
+export const AI_STATES = {
+    IDLE: 'idle',
+    ALERT: 'alert',
+    HUNT: 'hunt',
+    FLEE: 'flee'
+};
+
+/**
+ * What an enemy does while idle, and what makes it start hunting
+ */
+export const AI_BEHAVIORS = {
+    HUNTER: 'hunter', // Waits, hunts whatever it perceives
+    WANDER: 'wander', // Drifts about at random
+    PATROL: 'patrol', // Walks between random waypoints near home
+    AMBUSH: 'ambush', // Waits until the player comes within ambushRange (or it gets hurt)
+    GUARD: 'guard', // Stays near home, only hunts intruders within guardRadius
+    PACK: 'pack' // Gathers with its own kind and joins packmates' hunts
+};
+
+/**
+ * Profile values used when a type leaves them out
+ */
+export const DEFAULT_AI_PROFILE = {
+    behavior: AI_BEHAVIORS.HUNTER,
+    sightRange: 6, // Tiles
+    hearing: 1, // Multiplier on noise radius
+    fleeAt: 0, // Fraction of max HP at which the enemy runs
+    memory: 5, // Turns an enemy keeps searching after losing track of the player
+    patrolRadius: 5,
+    guardRadius: 4,
+    ambushRange: 2,
+    packRange: 8,
+    doors: 'open' // Door skill from DOOR_SKILLS
+};
+
+/**
+ * Get the full AI profile for an enemy type
+ * @param {string} type - Enemy type name (from ENEMY_TYPES)
+ * @returns {object} AI profile
+ */
+export function getAIProfile(type) {
+    const config = ENEMY_TYPES[type];
+    return { ...DEFAULT_AI_PROFILE, ...(config && config.ai) };
+}
+
+/**
+ * Create the AI memory for a newly spawned enemy
+ * @param {object} position - Spawn position {x, y}, remembered as home
+ * @returns {object} AI memory {state, home, lastKnownPlayer, memory, waypoint}
+ */
+export function createAIState(position) {
+    return {
+        state: AI_STATES.IDLE,
+        home: { ...position },
+        lastKnownPlayer: null,
+        memory: 0,
+        waypoint: null
+    };
+}
+
+/**
+ * Move guards' homes onto the nearest item so they sit on the treasure
+ * @param {Array} enemies - Enemies on the level
+ * @param {Array} items - Items on the level
+ * @returns {Array} Enemies with guard posts assigned
+ */
+export function assignGuardPosts(enemies, items) {
+    return enemies.map(enemy => {
+        const profile = getAIProfile(enemy.type);
+        if (profile.behavior !== AI_BEHAVIORS.GUARD || items.length === 0) return enemy;
+
+        const byDistance = item => distance(enemy.position.x, enemy.position.y, item.position.x, item.position.y);
+        const nearest = items.reduce((best, item) => (byDistance(item) < byDistance(best) ? item : best));
+        if (byDistance(nearest) > profile.guardRadius * 2) return enemy;
+
+        return { ...enemy, ai: { ...enemy.ai, home: { ...nearest.position } } };
+    });
+}
+
+/**
+ * Check whether an enemy can see the player
+ * @param {object} enemy - Enemy entity
+ * @param {object} profile - Enemy AI profile
+ * @param {object} context - Turn context
+ * @returns {boolean} True if the player is in sight
+ */
+export function canSeePlayer(enemy, profile, context) {
+    if (hasStatusEffect(context.playerEffects, STATUS_TYPES.INVISIBILITY)) return false;
+
+    const player = context.playerPosition;
+    const range = distance(enemy.position.x, enemy.position.y, player.x, player.y);
+    return range <= profile.sightRange && hasLineOfSight(context.grid, enemy.position, player);
+}
+
+/**
+ * Check whether an enemy hears the player's noise this turn
+ * @param {object} enemy - Enemy entity
+ * @param {object} profile - Enemy AI profile
+ * @param {object|null} noise - Noise {position, radius} or null
+ * @returns {boolean} True if the noise is within earshot
+ */
+export function canHearNoise(enemy, profile, noise) {
+    if (!noise) return false;
+    const range = distance(enemy.position.x, enemy.position.y, noise.position.x, noise.position.y);
+    return range <= noise.radius * profile.hearing;
+}
+
+/**
+ * Check whether seeing the player is enough to start a hunt
+ * @param {object} enemy - Enemy entity
+ * @param {object} ai - Current AI memory
+ * @param {object} profile - Enemy AI profile
+ * @param {object} player - Player position {x, y}
+ * @returns {boolean} True if the enemy hunts the player it sees
+ */
+function triggersHunt(enemy, ai, profile, player) {
+    if (profile.behavior === AI_BEHAVIORS.AMBUSH) {
+        const range = distance(enemy.position.x, enemy.position.y, player.x, player.y);
+        return ai.state === AI_STATES.HUNT || range <= profile.ambushRange || enemy.hp < enemy.maxHp;
+    }
+    if (profile.behavior === AI_BEHAVIORS.GUARD) {
+        return distance(ai.home.x, ai.home.y, player.x, player.y) <= profile.guardRadius;
+    }
+    return true;
+}
+
+/**
+ * Find a packmate of the same type that is hunting within range
+ * @param {object} enemy - Enemy entity
+ * @param {object} profile - Enemy AI profile
+ * @param {Array} enemies - All enemies on the level
+ * @returns {object|null} Hunting packmate, or null
+ */
+function findHuntingPackmate(enemy, profile, enemies) {
+    return enemies.find(other =>
+        other.id !== enemy.id &&
+        other.isAlive &&
+        other.type === enemy.type &&
+        other.ai && other.ai.state === AI_STATES.HUNT && other.ai.lastKnownPlayer &&
+        distance(enemy.position.x, enemy.position.y, other.position.x, other.position.y) <= profile.packRange
+    ) || null;
+}
+
+/**
+ * Scare an enemy into fleeing from the player for a while, whatever it sees
+ * @param {object} enemy - Enemy entity
+ * @param {object} playerPosition - Player grid position to flee from
+ * @param {number} turns - Turns to flee for
+ * @returns {object} New enemy
+ */
+export function scareEnemy(enemy, playerPosition, turns) {
+    const ai = enemy.ai || createAIState(enemy.position);
+    return {
+        ...enemy,
+        ai: { ...ai, state: AI_STATES.FLEE, lastKnownPlayer: { ...playerPosition }, scared: turns }
+    };
+}
+
+/**
+ * Work out an enemy's next AI state from what it perceives
+ * @param {object} enemy - Enemy entity
+ * @param {object} profile - Enemy AI profile
+ * @param {object} context - Turn context
+ * @param {boolean} sees - Whether the enemy sees the player
+ * @returns {object} New AI memory
+ */
+export function nextAIState(enemy, profile, context, sees) {
+    const ai = { ...(enemy.ai || createAIState(enemy.position)) };
+    const player = context.playerPosition;
+
+    // Scared enemies run from the player until the fright wears off
+    if (ai.scared > 0) {
+        return {
+            ...ai,
+            state: AI_STATES.FLEE,
+            lastKnownPlayer: sees ? { ...player } : ai.lastKnownPlayer,
+            memory: profile.memory,
+            scared: ai.scared - 1
+        };
+    }
+
+    if (sees) {
+        if (enemy.hp <= enemy.maxHp * profile.fleeAt) {
+            return { ...ai, state: AI_STATES.FLEE, lastKnownPlayer: { ...player }, memory: profile.memory };
+        }
+        if (triggersHunt(enemy, ai, profile, player)) {
+            return { ...ai, state: AI_STATES.HUNT, lastKnownPlayer: { ...player }, memory: profile.memory };
+        }
+        // Ambushers keep waiting, guards go back to their post
+        return { ...ai, state: AI_STATES.IDLE, lastKnownPlayer: null, memory: 0 };
+    }
+
+    if (ai.state === AI_STATES.IDLE || ai.state === AI_STATES.ALERT) {
+        const packmate = profile.behavior === AI_BEHAVIORS.PACK
+            ? findHuntingPackmate(enemy, profile, context.enemies || [])
+            : null;
+        if (packmate) {
+            return { ...ai, state: AI_STATES.ALERT, lastKnownPlayer: { ...packmate.ai.lastKnownPlayer }, memory: profile.memory };
+        }
+        if (canHearNoise(enemy, profile, context.noise)) {
+            return { ...ai, state: AI_STATES.ALERT, lastKnownPlayer: { ...context.noise.position }, memory: profile.memory };
+        }
+    }
+
+    if (ai.state === AI_STATES.IDLE) return ai;
+
+    // Lost track of the player: search where they were last seen until memory runs out
+    const memory = ai.memory - 1;
+    if (memory <= 0) {
+        return { ...ai, state: AI_STATES.IDLE, lastKnownPlayer: null, memory: 0 };
+    }
+    const reachedLastKnown = ai.lastKnownPlayer &&
+        ai.lastKnownPlayer.x === enemy.position.x && ai.lastKnownPlayer.y === enemy.position.y;
+    if (ai.state === AI_STATES.HUNT && reachedLastKnown) {
+        return { ...ai, state: AI_STATES.ALERT, memory };
+    }
+    return { ...ai, memory };
+}
+
+/**
+ * Step one tile along the path to a target
+ * @param {object} enemy - Enemy entity
+ * @param {object} target - Target position {x, y}
+ * @param {object} context - Turn context
+ * @returns {object} Move or wait action
+ */
+function stepToward(enemy, target, context) {
+    if (!target || (target.x === enemy.position.x && target.y === enemy.position.y)) {
+        return { action: 'wait' };
+    }
+    // Paths may lead through doors the enemy can open or bash down
+    const grid = getPassableGrid(context.grid, context.doors, getAIProfile(enemy.type).doors);
+    const path = context.findPath(grid, enemy.position, target);
+    return path.length > 0 ? { action: 'move', newPosition: path[0] } : { action: 'wait' };
+}
+
+/**
+ * Step to the walkable neighbour farthest from a threat
+ * @param {object} enemy - Enemy entity
+ * @param {object} threat - Position {x, y} to get away from
+ * @param {object} context - Turn context
+ * @returns {object|null} Move action, or null if no step gains distance
+ */
+function stepAway(enemy, threat, context) {
+    const current = distance(enemy.position.x, enemy.position.y, threat.x, threat.y);
+    let best = null;
+    let bestDistance = current;
+
+    for (const position of getAdjacentPositions(enemy.position.x, enemy.position.y)) {
+        if (!isWalkable(context.grid, position.x, position.y)) continue;
+        if (position.x === threat.x && position.y === threat.y) continue;
+
+        const away = distance(position.x, position.y, threat.x, threat.y);
+        if (away > bestDistance) {
+            best = position;
+            bestDistance = away;
+        }
+    }
+
+    return best ? { action: 'move', newPosition: best } : null;
+}
+
+/**
+ * Take a random step to a walkable neighbour
+ * @param {object} enemy - Enemy entity
+ * @param {object} context - Turn context
+ * @returns {object} Move or wait action
+ */
+function stepRandomly(enemy, context) {
+    const options = getAdjacentPositions(enemy.position.x, enemy.position.y)
+        .filter(position => isWalkable(context.grid, position.x, position.y));
+    if (options.length === 0) return { action: 'wait' };
+
+    const choice = options[Math.floor(nextRandom(context.rng) * options.length)];
+    return { action: 'move', newPosition: choice };
+}
+
+/**
+ * Pick a random walkable waypoint within the patrol radius of home
+ * @param {object} ai - AI memory
+ * @param {object} profile - Enemy AI profile
+ * @param {object} context - Turn context
+ * @returns {object|null} Waypoint {x, y}, or null if none was found
+ */
+function pickWaypoint(ai, profile, context) {
+    const span = profile.patrolRadius * 2 + 1;
+    for (let attempt = 0; attempt < 10; attempt++) {
+        const x = ai.home.x - profile.patrolRadius + Math.floor(nextRandom(context.rng) * span);
+        const y = ai.home.y - profile.patrolRadius + Math.floor(nextRandom(context.rng) * span);
+        if (isWalkable(context.grid, x, y)) {
+            return { x, y };
+        }
+    }
+    return null;
+}
+
+/**
+ * Decide what an idle enemy does, by behaviour
+ * @param {object} enemy - Enemy entity
+ * @param {object} ai - AI memory (waypoint may be updated)
+ * @param {object} profile - Enemy AI profile
+ * @param {object} context - Turn context
+ * @returns {object} Action
+ */
+function idleAction(enemy, ai, profile, context) {
+    switch (profile.behavior) {
+        case AI_BEHAVIORS.WANDER:
+            return nextRandom(context.rng) < 0.5 ? stepRandomly(enemy, context) : { action: 'wait' };
+
+        case AI_BEHAVIORS.PATROL: {
+            const arrived = ai.waypoint && ai.waypoint.x === enemy.position.x && ai.waypoint.y === enemy.position.y;
+            if (!ai.waypoint || arrived) {
+                ai.waypoint = pickWaypoint(ai, profile, context);
+            }
+            return stepToward(enemy, ai.waypoint, context);
+        }
+
+        case AI_BEHAVIORS.GUARD:
+            return stepToward(enemy, ai.home, context);
+
+        case AI_BEHAVIORS.PACK: {
+            const packmates = (context.enemies || []).filter(other =>
+                other.id !== enemy.id && other.isAlive && other.type === enemy.type
+            );
+            if (packmates.length === 0) return { action: 'wait' };
+
+            const range = other => distance(enemy.position.x, enemy.position.y, other.position.x, other.position.y);
+            const nearest = packmates.reduce((best, other) => (range(other) < range(best) ? other : best));
+            return range(nearest) > 2 && range(nearest) <= profile.packRange
+                ? stepToward(enemy, nearest.position, context)
+                : { action: 'wait' };
+        }
+
+        default:
+            return { action: 'wait' };
+    }
+}
+
+/**
+ * Decide an enemy's action for this turn
+ * @param {object} enemy - Enemy entity
+ * @param {object} context - Turn context {playerPosition, grid, doors, findPath, playerEffects, noise, enemies, rng}
+ * @returns {object} {action: 'move'|'attack'|'wait', newPosition?, target?, ai}
+ */
+export function decideEnemyAction(enemy, context) {
+    const profile = getAIProfile(enemy.type);
+    const sees = canSeePlayer(enemy, profile, context);
+    const ai = nextAIState(enemy, profile, context, sees);
+    const player = context.playerPosition;
+    const adjacent = Math.abs(enemy.position.x - player.x) + Math.abs(enemy.position.y - player.y) === 1;
+
+    let action;
+    switch (ai.state) {
+        case AI_STATES.HUNT:
+            action = sees && adjacent
+                ? { action: 'attack', target: 'player' }
+                : stepToward(enemy, ai.lastKnownPlayer, context);
+            break;
+
+        case AI_STATES.ALERT: {
+            // Guards won't follow a noise off their post
+            const target = ai.lastKnownPlayer;
+            const offPost = profile.behavior === AI_BEHAVIORS.GUARD &&
+                distance(ai.home.x, ai.home.y, target.x, target.y) > profile.guardRadius;
+            action = stepToward(enemy, offPost ? ai.home : target, context);
+            break;
+        }
+
+        case AI_STATES.FLEE: {
+            const escape = stepAway(enemy, ai.lastKnownPlayer, context);
+            // Cornered enemies fight back
+            action = escape || (sees && adjacent ? { action: 'attack', target: 'player' } : { action: 'wait' });
+            break;
+        }
+
+        default:
+            action = idleAction(enemy, ai, profile, context);
+    }
+
+    return { ...action, ai };
+}
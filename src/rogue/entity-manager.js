@@ -3,16 +3,37 @@
  * Factory functions for creating game entities (enemies, items)
  */
 
-import { ENEMY_TYPES, ITEM_TYPES } from './constants.js';
+import {
+    ENEMY_TYPES,
+    ITEM_TYPES,
+    MIN_ATTRACTED_ENEMIES,
+    MAX_ATTRACTED_ENEMIES_RANGE,
+    MIN_SPAWN_DISTANCE,
+    SPAWN_DISTANCE_RANGE,
+    POTION_TYPES,
+    LAUNCHER_TYPES,
+    AMMO_TYPES,
+    AMMO_STACK,
+    SPELL_TYPES
+} from './constants.js';
+import { nextRandom, nextEntityId, pickWeighted } from './rng.js';
+import { createAIState } from './enemy-ai.js';
+import { EQUIPMENT_SLOTS } from './equipment.js';
+import { applyItemProperties, getItemName } from './item-properties.js';
+import { rollScroll } from './scrolls.js';
+import { rollSpellbook } from './spells.js';
+import { getAppearance, applyDiscoveries } from './discoveries.js';
+import { getDefaultItemWeight } from './encumbrance.js';
 
 /**
  * Create an enemy entity
  * @param {string} type - Enemy type name (from ENEMY_TYPES)
  * @param {object} position - Grid position {x, y}
  * @param {number} dungeonLevel - Current dungeon level for scaling
+ * @param {object} rng - Run RNG for stable ids (optional)
  * @returns {object} Enemy entity
  */
-export function createEnemy(type, position, dungeonLevel = 1) {
+export function createEnemy(type, position, dungeonLevel = 1, rng = null) {
     const config = ENEMY_TYPES[type];
     
     if (!config) {
@@ -23,7 +44,7 @@ export function createEnemy(type, position, dungeonLevel = 1) {
     const levelMultiplier = 1 + (dungeonLevel - 1) * 0.2; // 20% increase per level
     
     return {
-        id: `enemy_${Date.now()}_${Math.random()}`,
+        id: nextEntityId('enemy', rng),
         type: type,
         name: config.name,
         position: { ...position },
@@ -36,7 +57,9 @@ export function createEnemy(type, position, dungeonLevel = 1) {
         size: config.size,
         color: config.color,
         isAlive: true,
-        lastAction: null
+        lastAction: null,
+        ai: createAIState(position),
+        cooldowns: {}
     };
 }
 
@@ -45,16 +68,80 @@ export function createEnemy(type, position, dungeonLevel = 1) {
  * @param {string} name - Weapon name
  * @param {Array<number>} damage - Damage dice [count, sides]
  * @param {number} bonus - Attack bonus
+ * @param {object} rng - Run RNG for stable ids (optional)
  * @returns {object} Weapon item
  */
-export function createWeapon(name, damage, bonus = 0) {
+export function createWeapon(name, damage, bonus = 0, rng = null) {
     return {
-        id: `weapon_${Date.now()}_${Math.random()}`,
+        id: nextEntityId('weapon', rng),
         type: ITEM_TYPES.WEAPON,
         name: name,
         damage: damage,
         bonus: bonus,
-        identified: true // Weapons are auto-identified
+        weight: getDefaultItemWeight(ITEM_TYPES.WEAPON, name),
+        identified: true // Plain weapons have nothing to identify; spawned ones get rolled properties
+    };
+}
+
+/**
+ * Create a launcher: a weapon that fires ammunition
+ * @param {string} name - Launcher name
+ * @param {Array<number>} damage - Damage dice [count, sides] when used in melee
+ * @param {number} bonus - Attack bonus
+ * @param {string} ammo - Ammo type it fires (e.g., 'arrow')
+ * @param {number} range - Furthest tile it can shoot at
+ * @param {object} rng - Run RNG for stable ids (optional)
+ * @returns {object} Launcher weapon item
+ */
+export function createLauncher(name, damage, bonus, ammo, range, rng = null) {
+    return {
+        ...createWeapon(name, damage, bonus, rng),
+        ammo: ammo,
+        range: range
+    };
+}
+
+/**
+ * Create a bundle of ammunition
+ * @param {string} ammo - Ammo type from AMMO_TYPES (e.g., 'arrow')
+ * @param {number} quantity - Pieces in the bundle
+ * @param {object} rng - Run RNG for stable ids (optional)
+ * @returns {object} Ammunition item
+ */
+export function createAmmo(ammo, quantity = 1, rng = null) {
+    const definition = AMMO_TYPES.find(type => type.ammo === ammo);
+    if (!definition) {
+        throw new Error(`Unknown ammo type: ${ammo}`);
+    }
+    return {
+        id: nextEntityId('ammo', rng),
+        type: ITEM_TYPES.AMMO,
+        name: definition.name,
+        ammo: ammo,
+        damage: definition.damage,
+        quantity: quantity,
+        weight: getDefaultItemWeight(ITEM_TYPES.AMMO, definition.name),
+        identified: true
+    };
+}
+
+/**
+ * Create a spellbook
+ * @param {string} spell - Spell it teaches, from SPELL_TYPES (e.g., 'heal')
+ * @param {object} rng - Run RNG for stable ids (optional)
+ * @returns {object} Spellbook item
+ */
+export function createSpellbook(spell, rng = null) {
+    if (!SPELL_TYPES.some(type => type.spell === spell)) {
+        throw new Error(`Unknown spell: ${spell}`);
+    }
+    return {
+        id: nextEntityId('spellbook', rng),
+        type: ITEM_TYPES.SPELLBOOK,
+        name: `spellbook of ${spell}`,
+        spell: spell,
+        weight: getDefaultItemWeight(ITEM_TYPES.SPELLBOOK),
+        identified: true
     };
 }
 
@@ -62,15 +149,55 @@ export function createWeapon(name, damage, bonus = 0) {
  * Create an armor item
  * @param {string} name - Armor name
  * @param {number} acBonus - AC bonus
+ * @param {object} rng - Run RNG for stable ids (optional)
+ * @param {string} slot - Equipment slot for shields and helmets (optional, defaults to the body)
  * @returns {object} Armor item
  */
-export function createArmor(name, acBonus) {
+export function createArmor(name, acBonus, rng = null, slot = null) {
     return {
-        id: `armor_${Date.now()}_${Math.random()}`,
+        id: nextEntityId('armor', rng),
         type: ITEM_TYPES.ARMOR,
         name: name,
         acBonus: acBonus,
-        identified: true // Armor is auto-identified
+        ...(slot && { slot }),
+        weight: getDefaultItemWeight(ITEM_TYPES.ARMOR, name),
+        identified: true // Plain armor has nothing to identify; spawned armor gets rolled properties
+    };
+}
+
+/**
+ * Create a ring item
+ * @param {string} name - Ring name
+ * @param {object} bonuses - Stat bonuses while worn {ac, attackBonus, damageBonus, sightBonus, regen}
+ * @param {object} rng - Run RNG for stable ids (optional)
+ * @returns {object} Ring item
+ */
+export function createRing(name, bonuses, rng = null) {
+    return {
+        id: nextEntityId('ring', rng),
+        type: ITEM_TYPES.RING,
+        name: name,
+        bonuses: { ...bonuses },
+        weight: getDefaultItemWeight(ITEM_TYPES.RING, name),
+        identified: true
+    };
+}
+
+/**
+ * Create an amulet item
+ * @param {string} name - Amulet name
+ * @param {object} bonuses - Stat bonuses while worn {ac, attackBonus, damageBonus, sightBonus, regen}
+ * @param {object} rng - Run RNG for stable ids (optional)
+ * @returns {object} Amulet item
+ */
+export function createAmulet(name, bonuses, rng = null) {
+    return {
+        id: nextEntityId('amulet', rng),
+        type: ITEM_TYPES.AMULET,
+        name: name,
+        bonuses: { ...bonuses },
+        weight: getDefaultItemWeight(ITEM_TYPES.AMULET, name),
+        identified: true
     };
 }
 
@@ -79,33 +206,39 @@ export function createArmor(name, acBonus) {
  * @param {string} trueType - True potion type (e.g., 'healing', 'strength')
  * @param {string} appearance - Appearance name (e.g., 'red potion')
  * @param {object} effect - Effect function or data
+ * @param {object} rng - Run RNG for stable ids (optional)
  * @returns {object} Potion item
  */
-export function createPotion(trueType, appearance, effect) {
+export function createPotion(trueType, appearance, effect, rng = null) {
     return {
-        id: `potion_${Date.now()}_${Math.random()}`,
+        id: nextEntityId('potion', rng),
         type: ITEM_TYPES.POTION,
         trueType: trueType,
         appearance: appearance,
         effect: effect,
+        quantity: 1,
+        weight: getDefaultItemWeight(ITEM_TYPES.POTION),
         identified: false // Potions start unidentified
     };
 }
 
 /**
  * Create a scroll item
- * @param {string} trueType - True scroll type (e.g., 'teleport', 'identify')
+ * @param {string} trueType - True scroll type (e.g., 'teleportation', 'identify')
  * @param {string} appearance - Appearance name (e.g., 'dusty scroll')
  * @param {object} effect - Effect function or data
+ * @param {object} rng - Run RNG for stable ids (optional)
  * @returns {object} Scroll item
  */
-export function createScroll(trueType, appearance, effect) {
+export function createScroll(trueType, appearance, effect, rng = null) {
     return {
-        id: `scroll_${Date.now()}_${Math.random()}`,
+        id: nextEntityId('scroll', rng),
         type: ITEM_TYPES.SCROLL,
         trueType: trueType,
         appearance: appearance,
         effect: effect,
+        quantity: 1,
+        weight: getDefaultItemWeight(ITEM_TYPES.SCROLL),
         identified: false // Scrolls start unidentified
     };
 }
@@ -113,13 +246,15 @@ export function createScroll(trueType, appearance, effect) {
 /**
  * Create a gold pile
  * @param {number} amount - Amount of gold
+ * @param {object} rng - Run RNG for stable ids (optional)
  * @returns {object} Gold item
  */
-export function createGold(amount) {
+export function createGold(amount, rng = null) {
     return {
-        id: `gold_${Date.now()}_${Math.random()}`,
+        id: nextEntityId('gold', rng),
         type: ITEM_TYPES.GOLD,
         amount: amount,
+        weight: getDefaultItemWeight(ITEM_TYPES.GOLD),
         identified: true
     };
 }
@@ -128,14 +263,33 @@ export function createGold(amount) {
  * Create a food item
  * @param {string} name - Food name (e.g., 'ration', 'apple', 'bread')
  * @param {number} hungerRestore - Amount of hunger restored
+ * @param {object} rng - Run RNG for stable ids (optional)
  * @returns {object} Food item
  */
-export function createFood(name, hungerRestore = 100) {
+export function createFood(name, hungerRestore = 100, rng = null) {
     return {
-        id: `food_${Date.now()}_${Math.random()}`,
+        id: nextEntityId('food', rng),
         type: ITEM_TYPES.FOOD,
         name: name,
         hungerRestore: hungerRestore,
+        quantity: 1,
+        weight: getDefaultItemWeight(ITEM_TYPES.FOOD, name),
+        identified: true
+    };
+}
+
+/**
+ * Create a key that unlocks one locked door
+ * @param {object} rng - Run RNG for stable ids (optional)
+ * @returns {object} Key item
+ */
+export function createKey(rng = null) {
+    return {
+        id: nextEntityId('key', rng),
+        type: ITEM_TYPES.KEY,
+        name: 'Iron Key',
+        quantity: 1,
+        weight: getDefaultItemWeight(ITEM_TYPES.KEY),
         identified: true
     };
 }
@@ -158,8 +312,10 @@ export function identifyItem(item) {
  * @returns {string} Display name
  */
 export function getItemDisplayName(item) {
-    if (item.identified || item.type === ITEM_TYPES.WEAPON || 
-        item.type === ITEM_TYPES.ARMOR || item.type === ITEM_TYPES.GOLD) {
+    if (item.type === ITEM_TYPES.WEAPON || item.type === ITEM_TYPES.ARMOR) {
+        return getItemName(item);
+    }
+    if (item.identified || item.type === ITEM_TYPES.GOLD) {
         // For potions, include prefix if present
         if (item.type === ITEM_TYPES.POTION && item.trueType) {
             const prefix = item.prefix ? (item.prefix.charAt(0).toUpperCase() + item.prefix.slice(1) + ' ') : '';
@@ -184,19 +340,21 @@ export function isEntityAlive(entity) {
  * Generate loot drop from defeated enemy
  * @param {object} enemy - Defeated enemy entity
  * @param {number} dungeonLevel - Current dungeon level
+ * @param {object} rng - Run RNG (optional, falls back to Math.random)
+ * @param {object} discoveries - Run's discovery registry, for potion and scroll appearances (optional)
  * @returns {object|null} Item to drop, or null
  */
-export function generateEnemyLoot(enemy, dungeonLevel) {
+export function generateEnemyLoot(enemy, dungeonLevel, rng = null, discoveries = null) {
     // Drop chance varies by enemy type and level
     const baseDropChance = 0.3; // 30% base chance
-    const dropRoll = Math.random();
+    const dropRoll = nextRandom(rng);
     
     if (dropRoll > baseDropChance) {
         return null; // No drop
     }
     
     // Determine item type based on level
-    const itemTypeRoll = Math.random();
+    const itemTypeRoll = nextRandom(rng);
     let itemType;
     
     if (itemTypeRoll < 0.25) {
@@ -220,17 +378,18 @@ export function generateEnemyLoot(enemy, dungeonLevel) {
         level: dungeonLevel
     };
     
-    return createItemFromSpawn(spawn);
+    return createItemFromSpawn(spawn, rng, discoveries);
 }
 
 /**
  * Create an item entity from spawn data
  * @param {object} spawn - Spawn data {itemType, position, level}
  * @param {object} rng - Seeded random number generator (optional)
+ * @param {object} discoveries - Run's discovery registry, for potion and scroll appearances (optional)
  * @returns {object} Item entity
  */
-export function createItemFromSpawn(spawn, rng = null) {
-    const getRandom = () => rng ? rng.next() : Math.random();
+export function createItemFromSpawn(spawn, rng = null, discoveries = null) {
+    const getRandom = () => nextRandom(rng);
     const getRandomInt = (min, max) => {
         const rand = getRandom();
         return Math.floor(rand * (max - min + 1)) + min;
@@ -248,10 +407,14 @@ export function createItemFromSpawn(spawn, rng = null) {
                 { name: 'Short Sword', damage: [1, 6], bonus: 1 },
                 { name: 'Long Sword', damage: [1, 8], bonus: 2 },
                 { name: 'Battle Axe', damage: [1, 10], bonus: 1 },
-                { name: 'Mace', damage: [2, 4], bonus: 0 }
+                { name: 'Mace', damage: [2, 4], bonus: 0 },
+                ...LAUNCHER_TYPES
             ];
             const weapon = weaponTypes[getRandomInt(0, weaponTypes.length - 1)];
-            return { ...baseItem, ...createWeapon(weapon.name, weapon.damage, weapon.bonus) };
+            const created = weapon.ammo
+                ? createLauncher(weapon.name, weapon.damage, weapon.bonus, weapon.ammo, weapon.range, rng)
+                : createWeapon(weapon.name, weapon.damage, weapon.bonus, rng);
+            return { ...baseItem, ...applyItemProperties(created, rng, spawn.level || 1) };
         }
         
         case 'armor': {
@@ -259,35 +422,36 @@ export function createItemFromSpawn(spawn, rng = null) {
                 { name: 'Leather Armor', acBonus: 1 },
                 { name: 'Chain Mail', acBonus: 3 },
                 { name: 'Plate Mail', acBonus: 5 },
-                { name: 'Shield', acBonus: 2 }
+                { name: 'Shield', acBonus: 2, slot: EQUIPMENT_SLOTS.OFF_HAND },
+                { name: 'Leather Cap', acBonus: 1, slot: EQUIPMENT_SLOTS.HEAD },
+                { name: 'Iron Helm', acBonus: 2, slot: EQUIPMENT_SLOTS.HEAD }
             ];
             const armor = armorTypes[getRandomInt(0, armorTypes.length - 1)];
-            return { ...baseItem, ...createArmor(armor.name, armor.acBonus) };
+            const created = createArmor(armor.name, armor.acBonus, rng, armor.slot);
+            return { ...baseItem, ...applyItemProperties(created, rng, spawn.level || 1) };
         }
         
-        case 'potion': {
-            const potionTypes = [
-                { trueType: 'healing', appearance: 'red potion' },
-                { trueType: 'healing', appearance: 'crimson potion' },
-                { trueType: 'healing', appearance: 'ruby potion' },
-                { trueType: 'poison', appearance: 'green potion' },
-                { trueType: 'poison', appearance: 'emerald potion' },
-                { trueType: 'invisibility', appearance: 'clear potion' },
-                { trueType: 'invisibility', appearance: 'transparent potion' },
-                { trueType: 'speed', appearance: 'blue potion' },
-                { trueType: 'speed', appearance: 'azure potion' },
-                { trueType: 'strength', appearance: 'orange potion' },
-                { trueType: 'strength', appearance: 'amber potion' },
-                { trueType: 'skill', appearance: 'yellow potion' },
-                { trueType: 'skill', appearance: 'golden potion' },
-                { trueType: 'sight', appearance: 'purple potion' },
-                { trueType: 'sight', appearance: 'violet potion' },
-                { trueType: 'attraction', appearance: 'black potion' },
-                { trueType: 'attraction', appearance: 'dark potion' },
-                { trueType: 'stone', appearance: 'gray potion' },
-                { trueType: 'stone', appearance: 'silver potion' }
+        case 'ring': {
+            const ringTypes = [
+                { name: 'Ring of Protection', bonuses: { ac: 1 } },
+                { name: 'Ring of Accuracy', bonuses: { attackBonus: 2 } },
+                { name: 'Ring of Might', bonuses: { damageBonus: 2 } },
+                { name: 'Ring of Regeneration', bonuses: { regen: 1 } }
             ];
-            
+            const ring = ringTypes[getRandomInt(0, ringTypes.length - 1)];
+            return { ...baseItem, ...createRing(ring.name, ring.bonuses, rng) };
+        }
+        
+        case 'amulet': {
+            const amuletTypes = [
+                { name: 'Amulet of Vision', bonuses: { sightBonus: 4 } },
+                { name: 'Amulet of Warding', bonuses: { ac: 2 } }
+            ];
+            const amulet = amuletTypes[getRandomInt(0, amuletTypes.length - 1)];
+            return { ...baseItem, ...createAmulet(amulet.name, amulet.bonuses, rng) };
+        }
+        
+        case 'potion': {
             // Determine prefix based on level
             let prefix = '';
             if (spawn.level <= 3) {
@@ -299,19 +463,17 @@ export function createItemFromSpawn(spawn, rng = null) {
             }
             // Middle levels (4-6): all normal, no prefix
             
-            const potion = potionTypes[getRandomInt(0, potionTypes.length - 1)];
-            const potionItem = createPotion(potion.trueType, potion.appearance, {});
+            const { trueType } = pickWeighted(POTION_TYPES, rng);
+            const appearance = getAppearance(discoveries, ITEM_TYPES.POTION, trueType);
+            const potionItem = createPotion(trueType, appearance, {}, rng);
             potionItem.prefix = prefix.trim().toLowerCase(); // 'lesser', 'greater', or ''
-            return { ...baseItem, ...potionItem };
+            return { ...baseItem, ...applyDiscoveries(potionItem, discoveries) };
         }
         
         case 'scroll': {
-            const scrollTypes = [
-                { trueType: 'identify', appearance: 'dusty scroll' },
-                { trueType: 'identify', appearance: 'ancient scroll' }
-            ];
-            const scroll = scrollTypes[getRandomInt(0, scrollTypes.length - 1)];
-            return { ...baseItem, ...createScroll(scroll.trueType, scroll.appearance, {}) };
+            const trueType = rollScroll(rng, spawn.level || 1);
+            const appearance = getAppearance(discoveries, ITEM_TYPES.SCROLL, trueType);
+            return { ...baseItem, ...applyDiscoveries(createScroll(trueType, appearance, {}, rng), discoveries) };
         }
         
         case 'food': {
@@ -323,16 +485,27 @@ export function createItemFromSpawn(spawn, rng = null) {
                 { name: 'dried meat', restore: 120 }
             ];
             const food = foodTypes[getRandomInt(0, foodTypes.length - 1)];
-            return { ...baseItem, ...createFood(food.name, food.restore) };
+            return { ...baseItem, ...createFood(food.name, food.restore, rng) };
         }
         
         case 'gold': {
             const amount = getRandomInt(10, 50) * spawn.level;
-            return { ...baseItem, ...createGold(amount) };
+            return { ...baseItem, ...createGold(amount, rng) };
+        }
+        
+        case 'key':
+            return { ...baseItem, ...createKey(rng) };
+        
+        case 'ammo': {
+            const { ammo } = AMMO_TYPES[getRandomInt(0, AMMO_TYPES.length - 1)];
+            return { ...baseItem, ...createAmmo(ammo, getRandomInt(AMMO_STACK.min, AMMO_STACK.max), rng) };
         }
         
+        case 'spellbook':
+            return { ...baseItem, ...createSpellbook(rollSpellbook(rng, spawn.level || 1), rng) };
+        
         default:
-            return { ...baseItem, ...createGold(10) };
+            return { ...baseItem, ...createGold(10, rng) };
     }
 }
 
@@ -354,9 +527,10 @@ export function damageEntity(entity, damage) {
 /**
  * Get random enemy type for dungeon level
  * @param {number} dungeonLevel - Current dungeon level
+ * @param {object} rng - Run RNG (optional, falls back to Math.random)
  * @returns {string} Enemy type key
  */
-export function getRandomEnemyTypeForLevel(dungeonLevel = 1) {
+export function getRandomEnemyTypeForLevel(dungeonLevel = 1, rng = null) {
     // Get available enemy types based on spawn depth
     const availableTypes = Object.keys(ENEMY_TYPES).filter(
         type => ENEMY_TYPES[type].spawnDepth <= dungeonLevel
@@ -370,7 +544,7 @@ export function getRandomEnemyTypeForLevel(dungeonLevel = 1) {
     const weights = availableTypes.map(type => ENEMY_TYPES[type].spawnWeight);
     const totalWeight = weights.reduce((sum, w) => sum + w, 0);
     
-    let random = Math.random() * totalWeight;
+    let random = nextRandom(rng) * totalWeight;
     
     for (let i = 0; i < availableTypes.length; i++) {
         random -= weights[i];
@@ -419,3 +593,35 @@ export function isValidSpawnPosition(position, grid, existingEnemies, playerPosi
     
     return true;
 }
+
+/**
+ * Spawn enemies around the player (potion of attraction)
+ * @param {object} playerPosition - Player grid position {x, y}
+ * @param {Array<Array>} grid - 2D grid array
+ * @param {Array<object>} existingEnemies - Enemies already on the level
+ * @param {number} dungeonLevel - Current dungeon level
+ * @param {object} rng - Run RNG (optional, falls back to Math.random)
+ * @returns {Array<object>} Newly spawned enemies
+ */
+export function spawnAttractedEnemies(playerPosition, grid, existingEnemies, dungeonLevel = 1, rng = null) {
+    const numToSpawn = MIN_ATTRACTED_ENEMIES + Math.floor(nextRandom(rng) * MAX_ATTRACTED_ENEMIES_RANGE);
+    const spawned = [];
+    const maxAttempts = 20;
+    
+    for (let attempt = 0; attempt < maxAttempts && spawned.length < numToSpawn; attempt++) {
+        // Try to spawn in a radius around player
+        const angle = nextRandom(rng) * Math.PI * 2;
+        const distance = MIN_SPAWN_DISTANCE + nextRandom(rng) * SPAWN_DISTANCE_RANGE;
+        const spawnPos = {
+            x: Math.round(playerPosition.x + Math.cos(angle) * distance),
+            y: Math.round(playerPosition.y + Math.sin(angle) * distance)
+        };
+        
+        if (isValidSpawnPosition(spawnPos, grid, [...existingEnemies, ...spawned], playerPosition)) {
+            const enemyType = getRandomEnemyTypeForLevel(dungeonLevel, rng);
+            spawned.push(createEnemy(enemyType, spawnPos, dungeonLevel, rng));
+        }
+    }
+    
+    return spawned;
+}
@@ -0,0 +1,236 @@
+/**
+ * Equipment
+ * Paper-doll equipment slots for the player. The player keeps base stats
+ * (what they have with nothing equipped, raised by levelling up) and the
+ * derived stats the rules read - AC, attack, damage, sight and regeneration -
+ * are recomputed from the base stats and every equipped item whenever the
+ * equipment changes. Status effects are layered on top by getEffectiveStats.
+ */
+
+import { ITEM_TYPES } from './constants.js';
+import { getStatusEffect, STATUS_TYPES } from './status-effects.js';
+import { getPropertyBonuses, getItemName, isCursed } from './item-properties.js';
+
+/**
+ * Equipment slots
+ */
+export const EQUIPMENT_SLOTS = {
+    MAIN_HAND: 'mainHand',
+    OFF_HAND: 'offHand',
+    BODY: 'body',
+    HEAD: 'head',
+    RING_LEFT: 'ringLeft',
+    RING_RIGHT: 'ringRight',
+    AMULET: 'amulet'
+};
+
+/**
+ * Slot names shown in the equipment panel
+ */
+export const EQUIPMENT_SLOT_NAMES = {
+    [EQUIPMENT_SLOTS.MAIN_HAND]: 'Main hand',
+    [EQUIPMENT_SLOTS.OFF_HAND]: 'Off hand',
+    [EQUIPMENT_SLOTS.BODY]: 'Body',
+    [EQUIPMENT_SLOTS.HEAD]: 'Head',
+    [EQUIPMENT_SLOTS.RING_LEFT]: 'Left ring',
+    [EQUIPMENT_SLOTS.RING_RIGHT]: 'Right ring',
+    [EQUIPMENT_SLOTS.AMULET]: 'Amulet'
+};
+
+/**
+ * Derived stats recomputed from base stats and equipment
+ */
+export const DERIVED_STATS = ['ac', 'attackBonus', 'damageBonus', 'sightBonus', 'regen'];
+
+/**
+ * Create an empty set of equipment slots
+ * @returns {object} Equipment keyed by slot, every slot null
+ */
+export function createEquipment() {
+    return Object.fromEntries(Object.values(EQUIPMENT_SLOTS).map(slot => [slot, null]));
+}
+
+/**
+ * Create the base stats of an unequipped, level 1 player
+ * @returns {object} Base stats {ac, attackBonus, damageBonus, sightBonus, regen}
+ */
+export function createBaseStats() {
+    return { ac: 10, attackBonus: 0, damageBonus: 0, sightBonus: 0, regen: 0 };
+}
+
+/**
+ * Get the slots an item can be equipped in
+ * @param {object} item - Item
+ * @returns {Array<string>} Slots from EQUIPMENT_SLOTS, empty if the item can't be equipped
+ */
+export function getItemSlots(item) {
+    if (!item) return [];
+
+    switch (item.type) {
+        case ITEM_TYPES.WEAPON:
+            return [EQUIPMENT_SLOTS.MAIN_HAND];
+        case ITEM_TYPES.ARMOR:
+            // Shields and helmets name their slot; anything else is worn on the body
+            return [item.slot || EQUIPMENT_SLOTS.BODY];
+        case ITEM_TYPES.RING:
+            return [EQUIPMENT_SLOTS.RING_LEFT, EQUIPMENT_SLOTS.RING_RIGHT];
+        case ITEM_TYPES.AMULET:
+            return [EQUIPMENT_SLOTS.AMULET];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Check whether an item can be equipped
+ * @param {object} item - Item
+ * @returns {boolean} True if the item fits a slot
+ */
+export function isEquippable(item) {
+    return getItemSlots(item).length > 0;
+}
+
+/**
+ * Pick the slot to equip an item in: the requested slot, else the first
+ * free slot it fits, else the first slot it fits without a cursed item,
+ * else the first slot it fits (swapping out what's there)
+ * @param {object} equipment - Current equipment
+ * @param {object} item - Item to equip
+ * @param {string} requested - Slot asked for (optional)
+ * @returns {string|null} Slot, or null if the item doesn't fit the requested slot
+ */
+export function chooseEquipmentSlot(equipment, item, requested = null) {
+    const slots = getItemSlots(item);
+    if (requested) {
+        return slots.includes(requested) ? requested : null;
+    }
+    return slots.find(slot => !equipment[slot]) ||
+        slots.find(slot => !isCursed(equipment[slot])) ||
+        slots[0] || null;
+}
+
+/**
+ * Get the stat bonuses an item gives while equipped
+ * @param {object} item - Equipped item
+ * @returns {object} Bonuses keyed by derived stat, including enchantment and affix
+ */
+export function getItemBonuses(item) {
+    const bonuses = item.bonuses || {};
+    const properties = getPropertyBonuses(item);
+    const total = Object.fromEntries(DERIVED_STATS.map(stat => [stat, (bonuses[stat] || 0) + (properties[stat] || 0)]));
+
+    // Armor keeps its acBonus; a weapon's own bonus is rolled into damage by combat
+    total.ac += item.acBonus || 0;
+    return total;
+}
+
+/**
+ * Compute derived stats from base stats and equipment
+ * @param {object} baseStats - Base stats from createBaseStats
+ * @param {object} equipment - Equipment keyed by slot
+ * @returns {object} Derived stats {ac, attackBonus, damageBonus, sightBonus, regen}
+ */
+export function calculateStats(baseStats, equipment) {
+    const stats = Object.fromEntries(DERIVED_STATS.map(stat => [stat, baseStats[stat] || 0]));
+
+    for (const item of Object.values(equipment || {})) {
+        if (!item) continue;
+        const bonuses = getItemBonuses(item);
+        for (const stat of DERIVED_STATS) {
+            stats[stat] += bonuses[stat] || 0;
+        }
+    }
+
+    return stats;
+}
+
+/**
+ * Recompute a player's derived stats from their base stats and equipment
+ * @param {object} player - Player state
+ * @returns {object} New player with equipment, base stats and derived stats filled in
+ */
+export function refreshPlayerStats(player) {
+    const equipment = { ...createEquipment(), ...player.equipment };
+    const baseStats = player.baseStats || createBaseStats();
+    return {
+        ...player,
+        baseStats,
+        equipment,
+        ...calculateStats(baseStats, equipment)
+    };
+}
+
+/**
+ * Get the player's stats with status effects applied on top of equipment
+ * @param {object} player - Player state
+ * @returns {object} Stats {ac, attackBonus, damageBonus, sightBonus, regen}
+ */
+export function getEffectiveStats(player) {
+    const stats = calculateStats(player.baseStats || createBaseStats(), player.equipment);
+    const effects = player.statusEffects || [];
+
+    const skill = getStatusEffect(effects, STATUS_TYPES.SKILL);
+    const strength = getStatusEffect(effects, STATUS_TYPES.STRENGTH);
+    const sight = getStatusEffect(effects, STATUS_TYPES.SIGHT);
+
+    return {
+        ...stats,
+        attackBonus: stats.attackBonus + (skill ? skill.magnitude : 0),
+        damageBonus: stats.damageBonus + (strength ? strength.magnitude : 0),
+        sightBonus: stats.sightBonus + (sight ? sight.magnitude : 0)
+    };
+}
+
+/**
+ * Put an item in an equipment slot
+ * @param {object} player - Player state
+ * @param {object} item - Item to equip
+ * @param {string} slot - Slot to equip it in (optional, see chooseEquipmentSlot)
+ * @returns {{player: object, slot: string, removed: object|null}} New player, slot used and the item it replaced
+ */
+export function equipToSlot(player, item, slot = null) {
+    const equipment = { ...createEquipment(), ...player.equipment };
+    const target = chooseEquipmentSlot(equipment, item, slot);
+    if (!target) {
+        throw new Error(`${item.name || item.type} cannot be equipped${slot ? ` in ${slot}` : ''}`);
+    }
+
+    const removed = equipment[target];
+    equipment[target] = item;
+
+    return {
+        player: refreshPlayerStats({ ...player, equipment }),
+        slot: target,
+        removed
+    };
+}
+
+/**
+ * Empty an equipment slot
+ * @param {object} player - Player state
+ * @param {string} slot - Slot to empty
+ * @returns {{player: object, removed: object|null}} New player and the item taken off
+ */
+export function removeFromSlot(player, slot) {
+    const equipment = { ...createEquipment(), ...player.equipment };
+    const removed = equipment[slot] || null;
+    equipment[slot] = null;
+
+    return {
+        player: refreshPlayerStats({ ...player, equipment }),
+        removed
+    };
+}
+
+/**
+ * Get the equipment panel lines for display
+ * @param {object} player - Player state
+ * @returns {Array<string>} One line per slot, numbered 1-7 for taking items off
+ */
+export function getEquipmentDisplay(player) {
+    const equipment = player.equipment || {};
+    return Object.values(EQUIPMENT_SLOTS).map((slot, index) => {
+        const item = equipment[slot];
+        return `${index + 1}) ${EQUIPMENT_SLOT_NAMES[slot]}: ${item ? getItemName(item) : '-'}`;
+    });
+}
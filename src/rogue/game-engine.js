@@ -0,0 +1,202 @@
+/**
+ * Game Engine
+ * Headless owner of a run: holds the state, RNG and input recording, applies
+ * actions through the game rules and notifies subscribers of the resulting
+ * events. Renderers, audio and UI react to events instead of running rules.
+ */
+
+import { updatePlayerRotation } from './game-state.js';
+import {
+    GAME_EVENTS,
+    startRun,
+    movePlayer,
+    interact,
+    useInventoryItem,
+    equipInventoryItem,
+    unequipPlayerItem,
+    dropInventoryItem,
+    callInventoryItem,
+    buyShopItem,
+    sellShopItem,
+    fireLauncher,
+    throwInventoryItem,
+    castSpell,
+    stepPlayer
+} from './game-rules.js';
+import { createRecorder, REPLAY_ACTIONS } from './replay.js';
+import { serializeGameState, deserializeGameState } from './save-game.js';
+import { createRunRandom, RunRandom } from './rng.js';
+
+/**
+ * Action types accepted by dispatch (the same actions a replay records)
+ */
+export const ENGINE_ACTIONS = REPLAY_ACTIONS;
+
+/**
+ * Create a game engine for a new run
+ * @param {number} seed - Run seed
+ * @returns {object} Engine {dispatch, subscribe, getState, getReplay, getSaveData, restore}
+ */
+export function createEngine(seed = Date.now()) {
+    let { state, rng } = startRun(seed);
+    let recorder = createRecorder(seed);
+    const listeners = new Set();
+
+    /**
+     * Notify subscribers of events
+     * @param {Array} events - Events to publish
+     */
+    function emit(events) {
+        if (events.length === 0) return;
+        for (const listener of listeners) {
+            listener(events, state);
+        }
+    }
+
+    /**
+     * Apply a discrete action rule and record it. The rule runs first, so an
+     * action it rejects by throwing never reaches the replay.
+     * @param {object} action - Action being dispatched
+     * @param {function} rule - Rule (state) => {state, events, performed}
+     * @param {object} data - Action data to record
+     * @returns {object} Rule result
+     */
+    function applyRecordedAction(action, rule, data = {}) {
+        if (state.gameOver) {
+            return { state, events: [], performed: false };
+        }
+        const result = rule(state);
+        recorder.recordAction(state, action.type, data);
+        return result;
+    }
+
+    /**
+     * Apply an action to the run
+     * @param {object} action - Action {type, ...data} with type from ENGINE_ACTIONS
+     * @returns {object} Result {state, events, ...} from the rule that handled the action
+     */
+    function dispatch(action) {
+        let result;
+
+        switch (action.type) {
+            case ENGINE_ACTIONS.MOVE: {
+                const before = state;
+                result = movePlayer(state, action.worldPosition, action.distance, rng);
+                if (result.moved || result.turnAdvanced) {
+                    recorder.recordMove(
+                        before,
+                        action.worldPosition,
+                        action.distance,
+                        result.cellChanged || result.turnAdvanced
+                    );
+                }
+                break;
+            }
+            case ENGINE_ACTIONS.ROTATE:
+                // Rotation is recorded lazily, before the next action that depends on it
+                result = { state: updatePlayerRotation(state, action.rotation), events: [] };
+                break;
+            case ENGINE_ACTIONS.INTERACT:
+                result = applyRecordedAction(action, current => interact(current, rng));
+                break;
+            case ENGINE_ACTIONS.USE_ITEM: {
+                const data = action.target ? { slot: action.slot, target: action.target } : { slot: action.slot };
+                result = applyRecordedAction(action, current => useInventoryItem(current, action.slot, action.target, rng), data);
+                break;
+            }
+            case ENGINE_ACTIONS.EQUIP_ITEM: {
+                const data = action.equipSlot ? { slot: action.slot, equipSlot: action.equipSlot } : { slot: action.slot };
+                result = applyRecordedAction(action, current => equipInventoryItem(current, action.slot, action.equipSlot, rng), data);
+                break;
+            }
+            case ENGINE_ACTIONS.UNEQUIP_ITEM:
+                result = applyRecordedAction(action, current => unequipPlayerItem(current, action.equipSlot, rng), { equipSlot: action.equipSlot });
+                break;
+            case ENGINE_ACTIONS.DROP_ITEM: {
+                const data = Number.isInteger(action.quantity) ? { slot: action.slot, quantity: action.quantity } : { slot: action.slot };
+                result = applyRecordedAction(action, current => dropInventoryItem(current, action.slot, action.quantity, rng), data);
+                break;
+            }
+            case ENGINE_ACTIONS.CALL_ITEM:
+                result = applyRecordedAction(action, current => callInventoryItem(current, action.slot, action.name), { slot: action.slot, name: action.name });
+                break;
+            case ENGINE_ACTIONS.BUY_ITEM:
+                result = applyRecordedAction(action, current => buyShopItem(current, action.target, rng), { target: action.target });
+                break;
+            case ENGINE_ACTIONS.SELL_ITEM:
+                result = applyRecordedAction(action, current => sellShopItem(current, action.slot, rng), { slot: action.slot });
+                break;
+            case ENGINE_ACTIONS.FIRE:
+                result = applyRecordedAction(action, current => fireLauncher(current, action.target, rng), { target: action.target });
+                break;
+            case ENGINE_ACTIONS.THROW_ITEM:
+                result = applyRecordedAction(action, current => throwInventoryItem(current, action.slot, action.target, rng), { slot: action.slot, target: action.target });
+                break;
+            case ENGINE_ACTIONS.CAST_SPELL: {
+                const data = action.target ? { spell: action.spell, target: action.target } : { spell: action.spell };
+                result = applyRecordedAction(action, current => castSpell(current, action.spell, action.target, rng), data);
+                break;
+            }
+            case ENGINE_ACTIONS.STEP:
+                result = applyRecordedAction(action, current => stepPlayer(current, action.direction, rng), action.direction);
+                break;
+            default:
+                throw new Error(`Unknown engine action: ${action.type}`);
+        }
+
+        state = result.state;
+        emit(result.events);
+        return result;
+    }
+
+    /**
+     * Subscribe to events
+     * @param {function} listener - Called with (events, state) after each action
+     * @returns {function} Unsubscribe function
+     */
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    /**
+     * Get a replay of the run so far
+     * @returns {object} Replay {format, version, seed, actions, final}
+     */
+    function getReplay() {
+        return recorder.getReplay(state);
+    }
+
+    /**
+     * Get save data for the run so far
+     * @returns {object} Save data from serializeGameState
+     */
+    function getSaveData() {
+        return serializeGameState(state, rng.getState(), recorder.getActions(state));
+    }
+
+    /**
+     * Replace the run with one restored from save data
+     * @param {object} data - Save data from getSaveData
+     * @returns {object} Restored state
+     */
+    function restore(data) {
+        const restored = deserializeGameState(data);
+
+        state = restored.state;
+        rng = restored.rngState ? RunRandom.fromState(restored.rngState) : createRunRandom(state.seed);
+        recorder = createRecorder(state.seed, restored.replay || []);
+
+        emit([{ type: GAME_EVENTS.LEVEL_LOADED, level: state.dungeon.level }]);
+        return state;
+    }
+
+    return {
+        dispatch,
+        subscribe,
+        getState: () => state,
+        getReplay,
+        getSaveData,
+        restore
+    };
+}
@@ -0,0 +1,2061 @@
+/**
+ * Game Rules
+ * Headless rules for a run: movement, turns, enemy turns, interactions, doors,
+ * inventory actions, shooting and throwing, spellcasting and trading in
+ * shops. Every rule takes the current state and returns the new state plus a
+ * list of events describing what happened, so the same rules drive both the
+ * 3D game and headless replays.
+ */
+
+import {
+    COMBAT_DETECTION_RADIUS,
+    ENEMY_TYPES,
+    ITEM_TYPES,
+    NOISE_RADIUS,
+    DOOR_KICK_DC,
+    SECRET_DOOR_SEARCH_CHANCE,
+    VISIBILITY_RADIUS,
+    REGEN_INTERVAL,
+    SCROLL_FIRE_RADIUS,
+    SCROLL_FIRE_DAMAGE,
+    SCROLL_SCARE_RADIUS,
+    SCROLL_SCARE_TURNS,
+    POTION_SHATTER_RADIUS
+} from './constants.js';
+import {
+    createInitialState,
+    updatePlayerWorldPosition,
+    updatePlayerPosition,
+    damagePlayer,
+    healPlayer,
+    setCombatMode,
+    updateAccumulatedMovement,
+    addItemToInventory,
+    removeItemFromWorld,
+    addGold,
+    receiveGold,
+    spendGold,
+    addExperience,
+    incrementKills,
+    spendMana
+} from './game-state.js';
+import { advanceTurn, checkTurnAdvancement } from './turn-manager.js';
+import { worldToGrid, gridToWorld, isWalkable, findPath, distance } from './grid-utils.js';
+import { travelToLevel } from './dungeon-manager.js';
+import {
+    computeVisibleTiles,
+    updateExploredTiles,
+    updateRememberedItems,
+    filterVisibleEntities,
+    getEffectiveVisibilityRadius
+} from './visibility.js';
+import { detectCombatMode, checkCollision } from './movement.js';
+import {
+    isEntityAlive,
+    generateEnemyLoot,
+    spawnAttractedEnemies
+} from './entity-manager.js';
+import { executeAttack, processEnemyTurn, getCombatMessage, rollDamage, rollD20 } from './combat.js';
+import { findInteractablesAtPosition, getInteractionAction } from './interaction.js';
+import {
+    getSlotLetter,
+    getQuantity,
+    useItem,
+    equipItem,
+    unequipItem,
+    removeItemFromInventory,
+    describeItem
+} from './inventory.js';
+import {
+    updateStatusEffects,
+    hasStatusEffect,
+    getStatusEffect,
+    createStatusEffect,
+    addStatusEffect,
+    STATUS_TYPES
+} from './status-effects.js';
+import { createRunRandom, nextRandom } from './rng.js';
+import { AI_STATES, getAIProfile, scareEnemy } from './enemy-ai.js';
+import {
+    rollOnHitAbilities,
+    getKnockbackDestination,
+    findBreathAttack,
+    startCooldown,
+    tickCooldowns
+} from './enemy-abilities.js';
+import { DOOR_STATES, DOOR_SKILLS, getDoorAt, isDoorOpen, setDoorState } from './doors.js';
+import {
+    SCROLL_TARGETS,
+    getScrollDefinition,
+    canTargetItem,
+    canTargetTile,
+    findTeleportDestination,
+    getMagicMapTiles,
+    getBlastArea
+} from './scrolls.js';
+import { enchantItem, getItemName } from './item-properties.js';
+import { refreshPlayerStats } from './equipment.js';
+import { applyDiscoveries, discoverItem, discoverInventory, canCallItem, callAppearance } from './discoveries.js';
+import {
+    isInShop,
+    isShopOpen,
+    getShopkeeper,
+    getBill,
+    clearPriceTag,
+    canSellItem,
+    getItemPrice,
+    getSellPrice,
+    getStackPrice,
+    findFreeShopTile,
+    angerShopkeeper
+} from './shops.js';
+import {
+    traceProjectile,
+    getRangePenalty,
+    getLauncher,
+    findAmmoSlot,
+    canThrowItem,
+    getProjectileRange,
+    getProjectileWeapon,
+    getShatterEffect,
+    rollProjectileBreaks
+} from './ranged.js';
+import {
+    SPELL_TARGETS,
+    getSpellDefinition,
+    getCastProblem,
+    learnSpell,
+    knowsSpell,
+    findBlinkDestination
+} from './spells.js';
+
+/**
+ * Event types emitted by the rules
+ */
+export const GAME_EVENTS = {
+    LOG: 'log',
+    LEVEL_LOADED: 'levelLoaded',
+    TURN_ADVANCED: 'turnAdvanced',
+    ATTACK_HIT: 'attackHit',
+    ENEMY_MOVED: 'enemyMoved',
+    ENEMIES_SPAWNED: 'enemiesSpawned',
+    ITEM_DROPPED: 'itemDropped',
+    ITEM_REMOVED: 'itemRemoved',
+    ENEMY_KILLED: 'enemyKilled',
+    LEVEL_UP: 'levelUp',
+    ABILITY_USED: 'abilityUsed',
+    DOOR_CHANGED: 'doorChanged',
+    SHOP_OPENED: 'shopOpened',
+    PROJECTILE_FIRED: 'projectileFired',
+    SPELL_CAST: 'spellCast',
+    PLAYER_STEPPED: 'playerStepped'
+};
+
+/**
+ * Hooks run in registration order after every kill, once XP and loot are resolved.
+ * Each hook receives (state, enemy, rng) and returns {state, events}.
+ */
+export const KILL_HOOKS = [];
+
+/**
+ * Register an on-kill hook
+ * @param {function} hook - Function (state, enemy, rng) => {state, events}
+ * @param {Array} hooks - Hook list to register into
+ * @returns {function} Function that unregisters the hook
+ */
+export function registerKillHook(hook, hooks = KILL_HOOKS) {
+    hooks.push(hook);
+    return () => {
+        const index = hooks.indexOf(hook);
+        if (index !== -1) hooks.splice(index, 1);
+    };
+}
+
+/**
+ * Create a log event
+ * @param {string} message - Message text
+ * @param {boolean} combat - Whether the message also belongs in the combat log
+ * @returns {object} Log event
+ */
+function logEvent(message, combat = false) {
+    return { type: GAME_EVENTS.LOG, message, combat };
+}
+
+/**
+ * Start a new run: initial state, run RNG and the first dungeon level
+ * @param {number} seed - Run seed
+ * @returns {{state: object, rng: object, events: Array}} Started run
+ */
+export function startRun(seed) {
+    const rng = createRunRandom(seed);
+    const { state, events } = loadLevel(createInitialState(seed), 1, rng);
+    return { state, rng, events };
+}
+
+/**
+ * Move the player to a dungeon level: the level they leave is cached, a level
+ * they visited before is restored as they left it, and a new level is generated
+ * with its entities. The player arrives on the stairs that lead back.
+ * @param {object} state - Current game state
+ * @param {number} level - Dungeon level to load
+ * @param {object} rng - Run RNG
+ * @returns {{state: object, events: Array}} New state and events
+ */
+export function loadLevel(state, level, rng) {
+    const { level: entered, levels, arrival } = travelToLevel(state, level, rng);
+    const arrivalWorld = gridToWorld(arrival.x, arrival.y);
+
+    const visibleTiles = computeVisibleTiles(entered.dungeon.grid, arrival, getSightRadius(state.player));
+
+    const newState = {
+        ...state,
+        dungeon: entered.dungeon,
+        levels,
+        player: {
+            ...state.player,
+            position: arrival,
+            worldPosition: { x: arrivalWorld.x, y: 1.6, z: arrivalWorld.z }
+        },
+        visibleTiles,
+        exploredTiles: updateExploredTiles(entered.exploredTiles, visibleTiles),
+        rememberedItems: updateRememberedItems(entered.rememberedItems, visibleTiles, entered.items),
+        entities: {
+            ...state.entities,
+            enemies: entered.enemies,
+            items: entered.items
+        },
+        statistics: {
+            ...state.statistics,
+            deepestLevel: Math.max(state.statistics.deepestLevel, level)
+        }
+    };
+
+    return { state: newState, events: [{ type: GAME_EVENTS.LEVEL_LOADED, level }] };
+}
+
+/**
+ * Get the tile position in front of the player based on facing direction
+ * @param {object} state - Current game state
+ * @returns {object} Target position {x, y}
+ */
+export function getTargetTile(state) {
+    const playerRotation = state.player.rotation;
+
+    // Calculate the tile 1 square in front based on facing direction
+    // In Three.js, rotation 0 faces -Z (south), rotation increases counter-clockwise
+    // So: 0 = South, PI/2 = West, PI = North, 3*PI/2 = East
+    const facingDx = Math.round(-Math.sin(playerRotation));
+    const facingDy = Math.round(-Math.cos(playerRotation));
+
+    return {
+        x: state.player.position.x + facingDx,
+        y: state.player.position.y + facingDy
+    };
+}
+
+/**
+ * Get how far the player can see, with equipment and sight effects
+ * @param {object} player - Player state
+ * @returns {number} Visibility radius in meters
+ */
+function getSightRadius(player) {
+    return getEffectiveVisibilityRadius(player.statusEffects, VISIBILITY_RADIUS + (player.sightBonus || 0));
+}
+
+/**
+ * Recompute what the player can see from where they stand
+ * @param {object} state - Current game state
+ * @returns {object} New state with visible and explored tiles, and the items seen, updated
+ */
+function refreshVisibility(state) {
+    const visibleTiles = computeVisibleTiles(state.dungeon.grid, state.player.position, getSightRadius(state.player));
+    return {
+        ...state,
+        visibleTiles,
+        exploredTiles: updateExploredTiles(state.exploredTiles, visibleTiles),
+        rememberedItems: updateRememberedItems(state.rememberedItems || new Set(), visibleTiles, state.entities.items)
+    };
+}
+
+/**
+ * Move the player into a new grid cell and refresh visibility
+ * @param {object} state - Current game state
+ * @param {object} gridPos - New grid position {x, y}
+ * @returns {{state: object, events: Array}} New state and events
+ */
+export function enterTile(state, gridPos) {
+    const theft = catchShoplifter(refreshVisibility(updatePlayerPosition(state, gridPos)));
+    const events = [...theft.events];
+    const newState = theft.state;
+
+    // Check if player found stairs
+    const tile = newState.dungeon.grid[gridPos.y]?.[gridPos.x];
+    if (tile === 'stairs_down') {
+        events.push(logEvent('🎯 You found the stairs down!'));
+    } else if (tile === 'stairs_up') {
+        events.push(logEvent('🎯 You found the stairs up!'));
+    }
+
+    return { state: newState, events };
+}
+
+/**
+ * Turn the shopkeeper hostile if the player has left the shop with goods
+ * they haven't paid for. The goods are the player's own from then on.
+ * @param {object} state - Game state with the player in their new position
+ * @returns {{state: object, events: Array}} New state and events
+ */
+function catchShoplifter(state) {
+    const bill = getBill(state.inventory || []);
+    if (bill.length === 0 || isInShop(state.dungeon.shop, state.player.position)) {
+        return { state, events: [] };
+    }
+
+    const events = [];
+    const inventory = state.inventory.map(item => (item && item.unpaid ? clearPriceTag(item) : item));
+    let enemies = state.entities.enemies;
+
+    const shopkeeper = getShopkeeper(state);
+    if (shopkeeper && shopkeeper.peaceful) {
+        const angry = angerShopkeeper(shopkeeper, state.player.position);
+        enemies = enemies.map(enemy => (enemy.id === angry.id ? angry : enemy));
+        events.push(logEvent(`😠 You leave without paying! The ${shopkeeper.name.toLowerCase()} is furious!`, true));
+    }
+
+    return { state: { ...state, inventory, entities: { ...state.entities, enemies } }, events };
+}
+
+/**
+ * Apply one frame of free movement to a proposed world position
+ * @param {object} state - Current game state
+ * @param {object} worldPosition - Proposed world position {x, y, z}
+ * @param {number} distance - Distance covered this frame
+ * @param {object} rng - Run RNG
+ * @returns {{state: object, events: Array, moved: boolean, cellChanged: boolean, turnAdvanced: boolean}} Result
+ */
+export function movePlayer(state, worldPosition, distance, rng) {
+    const blocked = { state, events: [], moved: false, cellChanged: false, turnAdvanced: false };
+    if (state.gameOver) return blocked;
+
+    // Stunned players stagger in place; the distance they try to cover still
+    // counts, and each turn it adds up to is lost
+    if (hasStatusEffect(state.player.statusEffects || [], STATUS_TYPES.STUN)) {
+        const staggered = updateAccumulatedMovement(state, distance);
+        if (!checkTurnAdvancement(staggered)) return { ...blocked, state: staggered };
+        const stunned = loseStunnedTurn(staggered, rng);
+        return { ...blocked, state: stunned.state, events: stunned.events, turnAdvanced: true };
+    }
+
+    // Check collision with walls
+    const gridPos = worldToGrid(worldPosition.x, worldPosition.z);
+    const tileWalkable = checkCollision(worldPosition, state.dungeon.grid, worldToGrid, isWalkable);
+
+    // Check collision with monsters (monsters are solid)
+    const monsterAtPosition = state.entities.enemies.some(enemy =>
+        enemy.isAlive &&
+        enemy.position.x === gridPos.x &&
+        enemy.position.y === gridPos.y
+    );
+
+    if (!tileWalkable || monsterAtPosition) return blocked;
+
+    const events = [];
+    let newState = updatePlayerWorldPosition(state, worldPosition);
+
+    const cellChanged = gridPos.x !== state.player.position.x || gridPos.y !== state.player.position.y;
+    if (cellChanged) {
+        const entered = enterTile(newState, gridPos);
+        newState = entered.state;
+        events.push(...entered.events);
+    }
+
+    newState = updateAccumulatedMovement(newState, distance);
+
+    const turnAdvanced = checkTurnAdvancement(newState);
+    if (turnAdvanced) {
+        const turn = resolveTurn(newState, rng);
+        newState = turn.state;
+        events.push(...turn.events);
+    }
+
+    const combat = updateCombatDetection(newState, worldPosition);
+    events.push(...combat.events);
+
+    return { state: combat.state, events, moved: true, cellChanged, turnAdvanced };
+}
+
+/**
+ * Step one tile in a grid direction, taking exactly one turn. The player
+ * lands on the tile's center, so they always know which tile they're on.
+ * Walls, closed doors and creatures block the step, as does the corner
+ * between two walls on a diagonal.
+ * @param {object} state - Current game state
+ * @param {object} direction - Grid offset {dx, dy}, each -1, 0 or 1
+ * @param {object} rng - Run RNG
+ * @returns {{state: object, events: Array, performed: boolean}} Result
+ */
+export function stepPlayer(state, direction, rng) {
+    const { dx, dy } = direction;
+    if (![-1, 0, 1].includes(dx) || ![-1, 0, 1].includes(dy) || (dx === 0 && dy === 0)) {
+        throw new Error(`Invalid step direction: ${dx},${dy}`);
+    }
+
+    if (state.gameOver) return { state, events: [], performed: false };
+
+    const stunned = loseStunnedTurn(state, rng);
+    if (stunned) return stunned;
+
+    const { grid } = state.dungeon;
+    const from = state.player.position;
+    const to = { x: from.x + dx, y: from.y + dy };
+    const occupied = state.entities.enemies.some(enemy =>
+        enemy.isAlive && enemy.position.x === to.x && enemy.position.y === to.y);
+    const cornerBlocked = dx !== 0 && dy !== 0 &&
+        !isWalkable(grid, to.x, from.y) && !isWalkable(grid, from.x, to.y);
+
+    if (!isWalkable(grid, to.x, to.y) || occupied || cornerBlocked) {
+        return { state, events: [], performed: false };
+    }
+
+    const center = gridToWorld(to.x, to.y);
+    const worldPosition = { x: center.x, y: state.player.worldPosition.y, z: center.z };
+    const events = [{ type: GAME_EVENTS.PLAYER_STEPPED, from: { ...from }, to }];
+
+    const entered = enterTile(updatePlayerWorldPosition(state, worldPosition), to);
+    events.push(...entered.events);
+
+    const turn = resolveTurn(entered.state, rng);
+    events.push(...turn.events);
+
+    const combat = updateCombatDetection(turn.state, worldPosition);
+    events.push(...combat.events);
+
+    return { state: combat.state, events, performed: true };
+}
+
+/**
+ * Enter or leave combat mode depending on whether a hostile creature is in
+ * sight and near the player
+ * @param {object} state - Current game state
+ * @param {object} worldPosition - Player's world position {x, y, z}
+ * @returns {{state: object, events: Array}} New state and events
+ */
+function updateCombatDetection(state, worldPosition) {
+    // Combat detection works in world space, so place enemies at their tile centers
+    const visibleEnemies = filterVisibleEntities(
+        state.entities.enemies.filter(enemy => isEntityAlive(enemy) && !enemy.peaceful),
+        state.visibleTiles
+    ).map(enemy => ({ position: gridToWorld(enemy.position.x, enemy.position.y) }));
+    const inCombat = detectCombatMode(worldPosition, visibleEnemies, COMBAT_DETECTION_RADIUS);
+
+    const events = [];
+    if (inCombat && !state.inCombatMode) {
+        events.push(logEvent('⚔️ Entered combat mode!'));
+    } else if (!inCombat && state.inCombatMode) {
+        events.push(logEvent('✓ Combat ended.'));
+    }
+
+    return { state: setCombatMode(state, inCombat), events };
+}
+
+/**
+ * Resolve the end of a player turn: hunger, status effects and enemy turns
+ * @param {object} state - Current game state
+ * @param {object} rng - Run RNG
+ * @returns {{state: object, events: Array}} New state and events
+ */
+export function resolveTurn(state, rng) {
+    const oldHunger = state.player.hunger;
+    let newState = advanceTurn(state);
+    const events = [{ type: GAME_EVENTS.TURN_ADVANCED, turn: newState.turnCount }];
+
+    if (newState.player.statusEffects) {
+        // Check for attraction before updating, since the update may expire it
+        const hadAttractionEffect = hasStatusEffect(newState.player.statusEffects, STATUS_TYPES.ATTRACTION);
+
+        const poison = getStatusEffect(newState.player.statusEffects, STATUS_TYPES.POISON);
+        if (poison) {
+            const wasAlive = !newState.gameOver;
+            newState = damagePlayer(newState, poison.magnitude);
+            events.push(logEvent(`🤢 Poison deals ${poison.magnitude} damage!`));
+            if (wasAlive && newState.gameOver) {
+                newState = { ...newState, deathMessage: 'You succumbed to poison!' };
+            }
+        }
+
+        newState = {
+            ...newState,
+            player: {
+                ...newState.player,
+                statusEffects: updateStatusEffects(newState.player.statusEffects)
+            }
+        };
+
+        // Attraction summons 2-4 enemies nearby
+        if (hadAttractionEffect) {
+            const summoned = summonEnemies(newState, rng);
+            newState = summoned.state;
+            events.push(...summoned.events);
+        }
+    }
+
+    // Regeneration from equipment heals every few turns
+    if (newState.player.regen > 0 && newState.turnCount % REGEN_INTERVAL === 0 &&
+        newState.player.hp < newState.player.maxHp && !newState.gameOver) {
+        newState = healPlayer(newState, newState.player.regen);
+        events.push(logEvent(`💚 You regenerate ${newState.player.regen} HP.`));
+    }
+
+    // Check for hunger warnings
+    const newHunger = newState.player.hunger;
+    if (newHunger <= 100 && oldHunger > 100) {
+        events.push(logEvent('⚠️ You are getting hungry!'));
+    } else if (newHunger <= 50 && oldHunger > 50) {
+        events.push(logEvent('⚠️⚠️ You are very hungry!'));
+    } else if (newHunger <= 20 && oldHunger > 20) {
+        events.push(logEvent('🚨 Critical: You are starving!'));
+    }
+
+    // Footsteps carry a short way
+    const noise = { position: newState.player.position, radius: NOISE_RADIUS.MOVE };
+    const enemyTurns = processEnemies(newState, rng, noise);
+    events.push(...enemyTurns.events);
+    newState = enemyTurns.state;
+
+    return { state: newState, events };
+}
+
+/**
+ * Summon 2-4 enemies around the player that already know where they are
+ * @param {object} state - Current game state
+ * @param {object} rng - Run RNG
+ * @returns {{state: object, events: Array}} New state and events (none if nothing could spawn)
+ */
+function summonEnemies(state, rng) {
+    const attracted = spawnAttractedEnemies(
+        state.player.position,
+        state.dungeon.grid,
+        state.entities.enemies,
+        state.dungeon.level,
+        rng
+    );
+    if (attracted.length === 0) return { state, events: [] };
+
+    // Summoned monsters know exactly where the player is
+    const hunters = attracted.map(enemy => ({
+        ...enemy,
+        ai: { ...enemy.ai, state: AI_STATES.HUNT, lastKnownPlayer: { ...state.player.position }, memory: getAIProfile(enemy.type).memory }
+    }));
+
+    return {
+        state: {
+            ...state,
+            entities: {
+                ...state.entities,
+                enemies: [...state.entities.enemies, ...hunters]
+            }
+        },
+        events: [
+            { type: GAME_EVENTS.ENEMIES_SPAWNED, enemies: hunters },
+            logEvent(`🎯 ${attracted.length} monster${attracted.length > 1 ? 's' : ''} appeared!`)
+        ]
+    };
+}
+
+/**
+ * Apply the on-hit abilities that trigger when an enemy's attack lands
+ * @param {object} state - Current game state
+ * @param {object} enemy - Attacking enemy (its cooldowns are updated in place)
+ * @param {Array} enemies - Enemies on the level, which block knockback
+ * @param {object} rng - Run RNG
+ * @returns {{state: object, events: Array}} New state and events
+ */
+function applyOnHitAbilities(state, enemy, enemies, rng) {
+    let newState = state;
+    const events = [];
+
+    for (const ability of rollOnHitAbilities(enemy, rng)) {
+        const landing = ability.knockback
+            ? getKnockbackDestination(enemy.position, newState.player.position, ability.knockback, newState.dungeon.grid, enemies)
+            : null;
+
+        // A pure shove into a wall does nothing
+        if (!ability.effect && !landing) continue;
+
+        if (ability.effect) {
+            const effect = createStatusEffect(ability.effect.type, ability.effect.duration, ability.effect.magnitude);
+            newState = {
+                ...newState,
+                player: {
+                    ...newState.player,
+                    statusEffects: addStatusEffect([...(newState.player.statusEffects || [])], effect)
+                }
+            };
+        }
+
+        if (landing) {
+            const world = gridToWorld(landing.x, landing.y);
+            newState = updatePlayerWorldPosition(newState, { x: world.x, y: newState.player.worldPosition.y, z: world.z });
+            const entered = enterTile(newState, landing);
+            newState = entered.state;
+            events.push(...entered.events);
+        }
+
+        enemy.cooldowns = startCooldown(enemy.cooldowns, ability);
+        events.push({ type: GAME_EVENTS.ABILITY_USED, enemyId: enemy.id, ability: ability.id, tiles: [] });
+        if (ability.message) {
+            events.push(logEvent(ability.message, true));
+        }
+    }
+
+    return { state: newState, events };
+}
+
+/**
+ * Breathe on the player with a ranged area attack
+ * @param {object} state - Current game state
+ * @param {object} enemy - Breathing enemy (its cooldowns are updated in place)
+ * @param {object} breath - Breath to use {ability, tiles} from findBreathAttack
+ * @param {object} rng - Run RNG
+ * @returns {{state: object, events: Array}} New state and events
+ */
+function breathAttack(state, enemy, breath, rng) {
+    const { ability, tiles } = breath;
+    const events = [{ type: GAME_EVENTS.ABILITY_USED, enemyId: enemy.id, ability: ability.id, tiles }];
+    events.push(logEvent(ability.message || `${enemy.name} uses ${ability.name}!`, true));
+    enemy.cooldowns = startCooldown(enemy.cooldowns, ability);
+
+    let newState = state;
+    if (hasStatusEffect(state.player.statusEffects || [], STATUS_TYPES.STONE)) {
+        events.push(logEvent('💎 Stone effect blocks damage!'));
+        return { state: newState, events };
+    }
+
+    const damage = rollDamage(ability.damage[0], ability.damage[1], 0, rng);
+    newState = damagePlayer(newState, damage);
+    events.push({ type: GAME_EVENTS.ATTACK_HIT, attackerId: enemy.id, targetId: 'player' });
+    events.push(logEvent(`${ability.name} hits you for ${damage} damage!`, true));
+
+    if (ability.effect) {
+        const effect = createStatusEffect(ability.effect.type, ability.effect.duration, ability.effect.magnitude);
+        newState = {
+            ...newState,
+            player: {
+                ...newState.player,
+                statusEffects: addStatusEffect([...(newState.player.statusEffects || [])], effect)
+            }
+        };
+    }
+
+    return { state: newState, events };
+}
+
+/**
+ * Take every living enemy's turn
+ * @param {object} state - Current game state
+ * @param {object} rng - Run RNG
+ * @param {object} noise - Noise the player made this turn {position, radius} (optional)
+ * @returns {{state: object, events: Array}} New state and events
+ */
+export function processEnemies(state, rng, noise = null) {
+    const events = [];
+    let newState = state;
+    let doorsChanged = false;
+
+    // Enemies act in order and later enemies see earlier moves, so work on copies
+    const enemies = state.entities.enemies.map(enemy => ({ ...enemy }));
+
+    for (const enemy of enemies) {
+        // Peaceful shopkeepers mind their shop
+        if (!isEntityAlive(enemy) || enemy.peaceful) continue;
+
+        const enemyConfig = ENEMY_TYPES[enemy.type];
+
+        // Troll regeneration
+        if (enemyConfig && enemyConfig.regenerates && enemy.hp < enemy.maxHp) {
+            enemy.hp = Math.min(enemy.hp + 1, enemy.maxHp);
+        }
+
+        enemy.cooldowns = tickCooldowns(enemy.cooldowns);
+
+        // Slowed enemies lose every other turn
+        if (enemy.statusEffects) {
+            const slow = getStatusEffect(enemy.statusEffects, STATUS_TYPES.SLOW);
+            enemy.statusEffects = updateStatusEffects(enemy.statusEffects);
+            if (slow && slow.turnsRemaining % 2 === 0) continue;
+        }
+
+        const playerEffects = newState.player.statusEffects || [];
+        const action = processEnemyTurn(
+            enemy,
+            newState.player.position,
+            newState.dungeon.grid,
+            findPath,
+            playerEffects,
+            { noise, enemies, doors: newState.dungeon.doors, rng }
+        );
+
+        const previousState = enemy.ai ? enemy.ai.state : AI_STATES.IDLE;
+        enemy.ai = action.ai;
+
+        // Only announce changes of heart the player can see
+        const inView = newState.visibleTiles.has(`${enemy.position.x},${enemy.position.y}`);
+        if (inView && action.ai.state !== previousState) {
+            if (action.ai.state === AI_STATES.HUNT) {
+                events.push(logEvent(`❗ ${enemy.name} spots you!`));
+            } else if (action.ai.state === AI_STATES.FLEE) {
+                events.push(logEvent(`💨 ${enemy.name} flees!`));
+            }
+        }
+
+        // Hunting enemies with a breath weapon in range use it instead of moving or attacking
+        const breath = action.ai && action.ai.state === AI_STATES.HUNT &&
+            !hasStatusEffect(playerEffects, STATUS_TYPES.INVISIBILITY)
+            ? findBreathAttack(enemy, newState.player.position, newState.dungeon.grid)
+            : null;
+
+        if (breath) {
+            const breathed = breathAttack(newState, enemy, breath, rng);
+            newState = breathed.state;
+            events.push(...breathed.events);
+        } else if (action.action === 'attack') {
+            const result = executeAttack(enemy, newState.player, [], playerEffects, rng);
+            events.push(logEvent(getCombatMessage(enemy.name, 'Player', result), true));
+
+            if (result.hit) {
+                events.push({ type: GAME_EVENTS.ATTACK_HIT, attackerId: enemy.id, targetId: 'player' });
+                if (result.blocked) {
+                    events.push(logEvent('💎 Stone effect blocks damage!'));
+                } else {
+                    newState = damagePlayer(newState, result.damage);
+                    const onHit = applyOnHitAbilities(newState, enemy, enemies, rng);
+                    newState = onHit.state;
+                    events.push(...onHit.events);
+                }
+            }
+        } else if (action.action === 'move') {
+            // Enemies chasing where they last heard the player can path onto
+            // the player's own tile; it is as blocked as one with an enemy on it
+            const { position } = newState.player;
+            const targetOccupied = (action.newPosition.x === position.x && action.newPosition.y === position.y) ||
+                enemies.some(otherEnemy =>
+                    otherEnemy.id !== enemy.id &&
+                    isEntityAlive(otherEnemy) &&
+                    otherEnemy.position.x === action.newPosition.x &&
+                    otherEnemy.position.y === action.newPosition.y
+                );
+
+            // Closed doors in the way take the enemy's turn to open or bash down,
+            // and blocked enemies wait in place
+            const door = getDoorAt(newState.dungeon.doors, action.newPosition);
+            if (door && !isDoorOpen(door)) {
+                const forced = forceDoor(newState, enemy, door);
+                newState = forced.state;
+                events.push(...forced.events);
+                doorsChanged = true;
+            } else if (!targetOccupied) {
+                enemy.position = action.newPosition;
+                events.push({ type: GAME_EVENTS.ENEMY_MOVED, enemy });
+            }
+        }
+    }
+
+    newState = {
+        ...newState,
+        entities: { ...newState.entities, enemies }
+    };
+
+    // A door opened by an enemy may reveal more of the level
+    if (doorsChanged) {
+        newState = refreshVisibility(newState);
+    }
+
+    return { state: newState, events };
+}
+
+/**
+ * Have an enemy open a closed door, or bash it in if its kind smashes doors
+ * @param {object} state - Current game state
+ * @param {object} enemy - Enemy at the door
+ * @param {object} door - Closed or locked door
+ * @returns {{state: object, events: Array}} New state and events
+ */
+function forceDoor(state, enemy, door) {
+    const bash = getAIProfile(enemy.type).doors === DOOR_SKILLS.BASH;
+    const changed = setDoorState(state.dungeon, door, bash ? DOOR_STATES.BROKEN : DOOR_STATES.OPEN);
+    const events = [{ type: GAME_EVENTS.DOOR_CHANGED, door: changed.door }];
+
+    const inView = state.visibleTiles.has(`${enemy.position.x},${enemy.position.y}`) ||
+        state.visibleTiles.has(`${door.position.x},${door.position.y}`);
+    if (bash) {
+        // Smashing a door is loud enough to hear anywhere on the level
+        events.push(logEvent(inView ? `💥 ${enemy.name} smashes the door down!` : '💥 You hear a door splinter!'));
+    } else if (inView) {
+        events.push(logEvent(`🚪 ${enemy.name} opens a door.`));
+    }
+
+    return { state: { ...state, dungeon: changed.dungeon }, events };
+}
+
+/**
+ * Interact with the tile in front of the player: attack, trade, pick up, use
+ * a door, search a wall, descend or climb
+ * @param {object} state - Current game state
+ * @param {object} rng - Run RNG
+ * @returns {{state: object, events: Array, performed: boolean}} Result
+ */
+export function interact(state, rng) {
+    if (state.gameOver) return { state, events: [], performed: false };
+
+    const stunned = loseStunnedTurn(state, rng);
+    if (stunned) return stunned;
+
+    // Interactions happen on the highlighted tile in front of the player
+    const targetPosition = getTargetTile(state);
+    const tile = state.dungeon.grid[targetPosition.y]?.[targetPosition.x];
+    const interactables = findInteractablesAtPosition(targetPosition, state.entities, tile, state.dungeon.doors);
+    const action = getInteractionAction(interactables);
+
+    if (!action) {
+        return { state, events: [logEvent('Nothing to interact with here.')], performed: false };
+    }
+
+    if (action.type === 'attack') {
+        return attackEnemy(state, action.target, rng);
+    }
+
+    if (action.type === 'trade') {
+        return openShop(state, action.target);
+    }
+
+    if (action.type === 'pickup') {
+        return pickUpItem(state, action.target);
+    }
+
+    if (action.type === 'door') {
+        return useDoor(state, action.target, rng);
+    }
+
+    if (action.type === 'search') {
+        return searchWall(state, targetPosition, rng);
+    }
+
+    if (action.type === 'descend') {
+        const nextLevel = state.dungeon.level + 1;
+        const loaded = loadLevel(state, nextLevel, rng);
+        return {
+            state: loaded.state,
+            events: [
+                logEvent('⬇️ Descending to the next level...'),
+                ...loaded.events,
+                logEvent(`📍 Welcome to dungeon level ${nextLevel}!`)
+            ],
+            performed: true
+        };
+    }
+
+    if (action.type === 'ascend') {
+        const previousLevel = state.dungeon.level - 1;
+        const loaded = loadLevel(state, previousLevel, rng);
+        return {
+            state: loaded.state,
+            events: [
+                logEvent('⬆️ Climbing back up...'),
+                ...loaded.events,
+                logEvent(`📍 Back on dungeon level ${previousLevel}.`)
+            ],
+            performed: true
+        };
+    }
+
+    return { state, events: [], performed: false };
+}
+
+/**
+ * Resolve an enemy's death: award XP (levelling up as needed), count the kill,
+ * roll loot and run the on-kill hooks
+ * @param {object} state - Game state with the enemy already marked dead
+ * @param {object} enemy - Enemy that was killed
+ * @param {object} rng - Run RNG
+ * @param {Array} hooks - On-kill hooks to run
+ * @returns {{state: object, events: Array}} Result
+ */
+export function resolveKill(state, enemy, rng, hooks = KILL_HOOKS) {
+    const xpGained = enemy.xpValue || 50;
+    const levelBefore = state.player.level;
+    let newState = incrementKills(addExperience(state, xpGained));
+
+    const events = [
+        logEvent(`💀 ${enemy.name} defeated!`),
+        { type: GAME_EVENTS.ENEMY_KILLED, enemy, xp: xpGained },
+        logEvent(`+${xpGained} XP`)
+    ];
+
+    if (newState.player.level > levelBefore) {
+        events.push({ type: GAME_EVENTS.LEVEL_UP, level: newState.player.level });
+        events.push(logEvent(`⬆️ Level up! You are now level ${newState.player.level}.`));
+    }
+
+    const loot = generateEnemyLoot(enemy, newState.dungeon.level, rng, newState.discoveries);
+    if (loot) {
+        newState = {
+            ...newState,
+            entities: { ...newState.entities, items: [...newState.entities.items, loot] }
+        };
+        events.push({ type: GAME_EVENTS.ITEM_DROPPED, item: loot });
+        events.push(logEvent(`${enemy.name} dropped an item!`));
+    }
+
+    for (const hook of hooks) {
+        const result = hook(newState, enemy, rng);
+        newState = result.state;
+        events.push(...result.events);
+    }
+
+    return { state: newState, events };
+}
+
+/**
+ * Attack an adjacent enemy, then let the enemies take their turns
+ * @param {object} state - Current game state
+ * @param {object} target - Enemy being attacked
+ * @param {object} rng - Run RNG
+ * @returns {{state: object, events: Array, performed: boolean}} Result
+ */
+function attackEnemy(state, target, rng) {
+    const events = [];
+    const playerEffects = state.player.statusEffects || [];
+    const result = executeAttack(state.player, target, playerEffects, [], rng);
+    events.push(logEvent(getCombatMessage('Player', target.name, result)));
+
+    let newState = state;
+
+    if (result.hit) {
+        events.push({ type: GAME_EVENTS.ATTACK_HIT, attackerId: 'player', targetId: target.id });
+
+        const enemy = { ...target, hp: target.hp - result.damage };
+        if (enemy.hp <= 0) {
+            enemy.isAlive = false;
+        }
+
+        newState = {
+            ...newState,
+            entities: {
+                ...newState.entities,
+                enemies: newState.entities.enemies.map(e => (e.id === enemy.id ? enemy : e))
+            }
+        };
+
+        if (!enemy.isAlive) {
+            const kill = resolveKill(newState, enemy, rng);
+            newState = kill.state;
+            events.push(...kill.events);
+        }
+    }
+
+    // Enemies act after the player attacks, and fighting is loud
+    const noise = { position: newState.player.position, radius: NOISE_RADIUS.COMBAT };
+    const enemyTurns = processEnemies(newState, rng, noise);
+    return { state: enemyTurns.state, events: [...events, ...enemyTurns.events], performed: true };
+}
+
+/**
+ * Open or close the door in front of the player, or unlock it with a key and
+ * kick it in without one, then let the enemies take their turns
+ * @param {object} state - Current game state
+ * @param {object} door - Door in front of the player
+ * @param {object} rng - Run RNG
+ * @returns {{state: object, events: Array, performed: boolean}} Result
+ */
+function useDoor(state, door, rng) {
+    const events = [];
+    let newState = state;
+    let noiseRadius = NOISE_RADIUS.MOVE;
+    let nextDoorState = null;
+
+    // Anything standing in the doorway is attacked or picked up first, so open doors always close
+    if (door.state === DOOR_STATES.OPEN) {
+        nextDoorState = DOOR_STATES.CLOSED;
+        events.push(logEvent('🚪 You close the door.'));
+    } else if (door.state === DOOR_STATES.CLOSED) {
+        nextDoorState = DOOR_STATES.OPEN;
+        events.push(logEvent('🚪 You open the door.'));
+    } else if (door.state === DOOR_STATES.LOCKED) {
+        const keySlot = state.inventory.findIndex(item => item && item.type === ITEM_TYPES.KEY);
+        if (keySlot !== -1) {
+            // Keys fit any lock and are used up
+            newState = { ...newState, inventory: removeItemFromInventory(newState.inventory, keySlot, 1, rng).inventory };
+            nextDoorState = DOOR_STATES.OPEN;
+            events.push(logEvent('🔑 You unlock the door.'));
+        } else {
+            noiseRadius = NOISE_RADIUS.COMBAT;
+            const roll = rollD20(rng) + (state.player.attackBonus || 0);
+            if (roll >= DOOR_KICK_DC) {
+                nextDoorState = DOOR_STATES.BROKEN;
+                events.push(logEvent('💥 You kick the door open!'));
+            } else {
+                events.push(logEvent('🦶 WHAM! The door holds.'));
+            }
+        }
+    }
+
+    if (nextDoorState) {
+        const changed = setDoorState(newState.dungeon, door, nextDoorState);
+        newState = refreshVisibility({ ...newState, dungeon: changed.dungeon });
+        events.push({ type: GAME_EVENTS.DOOR_CHANGED, door: changed.door });
+    }
+
+    const noise = { position: newState.player.position, radius: noiseRadius };
+    const enemyTurns = processEnemies(newState, rng, noise);
+    return { state: enemyTurns.state, events: [...events, ...enemyTurns.events], performed: true };
+}
+
+/**
+ * Search the wall in front of the player for a secret door, then let the
+ * enemies take their turns
+ * @param {object} state - Current game state
+ * @param {object} position - Wall position {x, y}
+ * @param {object} rng - Run RNG
+ * @returns {{state: object, events: Array, performed: boolean}} Result
+ */
+function searchWall(state, position, rng) {
+    const events = [];
+    let newState = state;
+
+    const door = getDoorAt(state.dungeon.doors, position);
+    if (door && door.state === DOOR_STATES.SECRET && nextRandom(rng) < SECRET_DOOR_SEARCH_CHANCE) {
+        const changed = setDoorState(newState.dungeon, door, DOOR_STATES.CLOSED);
+        newState = refreshVisibility({ ...newState, dungeon: changed.dungeon });
+        events.push(logEvent('🔍 You find a secret door!'));
+        events.push({ type: GAME_EVENTS.DOOR_CHANGED, door: changed.door });
+    } else {
+        events.push(logEvent('🔍 You search the wall but find nothing.'));
+    }
+
+    // Searching is quiet
+    const enemyTurns = processEnemies(newState, rng);
+    return { state: enemyTurns.state, events: [...events, ...enemyTurns.events], performed: true };
+}
+
+/**
+ * Pick up an item from the world
+ * @param {object} state - Current game state
+ * @param {object} item - Item being picked up
+ * @returns {{state: object, events: Array, performed: boolean}} Result
+ */
+function pickUpItem(state, item) {
+    // Gold goes straight to the purse
+    if (item.type === ITEM_TYPES.GOLD) {
+        const newState = removeItemFromWorld(addGold(state, item.amount), item.id);
+        return {
+            state: newState,
+            events: [
+                { type: GAME_EVENTS.ITEM_REMOVED, item },
+                logEvent(`💰 Picked up ${item.amount} gold!`)
+            ],
+            performed: true
+        };
+    }
+
+    // Goods on sale go on the bill while the shopkeeper is there to mind them
+    const forSale = Boolean(item.price) && Boolean(getShopkeeper(state)?.peaceful);
+    const taken = forSale ? { ...item, unpaid: true } : clearPriceTag(item);
+
+    // Potions and scrolls of a kind the player has identified are known on sight
+    const { success, slot, ...added } = addItemToInventory(state, applyDiscoveries(taken, state.discoveries));
+    if (!success) {
+        return { state, events: [logEvent('⚠️ Inventory is full!')], performed: false };
+    }
+
+    const events = [
+        { type: GAME_EVENTS.ITEM_REMOVED, item },
+        logEvent(`📦 Picked up ${item.name || 'item'} (${getSlotLetter(slot)})`)
+    ];
+    if (forSale) {
+        events.push(logEvent(`🏷️ That will be ${getStackPrice(item)} gold. Pay the shopkeeper before you leave.`));
+    }
+
+    return { state: removeItemFromWorld(added, item.id), events, performed: true };
+}
+
+/**
+ * Greet the player at the shopkeeper's counter
+ * @param {object} state - Current game state
+ * @param {object} shopkeeper - Peaceful shopkeeper in front of the player
+ * @returns {{state: object, events: Array, performed: boolean}} Result
+ */
+function openShop(state, shopkeeper) {
+    const owed = getBill(state.inventory).reduce((total, entry) => total + entry.price, 0);
+    return {
+        state,
+        events: [
+            logEvent(owed > 0
+                ? `🛒 ${shopkeeper.name}: "That comes to ${owed} gold."`
+                : `🛒 ${shopkeeper.name}: "Welcome! Have a look around."`),
+            { type: GAME_EVENTS.SHOP_OPENED, shopkeeperId: shopkeeper.id }
+        ],
+        performed: true
+    };
+}
+
+/**
+ * Buy from the shop the player is in: pay for goods already picked up, or
+ * buy goods straight off the shop floor
+ * @param {object} state - Current game state
+ * @param {object} target - {slot} of an unpaid inventory item or {itemId} of goods on sale
+ * @param {object} rng - Run RNG, for the turn a stunned player loses (optional)
+ * @returns {{state: object, events: Array, performed: boolean}} Result
+ */
+export function buyShopItem(state, target, rng = null) {
+    if (state.gameOver) return { state, events: [], performed: false };
+    if (!isShopOpen(state)) {
+        return { state, events: [logEvent('⚠️ There is no shopkeeper here to pay')], performed: false };
+    }
+
+    const stunned = loseStunnedTurn(state, rng);
+    if (stunned) return stunned;
+
+    const gold = state.player.gold || 0;
+
+    if (target && Number.isInteger(target.slot)) {
+        const item = state.inventory[target.slot];
+        if (!item || !item.unpaid) {
+            return { state, events: [logEvent('⚠️ You don\'t owe anything for that')], performed: false };
+        }
+        const cost = getStackPrice(item);
+        const name = describeItem(item, state.discoveries);
+        if (cost > gold) {
+            return { state, events: [logEvent(`⚠️ You can't afford the ${name} (${cost} gold)`)], performed: false };
+        }
+
+        const paid = spendGold(state, cost);
+        return {
+            state: { ...paid, inventory: paid.inventory.map((slotItem, slot) => (slot === target.slot ? clearPriceTag(slotItem) : slotItem)) },
+            events: [logEvent(`💰 You pay ${cost} gold for the ${name}.`)],
+            performed: true
+        };
+    }
+
+    const item = state.entities.items.find(candidate => candidate.id === target?.itemId);
+    if (!item || !item.price || !isInShop(state.dungeon.shop, item.position)) {
+        return { state, events: [logEvent('⚠️ That isn\'t for sale')], performed: false };
+    }
+    const name = describeItem(item, state.discoveries);
+    const cost = getStackPrice(item);
+    if (cost > gold) {
+        return { state, events: [logEvent(`⚠️ You can't afford the ${name} (${cost} gold)`)], performed: false };
+    }
+
+    const { success, slot, ...added } = addItemToInventory(state, applyDiscoveries(clearPriceTag(item), state.discoveries));
+    if (!success) {
+        return { state, events: [logEvent('⚠️ Inventory is full!')], performed: false };
+    }
+
+    return {
+        state: removeItemFromWorld(spendGold(added, cost), item.id),
+        events: [
+            { type: GAME_EVENTS.ITEM_REMOVED, item },
+            logEvent(`🛒 You buy the ${name} for ${cost} gold (${getSlotLetter(slot)}).`)
+        ],
+        performed: true
+    };
+}
+
+/**
+ * Sell an inventory item, or a whole stack, to the shop the player is in.
+ * The shopkeeper lays it out on the shop floor at their own price.
+ * @param {object} state - Current game state
+ * @param {number} slot - Inventory slot (0-25)
+ * @param {object} rng - Run RNG, for the turn a stunned player loses (optional)
+ * @returns {{state: object, events: Array, performed: boolean}} Result
+ */
+export function sellShopItem(state, slot, rng = null) {
+    if (state.gameOver) return { state, events: [], performed: false };
+    if (!isShopOpen(state)) {
+        return { state, events: [logEvent('⚠️ There is no shopkeeper here to sell to')], performed: false };
+    }
+
+    const stunned = loseStunnedTurn(state, rng);
+    if (stunned) return stunned;
+
+    const item = state.inventory[slot];
+    if (!canSellItem(item)) {
+        return { state, events: [logEvent('⚠️ The shopkeeper won\'t buy that')], performed: false };
+    }
+    const position = findFreeShopTile(state);
+    if (!position) {
+        return { state, events: [logEvent('⚠️ The shop has no room for more goods')], performed: false };
+    }
+
+    const { level } = state.dungeon.shop;
+    const offer = getSellPrice(item, level);
+    const { inventory } = removeItemFromInventory(state.inventory, slot);
+    const goods = { ...item, position, price: getItemPrice(item, level) };
+    const name = describeItem(item, state.discoveries);
+    const sold = receiveGold({ ...state, inventory }, offer);
+
+    return {
+        state: { ...sold, entities: { ...sold.entities, items: [...sold.entities.items, goods] } },
+        events: [
+            { type: GAME_EVENTS.ITEM_DROPPED, item: goods },
+            logEvent(`💰 You sell the ${name}${getQuantity(item) > 1 ? ` x${getQuantity(item)}` : ''} for ${offer} gold.`)
+        ],
+        performed: true
+    };
+}
+
+/**
+ * Scroll effects applied by the rules, keyed by true scroll type. Each takes
+ * (state, rng, target) with the scroll already used up and returns
+ * {state, events}. Identify and remove curse only touch the inventory, so
+ * useItem reads those.
+ */
+const SCROLL_EFFECTS = {
+    'teleportation': teleportPlayer,
+    'magic mapping': mapLevel,
+    'scare monster': scareEnemies,
+    'summon monster': summonMonsters,
+    'enchant weapon': enchantTargetItem,
+    'enchant armor': enchantTargetItem,
+    'fire': fireBlast
+};
+
+/**
+ * Get the item an item-targeted scroll is aimed at
+ * @param {object} state - Current game state
+ * @param {object} target - {slot} for an inventory slot or {equipSlot} for an equipment slot
+ * @returns {object|null} Targeted item, or null
+ */
+function getTargetedItem(state, target) {
+    if (target && target.equipSlot) return state.player.equipment?.[target.equipSlot] || null;
+    if (target && Number.isInteger(target.slot)) return state.inventory[target.slot] || null;
+    return null;
+}
+
+/**
+ * Check a scroll's target before it is read
+ * @param {object} state - Current game state
+ * @param {object} definition - Scroll definition from SCROLL_TYPES
+ * @param {object} target - Chosen target (optional)
+ * @returns {string|null} Why the target won't do, or null if it's fine
+ */
+function checkScrollTarget(state, definition, target) {
+    switch (definition.target) {
+        case SCROLL_TARGETS.ITEM:
+            return canTargetItem(definition, getTargetedItem(state, target))
+                ? null
+                : `Choose a ${definition.itemTypes.join(' or ')} to read the scroll on`;
+        case SCROLL_TARGETS.TILE:
+            return canTargetTile(state, target, definition.range) ? null : 'Choose a tile you can see';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Read a scroll whose effect reaches beyond the inventory
+ * @param {object} state - Current game state
+ * @param {number} slot - Inventory slot of the scroll
+ * @param {object} target - Chosen target for targeted scrolls (optional)
+ * @param {object} rng - Run RNG
+ * @returns {{state: object, events: Array, performed: boolean}} Result
+ */
+function readScroll(state, slot, target, rng) {
+    const scroll = state.inventory[slot];
+    const problem = checkScrollTarget(state, getScrollDefinition(scroll.trueType), target);
+    if (problem) {
+        return { state, events: [logEvent(`⚠️ ${problem}`)], performed: false };
+    }
+
+    // Reading a scroll uses it up and identifies every scroll of its kind
+    const { inventory } = removeItemFromInventory(state.inventory, slot, 1, rng);
+    const read = {
+        ...state,
+        inventory: inventory.map(item =>
+            item && item.type === scroll.type && item.trueType === scroll.trueType ? { ...item, identified: true } : item
+        ),
+        statistics: { ...state.statistics, itemsUsed: state.statistics.itemsUsed + 1 }
+    };
+
+    const result = SCROLL_EFFECTS[scroll.trueType](read, rng, target);
+    return {
+        // Teleporting and mapping both change what the player sees
+        state: refreshVisibility(recordDiscoveries(result.state, scroll)),
+        events: [logEvent(`📜 You read the scroll of ${scroll.trueType}.`), ...result.events],
+        performed: true
+    };
+}
+
+/**
+ * Scroll of teleportation: move the player to a random empty floor tile
+ * @param {object} state - Current game state
+ * @param {object} rng - Run RNG
+ * @returns {{state: object, events: Array}} New state and events
+ */
+function teleportPlayer(state, rng) {
+    const destination = findTeleportDestination(state.dungeon.grid, state.player.position, state.entities.enemies, rng);
+    if (!destination) {
+        return { state, events: [logEvent('🌀 You feel a wrench, but nothing happens.')] };
+    }
+
+    const world = gridToWorld(destination.x, destination.y);
+    const moved = updatePlayerWorldPosition(state, { x: world.x, y: 1.6, z: world.z });
+    const entered = enterTile(moved, destination);
+    return { state: entered.state, events: [logEvent('🌀 You are teleported!'), ...entered.events] };
+}
+
+/**
+ * Scroll of magic mapping: reveal the level's layout
+ * @param {object} state - Current game state
+ * @returns {{state: object, events: Array}} New state and events
+ */
+function mapLevel(state) {
+    const exploredTiles = new Set([...state.exploredTiles, ...getMagicMapTiles(state.dungeon.grid)]);
+    return { state: { ...state, exploredTiles }, events: [logEvent('🗺️ A map coalesces in your mind!')] };
+}
+
+/**
+ * Scroll of scare monster: nearby enemies flee from the player
+ * @param {object} state - Current game state
+ * @returns {{state: object, events: Array}} New state and events
+ */
+function scareEnemies(state) {
+    const { position } = state.player;
+    let scared = 0;
+    const enemies = state.entities.enemies.map(enemy => {
+        if (!isEntityAlive(enemy) ||
+            distance(position.x, position.y, enemy.position.x, enemy.position.y) > SCROLL_SCARE_RADIUS) {
+            return enemy;
+        }
+        scared++;
+        return scareEnemy(enemy, position, SCROLL_SCARE_TURNS);
+    });
+
+    const message = scared > 0
+        ? `😱 ${scared} monster${scared > 1 ? 's' : ''} flee${scared > 1 ? '' : 's'} in terror!`
+        : '😱 You hear maniacal laughter in the distance.';
+    return { state: { ...state, entities: { ...state.entities, enemies } }, events: [logEvent(message)] };
+}
+
+/**
+ * Scroll of summon monster: enemies appear around the player
+ * @param {object} state - Current game state
+ * @param {object} rng - Run RNG
+ * @returns {{state: object, events: Array}} New state and events
+ */
+function summonMonsters(state, rng) {
+    const summoned = summonEnemies(state, rng);
+    if (summoned.events.length > 0) return summoned;
+    return { state, events: [logEvent('🎯 You hear a distant howl, but nothing comes.')] };
+}
+
+/**
+ * Scroll of enchant weapon or armor: +1 to the targeted item, lifting its curse
+ * @param {object} state - Current game state
+ * @param {object} rng - Run RNG (unused)
+ * @param {object} target - {slot} or {equipSlot} of the item
+ * @returns {{state: object, events: Array}} New state and events
+ */
+function enchantTargetItem(state, rng, target) {
+    const item = getTargetedItem(state, target);
+    const enchanted = enchantItem(item);
+    let newState;
+
+    if (target.equipSlot) {
+        // Worn items change the player's stats straight away
+        const equipment = { ...state.player.equipment, [target.equipSlot]: enchanted };
+        newState = { ...state, player: refreshPlayerStats({ ...state.player, equipment }) };
+    } else {
+        newState = { ...state, inventory: state.inventory.map((i, index) => (index === target.slot ? enchanted : i)) };
+    }
+
+    return { state: newState, events: [logEvent(`✨ Your ${getItemName(item)} glows blue for a moment.`)] };
+}
+
+/**
+ * Scroll of fire: a blast around the targeted tile burns everything in it,
+ * the player included
+ * @param {object} state - Current game state
+ * @param {object} rng - Run RNG
+ * @param {object} target - Targeted tile {x, y}
+ * @returns {{state: object, events: Array}} New state and events
+ */
+function fireBlast(state, rng, target) {
+    const area = new Set(getBlastArea(state.dungeon.grid, target, SCROLL_FIRE_RADIUS).map(tile => `${tile.x},${tile.y}`));
+    const [count, sides] = SCROLL_FIRE_DAMAGE;
+    const events = [logEvent('🔥 A pillar of fire erupts!', true)];
+    let newState = state;
+
+    for (const burning of state.entities.enemies) {
+        if (!isEntityAlive(burning) || !area.has(`${burning.position.x},${burning.position.y}`)) continue;
+
+        const damage = rollDamage(count, sides, 0, rng);
+        // Setting a shopkeeper alight makes an enemy of them
+        const struck = burning.peaceful ? angerShopkeeper(burning, newState.player.position) : burning;
+        const enemy = { ...struck, hp: struck.hp - damage };
+        if (enemy.hp <= 0) {
+            enemy.isAlive = false;
+        }
+
+        newState = {
+            ...newState,
+            entities: {
+                ...newState.entities,
+                enemies: newState.entities.enemies.map(e => (e.id === enemy.id ? enemy : e))
+            }
+        };
+        events.push({ type: GAME_EVENTS.ATTACK_HIT, attackerId: 'player', targetId: enemy.id });
+        events.push(logEvent(`🔥 ${enemy.name} burns for ${damage} damage!`, true));
+
+        if (!enemy.isAlive) {
+            const kill = resolveKill(newState, enemy, rng);
+            newState = kill.state;
+            events.push(...kill.events);
+        }
+    }
+
+    const { position } = newState.player;
+    if (area.has(`${position.x},${position.y}`)) {
+        if (hasStatusEffect(newState.player.statusEffects || [], STATUS_TYPES.STONE)) {
+            events.push(logEvent('💎 Stone effect blocks damage!'));
+        } else {
+            const damage = rollDamage(count, sides, 0, rng);
+            const wasAlive = !newState.gameOver;
+            newState = damagePlayer(newState, damage);
+            events.push(logEvent(`🔥 You are caught in the blast for ${damage} damage!`, true));
+            if (wasAlive && newState.gameOver) {
+                newState = { ...newState, deathMessage: 'You burned to death!' };
+            }
+        }
+    }
+
+    return { state: newState, events };
+}
+
+/**
+ * Record the kind of a potion or scroll the player used, and everything the
+ * inventory now has identified, in the run's discoveries
+ * @param {object} state - Game state after the item was used
+ * @param {object} item - Item that was used
+ * @returns {object} New state
+ */
+function recordDiscoveries(state, item) {
+    if (!state.discoveries) return state;
+    const discoveries = discoverInventory(discoverItem(state.discoveries, item), state.inventory);
+    return discoveries === state.discoveries ? state : { ...state, discoveries };
+}
+
+/**
+ * Shoot the launcher the player wields at a tile, using up one piece of its ammunition
+ * @param {object} state - Current game state
+ * @param {object} target - Aimed tile {x, y}
+ * @param {object} rng - Run RNG (optional, falls back to Math.random)
+ * @returns {{state: object, events: Array, performed: boolean}} Result
+ */
+export function fireLauncher(state, target, rng = null) {
+    if (state.gameOver) return { state, events: [], performed: false };
+
+    const launcher = getLauncher(state.player);
+    if (!launcher) {
+        return { state, events: [logEvent('⚠️ You have nothing to shoot with')], performed: false };
+    }
+    const slot = findAmmoSlot(state.inventory, launcher);
+    if (slot === -1) {
+        return { state, events: [logEvent(`⚠️ You have nothing to shoot from your ${launcher.name}`)], performed: false };
+    }
+
+    const stunned = loseStunnedTurn(state, rng);
+    if (stunned) return stunned;
+
+    const { inventory, item } = removeItemFromInventory(state.inventory, slot, 1, rng);
+    return launchProjectile({ ...state, inventory }, item, launcher, target, rng);
+}
+
+/**
+ * Throw one of an inventory item at a tile
+ * @param {object} state - Current game state
+ * @param {number} slot - Inventory slot (0-25)
+ * @param {object} target - Aimed tile {x, y}
+ * @param {object} rng - Run RNG (optional, falls back to Math.random)
+ * @returns {{state: object, events: Array, performed: boolean}} Result
+ */
+export function throwInventoryItem(state, slot, target, rng = null) {
+    if (state.gameOver) return { state, events: [], performed: false };
+
+    const item = state.inventory[slot];
+    if (!canThrowItem(item)) {
+        return { state, events: [logEvent('⚠️ You have nothing there to throw')], performed: false };
+    }
+    if (item.unpaid) {
+        return { state, events: [logEvent('⚠️ You have to pay for that first')], performed: false };
+    }
+
+    const stunned = loseStunnedTurn(state, rng);
+    if (stunned) return stunned;
+
+    const { inventory, item: thrown } = removeItemFromInventory(state.inventory, slot, 1, rng);
+    return launchProjectile({ ...state, inventory }, thrown, null, target, rng);
+}
+
+/**
+ * Pass the turn of a stunned player who tries to act
+ * @param {object} state - Current game state
+ * @param {object} rng - Run RNG
+ * @returns {{state: object, events: Array, performed: boolean}|null} Result, or null if the player isn't stunned
+ */
+function loseStunnedTurn(state, rng) {
+    if (!hasStatusEffect(state.player.statusEffects || [], STATUS_TYPES.STUN)) return null;
+    const turn = resolveTurn(state, rng);
+    return { state: turn.state, events: [logEvent('💫 You are stunned and cannot act!'), ...turn.events], performed: true };
+}
+
+/**
+ * Send a projectile from the player toward a tile: it strikes the first
+ * creature in its way or comes down where it stops. Potions shatter there;
+ * anything else lands on the tile unless it breaks. Enemies then take their
+ * turns.
+ * @param {object} state - Game state with the projectile already out of the inventory
+ * @param {object} projectile - One piece of ammunition or the thrown item
+ * @param {object} launcher - Launcher firing it, or null when thrown
+ * @param {object} target - Aimed tile {x, y}
+ * @param {object} rng - Run RNG
+ * @returns {{state: object, events: Array, performed: boolean}} Result
+ */
+function launchProjectile(state, projectile, launcher, target, rng) {
+    const from = state.player.position;
+    const { path, enemy, landing } = traceProjectile(
+        state.dungeon.grid,
+        from,
+        target,
+        getProjectileRange(launcher),
+        state.entities.enemies
+    );
+    const name = describeItem(projectile, state.discoveries);
+    const events = [
+        logEvent(launcher ? `🏹 You shoot the ${name}.` : `🎯 You throw the ${name}.`),
+        { type: GAME_EVENTS.PROJECTILE_FIRED, item: projectile, from: { ...from }, path }
+    ];
+    let newState = state;
+    let hit = false;
+
+    if (projectile.type === ITEM_TYPES.POTION) {
+        const shattered = shatterPotion(newState, projectile, landing, rng);
+        newState = shattered.state;
+        events.push(...shattered.events);
+    } else if (enemy) {
+        // Shooting at a shopkeeper makes an enemy of them, hit or miss
+        const target = enemy.peaceful ? angerShopkeeper(enemy, from) : enemy;
+        const attacker = {
+            attackBonus: (newState.player.attackBonus || 0) - getRangePenalty(from, enemy.position),
+            damageBonus: newState.player.damageBonus || 0,
+            weapon: getProjectileWeapon(projectile, launcher)
+        };
+        const result = executeAttack(attacker, target, newState.player.statusEffects || [], [], rng);
+        events.push(logEvent(result.hit
+            ? `${result.critical ? 'CRITICAL! ' : ''}The ${name} hits the ${target.name} for ${result.damage} damage!`
+            : `The ${name} misses the ${target.name}.`, true));
+        hit = result.hit;
+
+        const struck = { ...target, hp: target.hp - result.damage };
+        if (struck.hp <= 0) {
+            struck.isAlive = false;
+        }
+        newState = {
+            ...newState,
+            entities: {
+                ...newState.entities,
+                enemies: newState.entities.enemies.map(e => (e.id === struck.id ? struck : e))
+            }
+        };
+
+        if (hit) {
+            events.push({ type: GAME_EVENTS.ATTACK_HIT, attackerId: 'player', targetId: struck.id });
+        }
+        if (!struck.isAlive) {
+            const kill = resolveKill(newState, struck, rng);
+            newState = kill.state;
+            events.push(...kill.events);
+        }
+    }
+
+    if (projectile.type !== ITEM_TYPES.POTION) {
+        if (rollProjectileBreaks(projectile, hit, rng)) {
+            events.push(logEvent(`💥 The ${name} breaks.`));
+        } else {
+            const landed = { ...projectile, position: { ...landing } };
+            newState = { ...newState, entities: { ...newState.entities, items: [...newState.entities.items, landed] } };
+            events.push({ type: GAME_EVENTS.ITEM_DROPPED, item: landed });
+        }
+    }
+
+    // Enemies act after the player shoots, and fighting is loud
+    const noise = { position: newState.player.position, radius: NOISE_RADIUS.COMBAT };
+    const enemyTurns = processEnemies(newState, rng, noise);
+    return { state: enemyTurns.state, events: [...events, ...enemyTurns.events], performed: true };
+}
+
+/**
+ * Break a thrown potion on a tile, splashing everyone around it with its
+ * shatter effect. A potion whose effect shows identifies its kind.
+ * @param {object} state - Current game state
+ * @param {object} potion - Thrown potion
+ * @param {object} center - Tile it breaks on {x, y}
+ * @param {object} rng - Run RNG
+ * @returns {{state: object, events: Array}} New state and events
+ */
+function shatterPotion(state, potion, center, rng) {
+    const effect = getShatterEffect(potion);
+    const events = [logEvent(`💥 The ${describeItem(potion, state.discoveries)} shatters!`)];
+    if (!effect) {
+        events.push(logEvent('💨 A cloud of vapour drifts away.'));
+        return { state, events };
+    }
+
+    const area = new Set(getBlastArea(state.dungeon.grid, center, POTION_SHATTER_RADIUS).map(tile => `${tile.x},${tile.y}`));
+    const [count, sides] = effect.heal || effect.damage;
+    let newState = state;
+    let splashed = false;
+
+    for (const caught of state.entities.enemies) {
+        if (!isEntityAlive(caught) || !area.has(`${caught.position.x},${caught.position.y}`)) continue;
+
+        const amount = rollDamage(count, sides, 0, rng);
+        splashed = true;
+        let enemy;
+        if (effect.heal) {
+            enemy = { ...caught, hp: Math.min(caught.maxHp, caught.hp + amount) };
+            events.push(logEvent(`💚 ${enemy.name} looks healthier.`));
+        } else {
+            const struck = caught.peaceful ? angerShopkeeper(caught, newState.player.position) : caught;
+            enemy = { ...struck, hp: struck.hp - amount };
+            if (enemy.hp <= 0) {
+                enemy.isAlive = false;
+            }
+            events.push({ type: GAME_EVENTS.ATTACK_HIT, attackerId: 'player', targetId: enemy.id });
+            events.push(logEvent(`☠️ ${enemy.name} chokes on the fumes for ${amount} damage!`, true));
+        }
+
+        newState = {
+            ...newState,
+            entities: {
+                ...newState.entities,
+                enemies: newState.entities.enemies.map(e => (e.id === enemy.id ? enemy : e))
+            }
+        };
+
+        if (!enemy.isAlive) {
+            const kill = resolveKill(newState, enemy, rng);
+            newState = kill.state;
+            events.push(...kill.events);
+        }
+    }
+
+    const { position } = newState.player;
+    if (area.has(`${position.x},${position.y}`)) {
+        const amount = rollDamage(count, sides, 0, rng);
+        splashed = true;
+        if (effect.heal) {
+            newState = healPlayer(newState, amount);
+            events.push(logEvent('💚 The vapours make you feel better.'));
+        } else {
+            const wasAlive = !newState.gameOver;
+            newState = damagePlayer(newState, amount);
+            events.push(logEvent(`☠️ You choke on the fumes for ${amount} damage!`, true));
+            if (wasAlive && newState.gameOver) {
+                newState = { ...newState, deathMessage: 'You choked on poisonous fumes!' };
+            }
+        }
+    }
+
+    return { state: splashed ? recordDiscoveries(newState, potion) : newState, events };
+}
+
+/**
+ * Study a spellbook: the player learns its spell and the book crumbles away
+ * @param {object} state - Current game state
+ * @param {number} slot - Inventory slot of the spellbook
+ * @param {object} rng - Run RNG
+ * @returns {{state: object, events: Array, performed: boolean}} Result
+ */
+function readSpellbook(state, slot, rng) {
+    const book = state.inventory[slot];
+    if (knowsSpell(state.player, book.spell)) {
+        return { state, events: [logEvent(`⚠️ You already know ${book.spell}`)], performed: false };
+    }
+
+    const { inventory } = removeItemFromInventory(state.inventory, slot, 1, rng);
+    return {
+        state: {
+            ...state,
+            player: learnSpell(state.player, book.spell),
+            inventory,
+            statistics: { ...state.statistics, itemsUsed: state.statistics.itemsUsed + 1 }
+        },
+        events: [logEvent(`📖 You learn to cast ${book.spell}! The book crumbles to dust.`)],
+        performed: true
+    };
+}
+
+/**
+ * Spell effects applied by the rules, keyed by spell name. Each takes
+ * (state, definition, target, rng) with the mana already spent and returns
+ * {state, events}.
+ */
+const SPELL_EFFECTS = {
+    'magic missile': castMagicMissile,
+    'heal': castHeal,
+    'light': castLight,
+    'slow monster': castSlowMonster,
+    'blink': castBlink
+};
+
+/**
+ * Cast a spell the player knows. Tile spells fly from the player toward the
+ * aimed tile; enemies act once the spell is cast.
+ * @param {object} state - Current game state
+ * @param {string} spell - Spell name (e.g., 'magic missile')
+ * @param {object} target - Aimed tile {x, y} for tile spells (optional otherwise)
+ * @param {object} rng - Run RNG
+ * @returns {{state: object, events: Array, performed: boolean}} Result
+ */
+export function castSpell(state, spell, target = null, rng = null) {
+    if (state.gameOver) return { state, events: [], performed: false };
+
+    const problem = getCastProblem(state.player, spell);
+    if (problem) {
+        return { state, events: [logEvent(`⚠️ ${problem}`)], performed: false };
+    }
+    const definition = getSpellDefinition(spell);
+    if (definition.target === SPELL_TARGETS.TILE && !target) {
+        return { state, events: [logEvent(`⚠️ Choose where to cast ${spell}`)], performed: false };
+    }
+
+    const stunned = loseStunnedTurn(state, rng);
+    if (stunned) return stunned;
+
+    const cast = SPELL_EFFECTS[spell](spendMana(state, definition.cost), definition, target, rng);
+    const enemyTurns = processEnemies(cast.state, rng);
+    return {
+        state: enemyTurns.state,
+        events: [logEvent(`✨ You cast ${spell}.`), ...cast.events, ...enemyTurns.events],
+        performed: true
+    };
+}
+
+/**
+ * Send a spell along a line toward the aimed tile
+ * @param {object} state - Current game state
+ * @param {object} definition - Spell definition
+ * @param {object} target - Aimed tile {x, y}
+ * @returns {{enemy: object|null, events: Array}} First enemy in its way and the cast event
+ */
+function traceSpell(state, definition, target) {
+    const from = state.player.position;
+    const { path, enemy } = traceProjectile(state.dungeon.grid, from, target, definition.range, state.entities.enemies);
+    return { enemy, events: [{ type: GAME_EVENTS.SPELL_CAST, spell: definition.spell, from: { ...from }, path }] };
+}
+
+/**
+ * Put a changed enemy back into the state
+ * @param {object} state - Current game state
+ * @param {object} enemy - Enemy with the same id as one on the level
+ * @returns {object} New state
+ */
+function replaceEnemy(state, enemy) {
+    return {
+        ...state,
+        entities: {
+            ...state.entities,
+            enemies: state.entities.enemies.map(e => (e.id === enemy.id ? enemy : e))
+        }
+    };
+}
+
+/**
+ * Magic missile: a bolt that never misses the first enemy in its way
+ * @param {object} state - Current game state
+ * @param {object} definition - Spell definition {range, damage}
+ * @param {object} target - Aimed tile {x, y}
+ * @param {object} rng - Run RNG
+ * @returns {{state: object, events: Array}} New state and events
+ */
+function castMagicMissile(state, definition, target, rng) {
+    const { enemy, events } = traceSpell(state, definition, target);
+    if (!enemy) {
+        return { state, events: [...events, logEvent('🔮 The missile fizzles out.')] };
+    }
+
+    // Shopkeepers take being shot at badly
+    const struck = enemy.peaceful ? angerShopkeeper(enemy, state.player.position) : enemy;
+    const [count, sides] = definition.damage;
+    const damage = rollDamage(count, sides, 0, rng);
+    const wounded = { ...struck, hp: struck.hp - damage };
+    if (wounded.hp <= 0) {
+        wounded.isAlive = false;
+    }
+    let newState = replaceEnemy(state, wounded);
+    events.push({ type: GAME_EVENTS.ATTACK_HIT, attackerId: 'player', targetId: wounded.id });
+    events.push(logEvent(`🔮 The magic missile hits the ${wounded.name} for ${damage} damage!`, true));
+
+    if (!wounded.isAlive) {
+        const kill = resolveKill(newState, wounded, rng);
+        newState = kill.state;
+        events.push(...kill.events);
+    }
+    return { state: newState, events };
+}
+
+/**
+ * Heal: restore some of the player's HP
+ * @param {object} state - Current game state
+ * @param {object} definition - Spell definition {heal}
+ * @param {object} target - Unused
+ * @param {object} rng - Run RNG
+ * @returns {{state: object, events: Array}} New state and events
+ */
+function castHeal(state, definition, target, rng) {
+    const [count, sides] = definition.heal;
+    return {
+        state: healPlayer(state, rollDamage(count, sides, 0, rng)),
+        events: [logEvent('💚 You feel better.')]
+    };
+}
+
+/**
+ * Light: the player sees further for a while
+ * @param {object} state - Current game state
+ * @param {object} definition - Spell definition {duration, sight}
+ * @returns {{state: object, events: Array}} New state and events
+ */
+function castLight(state, definition) {
+    const effect = createStatusEffect(STATUS_TYPES.SIGHT, definition.duration, definition.sight);
+    const player = {
+        ...state.player,
+        statusEffects: addStatusEffect([...(state.player.statusEffects || [])], effect)
+    };
+    return {
+        state: refreshVisibility({ ...state, player }),
+        events: [logEvent('💡 A soft light spreads around you.')]
+    };
+}
+
+/**
+ * Slow monster: the first enemy in the spell's way loses every other turn
+ * @param {object} state - Current game state
+ * @param {object} definition - Spell definition {range, duration}
+ * @param {object} target - Aimed tile {x, y}
+ * @returns {{state: object, events: Array}} New state and events
+ */
+function castSlowMonster(state, definition, target) {
+    const { enemy, events } = traceSpell(state, definition, target);
+    if (!enemy) {
+        return { state, events: [...events, logEvent('🔮 The spell fizzles out.')] };
+    }
+
+    const struck = enemy.peaceful ? angerShopkeeper(enemy, state.player.position) : enemy;
+    const effect = createStatusEffect(STATUS_TYPES.SLOW, definition.duration);
+    const slowed = { ...struck, statusEffects: addStatusEffect([...(struck.statusEffects || [])], effect) };
+    return {
+        state: replaceEnemy(state, slowed),
+        events: [...events, logEvent(`🐌 The ${slowed.name} slows down.`, true)]
+    };
+}
+
+/**
+ * Blink: jump a short way along the aimed line, short of walls and enemies
+ * @param {object} state - Current game state
+ * @param {object} definition - Spell definition {range}
+ * @param {object} target - Aimed tile {x, y}
+ * @returns {{state: object, events: Array}} New state and events
+ */
+function castBlink(state, definition, target) {
+    const destination = findBlinkDestination(
+        state.dungeon.grid,
+        state.player.position,
+        target,
+        definition.range,
+        state.entities.enemies
+    );
+    if (!destination) {
+        return { state, events: [logEvent('🌀 You shimmer, but stay where you are.')] };
+    }
+
+    const world = gridToWorld(destination.x, destination.y);
+    const moved = updatePlayerWorldPosition(state, { x: world.x, y: 1.6, z: world.z });
+    const entered = enterTile(moved, destination);
+    return { state: entered.state, events: [logEvent('🌀 You blink!'), ...entered.events] };
+}
+
+/**
+ * Use an item from inventory. Scrolls that need a target aren't read until
+ * one is given.
+ * @param {object} state - Current game state
+ * @param {number} slot - Inventory slot (0-25)
+ * @param {object} target - Target for targeted scrolls: {slot}, {equipSlot} or a tile {x, y} (optional)
+ * @param {object} rng - Run RNG (optional, falls back to Math.random)
+ * @returns {{state: object, events: Array, performed: boolean}} Result
+ */
+export function useInventoryItem(state, slot, target = null, rng = null) {
+    if (state.gameOver) return { state, events: [], performed: false };
+
+    const item = state.inventory[slot];
+    if (item && item.unpaid) {
+        return { state, events: [logEvent('⚠️ You have to pay for that first')], performed: false };
+    }
+
+    const stunned = loseStunnedTurn(state, rng);
+    if (stunned) return stunned;
+    if (item && item.type === ITEM_TYPES.SCROLL && SCROLL_EFFECTS[item.trueType]) {
+        return readScroll(state, slot, target, rng);
+    }
+    if (item && item.type === ITEM_TYPES.SPELLBOOK) {
+        return readSpellbook(state, slot, rng);
+    }
+
+    // useItem edits the player and statistics it is given, so hand it copies
+    const result = useItem(state.inventory, slot, {
+        ...state,
+        player: { ...state.player },
+        statistics: { ...state.statistics }
+    });
+
+    if (!result.success) {
+        return { state, events: [logEvent(`⚠️ ${result.message}`)], performed: false };
+    }
+
+    return {
+        // Potions and equipment can change how far the player sees
+        state: refreshVisibility(recordDiscoveries({ ...result.newState, inventory: result.inventory }, item)),
+        events: [logEvent(`✨ ${result.message}`)],
+        performed: true
+    };
+}
+
+/**
+ * Call an unidentified potion or scroll by a name of the player's choosing.
+ * The name sticks to its appearance, so every item that looks the same
+ * shows it. Calling doesn't take a turn.
+ * @param {object} state - Current game state
+ * @param {number} slot - Inventory slot (0-25)
+ * @param {string} name - Name to call it; blank forgets the name
+ * @returns {{state: object, events: Array, performed: boolean}} Result
+ */
+export function callInventoryItem(state, slot, name) {
+    if (state.gameOver) return { state, events: [], performed: false };
+
+    const item = state.inventory[slot];
+    if (!canCallItem(item) || !state.discoveries) {
+        return { state, events: [logEvent('⚠️ Only unidentified potions and scrolls can be called')], performed: false };
+    }
+
+    const discoveries = callAppearance(state.discoveries, item.appearance, name);
+    const called = discoveries.called[item.appearance];
+    return {
+        state: { ...state, discoveries },
+        events: [logEvent(called
+            ? `📝 You call the ${item.appearance} "${called}".`
+            : `📝 You forget what you called the ${item.appearance}.`)],
+        performed: true
+    };
+}
+
+/**
+ * Equip an item from inventory
+ * @param {object} state - Current game state
+ * @param {number} slot - Inventory slot (0-25)
+ * @param {string} equipSlot - Equipment slot to use, e.g. which hand for a ring (optional)
+ * @param {object} rng - Run RNG, for the turn a stunned player loses (optional)
+ * @returns {{state: object, events: Array, performed: boolean}} Result
+ */
+export function equipInventoryItem(state, slot, equipSlot = null, rng = null) {
+    if (state.gameOver) return { state, events: [], performed: false };
+    if (state.inventory[slot]?.unpaid) {
+        return { state, events: [logEvent('⚠️ You have to pay for that first')], performed: false };
+    }
+
+    const stunned = loseStunnedTurn(state, rng);
+    if (stunned) return stunned;
+
+    const result = equipItem(state.inventory, slot, state.player, equipSlot);
+
+    if (!result.success) {
+        return { state, events: [logEvent(`⚠️ ${result.message}`)], performed: false };
+    }
+
+    return {
+        state: refreshVisibility({ ...state, inventory: result.inventory, player: result.player }),
+        events: [logEvent(`⚔️ ${result.message}`)],
+        performed: true
+    };
+}
+
+/**
+ * Take off an equipped item, putting it back in the inventory
+ * @param {object} state - Current game state
+ * @param {string} equipSlot - Equipment slot from EQUIPMENT_SLOTS
+ * @param {object} rng - Run RNG, for the turn a stunned player loses (optional)
+ * @returns {{state: object, events: Array, performed: boolean}} Result
+ */
+export function unequipPlayerItem(state, equipSlot, rng = null) {
+    if (state.gameOver) return { state, events: [], performed: false };
+
+    const stunned = loseStunnedTurn(state, rng);
+    if (stunned) return stunned;
+
+    const result = unequipItem(state.inventory, equipSlot, state.player);
+
+    if (!result.success) {
+        return { state, events: [logEvent(`⚠️ ${result.message}`)], performed: false };
+    }
+
+    return {
+        state: refreshVisibility({ ...state, inventory: result.inventory, player: result.player }),
+        events: [logEvent(`🎒 ${result.message}`)],
+        performed: true
+    };
+}
+
+/**
+ * Drop an item, or some of a stack, from inventory onto the player's tile
+ * @param {object} state - Current game state
+ * @param {number} slot - Inventory slot (0-25)
+ * @param {number} quantity - How many to drop (optional, the whole stack)
+ * @param {object} rng - Run RNG for the id of a split stack (optional)
+ * @returns {{state: object, events: Array, performed: boolean}} Result
+ */
+export function dropInventoryItem(state, slot, quantity = null, rng = null) {
+    if (state.gameOver) return { state, events: [], performed: false };
+
+    const stunned = loseStunnedTurn(state, rng);
+    if (stunned) return stunned;
+
+    const result = removeItemFromInventory(state.inventory, slot, quantity, rng);
+
+    if (!result.success) {
+        return { state, events: [logEvent(`⚠️ ${result.message || 'Cannot drop item'}`)], performed: false };
+    }
+
+    // Unpaid goods put back down are on sale again at their price
+    const { unpaid, ...item } = result.item;
+    const droppedItem = {
+        ...item,
+        position: { ...state.player.position }
+    };
+    const count = getQuantity(droppedItem);
+
+    return {
+        state: {
+            ...state,
+            inventory: result.inventory,
+            entities: {
+                ...state.entities,
+                items: [...state.entities.items, droppedItem]
+            }
+        },
+        events: [
+            { type: GAME_EVENTS.ITEM_DROPPED, item: droppedItem },
+            logEvent(`📦 Dropped ${droppedItem.name || 'item'}${count > 1 ? ` x${count}` : ''} (${getSlotLetter(slot)})`)
+        ],
+        performed: true
+    };
+}
@@ -3,7 +3,10 @@
  * Immutable state management for the rogue-like game
  */
 
-import { STARTING_HUNGER, STARTING_HP, STARTING_LEVEL, INVENTORY_SIZE } from './constants.js';
+import { STARTING_HUNGER, STARTING_HP, STARTING_LEVEL, STARTING_MANA, MANA_PER_LEVEL, INVENTORY_SIZE } from './constants.js';
+import { createBaseStats, createEquipment } from './equipment.js';
+import { createDiscoveries } from './discoveries.js';
+import { addItemToInventory as addToSlots } from './inventory.js';
 
 /**
  * Create initial game state
@@ -25,14 +28,21 @@ export function createInitialState(seed = Date.now()) {
             maxHp: STARTING_HP,
             hunger: STARTING_HUNGER,
             maxHunger: STARTING_HUNGER,
+            mana: STARTING_MANA,
+            maxMana: STARTING_MANA,
+            spells: [], // Spells learned from spellbooks (see spells.js)
             level: STARTING_LEVEL,
             xp: 0,
             xpToNext: 100,
+            gold: 0, // Spendable gold in the purse
+            // Derived stats, recomputed from baseStats and equipment (see equipment.js)
             ac: 10, // Armor class
             attackBonus: 0,
             damageBonus: 0,
-            weapon: null,
-            armor: null,
+            sightBonus: 0, // Extra visibility radius in meters
+            regen: 0, // HP healed every REGEN_INTERVAL turns
+            baseStats: createBaseStats(), // Stats with nothing equipped
+            equipment: createEquipment(), // Items worn in each equipment slot
             statusEffects: [] // Active status effects
         },
         
@@ -41,9 +51,14 @@ export function createInitialState(seed = Date.now()) {
             level: 1,
             grid: [],
             rooms: [],
-            stairsPosition: null
+            stairsPosition: null,
+            doors: [],
+            shop: null // Shop room {room, shopkeeperId, level} (see shops.js)
         },
         
+        // Visited levels the player has left, keyed by level number
+        levels: {},
+        
         // Entity tracking
         entities: {
             enemies: [],
@@ -53,6 +68,7 @@ export function createInitialState(seed = Date.now()) {
         // Exploration and visibility
         exploredTiles: new Set(), // Set of "x,y" strings
         visibleTiles: new Set(),
+        rememberedItems: new Set(), // "x,y" of tiles the player last saw an item on
         
         // Combat and turn state
         inCombatMode: false,
@@ -61,6 +77,9 @@ export function createInitialState(seed = Date.now()) {
         // Inventory
         inventory: Array(INVENTORY_SIZE).fill(null),
         
+        // Potion and scroll appearances this run and what the player has learned of them
+        discoveries: createDiscoveries(seed),
+        
         // Statistics for death screen
         statistics: {
             kills: 0,
@@ -209,6 +228,42 @@ export function healPlayer(state, amount) {
     };
 }
 
+/**
+ * Restore mana, up to the player's maximum
+ * @param {object} state - Current game state
+ * @param {number} amount - Mana to restore
+ * @returns {object} New state
+ */
+export function restoreMana(state, amount) {
+    return {
+        ...state,
+        player: {
+            ...state.player,
+            mana: Math.min(state.player.maxMana || 0, (state.player.mana || 0) + amount)
+        }
+    };
+}
+
+/**
+ * Spend mana on a spell
+ * @param {object} state - Current game state
+ * @param {number} amount - Mana to spend
+ * @returns {object} New state
+ */
+export function spendMana(state, amount) {
+    const mana = state.player.mana || 0;
+    if (amount > mana) {
+        throw new Error(`Cannot spend ${amount} mana with ${mana} left`);
+    }
+    return {
+        ...state,
+        player: {
+            ...state.player,
+            mana: mana - amount
+        }
+    };
+}
+
 /**
  * Add experience points
  * @param {object} state - Current game state
@@ -221,7 +276,9 @@ export function addExperience(state, xp) {
     let newMaxHp = state.player.maxHp;
     let newHp = state.player.hp;
     let newXpToNext = state.player.xpToNext;
-    let newAttackBonus = state.player.attackBonus;
+    let newMaxMana = state.player.maxMana || 0;
+    let newMana = state.player.mana || 0;
+    let levelsGained = 0;
     
     // Check for level up
     while (newXp >= newXpToNext) {
@@ -229,7 +286,9 @@ export function addExperience(state, xp) {
         newLevel++;
         newMaxHp += 5; // Gain 5 HP per level
         newHp += 5; // Heal 5 HP on level up
-        newAttackBonus++; // +1 to hit per level
+        newMaxMana += MANA_PER_LEVEL;
+        newMana += MANA_PER_LEVEL;
+        levelsGained++; // +1 to hit per level
         newXpToNext = Math.floor(newXpToNext * 1.5); // 50% more XP needed for next level
     }
     
@@ -241,8 +300,17 @@ export function addExperience(state, xp) {
             level: newLevel,
             maxHp: newMaxHp,
             hp: Math.min(newHp, newMaxHp),
+            maxMana: newMaxMana,
+            mana: Math.min(newMana, newMaxMana),
             xpToNext: newXpToNext,
-            attackBonus: newAttackBonus
+            // The to-hit gain is a base stat, so it survives equipment changes
+            attackBonus: state.player.attackBonus + levelsGained,
+            ...(state.player.baseStats && {
+                baseStats: {
+                    ...state.player.baseStats,
+                    attackBonus: state.player.baseStats.attackBonus + levelsGained
+                }
+            })
         }
     };
 }
@@ -317,7 +385,7 @@ export function incrementKills(state) {
 }
 
 /**
- * Add gold
+ * Add gold to the purse and the run's collected total
  * @param {object} state - Current game state
  * @param {number} amount - Gold amount
  * @returns {object} New state
@@ -325,6 +393,10 @@ export function incrementKills(state) {
 export function addGold(state, amount) {
     return {
         ...state,
+        player: {
+            ...state.player,
+            gold: (state.player.gold || 0) + amount
+        },
         statistics: {
             ...state.statistics,
             goldCollected: state.statistics.goldCollected + amount
@@ -333,7 +405,44 @@ export function addGold(state, amount) {
 }
 
 /**
- * Add item to player inventory
+ * Add gold to the purse only, for money that changes hands rather than
+ * gold found in the dungeon
+ * @param {object} state - Current game state
+ * @param {number} amount - Gold amount
+ * @returns {object} New state
+ */
+export function receiveGold(state, amount) {
+    return {
+        ...state,
+        player: {
+            ...state.player,
+            gold: (state.player.gold || 0) + amount
+        }
+    };
+}
+
+/**
+ * Spend gold from the purse
+ * @param {object} state - Current game state
+ * @param {number} amount - Gold amount
+ * @returns {object} New state
+ */
+export function spendGold(state, amount) {
+    const gold = state.player.gold || 0;
+    if (amount > gold) {
+        throw new Error(`Cannot spend ${amount} gold with ${gold} in the purse`);
+    }
+    return {
+        ...state,
+        player: {
+            ...state.player,
+            gold: gold - amount
+        }
+    };
+}
+
+/**
+ * Add item to player inventory, joining a matching stack if there is one
  * @param {object} state - Current game state
  * @param {object} item - Item to add
  * @returns {object} New state with success flag
@@ -348,25 +457,12 @@ export function addItemToInventory(state, item) {
         };
     }
     
-    // Find first empty slot
-    for (let i = 0; i < state.inventory.length; i++) {
-        if (state.inventory[i] === null) {
-            const newInventory = [...state.inventory];
-            newInventory[i] = item;
-            return {
-                ...state,
-                inventory: newInventory,
-                success: true,
-                slot: i
-            };
-        }
-    }
-    
-    // Inventory full
+    const { success, inventory, slot } = addToSlots(state.inventory, item);
     return {
         ...state,
-        success: false,
-        slot: null
+        inventory,
+        success,
+        slot
     };
 }
 
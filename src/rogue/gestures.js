@@ -0,0 +1,200 @@
+/**
+ * Hand Tracking Gestures
+ * Recognizes gestures from WebXR hand joint poses: pinching the thumb and
+ * index tips, turning the palm up and pointing with the index finger. Poses
+ * are plain objects of joint positions, so the recognizer runs headlessly
+ * against fixture poses; the game controller reads the poses from the
+ * tracked hands and acts on the gestures.
+ */
+
+import { HAND_GESTURES } from './constants.js';
+
+/**
+ * The WebXR hand joints, in XRHand order
+ */
+export const HAND_JOINTS = [
+    'wrist',
+    'thumb-metacarpal',
+    'thumb-phalanx-proximal',
+    'thumb-phalanx-distal',
+    'thumb-tip',
+    'index-finger-metacarpal',
+    'index-finger-phalanx-proximal',
+    'index-finger-phalanx-intermediate',
+    'index-finger-phalanx-distal',
+    'index-finger-tip',
+    'middle-finger-metacarpal',
+    'middle-finger-phalanx-proximal',
+    'middle-finger-phalanx-intermediate',
+    'middle-finger-phalanx-distal',
+    'middle-finger-tip',
+    'ring-finger-metacarpal',
+    'ring-finger-phalanx-proximal',
+    'ring-finger-phalanx-intermediate',
+    'ring-finger-phalanx-distal',
+    'ring-finger-tip',
+    'pinky-finger-metacarpal',
+    'pinky-finger-phalanx-proximal',
+    'pinky-finger-phalanx-intermediate',
+    'pinky-finger-phalanx-distal',
+    'pinky-finger-tip'
+];
+
+/**
+ * Gestures of a hand that isn't doing anything (or isn't tracked)
+ */
+export const NO_GESTURES = {
+    pinch: false,
+    palmUp: false,
+    point: false,
+    pointDirection: null
+};
+
+/**
+ * Subtract two points
+ * @param {object} a - Point {x, y, z}
+ * @param {object} b - Point {x, y, z}
+ * @returns {{x: number, y: number, z: number}} Vector from b to a
+ */
+function subtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+/**
+ * Get the length of a vector
+ * @param {object} v - Vector {x, y, z}
+ * @returns {number} Length
+ */
+function length(v) {
+    return Math.hypot(v.x, v.y, v.z);
+}
+
+/**
+ * Scale a vector to unit length
+ * @param {object} v - Vector {x, y, z}
+ * @returns {{x: number, y: number, z: number}} Unit vector (zero for a zero vector)
+ */
+function normalize(v) {
+    const size = length(v);
+    return size > 0 ? { x: v.x / size, y: v.y / size, z: v.z / size } : { x: 0, y: 0, z: 0 };
+}
+
+/**
+ * Read a tracked hand's joint positions
+ * @param {object} hand - Three.js XR hand, from renderer.xr.getHand()
+ * @returns {object|null} World positions {x, y, z} keyed by joint name, or null
+ *     if the hand or any of its joints isn't being tracked
+ */
+export function readHandJoints(hand) {
+    if (!hand || !hand.joints) return null;
+
+    const joints = {};
+    for (const name of HAND_JOINTS) {
+        const joint = hand.joints[name];
+        if (!joint || !joint.visible) return null;
+
+        const [x, y, z] = joint.matrixWorld.elements.slice(12, 15);
+        joints[name] = { x, y, z };
+    }
+    return joints;
+}
+
+/**
+ * Get the direction the palm faces, from the wrist and the bases of the
+ * index and pinky fingers
+ * @param {object} joints - Joint positions keyed by joint name
+ * @param {string} handedness - 'left' or 'right'
+ * @returns {{x: number, y: number, z: number}} Unit normal out of the palm
+ */
+export function getPalmNormal(joints, handedness) {
+    const wrist = joints['wrist'];
+    const toIndex = subtract(joints['index-finger-metacarpal'], wrist);
+    const toPinky = subtract(joints['pinky-finger-metacarpal'], wrist);
+
+    // The left hand is the right hand mirrored, which flips the cross product
+    const side = handedness === 'left' ? -1 : 1;
+    return normalize({
+        x: side * (toIndex.y * toPinky.z - toIndex.z * toPinky.y),
+        y: side * (toIndex.z * toPinky.x - toIndex.x * toPinky.z),
+        z: side * (toIndex.x * toPinky.y - toIndex.y * toPinky.x)
+    });
+}
+
+/**
+ * Measure how straight a finger is: the distance from its knuckle to its tip
+ * over the length of its bones
+ * @param {object} joints - Joint positions keyed by joint name
+ * @param {string} finger - 'index', 'middle', 'ring' or 'pinky'
+ * @returns {number} 1 for a straight finger, less the more it bends
+ */
+export function getFingerExtension(joints, finger) {
+    const chain = ['phalanx-proximal', 'phalanx-intermediate', 'phalanx-distal', 'tip']
+        .map(joint => joints[`${finger}-finger-${joint}`]);
+
+    let bones = 0;
+    for (let i = 1; i < chain.length; i++) {
+        bones += length(subtract(chain[i], chain[i - 1]));
+    }
+    return length(subtract(chain[chain.length - 1], chain[0])) / bones;
+}
+
+/**
+ * Recognize what a hand is doing. Each gesture holds until the hand moves
+ * well clear of the pose that started it.
+ * @param {object|null} joints - Joint positions keyed by joint name, as from readHandJoints
+ * @param {string} handedness - 'left' or 'right'
+ * @param {object} previous - The hand's gestures last frame
+ * @param {object} thresholds - Gesture thresholds
+ * @returns {{pinch: boolean, palmUp: boolean, point: boolean, pointDirection: object|null}} Gestures,
+ *     with the unit direction the index finger points while pointing
+ */
+export function recognizeHandGestures(joints, handedness, previous = NO_GESTURES, thresholds = HAND_GESTURES) {
+    if (!joints) return NO_GESTURES;
+
+    const pinchGap = length(subtract(joints['thumb-tip'], joints['index-finger-tip']));
+    const pinch = pinchGap < (previous.pinch ? thresholds.pinchEnd : thresholds.pinchStart);
+
+    const palmUp = getPalmNormal(joints, handedness).y > (previous.palmUp ? thresholds.palmUpEnd : thresholds.palmUpStart);
+
+    const point = !pinch && !palmUp &&
+        getFingerExtension(joints, 'index') >= thresholds.fingerExtended &&
+        ['middle', 'ring', 'pinky'].every(finger => getFingerExtension(joints, finger) < thresholds.fingerCurled);
+    const pointDirection = point
+        ? normalize(subtract(joints['index-finger-tip'], joints['index-finger-phalanx-proximal']))
+        : null;
+
+    return { pinch, palmUp, point, pointDirection };
+}
+
+/**
+ * Find the gestures that started or ended since the last frame
+ * @param {object} previous - Gestures last frame
+ * @param {object} current - Gestures this frame
+ * @returns {{pinchStarted: boolean, palmUpStarted: boolean, palmUpEnded: boolean}} Changes
+ */
+export function getGestureChanges(previous, current) {
+    return {
+        pinchStarted: current.pinch && !previous.pinch,
+        palmUpStarted: current.palmUp && !previous.palmUp,
+        palmUpEnded: !current.palmUp && previous.palmUp
+    };
+}
+
+/**
+ * Calculate the walk for a frame of pointing: along the floor the way the
+ * finger points. Pointing at the floor or ceiling doesn't walk.
+ * @param {object} direction - Unit pointing direction {x, y, z}
+ * @param {number} deltaTime - Time delta in seconds
+ * @param {number} speed - Movement speed (meters per second)
+ * @param {number} minReach - Smallest horizontal part of the direction that walks
+ * @returns {{dx: number, dz: number}} Movement delta
+ */
+export function calculatePointMovement(direction, deltaTime, speed = 2.0, minReach = HAND_GESTURES.minPointReach) {
+    const reach = Math.hypot(direction.x, direction.z);
+    if (reach < minReach) return { dx: 0, dz: 0 };
+
+    return {
+        dx: direction.x / reach * speed * deltaTime,
+        dz: direction.z / reach * speed * deltaTime
+    };
+}
@@ -1,22 +1,30 @@
 /**
  * Interaction System
- * Handles player interactions with the environment (items, stairs, monsters)
+ * Handles player interactions with the environment (items, doors, stairs, monsters, shopkeepers)
  */
 
 import { isEntityAlive } from './entity-manager.js';
+import { DOOR_STATES, getDoorAt } from './doors.js';
+import { getStackPrice } from './shops.js';
 
 /**
  * Find interactable entities at a target position
  * @param {object} position - Target grid position {x, y} (e.g., tile in front of player)
  * @param {object} entities - Game entities {enemies, items}
  * @param {string} tile - Tile type at target position
- * @returns {object} Interactable entities {items: Array, stairs: boolean, enemies: Array}
+ * @param {Array} doors - Doors on the level (optional)
+ * @returns {object} Interactable entities {items: Array, stairs: boolean, stairsUp: boolean, enemies: Array, door: object|null, wall: boolean}
  */
-export function findInteractablesAtPosition(position, entities, tile) {
+export function findInteractablesAtPosition(position, entities, tile, doors = []) {
+    const door = getDoorAt(doors, position);
     const result = {
         items: [],
         stairs: tile === 'stairs_down',
-        enemies: []
+        stairsUp: tile === 'stairs_up',
+        enemies: [],
+        // Secret doors pass for wall until they are found
+        door: door && door.state !== DOOR_STATES.SECRET ? door : null,
+        wall: tile === 'wall'
     };
     
     // Find items at position
@@ -48,31 +56,62 @@ export function getInteractionPrompt(interactables) {
     const messages = [];
     
     if (interactables.items.length > 0) {
-        messages.push(`Pick up ${interactables.items[0].name || 'item'}`);
+        const item = interactables.items[0];
+        messages.push(item.price
+            ? `Pick up ${item.name || 'item'} (${getStackPrice(item)} gold)`
+            : `Pick up ${item.name || 'item'}`);
+    }
+    
+    if (interactables.door) {
+        messages.push(getDoorPrompt(interactables.door));
     }
     
     if (interactables.stairs) {
         messages.push('Descend stairs');
     }
     
+    if (interactables.stairsUp) {
+        messages.push('Climb stairs');
+    }
+    
     if (interactables.enemies.length > 0) {
-        messages.push(`Attack ${interactables.enemies[0].name}`);
+        const enemy = interactables.enemies[0];
+        messages.push(enemy.peaceful ? `Trade with ${enemy.name}` : `Attack ${enemy.name}`);
     }
     
     return messages.length > 0 ? messages.join(' / ') : '';
 }
 
+/**
+ * Get the prompt for a door
+ * @param {object} door - Door entity
+ * @returns {string} Prompt message
+ */
+function getDoorPrompt(door) {
+    switch (door.state) {
+        case DOOR_STATES.OPEN:
+            return 'Close door';
+        case DOOR_STATES.CLOSED:
+            return 'Open door';
+        case DOOR_STATES.LOCKED:
+            return 'Kick or unlock door';
+        default:
+            return 'Broken door';
+    }
+}
+
 /**
  * Prioritize what action to take when interacting
  * @param {object} interactables - Interactables from findInteractablesAtPosition
  * @returns {object|null} {type: string, target: object} or null if nothing to interact with
  */
 export function getInteractionAction(interactables) {
-    // Priority: enemies > items > stairs
+    // Priority: enemies > items > doors > stairs > searching walls
     
     if (interactables.enemies.length > 0) {
+        // Peaceful shopkeepers trade instead of fighting
         return {
-            type: 'attack',
+            type: interactables.enemies[0].peaceful ? 'trade' : 'attack',
             target: interactables.enemies[0]
         };
     }
@@ -84,6 +123,14 @@ export function getInteractionAction(interactables) {
         };
     }
     
+    // Broken doors can't be closed again, so there is nothing to do with them
+    if (interactables.door && interactables.door.state !== DOOR_STATES.BROKEN) {
+        return {
+            type: 'door',
+            target: interactables.door
+        };
+    }
+    
     if (interactables.stairs) {
         return {
             type: 'descend',
@@ -91,5 +138,19 @@ export function getInteractionAction(interactables) {
         };
     }
     
+    if (interactables.stairsUp) {
+        return {
+            type: 'ascend',
+            target: null
+        };
+    }
+    
+    if (interactables.wall) {
+        return {
+            type: 'search',
+            target: null
+        };
+    }
+    
     return null;
 }
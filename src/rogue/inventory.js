@@ -3,8 +3,22 @@
  * Manages player inventory with partial identification
  */
 
-import { INVENTORY_SIZE, ITEM_TYPES } from './constants.js';
+import { INVENTORY_SIZE, ITEM_TYPES, STACKABLE_ITEM_TYPES } from './constants.js';
 import { createStatusEffect, addStatusEffect, STATUS_TYPES } from './status-effects.js';
+import {
+    createEquipment,
+    isEquippable,
+    chooseEquipmentSlot,
+    equipToSlot,
+    removeFromSlot,
+    refreshPlayerStats
+} from './equipment.js';
+import { getItemName, isCursed, uncurseItem } from './item-properties.js';
+import { getCalledName } from './discoveries.js';
+import { nextEntityId } from './rng.js';
+
+// Fields that tell apart otherwise identical items of a stackable type
+const STACK_FIELDS = ['type', 'name', 'trueType', 'appearance', 'prefix', 'hungerRestore', 'unpaid', 'price'];
 
 /**
  * Create empty inventory
@@ -15,12 +29,47 @@ export function createInventory() {
 }
 
 /**
- * Add item to inventory
+ * Get how many items a slot holds
+ * @param {object} item - Item or stack (may be null)
+ * @returns {number} Quantity; items saved before stacking count as one
+ */
+export function getQuantity(item) {
+    if (!item) return 0;
+    return item.quantity || 1;
+}
+
+/**
+ * Check whether two items can share a slot. Only identified items stack,
+ * so an unknown potion never hides among known ones.
+ * @param {object} stack - Item already in a slot (may be null)
+ * @param {object} item - Item being added
+ * @returns {boolean} True if the item can join the stack
+ */
+export function canStack(stack, item) {
+    if (!stack || !item || !STACKABLE_ITEM_TYPES.includes(item.type)) return false;
+    if (!stack.identified || !item.identified) return false;
+    return STACK_FIELDS.every(field => stack[field] === item[field]);
+}
+
+/**
+ * Add item to inventory, joining a matching stack if there is one
  * @param {Array} inventory - Current inventory
  * @param {object} item - Item to add
  * @returns {{success: boolean, inventory: Array, slot: number|null}} Result
  */
 export function addItemToInventory(inventory, item) {
+    const stackSlot = inventory.findIndex(stack => canStack(stack, item));
+    if (stackSlot !== -1) {
+        const newInventory = [...inventory];
+        const stack = inventory[stackSlot];
+        newInventory[stackSlot] = { ...stack, quantity: getQuantity(stack) + getQuantity(item) };
+        return {
+            success: true,
+            inventory: newInventory,
+            slot: stackSlot
+        };
+    }
+    
     // Find first empty slot
     for (let i = 0; i < inventory.length; i++) {
         if (inventory[i] === null) {
@@ -42,13 +91,18 @@ export function addItemToInventory(inventory, item) {
 }
 
 /**
- * Remove item from inventory slot
+ * Remove items from an inventory slot. Taking part of a stack leaves the
+ * rest in the slot and gives the part taken an id of its own.
  * @param {Array} inventory - Current inventory
  * @param {number} slot - Slot index
- * @returns {{success: boolean, inventory: Array, item: object|null}} Result
+ * @param {number} quantity - How many to take (optional, the whole stack)
+ * @param {object} rng - Run RNG for the split-off part's id (optional)
+ * @returns {{success: boolean, inventory: Array, item: object|null}} Result, item holding the quantity taken
  */
-export function removeItemFromInventory(inventory, slot) {
-    if (slot < 0 || slot >= inventory.length || inventory[slot] === null) {
+export function removeItemFromInventory(inventory, slot, quantity = null, rng = null) {
+    const held = getQuantity(inventory[slot]);
+    if (slot < 0 || slot >= inventory.length || inventory[slot] === null ||
+        (quantity !== null && (!Number.isInteger(quantity) || quantity < 1 || quantity > held))) {
         return {
             success: false,
             inventory: inventory,
@@ -57,7 +111,17 @@ export function removeItemFromInventory(inventory, slot) {
     }
     
     const newInventory = [...inventory];
-    const item = newInventory[slot];
+    const stack = newInventory[slot];
+    if (quantity !== null && quantity < held) {
+        newInventory[slot] = { ...stack, quantity: held - quantity };
+        return {
+            success: true,
+            inventory: newInventory,
+            item: { ...stack, id: nextEntityId(stack.type, rng), quantity }
+        };
+    }
+    
+    const item = stack;
     newInventory[slot] = null;
     
     return {
@@ -75,7 +139,8 @@ export function removeItemFromInventory(inventory, slot) {
  * @returns {{success: boolean, inventory: Array, newState: object, message: string}} Result
  */
 export function useItem(inventory, slot, state) {
-    const removeResult = removeItemFromInventory(inventory, slot);
+    // Only one item of a stack is used
+    const removeResult = removeItemFromInventory(inventory, slot, 1);
     
     if (!removeResult.success) {
         return {
@@ -190,11 +255,16 @@ export function useItem(inventory, slot, state) {
             
         case ITEM_TYPES.SCROLL:
             if (item.trueType === 'identify') {
-                // Identify all items in inventory
+                // Identify all items in inventory and everything worn
                 newInventory = newInventory.map(i => 
                     i ? { ...i, identified: true } : null
                 );
+                newState.player = mapEquipment(newState.player, i => ({ ...i, identified: true }));
                 message = 'Read scroll. All items identified!';
+            } else if (item.trueType === 'remove curse') {
+                newInventory = newInventory.map(i => (i ? uncurseItem(i) : null));
+                newState.player = mapEquipment(newState.player, uncurseItem);
+                message = 'Read scroll. You feel as if someone is watching over you.';
             }
             break;
             
@@ -215,45 +285,25 @@ export function useItem(inventory, slot, state) {
             break;
             
         case ITEM_TYPES.WEAPON:
-            // Equip weapon via use
-            // For weapons, we need to add back to inventory if replacing
-            if (newState.player.weapon) {
-                const addResult = addItemToInventory(newInventory, newState.player.weapon);
-                if (!addResult.success) {
-                    return {
-                        success: false,
-                        inventory: inventory,
-                        newState: state,
-                        message: 'Inventory full - cannot swap weapons'
-                    };
-                }
-                newInventory = addResult.inventory;
-            }
-            
-            newState.player.weapon = item;
-            message = `Equipped ${item.name}`;
-            break;
-            
         case ITEM_TYPES.ARMOR:
-            // Equip armor via use
-            // For armor, we need to add back to inventory if replacing
-            if (newState.player.armor) {
-                const addResult = addItemToInventory(newInventory, newState.player.armor);
-                if (!addResult.success) {
-                    return {
-                        success: false,
-                        inventory: inventory,
-                        newState: state,
-                        message: 'Inventory full - cannot swap armor'
-                    };
-                }
-                newInventory = addResult.inventory;
+        case ITEM_TYPES.RING:
+        case ITEM_TYPES.AMULET: {
+            // Equip via use; whatever was in the slot goes back where this item was
+            const equipResult = equipItem(inventory, slot, newState.player);
+            if (!equipResult.success) {
+                return {
+                    success: false,
+                    inventory: inventory,
+                    newState: state,
+                    message: equipResult.message
+                };
             }
             
-            newState.player.armor = item;
-            newState.player.ac = 10 + item.acBonus;
-            message = `Equipped ${item.name}`;
+            newState.player = equipResult.player;
+            newInventory = equipResult.inventory;
+            message = equipResult.message;
             break;
+        }
             
         default:
             message = 'Cannot use this item';
@@ -285,13 +335,15 @@ export function useItem(inventory, slot, state) {
 }
 
 /**
- * Equip weapon or armor
+ * Equip an item from inventory. An item already in the slot is swapped back
+ * into the inventory slot the new item came from.
  * @param {Array} inventory - Current inventory
  * @param {number} slot - Slot index
  * @param {object} player - Player state
+ * @param {string} equipSlot - Equipment slot to use, e.g. which hand for a ring (optional)
  * @returns {{success: boolean, inventory: Array, player: object, message: string}} Result
  */
-export function equipItem(inventory, slot, player) {
+export function equipItem(inventory, slot, player, equipSlot = null) {
     if (slot < 0 || slot >= inventory.length || inventory[slot] === null) {
         return {
             success: false,
@@ -302,52 +354,7 @@ export function equipItem(inventory, slot, player) {
     }
     
     const item = inventory[slot];
-    let newInventory = [...inventory];
-    let newPlayer = { ...player };
-    let message = '';
-    
-    if (item.type === ITEM_TYPES.WEAPON) {
-        // Remove item from slot first
-        newInventory[slot] = null;
-        
-        // Unequip current weapon if any
-        if (newPlayer.weapon) {
-            const addResult = addItemToInventory(newInventory, newPlayer.weapon);
-            if (!addResult.success) {
-                return {
-                    success: false,
-                    inventory: inventory,
-                    player: player,
-                    message: 'Inventory full'
-                };
-            }
-            newInventory = addResult.inventory;
-        }
-        
-        newPlayer.weapon = item;
-        message = `Equipped ${item.name}`;
-    } else if (item.type === ITEM_TYPES.ARMOR) {
-        // Remove item from slot first
-        newInventory[slot] = null;
-        
-        // Unequip current armor if any
-        if (newPlayer.armor) {
-            const addResult = addItemToInventory(newInventory, newPlayer.armor);
-            if (!addResult.success) {
-                return {
-                    success: false,
-                    inventory: inventory,
-                    player: player,
-                    message: 'Inventory full'
-                };
-            }
-            newInventory = addResult.inventory;
-        }
-        
-        newPlayer.armor = item;
-        newPlayer.ac = 10 + item.acBonus;
-        message = `Equipped ${item.name}`;
-    } else {
+    if (!isEquippable(item)) {
         return {
             success: false,
             inventory: inventory,
@@ -356,14 +363,113 @@ export function equipItem(inventory, slot, player) {
         };
     }
     
+    const equipment = player.equipment || createEquipment();
+    const target = chooseEquipmentSlot(equipment, item, equipSlot);
+    if (!target) {
+        return {
+            success: false,
+            inventory: inventory,
+            player: player,
+            message: `${item.name} does not go there`
+        };
+    }
+    
+    if (isCursed(equipment[target])) {
+        return {
+            success: false,
+            inventory: inventory,
+            player: player,
+            message: getCurseMessage(equipment[target])
+        };
+    }
+    
+    // Wearing an item reveals its enchantment and any curse
+    const worn = item.identified === false ? { ...item, identified: true } : item;
+    const equipped = equipToSlot(player, worn, target);
+    const newInventory = [...inventory];
+    newInventory[slot] = equipped.removed;
+    
+    let message = equipped.removed
+        ? `Equipped ${getItemName(worn)}, took off ${getItemName(equipped.removed)}`
+        : `Equipped ${getItemName(worn)}`;
+    if (isCursed(worn)) {
+        message += ' - it is cursed!';
+    }
+    
     return {
         success: true,
         inventory: newInventory,
-        player: newPlayer,
+        player: equipped.player,
         message: message
     };
 }
 
+/**
+ * Take an item off and put it in the first free inventory slot
+ * @param {Array} inventory - Current inventory
+ * @param {string} equipSlot - Equipment slot from EQUIPMENT_SLOTS
+ * @param {object} player - Player state
+ * @returns {{success: boolean, inventory: Array, player: object, message: string}} Result
+ */
+export function unequipItem(inventory, equipSlot, player) {
+    const item = player.equipment ? player.equipment[equipSlot] : null;
+    if (!item) {
+        return {
+            success: false,
+            inventory: inventory,
+            player: player,
+            message: 'Nothing equipped there'
+        };
+    }
+    
+    if (isCursed(item)) {
+        return {
+            success: false,
+            inventory: inventory,
+            player: player,
+            message: getCurseMessage(item)
+        };
+    }
+    
+    const addResult = addItemToInventory(inventory, item);
+    if (!addResult.success) {
+        return {
+            success: false,
+            inventory: inventory,
+            player: player,
+            message: 'Inventory full'
+        };
+    }
+    
+    return {
+        success: true,
+        inventory: addResult.inventory,
+        player: removeFromSlot(player, equipSlot).player,
+        message: `Took off ${getItemName(item)}`
+    };
+}
+
+/**
+ * Get the message for trying to take off a cursed item
+ * @param {object} item - Cursed item
+ * @returns {string} Message
+ */
+function getCurseMessage(item) {
+    return `You can't remove the ${getItemName({ ...item, identified: true })}!`;
+}
+
+/**
+ * Apply a change to every equipped item, recomputing stats afterwards
+ * @param {object} player - Player state
+ * @param {function} change - Function (item) => item
+ * @returns {object} New player
+ */
+function mapEquipment(player, change) {
+    if (!player.equipment) return player;
+    const equipment = Object.fromEntries(Object.entries(player.equipment).map(([slot, item]) => [slot, item ? change(item) : null]));
+    return refreshPlayerStats({ ...player, equipment });
+}
+
 /**
  * Get slot letter (a-z)
  * @param {number} slot - Slot index (0-25)
@@ -376,38 +482,53 @@ export function getSlotLetter(slot) {
     return String.fromCharCode(97 + slot); // 97 = 'a'
 }
 
+/**
+ * Get the name an item is shown by in the inventory and the shop
+ * @param {object} item - Item
+ * @param {object} discoveries - Discovery registry, for names the player has called items (optional)
+ * @returns {string} Display name, without the quantity
+ */
+export function describeItem(item, discoveries = null) {
+    if (item.type === ITEM_TYPES.WEAPON || item.type === ITEM_TYPES.ARMOR) {
+        // Unidentified weapons and armor show their base name without their properties
+        return getItemName(item);
+    }
+    if (item.identified) {
+        if (item.type === ITEM_TYPES.POTION && item.trueType) {
+            // Format potions with "Potion of X" format
+            const prefix = item.prefix ? (item.prefix.charAt(0).toUpperCase() + item.prefix.slice(1) + ' ') : '';
+            const typeName = item.trueType.charAt(0).toUpperCase() + item.trueType.slice(1);
+            return `${prefix}Potion of ${typeName}`;
+        }
+        if (item.type === ITEM_TYPES.SCROLL && item.trueType) {
+            // Format scrolls with "Scroll of X" format
+            const typeName = item.trueType.charAt(0).toUpperCase() + item.trueType.slice(1);
+            return `Scroll of ${typeName}`;
+        }
+        return item.name || item.trueType;
+    }
+    // For unidentified items, show appearance and any name the player called it
+    const called = getCalledName(discoveries, item);
+    return called ? `${item.appearance} (called ${called})` : item.appearance;
+}
+
 /**
  * Get inventory list for display
  * @param {Array} inventory - Current inventory
+ * @param {object} discoveries - Discovery registry, for names the player has called items (optional)
  * @returns {Array<string>} Display strings
  */
-export function getInventoryDisplay(inventory) {
+export function getInventoryDisplay(inventory, discoveries = null) {
     return inventory.map((item, index) => {
         const letter = getSlotLetter(index);
         if (item === null) {
             return `${letter}) empty`;
         }
         
-        let displayName;
-        if (item.identified || item.type === ITEM_TYPES.WEAPON || item.type === ITEM_TYPES.ARMOR) {
-            // For identified items
-            if (item.type === ITEM_TYPES.POTION && item.trueType) {
-                // Format potions with "Potion of X" format
-                const prefix = item.prefix ? (item.prefix.charAt(0).toUpperCase() + item.prefix.slice(1) + ' ') : '';
-                const typeName = item.trueType.charAt(0).toUpperCase() + item.trueType.slice(1);
-                displayName = `${prefix}Potion of ${typeName}`;
-            } else if (item.type === ITEM_TYPES.SCROLL && item.trueType) {
-                // Format scrolls with "Scroll of X" format
-                const typeName = item.trueType.charAt(0).toUpperCase() + item.trueType.slice(1);
-                displayName = `Scroll of ${typeName}`;
-            } else {
-                displayName = item.name || item.trueType;
-            }
-        } else {
-            // For unidentified items, show appearance
-            displayName = item.appearance;
-        }
-            
-        return `${letter}) ${displayName}`;
+        // Stacks show how many they hold, and goods taken in a shop what they cost
+        const quantity = getQuantity(item);
+        const count = quantity > 1 ? ` x${quantity}` : '';
+        const unpaid = item.unpaid ? ` (unpaid, ${item.price * quantity} gold)` : '';
+        return `${letter}) ${describeItem(item, discoveries)}${count}${unpaid}`;
     });
 }
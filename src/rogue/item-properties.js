@@ -0,0 +1,180 @@
+/**
+ * Item Properties
+ * Random properties rolled onto spawned weapons and armor: an enchantment
+ * (+1 to +3, or negative on cursed items) and at most one affix from
+ * ITEM_AFFIXES whose strength grows with dungeon depth. Rolled items start
+ * unidentified and show only their base name until they are worn or
+ * identified. Cursed items can't be taken off until the curse is removed.
+ */
+
+import {
+    CURSE_CHANCE,
+    ENCHANT_CHANCE,
+    MAX_ENCHANTMENT,
+    AFFIX_CHANCE,
+    ITEM_AFFIXES,
+    ITEM_TYPES
+} from './constants.js';
+import { nextRandom } from './rng.js';
+
+/**
+ * Roll an enchantment for an item found on a dungeon level
+ * @param {object} rng - Run RNG (optional, falls back to Math.random)
+ * @param {number} level - Dungeon level
+ * @returns {{enchantment: number, cursed: boolean}} Enchantment and curse
+ */
+export function rollEnchantment(rng, level) {
+    const roll = nextRandom(rng);
+
+    if (roll < CURSE_CHANCE) {
+        return { enchantment: -(1 + Math.floor(nextRandom(rng) * MAX_ENCHANTMENT)), cursed: true };
+    }
+    if (roll < CURSE_CHANCE + ENCHANT_CHANCE) {
+        const max = Math.min(MAX_ENCHANTMENT, 1 + Math.floor(level / 3));
+        return { enchantment: 1 + Math.floor(nextRandom(rng) * max), cursed: false };
+    }
+    return { enchantment: 0, cursed: false };
+}
+
+/**
+ * Find an affix definition
+ * @param {string} id - Affix id
+ * @param {Array} affixes - Affix table
+ * @returns {object|null} Affix definition, or null if unknown
+ */
+export function getAffix(id, affixes = ITEM_AFFIXES) {
+    return affixes.find(affix => affix.id === id) || null;
+}
+
+/**
+ * Get the affixes an item type can roll on a dungeon level
+ * @param {string} itemType - Item type from ITEM_TYPES
+ * @param {number} level - Dungeon level
+ * @param {Array} affixes - Affix table
+ * @returns {Array} Affix definitions
+ */
+export function getAvailableAffixes(itemType, level, affixes = ITEM_AFFIXES) {
+    return affixes.filter(affix => affix.itemTypes.includes(itemType) && level >= affix.minLevel);
+}
+
+/**
+ * Roll an affix for an item, scaled by dungeon depth
+ * @param {object} rng - Run RNG (optional, falls back to Math.random)
+ * @param {string} itemType - Item type from ITEM_TYPES
+ * @param {number} level - Dungeon level
+ * @param {Array} affixes - Affix table
+ * @returns {{id: string, magnitude: number}|null} Affix on the item, or null
+ */
+export function rollAffix(rng, itemType, level, affixes = ITEM_AFFIXES) {
+    if (nextRandom(rng) >= AFFIX_CHANCE) return null;
+
+    const options = getAvailableAffixes(itemType, level, affixes);
+    if (options.length === 0) return null;
+
+    const total = options.reduce((sum, affix) => sum + affix.weight, 0);
+    let roll = nextRandom(rng) * total;
+    let chosen = options[options.length - 1];
+    for (const affix of options) {
+        roll -= affix.weight;
+        if (roll < 0) {
+            chosen = affix;
+            break;
+        }
+    }
+
+    return { id: chosen.id, magnitude: chosen.base + Math.floor(level / chosen.perLevels) };
+}
+
+/**
+ * Roll random properties onto a weapon or armor item. The item starts
+ * unidentified so its properties stay hidden until it is worn or identified.
+ * @param {object} item - Weapon or armor item
+ * @param {object} rng - Run RNG (optional, falls back to Math.random)
+ * @param {number} level - Dungeon level the item was found on
+ * @returns {object} New item {..., enchantment, cursed, affix, identified: false}
+ */
+export function applyItemProperties(item, rng, level) {
+    const { enchantment, cursed } = rollEnchantment(rng, level);
+    return {
+        ...item,
+        enchantment,
+        cursed,
+        affix: rollAffix(rng, item.type, level),
+        identified: false
+    };
+}
+
+/**
+ * Get the stat bonuses an item's enchantment and affix give while worn
+ * @param {object} item - Item
+ * @returns {object} Bonuses keyed by derived stat
+ */
+export function getPropertyBonuses(item) {
+    const bonuses = {};
+    const enchantment = item.enchantment || 0;
+
+    if (enchantment !== 0) {
+        if (item.type === ITEM_TYPES.WEAPON) {
+            bonuses.attackBonus = enchantment;
+            bonuses.damageBonus = enchantment;
+        } else {
+            bonuses.ac = enchantment;
+        }
+    }
+
+    const affix = item.affix && getAffix(item.affix.id);
+    if (affix) {
+        bonuses[affix.stat] = (bonuses[affix.stat] || 0) + item.affix.magnitude;
+    }
+
+    return bonuses;
+}
+
+/**
+ * Check whether an item is cursed
+ * @param {object} item - Item (may be null)
+ * @returns {boolean} True if the item is cursed
+ */
+export function isCursed(item) {
+    return Boolean(item && item.cursed);
+}
+
+/**
+ * Lift the curse from an item
+ * @param {object} item - Item
+ * @returns {object} The item itself if it isn't cursed, else an uncursed copy
+ */
+export function uncurseItem(item) {
+    return isCursed(item) ? { ...item, cursed: false } : item;
+}
+
+/**
+ * Raise an item's enchantment by one, which also lifts any curse
+ * @param {object} item - Weapon or armor item
+ * @returns {object} New item
+ */
+export function enchantItem(item) {
+    return { ...item, enchantment: (item.enchantment || 0) + 1, cursed: false };
+}
+
+/**
+ * Get an item's name with whatever of its properties are known, e.g.
+ * "cursed -1 Chain Mail" or "+2 Flaming Long Sword"
+ * @param {object} item - Item
+ * @returns {string} Name
+ */
+export function getItemName(item) {
+    // Unidentified items only show what they look like
+    if (item.identified === false) return item.name;
+
+    const parts = [];
+    if (item.cursed) parts.push('cursed');
+    if (item.enchantment) parts.push(item.enchantment > 0 ? `+${item.enchantment}` : `${item.enchantment}`);
+
+    const affix = item.affix && getAffix(item.affix.id);
+    if (affix && affix.position === 'prefix') parts.push(affix.name);
+    parts.push(item.name);
+    if (affix && affix.position === 'suffix') parts.push(affix.name);
+
+    return parts.join(' ');
+}
@@ -79,6 +79,34 @@ export function calculateMovementDelta(axes, deltaTime, speed = 2.0, yaw = 0) {
     return { dx, dz };
 }
 
+/**
+ * Ways the player can move from the keyboard
+ */
+export const MOVEMENT_MODES = {
+    SMOOTH: 'smooth', // Continuous movement, a turn per MOVEMENT_THRESHOLD meters
+    STEP: 'step' // One tile and one turn per key press
+};
+
+/**
+ * Turn a step relative to the player's facing into a grid step. The facing
+ * snaps to the nearest of the eight compass directions first, so forward is
+ * always the tile the player is looking most toward.
+ * @param {object} step - Relative step {forward, right}, each -1, 0 or 1
+ * @param {number} yaw - Player rotation in radians
+ * @returns {{dx: number, dy: number}} Grid step
+ */
+export function getStepDirection(step, yaw = 0) {
+    const snapped = Math.round(yaw / (Math.PI / 4)) * (Math.PI / 4);
+    const x = -step.forward * Math.sin(snapped) + step.right * Math.cos(snapped);
+    const z = -step.forward * Math.cos(snapped) - step.right * Math.sin(snapped);
+
+    // Diagonal facings give components of about 0.7 or 1.4; either way it's one tile
+    return {
+        dx: Math.sign(Math.round(x * 2)) || 0,
+        dy: Math.sign(Math.round(z * 2)) || 0
+    };
+}
+
 /**
  * Calculate distance moved
  * @param {object} delta - Movement delta {dx, dz}
@@ -171,3 +199,20 @@ export function calculateCameraRotation(deltaX, deltaY, sensitivity = 0.002) {
 export function clampPitch(pitch, min = -Math.PI / 2, max = Math.PI / 2) {
     return Math.max(min, Math.min(max, pitch));
 }
+
+/**
+ * Pick a slice of a radial menu with a thumbstick. Slices are laid out
+ * clockwise from the top, so pushing the stick forward picks the first one.
+ * @param {object} axes - Thumbstick axes {x, y}, y negative when pushed forward
+ * @param {number} count - Number of slices in the menu
+ * @param {number} deadzone - Stick deflection below which nothing is picked
+ * @returns {number} Slice index, or -1 if the stick is centered or the menu is empty
+ */
+export function getRadialSelection(axes, count, deadzone = 0.5) {
+    if (count === 0 || Math.hypot(axes.x, axes.y) < deadzone) {
+        return -1;
+    }
+    
+    const angle = (Math.atan2(axes.x, -axes.y) + 2 * Math.PI) % (2 * Math.PI);
+    return Math.round(angle / (2 * Math.PI / count)) % count;
+}
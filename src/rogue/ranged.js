@@ -0,0 +1,217 @@
+/**
+ * Ranged Combat
+ * Shooting and throwing. A launcher in the main hand fires its ammunition,
+ * and anything else in the pack can be thrown. Projectiles fly along a grid
+ * line toward the aimed tile, stop at walls and closed doors, and strike the
+ * first creature in their way; the further the target, the harder the shot.
+ * Like scrolls.js, these helpers only work out what happens; the game rules
+ * apply the results to the state.
+ */
+
+import {
+    ITEM_TYPES,
+    POTION_TYPES,
+    THROWING_WEAPONS,
+    THROW_RANGE,
+    THROWN_DAMAGE,
+    RANGE_HIT_PENALTY,
+    AMMO_BREAK_CHANCE
+} from './constants.js';
+import { isOpaqueTile } from './visibility.js';
+import { nextRandom } from './rng.js';
+
+/**
+ * List the tiles on a straight grid line between two tiles (Bresenham)
+ * @param {object} from - Start tile {x, y}, not included
+ * @param {object} to - End tile {x, y}, included
+ * @returns {Array<{x: number, y: number}>} Tiles in order from the start
+ */
+export function getLineTiles(from, to) {
+    const tiles = [];
+    const dx = Math.abs(to.x - from.x);
+    const dy = -Math.abs(to.y - from.y);
+    const stepX = from.x < to.x ? 1 : -1;
+    const stepY = from.y < to.y ? 1 : -1;
+    let error = dx + dy;
+    let { x, y } = from;
+
+    while (x !== to.x || y !== to.y) {
+        const doubled = 2 * error;
+        if (doubled >= dy) {
+            error += dy;
+            x += stepX;
+        }
+        if (doubled <= dx) {
+            error += dx;
+            y += stepY;
+        }
+        tiles.push({ x, y });
+    }
+
+    return tiles;
+}
+
+/**
+ * Get the bearing of a world direction, in the player's rotation convention
+ * (0 faces -Z, rotation turns counter-clockwise)
+ * @param {object} direction - World direction {x, z}, e.g. a controller ray
+ * @returns {number} Bearing in radians
+ */
+export function getBearing(direction) {
+    return Math.atan2(-direction.x, -direction.z);
+}
+
+/**
+ * Get the tile a given distance away along a bearing
+ * @param {object} position - Start tile {x, y}
+ * @param {number} bearing - Bearing in radians, as from getBearing or the player's rotation
+ * @param {number} range - Distance in tiles
+ * @returns {{x: number, y: number}} Tile
+ */
+export function getBearingTile(position, bearing, range) {
+    return {
+        x: position.x + Math.round(-Math.sin(bearing) * range),
+        y: position.y + Math.round(-Math.cos(bearing) * range)
+    };
+}
+
+/**
+ * Trace a projectile from the thrower toward a tile. It flies at most range
+ * tiles, stops in front of anything opaque (including the corner between two
+ * walls) and stops on the first living creature in its way.
+ * @param {Array<Array>} grid - Dungeon grid
+ * @param {object} from - Thrower's tile {x, y}
+ * @param {object} to - Aimed tile {x, y}
+ * @param {number} range - Furthest the projectile flies, in tiles
+ * @param {Array} enemies - Enemies on the level
+ * @returns {{path: Array, enemy: object|null, landing: {x: number, y: number}}} Tiles flown
+ *     through, the creature struck (if any) and where the projectile comes down
+ */
+export function traceProjectile(grid, from, to, range, enemies = []) {
+    const isOpaque = (x, y) => y < 0 || y >= grid.length || x < 0 || x >= grid[0].length || isOpaqueTile(grid[y][x]);
+    const path = [];
+    let previous = from;
+
+    for (const tile of getLineTiles(from, to).slice(0, range)) {
+        const diagonal = tile.x !== previous.x && tile.y !== previous.y;
+        if (isOpaque(tile.x, tile.y) || (diagonal && isOpaque(tile.x, previous.y) && isOpaque(previous.x, tile.y))) break;
+
+        path.push(tile);
+        const enemy = enemies.find(candidate =>
+            candidate.isAlive && candidate.position.x === tile.x && candidate.position.y === tile.y);
+        if (enemy) return { path, enemy, landing: tile };
+
+        previous = tile;
+    }
+
+    return { path, enemy: null, landing: { x: previous.x, y: previous.y } };
+}
+
+/**
+ * Get the to-hit penalty for a shot over a distance
+ * @param {object} from - Thrower's tile {x, y}
+ * @param {object} to - Target's tile {x, y}
+ * @param {number} penalty - Penalty per tile past the first
+ * @returns {number} Amount to take off the attack roll
+ */
+export function getRangePenalty(from, to, penalty = RANGE_HIT_PENALTY) {
+    const distance = Math.max(Math.abs(to.x - from.x), Math.abs(to.y - from.y));
+    return Math.max(0, distance - 1) * penalty;
+}
+
+/**
+ * Check whether an item is a launcher
+ * @param {object} item - Item (may be null)
+ * @returns {boolean} True for weapons that fire ammunition
+ */
+export function isLauncher(item) {
+    return Boolean(item && item.type === ITEM_TYPES.WEAPON && item.ammo);
+}
+
+/**
+ * Get the launcher the player wields
+ * @param {object} player - Player state
+ * @returns {object|null} Launcher in the main hand, or null
+ */
+export function getLauncher(player) {
+    const weapon = player.equipment ? player.equipment.mainHand : null;
+    return isLauncher(weapon) ? weapon : null;
+}
+
+/**
+ * Find the inventory slot holding ammunition a launcher fires
+ * @param {Array} inventory - Inventory slots
+ * @param {object} launcher - Launcher weapon
+ * @returns {number} Slot index, or -1 if there is none the player owns
+ */
+export function findAmmoSlot(inventory, launcher) {
+    return inventory.findIndex(item =>
+        item && item.type === ITEM_TYPES.AMMO && item.ammo === launcher.ammo && !item.unpaid);
+}
+
+/**
+ * Check whether an item can be thrown
+ * @param {object} item - Inventory item (may be null)
+ * @returns {boolean} True for anything but gold
+ */
+export function canThrowItem(item) {
+    return Boolean(item && item.type !== ITEM_TYPES.GOLD);
+}
+
+/**
+ * Check whether an item is made for throwing
+ * @param {object} item - Item
+ * @param {Array<string>} names - Names of throwing weapons
+ * @returns {boolean} True for throwing weapons
+ */
+export function isThrowingWeapon(item, names = THROWING_WEAPONS) {
+    return item.type === ITEM_TYPES.WEAPON && names.includes(item.name);
+}
+
+/**
+ * Get how far a projectile flies
+ * @param {object} launcher - Launcher firing it, or null when thrown
+ * @returns {number} Range in tiles
+ */
+export function getProjectileRange(launcher = null) {
+    return launcher ? launcher.range : THROW_RANGE;
+}
+
+/**
+ * Get the weapon a projectile strikes as, in the shape executeAttack expects
+ * @param {object} item - Projectile: a piece of ammunition or a thrown item
+ * @param {object} launcher - Launcher firing it, or null when thrown
+ * @returns {{damage: Array<number>, bonus: number}} Damage dice and bonus
+ */
+export function getProjectileWeapon(item, launcher = null) {
+    if (launcher) {
+        return { damage: item.damage, bonus: launcher.bonus || 0 };
+    }
+    if (isThrowingWeapon(item)) {
+        return { damage: item.damage, bonus: item.bonus || 0 };
+    }
+    return { damage: THROWN_DAMAGE, bonus: 0 };
+}
+
+/**
+ * Get what a thrown potion does where it shatters
+ * @param {object} item - Potion
+ * @param {Array} potions - Potion catalogue
+ * @returns {object|null} Shatter effect {heal} or {damage} as dice, or null if it only splashes
+ */
+export function getShatterEffect(item, potions = POTION_TYPES) {
+    const kind = potions.find(potion => potion.trueType === item.trueType);
+    return (kind && kind.shatter) || null;
+}
+
+/**
+ * Roll whether a projectile is destroyed where it stops
+ * @param {object} item - Projectile
+ * @param {boolean} hit - Whether it struck a creature
+ * @param {object} rng - Run RNG (optional, falls back to Math.random)
+ * @returns {boolean} True if it is gone; potions always shatter
+ */
+export function rollProjectileBreaks(item, hit, rng = null) {
+    if (item.type === ITEM_TYPES.POTION) return true;
+    return item.type === ITEM_TYPES.AMMO && hit && nextRandom(rng) < AMMO_BREAK_CHANCE;
+}
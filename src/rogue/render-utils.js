@@ -131,6 +131,59 @@ export function createStairsDown(THREE, x, z) {
     return addWhiteOutline(THREE, mesh);
 }
 
+/**
+ * Create stairs up mesh with white outline
+ * @param {object} THREE - Three.js library
+ * @param {number} x - World X position
+ * @param {number} z - World Z position
+ * @returns {object} Three.js Group containing mesh and outline
+ */
+export function createStairsUp(THREE, x, z) {
+    const geometry = new THREE.BoxGeometry(TILE_SIZE * 0.6, 0.6, TILE_SIZE * 0.6);
+    const material = new THREE.MeshStandardMaterial({
+        color: PALETTE.STAIRS_UP,
+        ...MATERIAL_PROPS,
+        emissive: PALETTE.STAIRS_UP,
+        emissiveIntensity: 0.3
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.set(x, 0.3, z);
+    
+    return addWhiteOutline(THREE, mesh);
+}
+
+/**
+ * Create a door mesh with white outline: a slab filling the doorway when
+ * closed, swung back against the side of the doorway when open
+ * @param {object} THREE - Three.js library
+ * @param {number} x - World X position
+ * @param {number} z - World Z position
+ * @param {boolean} spansX - True if the door spans the doorway along X (a passage running along Z)
+ * @param {boolean} open - Whether the door is open
+ * @returns {object} Three.js Group containing mesh and outline
+ */
+export function createDoor(THREE, x, z, spansX, open = false) {
+    const thickness = 0.2;
+    const geometry = new THREE.BoxGeometry(TILE_SIZE, TILE_SIZE * 0.9, thickness);
+    const material = new THREE.MeshStandardMaterial({
+        color: PALETTE.DOOR,
+        ...MATERIAL_PROPS
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.set(x, TILE_SIZE * 0.45, z);
+    mesh.rotation.y = spansX ? 0 : Math.PI / 2;
+    mesh.castShadow = true;
+    
+    if (open) {
+        // Swing a quarter turn on its hinge so it lies along the side wall
+        const offset = TILE_SIZE / 2 - thickness / 2;
+        mesh.rotation.y += Math.PI / 2;
+        mesh.position.set(spansX ? x - offset : x, TILE_SIZE * 0.45, spansX ? z : z - offset);
+    }
+    
+    return addWhiteOutline(THREE, mesh);
+}
+
 /**
  * Create a point light for a room
  * @param {object} THREE - Three.js library
@@ -216,6 +269,63 @@ export function createTargetHighlight(THREE, x, z) {
     return mesh;
 }
 
+/**
+ * Create the teleport pointer: a line traced along the arc, hidden until the
+ * player aims a teleport
+ * @param {object} THREE - Three.js library
+ * @returns {object} Three.js Line
+ */
+export function createTeleportArc(THREE) {
+    const material = new THREE.LineBasicMaterial({ color: PALETTE.TELEPORT_VALID });
+    const line = new THREE.Line(new THREE.BufferGeometry(), material);
+    line.visible = false;
+    return line;
+}
+
+/**
+ * Create the comfort vignette: a dark ring just in front of the eyes that
+ * hides the edges of the view while it is faded in. Attach it to the camera.
+ * @param {object} THREE - Three.js library
+ * @returns {object} Three.js Mesh, fully transparent to start with
+ */
+export function createVignette(THREE) {
+    const geometry = new THREE.RingGeometry(0.12, 1, 32);
+    const material = new THREE.MeshBasicMaterial({
+        color: 0x000000,
+        transparent: true,
+        opacity: 0,
+        depthTest: false
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.z = -0.2;
+    mesh.renderOrder = 999; // Drawn over the scene and the HUD
+    return mesh;
+}
+
+/**
+ * Create a world-space VR panel: a plane showing a canvas, drawn on with
+ * vr-ui.js. The canvas and its texture are kept in userData for redrawing.
+ * @param {object} THREE - Three.js library
+ * @param {object} panel - Panel size {width, height} in pixels and {worldWidth, worldHeight} in meters
+ * @returns {object} Three.js Mesh
+ */
+export function createCanvasPanel(THREE, panel) {
+    const canvas = document.createElement('canvas');
+    canvas.width = panel.width;
+    canvas.height = panel.height;
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const material = new THREE.MeshBasicMaterial({
+        map: texture,
+        transparent: true,
+        side: THREE.DoubleSide
+    });
+    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(panel.worldWidth, panel.worldHeight), material);
+    mesh.userData.canvas = canvas;
+    mesh.userData.texture = texture;
+    return mesh;
+}
+
 /**
  * Create enemy mesh based on type with white outline
  * @param {object} THREE - Three.js library
@@ -297,6 +407,22 @@ export function createItem(THREE, item, x, z) {
             geometry = new THREE.TorusGeometry(0.15, 0.05, 8, 12);
             color = PALETTE.RING;
             break;
+        case ITEM_TYPES.KEY:
+            geometry = new THREE.BoxGeometry(0.4, 0.05, 0.1);
+            color = PALETTE.KEY;
+            break;
+        case ITEM_TYPES.AMULET:
+            geometry = new THREE.TorusGeometry(0.2, 0.03, 6, 16);
+            color = PALETTE.AMULET;
+            break;
+        case ITEM_TYPES.AMMO:
+            geometry = new THREE.CylinderGeometry(0.03, 0.03, 0.6, 5);
+            color = PALETTE.AMMO;
+            break;
+        case ITEM_TYPES.SPELLBOOK:
+            geometry = new THREE.BoxGeometry(0.4, 0.12, 0.5);
+            color = PALETTE.SPELLBOOK;
+            break;
         default:
             geometry = new THREE.SphereGeometry(0.2, 8, 6);
             color = PALETTE.GOLD;
@@ -312,13 +438,81 @@ export function createItem(THREE, item, x, z) {
     mesh.castShadow = true;
     
     // Rotate weapon to lay flat
-    if (item.type === ITEM_TYPES.WEAPON) {
+    if (item.type === ITEM_TYPES.WEAPON || item.type === ITEM_TYPES.AMMO) {
         mesh.rotation.z = Math.PI / 2;
     }
     
     return addWhiteOutline(THREE, mesh);
 }
 
+/**
+ * Create the mesh of a projectile in flight. Arrows, bolts and thrown weapons
+ * are shafts along the group's local Z axis, so turning the group about Y
+ * points them down their flight; anything else flies as a small blob.
+ * @param {object} THREE - Three.js library
+ * @param {object} item - Item being shot or thrown
+ * @returns {object} Three.js Mesh
+ */
+export function createProjectile(THREE, item) {
+    let geometry;
+    let color;
+    
+    switch (item.type) {
+        case ITEM_TYPES.AMMO:
+            geometry = new THREE.CylinderGeometry(0.02, 0.02, 0.6, 5);
+            color = PALETTE.AMMO;
+            break;
+        case ITEM_TYPES.WEAPON:
+            geometry = new THREE.CylinderGeometry(0.04, 0.04, 0.5, 6);
+            color = PALETTE.SWORD;
+            break;
+        case ITEM_TYPES.POTION:
+            geometry = new THREE.SphereGeometry(0.12, 8, 6);
+            color = PALETTE.POTION;
+            break;
+        default:
+            geometry = new THREE.BoxGeometry(0.15, 0.15, 0.15);
+            color = PALETTE.SCROLL;
+    }
+    
+    const material = new THREE.MeshStandardMaterial({
+        color,
+        emissive: color,
+        emissiveIntensity: 0.4,
+        ...MATERIAL_PROPS
+    });
+    
+    const mesh = new THREE.Mesh(geometry, material);
+    // Cylinders run along Y; turn shafts to run along Z
+    if (item.type === ITEM_TYPES.AMMO || item.type === ITEM_TYPES.WEAPON) {
+        mesh.rotation.x = Math.PI / 2;
+    }
+    
+    const group = new THREE.Group();
+    group.add(mesh);
+    group.position.y = 1;
+    return group;
+}
+
+/**
+ * Create the mesh of a spell flying toward its target: a glowing orb
+ * @param {object} THREE - Three.js library
+ * @returns {object} Three.js Group holding the orb, at projectile height
+ */
+export function createSpellBolt(THREE) {
+    const material = new THREE.MeshStandardMaterial({
+        color: PALETTE.SPELL,
+        emissive: PALETTE.SPELL,
+        emissiveIntensity: 0.8,
+        ...MATERIAL_PROPS
+    });
+    
+    const group = new THREE.Group();
+    group.add(new THREE.Mesh(new THREE.SphereGeometry(0.1, 8, 6), material));
+    group.position.y = 1;
+    return group;
+}
+
 /**
  * Create player mesh with white outline
  * @param {object} THREE - Three.js library
@@ -359,18 +553,32 @@ export function getHungerColor(hungerPercent) {
     return '#ff0000';
 }
 
+/**
+ * Get the HUD color for an encumbrance level
+ * @param {string} name - Encumbrance level name, e.g. 'Burdened'
+ * @returns {string} Hex color string
+ */
+export function getEncumbranceColor(name) {
+    if (name === 'Burdened') return '#ffff00';
+    if (name === 'Stressed') return '#ffaa00';
+    return '#ff0000';
+}
+
 /**
  * Format HUD text lines from stats
- * @param {object} stats - Stats to display {hp, maxHp, hunger, maxHunger, level, turn}
+ * @param {object} stats - Stats to display {hp, maxHp, mana, maxMana, hunger, maxHunger, level, turn, encumbrance, announcement}
  * @returns {Array<{text: string, color: string}>} Formatted text lines with colors
  */
 export function formatHUDText(stats) {
     const hpPercent = stats.hp / stats.maxHp;
     const hungerPercent = stats.hunger / stats.maxHunger;
     
-    return [
+    const lines = [
         {
-            text: `HP: ${stats.hp}/${stats.maxHp}`,
+            // Mana shares the HP line to leave room for the status lines below
+            text: stats.maxMana !== undefined
+                ? `HP: ${stats.hp}/${stats.maxHp}  MP: ${stats.mana}/${stats.maxMana}`
+                : `HP: ${stats.hp}/${stats.maxHp}`,
             color: getHPColor(hpPercent)
         },
         {
@@ -386,6 +594,80 @@ export function formatHUDText(stats) {
             color: '#00ff00'
         }
     ];
+    
+    if (stats.encumbrance) {
+        lines.push({ text: stats.encumbrance, color: getEncumbranceColor(stats.encumbrance) });
+    }
+    
+    if (stats.announcement) {
+        lines.push({ text: stats.announcement, color: '#ffd700' });
+    }
+    
+    return lines;
+}
+
+/**
+ * Format the shop panel's text lines: the purse, then one line per row with
+ * what the player could be paying or paid and a marker on the selected row.
+ * Goods the player can't afford are greyed out.
+ * @param {number} gold - Gold in the player's purse
+ * @param {Array} rows - Shop rows from getShopRows
+ * @param {number} selected - Index of the selected row
+ * @returns {Array<{text: string, color: string}>} Formatted text lines with colors
+ */
+export function formatShopPanel(gold, rows, selected) {
+    const labels = { pay: 'Pay', buy: 'Buy', sell: 'Sell' };
+    const lines = [{ text: `Gold: ${gold}`, color: '#ffd700' }];
+
+    if (rows.length === 0) {
+        lines.push({ text: 'Nothing to trade', color: '#888888' });
+        return lines;
+    }
+
+    rows.forEach((row, index) => {
+        const marker = index === selected ? '> ' : '  ';
+        const hint = row.hint ? ` (${row.hint.join('/')}?)` : '';
+        const quantity = row.quantity > 1 ? ` x${row.quantity}` : '';
+        const affordable = row.action === 'sell' || row.price <= gold;
+        lines.push({
+            text: `${marker}${labels[row.action]} ${row.name}${quantity}${hint} - ${row.price} gold`,
+            color: !affordable ? '#888888' : index === selected ? '#ffffff' : '#00ff00'
+        });
+    });
+
+    return lines;
+}
+
+/**
+ * Format the radial spell menu's labels: the mana pool in the middle, then
+ * one label per known spell around a circle, clockwise from the top to match
+ * getRadialSelection. Spells the player can't afford are greyed out.
+ * @param {number} mana - Mana the player has
+ * @param {number} maxMana - Most mana the player can hold
+ * @param {Array} rows - Menu rows from getSpellMenu
+ * @param {number} selected - Index of the selected spell, or -1 for none
+ * @returns {Array<{text: string, color: string, x: number, y: number}>} Labels with colors,
+ *     positioned on a unit circle with y pointing down as on a canvas
+ */
+export function formatSpellMenu(mana, maxMana, rows, selected) {
+    const labels = [{ text: `Mana: ${mana}/${maxMana}`, color: '#6495ed', x: 0, y: 0 }];
+
+    if (rows.length === 0) {
+        labels.push({ text: 'No spells known', color: '#888888', x: 0, y: 0.5 });
+        return labels;
+    }
+
+    rows.forEach((row, index) => {
+        const angle = index * 2 * Math.PI / rows.length;
+        labels.push({
+            text: `${index === selected ? '> ' : ''}${row.spell} (${row.cost})`,
+            color: !row.castable ? '#888888' : index === selected ? '#ffffff' : '#9370db',
+            x: Math.sin(angle),
+            y: -Math.cos(angle)
+        });
+    });
+
+    return labels;
 }
 
 /**
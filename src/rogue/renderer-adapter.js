@@ -0,0 +1,502 @@
+/**
+ * Renderer Adapter
+ * Keeps the Three.js scene in step with a game engine: builds level meshes,
+ * reacts to engine events and applies fog of war each frame. Holds no rules.
+ */
+
+import { MOVEMENT_THRESHOLD, ENEMY_TYPES, PALETTE, PROJECTILE_SPEED, STEP_ANIMATION_TIME } from './constants.js';
+import { gridToWorld } from './grid-utils.js';
+import { isEntityAlive } from './entity-manager.js';
+import { DOOR_STATES, getDoorAt } from './doors.js';
+import { calculateMovementBudget } from './movement.js';
+import { GAME_EVENTS, getTargetTile } from './game-rules.js';
+import {
+    createWall,
+    createFloor,
+    createStairsDown,
+    createStairsUp,
+    createDoor,
+    createRoomLight,
+    createMovementIndicator,
+    createEnemy,
+    createPlayer,
+    createItem,
+    createProjectile,
+    createSpellBolt,
+    createTargetHighlight
+} from './render-utils.js';
+
+/**
+ * Create a renderer adapter for an engine
+ * @param {object} THREE - Three.js library
+ * @param {object} scene - Three.js scene
+ * @param {object} camera - Three.js camera
+ * @param {object} engine - Game engine from createEngine
+ * @returns {object} Adapter {update, dispose, isStepping, getEnemyMesh, getItemMesh, getProjectileMeshes}
+ */
+export function createRendererAdapter(THREE, scene, camera, engine) {
+    const dungeonMeshes = new Map(); // Keyed by "x,y" (and "x,y_stairs", "x,y_door")
+    const enemyMeshes = new Map();
+    const itemMeshes = new Map();
+    const lightMap = new Map();
+    const projectiles = []; // In flight: {mesh, points, travelled}
+    let targetHighlight = null; // Yellow preview of target tile
+    let movementIndicator = null;
+    let syncedWorldPosition = null;
+    let stepGlide = null; // Grid step being animated: {from, to, elapsed}
+
+    const playerMesh = createPlayer(THREE);
+    scene.add(playerMesh);
+
+    /**
+     * Remove all meshes and lights belonging to the current level
+     */
+    function clearLevelMeshes() {
+        dungeonMeshes.forEach(mesh => scene.remove(mesh));
+        dungeonMeshes.clear();
+
+        enemyMeshes.forEach(mesh => scene.remove(mesh));
+        enemyMeshes.clear();
+
+        itemMeshes.forEach(mesh => scene.remove(mesh));
+        itemMeshes.clear();
+
+        lightMap.forEach(light => scene.remove(light));
+        lightMap.clear();
+
+        projectiles.forEach(projectile => scene.remove(projectile.mesh));
+        projectiles.length = 0;
+    }
+
+    /**
+     * Add a mesh for an enemy
+     * @param {object} enemy - Enemy entity
+     * @param {boolean} visible - Initial visibility
+     */
+    function addEnemyMesh(enemy, visible) {
+        const world = gridToWorld(enemy.position.x, enemy.position.y);
+        const mesh = createEnemy(THREE, ENEMY_TYPES[enemy.type], world.x, world.z);
+        mesh.visible = visible;
+        scene.add(mesh);
+        enemyMeshes.set(enemy.id, mesh);
+    }
+
+    /**
+     * Add a mesh for an item
+     * @param {object} item - Item entity
+     */
+    function addItemMesh(item) {
+        const state = engine.getState();
+        const world = gridToWorld(item.position.x, item.position.y);
+        const mesh = createItem(THREE, item, world.x, world.z);
+        mesh.visible = state.visibleTiles.has(`${item.position.x},${item.position.y}`);
+        scene.add(mesh);
+        itemMeshes.set(item.id, mesh);
+    }
+
+    /**
+     * Launch a projectile mesh along the tiles it flies through
+     * @param {object} mesh - Projectile mesh, from createProjectile or createSpellBolt
+     * @param {object} from - Tile it leaves from {x, y}
+     * @param {Array} path - Tiles it flies through {x, y}
+     */
+    function addProjectileMesh(mesh, from, path) {
+        if (path.length === 0) return;
+
+        const points = [from, ...path].map(tile => gridToWorld(tile.x, tile.y));
+        mesh.position.x = points[0].x;
+        mesh.position.z = points[0].z;
+        scene.add(mesh);
+        projectiles.push({ mesh, points, travelled: 0 });
+    }
+
+    /**
+     * Fly projectile meshes along their paths, removing those that have landed
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    function updateProjectiles(deltaTime) {
+        for (const projectile of [...projectiles]) {
+            projectile.travelled += PROJECTILE_SPEED * deltaTime;
+
+            // Walk the path's segments to find where the projectile has got to
+            let remaining = projectile.travelled;
+            let landed = true;
+            for (let i = 1; i < projectile.points.length; i++) {
+                const start = projectile.points[i - 1];
+                const end = projectile.points[i];
+                const length = Math.hypot(end.x - start.x, end.z - start.z);
+                if (remaining < length) {
+                    const t = remaining / length;
+                    projectile.mesh.position.x = start.x + (end.x - start.x) * t;
+                    projectile.mesh.position.z = start.z + (end.z - start.z) * t;
+                    projectile.mesh.rotation.y = Math.atan2(end.x - start.x, end.z - start.z);
+                    landed = false;
+                    break;
+                }
+                remaining -= length;
+            }
+
+            if (landed) {
+                scene.remove(projectile.mesh);
+                projectiles.splice(projectiles.indexOf(projectile), 1);
+            }
+        }
+    }
+
+    /**
+     * Build the meshes for one dungeon tile
+     * @param {object} dungeon - Dungeon data
+     * @param {number} x - Grid X
+     * @param {number} y - Grid Y
+     */
+    function addTileMeshes(dungeon, x, y) {
+        const tile = dungeon.grid[y][x];
+        const world = gridToWorld(x, y);
+        const key = `${x},${y}`;
+
+        if (tile === 'wall') {
+            const wall = createWall(THREE, world.x, world.z);
+            scene.add(wall);
+            dungeonMeshes.set(key, wall);
+        } else if (tile === 'floor' || tile === 'door' || tile === 'door_closed') {
+            const floor = createFloor(THREE, world.x, world.z, 'hidden');
+            scene.add(floor);
+            dungeonMeshes.set(key, floor);
+
+            // Broken doors leave an empty doorway
+            const door = getDoorAt(dungeon.doors, { x, y });
+            if (door && door.state !== DOOR_STATES.BROKEN) {
+                // Walls either side along X mean the passage runs along Z
+                const spansX = dungeon.grid[y][x - 1] === 'wall';
+                const mesh = createDoor(THREE, world.x, world.z, spansX, tile === 'door');
+                scene.add(mesh);
+                dungeonMeshes.set(`${key}_door`, mesh);
+            }
+        } else if (tile === 'stairs_down' || tile === 'stairs_up') {
+            const floor = createFloor(THREE, world.x, world.z, 'hidden');
+            scene.add(floor);
+            dungeonMeshes.set(key, floor);
+
+            const stairs = tile === 'stairs_down'
+                ? createStairsDown(THREE, world.x, world.z)
+                : createStairsUp(THREE, world.x, world.z);
+            scene.add(stairs);
+            dungeonMeshes.set(`${key}_stairs`, stairs);
+        }
+    }
+
+    /**
+     * Replace the meshes for one dungeon tile after it changes
+     * @param {object} position - Grid position {x, y}
+     */
+    function rebuildTileMeshes(position) {
+        const key = `${position.x},${position.y}`;
+        for (const part of [key, `${key}_door`]) {
+            const mesh = dungeonMeshes.get(part);
+            if (mesh) {
+                scene.remove(mesh);
+                dungeonMeshes.delete(part);
+            }
+        }
+        addTileMeshes(engine.getState().dungeon, position.x, position.y);
+    }
+
+    /**
+     * Build dungeon geometry, lights, enemy and item meshes for the current level
+     */
+    function buildLevelMeshes() {
+        const state = engine.getState();
+        const dungeon = state.dungeon;
+
+        for (let y = 0; y < dungeon.height; y++) {
+            for (let x = 0; x < dungeon.width; x++) {
+                addTileMeshes(dungeon, x, y);
+            }
+        }
+
+        for (const room of dungeon.rooms) {
+            const center = gridToWorld(room.center.x, room.center.y);
+            const light = createRoomLight(THREE, center.x, center.z, false);
+            scene.add(light);
+            lightMap.set(`${room.center.x},${room.center.y}`, light);
+        }
+
+        // Dead enemies from a restored save get meshes too but stay hidden
+        for (const enemy of state.entities.enemies) {
+            addEnemyMesh(enemy, false);
+        }
+
+        for (const item of state.entities.items) {
+            addItemMesh(item);
+        }
+    }
+
+    /**
+     * Place the player mesh and camera
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     */
+    function placePlayerView(x, z) {
+        playerMesh.position.set(x, 0, z);
+        camera.position.set(x, 1.6, z); // Eye height
+    }
+
+    /**
+     * Move the player mesh and camera to the player's world position, gliding
+     * there over STEP_ANIMATION_TIME after a grid step
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    function syncPlayerView(deltaTime = 0) {
+        const worldPosition = engine.getState().player.worldPosition;
+
+        // Moving any other way (or loading a level) cuts the glide short
+        if (stepGlide && (stepGlide.to.x !== worldPosition.x || stepGlide.to.z !== worldPosition.z)) {
+            stepGlide = null;
+        }
+
+        if (stepGlide) {
+            stepGlide.elapsed += deltaTime;
+            const t = Math.min(1, stepGlide.elapsed / STEP_ANIMATION_TIME);
+            const eased = t * t * (3 - 2 * t);
+            const { from, to } = stepGlide;
+            placePlayerView(from.x + (to.x - from.x) * eased, from.z + (to.z - from.z) * eased);
+            if (t < 1) return;
+
+            stepGlide = null;
+            syncedWorldPosition = worldPosition;
+            return;
+        }
+
+        if (worldPosition === syncedWorldPosition) return;
+
+        syncedWorldPosition = worldPosition;
+        placePlayerView(worldPosition.x, worldPosition.z);
+    }
+
+    /**
+     * Start gliding the view from where it is to the center of a tile
+     * @param {object} tile - Tile stepped onto {x, y}
+     */
+    function startStepGlide(tile) {
+        const from = { x: playerMesh.position.x, z: playerMesh.position.z };
+        stepGlide = { from, to: gridToWorld(tile.x, tile.y), elapsed: 0 };
+    }
+
+    /**
+     * Reflect engine events in the scene
+     * @param {Array} events - Events emitted by the engine
+     */
+    function applyEvents(events) {
+        for (const event of events) {
+            switch (event.type) {
+                case GAME_EVENTS.LEVEL_LOADED:
+                    clearLevelMeshes();
+                    buildLevelMeshes();
+                    syncPlayerView();
+                    break;
+
+                case GAME_EVENTS.ENEMY_MOVED: {
+                    const mesh = enemyMeshes.get(event.enemy.id);
+                    if (mesh) {
+                        const world = gridToWorld(event.enemy.position.x, event.enemy.position.y);
+                        mesh.position.set(world.x, 1, world.z);
+                    }
+                    break;
+                }
+
+                case GAME_EVENTS.ENEMIES_SPAWNED:
+                    for (const enemy of event.enemies) {
+                        addEnemyMesh(enemy, true);
+                    }
+                    break;
+
+                case GAME_EVENTS.ITEM_DROPPED:
+                    addItemMesh(event.item);
+                    break;
+
+                case GAME_EVENTS.PROJECTILE_FIRED:
+                    addProjectileMesh(createProjectile(THREE, event.item), event.from, event.path);
+                    break;
+
+                case GAME_EVENTS.SPELL_CAST:
+                    addProjectileMesh(createSpellBolt(THREE), event.from, event.path);
+                    break;
+
+                case GAME_EVENTS.PLAYER_STEPPED:
+                    startStepGlide(event.to);
+                    break;
+
+                case GAME_EVENTS.DOOR_CHANGED:
+                    rebuildTileMeshes(event.door.position);
+                    break;
+
+                case GAME_EVENTS.ITEM_REMOVED: {
+                    const mesh = itemMeshes.get(event.item.id);
+                    if (mesh) {
+                        scene.remove(mesh);
+                        itemMeshes.delete(event.item.id);
+                    }
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * Update dungeon tile visibility
+     * @param {object} state - Current game state
+     */
+    function updateDungeonVisibility(state) {
+        const dungeon = state.dungeon;
+
+        for (let y = 0; y < dungeon.height; y++) {
+            for (let x = 0; x < dungeon.width; x++) {
+                const key = `${x},${y}`;
+                const tile = dungeon.grid[y][x];
+                const meshOrGroup = dungeonMeshes.get(key);
+                if (!meshOrGroup) continue;
+
+                const visible = state.visibleTiles.has(key);
+                const explored = state.exploredTiles.has(key);
+                meshOrGroup.visible = visible || explored;
+
+                // Handle group with userData.mesh (from addWhiteOutline)
+                const actualMesh = meshOrGroup.userData?.mesh || meshOrGroup;
+
+                if (tile === 'wall') {
+                    // Darken explored walls that are not currently visible
+                    if (actualMesh.material) {
+                        actualMesh.material.color.setHex(visible ? PALETTE.WALL : PALETTE.EXPLORED);
+                    }
+                } else if (tile === 'floor' || tile === 'door' || tile === 'door_closed') {
+                    if (actualMesh.material) {
+                        actualMesh.material.color.setHex(visible ? PALETTE.FLOOR : PALETTE.EXPLORED);
+                    }
+
+                    const doorMesh = dungeonMeshes.get(`${key}_door`);
+                    if (doorMesh) {
+                        doorMesh.visible = visible || explored;
+                        doorMesh.userData.mesh.material.color.setHex(visible ? PALETTE.DOOR : PALETTE.EXPLORED);
+                    }
+                } else if (tile === 'stairs_down' || tile === 'stairs_up') {
+                    const stairsMesh = dungeonMeshes.get(`${key}_stairs`);
+                    if (stairsMesh) {
+                        stairsMesh.visible = visible || explored;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Show enemies, items and room lights only on visible tiles
+     * @param {object} state - Current game state
+     */
+    function updateEntityVisibility(state) {
+        for (const enemy of state.entities.enemies) {
+            const mesh = enemyMeshes.get(enemy.id);
+            if (mesh) {
+                const key = `${enemy.position.x},${enemy.position.y}`;
+                mesh.visible = state.visibleTiles.has(key) && isEntityAlive(enemy);
+            }
+        }
+
+        for (const item of state.entities.items) {
+            const mesh = itemMeshes.get(item.id);
+            if (mesh) {
+                mesh.visible = state.visibleTiles.has(`${item.position.x},${item.position.y}`);
+            }
+        }
+
+        for (const [key, light] of lightMap.entries()) {
+            light.intensity = state.visibleTiles.has(key) ? 1.0 : 0.0;
+        }
+    }
+
+    /**
+     * Show the tile the player would interact with
+     * @param {object} state - Current game state
+     */
+    function updateTargetHighlight(state) {
+        const grid = state.dungeon.grid;
+        const target = getTargetTile(state);
+        const inBounds = target.y >= 0 && target.y < grid.length &&
+            target.x >= 0 && target.x < grid[0].length;
+        const isOwnTile = target.x === state.player.position.x && target.y === state.player.position.y;
+
+        if (inBounds && !isOwnTile) {
+            const world = gridToWorld(target.x, target.y);
+            if (!targetHighlight) {
+                targetHighlight = createTargetHighlight(THREE, world.x, world.z);
+                scene.add(targetHighlight);
+            } else {
+                targetHighlight.position.set(world.x, 0.02, world.z);
+                targetHighlight.visible = true;
+            }
+        } else if (targetHighlight) {
+            targetHighlight.visible = false;
+        }
+    }
+
+    /**
+     * Show the remaining movement budget while in combat mode
+     * @param {object} state - Current game state
+     */
+    function updateMovementIndicator(state) {
+        if (state.inCombatMode) {
+            const budget = calculateMovementBudget(state.accumulatedMovement);
+            const radius = budget * MOVEMENT_THRESHOLD;
+
+            if (!movementIndicator) {
+                movementIndicator = createMovementIndicator(THREE, radius, MOVEMENT_THRESHOLD);
+                scene.add(movementIndicator);
+            }
+
+            movementIndicator.position.set(state.player.worldPosition.x, 0.01, state.player.worldPosition.z);
+            movementIndicator.visible = true;
+        } else if (movementIndicator) {
+            movementIndicator.visible = false;
+        }
+    }
+
+    /**
+     * Bring the scene up to date with the engine state (call once per frame)
+     * @param {number} deltaTime - Seconds since the last frame, to fly projectiles and glide steps
+     */
+    function update(deltaTime = 0) {
+        const state = engine.getState();
+
+        syncPlayerView(deltaTime);
+        updateProjectiles(deltaTime);
+        updateTargetHighlight(state);
+        updateDungeonVisibility(state);
+        updateEntityVisibility(state);
+        updateMovementIndicator(state);
+    }
+
+    /**
+     * Remove everything the adapter added and stop listening to the engine
+     */
+    function dispose() {
+        unsubscribe();
+        clearLevelMeshes();
+        scene.remove(playerMesh);
+        if (targetHighlight) scene.remove(targetHighlight);
+        if (movementIndicator) scene.remove(movementIndicator);
+    }
+
+    const unsubscribe = engine.subscribe(applyEvents);
+
+    buildLevelMeshes();
+    syncPlayerView();
+    update();
+
+    return {
+        update,
+        dispose,
+        isStepping: () => stepGlide !== null,
+        getEnemyMesh: id => enemyMeshes.get(id),
+        getItemMesh: id => itemMeshes.get(id),
+        getProjectileMeshes: () => projectiles.map(projectile => projectile.mesh)
+    };
+}
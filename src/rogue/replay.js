@@ -0,0 +1,290 @@
+/**
+ * Run Recording and Replay
+ * Records a run's player inputs against its seed and re-drives the game
+ * rules headlessly to reproduce the run, so a bug report can ship the exact
+ * run that triggered it.
+ */
+
+import { updatePlayerRotation } from './game-state.js';
+import {
+    startRun,
+    movePlayer,
+    interact,
+    useInventoryItem,
+    equipInventoryItem,
+    unequipPlayerItem,
+    dropInventoryItem,
+    callInventoryItem,
+    buyShopItem,
+    sellShopItem,
+    fireLauncher,
+    throwInventoryItem,
+    castSpell,
+    stepPlayer
+} from './game-rules.js';
+
+/**
+ * Replay file format marker
+ */
+export const REPLAY_FORMAT = 'wxrtest-replay';
+
+/**
+ * Current replay schema version. Bump this whenever the action schema grows
+ * (new action types or fields), so older builds reject replays they can't drive.
+ * Version 2 added shop trades, shots, throws, spells, grid steps and the
+ * target and quantity fields.
+ */
+export const REPLAY_VERSION = 2;
+
+/**
+ * Recorded action types
+ */
+export const REPLAY_ACTIONS = {
+    MOVE: 'move',
+    ROTATE: 'rotate',
+    INTERACT: 'interact',
+    USE_ITEM: 'useItem',
+    EQUIP_ITEM: 'equipItem',
+    UNEQUIP_ITEM: 'unequipItem',
+    DROP_ITEM: 'dropItem',
+    CALL_ITEM: 'callItem',
+    BUY_ITEM: 'buyItem',
+    SELL_ITEM: 'sellItem',
+    FIRE: 'fire',
+    THROW_ITEM: 'throwItem',
+    CAST_SPELL: 'castSpell',
+    STEP: 'step'
+};
+
+/**
+ * Summarize the parts of a state a replay is checked against
+ * @param {object} state - Game state
+ * @returns {object} Summary {turnCount, dungeonLevel, position, hp, hunger, xp, gameOver, deathMessage, statistics}
+ */
+export function summarizeState(state) {
+    return {
+        turnCount: state.turnCount,
+        dungeonLevel: state.dungeon.level,
+        position: { ...state.player.position },
+        hp: state.player.hp,
+        hunger: state.player.hunger,
+        xp: state.player.xp,
+        gameOver: state.gameOver,
+        deathMessage: state.deathMessage,
+        statistics: { ...state.statistics }
+    };
+}
+
+/**
+ * Create an input recorder for a run.
+ * Free movement is recorded sparsely: only frames that enter a new cell or
+ * complete a turn are kept, along with the last frame before any other action.
+ * Each move entry stores the accumulated movement before the frame and the
+ * frame's distance, so the replay repeats the exact same float addition.
+ * @param {number} seed - Run seed
+ * @param {Array} actions - Previously recorded actions to continue from (optional)
+ * @returns {object} Recorder
+ */
+export function createRecorder(seed, actions = []) {
+    const recorded = actions.map(action => ({ ...action }));
+    let pendingMove = null;
+    let lastRotation = findLastRotation(recorded);
+
+    /**
+     * Record the player's rotation if it changed since the last entry
+     * @param {object} state - Current game state
+     */
+    function recordRotation(state) {
+        if (state.player.rotation !== lastRotation) {
+            lastRotation = state.player.rotation;
+            recorded.push({ type: REPLAY_ACTIONS.ROTATE, turn: state.turnCount, rotation: lastRotation });
+        }
+    }
+
+    /**
+     * Write out any pending movement and rotation
+     * @param {object} state - Current game state
+     */
+    function flush(state) {
+        if (pendingMove) {
+            recorded.push(pendingMove);
+            pendingMove = null;
+        }
+        recordRotation(state);
+    }
+
+    /**
+     * Record one accepted frame of free movement
+     * @param {object} state - State before the frame was applied
+     * @param {object} worldPosition - World position the frame moved to
+     * @param {number} distance - Distance covered by the frame
+     * @param {boolean} significant - True if the frame entered a new cell or completed a turn
+     */
+    function recordMove(state, worldPosition, distance, significant) {
+        const entry = {
+            type: REPLAY_ACTIONS.MOVE,
+            turn: state.turnCount,
+            worldPosition: { ...worldPosition },
+            accumulatedMovement: state.accumulatedMovement,
+            distance
+        };
+
+        if (significant) {
+            pendingMove = null;
+            recordRotation(state);
+            recorded.push(entry);
+        } else {
+            pendingMove = entry;
+        }
+    }
+
+    /**
+     * Record a discrete player action
+     * @param {object} state - State before the action was applied
+     * @param {string} type - Action type from REPLAY_ACTIONS
+     * @param {object} data - Action data (e.g., {slot})
+     */
+    function recordAction(state, type, data = {}) {
+        flush(state);
+        recorded.push({ type, turn: state.turnCount, ...data });
+    }
+
+    /**
+     * Get the recorded actions so far
+     * @param {object} state - Current game state, used to flush pending input (optional)
+     * @returns {Array} Recorded actions
+     */
+    function getActions(state = null) {
+        if (state) flush(state);
+        return recorded.map(action => ({ ...action }));
+    }
+
+    /**
+     * Build a replay file of the run so far
+     * @param {object} state - Current game state
+     * @returns {object} Replay {format, version, seed, actions, final}
+     */
+    function getReplay(state) {
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            seed,
+            actions: getActions(state),
+            final: summarizeState(state)
+        };
+    }
+
+    return {
+        recordMove,
+        recordAction,
+        getActions,
+        getReplay
+    };
+}
+
+/**
+ * Find the rotation in effect at the end of a list of recorded actions
+ * @param {Array} actions - Recorded actions
+ * @returns {number} Rotation in radians (0 at the start of a run)
+ */
+function findLastRotation(actions) {
+    for (let i = actions.length - 1; i >= 0; i--) {
+        if (actions[i].type === REPLAY_ACTIONS.ROTATE) {
+            return actions[i].rotation;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Apply one recorded action to a state
+ * @param {object} state - Current game state
+ * @param {object} action - Recorded action
+ * @param {object} rng - Run RNG
+ * @returns {{state: object, events: Array}} New state and events
+ */
+export function applyReplayAction(state, action, rng) {
+    switch (action.type) {
+        case REPLAY_ACTIONS.MOVE: {
+            const before = { ...state, accumulatedMovement: action.accumulatedMovement };
+            return movePlayer(before, action.worldPosition, action.distance, rng);
+        }
+        case REPLAY_ACTIONS.ROTATE:
+            return { state: updatePlayerRotation(state, action.rotation), events: [] };
+        case REPLAY_ACTIONS.INTERACT:
+            return interact(state, rng);
+        case REPLAY_ACTIONS.USE_ITEM:
+            return useInventoryItem(state, action.slot, action.target, rng);
+        case REPLAY_ACTIONS.EQUIP_ITEM:
+            return equipInventoryItem(state, action.slot, action.equipSlot, rng);
+        case REPLAY_ACTIONS.UNEQUIP_ITEM:
+            return unequipPlayerItem(state, action.equipSlot, rng);
+        case REPLAY_ACTIONS.DROP_ITEM:
+            return dropInventoryItem(state, action.slot, action.quantity, rng);
+        case REPLAY_ACTIONS.CALL_ITEM:
+            return callInventoryItem(state, action.slot, action.name);
+        case REPLAY_ACTIONS.BUY_ITEM:
+            return buyShopItem(state, action.target, rng);
+        case REPLAY_ACTIONS.SELL_ITEM:
+            return sellShopItem(state, action.slot, rng);
+        case REPLAY_ACTIONS.FIRE:
+            return fireLauncher(state, action.target, rng);
+        case REPLAY_ACTIONS.THROW_ITEM:
+            return throwInventoryItem(state, action.slot, action.target, rng);
+        case REPLAY_ACTIONS.CAST_SPELL:
+            return castSpell(state, action.spell, action.target, rng);
+        case REPLAY_ACTIONS.STEP:
+            return stepPlayer(state, { dx: action.dx, dy: action.dy }, rng);
+        default:
+            throw new Error(`Unknown replay action: ${action.type}`);
+    }
+}
+
+/**
+ * Re-drive a recorded run headlessly from its seed
+ * @param {object} replay - Replay from a recorder's getReplay()
+ * @returns {{state: object, rng: object, events: Array}} Final state, RNG and every event
+ */
+export function replayRun(replay) {
+    if (!replay || replay.format !== REPLAY_FORMAT || !Array.isArray(replay.actions)) {
+        throw new Error('Invalid replay data');
+    }
+
+    if (replay.version > REPLAY_VERSION) {
+        throw new Error(`Replay version ${replay.version} is newer than supported version ${REPLAY_VERSION}`);
+    }
+
+    const run = startRun(replay.seed);
+    let state = run.state;
+    const events = [...run.events];
+
+    replay.actions.forEach((action, index) => {
+        if (action.turn !== undefined && action.turn !== state.turnCount) {
+            throw new Error(
+                `Replay desynced at action ${index}: expected turn ${action.turn}, reached turn ${state.turnCount}`
+            );
+        }
+
+        const result = applyReplayAction(state, action, run.rng);
+        state = result.state;
+        events.push(...result.events);
+    });
+
+    return { state, rng: run.rng, events };
+}
+
+/**
+ * Replay a run and compare the outcome with the recorded final summary
+ * @param {object} replay - Replay from a recorder's getReplay()
+ * @returns {{matches: boolean, expected: object, actual: object}} Comparison
+ */
+export function verifyReplay(replay) {
+    const { state } = replayRun(replay);
+    const actual = summarizeState(state);
+
+    return {
+        matches: JSON.stringify(actual) === JSON.stringify(replay.final),
+        expected: replay.final,
+        actual
+    };
+}
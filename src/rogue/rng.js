@@ -0,0 +1,100 @@
+/**
+ * Run Random Number Service
+ * A single seeded source for every random roll and entity id in a run,
+ * so the same seed and inputs reproduce the same run
+ */
+
+import { SeededRandom } from './dungeon-generator.js';
+
+// Offset applied to the run seed so gameplay rolls don't replay the
+// dungeon generator's sequence (which is seeded with the raw run seed)
+const RUN_STREAM_OFFSET = 0x5BD1E995;
+
+/**
+ * Seeded RNG with a sequential entity id counter and a saveable position
+ */
+class RunRandom extends SeededRandom {
+    constructor(seed, idCounter = 0) {
+        super(seed);
+        this.idCounter = idCounter;
+    }
+
+    /**
+     * Generate the next stable entity id
+     * @param {string} prefix - Id prefix (e.g., 'enemy', 'potion')
+     * @returns {string} Id such as "enemy_12"
+     */
+    nextId(prefix) {
+        this.idCounter++;
+        return `${prefix}_${this.idCounter}`;
+    }
+
+    /**
+     * Get the generator position for saving
+     * @returns {{seed: number, idCounter: number}} Serializable state
+     */
+    getState() {
+        return {
+            seed: this.seed,
+            idCounter: this.idCounter
+        };
+    }
+
+    /**
+     * Restore a generator from a saved position
+     * @param {{seed: number, idCounter: number}} state - State from getState()
+     * @returns {RunRandom} Generator continuing from the saved position
+     */
+    static fromState(state) {
+        return new RunRandom(state.seed, state.idCounter || 0);
+    }
+}
+
+/**
+ * Create the per-run random number service
+ * @param {number} seed - Run seed
+ * @returns {RunRandom} Run RNG
+ */
+export function createRunRandom(seed) {
+    return new RunRandom(seed + RUN_STREAM_OFFSET);
+}
+
+/**
+ * Get a random float in [0, 1) from the given RNG, or Math.random without one
+ * @param {object} rng - Seeded random number generator (optional)
+ * @returns {number} Random value
+ */
+export function nextRandom(rng = null) {
+    return rng ? rng.next() : Math.random();
+}
+
+/**
+ * Pick one option at random, weighted by each option's weight
+ * @param {Array<{weight: number}>} options - Options to pick from (not empty)
+ * @param {object} rng - Seeded random number generator (optional)
+ * @returns {object} Chosen option
+ */
+export function pickWeighted(options, rng = null) {
+    const total = options.reduce((sum, option) => sum + option.weight, 0);
+    let roll = nextRandom(rng) * total;
+    for (const option of options) {
+        roll -= option.weight;
+        if (roll < 0) return option;
+    }
+    return options[options.length - 1];
+}
+
+/**
+ * Generate an entity id from the given RNG, or a time-based id without one
+ * @param {string} prefix - Id prefix
+ * @param {object} rng - Run RNG with nextId (optional)
+ * @returns {string} Entity id
+ */
+export function nextEntityId(prefix, rng = null) {
+    if (rng && typeof rng.nextId === 'function') {
+        return rng.nextId(prefix);
+    }
+    return `${prefix}_${Date.now()}_${Math.random()}`;
+}
+
+export { RunRandom };
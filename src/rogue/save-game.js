@@ -0,0 +1,334 @@
+/**
+ * Save Game System
+ * Versioned serialization of the full game state so a run can be resumed
+ */
+
+import { STARTING_MANA, MANA_PER_LEVEL } from './constants.js';
+import { Room } from './dungeon-generator.js';
+import { createAIState } from './enemy-ai.js';
+import { createBaseStats, createEquipment, equipToSlot, refreshPlayerStats } from './equipment.js';
+import { createDiscoveries, getAppearance, hasAppearance, discoverInventory } from './discoveries.js';
+
+/**
+ * Current save schema version. Bump this whenever the shape of the
+ * serialized state changes and register a migration from the old version.
+ */
+export const SAVE_VERSION = 8;
+
+/**
+ * Default storage key for the active run
+ */
+export const SAVE_STORAGE_KEY = 'wxrtest.save';
+
+/**
+ * Schema migrations keyed by the version they upgrade from.
+ * Each migration receives a save at version N and returns it at version N + 1.
+ */
+export const SAVE_MIGRATIONS = {};
+
+/**
+ * Register a schema migration
+ * @param {number} fromVersion - Save version the migration upgrades from
+ * @param {function} migrate - Function (data) => data at fromVersion + 1
+ * @param {object} migrations - Migration table to register into
+ */
+export function registerSaveMigration(fromVersion, migrate, migrations = SAVE_MIGRATIONS) {
+    migrations[fromVersion] = migrate;
+}
+
+// Version 2 gives every enemy AI memory (state, home, last known player position)
+registerSaveMigration(1, data => ({
+    ...data,
+    version: 2,
+    state: {
+        ...data.state,
+        entities: {
+            ...data.state.entities,
+            enemies: ((data.state.entities && data.state.entities.enemies) || []).map(enemy => ({
+                ...enemy,
+                ai: enemy.ai || createAIState(enemy.position)
+            }))
+        }
+    }
+}));
+
+// Version 3 caches the levels the player has left so they can climb back up
+registerSaveMigration(2, data => ({
+    ...data,
+    version: 3,
+    state: {
+        ...data.state,
+        levels: data.state.levels || {}
+    }
+}));
+
+// Version 4 adds doors; older levels were generated without any
+registerSaveMigration(3, data => ({
+    ...data,
+    version: 4,
+    state: {
+        ...data.state,
+        dungeon: { ...data.state.dungeon, doors: data.state.dungeon.doors || [] },
+        levels: Object.fromEntries(Object.entries(data.state.levels || {}).map(([level, snapshot]) => [
+            level,
+            { ...snapshot, dungeon: { ...snapshot.dungeon, doors: snapshot.dungeon.doors || [] } }
+        ]))
+    }
+}));
+
+// Version 5 replaces the single weapon and armor with equipment slots
+registerSaveMigration(4, data => {
+    const { weapon, armor, ...player } = data.state.player;
+    let migrated = {
+        ...player,
+        baseStats: {
+            ...createBaseStats(),
+            // Levelling was the only other source of these bonuses
+            attackBonus: player.attackBonus || 0,
+            damageBonus: player.damageBonus || 0
+        },
+        equipment: createEquipment()
+    };
+    if (weapon) migrated = equipToSlot(migrated, weapon).player;
+    if (armor) migrated = equipToSlot(migrated, armor).player;
+
+    return {
+        ...data,
+        version: 5,
+        state: { ...data.state, player: refreshPlayerStats(migrated) }
+    };
+});
+
+// Version 6 shuffles potion and scroll appearances per run. Items already
+// found take the run's new appearances, and the player keeps knowing the
+// kinds they had identified.
+registerSaveMigration(5, data => {
+    const discoveries = createDiscoveries(data.state.seed);
+    const relabel = items => (items || []).map(item =>
+        hasAppearance(item) ? { ...item, appearance: getAppearance(discoveries, item.type, item.trueType) } : item
+    );
+    const inventory = relabel(data.state.inventory).map(item => item || null);
+
+    return {
+        ...data,
+        version: 6,
+        state: {
+            ...data.state,
+            inventory,
+            entities: { ...data.state.entities, items: relabel(data.state.entities && data.state.entities.items) },
+            levels: Object.fromEntries(Object.entries(data.state.levels || {}).map(([level, snapshot]) => [
+                level,
+                { ...snapshot, items: relabel(snapshot.items) }
+            ])),
+            discoveries: discoverInventory(discoveries, inventory)
+        }
+    };
+});
+
+// Version 7 gives the player a purse to spend in shops, holding the gold
+// collected so far
+registerSaveMigration(6, data => ({
+    ...data,
+    version: 7,
+    state: {
+        ...data.state,
+        player: {
+            ...data.state.player,
+            gold: (data.state.statistics && data.state.statistics.goldCollected) || 0
+        }
+    }
+}));
+
+// Version 8 gives the player a mana pool and a list of spells learned
+registerSaveMigration(7, data => ({
+    ...data,
+    version: 8,
+    state: {
+        ...data.state,
+        player: {
+            ...data.state.player,
+            mana: STARTING_MANA,
+            maxMana: STARTING_MANA + MANA_PER_LEVEL * ((data.state.player.level || 1) - 1),
+            spells: []
+        }
+    }
+}));
+
+/**
+ * Serialize game state into a plain JSON-safe snapshot
+ * @param {object} state - Current game state
+ * @param {*} rngState - Position of the run's random number generator (optional)
+ * @param {Array} replay - Player actions recorded since the run started (optional)
+ * @returns {object} Save data {version, rngState, replay, state}
+ */
+export function serializeGameState(state, rngState = null, replay = null) {
+    const dungeon = state.dungeon || {};
+
+    const snapshot = {
+        version: SAVE_VERSION,
+        rngState: rngState,
+        replay: replay,
+        state: {
+            ...state,
+            dungeon: {
+                ...dungeon,
+                // Room centers are getters, so store the plain rectangle
+                rooms: (dungeon.rooms || []).map(room => ({
+                    x: room.x,
+                    y: room.y,
+                    width: room.width,
+                    height: room.height
+                }))
+            },
+            exploredTiles: Array.from(state.exploredTiles || []),
+            visibleTiles: Array.from(state.visibleTiles || []),
+            rememberedItems: Array.from(state.rememberedItems || [])
+        }
+    };
+
+    // Deep copy so later in-place mutations of the live state don't leak into the save
+    return JSON.parse(JSON.stringify(snapshot));
+}
+
+/**
+ * Upgrade save data to the current schema version
+ * @param {object} data - Save data at any supported version
+ * @param {object} migrations - Migration table keyed by source version
+ * @returns {object} Save data at SAVE_VERSION
+ */
+export function migrateSaveData(data, migrations = SAVE_MIGRATIONS) {
+    let migrated = data;
+
+    while (migrated.version < SAVE_VERSION) {
+        const migrate = migrations[migrated.version];
+        if (!migrate) {
+            throw new Error(`No save migration from version ${migrated.version}`);
+        }
+
+        const fromVersion = migrated.version;
+        migrated = migrate(migrated);
+        if (!(migrated.version > fromVersion)) {
+            throw new Error(`Save migration from version ${fromVersion} did not advance the version`);
+        }
+    }
+
+    return migrated;
+}
+
+/**
+ * Restore game state from save data
+ * @param {object} data - Save data produced by serializeGameState
+ * @param {object} migrations - Migration table keyed by source version
+ * @returns {{state: object, rngState: *, replay: Array|null}} Restored game state, RNG position and recorded actions
+ */
+export function deserializeGameState(data, migrations = SAVE_MIGRATIONS) {
+    if (!data || typeof data !== 'object' || typeof data.version !== 'number' || !data.state) {
+        throw new Error('Invalid save data');
+    }
+
+    if (data.version > SAVE_VERSION) {
+        throw new Error(`Save version ${data.version} is newer than supported version ${SAVE_VERSION}`);
+    }
+
+    const migrated = migrateSaveData(data, migrations);
+    const saved = JSON.parse(JSON.stringify(migrated.state));
+
+    const state = {
+        ...saved,
+        dungeon: {
+            ...saved.dungeon,
+            rooms: (saved.dungeon.rooms || []).map(room =>
+                new Room(room.x, room.y, room.width, room.height)
+            )
+        },
+        exploredTiles: new Set(saved.exploredTiles || []),
+        visibleTiles: new Set(saved.visibleTiles || []),
+        rememberedItems: new Set(saved.rememberedItems || [])
+    };
+
+    return {
+        state,
+        rngState: migrated.rngState === undefined ? null : migrated.rngState,
+        replay: Array.isArray(migrated.replay) ? migrated.replay : null
+    };
+}
+
+/**
+ * Get the browser's default save storage
+ * @returns {object|null} Web Storage compatible object, or null if unavailable
+ */
+export function getDefaultStorage() {
+    try {
+        return globalThis.localStorage || null;
+    } catch (error) {
+        // Accessing localStorage throws when storage is disabled
+        return null;
+    }
+}
+
+/**
+ * Write save data to storage
+ * @param {object} data - Save data
+ * @param {object} storage - Web Storage compatible object (getItem/setItem/removeItem)
+ * @param {string} key - Storage key
+ * @returns {boolean} True if the save was written
+ */
+export function writeSave(data, storage = getDefaultStorage(), key = SAVE_STORAGE_KEY) {
+    if (!storage) {
+        return false;
+    }
+
+    try {
+        storage.setItem(key, JSON.stringify(data));
+        return true;
+    } catch (error) {
+        // Quota exceeded or storage disabled
+        return false;
+    }
+}
+
+/**
+ * Read save data from storage
+ * @param {object} storage - Web Storage compatible object
+ * @param {string} key - Storage key
+ * @returns {object|null} Save data, or null if missing or unreadable
+ */
+export function readSave(storage = getDefaultStorage(), key = SAVE_STORAGE_KEY) {
+    if (!storage) {
+        return null;
+    }
+
+    try {
+        const raw = storage.getItem(key);
+        return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Check whether a save exists in storage
+ * @param {object} storage - Web Storage compatible object
+ * @param {string} key - Storage key
+ * @returns {boolean} True if a save exists
+ */
+export function hasSave(storage = getDefaultStorage(), key = SAVE_STORAGE_KEY) {
+    return readSave(storage, key) !== null;
+}
+
+/**
+ * Delete save data from storage (e.g. on permadeath)
+ * @param {object} storage - Web Storage compatible object
+ * @param {string} key - Storage key
+ */
+export function deleteSave(storage = getDefaultStorage(), key = SAVE_STORAGE_KEY) {
+    if (!storage) {
+        return;
+    }
+
+    try {
+        storage.removeItem(key);
+    } catch (error) {
+        // Nothing to clean up if storage is unavailable
+    }
+}
@@ -0,0 +1,182 @@
+/**
+ * Scrolls
+ * The scroll catalogue from SCROLL_TYPES and the helpers behind each scroll's
+ * effect: where a teleport lands, what magic mapping reveals, what a fire
+ * blast covers and which tile the player is aiming at. Some scrolls need a
+ * target before they can be read - an item to enchant or a tile to set
+ * alight. Like enemy abilities, these helpers only work out what happens;
+ * the game rules apply the results to the state.
+ */
+
+import { ITEM_TYPES, SCROLL_TYPES } from './constants.js';
+import { distance } from './grid-utils.js';
+import { hasLineOfSight, isOpaqueTile } from './visibility.js';
+import { nextRandom, pickWeighted } from './rng.js';
+
+/**
+ * What a scroll needs before it can be read
+ */
+export const SCROLL_TARGETS = {
+    NONE: 'none', // Takes effect at once
+    ITEM: 'item', // An inventory slot {slot} or equipment slot {equipSlot}
+    TILE: 'tile' // A tile the player can see {x, y}
+};
+
+/**
+ * Find a scroll definition
+ * @param {string} trueType - True scroll type, e.g. 'fire'
+ * @param {Array} scrolls - Scroll catalogue
+ * @returns {object|null} Scroll definition, or null if unknown
+ */
+export function getScrollDefinition(trueType, scrolls = SCROLL_TYPES) {
+    return scrolls.find(scroll => scroll.trueType === trueType) || null;
+}
+
+/**
+ * Get what an item needs as a target before it can be used
+ * @param {object} item - Item (may be null)
+ * @returns {string} Target kind from SCROLL_TARGETS, NONE for anything but targeted scrolls
+ */
+export function getScrollTarget(item) {
+    if (!item || item.type !== ITEM_TYPES.SCROLL) return SCROLL_TARGETS.NONE;
+    const definition = getScrollDefinition(item.trueType);
+    return definition ? definition.target : SCROLL_TARGETS.NONE;
+}
+
+/**
+ * Roll which scroll spawns on a dungeon level
+ * @param {object} rng - Run RNG (optional, falls back to Math.random)
+ * @param {number} level - Dungeon level
+ * @param {Array} scrolls - Scroll catalogue
+ * @returns {string} True scroll type
+ */
+export function rollScroll(rng, level, scrolls = SCROLL_TYPES) {
+    return pickWeighted(scrolls.filter(scroll => level >= scroll.minLevel), rng).trueType;
+}
+
+/**
+ * Check whether an item can be the target of an item-targeted scroll
+ * @param {object} definition - Scroll definition
+ * @param {object} item - Targeted item (may be null)
+ * @returns {boolean} True if the scroll works on the item
+ */
+export function canTargetItem(definition, item) {
+    if (!item) return false;
+    return !definition.itemTypes || definition.itemTypes.includes(item.type);
+}
+
+/**
+ * Pick a random empty floor tile to teleport to
+ * @param {Array<Array>} grid - Dungeon grid
+ * @param {object} from - Current position {x, y}, never picked
+ * @param {Array} enemies - Enemies on the level, whose tiles are skipped
+ * @param {object} rng - Run RNG (optional, falls back to Math.random)
+ * @returns {{x: number, y: number}|null} Destination, or null if there is nowhere to go
+ */
+export function findTeleportDestination(grid, from, enemies, rng) {
+    const occupied = new Set(enemies.filter(enemy => enemy.isAlive).map(enemy => `${enemy.position.x},${enemy.position.y}`));
+    const candidates = [];
+
+    for (let y = 0; y < grid.length; y++) {
+        for (let x = 0; x < grid[y].length; x++) {
+            if (grid[y][x] !== 'floor' || occupied.has(`${x},${y}`)) continue;
+            if (x === from.x && y === from.y) continue;
+            candidates.push({ x, y });
+        }
+    }
+
+    if (candidates.length === 0) return null;
+    return candidates[Math.floor(nextRandom(rng) * candidates.length)];
+}
+
+/**
+ * Get the tiles magic mapping reveals: every open tile and the walls around
+ * them. Secret doors are wall tiles, so they stay hidden.
+ * @param {Array<Array>} grid - Dungeon grid
+ * @returns {Set<string>} Tile keys "x,y"
+ */
+export function getMagicMapTiles(grid) {
+    const tiles = new Set();
+
+    for (let y = 0; y < grid.length; y++) {
+        for (let x = 0; x < grid[y].length; x++) {
+            if (grid[y][x] === 'wall') continue;
+
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (ny >= 0 && ny < grid.length && nx >= 0 && nx < grid[ny].length) {
+                        tiles.add(`${nx},${ny}`);
+                    }
+                }
+            }
+        }
+    }
+
+    return tiles;
+}
+
+/**
+ * Get the tiles a blast centred on a tile covers. Walls and closed doors
+ * stop the blast.
+ * @param {Array<Array>} grid - Dungeon grid
+ * @param {object} center - Blast centre {x, y}
+ * @param {number} radius - Tiles out from the centre, counting diagonals as one
+ * @returns {Array<{x: number, y: number}>} Covered tiles, row by row
+ */
+export function getBlastArea(grid, center, radius) {
+    const tiles = [];
+
+    for (let y = center.y - radius; y <= center.y + radius; y++) {
+        for (let x = center.x - radius; x <= center.x + radius; x++) {
+            if (y < 0 || y >= grid.length || x < 0 || x >= grid[0].length) continue;
+            if (isOpaqueTile(grid[y][x]) || !hasLineOfSight(grid, center, { x, y })) continue;
+            tiles.push({ x, y });
+        }
+    }
+
+    return tiles;
+}
+
+/**
+ * Check whether a tile can be the target of a tile-targeted scroll
+ * @param {object} state - Game state
+ * @param {object} target - Targeted tile {x, y}
+ * @param {number} range - Furthest the target may be, in tiles
+ * @returns {boolean} True if the player can see the tile and it is in range
+ */
+export function canTargetTile(state, target, range) {
+    if (!target || !Number.isInteger(target.x) || !Number.isInteger(target.y)) return false;
+    const { position } = state.player;
+    return state.visibleTiles.has(`${target.x},${target.y}`) &&
+        distance(position.x, position.y, target.x, target.y) <= range;
+}
+
+/**
+ * Get the tile the player is aiming at: straight ahead along their facing,
+ * stopping at the first enemy, or the last open tile before a wall
+ * @param {Array<Array>} grid - Dungeon grid
+ * @param {object} position - Player position {x, y}
+ * @param {number} rotation - Player rotation in radians
+ * @param {number} range - Furthest tile to aim at
+ * @param {Array} enemies - Enemies on the level
+ * @returns {{x: number, y: number}|null} Aimed tile, or null when facing a wall
+ */
+export function getAimedTile(grid, position, rotation, range, enemies = []) {
+    // Same facing as the rules' target tile: 0 faces -Z, rotation turns counter-clockwise
+    const dx = Math.round(-Math.sin(rotation));
+    const dy = Math.round(-Math.cos(rotation));
+    let aimed = null;
+
+    for (let step = 1; step <= range; step++) {
+        const x = position.x + dx * step;
+        const y = position.y + dy * step;
+        if (y < 0 || y >= grid.length || x < 0 || x >= grid[0].length || isOpaqueTile(grid[y][x])) break;
+
+        aimed = { x, y };
+        if (enemies.some(enemy => enemy.isAlive && enemy.position.x === x && enemy.position.y === y)) break;
+    }
+
+    return aimed;
+}
@@ -0,0 +1,333 @@
+/**
+ * Shops
+ * Shop rooms and their prices. Some levels turn one of their rooms into a
+ * shop with a peaceful shopkeeper and goods laid out on the floor, each
+ * tagged with a price set by its type and the level's depth. Goods picked up
+ * in the shop are unpaid until the player pays the shopkeeper; walking out
+ * with them is theft, and the shopkeeper turns hostile. Potion and scroll
+ * kinds share prices, so a price narrows down what an unknown item could be.
+ * Like scrolls.js, these helpers only work out what happens; the game rules
+ * apply the results to the state.
+ */
+
+import {
+    ITEM_TYPES,
+    ITEM_PRICES,
+    SHOP_PRICING,
+    SHOP_MIN_LEVEL,
+    SHOP_CHANCE,
+    SHOP_STOCK,
+    SHOP_STOCK_TYPES
+} from './constants.js';
+import { SeededRandom, getLevelSeed } from './dungeon-generator.js';
+import { AI_STATES, getAIProfile } from './enemy-ai.js';
+import { APPEARANCE_POOLS, getAppearance, isDiscovered } from './discoveries.js';
+import { getQuantity, describeItem } from './inventory.js';
+import { isEntityAlive } from './entity-manager.js';
+import { pickWeighted } from './rng.js';
+
+// Offset applied to the level seed so placing a shop doesn't replay the
+// level generator's sequence
+const SHOP_STREAM_OFFSET = 0x1B873593;
+
+/**
+ * Get what an item is worth before depth is taken into account
+ * @param {object} item - Item
+ * @param {object} prices - Base price of each item type
+ * @param {object} pricing - Pricing settings {perEnchantment, affix}
+ * @returns {number} Base price of one item
+ */
+export function getBasePrice(item, prices = ITEM_PRICES, pricing = SHOP_PRICING) {
+    const pool = APPEARANCE_POOLS[item.type];
+    if (pool) {
+        const kind = pool.types.find(type => type.trueType === item.trueType);
+        return kind ? kind.price : 0;
+    }
+
+    return (prices[item.type] || 0) +
+        pricing.perEnchantment * (item.enchantment || 0) +
+        (item.affix ? pricing.affix : 0);
+}
+
+/**
+ * Get what a shop on a level charges for one item
+ * @param {object} item - Item
+ * @param {number} level - Dungeon level of the shop
+ * @param {object} pricing - Pricing settings {perLevel}
+ * @returns {number} Price in gold, at least 1
+ */
+export function getItemPrice(item, level, pricing = SHOP_PRICING) {
+    const price = Math.round(getBasePrice(item) * (1 + pricing.perLevel * (level - 1)));
+    return Math.max(1, price);
+}
+
+/**
+ * Get what a shopkeeper on a level pays for an item or a whole stack
+ * @param {object} item - Item
+ * @param {number} level - Dungeon level of the shop
+ * @param {object} pricing - Pricing settings {sellRate}
+ * @returns {number} Offer in gold
+ */
+export function getSellPrice(item, level, pricing = SHOP_PRICING) {
+    return Math.floor(getItemPrice(item, level) * pricing.sellRate) * getQuantity(item);
+}
+
+/**
+ * Get what a price-tagged item or stack costs: its tag is the price of one
+ * @param {object} item - Item with a price tag
+ * @returns {number} Price of the whole stack in gold
+ */
+export function getStackPrice(item) {
+    return item.price * getQuantity(item);
+}
+
+/**
+ * Check whether a shopkeeper will buy an item
+ * @param {object} item - Inventory item (may be null)
+ * @returns {boolean} True for anything but gold and goods not yet paid for
+ */
+export function canSellItem(item) {
+    return Boolean(item && item.type !== ITEM_TYPES.GOLD && !item.unpaid);
+}
+
+/**
+ * List the kinds an unknown potion or scroll could be, going by its price:
+ * every kind with the same base price the player hasn't identified yet
+ * @param {object} item - Item
+ * @param {object} discoveries - Discovery registry (optional)
+ * @returns {Array<string>|null} Possible true types, or null if the price tells nothing
+ */
+export function getPriceHint(item, discoveries = null) {
+    const pool = APPEARANCE_POOLS[item.type];
+    if (!pool || item.identified) return null;
+
+    const price = getBasePrice(item);
+    return pool.types
+        .filter(kind => kind.price === price)
+        .filter(kind => {
+            const appearance = getAppearance(discoveries, item.type, kind.trueType);
+            return kind.trueType === item.trueType || !isDiscovered(discoveries, { type: item.type, appearance });
+        })
+        .map(kind => kind.trueType);
+}
+
+/**
+ * Check whether a position is inside a shop
+ * @param {object} shop - Shop {room, shopkeeperId, level} (may be null)
+ * @param {object} position - Grid position {x, y}
+ * @returns {boolean} True if the position is in the shop room
+ */
+export function isInShop(shop, position) {
+    if (!shop) return false;
+    const { room } = shop;
+    return position.x >= room.x && position.x < room.x + room.width &&
+        position.y >= room.y && position.y < room.y + room.height;
+}
+
+/**
+ * Get the living shopkeeper of the level's shop
+ * @param {object} state - Game state
+ * @returns {object|null} Shopkeeper enemy, or null if there is no shop or the shopkeeper is dead
+ */
+export function getShopkeeper(state) {
+    const shop = state.dungeon.shop;
+    if (!shop) return null;
+    const shopkeeper = state.entities.enemies.find(enemy => enemy.id === shop.shopkeeperId);
+    return shopkeeper && isEntityAlive(shopkeeper) ? shopkeeper : null;
+}
+
+/**
+ * Check whether the player can trade: in the shop, with its shopkeeper alive and peaceful
+ * @param {object} state - Game state
+ * @returns {boolean} True if the shop is open for business
+ */
+export function isShopOpen(state) {
+    const shopkeeper = getShopkeeper(state);
+    return Boolean(shopkeeper && shopkeeper.peaceful && isInShop(state.dungeon.shop, state.player.position));
+}
+
+/**
+ * List the goods in the inventory the player hasn't paid for
+ * @param {Array} inventory - Inventory slots
+ * @returns {Array<{slot: number, item: object, price: number}>} Unpaid goods with the price of the whole stack
+ */
+export function getBill(inventory) {
+    return inventory
+        .map((item, slot) => ({ slot, item }))
+        .filter(({ item }) => item && item.unpaid)
+        .map(({ slot, item }) => ({ slot, item, price: getStackPrice(item) }));
+}
+
+/**
+ * Mark an item as paid for, or as the player's own after a theft
+ * @param {object} item - Item
+ * @returns {object} Item without its price tag
+ */
+export function clearPriceTag(item) {
+    const { price, unpaid, ...owned } = item;
+    return owned;
+}
+
+/**
+ * Find a free floor tile in the shop to lay out an item the shopkeeper bought
+ * @param {object} state - Game state
+ * @returns {object|null} Position {x, y}, or null if the shop floor is full
+ */
+export function findFreeShopTile(state) {
+    const { shop, grid } = state.dungeon;
+    const taken = new Set([
+        ...state.entities.items.map(item => `${item.position.x},${item.position.y}`),
+        ...state.entities.enemies.filter(isEntityAlive).map(enemy => `${enemy.position.x},${enemy.position.y}`)
+    ]);
+
+    for (let y = shop.room.y; y < shop.room.y + shop.room.height; y++) {
+        for (let x = shop.room.x; x < shop.room.x + shop.room.width; x++) {
+            if (grid[y][x] === 'floor' && !taken.has(`${x},${y}`)) {
+                return { x, y };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Turn a shopkeeper on the player
+ * @param {object} shopkeeper - Shopkeeper enemy
+ * @param {object} playerPosition - Where the player is {x, y}
+ * @returns {object} Hostile shopkeeper hunting the player
+ */
+export function angerShopkeeper(shopkeeper, playerPosition) {
+    return {
+        ...shopkeeper,
+        peaceful: false,
+        ai: {
+            ...shopkeeper.ai,
+            state: AI_STATES.HUNT,
+            lastKnownPlayer: { ...playerPosition },
+            memory: getAIProfile(shopkeeper.type).memory
+        }
+    };
+}
+
+/**
+ * Decide whether a level gets a shop, and lay it out: a plain rectangular
+ * room away from the start and the stairs, with the shopkeeper in the middle
+ * and the stock on the floor around them
+ * @param {object} dungeon - Generated dungeon {grid, rooms}
+ * @param {number} seed - Run seed
+ * @param {number} level - Dungeon level
+ * @param {Array} reserved - Positions the shop must not cover, e.g. keys {x, y}
+ * @returns {object|null} Plan {room, shopkeeper: {x, y}, stock: [{itemType, position}]}, or null for no shop
+ */
+export function planShop(dungeon, seed, level, reserved = []) {
+    if (level < SHOP_MIN_LEVEL) return null;
+
+    const rng = new SeededRandom(getLevelSeed(seed, level) ^ SHOP_STREAM_OFFSET);
+    if (rng.next() >= SHOP_CHANCE) return null;
+
+    const { grid, rooms } = dungeon;
+    const isFloor = (x, y) => grid[y]?.[x] === 'floor';
+    const candidates = rooms.slice(1, -1).filter(room => {
+        if (room.width < 4 || room.height < 4) return false;
+        for (let y = room.y; y < room.y + room.height; y++) {
+            for (let x = room.x; x < room.x + room.width; x++) {
+                if (!isFloor(x, y)) return false;
+            }
+        }
+        return !reserved.some(position => isInShop({ room }, position));
+    });
+    if (candidates.length === 0) return null;
+
+    const room = rng.choice(candidates);
+    const shopkeeper = room.center;
+
+    // Shuffle the room's tiles and lay the stock out on the first of them
+    const tiles = [];
+    for (let y = room.y; y < room.y + room.height; y++) {
+        for (let x = room.x; x < room.x + room.width; x++) {
+            if (x !== shopkeeper.x || y !== shopkeeper.y) tiles.push({ x, y });
+        }
+    }
+    for (let i = tiles.length - 1; i > 0; i--) {
+        const j = Math.floor(rng.next() * (i + 1));
+        [tiles[i], tiles[j]] = [tiles[j], tiles[i]];
+    }
+
+    const count = Math.min(tiles.length, rng.nextInt(SHOP_STOCK.min, SHOP_STOCK.max));
+    const stock = tiles.slice(0, count).map(position => ({
+        itemType: pickWeighted(SHOP_STOCK_TYPES, rng).itemType,
+        position
+    }));
+
+    return {
+        room: { x: room.x, y: room.y, width: room.width, height: room.height },
+        shopkeeper: { ...shopkeeper },
+        stock
+    };
+}
+
+/**
+ * Get what the shop panel shows: the bill, the goods on sale and what the
+ * shopkeeper offers for each inventory item
+ * @param {object} state - Game state
+ * @returns {object} View {gold, bill: [{slot, name, quantity, price}], stock: [{id, name, quantity, price, hint}],
+ *     offers: [{slot, name, quantity, price, hint}], each price being for the whole stack
+ */
+export function getShopView(state) {
+    const { shop } = state.dungeon;
+    const hint = item => getPriceHint(item, state.discoveries);
+    const level = shop ? shop.level : state.dungeon.level;
+
+    return {
+        gold: state.player.gold || 0,
+        bill: getBill(state.inventory).map(({ slot, item, price }) => ({
+            slot,
+            name: describeItem(item, state.discoveries),
+            quantity: getQuantity(item),
+            price
+        })),
+        stock: state.entities.items
+            .filter(item => item.price && isInShop(shop, item.position))
+            .map(item => ({
+                id: item.id,
+                name: describeItem(item, state.discoveries),
+                quantity: getQuantity(item),
+                price: getStackPrice(item),
+                hint: hint(item)
+            })),
+        offers: state.inventory
+            .map((item, slot) => ({ slot, item }))
+            .filter(({ item }) => canSellItem(item))
+            .map(({ slot, item }) => ({
+                slot,
+                name: describeItem(item, state.discoveries),
+                quantity: getQuantity(item),
+                price: getSellPrice(item, level),
+                hint: hint(item)
+            }))
+    };
+}
+
+/**
+ * Actions the shop panel offers on its rows
+ */
+export const SHOP_ACTIONS = {
+    PAY: 'pay',
+    BUY: 'buy',
+    SELL: 'sell'
+};
+
+/**
+ * Flatten a shop view into the panel's selectable rows: the bill first, then
+ * the goods on sale, then the offers for the player's own items
+ * @param {object} view - Shop view from getShopView
+ * @returns {Array<{action: string, target: object, name: string, quantity: number, price: number, hint: Array|null}>} Rows;
+ *     target is what buyShopItem takes for paying and buying, {slot} for selling
+ */
+export function getShopRows(view) {
+    return [
+        ...view.bill.map(({ slot, name, quantity, price }) => ({ action: SHOP_ACTIONS.PAY, target: { slot }, name, quantity, price, hint: null })),
+        ...view.stock.map(({ id, name, quantity, price, hint }) => ({ action: SHOP_ACTIONS.BUY, target: { itemId: id }, name, quantity, price, hint })),
+        ...view.offers.map(({ slot, name, quantity, price, hint }) => ({ action: SHOP_ACTIONS.SELL, target: { slot }, name, quantity, price, hint }))
+    ];
+}
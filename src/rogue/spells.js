@@ -0,0 +1,115 @@
+/**
+ * Spells
+ * The spell catalogue and what the player knows of it. Reading a spellbook
+ * teaches its spell for good, and casting a known spell costs mana, which
+ * trickles back as turns pass. Spells either take effect at once or fly along
+ * a line toward an aimed tile the way a projectile does (see ranged.js).
+ * Like scrolls.js, these helpers only work out what happens; the game rules
+ * apply the results to the state.
+ */
+
+import { SPELL_TYPES } from './constants.js';
+import { traceProjectile } from './ranged.js';
+import { pickWeighted } from './rng.js';
+
+/**
+ * What a spell needs before it can be cast
+ */
+export const SPELL_TARGETS = {
+    NONE: 'none',
+    TILE: 'tile'
+};
+
+/**
+ * Look up a spell in the catalogue
+ * @param {string} spell - Spell name (e.g., 'magic missile')
+ * @param {Array} spells - Spell catalogue
+ * @returns {object|null} Spell definition, or null if there is no such spell
+ */
+export function getSpellDefinition(spell, spells = SPELL_TYPES) {
+    return spells.find(definition => definition.spell === spell) || null;
+}
+
+/**
+ * Roll which spell a spellbook found on a level teaches
+ * @param {object} rng - Run RNG
+ * @param {number} level - Dungeon level
+ * @param {Array} spells - Spell catalogue
+ * @returns {string} Spell name
+ */
+export function rollSpellbook(rng, level, spells = SPELL_TYPES) {
+    return pickWeighted(spells.filter(spell => level >= spell.minLevel), rng).spell;
+}
+
+/**
+ * Check whether the player knows a spell
+ * @param {object} player - Player state
+ * @param {string} spell - Spell name
+ * @returns {boolean} True if the player has learned it
+ */
+export function knowsSpell(player, spell) {
+    return (player.spells || []).includes(spell);
+}
+
+/**
+ * Teach the player a spell
+ * @param {object} player - Player state
+ * @param {string} spell - Spell name
+ * @returns {object} Player with the spell added to the ones they know
+ */
+export function learnSpell(player, spell) {
+    if (knowsSpell(player, spell)) return player;
+    return { ...player, spells: [...(player.spells || []), spell] };
+}
+
+/**
+ * Check whether the player can cast a spell now
+ * @param {object} player - Player state
+ * @param {string} spell - Spell name
+ * @param {Array} spells - Spell catalogue
+ * @returns {string|null} Why the spell can't be cast, or null if it can
+ */
+export function getCastProblem(player, spell, spells = SPELL_TYPES) {
+    const definition = getSpellDefinition(spell, spells);
+    if (!definition || !knowsSpell(player, spell)) {
+        return "You don't know that spell";
+    }
+    if ((player.mana || 0) < definition.cost) {
+        return `You need ${definition.cost} mana to cast ${spell}`;
+    }
+    return null;
+}
+
+/**
+ * Find where a blink toward an aimed tile puts the player: the furthest tile
+ * along the line, short of walls and anyone standing in the way
+ * @param {Array<Array>} grid - Dungeon grid
+ * @param {object} from - Player's tile {x, y}
+ * @param {object} target - Aimed tile {x, y}
+ * @param {number} range - Furthest the player can blink, in tiles
+ * @param {Array} enemies - Enemies on the level
+ * @returns {object|null} Destination {x, y}, or null if there is no room to blink
+ */
+export function findBlinkDestination(grid, from, target, range, enemies = []) {
+    const { path, enemy } = traceProjectile(grid, from, target, range, enemies);
+    const open = enemy ? path.slice(0, -1) : path;
+    return open.length > 0 ? { ...open[open.length - 1] } : null;
+}
+
+/**
+ * List the spells the player knows for the casting menu, in the order learned
+ * @param {object} player - Player state
+ * @param {Array} spells - Spell catalogue
+ * @returns {Array<{spell: string, cost: number, target: string, castable: boolean}>} Menu rows
+ */
+export function getSpellMenu(player, spells = SPELL_TYPES) {
+    return (player.spells || [])
+        .map(spell => getSpellDefinition(spell, spells))
+        .filter(Boolean)
+        .map(definition => ({
+            spell: definition.spell,
+            cost: definition.cost,
+            target: definition.target,
+            castable: (player.mana || 0) >= definition.cost
+        }));
+}
@@ -1,6 +1,7 @@
 /**
  * Status Effects System
- * Manages temporary buffs and debuffs on the player
+ * Manages temporary buffs and debuffs on the player, and on enemies hit by
+ * spells such as slow monster
  */
 
 /**
@@ -14,7 +15,9 @@ export const STATUS_TYPES = {
     SKILL: 'skill',
     SIGHT: 'sight',
     ATTRACTION: 'attraction',
-    STONE: 'stone'
+    STONE: 'stone',
+    STUN: 'stun',
+    SLOW: 'slow'
 };
 
 /**
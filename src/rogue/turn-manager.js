@@ -3,9 +3,10 @@
  * Manages turn-based mechanics including action queue and turn advancement
  */
 
-import { MOVEMENT_THRESHOLD, HUNGER_RATE } from './constants.js';
-import { decreaseHunger, incrementTurn, resetAccumulatedMovement } from './game-state.js';
+import { MOVEMENT_THRESHOLD, HUNGER_RATE, MANA_REGEN, MANA_REGEN_INTERVAL } from './constants.js';
+import { decreaseHunger, incrementTurn, resetAccumulatedMovement, restoreMana } from './game-state.js';
 import { hasStatusEffect, STATUS_TYPES } from './status-effects.js';
+import { getEncumbrance } from './encumbrance.js';
 
 /**
  * Create action queue
@@ -40,18 +41,18 @@ export function processNextAction(queue) {
 }
 
 /**
- * Calculate effective movement threshold based on status effects
+ * Calculate effective movement threshold based on status effects and encumbrance
  * @param {Array} statusEffects - Active status effects (can be null/undefined)
  * @param {number} baseThreshold - Base movement threshold
+ * @param {object} encumbrance - Encumbrance level from getEncumbrance (optional)
  * @returns {number} Effective movement threshold
  */
-export function getEffectiveMovementThreshold(statusEffects, baseThreshold = MOVEMENT_THRESHOLD) {
+export function getEffectiveMovementThreshold(statusEffects, baseThreshold = MOVEMENT_THRESHOLD, encumbrance = null) {
     const effects = statusEffects || [];
     // Speed effect doubles the movement threshold (player can move twice as much per turn)
-    if (hasStatusEffect(effects, STATUS_TYPES.SPEED)) {
-        return baseThreshold * 2;
-    }
-    return baseThreshold;
+    const threshold = hasStatusEffect(effects, STATUS_TYPES.SPEED) ? baseThreshold * 2 : baseThreshold;
+    // A heavy load shortens how far the player gets each turn
+    return encumbrance ? threshold * encumbrance.movement : threshold;
 }
 
 /**
@@ -65,7 +66,7 @@ export function shouldAdvanceTurn(accumulatedMovement, threshold = MOVEMENT_THRE
 }
 
 /**
- * Advance turn (decrement hunger, increment turn counter, reset movement)
+ * Advance turn (decrement hunger, regenerate mana, increment turn counter, reset movement)
  * @param {object} state - Current game state
  * @returns {object} New state
  */
@@ -75,8 +76,14 @@ export function advanceTurn(state) {
     // Increment turn counter
     newState = incrementTurn(newState);
     
-    // Decrease hunger
-    newState = decreaseHunger(newState, HUNGER_RATE);
+    // Decrease hunger, faster under a heavy load
+    const encumbrance = getEncumbrance(newState);
+    newState = decreaseHunger(newState, HUNGER_RATE * (encumbrance ? encumbrance.hunger : 1));
+    
+    // Mana trickles back every few turns
+    if (newState.turnCount % MANA_REGEN_INTERVAL === 0) {
+        newState = restoreMana(newState, MANA_REGEN);
+    }
     
     // Reset accumulated movement
     newState = resetAccumulatedMovement(newState);
@@ -107,12 +114,20 @@ export function processEnemyTurns(state) {
     return state;
 }
 
+/**
+ * Get how far the player moves per turn right now, after status effects and encumbrance
+ * @param {object} state - Current game state
+ * @returns {number} Effective movement threshold in meters
+ */
+export function getTurnThreshold(state) {
+    return getEffectiveMovementThreshold(state.player.statusEffects, MOVEMENT_THRESHOLD, getEncumbrance(state));
+}
+
 /**
  * Check if turn should be processed based on accumulated movement
  * @param {object} state - Current game state
  * @returns {boolean} True if turn should be processed
  */
 export function checkTurnAdvancement(state) {
-    const effectiveThreshold = getEffectiveMovementThreshold(state.player.statusEffects);
-    return shouldAdvanceTurn(state.accumulatedMovement, effectiveThreshold);
+    return shouldAdvanceTurn(state.accumulatedMovement, getTurnThreshold(state));
 }
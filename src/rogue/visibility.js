@@ -24,7 +24,89 @@ export function getEffectiveVisibilityRadius(statusEffects, baseRadius = VISIBIL
 }
 
 /**
- * Compute visible tiles from a position using radius-based visibility
+ * Tiles that block line of sight
+ */
+export const OPAQUE_TILES = new Set(['wall', 'door_closed']);
+
+/**
+ * Check if a tile blocks line of sight
+ * @param {string} tile - Tile type
+ * @returns {boolean} True if the tile blocks sight
+ */
+export function isOpaqueTile(tile) {
+    return OPAQUE_TILES.has(tile);
+}
+
+/**
+ * Multipliers [xx, xy, yx, yy] mapping each octant onto the first one
+ */
+const OCTANTS = [
+    [1, 0, 0, 1],
+    [0, 1, 1, 0],
+    [0, -1, 1, 0],
+    [-1, 0, 0, 1],
+    [-1, 0, 0, -1],
+    [0, -1, -1, 0],
+    [0, 1, -1, 0],
+    [1, 0, 0, -1]
+];
+
+/**
+ * Scan one octant row by row, recursing around opaque tiles (recursive shadowcasting)
+ * @param {object} scan - Scan settings {grid, origin, radius, maxRow, octant, visibleTiles}
+ * @param {number} row - Row (distance from the origin) to start at
+ * @param {number} startSlope - Slope of the near edge of the lit area
+ * @param {number} endSlope - Slope of the far edge of the lit area
+ */
+function castLight(scan, row, startSlope, endSlope) {
+    if (startSlope < endSlope) return;
+
+    const { grid, origin, radius, maxRow, octant, visibleTiles } = scan;
+    const [xx, xy, yx, yy] = octant;
+    let nextStartSlope = startSlope;
+
+    for (let i = row; i <= maxRow; i++) {
+        let blocked = false;
+        const dy = -i;
+
+        for (let dx = -i; dx <= 0; dx++) {
+            const leftSlope = (dx - 0.5) / (dy + 0.5);
+            const rightSlope = (dx + 0.5) / (dy - 0.5);
+
+            if (startSlope < rightSlope) continue;
+            if (endSlope > leftSlope) break;
+
+            const x = origin.x + dx * xx + dy * xy;
+            const y = origin.y + dx * yx + dy * yy;
+            const inBounds = y >= 0 && y < grid.length && x >= 0 && x < grid[0].length;
+
+            // Blocking tiles are lit themselves, so walls facing the player show up
+            if (inBounds && distance(origin.x, origin.y, x, y) * TILE_SIZE <= radius) {
+                visibleTiles.add(`${x},${y}`);
+            }
+
+            const opaque = !inBounds || isOpaqueTile(grid[y][x]);
+            if (blocked) {
+                if (opaque) {
+                    nextStartSlope = rightSlope;
+                } else {
+                    blocked = false;
+                    startSlope = nextStartSlope;
+                }
+            } else if (opaque && i < maxRow) {
+                blocked = true;
+                castLight(scan, i + 1, startSlope, leftSlope);
+                nextStartSlope = rightSlope;
+            }
+        }
+
+        if (blocked) break;
+    }
+}
+
+/**
+ * Compute visible tiles from a position: everything within the radius that
+ * has an unobstructed line of sight (walls and closed doors block sight)
  * @param {Array<Array>} grid - 2D grid array
  * @param {object} position - Position {x, y} in grid coordinates
  * @param {number} radius - Visibility radius in meters
@@ -32,30 +114,58 @@ export function getEffectiveVisibilityRadius(statusEffects, baseRadius = VISIBIL
  */
 export function computeVisibleTiles(grid, position, radius = VISIBILITY_RADIUS) {
     const visibleTiles = new Set();
-    const radiusInTiles = Math.ceil(radius / TILE_SIZE);
-    
-    // Use simple radius-based visibility
-    for (let dy = -radiusInTiles; dy <= radiusInTiles; dy++) {
-        for (let dx = -radiusInTiles; dx <= radiusInTiles; dx++) {
-            const x = position.x + dx;
-            const y = position.y + dy;
-            
-            // Check if within grid bounds
-            if (y < 0 || y >= grid.length || x < 0 || x >= grid[0].length) {
-                continue;
-            }
-            
-            // Check if within radius (using actual distance)
-            const dist = distance(position.x, position.y, x, y);
-            if (dist * TILE_SIZE <= radius) {
-                visibleTiles.add(`${x},${y}`);
-            }
-        }
+    const inBounds = position.y >= 0 && position.y < grid.length &&
+        position.x >= 0 && position.x < grid[0].length;
+    if (!inBounds) return visibleTiles;
+
+    visibleTiles.add(`${position.x},${position.y}`);
+
+    const maxRow = Math.ceil(radius / TILE_SIZE);
+    for (const octant of OCTANTS) {
+        castLight({ grid, origin: position, radius, maxRow, octant, visibleTiles }, 1, 1.0, 0.0);
     }
-    
+
     return visibleTiles;
 }
 
+/**
+ * Check whether one tile can see another: no opaque tile may sit on the
+ * line between them (the end tiles themselves don't block)
+ * @param {Array<Array>} grid - 2D grid array
+ * @param {object} from - Viewer position {x, y}
+ * @param {object} to - Target position {x, y}
+ * @returns {boolean} True if the line of sight is clear
+ */
+export function hasLineOfSight(grid, from, to) {
+    const dx = Math.abs(to.x - from.x);
+    const dy = Math.abs(to.y - from.y);
+    const stepX = from.x < to.x ? 1 : -1;
+    const stepY = from.y < to.y ? 1 : -1;
+    let error = dx - dy;
+    let x = from.x;
+    let y = from.y;
+
+    // Walk the Bresenham line between the two tiles
+    while (x !== to.x || y !== to.y) {
+        const doubled = error * 2;
+        if (doubled > -dy) {
+            error -= dy;
+            x += stepX;
+        }
+        if (doubled < dx) {
+            error += dx;
+            y += stepY;
+        }
+
+        if (x === to.x && y === to.y) break;
+        if (y < 0 || y >= grid.length || x < 0 || x >= grid[0].length || isOpaqueTile(grid[y][x])) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
 /**
  * Update explored tiles set with newly visible tiles
  * @param {Set<string>} exploredTiles - Set of explored tile coordinates
@@ -72,6 +182,25 @@ export function updateExploredTiles(exploredTiles, visibleTiles) {
     return newExplored;
 }
 
+/**
+ * Update where the player remembers seeing items: tiles in view are
+ * remembered as they are now, and tiles out of view as they were last seen
+ * @param {Set<string>} rememberedItems - Set of "x,y" tiles the player last saw an item on
+ * @param {Set<string>} visibleTiles - Set of currently visible tile coordinates
+ * @param {Array} items - Items on the level
+ * @returns {Set<string>} Updated remembered item tiles
+ */
+export function updateRememberedItems(rememberedItems, visibleTiles, items) {
+    const remembered = new Set([...rememberedItems].filter(tile => !visibleTiles.has(tile)));
+
+    for (const item of items) {
+        const tile = `${item.position.x},${item.position.y}`;
+        if (visibleTiles.has(tile)) remembered.add(tile);
+    }
+
+    return remembered;
+}
+
 /**
  * Check if a tile is visible
  * @param {Set<string>} visibleTiles - Set of visible tile coordinates
@@ -0,0 +1,329 @@
+/**
+ * VR Panels
+ * Lays out the world-space panels shown in the headset, where the desktop's
+ * DOM overlays can't be seen: a stat panel on the wrist, an inventory tablet
+ * whose a-z slots are picked with a laser pointer, tooltips for identified
+ * items and a message log. Layouts are plain lists of rectangles and text
+ * runs in canvas pixels, measured with an injected text measurer, so they
+ * can be checked headlessly; drawPanel paints them onto a 2D canvas context
+ * and the game controller maps the canvases onto planes in the scene.
+ */
+
+import { VR_PANELS, VR_PANEL_TEXT, ITEM_TYPES } from './constants.js';
+import { getHPColor, getHungerColor, getEncumbranceColor } from './render-utils.js';
+import { describeItem, getQuantity } from './inventory.js';
+import { getItemBonuses } from './equipment.js';
+import { isCursed } from './item-properties.js';
+import { getItemWeight } from './encumbrance.js';
+
+/**
+ * Labels for the stat bonuses shown in tooltips, as in the equipment panel
+ */
+const BONUS_LABELS = {
+    ac: 'AC',
+    attackBonus: 'Hit',
+    damageBonus: 'Dmg',
+    sightBonus: 'Sight',
+    regen: 'Regen'
+};
+
+/**
+ * Format a number with its sign
+ * @param {number} value - Number
+ * @returns {string} e.g. "+2" or "-1"
+ */
+function signed(value) {
+    return value > 0 ? `+${value}` : `${value}`;
+}
+
+/**
+ * Shorten text to fit a width, ending it with an ellipsis if anything was cut
+ * @param {string} text - Text
+ * @param {number} maxWidth - Widest the text may be, in pixels
+ * @param {Function} measure - Gives the width of a string in pixels
+ * @returns {string} Text that fits
+ */
+export function fitText(text, maxWidth, measure) {
+    if (measure(text) <= maxWidth) return text;
+
+    let end = text.length;
+    while (end > 0 && measure(`${text.slice(0, end)}…`) > maxWidth) {
+        end--;
+    }
+    return `${text.slice(0, end)}…`;
+}
+
+/**
+ * Break text into lines no wider than a width, between words where it can.
+ * A word too long for a line on its own is shortened to fit.
+ * @param {string} text - Text
+ * @param {number} maxWidth - Widest a line may be, in pixels
+ * @param {Function} measure - Gives the width of a string in pixels
+ * @returns {Array<string>} Lines
+ */
+export function wrapText(text, maxWidth, measure) {
+    const lines = [];
+    let line = '';
+
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        const joined = line ? `${line} ${word}` : word;
+        if (measure(joined) <= maxWidth) {
+            line = joined;
+        } else {
+            if (line) lines.push(line);
+            line = fitText(word, maxWidth, measure);
+        }
+    }
+    if (line) lines.push(line);
+
+    return lines;
+}
+
+/**
+ * Lay out a labelled bar filled to a fraction
+ * @param {number} y - Top of the row in pixels
+ * @param {string} label - Text before the bar, e.g. "HP 15/20"
+ * @param {number} fraction - How full the bar is (clamped to 0-1)
+ * @param {string} color - Fill color
+ * @param {object} panel - Panel size {width}
+ * @param {object} text - Text settings {lineHeight, padding}
+ * @returns {Array<object>} Elements
+ */
+function layoutBar(y, label, fraction, color, panel, text) {
+    const x = panel.width / 2;
+    const width = panel.width - text.padding - x;
+    const height = text.lineHeight - 8;
+    const fill = Math.round(Math.min(1, Math.max(0, fraction)) * width);
+
+    return [
+        { type: 'text', x: text.padding, y, text: label, color },
+        { type: 'rect', x, y: y + 4, width, height, color: '#333333' },
+        { type: 'rect', x, y: y + 4, width: fill, height, color }
+    ];
+}
+
+/**
+ * Lay out the wrist panel: bars for health, mana and food, then the level,
+ * dungeon depth, turn, gold and any encumbrance
+ * @param {object} stats - Stats to show {hp, maxHp, mana, maxMana, hunger, maxHunger,
+ *     level, depth, turn, gold, encumbrance}
+ * @param {object} panel - Panel size {width, height}
+ * @param {object} text - Text settings {lineHeight, padding}
+ * @returns {Array<object>} Elements to draw
+ */
+export function layoutWristPanel(stats, panel = VR_PANELS.wrist, text = VR_PANEL_TEXT) {
+    const elements = [];
+    let y = text.padding;
+
+    /**
+     * Add a row of elements and move down a line
+     * @param {Array<object>} row - Elements on the row
+     */
+    function addRow(row) {
+        elements.push(...row);
+        y += text.lineHeight;
+    }
+
+    addRow(layoutBar(y, `HP ${stats.hp}/${stats.maxHp}`, stats.hp / stats.maxHp, getHPColor(stats.hp / stats.maxHp), panel, text));
+    if (stats.maxMana > 0) {
+        addRow(layoutBar(y, `MP ${stats.mana}/${stats.maxMana}`, stats.mana / stats.maxMana, '#6495ed', panel, text));
+    }
+    const food = stats.hunger / stats.maxHunger;
+    addRow(layoutBar(y, `Food ${stats.hunger}`, food, getHungerColor(food), panel, text));
+
+    addRow([{ type: 'text', x: text.padding, y, text: `Level ${stats.level}  Depth ${stats.depth}`, color: '#00ff00' }]);
+    addRow([{ type: 'text', x: text.padding, y, text: `Turn ${stats.turn}  Gold ${stats.gold}`, color: '#ffd700' }]);
+    if (stats.encumbrance) {
+        addRow([{ type: 'text', x: text.padding, y, text: stats.encumbrance, color: getEncumbranceColor(stats.encumbrance) }]);
+    }
+
+    return elements;
+}
+
+/**
+ * Lay out the inventory tablet: a title over the a-z slots in columns, the
+ * selected slot highlighted and the slot pointed at outlined
+ * @param {object} view - What to show {title, items, selected, pointed}: items are display
+ *     strings as from getInventoryDisplay, selected and pointed are slot indexes or -1
+ * @param {Function} measure - Gives the width of a string in pixels
+ * @param {object} panel - Panel size {width, height, columns, rows}
+ * @param {object} text - Text settings {lineHeight, padding}
+ * @returns {{elements: Array<object>, slots: Array<object>}} Elements to draw and each
+ *     slot's rectangle {index, x, y, width, height} for pointing at
+ */
+export function layoutInventoryTablet(view, measure, panel = VR_PANELS.tablet, text = VR_PANEL_TEXT) {
+    const elements = [
+        { type: 'text', x: text.padding, y: text.padding, text: fitText(view.title, panel.width - 2 * text.padding, measure), color: '#ffd700' }
+    ];
+
+    const top = text.padding + text.lineHeight + text.padding;
+    const width = (panel.width - text.padding) / panel.columns - text.padding;
+    const height = (panel.height - top - text.padding) / panel.rows;
+
+    // Slots run down each column in turn, so they read in letter order
+    const slots = view.items.slice(0, panel.columns * panel.rows).map((item, index) => {
+        const slot = {
+            index,
+            x: text.padding + Math.floor(index / panel.rows) * (width + text.padding),
+            y: top + (index % panel.rows) * height,
+            width,
+            height
+        };
+        const selected = index === view.selected;
+        const empty = item.endsWith(') empty');
+
+        if (selected) {
+            elements.push({ type: 'rect', ...slot, color: '#225522' });
+        }
+        if (index === view.pointed) {
+            elements.push({ type: 'outline', ...slot, color: '#ffffff' });
+        }
+        elements.push({
+            type: 'text',
+            x: slot.x + text.padding / 2,
+            y: slot.y + (height - text.lineHeight) / 2 + 4,
+            text: fitText(item, width - text.padding, measure),
+            color: empty ? '#666666' : selected ? '#ffffff' : '#00ff00'
+        });
+
+        return slot;
+    });
+
+    return { elements, slots };
+}
+
+/**
+ * Convert a point on a panel's plane, as given by a raycast hit's uv, to
+ * canvas pixels
+ * @param {object} uv - Texture coordinates {x, y}, with y up as in Three.js
+ * @param {object} panel - Panel size {width, height}
+ * @returns {{x: number, y: number}} Canvas point, with y down
+ */
+export function uvToPanelPoint(uv, panel) {
+    return { x: uv.x * panel.width, y: (1 - uv.y) * panel.height };
+}
+
+/**
+ * Find the slot under a point on the tablet
+ * @param {Array<object>} slots - Slot rectangles, as from layoutInventoryTablet
+ * @param {object} point - Canvas point {x, y}
+ * @returns {number} Index of the slot, or -1 if the point is between slots
+ */
+export function getSlotAtPoint(slots, point) {
+    const slot = slots.find(s =>
+        point.x >= s.x && point.x < s.x + s.width && point.y >= s.y && point.y < s.y + s.height
+    );
+    return slot ? slot.index : -1;
+}
+
+/**
+ * Get the tooltip lines for an item: its name, then what it does, what it
+ * weighs and any curse the player knows of. Only identified items have a
+ * tooltip; anything more about unidentified ones would give them away.
+ * @param {object|null} item - Inventory item
+ * @param {object} discoveries - Discovery registry, for names the player has called items (optional)
+ * @returns {Array<{text: string, color: string}>|null} Lines with colors, or null
+ */
+export function getItemTooltip(item, discoveries = null) {
+    if (!item || !item.identified) return null;
+
+    const quantity = getQuantity(item);
+    const lines = [{ text: `${describeItem(item, discoveries)}${quantity > 1 ? ` x${quantity}` : ''}`, color: '#ffd700' }];
+
+    if (item.damage) {
+        const bonus = item.bonus ? signed(item.bonus) : '';
+        lines.push({ text: `Damage ${item.damage[0]}d${item.damage[1]}${bonus}`, color: '#ffffff' });
+    }
+    if (item.type === ITEM_TYPES.WEAPON && item.ammo) {
+        lines.push({ text: `Fires ${item.ammo}, range ${item.range}`, color: '#ffffff' });
+    }
+    if ([ITEM_TYPES.WEAPON, ITEM_TYPES.ARMOR, ITEM_TYPES.RING, ITEM_TYPES.AMULET].includes(item.type)) {
+        const bonuses = Object.entries(getItemBonuses(item))
+            .filter(([, value]) => value !== 0)
+            .map(([stat, value]) => `${BONUS_LABELS[stat]} ${signed(value)}`);
+        if (bonuses.length > 0) {
+            lines.push({ text: bonuses.join('  '), color: '#00ffff' });
+        }
+    }
+    if (item.type === ITEM_TYPES.FOOD) {
+        lines.push({ text: `Restores ${item.hungerRestore} food`, color: '#ffffff' });
+    }
+    if (item.type === ITEM_TYPES.SPELLBOOK) {
+        lines.push({ text: `Teaches ${item.spell}`, color: '#9370db' });
+    }
+    if (isCursed(item)) {
+        lines.push({ text: 'Cursed', color: '#ff0000' });
+    }
+    if (item.unpaid) {
+        lines.push({ text: `Unpaid, ${item.price * quantity} gold`, color: '#ffaa00' });
+    }
+    lines.push({ text: `Weight ${getItemWeight(item)}`, color: '#888888' });
+
+    return lines;
+}
+
+/**
+ * Lay out a tooltip, wrapping its lines to the panel
+ * @param {Array<{text: string, color: string}>} lines - Lines, as from getItemTooltip
+ * @param {Function} measure - Gives the width of a string in pixels
+ * @param {object} panel - Panel size {width, height}
+ * @param {object} text - Text settings {lineHeight, padding}
+ * @returns {Array<object>} Elements to draw, cut off at the bottom of the panel
+ */
+export function layoutTooltip(lines, measure, panel = VR_PANELS.tooltip, text = VR_PANEL_TEXT) {
+    const maxLines = Math.floor((panel.height - 2 * text.padding) / text.lineHeight);
+    return lines
+        .flatMap(line => wrapText(line.text, panel.width - 2 * text.padding, measure).map(part => ({ text: part, color: line.color })))
+        .slice(0, maxLines)
+        .map((line, index) => ({ type: 'text', x: text.padding, y: text.padding + index * text.lineHeight, ...line }));
+}
+
+/**
+ * Lay out the message log: the latest messages, wrapped to the panel, with
+ * the newest at the bottom and brighter than the rest
+ * @param {Array<string>} messages - Messages oldest first, as from getActionLog
+ * @param {Function} measure - Gives the width of a string in pixels
+ * @param {object} panel - Panel size {width, height}
+ * @param {object} text - Text settings {lineHeight, padding}
+ * @returns {Array<object>} Elements to draw
+ */
+export function layoutMessageLog(messages, measure, panel = VR_PANELS.log, text = VR_PANEL_TEXT) {
+    const maxLines = Math.floor((panel.height - 2 * text.padding) / text.lineHeight);
+    const lines = messages.flatMap((message, index) => {
+        const color = index === messages.length - 1 ? '#ffffff' : '#aaaaaa';
+        return wrapText(message, panel.width - 2 * text.padding, measure).map(part => ({ text: part, color }));
+    });
+
+    return lines
+        .slice(-maxLines)
+        .map((line, index) => ({ type: 'text', x: text.padding, y: text.padding + index * text.lineHeight, ...line }));
+}
+
+/**
+ * Paint a panel's elements onto a canvas over a plain background
+ * @param {object} ctx - 2D canvas context
+ * @param {Array<object>} elements - Elements from one of the layouts
+ * @param {object} panel - Panel size {width, height}
+ * @param {object} text - Text settings {font, background}
+ */
+export function drawPanel(ctx, elements, panel, text = VR_PANEL_TEXT) {
+    ctx.fillStyle = text.background;
+    ctx.fillRect(0, 0, panel.width, panel.height);
+    ctx.font = text.font;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.lineWidth = 3;
+
+    for (const element of elements) {
+        if (element.type === 'rect') {
+            ctx.fillStyle = element.color;
+            ctx.fillRect(element.x, element.y, element.width, element.height);
+        } else if (element.type === 'outline') {
+            ctx.strokeStyle = element.color;
+            ctx.strokeRect(element.x, element.y, element.width, element.height);
+        } else {
+            ctx.fillStyle = element.color;
+            ctx.fillText(element.text, element.x, element.y);
+        }
+    }
+}
@@ -0,0 +1,346 @@
+/**
+ * Hand joint poses for the gesture recognizer tests, in the WebXR XRHand joint
+ * layout: world positions in meters for a player standing at the origin
+ * facing -Z, hands held out in front at about waist height
+ */
+
+/**
+ * Right hand held out flat, palm down
+ */
+export const rightOpen = {
+    'wrist': { x: 0.2, y: 1.05, z: -0.3 },
+    'thumb-metacarpal': { x: 0.178, y: 1.0393, z: -0.3131 },
+    'thumb-phalanx-proximal': { x: 0.158, y: 1.0379, z: -0.3394 },
+    'thumb-phalanx-distal': { x: 0.1437, y: 1.0388, z: -0.3598 },
+    'thumb-tip': { x: 0.132, y: 1.0396, z: -0.3764 },
+    'index-finger-metacarpal': { x: 0.188, y: 1.052, z: -0.3199 },
+    'index-finger-phalanx-proximal': { x: 0.176, y: 1.0612, z: -0.3913 },
+    'index-finger-phalanx-intermediate': { x: 0.1692, y: 1.059, z: -0.4327 },
+    'index-finger-phalanx-distal': { x: 0.1652, y: 1.054, z: -0.4569 },
+    'index-finger-tip': { x: 0.1621, y: 1.0478, z: -0.4767 },
+    'middle-finger-metacarpal': { x: 0.2, y: 1.052, z: -0.3199 },
+    'middle-finger-phalanx-proximal': { x: 0.196, y: 1.0616, z: -0.3953 },
+    'middle-finger-phalanx-intermediate': { x: 0.1936, y: 1.0593, z: -0.4412 },
+    'middle-finger-phalanx-distal': { x: 0.1922, y: 1.0537, z: -0.4686 },
+    'middle-finger-tip': { x: 0.1911, y: 1.0472, z: -0.4896 },
+    'ring-finger-metacarpal': { x: 0.212, y: 1.0518, z: -0.3179 },
+    'ring-finger-phalanx-proximal': { x: 0.214, y: 1.0599, z: -0.3885 },
+    'ring-finger-phalanx-intermediate': { x: 0.2152, y: 1.0577, z: -0.4314 },
+    'ring-finger-phalanx-distal': { x: 0.2159, y: 1.0526, z: -0.4569 },
+    'ring-finger-tip': { x: 0.2164, y: 1.0464, z: -0.4769 },
+    'pinky-finger-metacarpal': { x: 0.222, y: 1.0495, z: -0.3151 },
+    'pinky-finger-phalanx-proximal': { x: 0.233, y: 1.0569, z: -0.3787 },
+    'pinky-finger-phalanx-intermediate': { x: 0.2387, y: 1.0551, z: -0.4122 },
+    'pinky-finger-phalanx-distal': { x: 0.2418, y: 1.0513, z: -0.4305 },
+    'pinky-finger-tip': { x: 0.2446, y: 1.046, z: -0.4475 }
+};
+
+/**
+ * Right thumb and index tips pressed together
+ */
+export const rightPinch = {
+    'wrist': { x: 0.18, y: 1.1, z: -0.32 },
+    'thumb-metacarpal': { x: 0.1556, y: 1.0906, z: -0.3295 },
+    'thumb-phalanx-proximal': { x: 0.1308, y: 1.0919, z: -0.3513 },
+    'thumb-phalanx-distal': { x: 0.1215, y: 1.074, z: -0.4085 },
+    'thumb-tip': { x: 0.114, y: 1.0594, z: -0.4554 },
+    'index-finger-metacarpal': { x: 0.1643, y: 1.104, z: -0.3368 },
+    'index-finger-phalanx-proximal': { x: 0.1386, y: 1.1202, z: -0.4032 },
+    'index-finger-phalanx-intermediate': { x: 0.1251, y: 1.1057, z: -0.4402 },
+    'index-finger-phalanx-distal': { x: 0.1206, y: 1.0854, z: -0.454 },
+    'index-finger-tip': { x: 0.1193, y: 1.0651, z: -0.4595 },
+    'middle-finger-metacarpal': { x: 0.1761, y: 1.104, z: -0.3392 },
+    'middle-finger-phalanx-proximal': { x: 0.1575, y: 1.121, z: -0.411 },
+    'middle-finger-phalanx-intermediate': { x: 0.146, y: 1.1233, z: -0.4555 },
+    'middle-finger-phalanx-distal': { x: 0.1391, y: 1.1205, z: -0.4825 },
+    'middle-finger-tip': { x: 0.1338, y: 1.1161, z: -0.5034 },
+    'ring-finger-metacarpal': { x: 0.1883, y: 1.1036, z: -0.3397 },
+    'ring-finger-phalanx-proximal': { x: 0.1764, y: 1.1187, z: -0.4081 },
+    'ring-finger-phalanx-intermediate': { x: 0.1691, y: 1.1144, z: -0.4502 },
+    'ring-finger-phalanx-distal': { x: 0.1649, y: 1.1042, z: -0.4738 },
+    'ring-finger-tip': { x: 0.1619, y: 1.0924, z: -0.4909 },
+    'pinky-finger-metacarpal': { x: 0.1986, y: 1.101, z: -0.3392 },
+    'pinky-finger-phalanx-proximal': { x: 0.1969, y: 1.1147, z: -0.4026 },
+    'pinky-finger-phalanx-intermediate': { x: 0.1956, y: 1.1095, z: -0.4362 },
+    'pinky-finger-phalanx-distal': { x: 0.1948, y: 1.1004, z: -0.4528 },
+    'pinky-finger-tip': { x: 0.1939, y: 1.0888, z: -0.4666 }
+};
+
+/**
+ * Right thumb and index tips just parted after a pinch
+ */
+export const rightPinchLoose = {
+    'wrist': { x: 0.18, y: 1.1, z: -0.32 },
+    'thumb-metacarpal': { x: 0.1556, y: 1.0906, z: -0.3295 },
+    'thumb-phalanx-proximal': { x: 0.1308, y: 1.0919, z: -0.3513 },
+    'thumb-phalanx-distal': { x: 0.1141, y: 1.0666, z: -0.4063 },
+    'thumb-tip': { x: 0.1005, y: 1.0459, z: -0.4513 },
+    'index-finger-metacarpal': { x: 0.1643, y: 1.104, z: -0.3368 },
+    'index-finger-phalanx-proximal': { x: 0.1386, y: 1.1202, z: -0.4032 },
+    'index-finger-phalanx-intermediate': { x: 0.1251, y: 1.1057, z: -0.4402 },
+    'index-finger-phalanx-distal': { x: 0.1206, y: 1.0854, z: -0.454 },
+    'index-finger-tip': { x: 0.1193, y: 1.0651, z: -0.4595 },
+    'middle-finger-metacarpal': { x: 0.1761, y: 1.104, z: -0.3392 },
+    'middle-finger-phalanx-proximal': { x: 0.1575, y: 1.121, z: -0.411 },
+    'middle-finger-phalanx-intermediate': { x: 0.146, y: 1.1233, z: -0.4555 },
+    'middle-finger-phalanx-distal': { x: 0.1391, y: 1.1205, z: -0.4825 },
+    'middle-finger-tip': { x: 0.1338, y: 1.1161, z: -0.5034 },
+    'ring-finger-metacarpal': { x: 0.1883, y: 1.1036, z: -0.3397 },
+    'ring-finger-phalanx-proximal': { x: 0.1764, y: 1.1187, z: -0.4081 },
+    'ring-finger-phalanx-intermediate': { x: 0.1691, y: 1.1144, z: -0.4502 },
+    'ring-finger-phalanx-distal': { x: 0.1649, y: 1.1042, z: -0.4738 },
+    'ring-finger-tip': { x: 0.1619, y: 1.0924, z: -0.4909 },
+    'pinky-finger-metacarpal': { x: 0.1986, y: 1.101, z: -0.3392 },
+    'pinky-finger-phalanx-proximal': { x: 0.1969, y: 1.1147, z: -0.4026 },
+    'pinky-finger-phalanx-intermediate': { x: 0.1956, y: 1.1095, z: -0.4362 },
+    'pinky-finger-phalanx-distal': { x: 0.1948, y: 1.1004, z: -0.4528 },
+    'pinky-finger-tip': { x: 0.1939, y: 1.0888, z: -0.4666 }
+};
+
+/**
+ * Right hand turned over, palm up
+ */
+export const rightPalmUp = {
+    'wrist': { x: 0.2, y: 1.0, z: -0.28 },
+    'thumb-metacarpal': { x: 0.2243, y: 1.0062, z: -0.292 },
+    'thumb-phalanx-proximal': { x: 0.2447, y: 1.0051, z: -0.318 },
+    'thumb-phalanx-distal': { x: 0.2588, y: 1.0026, z: -0.3384 },
+    'thumb-tip': { x: 0.2703, y: 1.0005, z: -0.355 },
+    'index-finger-metacarpal': { x: 0.2116, y: 0.997, z: -0.3 },
+    'index-finger-phalanx-proximal': { x: 0.2227, y: 0.9921, z: -0.372 },
+    'index-finger-phalanx-intermediate': { x: 0.2309, y: 0.9965, z: -0.413 },
+    'index-finger-phalanx-distal': { x: 0.2366, y: 1.0027, z: -0.4365 },
+    'index-finger-tip': { x: 0.2417, y: 1.0098, z: -0.4556 },
+    'middle-finger-metacarpal': { x: 0.2, y: 1.0, z: -0.3 },
+    'middle-finger-phalanx-proximal': { x: 0.2034, y: 0.9971, z: -0.376 },
+    'middle-finger-phalanx-intermediate': { x: 0.2074, y: 1.0031, z: -0.4214 },
+    'middle-finger-phalanx-distal': { x: 0.2108, y: 1.0108, z: -0.4481 },
+    'middle-finger-tip': { x: 0.214, y: 1.0188, z: -0.4684 },
+    'ring-finger-metacarpal': { x: 0.1884, y: 1.003, z: -0.298 },
+    'ring-finger-phalanx-proximal': { x: 0.1862, y: 1.0025, z: -0.369 },
+    'ring-finger-phalanx-intermediate': { x: 0.1866, y: 1.009, z: -0.4115 },
+    'ring-finger-phalanx-distal': { x: 0.1879, y: 1.0167, z: -0.4363 },
+    'ring-finger-tip': { x: 0.1894, y: 1.0247, z: -0.4557 },
+    'pinky-finger-metacarpal': { x: 0.1792, y: 1.0074, z: -0.295 },
+    'pinky-finger-phalanx-proximal': { x: 0.1683, y: 1.0092, z: -0.359 },
+    'pinky-finger-phalanx-intermediate': { x: 0.164, y: 1.0155, z: -0.3921 },
+    'pinky-finger-phalanx-distal': { x: 0.1625, y: 1.0217, z: -0.41 },
+    'pinky-finger-tip': { x: 0.1615, y: 1.0292, z: -0.4264 }
+};
+
+/**
+ * Right index finger pointing ahead and to the left, other fingers curled
+ */
+export const rightPoint = {
+    'wrist': { x: 0.22, y: 1.15, z: -0.35 },
+    'thumb-metacarpal': { x: 0.1949, y: 1.138, z: -0.3494 },
+    'thumb-phalanx-proximal': { x: 0.1646, y: 1.134, z: -0.3619 },
+    'thumb-phalanx-distal': { x: 0.1701, y: 1.1235, z: -0.3854 },
+    'thumb-tip': { x: 0.1746, y: 1.115, z: -0.4046 },
+    'index-finger-metacarpal': { x: 0.1996, y: 1.15, z: -0.3613 },
+    'index-finger-phalanx-proximal': { x: 0.1532, y: 1.152, z: -0.4177 },
+    'index-finger-phalanx-intermediate': { x: 0.1266, y: 1.1499, z: -0.4501 },
+    'index-finger-phalanx-distal': { x: 0.1107, y: 1.1474, z: -0.4693 },
+    'index-finger-tip': { x: 0.0975, y: 1.1447, z: -0.4853 },
+    'middle-finger-metacarpal': { x: 0.21, y: 1.15, z: -0.3673 },
+    'middle-finger-phalanx-proximal': { x: 0.1685, y: 1.152, z: -0.4311 },
+    'middle-finger-phalanx-intermediate': { x: 0.1655, y: 1.1063, z: -0.4358 },
+    'middle-finger-phalanx-distal': { x: 0.1805, y: 1.101, z: -0.4127 },
+    'middle-finger-tip': { x: 0.1888, y: 1.1169, z: -0.4 },
+    'ring-finger-metacarpal': { x: 0.2214, y: 1.15, z: -0.3716 },
+    'ring-finger-phalanx-proximal': { x: 0.1876, y: 1.151, z: -0.4341 },
+    'ring-finger-phalanx-intermediate': { x: 0.1852, y: 1.1083, z: -0.4386 },
+    'ring-finger-phalanx-distal': { x: 0.1973, y: 1.1034, z: -0.4162 },
+    'ring-finger-tip': { x: 0.2042, y: 1.1185, z: -0.4034 },
+    'pinky-finger-metacarpal': { x: 0.2316, y: 1.148, z: -0.374 },
+    'pinky-finger-phalanx-proximal': { x: 0.2091, y: 1.149, z: -0.4349 },
+    'pinky-finger-phalanx-intermediate': { x: 0.2077, y: 1.1152, z: -0.4388 },
+    'pinky-finger-phalanx-distal': { x: 0.2141, y: 1.1116, z: -0.4213 },
+    'pinky-finger-tip': { x: 0.2184, y: 1.1246, z: -0.4096 }
+};
+
+/**
+ * Right index finger pointing at the floor
+ */
+export const rightPointDown = {
+    'wrist': { x: 0.22, y: 1.15, z: -0.35 },
+    'thumb-metacarpal': { x: 0.198, y: 1.1352, z: -0.3416 },
+    'thumb-phalanx-proximal': { x: 0.178, y: 1.1091, z: -0.3447 },
+    'thumb-phalanx-distal': { x: 0.1945, y: 1.0894, z: -0.3394 },
+    'thumb-tip': { x: 0.208, y: 1.0732, z: -0.335 },
+    'index-finger-metacarpal': { x: 0.208, y: 1.1307, z: -0.3553 },
+    'index-finger-phalanx-proximal': { x: 0.196, y: 1.0619, z: -0.3765 },
+    'index-finger-phalanx-intermediate': { x: 0.1891, y: 1.0215, z: -0.3856 },
+    'index-finger-phalanx-distal': { x: 0.185, y: 0.9971, z: -0.3897 },
+    'index-finger-tip': { x: 0.1816, y: 0.9766, z: -0.3926 },
+    'middle-finger-metacarpal': { x: 0.22, y: 1.1307, z: -0.3553 },
+    'middle-finger-phalanx-proximal': { x: 0.216, y: 1.058, z: -0.3776 },
+    'middle-finger-phalanx-intermediate': { x: 0.2157, y: 1.0405, z: -0.3351 },
+    'middle-finger-phalanx-distal': { x: 0.2172, y: 1.0655, z: -0.3226 },
+    'middle-finger-tip': { x: 0.218, y: 1.0844, z: -0.3339 },
+    'ring-finger-metacarpal': { x: 0.232, y: 1.1327, z: -0.3548 },
+    'ring-finger-phalanx-proximal': { x: 0.234, y: 1.0645, z: -0.3748 },
+    'ring-finger-phalanx-intermediate': { x: 0.2341, y: 1.0481, z: -0.335 },
+    'ring-finger-phalanx-distal': { x: 0.2334, y: 1.0714, z: -0.3234 },
+    'ring-finger-tip': { x: 0.233, y: 1.0894, z: -0.3342 },
+    'pinky-finger-metacarpal': { x: 0.242, y: 1.135, z: -0.3521 },
+    'pinky-finger-phalanx-proximal': { x: 0.253, y: 1.0736, z: -0.3702 },
+    'pinky-finger-phalanx-intermediate': { x: 0.2537, y: 1.0607, z: -0.3387 },
+    'pinky-finger-phalanx-distal': { x: 0.2505, y: 1.0774, z: -0.3303 },
+    'pinky-finger-tip': { x: 0.2484, y: 1.0927, z: -0.3396 }
+};
+
+/**
+ * Right hand closed in a fist, thumb across the fingers
+ */
+export const rightFist = {
+    'wrist': { x: 0.2, y: 1.0, z: -0.3 },
+    'thumb-metacarpal': { x: 0.178, y: 0.988, z: -0.312 },
+    'thumb-phalanx-proximal': { x: 0.158, y: 0.984, z: -0.338 },
+    'thumb-phalanx-distal': { x: 0.1921, y: 0.9626, z: -0.3418 },
+    'thumb-tip': { x: 0.22, y: 0.945, z: -0.345 },
+    'index-finger-metacarpal': { x: 0.188, y: 1.0, z: -0.32 },
+    'index-finger-phalanx-proximal': { x: 0.176, y: 1.002, z: -0.392 },
+    'index-finger-phalanx-intermediate': { x: 0.1752, y: 0.9603, z: -0.397 },
+    'index-finger-phalanx-distal': { x: 0.1792, y: 0.9555, z: -0.3728 },
+    'index-finger-tip': { x: 0.1816, y: 0.9707, z: -0.3585 },
+    'middle-finger-metacarpal': { x: 0.2, y: 1.0, z: -0.32 },
+    'middle-finger-phalanx-proximal': { x: 0.196, y: 1.002, z: -0.396 },
+    'middle-finger-phalanx-intermediate': { x: 0.1957, y: 0.9563, z: -0.4015 },
+    'middle-finger-phalanx-distal': { x: 0.1972, y: 0.951, z: -0.3741 },
+    'middle-finger-tip': { x: 0.198, y: 0.9669, z: -0.3589 },
+    'ring-finger-metacarpal': { x: 0.212, y: 1.0, z: -0.318 },
+    'ring-finger-phalanx-proximal': { x: 0.214, y: 1.001, z: -0.389 },
+    'ring-finger-phalanx-intermediate': { x: 0.2141, y: 0.9583, z: -0.3942 },
+    'ring-finger-phalanx-distal': { x: 0.2134, y: 0.9534, z: -0.3687 },
+    'ring-finger-tip': { x: 0.213, y: 0.9685, z: -0.3542 },
+    'pinky-finger-metacarpal': { x: 0.222, y: 0.998, z: -0.315 },
+    'pinky-finger-phalanx-proximal': { x: 0.233, y: 0.999, z: -0.379 },
+    'pinky-finger-phalanx-intermediate': { x: 0.2337, y: 0.9652, z: -0.383 },
+    'pinky-finger-phalanx-distal': { x: 0.2305, y: 0.9616, z: -0.3647 },
+    'pinky-finger-tip': { x: 0.2284, y: 0.9746, z: -0.3524 }
+};
+
+/**
+ * Left hand held out flat, palm down
+ */
+export const leftOpen = {
+    'wrist': { x: -0.2, y: 1.05, z: -0.3 },
+    'thumb-metacarpal': { x: -0.178, y: 1.0393, z: -0.3131 },
+    'thumb-phalanx-proximal': { x: -0.158, y: 1.0379, z: -0.3394 },
+    'thumb-phalanx-distal': { x: -0.1437, y: 1.0388, z: -0.3598 },
+    'thumb-tip': { x: -0.132, y: 1.0396, z: -0.3764 },
+    'index-finger-metacarpal': { x: -0.188, y: 1.052, z: -0.3199 },
+    'index-finger-phalanx-proximal': { x: -0.176, y: 1.0612, z: -0.3913 },
+    'index-finger-phalanx-intermediate': { x: -0.1692, y: 1.059, z: -0.4327 },
+    'index-finger-phalanx-distal': { x: -0.1652, y: 1.054, z: -0.4569 },
+    'index-finger-tip': { x: -0.1621, y: 1.0478, z: -0.4767 },
+    'middle-finger-metacarpal': { x: -0.2, y: 1.052, z: -0.3199 },
+    'middle-finger-phalanx-proximal': { x: -0.196, y: 1.0616, z: -0.3953 },
+    'middle-finger-phalanx-intermediate': { x: -0.1936, y: 1.0593, z: -0.4412 },
+    'middle-finger-phalanx-distal': { x: -0.1922, y: 1.0537, z: -0.4686 },
+    'middle-finger-tip': { x: -0.1911, y: 1.0472, z: -0.4896 },
+    'ring-finger-metacarpal': { x: -0.212, y: 1.0518, z: -0.3179 },
+    'ring-finger-phalanx-proximal': { x: -0.214, y: 1.0599, z: -0.3885 },
+    'ring-finger-phalanx-intermediate': { x: -0.2152, y: 1.0577, z: -0.4314 },
+    'ring-finger-phalanx-distal': { x: -0.2159, y: 1.0526, z: -0.4569 },
+    'ring-finger-tip': { x: -0.2164, y: 1.0464, z: -0.4769 },
+    'pinky-finger-metacarpal': { x: -0.222, y: 1.0495, z: -0.3151 },
+    'pinky-finger-phalanx-proximal': { x: -0.233, y: 1.0569, z: -0.3787 },
+    'pinky-finger-phalanx-intermediate': { x: -0.2387, y: 1.0551, z: -0.4122 },
+    'pinky-finger-phalanx-distal': { x: -0.2418, y: 1.0513, z: -0.4305 },
+    'pinky-finger-tip': { x: -0.2446, y: 1.046, z: -0.4475 }
+};
+
+/**
+ * Left thumb and index tips pressed together
+ */
+export const leftPinch = {
+    'wrist': { x: -0.18, y: 1.1, z: -0.32 },
+    'thumb-metacarpal': { x: -0.1556, y: 1.0906, z: -0.3295 },
+    'thumb-phalanx-proximal': { x: -0.1308, y: 1.0919, z: -0.3513 },
+    'thumb-phalanx-distal': { x: -0.1215, y: 1.074, z: -0.4085 },
+    'thumb-tip': { x: -0.114, y: 1.0594, z: -0.4554 },
+    'index-finger-metacarpal': { x: -0.1643, y: 1.104, z: -0.3368 },
+    'index-finger-phalanx-proximal': { x: -0.1386, y: 1.1202, z: -0.4032 },
+    'index-finger-phalanx-intermediate': { x: -0.1251, y: 1.1057, z: -0.4402 },
+    'index-finger-phalanx-distal': { x: -0.1206, y: 1.0854, z: -0.454 },
+    'index-finger-tip': { x: -0.1193, y: 1.0651, z: -0.4595 },
+    'middle-finger-metacarpal': { x: -0.1761, y: 1.104, z: -0.3392 },
+    'middle-finger-phalanx-proximal': { x: -0.1575, y: 1.121, z: -0.411 },
+    'middle-finger-phalanx-intermediate': { x: -0.146, y: 1.1233, z: -0.4555 },
+    'middle-finger-phalanx-distal': { x: -0.1391, y: 1.1205, z: -0.4825 },
+    'middle-finger-tip': { x: -0.1338, y: 1.1161, z: -0.5034 },
+    'ring-finger-metacarpal': { x: -0.1883, y: 1.1036, z: -0.3397 },
+    'ring-finger-phalanx-proximal': { x: -0.1764, y: 1.1187, z: -0.4081 },
+    'ring-finger-phalanx-intermediate': { x: -0.1691, y: 1.1144, z: -0.4502 },
+    'ring-finger-phalanx-distal': { x: -0.1649, y: 1.1042, z: -0.4738 },
+    'ring-finger-tip': { x: -0.1619, y: 1.0924, z: -0.4909 },
+    'pinky-finger-metacarpal': { x: -0.1986, y: 1.101, z: -0.3392 },
+    'pinky-finger-phalanx-proximal': { x: -0.1969, y: 1.1147, z: -0.4026 },
+    'pinky-finger-phalanx-intermediate': { x: -0.1956, y: 1.1095, z: -0.4362 },
+    'pinky-finger-phalanx-distal': { x: -0.1948, y: 1.1004, z: -0.4528 },
+    'pinky-finger-tip': { x: -0.1939, y: 1.0888, z: -0.4666 }
+};
+
+/**
+ * Left hand turned over, palm up
+ */
+export const leftPalmUp = {
+    'wrist': { x: -0.2, y: 1.0, z: -0.28 },
+    'thumb-metacarpal': { x: -0.2243, y: 1.0062, z: -0.292 },
+    'thumb-phalanx-proximal': { x: -0.2447, y: 1.0051, z: -0.318 },
+    'thumb-phalanx-distal': { x: -0.2588, y: 1.0026, z: -0.3384 },
+    'thumb-tip': { x: -0.2703, y: 1.0005, z: -0.355 },
+    'index-finger-metacarpal': { x: -0.2116, y: 0.997, z: -0.3 },
+    'index-finger-phalanx-proximal': { x: -0.2227, y: 0.9921, z: -0.372 },
+    'index-finger-phalanx-intermediate': { x: -0.2309, y: 0.9965, z: -0.413 },
+    'index-finger-phalanx-distal': { x: -0.2366, y: 1.0027, z: -0.4365 },
+    'index-finger-tip': { x: -0.2417, y: 1.0098, z: -0.4556 },
+    'middle-finger-metacarpal': { x: -0.2, y: 1.0, z: -0.3 },
+    'middle-finger-phalanx-proximal': { x: -0.2034, y: 0.9971, z: -0.376 },
+    'middle-finger-phalanx-intermediate': { x: -0.2074, y: 1.0031, z: -0.4214 },
+    'middle-finger-phalanx-distal': { x: -0.2108, y: 1.0108, z: -0.4481 },
+    'middle-finger-tip': { x: -0.214, y: 1.0188, z: -0.4684 },
+    'ring-finger-metacarpal': { x: -0.1884, y: 1.003, z: -0.298 },
+    'ring-finger-phalanx-proximal': { x: -0.1862, y: 1.0025, z: -0.369 },
+    'ring-finger-phalanx-intermediate': { x: -0.1866, y: 1.009, z: -0.4115 },
+    'ring-finger-phalanx-distal': { x: -0.1879, y: 1.0167, z: -0.4363 },
+    'ring-finger-tip': { x: -0.1894, y: 1.0247, z: -0.4557 },
+    'pinky-finger-metacarpal': { x: -0.1792, y: 1.0074, z: -0.295 },
+    'pinky-finger-phalanx-proximal': { x: -0.1683, y: 1.0092, z: -0.359 },
+    'pinky-finger-phalanx-intermediate': { x: -0.164, y: 1.0155, z: -0.3921 },
+    'pinky-finger-phalanx-distal': { x: -0.1625, y: 1.0217, z: -0.41 },
+    'pinky-finger-tip': { x: -0.1615, y: 1.0292, z: -0.4264 }
+};
+
+/**
+ * Left index finger pointing to the right, other fingers curled
+ */
+export const leftPoint = {
+    'wrist': { x: -0.22, y: 1.15, z: -0.35 },
+    'thumb-metacarpal': { x: -0.208, y: 1.138, z: -0.328 },
+    'thumb-phalanx-proximal': { x: -0.182, y: 1.134, z: -0.308 },
+    'thumb-phalanx-distal': { x: -0.1644, y: 1.1235, z: -0.3245 },
+    'thumb-tip': { x: -0.15, y: 1.115, z: -0.338 },
+    'index-finger-metacarpal': { x: -0.2, y: 1.15, z: -0.338 },
+    'index-finger-phalanx-proximal': { x: -0.128, y: 1.152, z: -0.326 },
+    'index-finger-phalanx-intermediate': { x: -0.0866, y: 1.1499, z: -0.3191 },
+    'index-finger-phalanx-distal': { x: -0.0621, y: 1.1474, z: -0.315 },
+    'index-finger-tip': { x: -0.0415, y: 1.1447, z: -0.3116 },
+    'middle-finger-metacarpal': { x: -0.2, y: 1.15, z: -0.35 },
+    'middle-finger-phalanx-proximal': { x: -0.124, y: 1.152, z: -0.346 },
+    'middle-finger-phalanx-intermediate': { x: -0.1185, y: 1.1063, z: -0.3457 },
+    'middle-finger-phalanx-distal': { x: -0.1459, y: 1.101, z: -0.3472 },
+    'middle-finger-tip': { x: -0.1611, y: 1.1169, z: -0.348 },
+    'ring-finger-metacarpal': { x: -0.202, y: 1.15, z: -0.362 },
+    'ring-finger-phalanx-proximal': { x: -0.131, y: 1.151, z: -0.364 },
+    'ring-finger-phalanx-intermediate': { x: -0.1258, y: 1.1083, z: -0.3641 },
+    'ring-finger-phalanx-distal': { x: -0.1513, y: 1.1034, z: -0.3634 },
+    'ring-finger-tip': { x: -0.1658, y: 1.1185, z: -0.363 },
+    'pinky-finger-metacarpal': { x: -0.205, y: 1.148, z: -0.372 },
+    'pinky-finger-phalanx-proximal': { x: -0.141, y: 1.149, z: -0.383 },
+    'pinky-finger-phalanx-intermediate': { x: -0.137, y: 1.1152, z: -0.3837 },
+    'pinky-finger-phalanx-distal': { x: -0.1553, y: 1.1116, z: -0.3805 },
+    'pinky-finger-tip': { x: -0.1676, y: 1.1246, z: -0.3784 }
+};
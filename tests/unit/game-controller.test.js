@@ -16,6 +16,8 @@ describe('Game Controller', () => {
     // Note: Full game controller tests require THREE.js, WebXR, and a browser environment
     // The game controller integrates all game systems and is tested through:
     // 1. Unit tests for individual game systems (all passing)
-    // 2. Integration testing in VR environment
-    // 3. Manual testing on Meta Quest devices
+    // 2. Headless game loop tests against the engine and renderer adapter
+    //    (see rogue/game-engine.test.js and rogue/renderer-adapter.test.js)
+    // 3. Integration testing in VR environment
+    // 4. Manual testing on Meta Quest devices
 });
@@ -0,0 +1,119 @@
+/**
+ * Minimal stand-in for the parts of Three.js the game uses, so scene code
+ * can run under Jest without WebGL
+ */
+
+class Vector3 {
+    constructor(x = 0, y = 0, z = 0) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+    }
+
+    set(x, y, z) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        return this;
+    }
+
+    copy(other) {
+        return this.set(other.x, other.y, other.z);
+    }
+
+    clone() {
+        return new Vector3(this.x, this.y, this.z);
+    }
+}
+
+class Object3D {
+    constructor() {
+        this.position = new Vector3();
+        this.rotation = new Vector3();
+        this.scale = new Vector3(1, 1, 1);
+        this.children = [];
+        this.userData = {};
+        this.visible = true;
+    }
+
+    add(child) {
+        this.children.push(child);
+    }
+
+    remove(child) {
+        this.children = this.children.filter(c => c !== child);
+    }
+}
+
+class Mesh extends Object3D {
+    constructor(geometry, material) {
+        super();
+        this.geometry = geometry;
+        this.material = material;
+    }
+}
+
+class Material {
+    constructor(options = {}) {
+        Object.assign(this, options);
+        const material = this;
+        this.color = {
+            hex: options.color,
+            setHex(hex) {
+                material.color.hex = hex;
+            }
+        };
+    }
+}
+
+class Geometry {
+    constructor(...args) {
+        this.args = args;
+    }
+
+    setAttribute() {}
+}
+
+class PointLight extends Object3D {
+    constructor(color, intensity = 1) {
+        super();
+        this.color = color;
+        this.intensity = intensity;
+    }
+}
+
+const THREE_MEMBERS = {
+    Group: Object3D,
+    Object3D,
+    Mesh,
+    LineSegments: Mesh,
+    Line: Mesh,
+    PointLight,
+    MeshStandardMaterial: Material,
+    MeshBasicMaterial: Material,
+    LineBasicMaterial: Material,
+    CanvasTexture: class {
+        constructor(image) {
+            this.image = image;
+        }
+    },
+    DoubleSide: 2
+};
+
+/**
+ * Fake THREE namespace; any geometry class resolves to a plain Geometry
+ */
+export const FakeTHREE = new Proxy(THREE_MEMBERS, {
+    get: (members, name) => (name in members ? members[name] : Geometry)
+});
+
+/**
+ * Create a scene and camera to render into
+ * @returns {{scene: object, camera: object}} Scene graph roots
+ */
+export function createFakeScene() {
+    return {
+        scene: new Object3D(),
+        camera: new Object3D()
+    };
+}
@@ -0,0 +1,30 @@
+/**
+ * Dungeon grids drawn as text for tests
+ */
+
+/**
+ * Tile for each glyph a test grid can use
+ */
+const GRID_TILES = {
+    '#': 'wall',
+    '.': 'floor',
+    '+': 'door_closed',
+    '/': 'door',
+    '>': 'stairs_down',
+    '<': 'stairs_up'
+};
+
+/**
+ * Build a grid from rows of '#' (wall), '.' (floor), '+' (closed door),
+ * '/' (open door), '>' (stairs down) and '<' (stairs up)
+ * @param {Array<string>} rows - One string per row, one glyph per tile
+ * @returns {Array<Array<string>>} Grid of tile types, indexed [y][x]
+ */
+export function parseGrid(rows) {
+    return rows.map(row => [...row].map(glyph => {
+        if (!GRID_TILES[glyph]) {
+            throw new Error(`Unknown grid glyph: ${glyph}`);
+        }
+        return GRID_TILES[glyph];
+    }));
+}
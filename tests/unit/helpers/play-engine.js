@@ -0,0 +1,63 @@
+/**
+ * Scripted player for driving a game engine in tests
+ */
+import { ENGINE_ACTIONS } from '../../../src/rogue/game-engine.js';
+import { findPath, gridToWorld } from '../../../src/rogue/grid-utils.js';
+import { getPassableGrid, DOOR_SKILLS } from '../../../src/rogue/doors.js';
+
+/**
+ * Get the rotation that faces an adjacent tile
+ * @param {number} dx - X offset of the tile (-1, 0 or 1)
+ * @param {number} dy - Y offset of the tile (-1, 0 or 1)
+ * @returns {number} Rotation in radians
+ */
+function facing(dx, dy) {
+    if (dy === -1) return 0;
+    if (dx === -1) return Math.PI / 2;
+    if (dy === 1) return Math.PI;
+    return -Math.PI / 2;
+}
+
+/**
+ * Run the game loop: each frame steps toward the stairs, interacting with
+ * whatever blocks the way (enemies, items, closed doors), until the frame budget runs out or the run ends
+ * @param {object} engine - Engine from createEngine
+ * @param {number} frames - Maximum frames to play
+ * @param {function} stop - Optional predicate on the state that ends play early
+ */
+export function playFrames(engine, frames, stop = () => false) {
+    for (let frame = 0; frame < frames && !engine.getState().gameOver; frame++) {
+        const state = engine.getState();
+        if (stop(state)) return;
+
+        const position = state.player.position;
+        const grid = getPassableGrid(state.dungeon.grid, state.dungeon.doors, DOOR_SKILLS.BASH);
+        const path = findPath(grid, position, state.dungeon.stairsPosition);
+        if (path.length === 0) return;
+
+        const next = path[0];
+        engine.dispatch({ type: ENGINE_ACTIONS.ROTATE, rotation: facing(next.x - position.x, next.y - position.y) });
+
+        const blocked = path.length === 1 ||
+            state.dungeon.grid[next.y][next.x] === 'door_closed' ||
+            state.entities.enemies.some(e => e.isAlive && e.position.x === next.x && e.position.y === next.y) ||
+            state.entities.items.some(item => item.position.x === next.x && item.position.y === next.y);
+
+        if (blocked) {
+            engine.dispatch({ type: ENGINE_ACTIONS.INTERACT });
+            continue;
+        }
+
+        const center = gridToWorld(next.x, next.y);
+        const world = state.player.worldPosition;
+        const dx = center.x - world.x;
+        const dz = center.z - world.z;
+        const length = Math.hypot(dx, dz);
+        const step = Math.min(0.09, length);
+        engine.dispatch({
+            type: ENGINE_ACTIONS.MOVE,
+            worldPosition: { x: world.x + dx / length * step, y: world.y, z: world.z + dz / length * step },
+            distance: step
+        });
+    }
+}
@@ -0,0 +1,245 @@
+/**
+ * Unit tests for the minimap and automap
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+    buildMapView,
+    getMinimapBounds,
+    formatMapText,
+    getMapAnnotations,
+    layoutMapTiles,
+    layoutMinimap,
+    changeAutomapZoom,
+    layoutAutomap
+} from '../../../src/rogue/automap.js';
+import { MAP_COLORS } from '../../../src/rogue/constants.js';
+import { createEnemy, createFood } from '../../../src/rogue/entity-manager.js';
+import { parseGrid } from '../helpers/grid.js';
+
+/**
+ * Fixed-width text measurer: every character is 10 pixels wide
+ */
+const measure = text => text.length * 10;
+
+/**
+ * Build a state with two rooms joined by a closed door. The player stands in
+ * the west room, which is in sight; the east room was explored earlier except
+ * for its far wall, and the ration in it was seen then.
+ */
+function createMapState() {
+    const rows = [
+        '##########',
+        '#....#...#',
+        '#....+...#',
+        '#..>.#.<.#',
+        '##########'
+    ];
+    const grid = parseGrid(rows);
+
+    const visibleTiles = new Set();
+    const exploredTiles = new Set();
+    grid.forEach((row, y) => row.forEach((_, x) => {
+        if (x <= 5) visibleTiles.add(`${x},${y}`);
+        if (x <= 8) exploredTiles.add(`${x},${y}`);
+    }));
+
+    return {
+        turnCount: 42,
+        dungeon: { level: 3, grid, shop: null },
+        player: { position: { x: 1, y: 1 } },
+        entities: {
+            enemies: [
+                createEnemy('GOBLIN', { x: 3, y: 1 }),
+                createEnemy('GOBLIN', { x: 7, y: 1 }),
+                { ...createEnemy('GOBLIN', { x: 4, y: 2 }), hp: 0 }
+            ],
+            items: [
+                { ...createFood('Ration'), position: { x: 2, y: 2 } },
+                { ...createFood('Ration'), position: { x: 6, y: 2 } },
+                { ...createFood('Ration'), position: { x: 9, y: 2 } }
+            ]
+        },
+        visibleTiles,
+        exploredTiles,
+        rememberedItems: new Set(['6,2'])
+    };
+}
+
+describe('Automap', () => {
+    describe('buildMapView', () => {
+        it('should map the player, enemies in sight and items the player has seen', () => {
+            // Arrange
+            const state = createMapState();
+
+            // Act
+            const view = buildMapView(state);
+
+            // Assert
+            expect(view).toMatchObject({ x: 0, y: 0, width: 10, height: 5 });
+            expect(view.rows[1][1]).toEqual({ kind: 'player', visible: true });
+            expect(view.rows[1][3]).toEqual({ kind: 'enemy', visible: true });
+            expect(view.rows[1][7]).toEqual({ kind: 'floor', visible: false });
+            expect(view.rows[2][4]).toEqual({ kind: 'floor', visible: true });
+            expect(view.rows[2][2].kind).toBe('item');
+            expect(view.rows[2][6].kind).toBe('item');
+            expect(view.rows[2][9].kind).toBe('unknown');
+        });
+
+        it('should only map items out of sight where the player saw them', () => {
+            const state = createMapState();
+            state.rememberedItems = new Set();
+
+            const view = buildMapView(state);
+
+            expect(view.rows[2][6]).toEqual({ kind: 'floor', visible: false });
+            expect(view.rows[2][2].kind).toBe('item');
+        });
+
+        it('should map tiles outside the level as unknown', () => {
+            const view = buildMapView(createMapState(), { x: -1, y: -1, width: 2, height: 2 });
+
+            expect(view.rows).toEqual([
+                [{ kind: 'unknown', visible: false }, { kind: 'unknown', visible: false }],
+                [{ kind: 'unknown', visible: false }, { kind: 'wall', visible: true }]
+            ]);
+        });
+    });
+
+    describe('formatMapText', () => {
+        it('should write out the whole level', () => {
+            // Arrange
+            const view = buildMapView(createMapState());
+
+            // Act
+            const text = formatMapText(view);
+
+            // Assert
+            expect(text).toMatchSnapshot();
+        });
+
+        it('should write out the minimap window around the player', () => {
+            const state = createMapState();
+
+            const text = formatMapText(buildMapView(state, getMinimapBounds(state.player.position, 3)));
+
+            expect(text).toMatchSnapshot();
+        });
+    });
+
+    describe('getMinimapBounds', () => {
+        it('should center a square of tiles on the player', () => {
+            // Arrange & Act
+            const bounds = getMinimapBounds({ x: 10, y: 4 }, 5);
+
+            // Assert
+            expect(bounds).toEqual({ x: 5, y: -1, width: 11, height: 11 });
+        });
+    });
+
+    describe('getMapAnnotations', () => {
+        it('should label the explored stairs and the player', () => {
+            // Arrange
+            const state = createMapState();
+
+            // Act
+            const annotations = getMapAnnotations(state);
+
+            // Assert
+            expect(annotations).toEqual([
+                { x: 3, y: 3, text: 'Stairs down' },
+                { x: 7, y: 3, text: 'Stairs up' },
+                { x: 1, y: 1, text: 'You' }
+            ]);
+        });
+
+        it('should leave unexplored stairs unlabelled and label an explored shop', () => {
+            const state = createMapState();
+            state.exploredTiles.delete('7,3');
+            state.dungeon.shop = { room: { x: 6, y: 1, width: 3, height: 3 } };
+
+            expect(getMapAnnotations(state).map(annotation => annotation.text)).toEqual(['Stairs down', 'Shop', 'You']);
+        });
+    });
+
+    describe('layoutMapTiles', () => {
+        it('should draw known tiles, dimming those out of sight', () => {
+            // Arrange
+            const view = { x: 0, y: 0, width: 3, height: 1, rows: [[
+                { kind: 'wall', visible: true },
+                { kind: 'floor', visible: false },
+                { kind: 'unknown', visible: false }
+            ]] };
+
+            // Act
+            const elements = layoutMapTiles(view, { x: 10, y: 20 }, 4);
+
+            // Assert
+            expect(elements).toEqual([
+                { type: 'rect', x: 10, y: 20, width: 4, height: 4, color: MAP_COLORS.wall },
+                { type: 'rect', x: 14, y: 20, width: 4, height: 4, color: 'rgba(139, 115, 85, 0.5)' }
+            ]);
+        });
+    });
+
+    describe('layoutMinimap', () => {
+        it('should put the player in the middle of the panel', () => {
+            // Arrange
+            const panel = { width: 90, height: 90, tileSize: 10 };
+
+            // Act
+            const elements = layoutMinimap(createMapState(), panel);
+
+            // Assert
+            const player = elements.find(element => element.color === MAP_COLORS.player);
+            expect(player).toMatchObject({ x: 40, y: 40, width: 10, height: 10 });
+        });
+    });
+
+    describe('changeAutomapZoom', () => {
+        it('should step through the zoom levels without running off either end', () => {
+            // Arrange & Act
+            const zoomedIn = changeAutomapZoom(1, 1, [4, 8, 16]);
+
+            // Assert
+            expect(zoomedIn).toBe(2);
+            expect(changeAutomapZoom(2, 1, [4, 8, 16])).toBe(2);
+            expect(changeAutomapZoom(0, -1, [4, 8, 16])).toBe(0);
+        });
+    });
+
+    describe('layoutAutomap', () => {
+        it('should center a level that fits and title it', () => {
+            // Arrange
+            const panel = { width: 200, height: 200 };
+
+            // Act
+            const elements = layoutAutomap(createMapState(), 0, measure, panel, [10]);
+
+            // Assert
+            const tiles = elements.filter(element => element.type === 'rect' && element.width === 10);
+            expect(Math.min(...tiles.map(tile => tile.x))).toBe(50);
+            expect(Math.min(...tiles.map(tile => tile.y))).toBe(75);
+            expect(elements[elements.length - 1].text).toBe('Depth 3  Turn 42  Zoom 1/1');
+        });
+
+        it('should scroll a zoomed-in level to the player without passing its edge', () => {
+            const panel = { width: 100, height: 100 };
+
+            const elements = layoutAutomap(createMapState(), 0, measure, panel, [40]);
+
+            const player = elements.find(element => element.color === MAP_COLORS.player);
+            expect(player).toMatchObject({ x: 30, y: 30 });
+            expect(elements.every(element => element.x < panel.width && element.y < panel.height)).toBe(true);
+        });
+
+        it('should label tiles on their right, keeping labels inside the panel', () => {
+            const panel = { width: 200, height: 200 };
+
+            const labels = layoutAutomap(createMapState(), 0, measure, panel, [10])
+                .filter(element => element.type === 'text' && element.color === '#ffffff');
+
+            expect(labels.find(label => label.text === 'You').x).toBe(50 + 20 + 4);
+            expect(labels.find(label => label.text === 'Stairs up').x).toBe(200 - measure('Stairs up'));
+        });
+    });
+});
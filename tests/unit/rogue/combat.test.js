@@ -11,6 +11,7 @@ import {
     isAdjacent,
     getCombatMessage
 } from '../../../src/rogue/combat.js';
+import { createRunRandom } from '../../../src/rogue/rng.js';
 
 describe('Combat System', () => {
     describe('rollD20', () => {
@@ -26,6 +27,40 @@ describe('Combat System', () => {
         });
     });
 
+    describe('seeded rolls', () => {
+        it('should roll the same d20 sequence from the same seed', () => {
+            // Arrange
+            const rng1 = createRunRandom(100);
+            const rng2 = createRunRandom(100);
+            
+            // Act
+            const rolls1 = Array.from({ length: 10 }, () => rollD20(rng1));
+            const rolls2 = Array.from({ length: 10 }, () => rollD20(rng2));
+            
+            // Assert
+            expect(rolls1).toEqual(rolls2);
+        });
+
+        it('should roll the same damage from the same seed', () => {
+            const damage1 = rollDamage(3, 6, 1, createRunRandom(5));
+            const damage2 = rollDamage(3, 6, 1, createRunRandom(5));
+            
+            expect(damage1).toBe(damage2);
+        });
+
+        it('should resolve identical attacks from the same seed', () => {
+            const attacker = { attackBonus: 2, weapon: { damage: [1, 8], bonus: 1 } };
+            const defender = { ac: 12, hp: 20 };
+            const rng1 = createRunRandom(31);
+            const rng2 = createRunRandom(31);
+            
+            const results1 = Array.from({ length: 10 }, () => executeAttack(attacker, defender, [], [], rng1));
+            const results2 = Array.from({ length: 10 }, () => executeAttack(attacker, defender, [], [], rng2));
+            
+            expect(results1).toEqual(results2);
+        });
+    });
+
     describe('rollDamage', () => {
         it('should roll damage dice', () => {
             // Act
@@ -117,6 +152,20 @@ describe('Combat System', () => {
             }
         });
 
+        it('should swing the main hand weapon with equipment damage bonuses', () => {
+            // A fixed roll crits with a natural 20, doubling the top roll of 8 + 1 + 2
+            const rng = { next: () => 0.99 };
+            const attacker = {
+                attackBonus: 0,
+                damageBonus: 2,
+                equipment: { mainHand: { damage: [1, 8], bonus: 1 } }
+            };
+            
+            const result = executeAttack(attacker, { ac: 10, hp: 50 }, [], [], rng);
+            
+            expect(result.damage).toBe(22);
+        });
+
         it('should mark enemy as killed when hp reaches 0', () => {
             const attacker = { 
                 attackBonus: 10,
@@ -231,6 +280,27 @@ describe('Combat System', () => {
             
             expect(result.action).toBe('wait');
         });
+
+        it('should follow the AI profile when given a context', () => {
+            const enemy = {
+                type: 'GIANT_SPIDER',
+                position: { x: 1, y: 1 },
+                hp: 12,
+                maxHp: 12,
+                isAlive: true
+            };
+            const playerPosition = { x: 5, y: 1 };
+            const grid = [['floor', 'floor', 'floor', 'floor', 'floor', 'floor']].concat(
+                Array(2).fill(null).map(() => Array(6).fill('floor'))
+            );
+            const findPath = () => [{ x: 2, y: 1 }];
+            
+            const result = processEnemyTurn(enemy, playerPosition, grid, findPath, [], { noise: null, enemies: [], rng: null });
+            
+            // Ambushers wait for the player to come close instead of chasing
+            expect(result.action).toBe('wait');
+            expect(result.ai.state).toBe('idle');
+        });
     });
 
     describe('isAdjacent', () => {
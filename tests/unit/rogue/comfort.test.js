@@ -0,0 +1,283 @@
+/**
+ * Unit tests for the VR comfort options
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+    LOCOMOTION_MODES,
+    TURN_MODES,
+    COMFORT_STORAGE_KEY,
+    createComfortSettings,
+    loadComfortSettings,
+    saveComfortSettings,
+    cycleTurnSetting,
+    calculateSnapTurn,
+    calculateTeleportArc,
+    getTeleportTarget,
+    planTeleportSteps,
+    calculateVignetteOpacity
+} from '../../../src/rogue/comfort.js';
+import { COMFORT_DEFAULTS, VIGNETTE } from '../../../src/rogue/constants.js';
+import { gridToWorld } from '../../../src/rogue/grid-utils.js';
+import { createEnemy, createWeapon } from '../../../src/rogue/entity-manager.js';
+import { createInitialState } from '../../../src/rogue/game-state.js';
+import { movePlayer } from '../../../src/rogue/game-rules.js';
+import { getTurnThreshold } from '../../../src/rogue/turn-manager.js';
+import { getEncumbrance } from '../../../src/rogue/encumbrance.js';
+import { parseGrid } from '../helpers/grid.js';
+
+/**
+ * Minimal in-memory Web Storage implementation
+ */
+function createMemoryStorage() {
+    const data = new Map();
+    return {
+        getItem: key => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: key => data.delete(key)
+    };
+}
+
+/**
+ * Build a state with the player at the west end of a corridor, everything in sight
+ */
+function createCorridorState() {
+    const rows = [
+        '########',
+        '#......#',
+        '########'
+    ];
+    const grid = parseGrid(rows);
+    const visibleTiles = new Set();
+    grid.forEach((row, y) => row.forEach((_, x) => visibleTiles.add(`${x},${y}`)));
+    return {
+        dungeon: { grid },
+        player: { position: { x: 1, y: 1 } },
+        entities: { enemies: [] },
+        visibleTiles
+    };
+}
+
+/**
+ * Floor point at the center of a tile
+ */
+function tileCenter(x, y) {
+    const world = gridToWorld(x, y);
+    return { x: world.x, y: 0, z: world.z };
+}
+
+describe('Comfort', () => {
+    describe('createComfortSettings', () => {
+        it('should start from the defaults', () => {
+            // Arrange & Act
+            const settings = createComfortSettings();
+
+            // Assert
+            expect(settings).toEqual(COMFORT_DEFAULTS);
+        });
+
+        it('should keep valid overrides and drop invalid ones', () => {
+            const settings = createComfortSettings({
+                locomotion: LOCOMOTION_MODES.TELEPORT,
+                turning: 'spin',
+                snapAngle: 17,
+                vignette: false
+            });
+
+            expect(settings).toEqual({ ...COMFORT_DEFAULTS, locomotion: LOCOMOTION_MODES.TELEPORT, vignette: false });
+        });
+    });
+
+    describe('loadComfortSettings and saveComfortSettings', () => {
+        it('should round-trip settings through storage', () => {
+            // Arrange
+            const storage = createMemoryStorage();
+            const settings = createComfortSettings({ turning: TURN_MODES.SNAP, snapAngle: 90 });
+
+            // Act
+            saveComfortSettings(settings, storage);
+
+            // Assert
+            expect(loadComfortSettings(storage)).toEqual(settings);
+            expect(storage.getItem(COMFORT_STORAGE_KEY)).not.toBeNull();
+        });
+
+        it('should fall back to the defaults when nothing is stored', () => {
+            expect(loadComfortSettings(createMemoryStorage())).toEqual(COMFORT_DEFAULTS);
+        });
+    });
+
+    describe('cycleTurnSetting', () => {
+        it('should step from smooth through each snap angle and back', () => {
+            // Arrange
+            let settings = createComfortSettings();
+            const seen = [];
+
+            // Act
+            for (let i = 0; i < 4; i++) {
+                settings = cycleTurnSetting(settings, [30, 45, 90]);
+                seen.push(settings.turning === TURN_MODES.SNAP ? settings.snapAngle : settings.turning);
+            }
+
+            // Assert
+            expect(seen).toEqual([30, 45, 90, TURN_MODES.SMOOTH]);
+        });
+    });
+
+    describe('calculateSnapTurn', () => {
+        it('should turn clockwise by the increment when pushed right', () => {
+            // Arrange & Act
+            const result = calculateSnapTurn(0.9, true, 45);
+
+            // Assert
+            expect(result.delta).toBeCloseTo(-Math.PI / 4);
+            expect(result.ready).toBe(false);
+        });
+
+        it('should turn only once per push', () => {
+            const first = calculateSnapTurn(-0.9, true, 90);
+            const held = calculateSnapTurn(-0.9, first.ready, 90);
+            const released = calculateSnapTurn(0.1, held.ready, 90);
+            const again = calculateSnapTurn(-0.9, released.ready, 90);
+
+            expect(first.delta).toBeCloseTo(Math.PI / 2);
+            expect(held.delta).toBe(0);
+            expect(released.ready).toBe(true);
+            expect(again.delta).toBeCloseTo(Math.PI / 2);
+        });
+
+        it('should not turn on a light push', () => {
+            expect(calculateSnapTurn(0.5, true, 45)).toEqual({ delta: 0, ready: true });
+        });
+    });
+
+    describe('calculateTeleportArc', () => {
+        it('should fall from the controller to the floor', () => {
+            // Arrange
+            const origin = { x: 0, y: 1, z: 0 };
+            const direction = { x: 0, y: 0, z: -1 };
+
+            // Act
+            const { points, landing } = calculateTeleportArc(origin, direction);
+
+            // Assert
+            expect(points[0]).toEqual(origin);
+            expect(points[points.length - 1]).toEqual(landing);
+            expect(landing.y).toBe(0);
+            expect(landing.x).toBeCloseTo(0);
+            expect(landing.z).toBeLessThan(0);
+        });
+
+        it('should not land when aimed into the sky', () => {
+            const arc = { speed: 8, gravity: 9.8, step: 0.05, maxPoints: 10 };
+
+            const { points, landing } = calculateTeleportArc({ x: 0, y: 1, z: 0 }, { x: 0, y: 1, z: 0 }, arc);
+
+            expect(landing).toBeNull();
+            expect(points).toHaveLength(10);
+        });
+    });
+
+    describe('getTeleportTarget', () => {
+        it('should allow an open tile in range with the tiles walked to it', () => {
+            // Arrange
+            const state = createCorridorState();
+
+            // Act
+            const target = getTeleportTarget(state, tileCenter(4, 1), 4);
+
+            // Assert
+            expect(target.valid).toBe(true);
+            expect(target.tile).toEqual({ x: 4, y: 1 });
+            expect(target.path).toEqual([{ x: 2, y: 1 }, { x: 3, y: 1 }, { x: 4, y: 1 }]);
+        });
+
+        it('should refuse tiles out of range, in walls or out of sight', () => {
+            const state = createCorridorState();
+            state.visibleTiles.delete('3,1');
+
+            expect(getTeleportTarget(state, tileCenter(6, 1), 3).valid).toBe(false);
+            expect(getTeleportTarget(state, tileCenter(2, 0), 4).valid).toBe(false);
+            expect(getTeleportTarget(state, tileCenter(3, 1), 4).valid).toBe(false);
+        });
+
+        it('should refuse to land on or pass through a creature', () => {
+            const state = createCorridorState();
+            state.entities.enemies = [createEnemy('GOBLIN', { x: 3, y: 1 })];
+
+            expect(getTeleportTarget(state, tileCenter(3, 1), 4)).toMatchObject({ valid: false, path: [] });
+            expect(getTeleportTarget(state, tileCenter(5, 1), 4).valid).toBe(false);
+        });
+
+        it('should have nothing to aim at without a landing point', () => {
+            expect(getTeleportTarget(createCorridorState(), null)).toBeNull();
+        });
+    });
+
+    describe('planTeleportSteps', () => {
+        it('should move one tile at a time, keeping the height', () => {
+            // Arrange
+            const start = { ...tileCenter(1, 1), y: 1.6 };
+
+            // Act
+            const steps = planTeleportSteps(start, [{ x: 2, y: 1 }, { x: 3, y: 2 }], 0, 10);
+
+            // Assert
+            expect(steps.map(step => step.worldPosition)).toEqual([
+                { ...tileCenter(2, 1), y: 1.6 },
+                { ...tileCenter(3, 2), y: 1.6 }
+            ]);
+            expect(steps[0].distance).toBeCloseTo(2);
+            expect(steps[1].distance).toBeCloseTo(Math.hypot(2, 2));
+        });
+
+        it('should cut the path wherever a turn passes', () => {
+            const start = tileCenter(1, 1);
+
+            const steps = planTeleportSteps(start, [{ x: 2, y: 1 }, { x: 3, y: 1 }], 0.5, 1);
+
+            expect(steps.map(step => step.distance)).toEqual([0.5, 1, 0.5, 0.5, 1, 0.5]);
+            expect(steps[2].worldPosition).toEqual(tileCenter(2, 1));
+            expect(steps[5].worldPosition).toEqual(tileCenter(3, 1));
+        });
+
+        it('should cost an encumbered player the same turns as walking', () => {
+            const corridor = createCorridorState();
+            const initial = createInitialState(1);
+            const start = { ...tileCenter(1, 1), y: 1.6 };
+            const state = {
+                ...initial,
+                ...corridor,
+                dungeon: { ...corridor.dungeon, level: 1, rooms: [] },
+                entities: { ...initial.entities, enemies: [], items: [] },
+                player: { ...initial.player, position: { x: 1, y: 1 }, worldPosition: start }
+            };
+            state.inventory[0] = { ...createWeapon('Anvil', [1, 4]), weight: 5000 };
+            const path = [{ x: 2, y: 1 }, { x: 3, y: 1 }, { x: 4, y: 1 }];
+
+            const moved = planTeleportSteps(start, path, state.accumulatedMovement, getTurnThreshold(state))
+                .reduce((current, step) => movePlayer(current, step.worldPosition, step.distance, null).state, state);
+
+            expect(getEncumbrance(state).id).toBe('overloaded');
+            expect(moved.player.position).toEqual({ x: 4, y: 1 });
+            expect(moved.turnCount).toBe(state.turnCount + 3 * 2 / getTurnThreshold(state));
+        });
+    });
+
+    describe('calculateVignetteOpacity', () => {
+        it('should fade in toward the intensity at the fade rate', () => {
+            // Arrange
+            const vignette = { maxOpacity: 0.8, fadeRate: 2 };
+
+            // Act
+            const opacity = calculateVignetteOpacity(0, 1, 0.1, vignette);
+
+            // Assert
+            expect(opacity).toBeCloseTo(0.2);
+        });
+
+        it('should settle on the target and fade out when still', () => {
+            expect(calculateVignetteOpacity(0.7, 1, 1)).toBe(VIGNETTE.maxOpacity);
+            expect(calculateVignetteOpacity(0.1, 0, 1)).toBe(0);
+        });
+    });
+});
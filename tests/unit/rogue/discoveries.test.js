@@ -0,0 +1,146 @@
+/**
+ * Unit tests for per-run appearances and the discovery journal
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+    shuffleAppearances,
+    createDiscoveries,
+    getAppearance,
+    isDiscovered,
+    discoverItem,
+    discoverInventory,
+    applyDiscoveries,
+    canCallItem,
+    callAppearance,
+    getCalledName,
+    getJournal,
+    getJournalDisplay
+} from '../../../src/rogue/discoveries.js';
+import { POTION_TYPES, POTION_APPEARANCES, SCROLL_TYPES, SCROLL_APPEARANCES } from '../../../src/rogue/constants.js';
+import { createPotion, createScroll, createWeapon } from '../../../src/rogue/entity-manager.js';
+
+describe('Discoveries', () => {
+    describe('createDiscoveries', () => {
+        it('should give every kind its own appearance', () => {
+            // Arrange
+            const seed = 1234;
+
+            // Act
+            const discoveries = createDiscoveries(seed);
+
+            // Assert
+            const potions = Object.values(discoveries.appearances.potion);
+            const scrolls = Object.values(discoveries.appearances.scroll);
+            expect(potions).toHaveLength(POTION_TYPES.length);
+            expect(new Set(potions).size).toBe(potions.length);
+            expect(potions.every(appearance => POTION_APPEARANCES.includes(appearance))).toBe(true);
+            expect(scrolls).toHaveLength(SCROLL_TYPES.length);
+            expect(new Set(scrolls).size).toBe(scrolls.length);
+            expect(discoveries.known).toEqual([]);
+            expect(discoveries.called).toEqual({});
+        });
+
+        it('should shuffle the same way for the same seed', () => {
+            expect(createDiscoveries(99)).toEqual(createDiscoveries(99));
+        });
+
+        it('should shuffle differently between runs', () => {
+            const runs = [1, 2, 3, 4, 5].map(seed => createDiscoveries(seed).appearances.potion.healing);
+
+            expect(new Set(runs).size).toBeGreaterThan(1);
+        });
+    });
+
+    describe('shuffleAppearances', () => {
+        it('should throw when the pool is too small', () => {
+            expect(() => shuffleAppearances(['a', 'b'], ['red potion'], { next: () => 0 })).toThrow('Not enough appearances');
+        });
+    });
+
+    describe('getAppearance', () => {
+        it('should use the run appearance, or the pool order without a registry', () => {
+            const discoveries = createDiscoveries(5);
+
+            expect(getAppearance(discoveries, 'scroll', 'fire')).toBe(discoveries.appearances.scroll.fire);
+            expect(getAppearance(null, 'potion', 'healing')).toBe(POTION_APPEARANCES[0]);
+            expect(getAppearance(null, 'scroll', 'identify')).toBe(SCROLL_APPEARANCES[0]);
+        });
+    });
+
+    describe('discovering', () => {
+        it('should remember the appearances the player identifies', () => {
+            const potion = createPotion('healing', 'red potion', {});
+
+            const discoveries = discoverItem(createDiscoveries(5), potion);
+
+            expect(isDiscovered(discoveries, potion)).toBe(true);
+            expect(isDiscovered(discoveries, createPotion('poison', 'green potion', {}))).toBe(false);
+            expect(discoverItem(discoveries, potion)).toBe(discoveries);
+        });
+
+        it('should record identified potions and scrolls in an inventory', () => {
+            const inventory = [
+                { ...createScroll('identify', 'dusty scroll', {}), identified: true },
+                createPotion('poison', 'green potion', {}),
+                { ...createWeapon('Mace', [2, 4]), identified: true },
+                null
+            ];
+
+            const discoveries = discoverInventory(createDiscoveries(5), inventory);
+
+            expect(discoveries.known).toEqual(['dusty scroll']);
+        });
+
+        it('should identify items of known kinds', () => {
+            const discoveries = discoverItem(createDiscoveries(5), createPotion('healing', 'red potion', {}));
+
+            expect(applyDiscoveries(createPotion('healing', 'red potion', {}), discoveries).identified).toBe(true);
+            expect(applyDiscoveries(createPotion('poison', 'green potion', {}), discoveries).identified).toBe(false);
+            expect(applyDiscoveries(createPotion('healing', 'red potion', {}), null).identified).toBe(false);
+        });
+    });
+
+    describe('calling', () => {
+        it('should only call unidentified potions and scrolls', () => {
+            expect(canCallItem(createPotion('healing', 'red potion', {}))).toBe(true);
+            expect(canCallItem({ ...createScroll('fire', 'torn scroll', {}), identified: true })).toBe(false);
+            expect(canCallItem(createWeapon('Mace', [2, 4]))).toBe(false);
+            expect(canCallItem(null)).toBe(false);
+        });
+
+        it('should name an appearance and forget a blank name', () => {
+            const potion = createPotion('healing', 'red potion', {});
+
+            const called = callAppearance(createDiscoveries(5), 'red potion', '  heal?  ');
+            const forgotten = callAppearance(called, 'red potion', '');
+
+            expect(getCalledName(called, potion)).toBe('heal?');
+            expect(getCalledName(forgotten, potion)).toBeNull();
+        });
+    });
+
+    describe('journal', () => {
+        it('should list known and called appearances by kind', () => {
+            let discoveries = createDiscoveries(5);
+            const healing = discoveries.appearances.potion.healing;
+            const poison = discoveries.appearances.potion.poison;
+            discoveries = discoverItem(discoveries, createPotion('healing', healing, {}));
+            discoveries = callAppearance(discoveries, poison, 'bad');
+
+            const [potions, scrolls] = getJournal(discoveries);
+
+            expect(potions.entries).toEqual([
+                { appearance: healing, trueType: 'healing', called: null },
+                { appearance: poison, trueType: null, called: 'bad' }
+            ]);
+            expect(scrolls.entries).toEqual([]);
+            expect(getJournalDisplay(discoveries)).toEqual([
+                'Potions',
+                `  ${healing}: healing`,
+                `  ${poison}: called "bad"`,
+                'Scrolls',
+                '  nothing yet'
+            ]);
+        });
+    });
+});
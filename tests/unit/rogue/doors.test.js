@@ -0,0 +1,257 @@
+/**
+ * Unit tests for doors
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+    DOOR_STATES,
+    DOOR_SKILLS,
+    createDoor,
+    getDoorTile,
+    isDoorOpen,
+    getDoorAt,
+    setDoorState,
+    canPassDoor,
+    getPassableGrid,
+    findDoorways,
+    placeDoors
+} from '../../../src/rogue/doors.js';
+import { Room } from '../../../src/rogue/dungeon-generator.js';
+import { parseGrid } from '../helpers/grid.js';
+
+/**
+ * Two rooms joined by a corridor: the left room spans x 1-3, the right room x 7-9
+ */
+const TWO_ROOMS = [
+    '###########',
+    '#...###...#',
+    '#.........#',
+    '#...###...#',
+    '###########'
+];
+
+/**
+ * RNG that returns the given rolls in order, then the last one forever
+ */
+function createSequenceRng(values) {
+    let index = 0;
+    return { next: () => values[Math.min(index++, values.length - 1)] };
+}
+
+describe('Doors', () => {
+    describe('createDoor', () => {
+        it('should create a closed door at a position', () => {
+            // Arrange
+            const position = { x: 4, y: 2 };
+
+            // Act
+            const door = createDoor(position);
+
+            // Assert
+            expect(door).toEqual({ id: 'door_4_2', position: { x: 4, y: 2 }, state: DOOR_STATES.CLOSED });
+            expect(door.position).not.toBe(position);
+        });
+    });
+
+    describe('getDoorTile', () => {
+        it('should map each state to the tile under the door', () => {
+            expect(getDoorTile(DOOR_STATES.OPEN)).toBe('door');
+            expect(getDoorTile(DOOR_STATES.BROKEN)).toBe('door');
+            expect(getDoorTile(DOOR_STATES.CLOSED)).toBe('door_closed');
+            expect(getDoorTile(DOOR_STATES.LOCKED)).toBe('door_closed');
+            expect(getDoorTile(DOOR_STATES.SECRET)).toBe('wall');
+        });
+
+        it('should treat only open and broken doors as open', () => {
+            expect(isDoorOpen(createDoor({ x: 0, y: 0 }, DOOR_STATES.OPEN))).toBe(true);
+            expect(isDoorOpen(createDoor({ x: 0, y: 0 }, DOOR_STATES.BROKEN))).toBe(true);
+            expect(isDoorOpen(createDoor({ x: 0, y: 0 }, DOOR_STATES.LOCKED))).toBe(false);
+        });
+    });
+
+    describe('getDoorAt', () => {
+        it('should find the door at a position', () => {
+            const doors = [createDoor({ x: 1, y: 1 }), createDoor({ x: 4, y: 2 })];
+
+            expect(getDoorAt(doors, { x: 4, y: 2 })).toBe(doors[1]);
+        });
+
+        it('should return null when there is no door', () => {
+            expect(getDoorAt([createDoor({ x: 1, y: 1 })], { x: 4, y: 2 })).toBeNull();
+            expect(getDoorAt(undefined, { x: 4, y: 2 })).toBeNull();
+        });
+    });
+
+    describe('setDoorState', () => {
+        it('should change the door and the tile under it', () => {
+            // Arrange
+            const door = createDoor({ x: 4, y: 2 });
+            const grid = parseGrid(TWO_ROOMS);
+            grid[2][4] = 'door_closed';
+            const dungeon = { grid, doors: [door] };
+
+            // Act
+            const result = setDoorState(dungeon, door, DOOR_STATES.OPEN);
+
+            // Assert
+            expect(result.door.state).toBe(DOOR_STATES.OPEN);
+            expect(result.dungeon.doors).toEqual([result.door]);
+            expect(result.dungeon.grid[2][4]).toBe('door');
+        });
+
+        it('should not modify the original dungeon', () => {
+            const door = createDoor({ x: 4, y: 2 });
+            const grid = parseGrid(TWO_ROOMS);
+            grid[2][4] = 'door_closed';
+            const dungeon = { grid, doors: [door] };
+
+            setDoorState(dungeon, door, DOOR_STATES.OPEN);
+
+            expect(dungeon.grid[2][4]).toBe('door_closed');
+            expect(dungeon.doors[0].state).toBe(DOOR_STATES.CLOSED);
+        });
+    });
+
+    describe('canPassDoor', () => {
+        it('should let every creature through open doors', () => {
+            const door = createDoor({ x: 0, y: 0 }, DOOR_STATES.OPEN);
+
+            for (const skill of Object.values(DOOR_SKILLS)) {
+                expect(canPassDoor(door, skill)).toBe(true);
+            }
+        });
+
+        it('should only let door users through closed doors', () => {
+            const door = createDoor({ x: 0, y: 0 }, DOOR_STATES.CLOSED);
+
+            expect(canPassDoor(door, DOOR_SKILLS.NONE)).toBe(false);
+            expect(canPassDoor(door, DOOR_SKILLS.OPEN)).toBe(true);
+            expect(canPassDoor(door, DOOR_SKILLS.BASH)).toBe(true);
+        });
+
+        it('should only let bashers through locked doors', () => {
+            const door = createDoor({ x: 0, y: 0 }, DOOR_STATES.LOCKED);
+
+            expect(canPassDoor(door, DOOR_SKILLS.OPEN)).toBe(false);
+            expect(canPassDoor(door, DOOR_SKILLS.BASH)).toBe(true);
+        });
+
+        it('should keep everything out of secret doors', () => {
+            const door = createDoor({ x: 0, y: 0 }, DOOR_STATES.SECRET);
+
+            expect(canPassDoor(door, DOOR_SKILLS.BASH)).toBe(false);
+        });
+    });
+
+    describe('getPassableGrid', () => {
+        it('should open the doors a creature can get through', () => {
+            // Arrange
+            const grid = parseGrid(TWO_ROOMS);
+            grid[2][4] = 'door_closed';
+            grid[2][6] = 'door_closed';
+            const doors = [createDoor({ x: 4, y: 2 }), createDoor({ x: 6, y: 2 }, DOOR_STATES.LOCKED)];
+
+            // Act
+            const passable = getPassableGrid(grid, doors, DOOR_SKILLS.OPEN);
+
+            // Assert
+            expect(passable[2][4]).toBe('door');
+            expect(passable[2][6]).toBe('door_closed');
+            expect(grid[2][4]).toBe('door_closed');
+        });
+
+        it('should return the grid itself when no door opens', () => {
+            const grid = parseGrid(TWO_ROOMS);
+            grid[2][4] = 'door_closed';
+
+            expect(getPassableGrid(grid, [createDoor({ x: 4, y: 2 })], DOOR_SKILLS.NONE)).toBe(grid);
+            expect(getPassableGrid(grid, undefined, DOOR_SKILLS.BASH)).toBe(grid);
+        });
+    });
+
+    describe('findDoorways', () => {
+        it('should find corridor tiles where corridors meet rooms', () => {
+            // Arrange
+            const grid = parseGrid(TWO_ROOMS);
+            const rooms = [new Room(1, 1, 3, 3), new Room(7, 1, 3, 3)];
+
+            // Act
+            const doorways = findDoorways(grid, rooms);
+
+            // Assert
+            expect(doorways).toEqual([{ x: 4, y: 2 }, { x: 6, y: 2 }]);
+        });
+
+        it('should find doorways above and below rooms', () => {
+            const grid = parseGrid([
+                '#####',
+                '#...#',
+                '#...#',
+                '##.##',
+                '##.##'
+            ]);
+
+            expect(findDoorways(grid, [new Room(1, 1, 3, 2)])).toEqual([{ x: 2, y: 3 }]);
+        });
+
+        it('should ignore openings that are not between walls', () => {
+            const grid = parseGrid([
+                '#######',
+                '#.....#',
+                '#.....#',
+                '#######'
+            ]);
+
+            expect(findDoorways(grid, [new Room(1, 1, 2, 2)])).toEqual([]);
+        });
+    });
+
+    describe('placeDoors', () => {
+        it('should put doors in doorways that pass the door chance', () => {
+            // Arrange
+            const grid = parseGrid(TWO_ROOMS);
+            const doorways = [{ x: 4, y: 2 }, { x: 6, y: 2 }];
+
+            // Act: the first doorway gets a closed door, the second misses the chance
+            const doors = placeDoors(createSequenceRng([0, 0.5, 0.9]), grid, doorways, 1, { x: 2, y: 2 }, { x: 8, y: 2 });
+
+            // Assert
+            expect(doors).toEqual([createDoor({ x: 4, y: 2 }, DOOR_STATES.CLOSED)]);
+            expect(grid[2][4]).toBe('door_closed');
+            expect(grid[2][6]).toBe('floor');
+        });
+
+        it('should only place open and closed doors on the first level', () => {
+            const grid = parseGrid(TWO_ROOMS);
+
+            const doors = placeDoors(createSequenceRng([0, 0.99]), grid, [{ x: 4, y: 2 }], 1, { x: 2, y: 2 }, { x: 8, y: 2 });
+
+            expect(doors[0].state).toBe(DOOR_STATES.CLOSED);
+        });
+
+        it('should turn secret doors that cut off the stairs into closed doors', () => {
+            const grid = parseGrid(TWO_ROOMS);
+
+            // Deep enough for secret doors, and the top roll picks the last spawn state
+            const doors = placeDoors(createSequenceRng([0, 0.99]), grid, [{ x: 4, y: 2 }], 5, { x: 2, y: 2 }, { x: 8, y: 2 });
+
+            expect(doors[0].state).toBe(DOOR_STATES.CLOSED);
+            expect(grid[2][4]).toBe('door_closed');
+        });
+
+        it('should keep secret doors that leave another way to the stairs', () => {
+            const grid = parseGrid([
+                '###########',
+                '#...###...#',
+                '#.........#',
+                '#...###...#',
+                '#.........#',
+                '###########'
+            ]);
+
+            const doors = placeDoors(createSequenceRng([0, 0.99]), grid, [{ x: 4, y: 2 }], 5, { x: 2, y: 2 }, { x: 8, y: 2 });
+
+            expect(doors[0].state).toBe(DOOR_STATES.SECRET);
+            expect(grid[2][4]).toBe('wall');
+        });
+    });
+});
@@ -5,8 +5,30 @@ import { describe, it, expect } from '@jest/globals';
 import {
     generateDungeon,
     getPlayerStartPosition,
-    SeededRandom
+    getLevelSeed,
+    selectGenerator,
+    isLayoutValid,
+    registerDungeonGenerator,
+    DUNGEON_GENERATORS,
+    SeededRandom,
+    Room
 } from '../../../src/rogue/dungeon-generator.js';
+import { findPath } from '../../../src/rogue/grid-utils.js';
+import { DOOR_STATES, DOOR_SKILLS, getDoorTile, getPassableGrid } from '../../../src/rogue/doors.js';
+import { parseGrid } from '../helpers/grid.js';
+
+const BUILT_IN_GENERATORS = ['rooms', 'bsp', 'cellular', 'drunkard', 'maze'];
+
+/**
+ * Copy a dungeon's grid with every door, secret or not, standing open
+ */
+function openAllDoors(dungeon) {
+    const grid = dungeon.grid.map(row => [...row]);
+    for (const door of dungeon.doors) {
+        grid[door.position.y][door.position.x] = 'door';
+    }
+    return grid;
+}
 
 describe('Dungeon Generator', () => {
     describe('SeededRandom', () => {
@@ -185,6 +207,209 @@ describe('Dungeon Generator', () => {
         });
     });
 
+    describe('layout generators', () => {
+        it('should register the built-in generators', () => {
+            // Arrange & Act
+            const names = Object.keys(DUNGEON_GENERATORS);
+
+            // Assert
+            expect(names).toEqual(expect.arrayContaining(BUILT_IN_GENERATORS));
+        });
+
+        it.each(BUILT_IN_GENERATORS)('should build a connected %s level', name => {
+            for (const seed of [1, 2, 3]) {
+                const dungeon = generateDungeon(seed, 4, 40, 40, name);
+                const start = getPlayerStartPosition(dungeon);
+                const grid = openAllDoors(dungeon);
+
+                expect(dungeon.generator).toBe(name);
+                expect(dungeon.grid[start.y][start.x]).toBe('floor');
+                expect(findPath(grid, start, dungeon.stairsPosition).length).toBeGreaterThan(0);
+                for (const spawn of [...dungeon.enemySpawns, ...dungeon.itemSpawns]) {
+                    expect(dungeon.grid[spawn.position.y][spawn.position.x]).toBe('floor');
+                    expect(findPath(grid, start, spawn.position).length).toBeGreaterThan(0);
+                }
+            }
+        });
+
+        it.each(BUILT_IN_GENERATORS)('should build the same %s level from the same seed', name => {
+            const dungeon1 = generateDungeon(77, 4, 40, 40, name);
+            const dungeon2 = generateDungeon(77, 4, 40, 40, name);
+
+            expect(dungeon1.grid).toEqual(dungeon2.grid);
+            expect(dungeon1.enemySpawns).toEqual(dungeon2.enemySpawns);
+        });
+
+        it('should keep the outer edge walled', () => {
+            for (const name of BUILT_IN_GENERATORS) {
+                const { grid } = generateDungeon(5, 9, 40, 40, name);
+
+                expect(grid[0].every(tile => tile === 'wall')).toBe(true);
+                expect(grid[39].every(tile => tile === 'wall')).toBe(true);
+                expect(grid.every(row => row[0] === 'wall' && row[39] === 'wall')).toBe(true);
+            }
+        });
+
+        it('should throw for unknown generators', () => {
+            expect(() => generateDungeon(1, 1, 40, 40, 'volcano')).toThrow('Unknown dungeon generator: volcano');
+        });
+
+        it('should use registered generators', () => {
+            const generators = {};
+            registerDungeonGenerator('hall', () => {
+                const grid = parseGrid([
+                    '##########',
+                    '#........#',
+                    '##########'
+                ]);
+                return { grid, rooms: [new Room(0, 0, 3, 3), new Room(6, 0, 3, 3)] };
+            }, generators);
+
+            const dungeon = generateDungeon(1, 1, 10, 3, 'hall', generators);
+
+            expect(dungeon.stairsPosition).toEqual({ x: 7, y: 1 });
+            expect(getPlayerStartPosition(dungeon)).toEqual({ x: 1, y: 1 });
+        });
+
+        it('should throw when a generator never produces a valid layout', () => {
+            const generators = {};
+            registerDungeonGenerator('broken', () => ({ grid: parseGrid(['###']), rooms: [] }), generators);
+
+            expect(() => generateDungeon(1, 1, 3, 1, 'broken', generators)).toThrow('produced no valid layout');
+        });
+    });
+
+    describe('doors', () => {
+        it('should put doors in room layouts with matching tiles', () => {
+            // Arrange & Act
+            const dungeon = generateDungeon(1, 6, 40, 40, 'bsp');
+
+            // Assert
+            expect(dungeon.doors.length).toBeGreaterThan(0);
+            for (const door of dungeon.doors) {
+                expect(dungeon.grid[door.position.y][door.position.x]).toBe(getDoorTile(door.state));
+            }
+        });
+
+        it('should only place open and closed doors on the first level', () => {
+            for (const seed of [1, 2, 3, 4, 5]) {
+                const dungeon = generateDungeon(seed, 1);
+
+                for (const door of dungeon.doors) {
+                    expect([DOOR_STATES.OPEN, DOOR_STATES.CLOSED]).toContain(door.state);
+                }
+            }
+        });
+
+        it('should place a reachable key for every locked door', () => {
+            const dungeon = generateDungeon(1, 6, 40, 40, 'bsp');
+            const start = getPlayerStartPosition(dungeon);
+            const openGrid = getPassableGrid(dungeon.grid, dungeon.doors, DOOR_SKILLS.OPEN);
+
+            const locked = dungeon.doors.filter(door => door.state === DOOR_STATES.LOCKED);
+            const keys = dungeon.itemSpawns.filter(spawn => spawn.itemType === 'key');
+
+            expect(locked.length).toBeGreaterThan(0);
+            expect(keys).toHaveLength(locked.length);
+            for (const key of keys) {
+                const atStart = key.position.x === start.x && key.position.y === start.y;
+                expect(atStart || findPath(openGrid, start, key.position).length > 0).toBe(true);
+            }
+        });
+
+        it('should never hide the way to the stairs behind a secret door', () => {
+            for (const seed of [1, 2, 3, 4, 5]) {
+                const dungeon = generateDungeon(seed, 9, 40, 40, 'bsp');
+                const grid = getPassableGrid(dungeon.grid, dungeon.doors, DOOR_SKILLS.BASH);
+
+                expect(findPath(grid, getPlayerStartPosition(dungeon), dungeon.stairsPosition).length).toBeGreaterThan(0);
+            }
+        });
+
+        it('should not put doors in caves and mazes', () => {
+            for (const name of ['cellular', 'drunkard', 'maze']) {
+                expect(generateDungeon(1, 9, 40, 40, name).doors).toEqual([]);
+            }
+        });
+    });
+
+    describe('isLayoutValid', () => {
+        it('should accept connected layouts', () => {
+            const grid = parseGrid([
+                '#######',
+                '#.....#',
+                '#######'
+            ]);
+
+            expect(isLayoutValid({ grid, rooms: [new Room(0, 0, 3, 3), new Room(4, 0, 3, 3)] })).toBe(true);
+        });
+
+        it('should reject disconnected floor', () => {
+            const grid = parseGrid([
+                '#######',
+                '#..#..#',
+                '#######'
+            ]);
+
+            expect(isLayoutValid({ grid, rooms: [new Room(0, 0, 3, 3), new Room(4, 0, 3, 3)] })).toBe(false);
+        });
+
+        it('should reject rooms centered on walls', () => {
+            const grid = parseGrid([
+                '#######',
+                '#.....#',
+                '#######'
+            ]);
+
+            expect(isLayoutValid({ grid, rooms: [new Room(0, 0, 3, 3), new Room(4, 1, 3, 3)] })).toBe(false);
+        });
+
+        it('should reject layouts with fewer than two rooms', () => {
+            const grid = parseGrid(['#...#']);
+
+            expect(isLayoutValid({ grid, rooms: [new Room(0, -1, 3, 3)] })).toBe(false);
+        });
+    });
+
+    describe('selectGenerator', () => {
+        const bands = [
+            { minLevel: 1, generators: ['rooms'] },
+            { minLevel: 4, generators: ['maze'] },
+            { minLevel: 6, generators: ['bsp', 'cellular'] }
+        ];
+
+        it('should pick from the band for the level', () => {
+            expect(selectGenerator(1, 1, bands)).toBe('rooms');
+            expect(selectGenerator(1, 3, bands)).toBe('rooms');
+            expect(selectGenerator(1, 4, bands)).toBe('maze');
+            expect(['bsp', 'cellular']).toContain(selectGenerator(1, 20, bands));
+        });
+
+        it('should pick the same generator for the same run and level', () => {
+            expect(selectGenerator(9, 7)).toBe(selectGenerator(9, 7));
+        });
+
+        it('should vary generators within a band across runs', () => {
+            const picks = new Set();
+            for (let seed = 1; seed <= 20; seed++) {
+                picks.add(selectGenerator(seed, 6, bands));
+            }
+
+            expect(picks).toEqual(new Set(['bsp', 'cellular']));
+        });
+    });
+
+    describe('getLevelSeed', () => {
+        it('should use the run seed on the first level', () => {
+            expect(getLevelSeed(12345, 1)).toBe(12345);
+        });
+
+        it('should give each level its own seed', () => {
+            expect(getLevelSeed(12345, 2)).not.toBe(getLevelSeed(12345, 3));
+            expect(generateDungeon(12345, 2).grid).not.toEqual(generateDungeon(12345, 3).grid);
+        });
+    });
+
     describe('getPlayerStartPosition', () => {
         it('should return center of first room', () => {
             // Arrange
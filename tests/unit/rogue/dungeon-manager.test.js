@@ -0,0 +1,176 @@
+/**
+ * Unit tests for the dungeon manager
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+    LEVEL_DIRECTIONS,
+    generateLevel,
+    createLevelSnapshot,
+    restoreLevelSnapshot,
+    getArrivalPosition,
+    travelToLevel
+} from '../../../src/rogue/dungeon-manager.js';
+import { getPlayerStartPosition, Room } from '../../../src/rogue/dungeon-generator.js';
+import { createInitialState } from '../../../src/rogue/game-state.js';
+import { createWeapon } from '../../../src/rogue/entity-manager.js';
+import { createRunRandom } from '../../../src/rogue/rng.js';
+
+/**
+ * Build a state standing on a freshly generated level
+ */
+function createLevelState(seed = 42, levelNumber = 2) {
+    const level = generateLevel(seed, levelNumber, createRunRandom(seed));
+    const state = createInitialState(seed);
+    return {
+        ...state,
+        dungeon: level.dungeon,
+        entities: { enemies: level.enemies, items: level.items },
+        exploredTiles: new Set(['1,1', '2,1'])
+    };
+}
+
+describe('Dungeon Manager', () => {
+    describe('generateLevel', () => {
+        it('should put stairs up where the player arrives below the first level', () => {
+            // Arrange & Act
+            const level = generateLevel(42, 2, createRunRandom(42));
+
+            // Assert
+            const start = getPlayerStartPosition(level.dungeon);
+            expect(level.dungeon.stairsUpPosition).toEqual(start);
+            expect(level.dungeon.grid[start.y][start.x]).toBe('stairs_up');
+            expect(level.dungeon.grid[level.dungeon.stairsPosition.y][level.dungeon.stairsPosition.x]).toBe('stairs_down');
+        });
+
+        it('should not put stairs up on the first level', () => {
+            const level = generateLevel(42, 1, createRunRandom(42));
+
+            expect(level.dungeon.stairsUpPosition).toBeUndefined();
+            expect(level.dungeon.grid.flat()).not.toContain('stairs_up');
+        });
+
+        it('should spawn the level\'s enemies and items', () => {
+            const level = generateLevel(42, 2, createRunRandom(42));
+
+            expect(level.enemies.length).toBe(level.dungeon.enemySpawns.length);
+            expect(level.items.length).toBe(level.dungeon.itemSpawns.length);
+            expect(level.exploredTiles.size).toBe(0);
+        });
+
+        it('should open a shop with a peaceful shopkeeper and priced stock on some levels', () => {
+            const level = generateLevel(2, 2, createRunRandom(2));
+
+            const { shop } = level.dungeon;
+            const inShop = position => position.x >= shop.room.x && position.x < shop.room.x + shop.room.width &&
+                position.y >= shop.room.y && position.y < shop.room.y + shop.room.height;
+            const shopkeeper = level.enemies.find(enemy => enemy.id === shop.shopkeeperId);
+            const stock = level.items.filter(item => inShop(item.position));
+            expect(shop.level).toBe(2);
+            expect(shopkeeper.peaceful).toBe(true);
+            expect(inShop(shopkeeper.position)).toBe(true);
+            expect(stock.length).toBeGreaterThan(0);
+            expect(stock.every(item => item.price > 0)).toBe(true);
+            expect(level.enemies.filter(enemy => inShop(enemy.position))).toEqual([shopkeeper]);
+        });
+
+        it('should not open a shop on the first level', () => {
+            expect(generateLevel(2, 1, createRunRandom(2)).dungeon.shop).toBeNull();
+        });
+    });
+
+    describe('level snapshots', () => {
+        it('should round-trip a level through JSON', () => {
+            // Arrange
+            const state = createLevelState();
+
+            // Act
+            const snapshot = JSON.parse(JSON.stringify(createLevelSnapshot(state)));
+            const level = restoreLevelSnapshot(snapshot);
+
+            // Assert
+            expect(level.dungeon.grid).toEqual(state.dungeon.grid);
+            expect(level.dungeon.rooms[0]).toBeInstanceOf(Room);
+            expect(level.dungeon.rooms[0].center).toEqual(state.dungeon.rooms[0].center);
+            expect(level.enemies).toEqual(state.entities.enemies);
+            expect(level.items).toEqual(state.entities.items);
+            expect(level.exploredTiles).toEqual(state.exploredTiles);
+        });
+
+        it('should not share data with the live level', () => {
+            const state = createLevelState();
+            const snapshot = createLevelSnapshot(state);
+
+            state.dungeon.grid[0][0] = 'floor';
+            state.entities.enemies[0].hp = 0;
+
+            expect(snapshot.dungeon.grid[0][0]).toBe('wall');
+            expect(snapshot.enemies[0].hp).toBeGreaterThan(0);
+        });
+    });
+
+    describe('getArrivalPosition', () => {
+        it('should arrive on the stairs up when descending', () => {
+            const level = generateLevel(42, 3, createRunRandom(42));
+
+            expect(getArrivalPosition(level.dungeon, LEVEL_DIRECTIONS.DOWN)).toEqual(level.dungeon.stairsUpPosition);
+        });
+
+        it('should arrive on the stairs down when climbing', () => {
+            const level = generateLevel(42, 3, createRunRandom(42));
+
+            expect(getArrivalPosition(level.dungeon, LEVEL_DIRECTIONS.UP)).toEqual(level.dungeon.stairsPosition);
+        });
+
+        it('should arrive at the start of the first level', () => {
+            const level = generateLevel(42, 1, createRunRandom(42));
+
+            expect(getArrivalPosition(level.dungeon, LEVEL_DIRECTIONS.DOWN)).toEqual(getPlayerStartPosition(level.dungeon));
+        });
+    });
+
+    describe('travelToLevel', () => {
+        it('should cache the level being left', () => {
+            // Arrange
+            const state = createLevelState(42, 2);
+
+            // Act
+            const result = travelToLevel(state, 3, createRunRandom(7));
+
+            // Assert
+            expect(Object.keys(result.levels)).toEqual(['2']);
+            expect(result.levels[2].dungeon.grid).toEqual(state.dungeon.grid);
+            expect(result.arrival).toEqual(result.level.dungeon.stairsUpPosition);
+        });
+
+        it('should restore a cached level as it was left', () => {
+            const state = createLevelState(42, 2);
+            const sword = { ...createWeapon('Sword', [1, 8]), position: { x: 3, y: 3 } };
+            state.entities.items = [...state.entities.items, sword];
+            state.entities.enemies[0].isAlive = false;
+            const below = travelToLevel(state, 3, createRunRandom(7));
+            const belowState = {
+                ...state,
+                dungeon: below.level.dungeon,
+                levels: below.levels,
+                entities: { enemies: below.level.enemies, items: below.level.items },
+                exploredTiles: below.level.exploredTiles
+            };
+
+            const back = travelToLevel(belowState, 2, createRunRandom(7));
+
+            expect(back.level.items).toContainEqual(sword);
+            expect(back.level.enemies[0].isAlive).toBe(false);
+            expect(back.level.exploredTiles).toEqual(new Set(['1,1', '2,1']));
+            expect(back.arrival).toEqual(state.dungeon.stairsPosition);
+            expect(Object.keys(back.levels)).toEqual(['3']);
+        });
+
+        it('should not cache the empty level of a new run', () => {
+            const state = createInitialState(42);
+
+            const result = travelToLevel(state, 1, createRunRandom(42));
+
+            expect(result.levels).toEqual({});
+        });
+    });
+});
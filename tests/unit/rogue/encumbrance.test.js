@@ -0,0 +1,101 @@
+/**
+ * Unit tests for carry weight and encumbrance
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+    getDefaultItemWeight,
+    getItemWeight,
+    getCarriedWeight,
+    getCarryCapacity,
+    getEncumbrance,
+    getLoad
+} from '../../../src/rogue/encumbrance.js';
+import { ITEM_TYPES, CARRY_CAPACITY } from '../../../src/rogue/constants.js';
+import { createInitialState } from '../../../src/rogue/game-state.js';
+import { createArmor, createFood, createPotion } from '../../../src/rogue/entity-manager.js';
+import { createStatusEffect, STATUS_TYPES } from '../../../src/rogue/status-effects.js';
+
+/**
+ * Create a state carrying the given items
+ * @param {Array} items - Items to put in the first inventory slots
+ * @returns {object} Game state
+ */
+function createLoadedState(items) {
+    const state = createInitialState(1);
+    items.forEach((item, index) => {
+        state.inventory[index] = item;
+    });
+    return state;
+}
+
+describe('Encumbrance', () => {
+    describe('getItemWeight', () => {
+        it('should weigh a whole stack', () => {
+            // Arrange
+            const rations = { ...createFood('ration', 300), quantity: 3 };
+
+            // Act
+            const weight = getItemWeight(rations);
+
+            // Assert
+            expect(weight).toBe(60);
+        });
+
+        it('should fall back to the default weight for items without one', () => {
+            const { weight, ...potion } = createPotion('healing', 'red potion', {});
+
+            expect(getItemWeight(potion)).toBe(getDefaultItemWeight(ITEM_TYPES.POTION));
+            expect(getItemWeight(null)).toBe(0);
+        });
+    });
+
+    describe('getCarriedWeight', () => {
+        it('should count the inventory and worn equipment', () => {
+            const state = createLoadedState([createArmor('Chain Mail', 5)]);
+            state.player.equipment = { ...state.player.equipment, body: createArmor('Leather Armor', 2) };
+
+            expect(getCarriedWeight(state)).toBe(450);
+        });
+    });
+
+    describe('getCarryCapacity', () => {
+        it('should grow with level and strength', () => {
+            const player = {
+                ...createInitialState(1).player,
+                level: 3,
+                statusEffects: [createStatusEffect(STATUS_TYPES.STRENGTH, 10, 5)]
+            };
+
+            expect(getCarryCapacity(createInitialState(1).player)).toBe(CARRY_CAPACITY.base);
+            expect(getCarryCapacity(player)).toBe(CARRY_CAPACITY.base + 2 * CARRY_CAPACITY.perLevel + 5 * CARRY_CAPACITY.perStrength);
+        });
+    });
+
+    describe('getEncumbrance', () => {
+        it('should be unencumbered within capacity', () => {
+            const state = createLoadedState([createArmor('Plate Mail', 8)]);
+
+            expect(getEncumbrance(state)).toBeNull();
+        });
+
+        it('should pick the heaviest level the load passes', () => {
+            const plate = () => createArmor('Plate Mail', 8);
+
+            expect(getEncumbrance(createLoadedState([plate(), createArmor('Shield', 1)])).name).toBe('Burdened');
+            expect(getEncumbrance(createLoadedState([plate(), plate()])).name).toBe('Stressed');
+            expect(getEncumbrance(createLoadedState([plate(), plate(), plate()])).name).toBe('Overloaded');
+        });
+    });
+
+    describe('getLoad', () => {
+        it('should report weight, capacity and encumbrance', () => {
+            const state = createLoadedState([createArmor('Plate Mail', 8), createArmor('Chain Mail', 5)]);
+
+            expect(getLoad(state)).toEqual({
+                weight: 750,
+                capacity: 500,
+                encumbrance: expect.objectContaining({ name: 'Burdened' })
+            });
+        });
+    });
+});
@@ -0,0 +1,287 @@
+/**
+ * Unit tests for enemy abilities
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+    ABILITY_TYPES,
+    BREATH_SHAPES,
+    getEnemyAbilities,
+    isAbilityReady,
+    startCooldown,
+    tickCooldowns,
+    rollOnHitAbilities,
+    getKnockbackDestination,
+    getBreathArea,
+    findBreathAttack
+} from '../../../src/rogue/enemy-abilities.js';
+import { ENEMY_TYPES } from '../../../src/rogue/constants.js';
+import { STATUS_TYPES } from '../../../src/rogue/status-effects.js';
+import { createEnemy } from '../../../src/rogue/entity-manager.js';
+import { parseGrid } from '../helpers/grid.js';
+
+/**
+ * An open 11x11 room
+ */
+const ROOM = parseGrid([
+    '###########',
+    '#.........#',
+    '#.........#',
+    '#.........#',
+    '#.........#',
+    '#.........#',
+    '#.........#',
+    '#.........#',
+    '#.........#',
+    '#.........#',
+    '###########'
+]);
+
+/**
+ * RNG that always returns the same roll
+ */
+function createFixedRng(value) {
+    return { next: () => value };
+}
+
+const CONE = { id: 'cone', type: ABILITY_TYPES.BREATH, shape: BREATH_SHAPES.CONE, range: 3, angle: 90 };
+const LINE = { id: 'line', type: ABILITY_TYPES.BREATH, shape: BREATH_SHAPES.LINE, range: 3 };
+
+/**
+ * Turn a list of tiles into sorted "x,y" keys
+ */
+function keys(tiles) {
+    return tiles.map(tile => `${tile.x},${tile.y}`).sort();
+}
+
+describe('Enemy Abilities', () => {
+    describe('ENEMY_TYPES abilities', () => {
+        it('should give every ability an id and a known type', () => {
+            // Arrange
+            const abilities = Object.keys(ENEMY_TYPES).flatMap(getEnemyAbilities);
+
+            // Act
+            const ids = abilities.map(ability => ability.id);
+
+            // Assert
+            expect(abilities.length).toBeGreaterThan(0);
+            expect(new Set(ids).size).toBe(ids.length);
+            for (const ability of abilities) {
+                expect(Object.values(ABILITY_TYPES)).toContain(ability.type);
+            }
+        });
+
+        it('should only apply known status effects', () => {
+            const effects = Object.keys(ENEMY_TYPES)
+                .flatMap(getEnemyAbilities)
+                .filter(ability => ability.effect)
+                .map(ability => ability.effect.type);
+
+            for (const type of effects) {
+                expect(Object.values(STATUS_TYPES)).toContain(type);
+            }
+        });
+
+        it('should give spiders poison, golems stun and dragons breath', () => {
+            expect(getEnemyAbilities('GIANT_SPIDER')[0].effect.type).toBe(STATUS_TYPES.POISON);
+            expect(getEnemyAbilities('GOLEM')[0].effect.type).toBe(STATUS_TYPES.STUN);
+            expect(getEnemyAbilities('DRAGON')[0].type).toBe(ABILITY_TYPES.BREATH);
+        });
+
+        it('should return no abilities for plain or unknown enemies', () => {
+            expect(getEnemyAbilities('GOBLIN')).toEqual([]);
+            expect(getEnemyAbilities('NOPE')).toEqual([]);
+        });
+    });
+
+    describe('cooldowns', () => {
+        it('should start cooldowns for abilities that have one', () => {
+            // Arrange
+            const ability = { id: 'slam', cooldown: 3 };
+
+            // Act
+            const cooldowns = startCooldown({}, ability);
+
+            // Assert
+            expect(cooldowns).toEqual({ slam: 3 });
+            expect(isAbilityReady({ cooldowns }, ability)).toBe(false);
+        });
+
+        it('should leave abilities without a cooldown ready', () => {
+            const ability = { id: 'shove' };
+
+            const cooldowns = startCooldown({}, ability);
+
+            expect(isAbilityReady({ cooldowns }, ability)).toBe(true);
+        });
+
+        it('should count cooldowns down and drop finished ones', () => {
+            const cooldowns = tickCooldowns({ slam: 2, breath: 1 });
+
+            expect(cooldowns).toEqual({ slam: 1 });
+            expect(tickCooldowns(cooldowns)).toEqual({});
+        });
+
+        it('should treat enemies without cooldowns as ready', () => {
+            expect(isAbilityReady({}, { id: 'slam' })).toBe(true);
+            expect(tickCooldowns(undefined)).toEqual({});
+        });
+    });
+
+    describe('rollOnHitAbilities', () => {
+        it('should trigger abilities when the roll is under their chance', () => {
+            // Arrange
+            const spider = createEnemy('GIANT_SPIDER', { x: 1, y: 1 });
+
+            // Act
+            const triggered = rollOnHitAbilities(spider, createFixedRng(0.1));
+
+            // Assert
+            expect(triggered.map(ability => ability.id)).toEqual(['venomBite']);
+        });
+
+        it('should not trigger abilities when the roll misses', () => {
+            const spider = createEnemy('GIANT_SPIDER', { x: 1, y: 1 });
+
+            expect(rollOnHitAbilities(spider, createFixedRng(0.9))).toEqual([]);
+        });
+
+        it('should skip abilities on cooldown', () => {
+            const golem = createEnemy('GOLEM', { x: 1, y: 1 });
+            golem.cooldowns = { slam: 2 };
+
+            expect(rollOnHitAbilities(golem, createFixedRng(0))).toEqual([]);
+        });
+
+        it('should ignore breath abilities', () => {
+            const dragon = createEnemy('DRAGON', { x: 1, y: 1 });
+
+            expect(rollOnHitAbilities(dragon, createFixedRng(0))).toEqual([]);
+        });
+    });
+
+    describe('getKnockbackDestination', () => {
+        it('should push the target straight away from the attacker', () => {
+            // Arrange & Act
+            const landing = getKnockbackDestination({ x: 4, y: 5 }, { x: 5, y: 5 }, 2, ROOM);
+
+            // Assert
+            expect(landing).toEqual({ x: 7, y: 5 });
+        });
+
+        it('should push diagonally', () => {
+            const landing = getKnockbackDestination({ x: 4, y: 4 }, { x: 5, y: 5 }, 1, ROOM);
+
+            expect(landing).toEqual({ x: 6, y: 6 });
+        });
+
+        it('should stop at walls', () => {
+            const landing = getKnockbackDestination({ x: 7, y: 5 }, { x: 8, y: 5 }, 3, ROOM);
+
+            expect(landing).toEqual({ x: 9, y: 5 });
+        });
+
+        it('should return null when the target is against a wall', () => {
+            const landing = getKnockbackDestination({ x: 8, y: 5 }, { x: 9, y: 5 }, 1, ROOM);
+
+            expect(landing).toBeNull();
+        });
+
+        it('should stop at living enemies', () => {
+            const enemies = [createEnemy('GOBLIN', { x: 7, y: 5 })];
+
+            const landing = getKnockbackDestination({ x: 4, y: 5 }, { x: 5, y: 5 }, 3, ROOM, enemies);
+
+            expect(landing).toEqual({ x: 6, y: 5 });
+        });
+    });
+
+    describe('getBreathArea', () => {
+        it('should fan a cone out from the origin toward the target', () => {
+            // Arrange & Act
+            const tiles = getBreathArea({ x: 1, y: 5 }, { x: 3, y: 5 }, CONE, ROOM);
+
+            // Assert
+            expect(keys(tiles)).toEqual(keys([
+                { x: 2, y: 4 }, { x: 2, y: 5 }, { x: 2, y: 6 },
+                { x: 3, y: 3 }, { x: 3, y: 4 }, { x: 3, y: 5 }, { x: 3, y: 6 }, { x: 3, y: 7 },
+                { x: 4, y: 5 }
+            ]));
+        });
+
+        it('should keep a line one tile wide', () => {
+            const tiles = getBreathArea({ x: 1, y: 5 }, { x: 2, y: 5 }, LINE, ROOM);
+
+            expect(keys(tiles)).toEqual(['2,5', '3,5', '4,5']);
+        });
+
+        it('should aim lines diagonally', () => {
+            const tiles = getBreathArea({ x: 1, y: 1 }, { x: 2, y: 2 }, { ...LINE, range: 3 }, ROOM);
+
+            expect(keys(tiles)).toEqual(['2,2', '3,3']);
+        });
+
+        it('should not pass through walls', () => {
+            const grid = parseGrid([
+                '#######',
+                '#.....#',
+                '#..#..#',
+                '#.....#',
+                '#######'
+            ]);
+
+            const tiles = getBreathArea({ x: 1, y: 2 }, { x: 5, y: 2 }, { ...LINE, range: 5 }, grid);
+
+            expect(keys(tiles)).toEqual(['2,2']);
+        });
+
+        it('should cover nothing when aimed at the origin', () => {
+            expect(getBreathArea({ x: 1, y: 1 }, { x: 1, y: 1 }, CONE, ROOM)).toEqual([]);
+        });
+    });
+
+    describe('findBreathAttack', () => {
+        it('should breathe on a player in range', () => {
+            // Arrange
+            const dragon = createEnemy('DRAGON', { x: 1, y: 5 });
+
+            // Act
+            const breath = findBreathAttack(dragon, { x: 4, y: 5 }, ROOM);
+
+            // Assert
+            expect(breath.ability.id).toBe('fireBreath');
+            expect(breath.tiles).toContainEqual({ x: 4, y: 5 });
+        });
+
+        it('should not breathe on a player out of range', () => {
+            const dragon = createEnemy('DRAGON', { x: 1, y: 1 });
+
+            expect(findBreathAttack(dragon, { x: 9, y: 9 }, ROOM)).toBeNull();
+        });
+
+        it('should not breathe while on cooldown', () => {
+            const dragon = createEnemy('DRAGON', { x: 1, y: 5 });
+            dragon.cooldowns = { fireBreath: 3 };
+
+            expect(findBreathAttack(dragon, { x: 4, y: 5 }, ROOM)).toBeNull();
+        });
+
+        it('should not breathe at a player behind a wall', () => {
+            const grid = parseGrid([
+                '#######',
+                '#.....#',
+                '#..#..#',
+                '#.....#',
+                '#######'
+            ]);
+            const dragon = createEnemy('DRAGON', { x: 1, y: 2 });
+
+            expect(findBreathAttack(dragon, { x: 5, y: 2 }, grid)).toBeNull();
+        });
+
+        it('should never breathe for enemies without breath abilities', () => {
+            const goblin = createEnemy('GOBLIN', { x: 1, y: 5 });
+
+            expect(findBreathAttack(goblin, { x: 2, y: 5 }, ROOM)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,371 @@
+/**
+ * Unit tests for enemy AI
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+    AI_STATES,
+    AI_BEHAVIORS,
+    DEFAULT_AI_PROFILE,
+    getAIProfile,
+    createAIState,
+    assignGuardPosts,
+    canSeePlayer,
+    canHearNoise,
+    decideEnemyAction,
+    scareEnemy
+} from '../../../src/rogue/enemy-ai.js';
+import { createEnemy } from '../../../src/rogue/entity-manager.js';
+import { createStatusEffect, STATUS_TYPES } from '../../../src/rogue/status-effects.js';
+import { findPath } from '../../../src/rogue/grid-utils.js';
+import { parseGrid } from '../helpers/grid.js';
+
+/**
+ * An open 11x11 room
+ */
+const ROOM = parseGrid([
+    '###########',
+    '#.........#',
+    '#.........#',
+    '#.........#',
+    '#.........#',
+    '#.........#',
+    '#.........#',
+    '#.........#',
+    '#.........#',
+    '#.........#',
+    '###########'
+]);
+
+/**
+ * Two rooms split by a wall with a gap at the bottom
+ */
+const SPLIT = parseGrid([
+    '###########',
+    '#....#....#',
+    '#....#....#',
+    '#....#....#',
+    '#.........#',
+    '###########'
+]);
+
+/**
+ * RNG that always returns the same roll
+ */
+function createFixedRng(value) {
+    return { next: () => value };
+}
+
+/**
+ * Build a turn context
+ */
+function createContext(playerPosition, overrides = {}) {
+    return {
+        playerPosition,
+        grid: ROOM,
+        findPath,
+        playerEffects: [],
+        noise: null,
+        enemies: [],
+        rng: createFixedRng(0.5),
+        ...overrides
+    };
+}
+
+describe('Enemy AI', () => {
+    describe('getAIProfile', () => {
+        it('should merge the type profile over the defaults', () => {
+            // Arrange & Act
+            const profile = getAIProfile('RAT');
+
+            // Assert
+            expect(profile.behavior).toBe(AI_BEHAVIORS.HUNTER);
+            expect(profile.fleeAt).toBe(0.5);
+            expect(profile.memory).toBe(DEFAULT_AI_PROFILE.memory);
+        });
+
+        it('should fall back to the defaults for unknown types', () => {
+            expect(getAIProfile('UNKNOWN')).toEqual(DEFAULT_AI_PROFILE);
+        });
+
+        it('should give the requested types their behaviours', () => {
+            expect(getAIProfile('SLIME').behavior).toBe(AI_BEHAVIORS.WANDER);
+            expect(getAIProfile('SKELETON').behavior).toBe(AI_BEHAVIORS.PATROL);
+            expect(getAIProfile('GIANT_SPIDER').behavior).toBe(AI_BEHAVIORS.AMBUSH);
+            expect(getAIProfile('DRAGON').behavior).toBe(AI_BEHAVIORS.GUARD);
+            expect(getAIProfile('KOBOLD').behavior).toBe(AI_BEHAVIORS.PACK);
+        });
+    });
+
+    describe('createAIState', () => {
+        it('should start idle with its spawn point as home', () => {
+            const ai = createAIState({ x: 4, y: 7 });
+
+            expect(ai).toEqual({
+                state: AI_STATES.IDLE,
+                home: { x: 4, y: 7 },
+                lastKnownPlayer: null,
+                memory: 0,
+                waypoint: null
+            });
+        });
+
+        it('should be given to new enemies', () => {
+            const enemy = createEnemy('GOBLIN', { x: 2, y: 3 });
+
+            expect(enemy.ai.state).toBe(AI_STATES.IDLE);
+            expect(enemy.ai.home).toEqual({ x: 2, y: 3 });
+        });
+    });
+
+    describe('assignGuardPosts', () => {
+        it('should move a guard home onto nearby treasure', () => {
+            const dragon = createEnemy('DRAGON', { x: 5, y: 5 });
+            const items = [{ id: 'far', position: { x: 30, y: 30 } }, { id: 'near', position: { x: 7, y: 5 } }];
+
+            const [guard] = assignGuardPosts([dragon], items);
+
+            expect(guard.ai.home).toEqual({ x: 7, y: 5 });
+        });
+
+        it('should leave guards home when the treasure is far away', () => {
+            const dragon = createEnemy('DRAGON', { x: 5, y: 5 });
+
+            const [guard] = assignGuardPosts([dragon], [{ id: 'far', position: { x: 30, y: 30 } }]);
+
+            expect(guard).toBe(dragon);
+        });
+
+        it('should leave other behaviours alone', () => {
+            const goblin = createEnemy('GOBLIN', { x: 5, y: 5 });
+
+            const [result] = assignGuardPosts([goblin], [{ id: 'near', position: { x: 6, y: 5 } }]);
+
+            expect(result).toBe(goblin);
+        });
+    });
+
+    describe('perception', () => {
+        it('should see the player in range with a clear line of sight', () => {
+            const goblin = createEnemy('GOBLIN', { x: 1, y: 1 });
+
+            expect(canSeePlayer(goblin, getAIProfile('GOBLIN'), createContext({ x: 4, y: 3 }))).toBe(true);
+        });
+
+        it('should not see through walls', () => {
+            const goblin = createEnemy('GOBLIN', { x: 2, y: 2 });
+            const context = createContext({ x: 7, y: 2 }, { grid: SPLIT });
+
+            expect(canSeePlayer(goblin, getAIProfile('GOBLIN'), context)).toBe(false);
+        });
+
+        it('should not see past its sight range', () => {
+            const slime = createEnemy('SLIME', { x: 1, y: 1 });
+
+            expect(canSeePlayer(slime, getAIProfile('SLIME'), createContext({ x: 8, y: 8 }))).toBe(false);
+        });
+
+        it('should not see an invisible player', () => {
+            const goblin = createEnemy('GOBLIN', { x: 1, y: 1 });
+            const context = createContext({ x: 2, y: 1 }, {
+                playerEffects: [createStatusEffect(STATUS_TYPES.INVISIBILITY, 5)]
+            });
+
+            expect(canSeePlayer(goblin, getAIProfile('GOBLIN'), context)).toBe(false);
+        });
+
+        it('should hear noise scaled by its hearing', () => {
+            const rat = createEnemy('RAT', { x: 1, y: 1 });
+            const noise = { position: { x: 5, y: 1 }, radius: 3 };
+
+            expect(canHearNoise(rat, getAIProfile('RAT'), noise)).toBe(true);
+            expect(canHearNoise(rat, getAIProfile('GOBLIN'), noise)).toBe(false);
+            expect(canHearNoise(rat, getAIProfile('GIANT_SPIDER'), { ...noise, position: { x: 1, y: 2 } })).toBe(false);
+            expect(canHearNoise(rat, getAIProfile('RAT'), null)).toBe(false);
+        });
+    });
+
+    describe('decideEnemyAction', () => {
+        it('should hunt a player it sees', () => {
+            // Arrange
+            const goblin = createEnemy('GOBLIN', { x: 2, y: 2 });
+
+            // Act
+            const result = decideEnemyAction(goblin, createContext({ x: 5, y: 2 }));
+
+            // Assert
+            expect(result.ai.state).toBe(AI_STATES.HUNT);
+            expect(result.ai.lastKnownPlayer).toEqual({ x: 5, y: 2 });
+            expect(result.action).toBe('move');
+            expect(result.newPosition).toEqual({ x: 3, y: 2 });
+        });
+
+        it('should attack an adjacent player it is hunting', () => {
+            const goblin = createEnemy('GOBLIN', { x: 2, y: 2 });
+
+            const result = decideEnemyAction(goblin, createContext({ x: 3, y: 2 }));
+
+            expect(result.action).toBe('attack');
+            expect(result.target).toBe('player');
+        });
+
+        it('should stay idle when it neither sees nor hears the player', () => {
+            const goblin = createEnemy('GOBLIN', { x: 2, y: 2 });
+
+            const result = decideEnemyAction(goblin, createContext({ x: 7, y: 2 }, { grid: SPLIT }));
+
+            expect(result.ai.state).toBe(AI_STATES.IDLE);
+            expect(result.action).toBe('wait');
+        });
+
+        it('should investigate noise it hears through a wall', () => {
+            const goblin = createEnemy('GOBLIN', { x: 4, y: 2 });
+            const context = createContext({ x: 7, y: 2 }, {
+                grid: SPLIT,
+                noise: { position: { x: 7, y: 2 }, radius: 8 }
+            });
+
+            const result = decideEnemyAction(goblin, context);
+
+            expect(result.ai.state).toBe(AI_STATES.ALERT);
+            expect(result.ai.lastKnownPlayer).toEqual({ x: 7, y: 2 });
+            expect(result.action).toBe('move');
+            expect(result.newPosition).toEqual({ x: 4, y: 3 });
+        });
+
+        it('should search where it lost the player, then give up', () => {
+            const goblin = createEnemy('GOBLIN', { x: 4, y: 4 });
+            goblin.ai = { ...goblin.ai, state: AI_STATES.HUNT, lastKnownPlayer: { x: 4, y: 4 }, memory: 2 };
+            const context = createContext({ x: 7, y: 1 }, { grid: SPLIT });
+
+            const searching = decideEnemyAction(goblin, context);
+            const givenUp = decideEnemyAction({ ...goblin, ai: searching.ai }, context);
+
+            expect(searching.ai.state).toBe(AI_STATES.ALERT);
+            expect(givenUp.ai.state).toBe(AI_STATES.IDLE);
+            expect(givenUp.ai.lastKnownPlayer).toBeNull();
+        });
+
+        it('should flee at low HP', () => {
+            const rat = { ...createEnemy('RAT', { x: 4, y: 4 }), hp: 1 };
+
+            const result = decideEnemyAction(rat, createContext({ x: 5, y: 4 }));
+
+            expect(result.ai.state).toBe(AI_STATES.FLEE);
+            expect(result.newPosition).toEqual({ x: 3, y: 4 });
+        });
+
+        it('should fight back when cornered while fleeing', () => {
+            const rat = { ...createEnemy('RAT', { x: 1, y: 1 }), hp: 1 };
+            const corner = parseGrid([
+                '###',
+                '#..',
+                '###'
+            ]);
+
+            const result = decideEnemyAction(rat, createContext({ x: 2, y: 1 }, { grid: corner }));
+
+            expect(result.ai.state).toBe(AI_STATES.FLEE);
+            expect(result.action).toBe('attack');
+        });
+
+        it('should flee while scared, even at full HP', () => {
+            const rat = scareEnemy(createEnemy('RAT', { x: 4, y: 4 }), { x: 5, y: 4 }, 2);
+
+            const result = decideEnemyAction(rat, createContext({ x: 5, y: 4 }));
+
+            expect(result.ai.state).toBe(AI_STATES.FLEE);
+            expect(result.ai.scared).toBe(1);
+            expect(result.newPosition).toEqual({ x: 3, y: 4 });
+        });
+
+        it('should stop fleeing once the fright wears off', () => {
+            const rat = scareEnemy(createEnemy('RAT', { x: 4, y: 4 }), { x: 5, y: 4 }, 0);
+
+            const result = decideEnemyAction(rat, createContext({ x: 5, y: 4 }));
+
+            expect(result.ai.state).toBe(AI_STATES.HUNT);
+        });
+
+        it('should wander at random while idle', () => {
+            const slime = createEnemy('SLIME', { x: 5, y: 5 });
+            const far = { x: 1, y: 9 };
+
+            const moved = decideEnemyAction(slime, createContext(far, { rng: createFixedRng(0.1) }));
+            const waited = decideEnemyAction(slime, createContext(far, { rng: createFixedRng(0.9) }));
+
+            expect(moved.action).toBe('move');
+            expect(waited.action).toBe('wait');
+        });
+
+        it('should patrol toward waypoints near home', () => {
+            const skeleton = createEnemy('SKELETON', { x: 2, y: 2 });
+            const context = createContext({ x: 9, y: 9 }, { rng: createFixedRng(0.7) });
+
+            const result = decideEnemyAction(skeleton, context);
+
+            expect(result.ai.state).toBe(AI_STATES.IDLE);
+            expect(result.ai.waypoint).toEqual({ x: 5, y: 5 });
+            expect(result.action).toBe('move');
+        });
+
+        it('should ambush only when the player comes close', () => {
+            const spider = createEnemy('GIANT_SPIDER', { x: 2, y: 2 });
+
+            const waiting = decideEnemyAction(spider, createContext({ x: 6, y: 2 }));
+            const pouncing = decideEnemyAction(spider, createContext({ x: 4, y: 2 }));
+            const hurt = decideEnemyAction({ ...spider, hp: spider.hp - 1 }, createContext({ x: 6, y: 2 }));
+
+            expect(waiting.ai.state).toBe(AI_STATES.IDLE);
+            expect(waiting.action).toBe('wait');
+            expect(pouncing.ai.state).toBe(AI_STATES.HUNT);
+            expect(hurt.ai.state).toBe(AI_STATES.HUNT);
+        });
+
+        it('should only hunt intruders near its guard post', () => {
+            const dragon = createEnemy('DRAGON', { x: 2, y: 2 });
+            dragon.position = { x: 5, y: 5 };
+
+            const intruder = decideEnemyAction(dragon, createContext({ x: 4, y: 2 }));
+            const passerby = decideEnemyAction(dragon, createContext({ x: 9, y: 9 }));
+
+            expect(intruder.ai.state).toBe(AI_STATES.HUNT);
+            expect(passerby.ai.state).toBe(AI_STATES.IDLE);
+            expect(passerby.action).toBe('move');
+            expect(Math.abs(passerby.newPosition.x - 2) + Math.abs(passerby.newPosition.y - 2)).toBe(5);
+        });
+
+        it('should join a packmate hunt', () => {
+            const kobold = createEnemy('KOBOLD', { x: 2, y: 2 });
+            const packmate = createEnemy('KOBOLD', { x: 7, y: 2 });
+            packmate.ai = { ...packmate.ai, state: AI_STATES.HUNT, lastKnownPlayer: { x: 8, y: 1 } };
+            const context = createContext({ x: 8, y: 1 }, { grid: SPLIT, enemies: [kobold, packmate] });
+
+            const result = decideEnemyAction(kobold, context);
+
+            expect(result.ai.state).toBe(AI_STATES.ALERT);
+            expect(result.ai.lastKnownPlayer).toEqual({ x: 8, y: 1 });
+            expect(result.action).toBe('move');
+        });
+
+        it('should gather with its pack while idle', () => {
+            const kobold = createEnemy('KOBOLD', { x: 1, y: 1 });
+            const packmate = createEnemy('KOBOLD', { x: 1, y: 6 });
+            const context = createContext({ x: 9, y: 9 }, { enemies: [kobold, packmate], grid: ROOM });
+            const hidden = { ...context, playerEffects: [createStatusEffect(STATUS_TYPES.INVISIBILITY, 5)] };
+
+            const result = decideEnemyAction(kobold, hidden);
+
+            expect(result.ai.state).toBe(AI_STATES.IDLE);
+            expect(result.newPosition).toEqual({ x: 1, y: 2 });
+        });
+
+        it('should not mutate the enemy', () => {
+            const goblin = createEnemy('GOBLIN', { x: 2, y: 2 });
+            const before = JSON.parse(JSON.stringify(goblin));
+
+            decideEnemyAction(goblin, createContext({ x: 5, y: 2 }));
+
+            expect(goblin).toEqual(before);
+        });
+    });
+});
@@ -6,6 +6,9 @@ import {
     createEnemy,
     createWeapon,
     createArmor,
+    createLauncher,
+    createAmmo,
+    createSpellbook,
     createPotion,
     createScroll,
     createGold,
@@ -17,9 +20,12 @@ import {
     damageEntity,
     generateEnemyLoot,
     getRandomEnemyTypeForLevel,
-    isValidSpawnPosition
+    isValidSpawnPosition,
+    spawnAttractedEnemies
 } from '../../../src/rogue/entity-manager.js';
-import { ITEM_TYPES } from '../../../src/rogue/constants.js';
+import { ITEM_TYPES, MIN_ATTRACTED_ENEMIES, MAX_ATTRACTED_ENEMIES_RANGE } from '../../../src/rogue/constants.js';
+import { createRunRandom } from '../../../src/rogue/rng.js';
+import { createDiscoveries, discoverItem } from '../../../src/rogue/discoveries.js';
 
 describe('Entity Manager', () => {
     describe('createEnemy', () => {
@@ -106,6 +112,55 @@ describe('Entity Manager', () => {
         });
     });
 
+    describe('createLauncher', () => {
+        it('should create a weapon that fires ammunition', () => {
+            // Arrange & Act
+            const bow = createLauncher('Short Bow', [1, 2], 0, 'arrow', 8);
+
+            // Assert
+            expect(bow.type).toBe(ITEM_TYPES.WEAPON);
+            expect(bow.name).toBe('Short Bow');
+            expect(bow.ammo).toBe('arrow');
+            expect(bow.range).toBe(8);
+        });
+    });
+
+    describe('createAmmo', () => {
+        it('should create a stack of ammunition', () => {
+            // Arrange & Act
+            const arrows = createAmmo('arrow', 10);
+
+            // Assert
+            expect(arrows.type).toBe(ITEM_TYPES.AMMO);
+            expect(arrows.name).toBe('arrow');
+            expect(arrows.ammo).toBe('arrow');
+            expect(arrows.damage).toEqual([1, 6]);
+            expect(arrows.quantity).toBe(10);
+            expect(arrows.identified).toBe(true);
+        });
+
+        it('should throw for unknown ammo', () => {
+            expect(() => createAmmo('pebble')).toThrow('Unknown ammo type: pebble');
+        });
+    });
+
+    describe('createSpellbook', () => {
+        it('should create a book that teaches a spell', () => {
+            // Arrange & Act
+            const book = createSpellbook('blink');
+
+            // Assert
+            expect(book.type).toBe(ITEM_TYPES.SPELLBOOK);
+            expect(book.name).toBe('spellbook of blink');
+            expect(book.spell).toBe('blink');
+            expect(book.identified).toBe(true);
+        });
+
+        it('should throw for unknown spells', () => {
+            expect(() => createSpellbook('fireball')).toThrow('Unknown spell: fireball');
+        });
+    });
+
     describe('createArmor', () => {
         it('should create armor with AC bonus', () => {
             // Arrange & Act
@@ -118,6 +173,11 @@ describe('Entity Manager', () => {
             expect(armor.identified).toBe(true);
         });
 
+        it('should weigh armor by its name, or by its type', () => {
+            expect(createArmor('Chain Mail', 5).weight).toBe(300);
+            expect(createArmor('Mystery Armor', 2).weight).toBe(150);
+        });
+
         it('should have unique id', () => {
             const armor1 = createArmor('Armor 1', 3);
             const armor2 = createArmor('Armor 2', 3);
@@ -399,6 +459,27 @@ describe('Entity Manager', () => {
             expect(item.hungerRestore).toBeGreaterThan(0);
         });
 
+        it('should create a stack of ammunition from ammo spawn', () => {
+            const spawn = { itemType: 'ammo', position: { x: 4, y: 4 }, level: 1 };
+
+            const item = createItemFromSpawn(spawn, createRunRandom(5));
+
+            expect(item.type).toBe(ITEM_TYPES.AMMO);
+            expect(item.position).toEqual({ x: 4, y: 4 });
+            expect(item.quantity).toBeGreaterThanOrEqual(5);
+            expect(item.quantity).toBeLessThanOrEqual(12);
+        });
+
+        it('should create a spellbook from spellbook spawn', () => {
+            const spawn = { itemType: 'spellbook', position: { x: 4, y: 4 }, level: 1 };
+
+            const item = createItemFromSpawn(spawn, createRunRandom(5));
+
+            expect(item.type).toBe(ITEM_TYPES.SPELLBOOK);
+            expect(item.name).toBe(`spellbook of ${item.spell}`);
+            expect(item.position).toEqual({ x: 4, y: 4 });
+        });
+
         it('should create gold from gold spawn with level scaling', () => {
             const spawn1 = {
                 itemType: 'gold',
@@ -418,6 +499,46 @@ describe('Entity Manager', () => {
             expect(gold5.amount).toBeGreaterThan(gold1.amount);
         });
         
+        it('should roll hidden properties onto spawned weapons and armor', () => {
+            const spawn = { itemType: 'weapon', position: { x: 1, y: 1 }, level: 4 };
+            
+            const weapon = createItemFromSpawn(spawn, createRunRandom(3));
+            
+            expect(weapon.identified).toBe(false);
+            expect(weapon).toHaveProperty('enchantment');
+            expect(weapon).toHaveProperty('cursed');
+            expect(getItemDisplayName(weapon)).toBe(weapon.name);
+            expect(getItemDisplayName(identifyItem(weapon))).toContain(weapon.name);
+        });
+        
+        it('should create rings and amulets with stat bonuses', () => {
+            const ring = createItemFromSpawn({ itemType: 'ring', position: { x: 1, y: 1 }, level: 3 });
+            const amulet = createItemFromSpawn({ itemType: 'amulet', position: { x: 2, y: 2 }, level: 3 });
+            
+            expect(ring.type).toBe(ITEM_TYPES.RING);
+            expect(Object.keys(ring.bonuses).length).toBeGreaterThan(0);
+            expect(amulet.type).toBe(ITEM_TYPES.AMULET);
+            expect(amulet.name).toContain('Amulet');
+        });
+        
+        it('should give shields and helmets their own slots', () => {
+            // The last armor roll is the Iron Helm
+            const helm = createItemFromSpawn({ itemType: 'armor', position: { x: 1, y: 1 }, level: 1 }, { next: () => 0.99 });
+            
+            expect(helm.name).toBe('Iron Helm');
+            expect(helm.slot).toBe('head');
+        });
+        
+        it('should create keys from key spawns', () => {
+            const spawn = { itemType: 'key', position: { x: 3, y: 4 }, level: 2 };
+            
+            const key = createItemFromSpawn(spawn);
+            
+            expect(key.type).toBe(ITEM_TYPES.KEY);
+            expect(key.name).toBe('Iron Key');
+            expect(key.position).toEqual({ x: 3, y: 4 });
+        });
+        
         it('should create potions with prefixes', () => {
             const spawn = { itemType: 'potion', position: { x: 1, y: 1 }, level: 1 };
             
@@ -427,6 +548,27 @@ describe('Entity Manager', () => {
             expect(potion).toHaveProperty('prefix');
             expect(potion).toHaveProperty('trueType');
         });
+        
+        it('should give potions and scrolls the run\'s appearances', () => {
+            const discoveries = createDiscoveries(77);
+            
+            const potion = createItemFromSpawn({ itemType: 'potion', position: { x: 1, y: 1 }, level: 5 }, createRunRandom(3), discoveries);
+            const scroll = createItemFromSpawn({ itemType: 'scroll', position: { x: 1, y: 1 }, level: 5 }, createRunRandom(3), discoveries);
+            
+            expect(potion.appearance).toBe(discoveries.appearances.potion[potion.trueType]);
+            expect(scroll.appearance).toBe(discoveries.appearances.scroll[scroll.trueType]);
+        });
+        
+        it('should identify potions of kinds the player already knows', () => {
+            // The lowest roll picks healing
+            const fresh = createDiscoveries(77);
+            const discoveries = discoverItem(fresh, createPotion('healing', fresh.appearances.potion.healing, {}));
+            
+            const potion = createItemFromSpawn({ itemType: 'potion', position: { x: 1, y: 1 }, level: 5 }, { next: () => 0 }, discoveries);
+            
+            expect(potion.trueType).toBe('healing');
+            expect(potion.identified).toBe(true);
+        });
     });
     
     describe('generateEnemyLoot', () => {
@@ -475,6 +617,99 @@ describe('Entity Manager', () => {
         });
     });
     
+    describe('seeded generation', () => {
+        it('should assign sequential ids from the run rng', () => {
+            // Arrange
+            const rng = createRunRandom(1);
+            
+            // Act
+            const enemy = createEnemy('GOBLIN', { x: 1, y: 1 }, 1, rng);
+            const weapon = createWeapon('Dagger', [1, 4], 0, rng);
+            const gold = createGold(10, rng);
+            
+            // Assert
+            expect(enemy.id).toBe('enemy_1');
+            expect(weapon.id).toBe('weapon_2');
+            expect(gold.id).toBe('gold_3');
+        });
+
+        it('should create identical items from the same seed', () => {
+            const spawns = ['weapon', 'armor', 'potion', 'scroll', 'food', 'gold'].map(itemType => ({
+                itemType, position: { x: 2, y: 3 }, level: 4
+            }));
+            
+            const items1 = spawns.map(spawn => createItemFromSpawn(spawn, createRunRandom(77)));
+            const items2 = spawns.map(spawn => createItemFromSpawn(spawn, createRunRandom(77)));
+            
+            expect(items1).toEqual(items2);
+        });
+
+        it('should generate identical loot from the same seed', () => {
+            const enemy = { position: { x: 5, y: 5 }, type: 'GOBLIN' };
+            const rng1 = createRunRandom(42);
+            const rng2 = createRunRandom(42);
+            
+            const loot1 = Array.from({ length: 20 }, () => generateEnemyLoot(enemy, 2, rng1));
+            const loot2 = Array.from({ length: 20 }, () => generateEnemyLoot(enemy, 2, rng2));
+            
+            expect(loot1).toEqual(loot2);
+            expect(loot1.some(item => item !== null)).toBe(true);
+        });
+
+        it('should select identical enemy types from the same seed', () => {
+            const rng1 = createRunRandom(9);
+            const rng2 = createRunRandom(9);
+            
+            const types1 = Array.from({ length: 10 }, () => getRandomEnemyTypeForLevel(8, rng1));
+            const types2 = Array.from({ length: 10 }, () => getRandomEnemyTypeForLevel(8, rng2));
+            
+            expect(types1).toEqual(types2);
+        });
+    });
+
+    describe('spawnAttractedEnemies', () => {
+        const openGrid = () => Array(20).fill(null).map(() => Array(20).fill('floor'));
+
+        it('should spawn 2-4 enemies on valid tiles away from the player', () => {
+            // Arrange
+            const grid = openGrid();
+            const playerPosition = { x: 10, y: 10 };
+            
+            // Act
+            const spawned = spawnAttractedEnemies(playerPosition, grid, [], 1, createRunRandom(5));
+            
+            // Assert
+            expect(spawned.length).toBeGreaterThanOrEqual(MIN_ATTRACTED_ENEMIES);
+            expect(spawned.length).toBeLessThan(MIN_ATTRACTED_ENEMIES + MAX_ATTRACTED_ENEMIES_RANGE);
+            for (const enemy of spawned) {
+                const dist = Math.abs(enemy.position.x - 10) + Math.abs(enemy.position.y - 10);
+                expect(dist).toBeGreaterThanOrEqual(2);
+            }
+        });
+
+        it('should not stack spawned enemies on one tile', () => {
+            const spawned = spawnAttractedEnemies({ x: 10, y: 10 }, openGrid(), [], 1, createRunRandom(11));
+            
+            const keys = new Set(spawned.map(e => `${e.position.x},${e.position.y}`));
+            expect(keys.size).toBe(spawned.length);
+        });
+
+        it('should be deterministic for the same seed', () => {
+            const spawned1 = spawnAttractedEnemies({ x: 10, y: 10 }, openGrid(), [], 3, createRunRandom(8));
+            const spawned2 = spawnAttractedEnemies({ x: 10, y: 10 }, openGrid(), [], 3, createRunRandom(8));
+            
+            expect(spawned1).toEqual(spawned2);
+        });
+
+        it('should spawn nothing when there is no open floor', () => {
+            const grid = Array(20).fill(null).map(() => Array(20).fill('wall'));
+            
+            const spawned = spawnAttractedEnemies({ x: 10, y: 10 }, grid, [], 1, createRunRandom(2));
+            
+            expect(spawned).toEqual([]);
+        });
+    });
+    
     describe('getItemDisplayName with prefixes', () => {
         it('should display potion with prefix when identified', () => {
             const potion = createPotion('healing', 'red potion', {});
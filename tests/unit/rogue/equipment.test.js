@@ -0,0 +1,174 @@
+/**
+ * Unit tests for equipment slots and derived stats
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+    EQUIPMENT_SLOTS,
+    createEquipment,
+    createBaseStats,
+    getItemSlots,
+    isEquippable,
+    chooseEquipmentSlot,
+    getItemBonuses,
+    calculateStats,
+    refreshPlayerStats,
+    getEffectiveStats,
+    equipToSlot,
+    removeFromSlot,
+    getEquipmentDisplay
+} from '../../../src/rogue/equipment.js';
+import { createWeapon, createArmor, createRing, createAmulet, createPotion } from '../../../src/rogue/entity-manager.js';
+import { createStatusEffect, STATUS_TYPES } from '../../../src/rogue/status-effects.js';
+
+/**
+ * Build an unequipped player
+ */
+function createPlayer(overrides = {}) {
+    return refreshPlayerStats({ baseStats: createBaseStats(), equipment: createEquipment(), statusEffects: [], ...overrides });
+}
+
+describe('Equipment', () => {
+    describe('createEquipment', () => {
+        it('should start every slot empty', () => {
+            // Act
+            const equipment = createEquipment();
+
+            // Assert
+            expect(Object.keys(equipment)).toEqual(Object.values(EQUIPMENT_SLOTS));
+            expect(Object.values(equipment).every(item => item === null)).toBe(true);
+        });
+    });
+
+    describe('getItemSlots', () => {
+        it('should map each item type to the slots it fits', () => {
+            expect(getItemSlots(createWeapon('Dagger', [1, 4]))).toEqual(['mainHand']);
+            expect(getItemSlots(createArmor('Plate Mail', 5))).toEqual(['body']);
+            expect(getItemSlots(createArmor('Shield', 2, null, 'offHand'))).toEqual(['offHand']);
+            expect(getItemSlots(createArmor('Iron Helm', 2, null, 'head'))).toEqual(['head']);
+            expect(getItemSlots(createRing('Ring of Might', { damageBonus: 2 }))).toEqual(['ringLeft', 'ringRight']);
+            expect(getItemSlots(createAmulet('Amulet of Vision', { sightBonus: 4 }))).toEqual(['amulet']);
+        });
+
+        it('should not equip potions or nothing at all', () => {
+            expect(isEquippable(createPotion('healing', 'red potion'))).toBe(false);
+            expect(isEquippable(null)).toBe(false);
+        });
+    });
+
+    describe('chooseEquipmentSlot', () => {
+        it('should prefer a free slot and fall back to the first', () => {
+            const ring = createRing('Ring of Protection', { ac: 1 });
+
+            expect(chooseEquipmentSlot(createEquipment(), ring)).toBe('ringLeft');
+            expect(chooseEquipmentSlot({ ...createEquipment(), ringLeft: ring }, ring)).toBe('ringRight');
+            expect(chooseEquipmentSlot({ ...createEquipment(), ringLeft: ring, ringRight: ring }, ring)).toBe('ringLeft');
+        });
+
+        it('should honour a requested slot only if the item fits it', () => {
+            const ring = createRing('Ring of Protection', { ac: 1 });
+
+            expect(chooseEquipmentSlot(createEquipment(), ring, 'ringRight')).toBe('ringRight');
+            expect(chooseEquipmentSlot(createEquipment(), ring, 'amulet')).toBeNull();
+        });
+    });
+
+    describe('calculateStats', () => {
+        it('should add every equipped item to the base stats', () => {
+            // Arrange
+            const equipment = {
+                ...createEquipment(),
+                body: createArmor('Chain Mail', 3),
+                offHand: createArmor('Shield', 2, null, 'offHand'),
+                head: createArmor('Leather Cap', 1, null, 'head'),
+                ringLeft: createRing('Ring of Accuracy', { attackBonus: 2 }),
+                ringRight: createRing('Ring of Regeneration', { regen: 1 }),
+                amulet: createAmulet('Amulet of Vision', { sightBonus: 4 })
+            };
+
+            // Act
+            const stats = calculateStats({ ...createBaseStats(), attackBonus: 1 }, equipment);
+
+            // Assert
+            expect(stats).toEqual({ ac: 16, attackBonus: 3, damageBonus: 0, sightBonus: 4, regen: 1 });
+        });
+
+        it('should leave weapon bonuses to combat', () => {
+            expect(getItemBonuses(createWeapon('Long Sword', [1, 8], 2)).ac).toBe(0);
+            expect(calculateStats(createBaseStats(), { mainHand: createWeapon('Long Sword', [1, 8], 2) }).damageBonus).toBe(0);
+        });
+    });
+
+    describe('getEffectiveStats', () => {
+        it('should layer status effects over equipment', () => {
+            const player = createPlayer({
+                equipment: { ...createEquipment(), ringLeft: createRing('Ring of Might', { damageBonus: 2 }) },
+                statusEffects: [
+                    createStatusEffect(STATUS_TYPES.SKILL, 5, 3),
+                    createStatusEffect(STATUS_TYPES.STRENGTH, 5, 5),
+                    createStatusEffect(STATUS_TYPES.SIGHT, 5, 5)
+                ]
+            });
+
+            const stats = getEffectiveStats(player);
+
+            expect(stats.attackBonus).toBe(3);
+            expect(stats.damageBonus).toBe(7);
+            expect(stats.sightBonus).toBe(5);
+            // The stored stats stay equipment-only, since combat adds effects itself
+            expect(player.damageBonus).toBe(2);
+        });
+    });
+
+    describe('equipToSlot', () => {
+        it('should equip an item and recompute stats', () => {
+            const helm = createArmor('Iron Helm', 2, null, 'head');
+
+            const result = equipToSlot(createPlayer(), helm);
+
+            expect(result.slot).toBe('head');
+            expect(result.removed).toBeNull();
+            expect(result.player.equipment.head).toBe(helm);
+            expect(result.player.ac).toBe(12);
+        });
+
+        it('should hand back the item it replaces', () => {
+            const cap = createArmor('Leather Cap', 1, null, 'head');
+            const helm = createArmor('Iron Helm', 2, null, 'head');
+
+            const result = equipToSlot(equipToSlot(createPlayer(), cap).player, helm);
+
+            expect(result.removed).toBe(cap);
+            expect(result.player.ac).toBe(12);
+        });
+
+        it('should throw for items that cannot be equipped there', () => {
+            expect(() => equipToSlot(createPlayer(), createPotion('healing', 'red potion'))).toThrow('cannot be equipped');
+            expect(() => equipToSlot(createPlayer(), createWeapon('Dagger', [1, 4]), 'head')).toThrow('in head');
+        });
+    });
+
+    describe('removeFromSlot', () => {
+        it('should empty the slot and recompute stats', () => {
+            const amulet = createAmulet('Amulet of Warding', { ac: 2 });
+            const player = equipToSlot(createPlayer(), amulet).player;
+
+            const result = removeFromSlot(player, 'amulet');
+
+            expect(result.removed).toBe(amulet);
+            expect(result.player.equipment.amulet).toBeNull();
+            expect(result.player.ac).toBe(10);
+        });
+    });
+
+    describe('getEquipmentDisplay', () => {
+        it('should list every slot with what is worn there', () => {
+            const player = equipToSlot(createPlayer(), createWeapon('Mace', [2, 4])).player;
+
+            const lines = getEquipmentDisplay(player);
+
+            expect(lines).toHaveLength(7);
+            expect(lines[0]).toBe('1) Main hand: Mace');
+            expect(lines[6]).toBe('7) Amulet: -');
+        });
+    });
+});
@@ -0,0 +1,365 @@
+/**
+ * Unit tests for the headless game engine
+ */
+import { describe, it, expect } from '@jest/globals';
+import { createEngine, ENGINE_ACTIONS } from '../../../src/rogue/game-engine.js';
+import { GAME_EVENTS } from '../../../src/rogue/game-rules.js';
+import { verifyReplay } from '../../../src/rogue/replay.js';
+import { createWeapon, createScroll } from '../../../src/rogue/entity-manager.js';
+import { playFrames } from '../helpers/play-engine.js';
+
+describe('Game Engine', () => {
+    describe('createEngine', () => {
+        it('should start a run on dungeon level 1', () => {
+            // Arrange & Act
+            const engine = createEngine(42);
+
+            // Assert
+            const state = engine.getState();
+            expect(state.seed).toBe(42);
+            expect(state.dungeon.level).toBe(1);
+            expect(state.entities.enemies.length).toBeGreaterThan(0);
+        });
+
+        it('should start identical runs from the same seed', () => {
+            const engine1 = createEngine(42);
+            const engine2 = createEngine(42);
+
+            expect(engine1.getState().entities).toEqual(engine2.getState().entities);
+        });
+    });
+
+    describe('dispatch', () => {
+        it('should return the new state and events', () => {
+            const engine = createEngine(42);
+
+            const result = engine.dispatch({ type: ENGINE_ACTIONS.INTERACT });
+
+            expect(result.state).toBe(engine.getState());
+            expect(Array.isArray(result.events)).toBe(true);
+        });
+
+        it('should rotate the player', () => {
+            const engine = createEngine(42);
+
+            engine.dispatch({ type: ENGINE_ACTIONS.ROTATE, rotation: Math.PI });
+
+            expect(engine.getState().player.rotation).toBe(Math.PI);
+        });
+
+        it('should move the player', () => {
+            const engine = createEngine(42);
+            const start = engine.getState().player.worldPosition;
+
+            const result = engine.dispatch({
+                type: ENGINE_ACTIONS.MOVE,
+                worldPosition: { ...start, x: start.x + 0.05 },
+                distance: 0.05
+            });
+
+            expect(result.moved).toBe(true);
+            expect(engine.getState().player.worldPosition.x).toBeCloseTo(start.x + 0.05);
+        });
+
+        it('should apply inventory actions', () => {
+            const engine = createEngine(42);
+            engine.getState().inventory[0] = createWeapon('Mace', [1, 6]);
+
+            const equipped = engine.dispatch({ type: ENGINE_ACTIONS.EQUIP_ITEM, slot: 0 });
+
+            expect(equipped.performed).toBe(true);
+            expect(engine.getState().player.equipment.mainHand.name).toBe('Mace');
+        });
+
+        it('should drop and use items by slot', () => {
+            const engine = createEngine(42);
+            engine.getState().inventory[1] = createWeapon('Mace', [1, 6]);
+
+            const used = engine.dispatch({ type: ENGINE_ACTIONS.USE_ITEM, slot: 5 });
+            const dropped = engine.dispatch({ type: ENGINE_ACTIONS.DROP_ITEM, slot: 1 });
+
+            expect(used.performed).toBe(false);
+            expect(dropped.performed).toBe(true);
+            expect(dropped.events.some(e => e.type === GAME_EVENTS.ITEM_DROPPED)).toBe(true);
+        });
+
+        it('should record the target a scroll was read on', () => {
+            const engine = createEngine(42);
+            engine.getState().inventory[0] = createScroll('enchant weapon', 'gilded scroll', {});
+            engine.getState().inventory[1] = createWeapon('Mace', [1, 6]);
+
+            const read = engine.dispatch({ type: ENGINE_ACTIONS.USE_ITEM, slot: 0, target: { slot: 1 } });
+
+            expect(read.performed).toBe(true);
+            expect(engine.getState().inventory[1].enchantment).toBe(1);
+            expect(engine.getReplay().actions.at(-1)).toMatchObject({ type: ENGINE_ACTIONS.USE_ITEM, slot: 0, target: { slot: 1 } });
+        });
+
+        it('should record how many of a stack were dropped', () => {
+            const engine = createEngine(42);
+            engine.getState().inventory[0] = { ...createScroll('fire', 'torn scroll', {}), identified: true, quantity: 3 };
+
+            const dropped = engine.dispatch({ type: ENGINE_ACTIONS.DROP_ITEM, slot: 0, quantity: 1 });
+
+            expect(dropped.performed).toBe(true);
+            expect(engine.getState().inventory[0].quantity).toBe(2);
+            expect(engine.getReplay().actions.at(-1)).toMatchObject({ type: ENGINE_ACTIONS.DROP_ITEM, slot: 0, quantity: 1 });
+        });
+
+        it('should record the names the player calls items', () => {
+            const engine = createEngine(42);
+            engine.getState().inventory[0] = createScroll('fire', 'torn scroll', {});
+
+            const called = engine.dispatch({ type: ENGINE_ACTIONS.CALL_ITEM, slot: 0, name: 'boom' });
+
+            expect(called.performed).toBe(true);
+            expect(engine.getState().discoveries.called).toEqual({ 'torn scroll': 'boom' });
+            expect(engine.getReplay().actions.at(-1)).toMatchObject({ type: ENGINE_ACTIONS.CALL_ITEM, slot: 0, name: 'boom' });
+        });
+
+        it('should record what the player buys and sells', () => {
+            const engine = createEngine(42);
+            const state = engine.getState();
+            state.inventory[0] = createScroll('fire', 'torn scroll', {});
+
+            const bought = engine.dispatch({ type: ENGINE_ACTIONS.BUY_ITEM, target: { slot: 0 } });
+            const sold = engine.dispatch({ type: ENGINE_ACTIONS.SELL_ITEM, slot: 0 });
+
+            expect(bought.performed).toBe(false);
+            expect(sold.performed).toBe(false);
+            expect(engine.getReplay().actions.slice(-2)).toMatchObject([
+                { type: ENGINE_ACTIONS.BUY_ITEM, target: { slot: 0 } },
+                { type: ENGINE_ACTIONS.SELL_ITEM, slot: 0 }
+            ]);
+        });
+
+        it('should record shots and throws with the tile aimed at', () => {
+            const engine = createEngine(42);
+            const state = engine.getState();
+            state.inventory[0] = createWeapon('Dagger', [1, 4]);
+            const target = { ...state.player.position };
+
+            const fired = engine.dispatch({ type: ENGINE_ACTIONS.FIRE, target });
+            const thrown = engine.dispatch({ type: ENGINE_ACTIONS.THROW_ITEM, slot: 0, target });
+
+            expect(fired.performed).toBe(false);
+            expect(thrown.performed).toBe(true);
+            expect(engine.getReplay().actions.slice(-2)).toMatchObject([
+                { type: ENGINE_ACTIONS.FIRE, target },
+                { type: ENGINE_ACTIONS.THROW_ITEM, slot: 0, target }
+            ]);
+        });
+
+        it('should record spells cast with the tile aimed at, if any', () => {
+            const engine = createEngine(42);
+            const state = engine.getState();
+            state.player.spells = ['heal', 'blink'];
+            const target = { ...state.player.position };
+
+            engine.dispatch({ type: ENGINE_ACTIONS.CAST_SPELL, spell: 'heal', target: null });
+            engine.dispatch({ type: ENGINE_ACTIONS.CAST_SPELL, spell: 'blink', target });
+
+            const [heal, blink] = engine.getReplay().actions.slice(-2);
+            expect(heal).toMatchObject({ type: ENGINE_ACTIONS.CAST_SPELL, spell: 'heal' });
+            expect(heal).not.toHaveProperty('target');
+            expect(blink).toMatchObject({ type: ENGINE_ACTIONS.CAST_SPELL, spell: 'blink', target });
+        });
+
+        it('should record grid steps so replays walk the same tiles', () => {
+            const engine = createEngine(42);
+            const { position } = engine.getState().player;
+            const directions = [{ dx: 1, dy: 0 }, { dx: -1, dy: 0 }, { dx: 0, dy: 1 }, { dx: 0, dy: -1 }];
+            const direction = directions.find(({ dx, dy }) =>
+                engine.getState().dungeon.grid[position.y + dy][position.x + dx] === 'floor');
+
+            engine.dispatch({ type: ENGINE_ACTIONS.STEP, direction });
+            engine.dispatch({ type: ENGINE_ACTIONS.STEP, direction: { dx: -direction.dx, dy: -direction.dy } });
+
+            const actions = engine.getReplay().actions.filter(action => action.type === ENGINE_ACTIONS.STEP);
+            expect(actions).toEqual([
+                { type: ENGINE_ACTIONS.STEP, turn: 0, ...direction },
+                { type: ENGINE_ACTIONS.STEP, turn: 1, dx: -direction.dx, dy: -direction.dy }
+            ]);
+            expect(engine.getState().turnCount).toBe(2);
+            expect(verifyReplay(engine.getReplay()).matches).toBe(true);
+        });
+
+        it('should not record steps the rules reject', () => {
+            const engine = createEngine(42);
+
+            expect(() => engine.dispatch({ type: ENGINE_ACTIONS.STEP, direction: { dx: 2, dy: 0 } }))
+                .toThrow('Invalid step direction');
+
+            expect(engine.getReplay().actions).toEqual([]);
+            expect(verifyReplay(engine.getReplay()).matches).toBe(true);
+        });
+
+        it('should throw on unknown actions', () => {
+            const engine = createEngine(42);
+
+            expect(() => engine.dispatch({ type: 'fly' })).toThrow('Unknown engine action');
+        });
+
+        it('should ignore discrete actions after game over', () => {
+            const engine = createEngine(42);
+            playFrames(engine, 20000);
+            const before = engine.getReplay().actions.length;
+
+            const result = engine.dispatch({ type: ENGINE_ACTIONS.INTERACT });
+
+            expect(engine.getState().gameOver).toBe(true);
+            expect(result.performed).toBe(false);
+            expect(engine.getReplay().actions.length).toBe(before);
+        });
+    });
+
+    describe('subscribe', () => {
+        it('should notify listeners of events with the new state', () => {
+            // Arrange
+            const engine = createEngine(42);
+            const received = [];
+            engine.subscribe((events, state) => received.push({ events, state }));
+
+            // Act
+            engine.dispatch({ type: ENGINE_ACTIONS.INTERACT });
+
+            // Assert
+            expect(received).toHaveLength(1);
+            expect(received[0].state).toBe(engine.getState());
+            expect(received[0].events[0].type).toBe(GAME_EVENTS.LOG);
+        });
+
+        it('should not notify listeners when nothing happened', () => {
+            const engine = createEngine(42);
+            let calls = 0;
+            engine.subscribe(() => calls++);
+
+            engine.dispatch({ type: ENGINE_ACTIONS.ROTATE, rotation: 1 });
+
+            expect(calls).toBe(0);
+        });
+
+        it('should stop notifying after unsubscribe', () => {
+            const engine = createEngine(42);
+            let calls = 0;
+            const unsubscribe = engine.subscribe(() => calls++);
+
+            unsubscribe();
+            engine.dispatch({ type: ENGINE_ACTIONS.INTERACT });
+
+            expect(calls).toBe(0);
+        });
+    });
+
+    describe('game loop', () => {
+        it('should play a run through combat, descents and death', () => {
+            const engine = createEngine(1);
+            const eventTypes = new Set();
+            engine.subscribe(events => events.forEach(e => eventTypes.add(e.type)));
+
+            playFrames(engine, 20000);
+
+            const state = engine.getState();
+            expect(state.dungeon.level).toBeGreaterThan(1);
+            expect(state.gameOver).toBe(true);
+            expect(eventTypes.has(GAME_EVENTS.LEVEL_LOADED)).toBe(true);
+            expect(eventTypes.has(GAME_EVENTS.TURN_ADVANCED)).toBe(true);
+            expect(eventTypes.has(GAME_EVENTS.ENEMY_MOVED)).toBe(true);
+        });
+
+        it('should award XP, level-ups and kills as enemies die', () => {
+            const engine = createEngine(1);
+            engine.getState().player.xp = 95; // The first kill levels up
+            let kills = 0;
+            let xpEarned = 0;
+            let levelUps = 0;
+            engine.subscribe(events => {
+                for (const event of events) {
+                    if (event.type === GAME_EVENTS.ENEMY_KILLED) {
+                        kills++;
+                        xpEarned += event.xp;
+                    }
+                    if (event.type === GAME_EVENTS.LEVEL_UP) levelUps++;
+                }
+            });
+
+            playFrames(engine, 20000);
+
+            const player = engine.getState().player;
+            expect(kills).toBeGreaterThan(0);
+            expect(engine.getState().statistics.kills).toBe(kills);
+            expect(player.level).toBe(2);
+            expect(levelUps).toBe(1);
+            expect(player.attackBonus).toBe(1);
+            expect(player.xp).toBe(95 + xpEarned - 100);
+        });
+
+        it('should record a replay that reproduces the run', () => {
+            const engine = createEngine(12345);
+            playFrames(engine, 3000);
+
+            const result = verifyReplay(engine.getReplay());
+
+            expect(result.matches).toBe(true);
+        });
+    });
+
+    describe('save data', () => {
+        it('should restore a saved run', () => {
+            // Arrange
+            const engine = createEngine(12345);
+            playFrames(engine, 1500);
+            const saved = engine.getSaveData();
+            const restoredEngine = createEngine(1);
+
+            // Act
+            restoredEngine.restore(JSON.parse(JSON.stringify(saved)));
+
+            // Assert
+            expect(restoredEngine.getState().turnCount).toBe(engine.getState().turnCount);
+            expect(restoredEngine.getState().player).toEqual(engine.getState().player);
+            expect(restoredEngine.getState().entities).toEqual(engine.getState().entities);
+        });
+
+        it('should continue identically after a restore', () => {
+            const engine = createEngine(12345);
+            playFrames(engine, 1500);
+            const restoredEngine = createEngine(1);
+            restoredEngine.restore(engine.getSaveData());
+
+            playFrames(engine, 1500);
+            playFrames(restoredEngine, 1500);
+
+            expect(restoredEngine.getState().player).toEqual(engine.getState().player);
+            expect(restoredEngine.getState().turnCount).toBe(engine.getState().turnCount);
+        });
+
+        it('should keep the replay across a restore', () => {
+            const engine = createEngine(12345);
+            playFrames(engine, 1500);
+            const restoredEngine = createEngine(1);
+            restoredEngine.restore(engine.getSaveData());
+
+            playFrames(restoredEngine, 1500);
+
+            expect(verifyReplay(restoredEngine.getReplay()).matches).toBe(true);
+        });
+
+        it('should announce the restored level to listeners', () => {
+            const engine = createEngine(12345);
+            const restoredEngine = createEngine(1);
+            const received = [];
+            restoredEngine.subscribe(events => received.push(...events));
+
+            restoredEngine.restore(engine.getSaveData());
+
+            expect(received).toEqual([{ type: GAME_EVENTS.LEVEL_LOADED, level: 1 }]);
+        });
+
+        it('should throw on invalid save data', () => {
+            const engine = createEngine(1);
+
+            expect(() => engine.restore(null)).toThrow('Invalid save data');
+        });
+    });
+});
@@ -0,0 +1,1724 @@
+/**
+ * Unit tests for game rules
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+    GAME_EVENTS,
+    startRun,
+    loadLevel,
+    getTargetTile,
+    enterTile,
+    movePlayer,
+    stepPlayer,
+    resolveTurn,
+    processEnemies,
+    interact,
+    resolveKill,
+    registerKillHook,
+    useInventoryItem,
+    equipInventoryItem,
+    unequipPlayerItem,
+    dropInventoryItem,
+    callInventoryItem,
+    buyShopItem,
+    sellShopItem,
+    fireLauncher,
+    throwInventoryItem,
+    castSpell
+} from '../../../src/rogue/game-rules.js';
+import { REGEN_INTERVAL } from '../../../src/rogue/constants.js';
+import { createInitialState } from '../../../src/rogue/game-state.js';
+import {
+    createEnemy,
+    createGold,
+    createPotion,
+    createWeapon,
+    createArmor,
+    createAmulet,
+    createScroll,
+    createKey,
+    createFood,
+    createLauncher,
+    createAmmo,
+    createSpellbook
+} from '../../../src/rogue/entity-manager.js';
+import { createDoor, getDoorTile, DOOR_STATES } from '../../../src/rogue/doors.js';
+import { createStatusEffect, STATUS_TYPES } from '../../../src/rogue/status-effects.js';
+import { gridToWorld } from '../../../src/rogue/grid-utils.js';
+import { AI_STATES } from '../../../src/rogue/enemy-ai.js';
+import { createRunRandom } from '../../../src/rogue/rng.js';
+import { discoverItem } from '../../../src/rogue/discoveries.js';
+
+/**
+ * RNG that always returns the same roll (0.99 gives natural 20s and no loot)
+ */
+function createFixedRng(value = 0.99) {
+    let id = 0;
+    return {
+        next: () => value,
+        nextId: prefix => `${prefix}_fixed_${++id}`
+    };
+}
+
+/**
+ * RNG that returns the given rolls in order, then the fallback forever
+ */
+function createSequenceRng(values, fallback = 0.99) {
+    const fixed = createFixedRng(fallback);
+    let index = 0;
+    return { ...fixed, next: () => (index < values.length ? values[index++] : fallback) };
+}
+
+/**
+ * Build a state on a 9x9 walled room with stairs in the corner
+ */
+function createRoomState() {
+    const state = createInitialState(1);
+    const grid = [];
+    for (let y = 0; y < 9; y++) {
+        const row = [];
+        for (let x = 0; x < 9; x++) {
+            row.push(x === 0 || y === 0 || x === 8 || y === 8 ? 'wall' : 'floor');
+        }
+        grid.push(row);
+    }
+    grid[7][7] = 'stairs_down';
+
+    const world = gridToWorld(2, 2);
+    return {
+        ...state,
+        dungeon: { level: 1, grid, rooms: [], stairsPosition: { x: 7, y: 7 }, width: 9, height: 9 },
+        player: {
+            ...state.player,
+            position: { x: 2, y: 2 },
+            worldPosition: { x: world.x, y: 1.6, z: world.z }
+        }
+    };
+}
+
+/**
+ * Put a door on the room state's grid
+ */
+function addDoor(state, position, doorState = DOOR_STATES.CLOSED) {
+    const door = createDoor(position, doorState);
+    state.dungeon.grid[position.y][position.x] = getDoorTile(doorState);
+    state.dungeon.doors = [...(state.dungeon.doors || []), door];
+    return door;
+}
+
+/**
+ * Split the room state in two with a wall down column 4, a door at (4, 2)
+ * and the player at (3, 2) facing it
+ */
+function createDividedRoomState(doorState = DOOR_STATES.CLOSED) {
+    const state = createRoomState();
+    for (let y = 1; y < 8; y++) {
+        state.dungeon.grid[y][4] = 'wall';
+    }
+    addDoor(state, { x: 4, y: 2 }, doorState);
+    state.player.position = { x: 3, y: 2 };
+    state.player.rotation = -Math.PI / 2;
+    return state;
+}
+
+/**
+ * Find log messages in a list of events
+ */
+function logMessages(events) {
+    return events.filter(e => e.type === GAME_EVENTS.LOG).map(e => e.message);
+}
+
+describe('Game Rules', () => {
+    describe('startRun', () => {
+        it('should load the first dungeon level', () => {
+            // Arrange & Act
+            const { state, rng, events } = startRun(42);
+
+            // Assert
+            expect(state.seed).toBe(42);
+            expect(state.dungeon.level).toBe(1);
+            expect(state.entities.enemies.length).toBe(state.dungeon.enemySpawns.length);
+            expect(rng).toBeDefined();
+            expect(events[0]).toEqual({ type: GAME_EVENTS.LEVEL_LOADED, level: 1 });
+        });
+
+        it('should start identical runs from the same seed', () => {
+            const run1 = startRun(42);
+            const run2 = startRun(42);
+
+            expect(run1.state.entities).toEqual(run2.state.entities);
+            expect(run1.state.player).toEqual(run2.state.player);
+        });
+    });
+
+    describe('loadLevel', () => {
+        it('should place the player and reveal the start', () => {
+            const { state, rng } = startRun(42);
+
+            const result = loadLevel(state, 2, rng);
+
+            expect(result.state.dungeon.level).toBe(2);
+            expect(result.state.visibleTiles.size).toBeGreaterThan(0);
+            expect(result.state.exploredTiles.size).toBe(result.state.visibleTiles.size);
+            expect(result.state.statistics.deepestLevel).toBe(2);
+        });
+
+        it('should arrive on the stairs up of a new level', () => {
+            const { state, rng } = startRun(42);
+
+            const result = loadLevel(state, 2, rng);
+
+            const { position } = result.state.player;
+            expect(result.state.dungeon.grid[position.y][position.x]).toBe('stairs_up');
+            expect(Object.keys(result.state.levels)).toEqual(['1']);
+        });
+
+        it('should restore a visited level as the player left it', () => {
+            const { state, rng } = startRun(42);
+            const sword = { ...createWeapon('Sword', [1, 8]), position: { x: 1, y: 1 } };
+            state.entities.items = [...state.entities.items, sword];
+            state.entities.enemies[0].isAlive = false;
+            const below = loadLevel(state, 2, rng).state;
+
+            const result = loadLevel(below, 1, rng);
+
+            expect(result.state.dungeon.grid).toEqual(state.dungeon.grid);
+            expect(result.state.entities.items).toContainEqual(sword);
+            expect(result.state.entities.enemies[0].isAlive).toBe(false);
+            expect(result.state.player.position).toEqual(state.dungeon.stairsPosition);
+            expect([...state.exploredTiles].every(key => result.state.exploredTiles.has(key))).toBe(true);
+            expect(Object.keys(result.state.levels)).toEqual(['2']);
+        });
+    });
+
+    describe('getTargetTile', () => {
+        it('should target the tile in front of the player', () => {
+            const state = createRoomState();
+
+            expect(getTargetTile(state)).toEqual({ x: 2, y: 1 });
+            expect(getTargetTile({ ...state, player: { ...state.player, rotation: Math.PI } }))
+                .toEqual({ x: 2, y: 3 });
+            expect(getTargetTile({ ...state, player: { ...state.player, rotation: Math.PI / 2 } }))
+                .toEqual({ x: 1, y: 2 });
+        });
+    });
+
+    describe('enterTile', () => {
+        it('should update grid position and visibility', () => {
+            const state = createRoomState();
+
+            const result = enterTile(state, { x: 3, y: 2 });
+
+            expect(result.state.player.position).toEqual({ x: 3, y: 2 });
+            expect(result.state.visibleTiles.has('3,2')).toBe(true);
+            expect(result.state.exploredTiles.has('3,2')).toBe(true);
+        });
+
+        it('should announce stairs', () => {
+            const state = createRoomState();
+
+            const result = enterTile(state, { x: 7, y: 7 });
+
+            expect(logMessages(result.events)).toContain('🎯 You found the stairs down!');
+        });
+    });
+
+    describe('movePlayer', () => {
+        it('should move within the current tile', () => {
+            // Arrange
+            const state = createRoomState();
+            const target = { ...state.player.worldPosition, x: state.player.worldPosition.x + 0.1 };
+
+            // Act
+            const result = movePlayer(state, target, 0.1, createFixedRng());
+
+            // Assert
+            expect(result.moved).toBe(true);
+            expect(result.cellChanged).toBe(false);
+            expect(result.state.player.worldPosition).toEqual(target);
+            expect(result.state.accumulatedMovement).toBeCloseTo(0.1);
+        });
+
+        it('should enter a new tile', () => {
+            const state = createRoomState();
+            const world = gridToWorld(3, 2);
+
+            const result = movePlayer(state, { x: world.x, y: 1.6, z: world.z }, 0.5, createFixedRng());
+
+            expect(result.cellChanged).toBe(true);
+            expect(result.state.player.position).toEqual({ x: 3, y: 2 });
+        });
+
+        it('should be blocked by walls', () => {
+            const state = createRoomState();
+            const world = gridToWorld(0, 2);
+
+            const result = movePlayer(state, { x: world.x, y: 1.6, z: world.z }, 0.5, createFixedRng());
+
+            expect(result.moved).toBe(false);
+            expect(result.state).toBe(state);
+        });
+
+        it('should be blocked by living enemies', () => {
+            const state = createRoomState();
+            state.entities.enemies = [createEnemy('GOBLIN', { x: 3, y: 2 })];
+            const world = gridToWorld(3, 2);
+
+            const result = movePlayer(state, { x: world.x, y: 1.6, z: world.z }, 0.5, createFixedRng());
+
+            expect(result.moved).toBe(false);
+        });
+
+        it('should not move after game over', () => {
+            const state = { ...createRoomState(), gameOver: true };
+
+            const result = movePlayer(state, state.player.worldPosition, 0.5, createFixedRng());
+
+            expect(result.moved).toBe(false);
+        });
+
+        it('should advance the turn when the movement threshold is crossed', () => {
+            const state = { ...createRoomState(), accumulatedMovement: 1.95 };
+            const target = { ...state.player.worldPosition, x: state.player.worldPosition.x + 0.1 };
+
+            const result = movePlayer(state, target, 0.1, createFixedRng());
+
+            expect(result.turnAdvanced).toBe(true);
+            expect(result.state.turnCount).toBe(1);
+            expect(result.state.accumulatedMovement).toBe(0);
+            expect(result.events).toContainEqual({ type: GAME_EVENTS.TURN_ADVANCED, turn: 1 });
+        });
+
+        it('should keep a stunned player in place and lose the turn their movement adds up to', () => {
+            const state = { ...createRoomState(), accumulatedMovement: 1.5 };
+            state.player.statusEffects = [createStatusEffect(STATUS_TYPES.STUN, 2)];
+            const world = gridToWorld(3, 2);
+            const target = { x: world.x, y: 1.6, z: world.z };
+
+            const short = movePlayer(state, target, 0.1, createFixedRng());
+            const result = movePlayer(state, target, 0.5, createFixedRng());
+
+            expect(short.moved).toBe(false);
+            expect(short.state.player.position).toEqual({ x: 2, y: 2 });
+            expect(short.state.accumulatedMovement).toBeCloseTo(1.6);
+            expect(result.moved).toBe(false);
+            expect(result.turnAdvanced).toBe(true);
+            expect(result.state.player.position).toEqual({ x: 2, y: 2 });
+            expect(result.state.turnCount).toBe(1);
+            expect(logMessages(result.events)[0]).toBe('💫 You are stunned and cannot act!');
+        });
+
+        it('should enter combat mode near a visible enemy', () => {
+            const state = createRoomState();
+            state.entities.enemies = [createEnemy('GOBLIN', { x: 5, y: 2 })];
+            state.visibleTiles = new Set(['5,2']);
+            const target = { ...state.player.worldPosition, x: state.player.worldPosition.x + 0.1 };
+
+            const result = movePlayer(state, target, 0.1, createFixedRng());
+
+            expect(result.state.inCombatMode).toBe(true);
+            expect(logMessages(result.events)).toContain('⚔️ Entered combat mode!');
+        });
+    });
+
+    describe('stepPlayer', () => {
+        it('should move to the center of the next tile and take exactly one turn', () => {
+            // Arrange
+            const state = { ...createRoomState(), accumulatedMovement: 1.2 };
+            state.player.worldPosition.x += 0.4;
+
+            // Act
+            const result = stepPlayer(state, { dx: 1, dy: 1 }, createFixedRng());
+
+            // Assert
+            const world = gridToWorld(3, 3);
+            expect(result.performed).toBe(true);
+            expect(result.state.player.position).toEqual({ x: 3, y: 3 });
+            expect(result.state.player.worldPosition).toEqual({ x: world.x, y: 1.6, z: world.z });
+            expect(result.state.turnCount).toBe(1);
+            expect(result.state.accumulatedMovement).toBe(0);
+            expect(result.events).toContainEqual({ type: GAME_EVENTS.PLAYER_STEPPED, from: { x: 2, y: 2 }, to: { x: 3, y: 3 } });
+        });
+
+        it('should be blocked by walls and creatures without taking a turn', () => {
+            const state = createRoomState();
+            state.player.position = { x: 1, y: 2 };
+            state.entities.enemies = [createEnemy('GOBLIN', { x: 2, y: 2 })];
+
+            const intoWall = stepPlayer(state, { dx: -1, dy: 0 }, createFixedRng());
+            const intoGoblin = stepPlayer(state, { dx: 1, dy: 0 }, createFixedRng());
+
+            expect(intoWall).toEqual({ state, events: [], performed: false });
+            expect(intoGoblin.performed).toBe(false);
+            expect(intoGoblin.state.turnCount).toBe(0);
+        });
+
+        it('should not squeeze diagonally between two walls', () => {
+            const state = createRoomState();
+            state.dungeon.grid[2][3] = 'wall';
+            state.dungeon.grid[3][2] = 'wall';
+
+            const result = stepPlayer(state, { dx: 1, dy: 1 }, createFixedRng());
+
+            expect(result.performed).toBe(false);
+        });
+
+        it('should lose the turn while stunned', () => {
+            const state = createRoomState();
+            state.player.statusEffects = [createStatusEffect(STATUS_TYPES.STUN, 2)];
+
+            const result = stepPlayer(state, { dx: 1, dy: 0 }, createFixedRng());
+
+            expect(result.state.player.position).toEqual({ x: 2, y: 2 });
+            expect(result.state.turnCount).toBe(1);
+            expect(logMessages(result.events)).toContain('💫 You are stunned and cannot act!');
+        });
+
+        it('should reject steps that are not to a neighbouring tile', () => {
+            const state = createRoomState();
+
+            expect(() => stepPlayer(state, { dx: 0, dy: 0 }, createFixedRng())).toThrow('Invalid step direction');
+            expect(() => stepPlayer(state, { dx: 2, dy: 0 }, createFixedRng())).toThrow('Invalid step direction');
+        });
+    });
+
+    describe('resolveTurn', () => {
+        it('should warn when the player gets hungry', () => {
+            const state = createRoomState();
+            state.player.hunger = 101;
+
+            const result = resolveTurn(state, createFixedRng());
+
+            expect(result.state.player.hunger).toBe(100);
+            expect(logMessages(result.events)).toContain('⚠️ You are getting hungry!');
+        });
+
+        it('should tick down status effects', () => {
+            const state = createRoomState();
+            state.player.statusEffects = [createStatusEffect(STATUS_TYPES.SPEED, 3)];
+
+            const result = resolveTurn(state, createFixedRng());
+
+            expect(result.state.player.statusEffects[0].turnsRemaining).toBe(2);
+        });
+
+        it('should spawn enemies while attraction is active', () => {
+            const state = createRoomState();
+            state.player.statusEffects = [createStatusEffect(STATUS_TYPES.ATTRACTION, 1)];
+
+            const result = resolveTurn(state, createRunRandom(5));
+
+            const spawned = result.events.find(e => e.type === GAME_EVENTS.ENEMIES_SPAWNED);
+            expect(spawned.enemies.length).toBeGreaterThan(0);
+            expect(result.state.entities.enemies.length).toBe(spawned.enemies.length);
+        });
+
+        it('should hurt the player while poisoned', () => {
+            const state = createRoomState();
+            state.player.statusEffects = [createStatusEffect(STATUS_TYPES.POISON, 3, 2)];
+
+            const result = resolveTurn(state, createFixedRng());
+
+            expect(result.state.player.hp).toBe(state.player.hp - 2);
+            expect(logMessages(result.events)).toContain('🤢 Poison deals 2 damage!');
+        });
+
+        it('should report deaths by poison', () => {
+            const state = createRoomState();
+            state.player.hp = 1;
+            state.player.statusEffects = [createStatusEffect(STATUS_TYPES.POISON, 3, 1)];
+
+            const result = resolveTurn(state, createFixedRng());
+
+            expect(result.state.gameOver).toBe(true);
+            expect(result.state.deathMessage).toBe('You succumbed to poison!');
+        });
+
+        it('should give enemies one round a turn whether or not the player is stunned', () => {
+            const state = createRoomState();
+            state.entities.enemies = [createEnemy('GOBLIN', { x: 6, y: 2 })];
+            state.player.statusEffects = [createStatusEffect(STATUS_TYPES.STUN, 1)];
+
+            const result = resolveTurn(state, createFixedRng());
+
+            expect(result.state.entities.enemies[0].position).toEqual({ x: 5, y: 2 });
+        });
+
+        it('should heal from equipment regeneration every few turns', () => {
+            const state = { ...createRoomState(), turnCount: REGEN_INTERVAL - 1 };
+            state.player.hp = 10;
+            state.player.regen = 1;
+
+            const result = resolveTurn(state, createFixedRng());
+            const next = resolveTurn(result.state, createFixedRng());
+
+            expect(result.state.player.hp).toBe(11);
+            expect(logMessages(result.events)).toContain('💚 You regenerate 1 HP.');
+            expect(next.state.player.hp).toBe(11);
+        });
+    });
+
+    describe('processEnemies', () => {
+        it('should let adjacent enemies attack the player', () => {
+            // Arrange
+            const state = createRoomState();
+            state.entities.enemies = [createEnemy('GOBLIN', { x: 3, y: 2 })];
+
+            // Act
+            const result = processEnemies(state, createFixedRng());
+
+            // Assert
+            expect(result.state.player.hp).toBeLessThan(state.player.hp);
+            expect(result.events.some(e => e.type === GAME_EVENTS.LOG && e.combat)).toBe(true);
+            expect(result.events.some(e => e.type === GAME_EVENTS.ATTACK_HIT)).toBe(true);
+        });
+
+        it('should move distant enemies toward the player', () => {
+            const state = createRoomState();
+            state.entities.enemies = [createEnemy('GOBLIN', { x: 6, y: 2 })];
+
+            const result = processEnemies(state, createFixedRng());
+
+            expect(result.state.entities.enemies[0].position).toEqual({ x: 5, y: 2 });
+            expect(result.events[0].type).toBe(GAME_EVENTS.ENEMY_MOVED);
+        });
+
+        it('should not modify the original enemies', () => {
+            const state = createRoomState();
+            state.entities.enemies = [createEnemy('GOBLIN', { x: 6, y: 2 })];
+
+            processEnemies(state, createFixedRng());
+
+            expect(state.entities.enemies[0].position).toEqual({ x: 6, y: 2 });
+        });
+
+        it('should not move enemies into occupied tiles', () => {
+            const state = createRoomState();
+            state.entities.enemies = [
+                createEnemy('GOBLIN', { x: 5, y: 2 }),
+                createEnemy('GOBLIN', { x: 4, y: 2 })
+            ];
+            state.entities.enemies[0].id = 'behind';
+            state.entities.enemies[1].id = 'ahead';
+            state.player.position = { x: 2, y: 2 };
+
+            const result = processEnemies(state, createFixedRng());
+
+            expect(result.state.entities.enemies[0].position).toEqual({ x: 5, y: 2 });
+        });
+
+        it('should not move enemies onto an unseen player they heard', () => {
+            const state = createRoomState();
+            state.player.statusEffects = [createStatusEffect(STATUS_TYPES.INVISIBILITY, 5)];
+            state.entities.enemies = [createEnemy('GOBLIN', { x: 3, y: 2 })];
+
+            const result = processEnemies(state, createFixedRng(), { position: { x: 2, y: 2 }, radius: 8 });
+
+            expect(result.state.entities.enemies[0].ai.state).toBe(AI_STATES.ALERT);
+            expect(result.state.entities.enemies[0].position).toEqual({ x: 3, y: 2 });
+            expect(result.events.some(e => e.type === GAME_EVENTS.ENEMY_MOVED)).toBe(false);
+        });
+
+        it('should leave enemies that cannot see or hear the player alone', () => {
+            const state = createRoomState();
+            state.dungeon.grid[2][4] = 'wall';
+            state.dungeon.grid[1][4] = 'wall';
+            state.dungeon.grid[3][4] = 'wall';
+            state.entities.enemies = [createEnemy('GOBLIN', { x: 6, y: 2 })];
+
+            const quiet = processEnemies(state, createFixedRng());
+            const noisy = processEnemies(state, createFixedRng(), { position: { x: 2, y: 2 }, radius: 8 });
+
+            expect(quiet.state.entities.enemies[0].position).toEqual({ x: 6, y: 2 });
+            expect(quiet.state.entities.enemies[0].ai.state).toBe('idle');
+            expect(noisy.state.entities.enemies[0].ai.state).toBe('alert');
+            expect(noisy.state.entities.enemies[0].position).not.toEqual({ x: 6, y: 2 });
+        });
+
+        it('should have enemies open closed doors in their way', () => {
+            const state = createDividedRoomState();
+            state.player.position = { x: 2, y: 2 };
+            state.entities.enemies = [createEnemy('GOBLIN', { x: 5, y: 2 })];
+
+            const result = processEnemies(state, createFixedRng(), { position: { x: 2, y: 2 }, radius: 8 });
+
+            expect(result.state.dungeon.doors[0].state).toBe(DOOR_STATES.OPEN);
+            expect(result.state.dungeon.grid[2][4]).toBe('door');
+            expect(result.state.entities.enemies[0].position).toEqual({ x: 5, y: 2 });
+            expect(result.events.some(e => e.type === GAME_EVENTS.DOOR_CHANGED)).toBe(true);
+        });
+
+        it('should keep enemies that cannot open doors behind them', () => {
+            const state = createDividedRoomState();
+            state.player.position = { x: 2, y: 2 };
+            state.entities.enemies = [createEnemy('RAT', { x: 5, y: 2 })];
+
+            const result = processEnemies(state, createFixedRng(), { position: { x: 2, y: 2 }, radius: 8 });
+
+            expect(result.state.dungeon.doors[0].state).toBe(DOOR_STATES.CLOSED);
+            expect(result.state.entities.enemies[0].position).toEqual({ x: 5, y: 2 });
+        });
+
+        it('should let door-bashing enemies smash locked doors', () => {
+            const state = createDividedRoomState(DOOR_STATES.LOCKED);
+            state.player.position = { x: 2, y: 2 };
+            state.entities.enemies = [createEnemy('TROLL', { x: 5, y: 2 })];
+
+            const result = processEnemies(state, createFixedRng(), { position: { x: 2, y: 2 }, radius: 8 });
+
+            expect(result.state.dungeon.doors[0].state).toBe(DOOR_STATES.BROKEN);
+            expect(logMessages(result.events)).toContain('💥 You hear a door splinter!');
+        });
+
+        it('should announce enemies spotting the player in view', () => {
+            const state = createRoomState();
+            state.visibleTiles = new Set(['6,2']);
+            state.entities.enemies = [createEnemy('GOBLIN', { x: 6, y: 2 })];
+
+            const result = processEnemies(state, createFixedRng());
+
+            expect(logMessages(result.events)).toContain('❗ Goblin spots you!');
+        });
+
+        it('should poison the player with a spider bite', () => {
+            const state = createRoomState();
+            state.entities.enemies = [createEnemy('GIANT_SPIDER', { x: 3, y: 2 })];
+
+            // Natural 20, minimum damage, then the bite triggers
+            const result = processEnemies(state, createSequenceRng([0.99, 0, 0]));
+
+            const poison = result.state.player.statusEffects.find(e => e.type === STATUS_TYPES.POISON);
+            expect(poison.magnitude).toBe(1);
+            expect(logMessages(result.events)).toContain('🕷️ You are poisoned!');
+            expect(result.events).toContainEqual(expect.objectContaining({
+                type: GAME_EVENTS.ABILITY_USED,
+                ability: 'venomBite'
+            }));
+        });
+
+        it('should not trigger on-hit abilities when the attack is blocked', () => {
+            const state = createRoomState();
+            state.player.statusEffects = [createStatusEffect(STATUS_TYPES.STONE, 5)];
+            state.entities.enemies = [createEnemy('GIANT_SPIDER', { x: 3, y: 2 })];
+
+            const result = processEnemies(state, createSequenceRng([0.99, 0, 0]));
+
+            expect(result.state.player.statusEffects.some(e => e.type === STATUS_TYPES.POISON)).toBe(false);
+        });
+
+        it('should knock the player back and stun them with a golem slam', () => {
+            const state = createRoomState();
+            state.entities.enemies = [createEnemy('GOLEM', { x: 3, y: 2 })];
+
+            const result = processEnemies(state, createSequenceRng([0.99, 0, 0, 0]));
+
+            const world = gridToWorld(1, 2);
+            expect(result.state.player.position).toEqual({ x: 1, y: 2 });
+            expect(result.state.player.worldPosition.x).toBe(world.x);
+            expect(result.state.player.statusEffects.some(e => e.type === STATUS_TYPES.STUN)).toBe(true);
+            expect(result.state.entities.enemies[0].cooldowns).toEqual({ slam: 4 });
+        });
+
+        it('should let a dragon breathe fire from range', () => {
+            const state = createRoomState();
+            state.entities.enemies = [createEnemy('DRAGON', { x: 5, y: 2 })];
+
+            const result = processEnemies(state, createFixedRng(0));
+
+            const breath = result.events.find(e => e.type === GAME_EVENTS.ABILITY_USED);
+            expect(breath.ability).toBe('fireBreath');
+            expect(breath.tiles).toContainEqual({ x: 2, y: 2 });
+            expect(result.state.player.hp).toBe(state.player.hp - 2);
+            expect(result.state.entities.enemies[0].position).toEqual({ x: 5, y: 2 });
+            expect(result.state.entities.enemies[0].cooldowns).toEqual({ fireBreath: 5 });
+            expect(logMessages(result.events)).toContain('🔥 The dragon breathes fire!');
+        });
+
+        it('should close in while the breath cools down', () => {
+            const state = createRoomState();
+            const dragon = createEnemy('DRAGON', { x: 5, y: 2 });
+            dragon.cooldowns = { fireBreath: 3 };
+            state.entities.enemies = [dragon];
+
+            const result = processEnemies(state, createFixedRng(0));
+
+            expect(result.events.some(e => e.type === GAME_EVENTS.ABILITY_USED)).toBe(false);
+            expect(result.state.entities.enemies[0].position).toEqual({ x: 4, y: 2 });
+            expect(result.state.entities.enemies[0].cooldowns).toEqual({ fireBreath: 2 });
+        });
+    });
+
+    describe('interact', () => {
+        it('should lose the turn while stunned', () => {
+            const state = createRoomState();
+            state.entities.enemies = [createEnemy('GOBLIN', { x: 2, y: 1 })];
+            state.player.statusEffects = [createStatusEffect(STATUS_TYPES.STUN, 2)];
+
+            const result = interact(state, createFixedRng());
+
+            expect(result.performed).toBe(true);
+            expect(result.state.entities.enemies[0].hp).toBe(state.entities.enemies[0].hp);
+            expect(result.state.turnCount).toBe(state.turnCount + 1);
+            expect(logMessages(result.events)[0]).toBe('💫 You are stunned and cannot act!');
+        });
+
+        it('should give enemies only their usual round for the lost turn', () => {
+            const state = createRoomState();
+            state.entities.enemies = [createEnemy('GOBLIN', { x: 6, y: 2 })];
+            state.player.statusEffects = [createStatusEffect(STATUS_TYPES.STUN, 2)];
+
+            const result = interact(state, createFixedRng());
+
+            expect(result.state.entities.enemies[0].position).toEqual({ x: 5, y: 2 });
+        });
+
+        it('should report when there is nothing to interact with', () => {
+            const state = createRoomState();
+
+            const result = interact(state, createFixedRng());
+
+            expect(result.performed).toBe(false);
+            expect(logMessages(result.events)).toEqual(['Nothing to interact with here.']);
+        });
+
+        it('should attack the enemy in front of the player', () => {
+            const state = createRoomState();
+            const enemy = createEnemy('DRAGON', { x: 2, y: 1 });
+            state.entities.enemies = [enemy];
+
+            const result = interact(state, createFixedRng());
+
+            expect(result.performed).toBe(true);
+            expect(result.state.entities.enemies[0].hp).toBeLessThan(enemy.hp);
+            expect(enemy.hp).toBe(state.entities.enemies[0].hp);
+        });
+
+        it('should defeat enemies reduced to 0 hp', () => {
+            const state = createRoomState();
+            const enemy = { ...createEnemy('GOBLIN', { x: 2, y: 1 }), hp: 1 };
+            state.entities.enemies = [enemy];
+
+            const result = interact(state, createFixedRng());
+
+            expect(result.state.entities.enemies[0].isAlive).toBe(false);
+            expect(logMessages(result.events)).toContain('💀 Goblin defeated!');
+        });
+
+        it('should award XP and count the kill', () => {
+            const state = createRoomState();
+            state.entities.enemies = [{ ...createEnemy('GOBLIN', { x: 2, y: 1 }), hp: 1 }];
+
+            const result = interact(state, createFixedRng());
+
+            expect(result.state.player.xp).toBe(50);
+            expect(result.state.statistics.kills).toBe(1);
+            expect(logMessages(result.events)).toContain('+50 XP');
+        });
+
+        it('should level up when the kill crosses the XP threshold', () => {
+            const state = createRoomState();
+            state.player = { ...state.player, xp: 90 };
+            state.entities.enemies = [{ ...createEnemy('GOBLIN', { x: 2, y: 1 }), hp: 1 }];
+
+            const result = interact(state, createFixedRng());
+
+            expect(result.state.player.level).toBe(2);
+            expect(result.state.player.attackBonus).toBe(1);
+            expect(result.events).toContainEqual({ type: GAME_EVENTS.LEVEL_UP, level: 2 });
+        });
+
+        it('should run registered kill hooks', () => {
+            const state = createRoomState();
+            state.entities.enemies = [{ ...createEnemy('GOBLIN', { x: 2, y: 1 }), hp: 1 }];
+            const killed = [];
+            const unregister = registerKillHook((current, enemy) => {
+                killed.push(enemy.id);
+                return { state: current, events: [] };
+            });
+
+            interact(state, createFixedRng());
+            unregister();
+            interact(state, createFixedRng());
+
+            expect(killed).toEqual([state.entities.enemies[0].id]);
+        });
+
+        it('should pick up gold', () => {
+            const state = createRoomState();
+            state.entities.items = [{ ...createGold(25), position: { x: 2, y: 1 } }];
+
+            const result = interact(state, createFixedRng());
+
+            expect(result.state.statistics.goldCollected).toBe(25);
+            expect(result.state.entities.items).toHaveLength(0);
+            expect(result.events[0].type).toBe(GAME_EVENTS.ITEM_REMOVED);
+        });
+
+        it('should pick up items into the inventory', () => {
+            const state = createRoomState();
+            const potion = { ...createPotion('healing', 'red potion', {}), name: 'Red Potion', position: { x: 2, y: 1 } };
+            state.entities.items = [potion];
+
+            const result = interact(state, createFixedRng());
+
+            expect(result.state.inventory[0]).toEqual(potion);
+            expect(result.state.success).toBeUndefined();
+            expect(logMessages(result.events)).toContain('📦 Picked up Red Potion (a)');
+        });
+
+        it('should identify picked up potions of kinds the player knows', () => {
+            const state = createRoomState();
+            state.discoveries = discoverItem(state.discoveries, createPotion('healing', 'red potion', {}));
+            state.entities.items = [{ ...createPotion('healing', 'red potion', {}), position: { x: 2, y: 1 } }];
+
+            const result = interact(state, createFixedRng());
+
+            expect(result.state.inventory[0].identified).toBe(true);
+        });
+
+        it('should leave items when the inventory is full', () => {
+            const state = createRoomState();
+            state.inventory = state.inventory.map(() => createPotion('healing', 'red potion', {}));
+            state.entities.items = [{ ...createWeapon('Mace', [1, 6]), position: { x: 2, y: 1 } }];
+
+            const result = interact(state, createFixedRng());
+
+            expect(result.performed).toBe(false);
+            expect(result.state.entities.items).toHaveLength(1);
+        });
+
+        it('should descend stairs', () => {
+            const { state, rng } = startRun(42);
+            const stairs = state.dungeon.stairsPosition;
+            const atStairs = {
+                ...state,
+                player: { ...state.player, position: { x: stairs.x, y: stairs.y + 1 }, rotation: 0 }
+            };
+
+            const result = interact(atStairs, rng);
+
+            expect(result.state.dungeon.level).toBe(2);
+            expect(result.events.some(e => e.type === GAME_EVENTS.LEVEL_LOADED)).toBe(true);
+            expect(logMessages(result.events)).toContain('📍 Welcome to dungeon level 2!');
+        });
+
+        it('should climb back up the stairs', () => {
+            // Arrange
+            const { state, rng } = startRun(42);
+            const below = loadLevel(state, 2, rng).state;
+            const stairsUp = below.dungeon.stairsUpPosition;
+            const atStairs = {
+                ...below,
+                player: { ...below.player, position: { x: stairsUp.x, y: stairsUp.y + 1 }, rotation: 0 }
+            };
+
+            // Act
+            const result = interact(atStairs, rng);
+
+            // Assert
+            expect(result.performed).toBe(true);
+            expect(result.state.dungeon.level).toBe(1);
+            expect(result.state.player.position).toEqual(state.dungeon.stairsPosition);
+            expect(result.state.statistics.deepestLevel).toBe(2);
+            expect(logMessages(result.events)).toContain('📍 Back on dungeon level 1.');
+        });
+
+        it('should open the closed door in front of the player', () => {
+            const state = createDividedRoomState();
+
+            const result = interact(state, createFixedRng());
+
+            expect(result.performed).toBe(true);
+            expect(result.state.dungeon.doors[0].state).toBe(DOOR_STATES.OPEN);
+            expect(result.state.dungeon.grid[2][4]).toBe('door');
+            expect(result.events).toContainEqual({ type: GAME_EVENTS.DOOR_CHANGED, door: result.state.dungeon.doors[0] });
+            expect(logMessages(result.events)).toContain('🚪 You open the door.');
+        });
+
+        it('should let the player see through doors they open and not through doors they close', () => {
+            const state = createDividedRoomState();
+
+            const opened = interact(state, createFixedRng()).state;
+            const closed = interact(opened, createFixedRng()).state;
+
+            expect(opened.visibleTiles.has('5,2')).toBe(true);
+            expect(closed.dungeon.doors[0].state).toBe(DOOR_STATES.CLOSED);
+            expect(closed.visibleTiles.has('5,2')).toBe(false);
+        });
+
+        it('should unlock locked doors with a key and use the key up', () => {
+            const state = createDividedRoomState(DOOR_STATES.LOCKED);
+            state.inventory[0] = createKey();
+
+            const result = interact(state, createFixedRng());
+
+            expect(result.state.dungeon.doors[0].state).toBe(DOOR_STATES.OPEN);
+            expect(result.state.inventory[0]).toBeNull();
+            expect(logMessages(result.events)).toContain('🔑 You unlock the door.');
+        });
+
+        it('should kick locked doors in on a good roll', () => {
+            const state = createDividedRoomState(DOOR_STATES.LOCKED);
+
+            const result = interact(state, createFixedRng(0.99));
+
+            expect(result.state.dungeon.doors[0].state).toBe(DOOR_STATES.BROKEN);
+            expect(result.state.dungeon.grid[2][4]).toBe('door');
+            expect(logMessages(result.events)).toContain('💥 You kick the door open!');
+        });
+
+        it('should leave locked doors shut on a bad kick', () => {
+            const state = createDividedRoomState(DOOR_STATES.LOCKED);
+
+            const result = interact(state, createFixedRng(0.1));
+
+            expect(result.performed).toBe(true);
+            expect(result.state.dungeon.doors[0].state).toBe(DOOR_STATES.LOCKED);
+            expect(logMessages(result.events)).toContain('🦶 WHAM! The door holds.');
+        });
+
+        it('should find secret doors by searching the wall', () => {
+            const state = createDividedRoomState(DOOR_STATES.SECRET);
+
+            const result = interact(state, createFixedRng(0.1));
+
+            expect(result.performed).toBe(true);
+            expect(result.state.dungeon.doors[0].state).toBe(DOOR_STATES.CLOSED);
+            expect(result.state.dungeon.grid[2][4]).toBe('door_closed');
+            expect(logMessages(result.events)).toContain('🔍 You find a secret door!');
+        });
+
+        it('should not always find secret doors', () => {
+            const state = createDividedRoomState(DOOR_STATES.SECRET);
+
+            const result = interact(state, createFixedRng(0.99));
+
+            expect(result.state.dungeon.doors[0].state).toBe(DOOR_STATES.SECRET);
+            expect(logMessages(result.events)).toContain('🔍 You search the wall but find nothing.');
+        });
+
+        it('should do nothing after game over', () => {
+            const state = { ...createRoomState(), gameOver: true };
+
+            expect(interact(state, createFixedRng()).performed).toBe(false);
+        });
+    });
+
+    describe('resolveKill', () => {
+        it('should emit the kill with the XP it was worth', () => {
+            // Arrange
+            const state = createRoomState();
+            const enemy = { ...createEnemy('GOBLIN', { x: 2, y: 1 }), isAlive: false };
+
+            // Act
+            const result = resolveKill(state, enemy, createFixedRng(), []);
+
+            // Assert
+            expect(result.events).toContainEqual({ type: GAME_EVENTS.ENEMY_KILLED, enemy, xp: enemy.xpValue });
+            expect(result.events.some(e => e.type === GAME_EVENTS.LEVEL_UP)).toBe(false);
+        });
+
+        it('should apply several level-ups from one kill', () => {
+            const state = createRoomState();
+            const enemy = { ...createEnemy('DRAGON', { x: 2, y: 1 }), isAlive: false };
+
+            const result = resolveKill(state, enemy, createFixedRng(), []);
+
+            expect(result.state.player.level).toBe(4);
+            expect(result.events.filter(e => e.type === GAME_EVENTS.LEVEL_UP)).toEqual([
+                { type: GAME_EVENTS.LEVEL_UP, level: 4 }
+            ]);
+        });
+
+        it('should drop loot when the roll succeeds', () => {
+            const state = createRoomState();
+            const enemy = { ...createEnemy('GOBLIN', { x: 2, y: 1 }), isAlive: false };
+
+            const result = resolveKill(state, enemy, createFixedRng(0.01), []);
+
+            expect(result.state.entities.items).toHaveLength(1);
+            expect(result.events.some(e => e.type === GAME_EVENTS.ITEM_DROPPED)).toBe(true);
+        });
+
+        it('should thread state and events through hooks in order', () => {
+            const state = createRoomState();
+            const enemy = { ...createEnemy('GOBLIN', { x: 2, y: 1 }), isAlive: false };
+            const hooks = [
+                (current, killed) => ({
+                    state: { ...current, player: { ...current.player, hp: current.player.hp - 1 } },
+                    events: [{ type: GAME_EVENTS.LOG, message: `first ${killed.name}` }]
+                }),
+                current => ({
+                    state: current,
+                    events: [{ type: GAME_EVENTS.LOG, message: `second ${current.player.hp}` }]
+                })
+            ];
+
+            const result = resolveKill(state, enemy, createFixedRng(), hooks);
+
+            expect(result.state.player.hp).toBe(state.player.hp - 1);
+            expect(logMessages(result.events).slice(-2)).toEqual(['first Goblin', `second ${state.player.hp - 1}`]);
+        });
+    });
+
+    describe('inventory actions', () => {
+        it('should use items without changing the original state', () => {
+            const state = createRoomState();
+            state.player.hp = 5;
+            state.inventory[0] = createPotion('healing', 'red potion', {});
+
+            const result = useInventoryItem(state, 0);
+
+            expect(result.performed).toBe(true);
+            expect(result.state.player.hp).toBeGreaterThan(5);
+            expect(result.state.inventory[0]).toBeNull();
+            expect(state.player.hp).toBe(5);
+            expect(state.statistics.itemsUsed).toBe(0);
+        });
+
+        it('should warn when using an empty slot', () => {
+            const state = createRoomState();
+
+            const result = useInventoryItem(state, 0);
+
+            expect(result.performed).toBe(false);
+            expect(logMessages(result.events)[0]).toContain('⚠️');
+        });
+
+        it('should equip weapons', () => {
+            const state = createRoomState();
+            state.inventory[0] = createWeapon('Mace', [1, 6]);
+
+            const result = equipInventoryItem(state, 0);
+
+            expect(result.performed).toBe(true);
+            expect(result.state.player.equipment.mainHand.name).toBe('Mace');
+        });
+
+        it('should see farther after putting on a vision amulet', () => {
+            const state = createRoomState();
+            state.inventory[0] = createAmulet('Amulet of Vision', { sightBonus: 4 });
+
+            const result = equipInventoryItem(state, 0);
+
+            expect(result.state.player.sightBonus).toBe(4);
+            expect(result.state.visibleTiles.has('6,2')).toBe(true);
+        });
+
+        it('should take equipped items off into the inventory', () => {
+            const state = equipInventoryItem(
+                { ...createRoomState(), inventory: [createArmor('Iron Helm', 2, null, 'head'), ...Array(25).fill(null)] },
+                0
+            ).state;
+
+            const result = unequipPlayerItem(state, 'head');
+
+            expect(result.performed).toBe(true);
+            expect(result.state.inventory[0].name).toBe('Iron Helm');
+            expect(result.state.player.ac).toBe(10);
+            expect(logMessages(result.events)).toContain('🎒 Took off Iron Helm');
+        });
+
+        it('should warn when taking off an empty slot', () => {
+            const result = unequipPlayerItem(createRoomState(), 'amulet');
+
+            expect(result.performed).toBe(false);
+            expect(logMessages(result.events)[0]).toContain('⚠️');
+        });
+
+        it('should drop items on the player tile', () => {
+            const state = createRoomState();
+            state.inventory[0] = createWeapon('Mace', [1, 6]);
+
+            const result = dropInventoryItem(state, 0);
+
+            expect(result.state.inventory[0]).toBeNull();
+            expect(result.state.entities.items[0].position).toEqual({ x: 2, y: 2 });
+            expect(result.events[0].type).toBe(GAME_EVENTS.ITEM_DROPPED);
+        });
+
+        it('should drop some of a stack and pick it back up onto the rest', () => {
+            const state = createRoomState();
+            state.inventory[0] = { ...createFood('ration', 150), quantity: 5 };
+
+            const dropped = dropInventoryItem(state, 0, 2, createFixedRng());
+            const floorItem = dropped.state.entities.items[0];
+            const facing = { ...dropped.state, entities: { ...dropped.state.entities, items: [{ ...floorItem, position: { x: 2, y: 1 } }] } };
+            const pickedUp = interact(facing, createFixedRng());
+
+            expect(dropped.state.inventory[0].quantity).toBe(3);
+            expect(floorItem.quantity).toBe(2);
+            expect(floorItem.id).not.toBe(state.inventory[0].id);
+            expect(logMessages(dropped.events)).toContain('📦 Dropped ration x2 (a)');
+            expect(pickedUp.state.inventory[0].quantity).toBe(5);
+            expect(pickedUp.state.inventory[1]).toBeNull();
+        });
+
+        it('should not drop more than the stack holds', () => {
+            const state = createRoomState();
+            state.inventory[0] = { ...createFood('ration', 150), quantity: 2 };
+
+            expect(dropInventoryItem(state, 0, 3).performed).toBe(false);
+        });
+
+        it('should not act after game over', () => {
+            const state = { ...createRoomState(), gameOver: true };
+
+            expect(useInventoryItem(state, 0).performed).toBe(false);
+            expect(equipInventoryItem(state, 0).performed).toBe(false);
+            expect(dropInventoryItem(state, 0).performed).toBe(false);
+        });
+
+        it('should lose the turn instead of using, equipping or dropping items while stunned', () => {
+            const state = createRoomState();
+            state.player.hp = 5;
+            state.player.statusEffects = [createStatusEffect(STATUS_TYPES.STUN, 3)];
+            state.inventory[0] = createPotion('healing', 'red potion', {});
+            state.inventory[1] = createWeapon('Mace', [1, 6]);
+
+            const results = [
+                useInventoryItem(state, 0, null, createFixedRng()),
+                equipInventoryItem(state, 1, null, createFixedRng()),
+                dropInventoryItem(state, 1, null, createFixedRng())
+            ];
+
+            for (const result of results) {
+                expect(result.performed).toBe(true);
+                expect(result.state.turnCount).toBe(state.turnCount + 1);
+                expect(result.state.player.hp).toBe(5);
+                expect(result.state.inventory).toEqual(state.inventory);
+                expect(logMessages(result.events)[0]).toBe('💫 You are stunned and cannot act!');
+            }
+        });
+    });
+
+    describe('scrolls', () => {
+        /**
+         * Room state with a scroll in the first slot and visibility worked out
+         */
+        function createScrollState(trueType) {
+            const state = createRoomState();
+            state.inventory[0] = createScroll(trueType, 'plain scroll', {});
+            return enterTile(state, state.player.position).state;
+        }
+
+        it('should teleport the player to an empty floor tile', () => {
+            // Arrange
+            const state = createScrollState('teleportation');
+            state.inventory[1] = createScroll('teleportation', 'plain scroll', {});
+
+            // Act: the first roll picks the first floor tile, (1, 1)
+            const result = useInventoryItem(state, 0, null, createSequenceRng([0]));
+
+            // Assert
+            const world = gridToWorld(1, 1);
+            expect(result.performed).toBe(true);
+            expect(result.state.player.position).toEqual({ x: 1, y: 1 });
+            expect(result.state.player.worldPosition).toEqual({ x: world.x, y: 1.6, z: world.z });
+            expect(result.state.visibleTiles.has('1,1')).toBe(true);
+            expect(result.state.inventory[0]).toBeNull();
+            expect(result.state.inventory[1].identified).toBe(true);
+            expect(result.state.statistics.itemsUsed).toBe(1);
+            expect(logMessages(result.events)).toEqual(['📜 You read the scroll of teleportation.', '🌀 You are teleported!']);
+        });
+
+        it('should map the whole level into the explored tiles', () => {
+            const state = createScrollState('magic mapping');
+
+            const result = useInventoryItem(state, 0);
+
+            expect(result.state.exploredTiles.has('7,7')).toBe(true);
+            expect(result.state.exploredTiles.has('8,8')).toBe(true);
+            expect(result.state.visibleTiles.has('7,7')).toBe(false);
+        });
+
+        it('should scare nearby enemies into fleeing', () => {
+            const state = createScrollState('scare monster');
+            state.entities.enemies = [createEnemy('GOBLIN', { x: 3, y: 3 }), createEnemy('GOBLIN', { x: 7, y: 7 })];
+
+            const result = useInventoryItem(state, 0);
+
+            const [near, far] = result.state.entities.enemies;
+            expect(near.ai.state).toBe(AI_STATES.FLEE);
+            expect(near.ai.scared).toBe(10);
+            expect(far.ai.state).toBe(AI_STATES.IDLE);
+            expect(logMessages(result.events)).toContain('😱 1 monster flees in terror!');
+        });
+
+        it('should summon hunting monsters around the player', () => {
+            const state = createScrollState('summon monster');
+
+            const result = useInventoryItem(state, 0, null, createRunRandom(3));
+
+            const spawned = result.events.find(e => e.type === GAME_EVENTS.ENEMIES_SPAWNED);
+            expect(spawned.enemies.length).toBeGreaterThan(0);
+            expect(result.state.entities.enemies).toHaveLength(spawned.enemies.length);
+            expect(spawned.enemies.every(enemy => enemy.ai.state === AI_STATES.HUNT)).toBe(true);
+        });
+
+        it('should enchant a targeted weapon in the inventory', () => {
+            const state = createScrollState('enchant weapon');
+            state.inventory[1] = createWeapon('Mace', [2, 4]);
+
+            const result = useInventoryItem(state, 0, { slot: 1 });
+
+            expect(result.performed).toBe(true);
+            expect(result.state.inventory[1].enchantment).toBe(1);
+            expect(logMessages(result.events)).toContain('✨ Your Mace glows blue for a moment.');
+        });
+
+        it('should enchant worn armor, lifting its curse', () => {
+            const state = createScrollState('enchant armor');
+            state.inventory[1] = { ...createArmor('Chain Mail', 3), enchantment: -1, cursed: true };
+            const worn = equipInventoryItem(state, 1).state;
+
+            const result = useInventoryItem(worn, 0, { equipSlot: 'body' });
+
+            expect(result.state.player.equipment.body).toMatchObject({ enchantment: 0, cursed: false });
+            expect(result.state.player.ac).toBe(13);
+        });
+
+        it('should keep the scroll until it has a target it works on', () => {
+            const state = createScrollState('enchant weapon');
+            state.inventory[1] = createArmor('Chain Mail', 3);
+
+            const noTarget = useInventoryItem(state, 0);
+            const wrongTarget = useInventoryItem(state, 0, { slot: 1 });
+
+            expect(noTarget.performed).toBe(false);
+            expect(wrongTarget.performed).toBe(false);
+            expect(wrongTarget.state.inventory[0]).toBe(state.inventory[0]);
+            expect(logMessages(wrongTarget.events)).toEqual(['⚠️ Choose a weapon to read the scroll on']);
+        });
+
+        it('should burn enemies in the blast around the target tile', () => {
+            // Arrange
+            const state = createScrollState('fire');
+            state.entities.enemies = [
+                { ...createEnemy('RAT', { x: 4, y: 2 }), hp: 3, xpValue: 10 },
+                { ...createEnemy('GOBLIN', { x: 3, y: 3 }), hp: 30 },
+                createEnemy('GOBLIN', { x: 6, y: 6 })
+            ];
+
+            // Act: 0.99 rolls six on every die
+            const result = useInventoryItem(state, 0, { x: 4, y: 2 }, createFixedRng());
+
+            // Assert
+            const [rat, goblin, farGoblin] = result.state.entities.enemies;
+            expect(rat.isAlive).toBe(false);
+            expect(goblin.hp).toBe(12);
+            expect(farGoblin.hp).toBe(state.entities.enemies[2].hp);
+            expect(result.state.player.hp).toBe(state.player.hp);
+            expect(result.state.player.xp).toBe(state.player.xp + 10);
+            expect(result.events.filter(e => e.type === GAME_EVENTS.ATTACK_HIT)).toHaveLength(2);
+        });
+
+        it('should burn the player standing in the blast', () => {
+            const state = createScrollState('fire');
+
+            const result = useInventoryItem(state, 0, { x: 3, y: 2 }, createFixedRng());
+
+            expect(result.state.player.hp).toBe(state.player.hp - 18);
+            expect(logMessages(result.events)).toContain('🔥 You are caught in the blast for 18 damage!');
+        });
+
+        it('should only set fire to tiles the player can see', () => {
+            const state = createScrollState('fire');
+
+            const result = useInventoryItem(state, 0, { x: 7, y: 7 }, createFixedRng());
+
+            expect(result.performed).toBe(false);
+            expect(logMessages(result.events)).toEqual(['⚠️ Choose a tile you can see']);
+        });
+    });
+
+    describe('shops', () => {
+        /**
+         * Room state with a shop over (1, 1)-(5, 5), its peaceful shopkeeper
+         * in front of the player at (2, 1) and a priced potion at (4, 4)
+         */
+        function createShopState() {
+            const state = createRoomState();
+            const shopkeeper = { ...createEnemy('SHOPKEEPER', { x: 2, y: 1 }), peaceful: true };
+            const goods = { ...createPotion('healing', 'red potion', {}), position: { x: 4, y: 4 }, price: 110 };
+            state.dungeon.level = 2;
+            state.dungeon.shop = { room: { x: 1, y: 1, width: 5, height: 5 }, shopkeeperId: shopkeeper.id, level: 2 };
+            state.entities.enemies = [shopkeeper];
+            state.entities.items = [goods];
+            return state;
+        }
+
+        it('should open the shop when the player talks to the shopkeeper', () => {
+            // Arrange
+            const state = createShopState();
+
+            // Act
+            const result = interact(state, createFixedRng());
+
+            // Assert
+            expect(result.performed).toBe(true);
+            expect(result.state.entities.enemies[0].hp).toBe(state.entities.enemies[0].hp);
+            expect(result.events).toContainEqual({ type: GAME_EVENTS.SHOP_OPENED, shopkeeperId: state.entities.enemies[0].id });
+            expect(logMessages(result.events)).toEqual(['🛒 Shopkeeper: "Welcome! Have a look around."']);
+        });
+
+        it('should put goods picked up in the shop on the bill', () => {
+            const state = createShopState();
+            state.entities.enemies[0].position = { x: 5, y: 5 };
+            state.entities.items[0].position = { x: 2, y: 1 };
+
+            const result = interact(state, createFixedRng());
+
+            expect(result.performed).toBe(true);
+            expect(result.state.inventory[0].unpaid).toBe(true);
+            expect(result.state.inventory[0].price).toBe(110);
+            expect(logMessages(result.events)[1]).toBe('🏷️ That will be 110 gold. Pay the shopkeeper before you leave.');
+        });
+
+        it('should let the player pay for goods on the bill', () => {
+            const state = createShopState();
+            state.player.gold = 150;
+            state.inventory[0] = { ...createPotion('healing', 'red potion', {}), price: 110, unpaid: true };
+
+            const result = buyShopItem(state, { slot: 0 });
+
+            expect(result.performed).toBe(true);
+            expect(result.state.player.gold).toBe(40);
+            expect(result.state.inventory[0]).not.toHaveProperty('unpaid');
+            expect(result.state.inventory[0]).not.toHaveProperty('price');
+            expect(logMessages(result.events)).toEqual(['💰 You pay 110 gold for the red potion.']);
+        });
+
+        it('should buy goods straight off the shop floor', () => {
+            const state = createShopState();
+            state.player.gold = 110;
+
+            const result = buyShopItem(state, { itemId: state.entities.items[0].id });
+
+            expect(result.performed).toBe(true);
+            expect(result.state.player.gold).toBe(0);
+            expect(result.state.entities.items).toEqual([]);
+            expect(result.state.inventory[0].trueType).toBe('healing');
+            expect(result.state.inventory[0]).not.toHaveProperty('price');
+        });
+
+        it('should not sell to players who cannot afford it', () => {
+            const state = createShopState();
+            state.player.gold = 20;
+
+            const result = buyShopItem(state, { itemId: state.entities.items[0].id });
+
+            expect(result.performed).toBe(false);
+            expect(result.state).toBe(state);
+            expect(logMessages(result.events)).toEqual(['⚠️ You can\'t afford the red potion (110 gold)']);
+        });
+
+        it('should not trade once the player has left the shop', () => {
+            const state = createShopState();
+            state.player.gold = 500;
+            state.player.position = { x: 7, y: 2 };
+
+            expect(buyShopItem(state, { itemId: state.entities.items[0].id }).performed).toBe(false);
+            expect(sellShopItem(state, 0).performed).toBe(false);
+        });
+
+        it('should buy the player\'s goods and lay them out for sale', () => {
+            const state = createShopState();
+            state.inventory[0] = { ...createPotion('poison', 'green potion', {}), quantity: 2 };
+
+            const result = sellShopItem(state, 0);
+
+            expect(result.performed).toBe(true);
+            expect(result.state.player.gold).toBe(54);
+            expect(result.state.inventory[0]).toBeNull();
+            const goods = result.state.entities.items[1];
+            expect(goods.quantity).toBe(2);
+            expect(goods.price).toBe(55);
+            expect(goods.position).toEqual({ x: 1, y: 1 });
+            expect(result.events[0]).toEqual({ type: GAME_EVENTS.ITEM_DROPPED, item: goods });
+        });
+
+        it('should charge for the whole stack when buying back goods the player sold', () => {
+            const state = createShopState();
+            state.entities.items = [];
+            state.player.gold = 1000;
+            state.inventory[0] = { ...createPotion('healing', 'red potion', {}), quantity: 4 };
+
+            const sold = sellShopItem(state, 0).state;
+            const result = buyShopItem(sold, { itemId: sold.entities.items[0].id });
+
+            expect(result.performed).toBe(true);
+            expect(result.state.inventory[0].quantity).toBe(4);
+            expect(result.state.player.gold).toBeLessThan(state.player.gold);
+            expect(logMessages(result.events)[0]).toBe('🛒 You buy the red potion for 440 gold (a).');
+        });
+
+        it('should not count sale money or buy-backs as gold collected', () => {
+            const state = createShopState();
+            state.entities.items = [];
+            state.player.gold = 1000;
+            state.inventory[0] = createPotion('healing', 'red potion', {});
+
+            let looped = state;
+            for (let i = 0; i < 3; i++) {
+                looped = sellShopItem(looped, 0).state;
+                looped = buyShopItem(looped, { itemId: looped.entities.items[0].id }).state;
+            }
+
+            expect(looped.player.gold).toBeLessThan(state.player.gold);
+            expect(looped.statistics.goldCollected).toBe(state.statistics.goldCollected);
+        });
+
+        it('should not buy goods the player has not paid for', () => {
+            const state = createShopState();
+            state.inventory[0] = { ...createPotion('healing', 'red potion', {}), price: 110, unpaid: true };
+
+            const result = sellShopItem(state, 0);
+
+            expect(result.performed).toBe(false);
+            expect(logMessages(result.events)[0]).toContain('⚠️');
+        });
+
+        it('should turn the shopkeeper on players who leave without paying', () => {
+            const state = createShopState();
+            state.inventory[0] = { ...createPotion('healing', 'red potion', {}), price: 110, unpaid: true };
+
+            const result = enterTile(state, { x: 7, y: 2 });
+
+            expect(result.state.inventory[0]).not.toHaveProperty('unpaid');
+            expect(result.state.entities.enemies[0].peaceful).toBe(false);
+            expect(result.state.entities.enemies[0].ai.state).toBe(AI_STATES.HUNT);
+            expect(logMessages(result.events)).toEqual(['😠 You leave without paying! The shopkeeper is furious!']);
+        });
+
+        it('should let the player walk around the shop with unpaid goods', () => {
+            const state = createShopState();
+            state.inventory[0] = { ...createPotion('healing', 'red potion', {}), price: 110, unpaid: true };
+
+            const result = enterTile(state, { x: 3, y: 3 });
+
+            expect(result.state.inventory[0].unpaid).toBe(true);
+            expect(result.state.entities.enemies[0].peaceful).toBe(true);
+        });
+
+        it('should leave a peaceful shopkeeper alone on the enemy turn', () => {
+            const state = createShopState();
+
+            const result = processEnemies(state, createFixedRng());
+
+            expect(result.state.player.hp).toBe(state.player.hp);
+            expect(result.state.entities.enemies[0].position).toEqual({ x: 2, y: 1 });
+        });
+
+        it('should not let the player use goods before paying', () => {
+            const state = createShopState();
+            state.inventory[0] = { ...createPotion('healing', 'red potion', {}), price: 110, unpaid: true };
+
+            const result = useInventoryItem(state, 0);
+
+            expect(result.performed).toBe(false);
+            expect(logMessages(result.events)).toEqual(['⚠️ You have to pay for that first']);
+        });
+    });
+
+    describe('discoveries', () => {
+        it('should remember the kinds of potions the player drinks', () => {
+            // Arrange
+            const state = createRoomState();
+            state.inventory[0] = createPotion('healing', 'red potion', {});
+            state.inventory[1] = createPotion('poison', 'green potion', {});
+
+            // Act
+            const result = useInventoryItem(state, 0);
+
+            // Assert
+            expect(result.state.discoveries.known).toEqual(['red potion']);
+            expect(state.discoveries.known).toEqual([]);
+        });
+
+        it('should remember the kinds of scrolls the player reads', () => {
+            const state = createRoomState();
+            state.inventory[0] = createScroll('magic mapping', 'vellum scroll', {});
+
+            const result = useInventoryItem(state, 0);
+
+            expect(result.state.discoveries.known).toEqual(['vellum scroll']);
+        });
+
+        it('should remember everything a scroll of identify reveals', () => {
+            const state = createRoomState();
+            state.inventory[0] = createScroll('identify', 'dusty scroll', {});
+            state.inventory[1] = createPotion('poison', 'green potion', {});
+
+            const result = useInventoryItem(state, 0);
+
+            expect(result.state.discoveries.known).toEqual(['dusty scroll', 'green potion']);
+        });
+
+        it('should call unidentified items by the name given', () => {
+            const state = createRoomState();
+            state.inventory[0] = createPotion('healing', 'red potion', {});
+
+            const result = callInventoryItem(state, 0, 'heal?');
+
+            expect(result.performed).toBe(true);
+            expect(result.state.discoveries.called).toEqual({ 'red potion': 'heal?' });
+            expect(result.state.turnCount).toBe(state.turnCount);
+            expect(logMessages(result.events)).toEqual(['📝 You call the red potion "heal?".']);
+        });
+
+        it('should not call identified items', () => {
+            const state = createRoomState();
+            state.inventory[0] = { ...createPotion('healing', 'red potion', {}), identified: true };
+
+            const result = callInventoryItem(state, 0, 'heal?');
+
+            expect(result.performed).toBe(false);
+            expect(logMessages(result.events)[0]).toContain('⚠️');
+        });
+    });
+
+    describe('ranged combat', () => {
+        /**
+         * Room state with the player at (2, 2) wielding a short bow, a quiver
+         * of arrows in the first slot and a sturdy goblin at (5, 2)
+         */
+        function createRangedState() {
+            const state = createRoomState();
+            const goblin = { ...createEnemy('GOBLIN', { x: 5, y: 2 }), hp: 40, maxHp: 40 };
+            state.player.equipment = {
+                ...state.player.equipment,
+                mainHand: createLauncher('Short Bow', [1, 2], 0, 'arrow', 8)
+            };
+            state.inventory[0] = createAmmo('arrow', 5);
+            state.entities.enemies = [goblin];
+            return state;
+        }
+
+        it('should shoot ammunition from the wielded launcher at the first enemy in line', () => {
+            // Arrange
+            const state = createRangedState();
+
+            // Act
+            const result = fireLauncher(state, { x: 7, y: 2 }, createFixedRng());
+
+            // Assert
+            expect(result.performed).toBe(true);
+            expect(result.state.inventory[0].quantity).toBe(4);
+            expect(result.state.entities.enemies[0].hp).toBeLessThan(40);
+            expect(result.events).toContainEqual({
+                type: GAME_EVENTS.PROJECTILE_FIRED,
+                item: expect.objectContaining({ name: 'arrow', quantity: 1 }),
+                from: { x: 2, y: 2 },
+                path: [{ x: 3, y: 2 }, { x: 4, y: 2 }, { x: 5, y: 2 }]
+            });
+            expect(logMessages(result.events)[0]).toBe('🏹 You shoot the arrow.');
+            expect(logMessages(result.events)[1]).toMatch(/^CRITICAL! The arrow hits the Goblin for \d+ damage!$/);
+        });
+
+        it('should leave arrows that do not break where they came down', () => {
+            const state = createRangedState();
+
+            const result = fireLauncher(state, { x: 7, y: 2 }, createFixedRng());
+
+            const arrow = result.state.entities.items.find(item => item.name === 'arrow');
+            expect(arrow.position).toEqual({ x: 5, y: 2 });
+            expect(result.events).toContainEqual({ type: GAME_EVENTS.ITEM_DROPPED, item: arrow });
+        });
+
+        it('should not shoot without a launcher or its ammunition', () => {
+            const unarmed = createRangedState();
+            unarmed.player.equipment = { ...unarmed.player.equipment, mainHand: null };
+            const empty = createRangedState();
+            empty.inventory[0] = createAmmo('bolt', 5);
+
+            const withoutLauncher = fireLauncher(unarmed, { x: 7, y: 2 }, createFixedRng());
+            const withoutAmmo = fireLauncher(empty, { x: 7, y: 2 }, createFixedRng());
+
+            expect(withoutLauncher.performed).toBe(false);
+            expect(logMessages(withoutLauncher.events)).toEqual(['⚠️ You have nothing to shoot with']);
+            expect(withoutAmmo.performed).toBe(false);
+            expect(logMessages(withoutAmmo.events)).toEqual(['⚠️ You have nothing to shoot from your Short Bow']);
+        });
+
+        it('should lose the shot while stunned', () => {
+            const state = createRangedState();
+            state.player.statusEffects = [createStatusEffect(STATUS_TYPES.STUN, 2)];
+
+            const result = fireLauncher(state, { x: 7, y: 2 }, createFixedRng());
+
+            expect(result.performed).toBe(true);
+            expect(result.state.inventory[0].quantity).toBe(5);
+            expect(logMessages(result.events)[0]).toBe('💫 You are stunned and cannot act!');
+        });
+
+        it('should throw an item to the aimed tile when nothing is in the way', () => {
+            const state = createRangedState();
+            state.entities.enemies = [];
+            state.inventory[1] = createWeapon('Dagger', [1, 4]);
+
+            const result = throwInventoryItem(state, 1, { x: 2, y: 6 }, createFixedRng());
+
+            expect(result.performed).toBe(true);
+            expect(result.state.inventory[1]).toBeNull();
+            expect(result.state.entities.items).toEqual([{ ...state.inventory[1], position: { x: 2, y: 6 } }]);
+            expect(logMessages(result.events)[0]).toBe('🎯 You throw the Dagger.');
+        });
+
+        it('should make an enemy of a shopkeeper shot at', () => {
+            const state = createRangedState();
+            state.entities.enemies = [{ ...createEnemy('SHOPKEEPER', { x: 5, y: 2 }), peaceful: true }];
+
+            const result = fireLauncher(state, { x: 7, y: 2 }, createFixedRng());
+
+            expect(result.state.entities.enemies[0].peaceful).toBe(false);
+            expect(result.state.entities.enemies[0].ai.state).toBe(AI_STATES.HUNT);
+        });
+
+        it('should shatter thrown poison over the enemies around where it lands and identify it', () => {
+            const state = createRangedState();
+            const next = { ...createEnemy('GOBLIN', { x: 5, y: 3 }), hp: 40, maxHp: 40 };
+            const far = { ...createEnemy('GOBLIN', { x: 7, y: 6 }), hp: 40, maxHp: 40 };
+            state.entities.enemies.push(next, far);
+            state.inventory[1] = createPotion('poison', 'green potion', {});
+
+            const result = throwInventoryItem(state, 1, { x: 7, y: 2 }, createFixedRng());
+
+            const [goblin, neighbour, distant] = result.state.entities.enemies;
+            expect(goblin.hp).toBe(32);
+            expect(neighbour.hp).toBe(32);
+            expect(distant.hp).toBe(40);
+            expect(result.state.entities.items).toEqual([]);
+            expect(result.state.discoveries.known).toContain('green potion');
+            expect(logMessages(result.events)).toContain('💥 The green potion shatters!');
+            expect(logMessages(result.events)).toContain('☠️ Goblin chokes on the fumes for 8 damage!');
+        });
+
+        it('should heal the player caught in the vapours of a healing potion', () => {
+            const state = createRangedState();
+            state.player.hp = 5;
+            state.inventory[1] = createPotion('healing', 'red potion', {});
+
+            const result = throwInventoryItem(state, 1, { x: 2, y: 2 }, createFixedRng());
+
+            expect(result.state.player.hp).toBeGreaterThan(5);
+            expect(logMessages(result.events)).toContain('💚 The vapours make you feel better.');
+        });
+
+        it('should not throw gold or unpaid goods', () => {
+            const state = createRangedState();
+            state.inventory[1] = createGold(10, {});
+            state.inventory[2] = { ...createPotion('healing', 'red potion', {}), unpaid: true, price: 110 };
+
+            expect(throwInventoryItem(state, 1, { x: 7, y: 2 }).performed).toBe(false);
+            expect(logMessages(throwInventoryItem(state, 2, { x: 7, y: 2 }).events)).toEqual(['⚠️ You have to pay for that first']);
+            expect(throwInventoryItem(state, 5, { x: 7, y: 2 }).performed).toBe(false);
+        });
+    });
+
+    describe('spells', () => {
+        /**
+         * Room state with the player at (2, 2) knowing every spell and a
+         * sturdy goblin at (5, 2)
+         */
+        function createSpellState() {
+            const state = createRoomState();
+            state.player.spells = ['magic missile', 'heal', 'light', 'slow monster', 'blink'];
+            state.entities.enemies = [{ ...createEnemy('GOBLIN', { x: 5, y: 2 }), hp: 40, maxHp: 40 }];
+            return state;
+        }
+
+        it('should strike the first enemy in line with a magic missile', () => {
+            // Arrange
+            const state = createSpellState();
+
+            // Act
+            const result = castSpell(state, 'magic missile', { x: 7, y: 2 }, createFixedRng());
+
+            // Assert
+            expect(result.performed).toBe(true);
+            expect(result.state.player.mana).toBe(7);
+            expect(result.state.entities.enemies[0].hp).toBe(32);
+            expect(result.events).toContainEqual({
+                type: GAME_EVENTS.SPELL_CAST,
+                spell: 'magic missile',
+                from: { x: 2, y: 2 },
+                path: [{ x: 3, y: 2 }, { x: 4, y: 2 }, { x: 5, y: 2 }]
+            });
+            expect(logMessages(result.events).slice(0, 2)).toEqual([
+                '✨ You cast magic missile.',
+                '🔮 The magic missile hits the Goblin for 8 damage!'
+            ]);
+        });
+
+        it('should heal the player', () => {
+            const state = createSpellState();
+            state.player.hp = 5;
+
+            const result = castSpell(state, 'heal', null, createFixedRng());
+
+            expect(result.state.player.hp).toBe(17);
+            expect(result.state.player.mana).toBe(5);
+            expect(logMessages(result.events)).toContain('💚 You feel better.');
+        });
+
+        it('should light up the surroundings for a while', () => {
+            const state = createSpellState();
+
+            const result = castSpell(state, 'light', null, createFixedRng());
+
+            const effects = result.state.player.statusEffects;
+            expect(effects).toContainEqual(expect.objectContaining({ type: STATUS_TYPES.SIGHT, magnitude: 4 }));
+        });
+
+        it('should slow the first enemy in line so it loses every other turn', () => {
+            const state = createSpellState();
+            state.entities.enemies[0].position = { x: 3, y: 2 };
+
+            const slowed = castSpell(state, 'slow monster', { x: 7, y: 2 }, createFixedRng());
+            const next = processEnemies(slowed.state, createFixedRng());
+
+            const goblin = slowed.state.entities.enemies[0];
+            expect(goblin.statusEffects.map(effect => effect.type)).toContain(STATUS_TYPES.SLOW);
+            expect(logMessages(slowed.events)).toContain('🐌 The Goblin slows down.');
+            expect(slowed.events.some(e => e.type === GAME_EVENTS.ATTACK_HIT && e.targetId === 'player')).toBe(false);
+            expect(next.events.some(e => e.type === GAME_EVENTS.ATTACK_HIT && e.targetId === 'player')).toBe(true);
+        });
+
+        it('should blink the player along the aimed line, short of enemies', () => {
+            const state = createSpellState();
+
+            const result = castSpell(state, 'blink', { x: 7, y: 2 }, createFixedRng());
+
+            expect(result.state.player.position).toEqual({ x: 4, y: 2 });
+            expect(result.state.player.worldPosition.x).toBe(gridToWorld(4, 2).x);
+            expect(logMessages(result.events)).toContain('🌀 You blink!');
+        });
+
+        it('should not cast without the mana, the spell or a target', () => {
+            const poor = createSpellState();
+            poor.player.mana = 2;
+            const ignorant = createSpellState();
+            ignorant.player.spells = [];
+
+            expect(logMessages(castSpell(poor, 'magic missile', { x: 7, y: 2 }).events))
+                .toEqual(['⚠️ You need 3 mana to cast magic missile']);
+            expect(logMessages(castSpell(ignorant, 'heal').events)).toEqual(["⚠️ You don't know that spell"]);
+            expect(castSpell(createSpellState(), 'blink').performed).toBe(false);
+        });
+
+        it('should teach the spell of a spellbook that is read', () => {
+            const state = createRoomState();
+            state.inventory[0] = createSpellbook('blink');
+
+            const result = useInventoryItem(state, 0);
+            const inventory = result.state.inventory.map((item, slot) => (slot === 0 ? createSpellbook('blink') : item));
+            const again = useInventoryItem({ ...result.state, inventory }, 0);
+
+            expect(result.state.player.spells).toEqual(['blink']);
+            expect(result.state.inventory[0]).toBeNull();
+            expect(logMessages(result.events)).toEqual(['📖 You learn to cast blink! The book crumbles to dust.']);
+            expect(again.performed).toBe(false);
+        });
+    });
+});
@@ -16,7 +16,11 @@ import {
     updateAccumulatedMovement,
     resetAccumulatedMovement,
     incrementKills,
-    addGold
+    addGold,
+    receiveGold,
+    spendGold,
+    restoreMana,
+    spendMana
 } from '../../../src/rogue/game-state.js';
 
 describe('Game State', () => {
@@ -238,6 +242,7 @@ describe('Game State', () => {
             const newState = addExperience(state, 100);
             
             expect(newState.player.attackBonus).toBe(1);
+            expect(newState.player.baseStats.attackBonus).toBe(1);
         });
 
         it('should handle multiple levels', () => {
@@ -248,6 +253,15 @@ describe('Game State', () => {
             expect(newState.player.level).toBe(3);
             expect(newState.player.xp).toBe(0);
         });
+
+        it('should grow and refill the mana pool on level up', () => {
+            const state = { ...createInitialState(), player: { ...createInitialState().player, mana: 2 } };
+            
+            const newState = addExperience(state, 100);
+            
+            expect(newState.player.maxMana).toBe(13);
+            expect(newState.player.mana).toBe(5);
+        });
     });
 
     describe('incrementTurn', () => {
@@ -344,5 +358,69 @@ describe('Game State', () => {
             // Assert
             expect(newState.statistics.goldCollected).toBe(100);
         });
+
+        it('should add gold to the purse', () => {
+            const state = addGold(addGold(createInitialState(), 100), 20);
+            
+            expect(state.player.gold).toBe(120);
+        });
+    });
+
+    describe('receiveGold', () => {
+        it('should add gold to the purse but not the collected total', () => {
+            // Arrange
+            const state = addGold(createInitialState(), 100);
+
+            // Act
+            const newState = receiveGold(state, 30);
+
+            // Assert
+            expect(newState.player.gold).toBe(130);
+            expect(newState.statistics.goldCollected).toBe(100);
+        });
+    });
+
+    describe('spendGold', () => {
+        it('should take gold from the purse but not the collected total', () => {
+            const state = addGold(createInitialState(), 100);
+            
+            const newState = spendGold(state, 30);
+            
+            expect(newState.player.gold).toBe(70);
+            expect(newState.statistics.goldCollected).toBe(100);
+        });
+
+        it('should throw when the purse is short', () => {
+            expect(() => spendGold(addGold(createInitialState(), 10), 30)).toThrow('Cannot spend 30 gold');
+        });
+    });
+
+    describe('restoreMana', () => {
+        it('should restore mana up to the maximum', () => {
+            // Arrange
+            const state = { ...createInitialState(), player: { ...createInitialState().player, mana: 4 } };
+            
+            // Act
+            const restored = restoreMana(state, 3);
+            const capped = restoreMana(state, 30);
+            
+            // Assert
+            expect(restored.player.mana).toBe(7);
+            expect(capped.player.mana).toBe(10);
+        });
+    });
+
+    describe('spendMana', () => {
+        it('should take mana from the pool', () => {
+            const state = createInitialState();
+            
+            const newState = spendMana(state, 3);
+            
+            expect(newState.player.mana).toBe(7);
+        });
+
+        it('should throw when the pool is short', () => {
+            expect(() => spendMana(createInitialState(), 30)).toThrow('Cannot spend 30 mana');
+        });
     });
 });
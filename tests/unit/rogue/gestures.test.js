@@ -0,0 +1,175 @@
+/**
+ * Unit tests for hand tracking gestures
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+    HAND_JOINTS,
+    NO_GESTURES,
+    readHandJoints,
+    getPalmNormal,
+    getFingerExtension,
+    recognizeHandGestures,
+    getGestureChanges,
+    calculatePointMovement
+} from '../../../src/rogue/gestures.js';
+import * as poses from '../fixtures/hand-poses.js';
+
+/**
+ * Build a stand-in for a Three.js XR hand holding a pose
+ */
+function createTrackedHand(pose) {
+    const joints = {};
+    for (const [name, { x, y, z }] of Object.entries(pose)) {
+        const elements = new Array(16).fill(0);
+        elements.splice(12, 3, x, y, z);
+        joints[name] = { visible: true, matrixWorld: { elements } };
+    }
+    return { joints };
+}
+
+describe('Gestures', () => {
+    describe('readHandJoints', () => {
+        it('should read every joint position from the hand', () => {
+            // Arrange
+            const hand = createTrackedHand(poses.rightOpen);
+
+            // Act
+            const joints = readHandJoints(hand);
+
+            // Assert
+            expect(Object.keys(joints)).toEqual(HAND_JOINTS);
+            expect(joints['wrist']).toEqual(poses.rightOpen['wrist']);
+        });
+
+        it('should give nothing while a joint is not tracked', () => {
+            const hand = createTrackedHand(poses.rightOpen);
+            hand.joints['pinky-finger-tip'].visible = false;
+
+            expect(readHandJoints(hand)).toBeNull();
+            expect(readHandJoints({ joints: {} })).toBeNull();
+            expect(readHandJoints(null)).toBeNull();
+        });
+    });
+
+    describe('getPalmNormal', () => {
+        it('should face down for a flat hand and up once it is turned over', () => {
+            // Arrange & Act
+            const down = getPalmNormal(poses.rightOpen, 'right');
+            const up = getPalmNormal(poses.rightPalmUp, 'right');
+
+            // Assert
+            expect(down.y).toBeLessThan(-0.9);
+            expect(up.y).toBeGreaterThan(0.9);
+        });
+
+        it('should account for the left hand being mirrored', () => {
+            expect(getPalmNormal(poses.leftOpen, 'left').y).toBeLessThan(-0.9);
+            expect(getPalmNormal(poses.leftPalmUp, 'left').y).toBeGreaterThan(0.9);
+        });
+    });
+
+    describe('getFingerExtension', () => {
+        it('should be close to 1 for straight fingers and lower for curled ones', () => {
+            // Arrange & Act
+            const index = getFingerExtension(poses.rightPoint, 'index');
+            const middle = getFingerExtension(poses.rightPoint, 'middle');
+
+            // Assert
+            expect(index).toBeGreaterThan(0.95);
+            expect(middle).toBeLessThan(0.6);
+        });
+    });
+
+    describe('recognizeHandGestures', () => {
+        it('should see no gestures in an open hand', () => {
+            // Arrange & Act
+            const gestures = recognizeHandGestures(poses.rightOpen, 'right');
+
+            // Assert
+            expect(gestures).toEqual(NO_GESTURES);
+        });
+
+        it('should recognize a pinch on either hand', () => {
+            expect(recognizeHandGestures(poses.rightPinch, 'right').pinch).toBe(true);
+            expect(recognizeHandGestures(poses.leftPinch, 'left').pinch).toBe(true);
+        });
+
+        it('should hold a pinch until the fingers part well clear', () => {
+            const pinching = recognizeHandGestures(poses.rightPinch, 'right');
+
+            expect(recognizeHandGestures(poses.rightPinchLoose, 'right', pinching).pinch).toBe(true);
+            expect(recognizeHandGestures(poses.rightPinchLoose, 'right').pinch).toBe(false);
+            expect(recognizeHandGestures(poses.rightOpen, 'right', pinching).pinch).toBe(false);
+        });
+
+        it('should recognize a palm turned up on either hand', () => {
+            expect(recognizeHandGestures(poses.rightPalmUp, 'right')).toMatchObject({ palmUp: true, point: false });
+            expect(recognizeHandGestures(poses.leftPalmUp, 'left')).toMatchObject({ palmUp: true, point: false });
+        });
+
+        it('should recognize pointing and the way the finger points', () => {
+            const right = recognizeHandGestures(poses.rightPoint, 'right');
+            const left = recognizeHandGestures(poses.leftPoint, 'left');
+
+            expect(right.point).toBe(true);
+            expect(right.pointDirection.z).toBeLessThan(-0.5);
+            expect(right.pointDirection.x).toBeLessThan(0);
+            expect(left.point).toBe(true);
+            expect(left.pointDirection.x).toBeGreaterThan(0.9);
+            expect(Math.hypot(left.pointDirection.x, left.pointDirection.y, left.pointDirection.z)).toBeCloseTo(1);
+        });
+
+        it('should not mistake a fist for any gesture', () => {
+            expect(recognizeHandGestures(poses.rightFist, 'right')).toEqual(NO_GESTURES);
+        });
+
+        it('should see no gestures without a tracked hand', () => {
+            expect(recognizeHandGestures(null, 'right')).toEqual(NO_GESTURES);
+        });
+    });
+
+    describe('getGestureChanges', () => {
+        it('should report a pinch only on the frame it starts', () => {
+            // Arrange
+            const open = recognizeHandGestures(poses.rightOpen, 'right');
+            const pinch = recognizeHandGestures(poses.rightPinch, 'right', open);
+            const held = recognizeHandGestures(poses.rightPinch, 'right', pinch);
+
+            // Act
+            const started = getGestureChanges(open, pinch);
+            const holding = getGestureChanges(pinch, held);
+
+            // Assert
+            expect(started.pinchStarted).toBe(true);
+            expect(holding.pinchStarted).toBe(false);
+        });
+
+        it('should report the palm turning up and back over', () => {
+            const down = recognizeHandGestures(poses.leftOpen, 'left');
+            const up = recognizeHandGestures(poses.leftPalmUp, 'left', down);
+
+            expect(getGestureChanges(down, up)).toMatchObject({ palmUpStarted: true, palmUpEnded: false });
+            expect(getGestureChanges(up, down)).toMatchObject({ palmUpStarted: false, palmUpEnded: true });
+        });
+    });
+
+    describe('calculatePointMovement', () => {
+        it('should walk along the floor the way the finger points', () => {
+            // Arrange
+            const { pointDirection } = recognizeHandGestures(poses.leftPoint, 'left');
+
+            // Act
+            const delta = calculatePointMovement(pointDirection, 0.5, 2);
+
+            // Assert
+            expect(Math.hypot(delta.dx, delta.dz)).toBeCloseTo(1);
+            expect(delta.dx).toBeGreaterThan(0.9);
+        });
+
+        it('should not walk when pointing at the floor', () => {
+            const { pointDirection } = recognizeHandGestures(poses.rightPointDown, 'right');
+
+            expect(calculatePointMovement(pointDirection, 0.5, 2)).toEqual({ dx: 0, dz: 0 });
+        });
+    });
+});
@@ -7,6 +7,7 @@ import {
     getInteractionPrompt,
     getInteractionAction
 } from '../../../src/rogue/interaction.js';
+import { createDoor, DOOR_STATES } from '../../../src/rogue/doors.js';
 
 describe('Interaction System', () => {
     describe('findInteractablesAtPosition', () => {
@@ -38,6 +39,16 @@ describe('Interaction System', () => {
             expect(result.stairs).toBe(true);
         });
         
+        it('should detect stairs up', () => {
+            const position = { x: 5, y: 5 };
+            const entities = { items: [], enemies: [] };
+            
+            const result = findInteractablesAtPosition(position, entities, 'stairs_up');
+            
+            expect(result.stairsUp).toBe(true);
+            expect(result.stairs).toBe(false);
+        });
+        
         it('should find enemy at target position', () => {
             const position = { x: 5, y: 5 };
             const entities = {
@@ -99,6 +110,28 @@ describe('Interaction System', () => {
             
             expect(result.enemies.length).toBe(0);
         });
+        
+        it('should find the door at the target position', () => {
+            const position = { x: 5, y: 5 };
+            const entities = { items: [], enemies: [] };
+            const doors = [createDoor({ x: 5, y: 5 }), createDoor({ x: 6, y: 5 })];
+            
+            const result = findInteractablesAtPosition(position, entities, 'door_closed', doors);
+            
+            expect(result.door).toBe(doors[0]);
+            expect(result.wall).toBe(false);
+        });
+        
+        it('should not reveal secret doors', () => {
+            const position = { x: 5, y: 5 };
+            const entities = { items: [], enemies: [] };
+            const doors = [createDoor({ x: 5, y: 5 }, DOOR_STATES.SECRET)];
+            
+            const result = findInteractablesAtPosition(position, entities, 'wall', doors);
+            
+            expect(result.door).toBeNull();
+            expect(result.wall).toBe(true);
+        });
     });
     
     describe('getInteractionPrompt', () => {
@@ -113,6 +146,16 @@ describe('Interaction System', () => {
             
             expect(prompt).toContain('Pick up Sword');
         });
+
+        it('should show the price of goods on sale', () => {
+            const interactables = {
+                items: [{ name: 'Sword', price: 44 }],
+                stairs: false,
+                enemies: []
+            };
+            
+            expect(getInteractionPrompt(interactables)).toBe('Pick up Sword (44 gold)');
+        });
         
         it('should generate prompt for stairs', () => {
             const interactables = {
@@ -126,6 +169,32 @@ describe('Interaction System', () => {
             expect(prompt).toContain('Descend stairs');
         });
         
+        it('should generate prompt for stairs up', () => {
+            const interactables = {
+                items: [],
+                stairs: false,
+                stairsUp: true,
+                enemies: []
+            };
+            
+            const prompt = getInteractionPrompt(interactables);
+            
+            expect(prompt).toBe('Climb stairs');
+        });
+        
+        it('should generate prompts for doors by state', () => {
+            const promptFor = state => getInteractionPrompt({
+                items: [],
+                stairs: false,
+                enemies: [],
+                door: createDoor({ x: 1, y: 1 }, state)
+            });
+            
+            expect(promptFor(DOOR_STATES.CLOSED)).toBe('Open door');
+            expect(promptFor(DOOR_STATES.OPEN)).toBe('Close door');
+            expect(promptFor(DOOR_STATES.LOCKED)).toBe('Kick or unlock door');
+        });
+        
         it('should generate prompt for enemies', () => {
             const interactables = {
                 items: [],
@@ -166,6 +235,19 @@ describe('Interaction System', () => {
             expect(action.type).toBe('attack');
             expect(action.target.name).toBe('Goblin');
         });
+
+        it('should trade with peaceful shopkeepers', () => {
+            const interactables = {
+                items: [],
+                stairs: false,
+                enemies: [{ name: 'Shopkeeper', peaceful: true }]
+            };
+            
+            const action = getInteractionAction(interactables);
+            
+            expect(action.type).toBe('trade');
+            expect(getInteractionPrompt(interactables)).toBe('Trade with Shopkeeper');
+        });
         
         it('should pickup items when no enemies', () => {
             const interactables = {
@@ -192,6 +274,56 @@ describe('Interaction System', () => {
             expect(action.type).toBe('descend');
         });
         
+        it('should climb stairs up when nothing else available', () => {
+            const interactables = {
+                items: [],
+                stairs: false,
+                stairsUp: true,
+                enemies: []
+            };
+            
+            const action = getInteractionAction(interactables);
+            
+            expect(action.type).toBe('ascend');
+        });
+        
+        it('should use doors before stairs', () => {
+            const door = createDoor({ x: 1, y: 1 });
+            const interactables = {
+                items: [],
+                stairs: true,
+                enemies: [],
+                door
+            };
+            
+            const action = getInteractionAction(interactables);
+            
+            expect(action).toEqual({ type: 'door', target: door });
+        });
+        
+        it('should leave broken doors alone', () => {
+            const interactables = {
+                items: [],
+                stairs: false,
+                enemies: [],
+                door: createDoor({ x: 1, y: 1 }, DOOR_STATES.BROKEN)
+            };
+            
+            expect(getInteractionAction(interactables)).toBeNull();
+        });
+        
+        it('should search walls', () => {
+            const interactables = {
+                items: [],
+                stairs: false,
+                enemies: [],
+                door: null,
+                wall: true
+            };
+            
+            expect(getInteractionAction(interactables).type).toBe('search');
+        });
+        
         it('should return null when nothing to interact with', () => {
             const interactables = {
                 items: [],
@@ -8,10 +8,15 @@ import {
     removeItemFromInventory,
     useItem,
     equipItem,
+    unequipItem,
     getSlotLetter,
-    getInventoryDisplay
+    getInventoryDisplay,
+    getQuantity,
+    canStack
 } from '../../../src/rogue/inventory.js';
 import { ITEM_TYPES } from '../../../src/rogue/constants.js';
+import { createPotion, createFood, createWeapon } from '../../../src/rogue/entity-manager.js';
+import { createRunRandom } from '../../../src/rogue/rng.js';
 
 describe('Inventory System', () => {
     describe('createInventory', () => {
@@ -65,6 +70,52 @@ describe('Inventory System', () => {
             expect(result.success).toBe(false);
             expect(result.slot).toBeNull();
         });
+
+        it('should stack identical identified items in one slot', () => {
+            let inventory = createInventory();
+            inventory = addItemToInventory(inventory, createFood('ration', 150)).inventory;
+            inventory = addItemToInventory(inventory, createWeapon('Mace', [2, 4])).inventory;
+            
+            const result = addItemToInventory(inventory, { ...createFood('ration', 150), quantity: 2 });
+            
+            expect(result.slot).toBe(0);
+            expect(getQuantity(result.inventory[0])).toBe(3);
+            expect(result.inventory[2]).toBeNull();
+        });
+
+        it('should stack into a full inventory', () => {
+            const inventory = createInventory().map(() => createFood('ration', 150));
+            
+            const result = addItemToInventory(inventory, createFood('ration', 150));
+            
+            expect(result.success).toBe(true);
+            expect(getQuantity(result.inventory[0])).toBe(2);
+        });
+    });
+
+    describe('canStack', () => {
+        it('should only stack identified items of the same kind', () => {
+            const healing = { ...createPotion('healing', 'red potion', {}), identified: true };
+            
+            expect(canStack(healing, { ...createPotion('healing', 'red potion', {}), identified: true })).toBe(true);
+            expect(canStack(healing, createPotion('healing', 'red potion', {}))).toBe(false);
+            expect(canStack(healing, { ...healing, prefix: 'greater' })).toBe(false);
+            expect(canStack(createFood('ration', 150), createFood('apple', 50))).toBe(false);
+            expect(canStack(createWeapon('Mace', [2, 4]), createWeapon('Mace', [2, 4]))).toBe(false);
+            expect(canStack(null, healing)).toBe(false);
+        });
+
+        it('should not stack unpaid goods with the player\'s own', () => {
+            const apple = createFood('apple', 50);
+            
+            expect(canStack(apple, { ...createFood('apple', 50), price: 11, unpaid: true })).toBe(false);
+            expect(canStack({ ...apple, price: 11, unpaid: true }, { ...createFood('apple', 50), price: 11, unpaid: true })).toBe(true);
+        });
+
+        it('should count items saved before stacking as one', () => {
+            expect(getQuantity({ id: 1, type: ITEM_TYPES.FOOD })).toBe(1);
+            expect(getQuantity(null)).toBe(0);
+        });
     });
 
     describe('removeItemFromInventory', () => {
@@ -98,6 +149,27 @@ describe('Inventory System', () => {
             expect(removeItemFromInventory(inventory, -1).success).toBe(false);
             expect(removeItemFromInventory(inventory, 99).success).toBe(false);
         });
+
+        it('should split some items off a stack', () => {
+            const inventory = createInventory();
+            inventory[0] = { ...createFood('ration', 150), id: 'food_9', quantity: 5 };
+            
+            const result = removeItemFromInventory(inventory, 0, 2, createRunRandom(1));
+            
+            // The part taken gets a new id so it can lie on the floor beside the rest
+            expect(result.success).toBe(true);
+            expect(result.item).toMatchObject({ id: 'food_1', quantity: 2 });
+            expect(result.inventory[0]).toMatchObject({ id: 'food_9', quantity: 3 });
+        });
+
+        it('should not take more than the stack holds', () => {
+            const inventory = createInventory();
+            inventory[0] = { ...createFood('ration', 150), quantity: 2 };
+            
+            expect(removeItemFromInventory(inventory, 0, 3).success).toBe(false);
+            expect(removeItemFromInventory(inventory, 0, 0).success).toBe(false);
+            expect(removeItemFromInventory(inventory, 0, 2).inventory[0]).toBeNull();
+        });
     });
 
     describe('useItem', () => {
@@ -123,6 +195,21 @@ describe('Inventory System', () => {
             expect(result.newState.statistics.itemsUsed).toBe(1);
         });
 
+        it('should use one item from a stack', () => {
+            const inventory = createInventory();
+            inventory[0] = { ...createFood('bread', 100), quantity: 3 };
+            const state = {
+                player: { hp: 10, maxHp: 30, hunger: 100, maxHunger: 1000 },
+                statistics: { itemsUsed: 0 }
+            };
+            
+            const result = useItem(inventory, 0, state);
+            
+            expect(result.success).toBe(true);
+            expect(getQuantity(result.inventory[0])).toBe(2);
+            expect(result.newState.player.hunger).toBe(200);
+        });
+
         it('should use identify scroll', () => {
             const inventory = createInventory();
             const scroll = {
@@ -222,7 +309,7 @@ describe('Inventory System', () => {
             
             expect(result.success).toBe(true);
             expect(result.message).toContain('Equipped');
-            expect(result.newState.player.weapon).toEqual(weapon);
+            expect(result.newState.player.equipment.mainHand).toEqual(weapon);
         });
 
         it('should handle using armor to equip it', () => {
@@ -243,7 +330,7 @@ describe('Inventory System', () => {
             
             expect(result.success).toBe(true);
             expect(result.message).toContain('Equipped');
-            expect(result.newState.player.armor).toEqual(armor);
+            expect(result.newState.player.equipment.body).toEqual(armor);
             expect(result.newState.player.ac).toBe(13); // 10 + 3
         });
     });
@@ -265,7 +352,7 @@ describe('Inventory System', () => {
             
             // Assert
             expect(result.success).toBe(true);
-            expect(result.player.weapon).toBe(weapon);
+            expect(result.player.equipment.mainHand).toBe(weapon);
             expect(result.inventory[0]).toBeNull();
         });
 
@@ -282,7 +369,7 @@ describe('Inventory System', () => {
             const result = equipItem(addResult.inventory, 0, player);
             
             expect(result.success).toBe(true);
-            expect(result.player.armor).toBe(armor);
+            expect(result.player.equipment.body).toBe(armor);
             expect(result.player.ac).toBe(15);
         });
 
@@ -298,13 +385,13 @@ describe('Inventory System', () => {
                 name: 'Axe',
                 damage: [1, 8]
             };
-            const player = { weapon: sword, armor: null, ac: 10 };
+            const player = { equipment: { mainHand: sword }, ac: 10 };
             const addResult = addItemToInventory(inventory, axe);
             
             const result = equipItem(addResult.inventory, 0, player);
             
             expect(result.success).toBe(true);
-            expect(result.player.weapon).toBe(axe);
+            expect(result.player.equipment.mainHand).toBe(axe);
             expect(result.inventory[0]).toBe(sword);
         });
 
@@ -321,6 +408,191 @@ describe('Inventory System', () => {
             
             expect(result.success).toBe(false);
         });
+
+        it('should wear a shield alongside body armor', () => {
+            const chainMail = { type: ITEM_TYPES.ARMOR, name: 'Chain Mail', acBonus: 3 };
+            const shield = { type: ITEM_TYPES.ARMOR, name: 'Shield', acBonus: 2, slot: 'offHand' };
+            const player = { equipment: { body: chainMail }, ac: 13 };
+            const addResult = addItemToInventory(createInventory(), shield);
+            
+            const result = equipItem(addResult.inventory, 0, player);
+            
+            expect(result.player.equipment.body).toBe(chainMail);
+            expect(result.player.equipment.offHand).toBe(shield);
+            expect(result.player.ac).toBe(15);
+        });
+
+        it('should put rings on the free hand first', () => {
+            const first = { type: ITEM_TYPES.RING, name: 'Ring of Protection', bonuses: { ac: 1 } };
+            const second = { type: ITEM_TYPES.RING, name: 'Ring of Might', bonuses: { damageBonus: 2 } };
+            const player = { equipment: { ringLeft: first } };
+            const addResult = addItemToInventory(createInventory(), second);
+            
+            const result = equipItem(addResult.inventory, 0, player);
+            
+            expect(result.player.equipment.ringLeft).toBe(first);
+            expect(result.player.equipment.ringRight).toBe(second);
+            expect(result.player.ac).toBe(11);
+            expect(result.player.damageBonus).toBe(2);
+        });
+
+        it('should refuse a slot the item does not fit', () => {
+            const ring = { type: ITEM_TYPES.RING, name: 'Ring of Protection', bonuses: { ac: 1 } };
+            const addResult = addItemToInventory(createInventory(), ring);
+            
+            const result = equipItem(addResult.inventory, 0, {}, 'head');
+            
+            expect(result.success).toBe(false);
+            expect(result.inventory).toBe(addResult.inventory);
+        });
+
+        it('should swap into a full inventory', () => {
+            const sword = { type: ITEM_TYPES.WEAPON, name: 'Sword', damage: [1, 6] };
+            const axe = { type: ITEM_TYPES.WEAPON, name: 'Axe', damage: [1, 8] };
+            const inventory = createInventory().map(() => ({ type: ITEM_TYPES.FOOD, name: 'Bread' }));
+            inventory[5] = axe;
+            
+            const result = equipItem(inventory, 5, { equipment: { mainHand: sword } });
+            
+            expect(result.success).toBe(true);
+            expect(result.inventory[5]).toBe(sword);
+            expect(result.message).toContain('took off Sword');
+        });
+    });
+
+    describe('cursed and unidentified equipment', () => {
+        it('should reveal an item\'s properties when it is worn', () => {
+            const sword = { type: ITEM_TYPES.WEAPON, name: 'Long Sword', damage: [1, 8], enchantment: 2, identified: false };
+            const addResult = addItemToInventory(createInventory(), sword);
+            
+            const result = equipItem(addResult.inventory, 0, {});
+            
+            expect(result.player.equipment.mainHand.identified).toBe(true);
+            expect(result.player.attackBonus).toBe(2);
+            expect(result.message).toBe('Equipped +2 Long Sword');
+        });
+
+        it('should warn when a cursed item is put on', () => {
+            const mail = { type: ITEM_TYPES.ARMOR, name: 'Chain Mail', acBonus: 3, enchantment: -2, cursed: true, identified: false };
+            const addResult = addItemToInventory(createInventory(), mail);
+            
+            const result = equipItem(addResult.inventory, 0, {});
+            
+            expect(result.success).toBe(true);
+            expect(result.player.ac).toBe(11);
+            expect(result.message).toBe('Equipped cursed -2 Chain Mail - it is cursed!');
+        });
+
+        it('should not take off cursed items', () => {
+            const mail = { type: ITEM_TYPES.ARMOR, name: 'Chain Mail', acBonus: 3, cursed: true };
+            const player = { equipment: { body: mail } };
+            
+            const result = unequipItem(createInventory(), 'body', player);
+            
+            expect(result.success).toBe(false);
+            expect(result.message).toBe('You can\'t remove the cursed Chain Mail!');
+        });
+
+        it('should not swap out cursed items', () => {
+            const cursed = { type: ITEM_TYPES.WEAPON, name: 'Dagger', damage: [1, 4], cursed: true };
+            const axe = { type: ITEM_TYPES.WEAPON, name: 'Axe', damage: [1, 8] };
+            const addResult = addItemToInventory(createInventory(), axe);
+            
+            const result = equipItem(addResult.inventory, 0, { equipment: { mainHand: cursed } });
+            
+            expect(result.success).toBe(false);
+            expect(result.inventory[0]).toBe(axe);
+        });
+
+        it('should put rings on the hand without a cursed ring', () => {
+            const cursed = { type: ITEM_TYPES.RING, name: 'Ring of Might', cursed: true };
+            const worn = { type: ITEM_TYPES.RING, name: 'Ring of Protection', bonuses: { ac: 1 } };
+            const ring = { type: ITEM_TYPES.RING, name: 'Ring of Accuracy', bonuses: { attackBonus: 2 } };
+            const addResult = addItemToInventory(createInventory(), ring);
+            
+            const result = equipItem(addResult.inventory, 0, { equipment: { ringLeft: cursed, ringRight: worn } });
+            
+            expect(result.player.equipment.ringRight).toBe(ring);
+            expect(result.inventory[0]).toBe(worn);
+        });
+
+        it('should lift curses from worn and carried items with remove curse', () => {
+            const mail = { type: ITEM_TYPES.ARMOR, name: 'Chain Mail', acBonus: 3, cursed: true };
+            const dagger = { type: ITEM_TYPES.WEAPON, name: 'Dagger', damage: [1, 4], cursed: true };
+            const scroll = { type: ITEM_TYPES.SCROLL, trueType: 'remove curse', appearance: 'faded scroll', identified: false };
+            let inventory = addItemToInventory(createInventory(), scroll).inventory;
+            inventory = addItemToInventory(inventory, dagger).inventory;
+            const state = {
+                player: { equipment: { body: mail } },
+                statistics: { itemsUsed: 0 },
+                inventory
+            };
+            
+            const result = useItem(inventory, 0, state);
+            
+            expect(result.newState.player.equipment.body.cursed).toBe(false);
+            expect(result.inventory[1].cursed).toBe(false);
+        });
+
+        it('should identify worn items with identify', () => {
+            const mail = { type: ITEM_TYPES.ARMOR, name: 'Chain Mail', acBonus: 3, enchantment: 1, identified: false };
+            const scroll = { type: ITEM_TYPES.SCROLL, trueType: 'identify', appearance: 'dusty scroll', identified: false };
+            const inventory = addItemToInventory(createInventory(), scroll).inventory;
+            const state = {
+                player: { equipment: { body: mail } },
+                statistics: { itemsUsed: 0 },
+                inventory
+            };
+            
+            const result = useItem(inventory, 0, state);
+            
+            expect(result.newState.player.equipment.body.identified).toBe(true);
+            expect(result.newState.player.ac).toBe(14);
+        });
+
+        it('should hide the properties of unidentified weapons and armor in the list', () => {
+            const inventory = [
+                { type: ITEM_TYPES.WEAPON, name: 'Mace', enchantment: 2, identified: false },
+                { type: ITEM_TYPES.WEAPON, name: 'Mace', enchantment: 2, identified: true }
+            ];
+            
+            expect(getInventoryDisplay(inventory)).toEqual(['a) Mace', 'b) +2 Mace']);
+        });
+    });
+
+    describe('unequipItem', () => {
+        it('should put the item back in the inventory and drop its stats', () => {
+            // Arrange
+            const chainMail = { type: ITEM_TYPES.ARMOR, name: 'Chain Mail', acBonus: 3 };
+            const player = { equipment: { body: chainMail }, ac: 13 };
+            
+            // Act
+            const result = unequipItem(createInventory(), 'body', player);
+            
+            // Assert
+            expect(result.success).toBe(true);
+            expect(result.inventory[0]).toBe(chainMail);
+            expect(result.player.equipment.body).toBeNull();
+            expect(result.player.ac).toBe(10);
+        });
+
+        it('should fail when nothing is equipped in the slot', () => {
+            const result = unequipItem(createInventory(), 'head', { equipment: {} });
+            
+            expect(result.success).toBe(false);
+            expect(result.message).toBe('Nothing equipped there');
+        });
+
+        it('should fail when the inventory is full', () => {
+            const chainMail = { type: ITEM_TYPES.ARMOR, name: 'Chain Mail', acBonus: 3 };
+            const player = { equipment: { body: chainMail } };
+            const inventory = createInventory().map(() => ({ type: ITEM_TYPES.FOOD, name: 'Bread' }));
+            
+            const result = unequipItem(inventory, 'body', player);
+            
+            expect(result.success).toBe(false);
+            expect(result.player).toBe(player);
+        });
     });
 
     describe('getSlotLetter', () => {
@@ -379,6 +651,42 @@ describe('Inventory System', () => {
             expect(display[0]).toBe('a) red potion');
         });
 
+        it('should show what the player called unidentified items', () => {
+            const inventory = createInventory();
+            const potion = {
+                type: ITEM_TYPES.POTION,
+                trueType: 'healing',
+                appearance: 'red potion',
+                identified: false
+            };
+            const addResult = addItemToInventory(inventory, potion);
+            const discoveries = { appearances: {}, known: [], called: { 'red potion': 'heal?' } };
+            
+            const display = getInventoryDisplay(addResult.inventory, discoveries);
+            
+            expect(display[0]).toBe('a) red potion (called heal?)');
+        });
+
+        it('should show how many a stack holds', () => {
+            const inventory = createInventory();
+            inventory[0] = { ...createFood('apple', 50), quantity: 4 };
+            inventory[1] = createFood('cheese', 80);
+            
+            const display = getInventoryDisplay(inventory);
+            
+            expect(display[0]).toBe('a) apple x4');
+            expect(display[1]).toBe('b) cheese');
+        });
+
+        it('should show what the player owes for unpaid goods', () => {
+            const inventory = createInventory();
+            inventory[0] = { ...createFood('apple', 50), quantity: 2, price: 11, unpaid: true };
+            
+            const display = getInventoryDisplay(inventory);
+            
+            expect(display[0]).toBe('a) apple x2 (unpaid, 22 gold)');
+        });
+
         it('should display identified potions with "Potion of" prefix', () => {
             const inventory = createInventory();
             const potion = {
@@ -0,0 +1,142 @@
+/**
+ * Unit tests for item properties (enchantments, curses and affixes)
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+    rollEnchantment,
+    getAffix,
+    getAvailableAffixes,
+    rollAffix,
+    applyItemProperties,
+    getPropertyBonuses,
+    isCursed,
+    uncurseItem,
+    enchantItem,
+    getItemName
+} from '../../../src/rogue/item-properties.js';
+import { createWeapon, createArmor } from '../../../src/rogue/entity-manager.js';
+import { createRunRandom } from '../../../src/rogue/rng.js';
+
+/**
+ * RNG that returns the given rolls in order, then the last one forever
+ */
+function createSequenceRng(values) {
+    let index = 0;
+    return { next: () => values[Math.min(index++, values.length - 1)] };
+}
+
+describe('Item Properties', () => {
+    describe('rollEnchantment', () => {
+        it('should curse low rolls with a negative enchantment', () => {
+            // Arrange
+            const rng = createSequenceRng([0.05, 0.99]);
+
+            // Act
+            const result = rollEnchantment(rng, 1);
+
+            // Assert
+            expect(result).toEqual({ enchantment: -3, cursed: true });
+        });
+
+        it('should cap positive enchantments by depth', () => {
+            expect(rollEnchantment(createSequenceRng([0.2, 0.99]), 1)).toEqual({ enchantment: 1, cursed: false });
+            expect(rollEnchantment(createSequenceRng([0.2, 0.99]), 3)).toEqual({ enchantment: 2, cursed: false });
+            expect(rollEnchantment(createSequenceRng([0.2, 0.99]), 9)).toEqual({ enchantment: 3, cursed: false });
+        });
+
+        it('should leave most items plain', () => {
+            expect(rollEnchantment(createSequenceRng([0.9]), 5)).toEqual({ enchantment: 0, cursed: false });
+        });
+    });
+
+    describe('affixes', () => {
+        it('should only offer affixes for the item type and depth', () => {
+            expect(getAvailableAffixes('weapon', 1).map(affix => affix.id)).toEqual(['warding']);
+            expect(getAvailableAffixes('weapon', 2).map(affix => affix.id)).toEqual(['flaming', 'warding']);
+            expect(getAvailableAffixes('armor', 3).map(affix => affix.id)).toEqual(['regeneration', 'warding']);
+        });
+
+        it('should scale the affix magnitude with depth', () => {
+            // Pass the affix chance, then pick the first affix (flaming)
+            expect(rollAffix(createSequenceRng([0, 0]), 'weapon', 2)).toEqual({ id: 'flaming', magnitude: 1 });
+            expect(rollAffix(createSequenceRng([0, 0]), 'weapon', 8)).toEqual({ id: 'flaming', magnitude: 3 });
+        });
+
+        it('should usually roll no affix', () => {
+            expect(rollAffix(createSequenceRng([0.5]), 'weapon', 8)).toBeNull();
+        });
+
+        it('should find affixes by id', () => {
+            expect(getAffix('warding').stat).toBe('ac');
+            expect(getAffix('unknown')).toBeNull();
+        });
+    });
+
+    describe('applyItemProperties', () => {
+        it('should roll properties and hide them until identified', () => {
+            const sword = createWeapon('Long Sword', [1, 8], 2);
+
+            const item = applyItemProperties(sword, createSequenceRng([0.2, 0.99, 0, 0]), 2);
+
+            expect(item).toMatchObject({ enchantment: 1, cursed: false, affix: { id: 'flaming', magnitude: 1 }, identified: false });
+            expect(item.name).toBe('Long Sword');
+        });
+
+        it('should roll the same properties from the same seed', () => {
+            const armor = createArmor('Chain Mail', 3);
+
+            expect(applyItemProperties(armor, createRunRandom(9), 6)).toEqual(applyItemProperties(armor, createRunRandom(9), 6));
+        });
+    });
+
+    describe('getPropertyBonuses', () => {
+        it('should add weapon enchantments to hit and damage', () => {
+            const sword = { ...createWeapon('Long Sword', [1, 8]), enchantment: 2 };
+
+            expect(getPropertyBonuses(sword)).toEqual({ attackBonus: 2, damageBonus: 2 });
+        });
+
+        it('should add armor enchantments and affixes to their stats', () => {
+            const mail = { ...createArmor('Chain Mail', 3), enchantment: -1, affix: { id: 'regeneration', magnitude: 2 } };
+
+            expect(getPropertyBonuses(mail)).toEqual({ ac: -1, regen: 2 });
+        });
+    });
+
+    describe('curses', () => {
+        it('should lift curses without touching clean items', () => {
+            const cursed = { ...createArmor('Chain Mail', 3), cursed: true };
+            const clean = createArmor('Leather Armor', 1);
+
+            expect(isCursed(cursed)).toBe(true);
+            expect(isCursed(uncurseItem(cursed))).toBe(false);
+            expect(uncurseItem(clean)).toBe(clean);
+            expect(isCursed(null)).toBe(false);
+        });
+    });
+
+    describe('enchantItem', () => {
+        it('should raise the enchantment and lift the curse', () => {
+            const cursed = { ...createArmor('Chain Mail', 3), enchantment: -2, cursed: true };
+
+            expect(enchantItem(cursed)).toMatchObject({ enchantment: -1, cursed: false });
+            expect(enchantItem(createWeapon('Mace', [2, 4])).enchantment).toBe(1);
+        });
+    });
+
+    describe('getItemName', () => {
+        it('should show known properties around the base name', () => {
+            const sword = { ...createWeapon('Long Sword', [1, 8]), enchantment: 2, affix: { id: 'flaming', magnitude: 1 } };
+            const mail = { ...createArmor('Chain Mail', 3), enchantment: -1, cursed: true, affix: { id: 'warding', magnitude: 1 } };
+
+            expect(getItemName(sword)).toBe('+2 Flaming Long Sword');
+            expect(getItemName(mail)).toBe('cursed -1 Chain Mail of Warding');
+        });
+
+        it('should show only the base name until identified', () => {
+            const mail = { ...createArmor('Chain Mail', 3), enchantment: -1, cursed: true, identified: false };
+
+            expect(getItemName(mail)).toBe('Chain Mail');
+        });
+    });
+});
@@ -12,7 +12,9 @@ import {
     calculateMovementBudget,
     checkCollision,
     calculateCameraRotation,
-    clampPitch
+    clampPitch,
+    getRadialSelection,
+    getStepDirection
 } from '../../../src/rogue/movement.js';
 
 describe('Movement System', () => {
@@ -375,4 +377,54 @@ describe('Movement System', () => {
             expect(result).toBe(-1.0);
         });
     });
+
+    describe('getStepDirection', () => {
+        it('should step toward the tile the player faces', () => {
+            // Arrange
+            const forward = { forward: 1, right: 0 };
+
+            // Act
+            const direction = getStepDirection(forward, 0);
+
+            // Assert
+            expect(direction).toEqual({ dx: 0, dy: -1 });
+        });
+
+        it('should turn the step with the player', () => {
+            expect(getStepDirection({ forward: 0, right: 1 }, 0)).toEqual({ dx: 1, dy: 0 });
+            expect(getStepDirection({ forward: 1, right: 0 }, Math.PI / 2)).toEqual({ dx: -1, dy: 0 });
+            expect(getStepDirection({ forward: -1, right: -1 }, Math.PI)).toEqual({ dx: 1, dy: -1 });
+        });
+
+        it('should snap the facing to the nearest of eight directions', () => {
+            expect(getStepDirection({ forward: 1, right: 0 }, Math.PI / 4 - 0.1)).toEqual({ dx: -1, dy: -1 });
+            expect(getStepDirection({ forward: 1, right: 1 }, Math.PI / 4)).toEqual({ dx: 0, dy: -1 });
+            expect(getStepDirection({ forward: 1, right: 0 }, 0.3)).toEqual({ dx: 0, dy: -1 });
+        });
+    });
+
+    describe('getRadialSelection', () => {
+        it('should pick the top slice when the stick is pushed forward', () => {
+            // Arrange
+            const axes = { x: 0, y: -1 };
+            
+            // Act
+            const result = getRadialSelection(axes, 4);
+            
+            // Assert
+            expect(result).toBe(0);
+        });
+
+        it('should go round the slices clockwise', () => {
+            expect(getRadialSelection({ x: 1, y: 0 }, 4)).toBe(1);
+            expect(getRadialSelection({ x: 0, y: 1 }, 4)).toBe(2);
+            expect(getRadialSelection({ x: -1, y: 0 }, 4)).toBe(3);
+            expect(getRadialSelection({ x: -0.7, y: -0.75 }, 4)).toBe(0);
+        });
+
+        it('should pick nothing inside the deadzone or from an empty menu', () => {
+            expect(getRadialSelection({ x: 0.2, y: -0.2 }, 4)).toBe(-1);
+            expect(getRadialSelection({ x: 0, y: -1 }, 0)).toBe(-1);
+        });
+    });
 });
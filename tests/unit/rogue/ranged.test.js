@@ -0,0 +1,243 @@
+/**
+ * Unit tests for ranged combat
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+    getLineTiles,
+    getBearing,
+    getBearingTile,
+    traceProjectile,
+    getRangePenalty,
+    isLauncher,
+    getLauncher,
+    findAmmoSlot,
+    canThrowItem,
+    isThrowingWeapon,
+    getProjectileRange,
+    getProjectileWeapon,
+    getShatterEffect,
+    rollProjectileBreaks
+} from '../../../src/rogue/ranged.js';
+import { THROW_RANGE, THROWN_DAMAGE } from '../../../src/rogue/constants.js';
+import {
+    createEnemy,
+    createWeapon,
+    createLauncher,
+    createAmmo,
+    createPotion,
+    createGold
+} from '../../../src/rogue/entity-manager.js';
+import { parseGrid } from '../helpers/grid.js';
+
+/**
+ * RNG that always returns the same roll
+ */
+function createFixedRng(value) {
+    return { next: () => value };
+}
+
+const HALL = parseGrid([
+    '##########',
+    '#........#',
+    '#........#',
+    '#...#....#',
+    '##########'
+]);
+
+describe('Ranged Combat', () => {
+    describe('getLineTiles', () => {
+        it('should list the tiles along a straight line, leaving out the start', () => {
+            // Arrange
+            const from = { x: 1, y: 1 };
+
+            // Act
+            const tiles = getLineTiles(from, { x: 4, y: 1 });
+
+            // Assert
+            expect(tiles).toEqual([{ x: 2, y: 1 }, { x: 3, y: 1 }, { x: 4, y: 1 }]);
+        });
+
+        it('should step diagonally and along shallow slopes', () => {
+            expect(getLineTiles({ x: 0, y: 0 }, { x: 2, y: 2 })).toEqual([{ x: 1, y: 1 }, { x: 2, y: 2 }]);
+            expect(getLineTiles({ x: 0, y: 0 }, { x: 4, y: 2 })).toEqual([
+                { x: 1, y: 1 }, { x: 2, y: 1 }, { x: 3, y: 2 }, { x: 4, y: 2 }
+            ]);
+        });
+
+        it('should be empty for the start tile itself', () => {
+            expect(getLineTiles({ x: 3, y: 3 }, { x: 3, y: 3 })).toEqual([]);
+        });
+    });
+
+    describe('bearings', () => {
+        it('should match the player rotation convention', () => {
+            // Arrange
+            const forward = { x: 0, z: -1 };
+
+            // Act
+            const bearing = getBearing(forward);
+
+            // Assert
+            expect(bearing).toBeCloseTo(0);
+            expect(getBearing({ x: -1, z: 0 })).toBeCloseTo(Math.PI / 2);
+        });
+
+        it('should find the tile at a distance along a bearing', () => {
+            const position = { x: 5, y: 5 };
+
+            expect(getBearingTile(position, 0, 3)).toEqual({ x: 5, y: 2 });
+            expect(getBearingTile(position, Math.PI / 2, 3)).toEqual({ x: 2, y: 5 });
+            expect(getBearingTile(position, getBearing({ x: 1, z: 1 }), 4)).toEqual({ x: 8, y: 8 });
+        });
+    });
+
+    describe('traceProjectile', () => {
+        it('should fly to the aimed tile across open floor', () => {
+            // Arrange
+            const from = { x: 1, y: 1 };
+
+            // Act
+            const trace = traceProjectile(HALL, from, { x: 5, y: 1 }, 8);
+
+            // Assert
+            expect(trace.path).toHaveLength(4);
+            expect(trace.enemy).toBeNull();
+            expect(trace.landing).toEqual({ x: 5, y: 1 });
+        });
+
+        it('should stop in front of walls and closed doors', () => {
+            const grid = parseGrid(['#######', '#..+..#', '#######']);
+
+            expect(traceProjectile(HALL, { x: 2, y: 3 }, { x: 7, y: 3 }, 8).landing).toEqual({ x: 3, y: 3 });
+            expect(traceProjectile(grid, { x: 1, y: 1 }, { x: 5, y: 1 }, 8).landing).toEqual({ x: 2, y: 1 });
+        });
+
+        it('should not slip diagonally between two walls', () => {
+            const grid = parseGrid(['####', '#.##', '##.#', '####']);
+
+            const trace = traceProjectile(grid, { x: 1, y: 1 }, { x: 2, y: 2 }, 8);
+
+            expect(trace.path).toEqual([]);
+            expect(trace.landing).toEqual({ x: 1, y: 1 });
+        });
+
+        it('should strike the first living creature in its way', () => {
+            const dead = { ...createEnemy('GOBLIN', { x: 2, y: 1 }), isAlive: false };
+            const goblin = createEnemy('GOBLIN', { x: 3, y: 1 });
+            const rat = createEnemy('GOBLIN', { x: 4, y: 1 });
+
+            const trace = traceProjectile(HALL, { x: 1, y: 1 }, { x: 8, y: 1 }, 8, [dead, goblin, rat]);
+
+            expect(trace.enemy).toBe(goblin);
+            expect(trace.landing).toEqual({ x: 3, y: 1 });
+        });
+
+        it('should fall short of targets beyond its range', () => {
+            const goblin = createEnemy('GOBLIN', { x: 8, y: 1 });
+
+            const trace = traceProjectile(HALL, { x: 1, y: 1 }, { x: 8, y: 1 }, 3, [goblin]);
+
+            expect(trace.enemy).toBeNull();
+            expect(trace.landing).toEqual({ x: 4, y: 1 });
+        });
+    });
+
+    describe('getRangePenalty', () => {
+        it('should take a point off per tile past the first', () => {
+            // Arrange
+            const from = { x: 1, y: 1 };
+
+            // Act
+            const penalties = [{ x: 2, y: 2 }, { x: 4, y: 1 }, { x: 6, y: 3 }].map(to => getRangePenalty(from, to));
+
+            // Assert
+            expect(penalties).toEqual([0, 2, 4]);
+        });
+    });
+
+    describe('launchers and ammunition', () => {
+        it('should tell launchers from other weapons', () => {
+            // Arrange
+            const bow = createLauncher('Short Bow', [1, 2], 0, 'arrow', 8);
+            const sword = createWeapon('Sword', [1, 8]);
+
+            // Act & Assert
+            expect(isLauncher(bow)).toBe(true);
+            expect(isLauncher(sword)).toBe(false);
+            expect(isLauncher(null)).toBe(false);
+            expect(getLauncher({ equipment: { mainHand: bow } })).toBe(bow);
+            expect(getLauncher({ equipment: { mainHand: sword } })).toBeNull();
+        });
+
+        it('should find the ammunition a launcher fires, skipping unpaid goods', () => {
+            const bow = createLauncher('Short Bow', [1, 2], 0, 'arrow', 8);
+            const inventory = [
+                createAmmo('bolt', 5),
+                { ...createAmmo('arrow', 5), unpaid: true, price: 2 },
+                createAmmo('arrow', 5),
+                null
+            ];
+
+            expect(findAmmoSlot(inventory, bow)).toBe(2);
+            expect(findAmmoSlot([null, createAmmo('stone', 3)], bow)).toBe(-1);
+        });
+
+        it('should fire with the launcher range and bonus and the ammunition damage', () => {
+            const crossbow = createLauncher('Crossbow', [1, 3], 1, 'bolt', 10);
+            const bolt = createAmmo('bolt');
+
+            expect(getProjectileRange(crossbow)).toBe(10);
+            expect(getProjectileWeapon(bolt, crossbow)).toEqual({ damage: [1, 8], bonus: 1 });
+        });
+    });
+
+    describe('throwing', () => {
+        it('should throw anything but gold', () => {
+            expect(canThrowItem(createWeapon('Sword', [1, 8]))).toBe(true);
+            expect(canThrowItem(createPotion('healing', 'red potion', {}))).toBe(true);
+            expect(canThrowItem(createGold(10, {}))).toBe(false);
+            expect(canThrowItem(null)).toBe(false);
+        });
+
+        it('should let throwing weapons strike as themselves and anything else feebly', () => {
+            // Arrange
+            const dagger = createWeapon('Dagger', [1, 4], 1);
+            const sword = createWeapon('Sword', [1, 8], 2);
+
+            // Act & Assert
+            expect(isThrowingWeapon(dagger)).toBe(true);
+            expect(isThrowingWeapon(sword)).toBe(false);
+            expect(getProjectileRange()).toBe(THROW_RANGE);
+            expect(getProjectileWeapon(dagger)).toEqual({ damage: [1, 4], bonus: 1 });
+            expect(getProjectileWeapon(sword)).toEqual({ damage: THROWN_DAMAGE, bonus: 0 });
+        });
+
+        it('should look up what a potion does when it shatters', () => {
+            expect(getShatterEffect(createPotion('poison', 'green potion', {}))).toEqual({ damage: [2, 4] });
+            expect(getShatterEffect(createPotion('healing', 'red potion', {}))).toEqual({ heal: [2, 6] });
+            expect(getShatterEffect(createPotion('strength', 'blue potion', {}))).toBeNull();
+        });
+    });
+
+    describe('rollProjectileBreaks', () => {
+        it('should always shatter potions', () => {
+            // Arrange
+            const potion = createPotion('healing', 'red potion', {});
+
+            // Act
+            const broken = rollProjectileBreaks(potion, false, createFixedRng(0.99));
+
+            // Assert
+            expect(broken).toBe(true);
+        });
+
+        it('should only break ammunition that hits, on a low roll', () => {
+            const arrow = createAmmo('arrow');
+
+            expect(rollProjectileBreaks(arrow, true, createFixedRng(0.1))).toBe(true);
+            expect(rollProjectileBreaks(arrow, true, createFixedRng(0.9))).toBe(false);
+            expect(rollProjectileBreaks(arrow, false, createFixedRng(0.1))).toBe(false);
+            expect(rollProjectileBreaks(createWeapon('Dagger', [1, 4]), true, createFixedRng(0.1))).toBe(false);
+        });
+    });
+});
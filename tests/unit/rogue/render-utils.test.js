@@ -7,9 +7,18 @@ import {
     getHPColor,
     getHungerColor,
     formatHUDText,
+    formatShopPanel,
+    formatSpellMenu,
+    createProjectile,
+    createSpellBolt,
+    createTeleportArc,
+    createVignette,
+    createCanvasPanel,
     getFloorColor
 } from '../../../src/rogue/render-utils.js';
 import { PALETTE } from '../../../src/rogue/constants.js';
+import { createAmmo, createPotion } from '../../../src/rogue/entity-manager.js';
+import { FakeTHREE } from '../helpers/fake-three.js';
 
 describe('Render Utils', () => {
     describe('getFloorColor', () => {
@@ -174,6 +183,183 @@ describe('Render Utils', () => {
             
             expect(lines[1].color).toBe('#ff0000');
         });
+
+        it('should add an announcement line when present', () => {
+            const stats = {
+                hp: 20,
+                maxHp: 20,
+                hunger: 900,
+                maxHunger: 1000,
+                level: 2,
+                turn: 60,
+                announcement: 'LEVEL UP! Level 2'
+            };
+            
+            const lines = formatHUDText(stats);
+            
+            expect(lines).toHaveLength(5);
+            expect(lines[4]).toEqual({ text: 'LEVEL UP! Level 2', color: '#ffd700' });
+        });
+
+        it('should show encumbrance before the announcement', () => {
+            const stats = {
+                hp: 20,
+                maxHp: 20,
+                hunger: 900,
+                maxHunger: 1000,
+                level: 2,
+                turn: 60,
+                encumbrance: 'Stressed',
+                announcement: 'LEVEL UP! Level 2'
+            };
+            
+            const lines = formatHUDText(stats);
+            
+            expect(lines).toHaveLength(6);
+            expect(lines[4]).toEqual({ text: 'Stressed', color: '#ffaa00' });
+            expect(lines[5].text).toBe('LEVEL UP! Level 2');
+        });
+
+        it('should show mana next to HP when given', () => {
+            const stats = { hp: 20, maxHp: 20, mana: 4, maxMana: 13, hunger: 900, maxHunger: 1000, level: 2, turn: 60 };
+            
+            const lines = formatHUDText(stats);
+            
+            expect(lines).toHaveLength(4);
+            expect(lines[0].text).toBe('HP: 20/20  MP: 4/13');
+        });
+    });
+
+    describe('formatShopPanel', () => {
+        it('should list the rows under the purse and mark the selected one', () => {
+            // Arrange
+            const rows = [
+                { action: 'pay', target: { slot: 0 }, name: 'apple', price: 11, hint: null },
+                { action: 'buy', target: { itemId: 'potion_1' }, name: 'red potion', price: 110, hint: ['healing', 'skill'] },
+                { action: 'sell', target: { slot: 1 }, name: 'Sword', price: 22, hint: null }
+            ];
+
+            // Act
+            const lines = formatShopPanel(50, rows, 2);
+
+            // Assert
+            expect(lines).toEqual([
+                { text: 'Gold: 50', color: '#ffd700' },
+                { text: '  Pay apple - 11 gold', color: '#00ff00' },
+                { text: '  Buy red potion (healing/skill?) - 110 gold', color: '#888888' },
+                { text: '> Sell Sword - 22 gold', color: '#ffffff' }
+            ]);
+        });
+
+        it('should say when there is nothing to trade', () => {
+            expect(formatShopPanel(0, [], 0)).toEqual([
+                { text: 'Gold: 0', color: '#ffd700' },
+                { text: 'Nothing to trade', color: '#888888' }
+            ]);
+        });
+    });
+
+    describe('formatSpellMenu', () => {
+        it('should lay the spells clockwise around the mana pool', () => {
+            // Arrange
+            const rows = [
+                { spell: 'magic missile', cost: 3, target: 'tile', castable: true },
+                { spell: 'heal', cost: 5, target: 'none', castable: true },
+                { spell: 'blink', cost: 6, target: 'tile', castable: false },
+                { spell: 'light', cost: 2, target: 'none', castable: true }
+            ];
+
+            // Act
+            const labels = formatSpellMenu(5, 10, rows, 1);
+
+            // Assert
+            expect(labels[0]).toEqual({ text: 'Mana: 5/10', color: '#6495ed', x: 0, y: 0 });
+            expect(labels.slice(1).map(({ text, color }) => ({ text, color }))).toEqual([
+                { text: 'magic missile (3)', color: '#9370db' },
+                { text: '> heal (5)', color: '#ffffff' },
+                { text: 'blink (6)', color: '#888888' },
+                { text: 'light (2)', color: '#9370db' }
+            ]);
+            expect(labels[1].x).toBeCloseTo(0);
+            expect(labels[1].y).toBeCloseTo(-1);
+            expect(labels[2].x).toBeCloseTo(1);
+            expect(labels[2].y).toBeCloseTo(0);
+        });
+
+        it('should say when no spells are known', () => {
+            expect(formatSpellMenu(10, 10, [], -1)[1].text).toBe('No spells known');
+        });
+    });
+
+    describe('createTeleportArc', () => {
+        it('should start hidden in the valid teleport colour', () => {
+            // Arrange & Act
+            const arc = createTeleportArc(FakeTHREE);
+
+            // Assert
+            expect(arc.visible).toBe(false);
+            expect(arc.material.color.hex).toBe(PALETTE.TELEPORT_VALID);
+        });
+    });
+
+    describe('createVignette', () => {
+        it('should sit just in front of the camera, fully transparent', () => {
+            // Arrange & Act
+            const vignette = createVignette(FakeTHREE);
+
+            // Assert
+            expect(vignette.position.z).toBeLessThan(0);
+            expect(vignette.material.transparent).toBe(true);
+            expect(vignette.material.opacity).toBe(0);
+        });
+    });
+
+    describe('createCanvasPanel', () => {
+        it('should show a canvas of the panel size on a plane', () => {
+            // Arrange
+            const panel = { width: 512, height: 256, worldWidth: 0.16, worldHeight: 0.08 };
+
+            // Act
+            const mesh = createCanvasPanel(FakeTHREE, panel);
+
+            // Assert
+            expect(mesh.userData.canvas.width).toBe(512);
+            expect(mesh.userData.canvas.height).toBe(256);
+            expect(mesh.material.map).toBe(mesh.userData.texture);
+            expect(mesh.userData.texture.image).toBe(mesh.userData.canvas);
+        });
+    });
+
+    describe('createSpellBolt', () => {
+        it('should glow in the spell color at projectile height', () => {
+            const group = createSpellBolt(FakeTHREE);
+
+            expect(group.children[0].material.color.hex).toBe(PALETTE.SPELL);
+            expect(group.position.y).toBe(1);
+        });
+    });
+
+    describe('createProjectile', () => {
+        it('should point arrows along the Z axis of their group', () => {
+            // Arrange
+            const arrow = createAmmo('arrow');
+
+            // Act
+            const group = createProjectile(FakeTHREE, arrow);
+
+            // Assert
+            const [mesh] = group.children;
+            expect(mesh.material.color.hex).toBe(PALETTE.AMMO);
+            expect(mesh.rotation.x).toBeCloseTo(Math.PI / 2);
+            expect(group.position.y).toBe(1);
+        });
+
+        it('should fly potions as round flasks', () => {
+            const [mesh] = createProjectile(FakeTHREE, createPotion('healing', 'red potion', {})).children;
+
+            expect(mesh.material.color.hex).toBe(PALETTE.POTION);
+            expect(mesh.rotation.x).toBe(0);
+        });
     });
 
     describe('createHUDCanvas', () => {
@@ -0,0 +1,219 @@
+/**
+ * Unit tests for the renderer adapter
+ */
+import { describe, it, expect } from '@jest/globals';
+import { createRendererAdapter } from '../../../src/rogue/renderer-adapter.js';
+import { createEngine, ENGINE_ACTIONS } from '../../../src/rogue/game-engine.js';
+import { gridToWorld } from '../../../src/rogue/grid-utils.js';
+import { PALETTE } from '../../../src/rogue/constants.js';
+import { createWeapon } from '../../../src/rogue/entity-manager.js';
+import { FakeTHREE, createFakeScene } from '../helpers/fake-three.js';
+import { playFrames } from '../helpers/play-engine.js';
+
+/**
+ * Create an engine with an adapter rendering it
+ */
+function createView(seed = 42) {
+    const engine = createEngine(seed);
+    const { scene, camera } = createFakeScene();
+    const view = createRendererAdapter(FakeTHREE, scene, camera, engine);
+    return { engine, scene, camera, view };
+}
+
+describe('Renderer Adapter', () => {
+    describe('createRendererAdapter', () => {
+        it('should build meshes for the level', () => {
+            // Arrange & Act
+            const { engine, scene } = createView();
+
+            // Assert
+            const state = engine.getState();
+            expect(scene.children.length).toBeGreaterThan(state.dungeon.width * state.dungeon.height);
+        });
+
+        it('should create a mesh per enemy and item', () => {
+            const { engine, view } = createView();
+            const state = engine.getState();
+
+            for (const enemy of state.entities.enemies) {
+                expect(view.getEnemyMesh(enemy.id)).toBeDefined();
+            }
+            for (const item of state.entities.items) {
+                expect(view.getItemMesh(item.id)).toBeDefined();
+            }
+        });
+
+        it('should place the camera at the player', () => {
+            const { engine, camera } = createView();
+            const world = engine.getState().player.worldPosition;
+
+            expect(camera.position.x).toBe(world.x);
+            expect(camera.position.y).toBe(1.6);
+            expect(camera.position.z).toBe(world.z);
+        });
+    });
+
+    describe('engine events', () => {
+        it('should add meshes for dropped items', () => {
+            // Arrange
+            const { engine, view } = createView();
+            const mace = createWeapon('Mace', [1, 6]);
+            engine.getState().inventory[0] = mace;
+
+            // Act
+            engine.dispatch({ type: ENGINE_ACTIONS.DROP_ITEM, slot: 0 });
+
+            // Assert
+            const mesh = view.getItemMesh(mace.id);
+            const world = gridToWorld(engine.getState().player.position.x, engine.getState().player.position.y);
+            expect(mesh.position.x).toBe(world.x);
+            expect(mesh.visible).toBe(true);
+        });
+
+        it('should fly a projectile mesh along its path and remove it once it lands', () => {
+            const { engine, view } = createView();
+            const state = engine.getState();
+            const { x, y } = state.player.position;
+            const target = [{ x: x + 1, y }, { x: x - 1, y }, { x, y: y + 1 }, { x, y: y - 1 }]
+                .find(tile => state.dungeon.grid[tile.y][tile.x] === 'floor' &&
+                    !state.entities.enemies.some(enemy => enemy.position.x === tile.x && enemy.position.y === tile.y));
+            state.inventory[0] = createWeapon('Dagger', [1, 4]);
+
+            engine.dispatch({ type: ENGINE_ACTIONS.THROW_ITEM, slot: 0, target });
+            const [mesh] = view.getProjectileMeshes();
+            view.update(0.01);
+            const start = gridToWorld(x, y);
+            const inFlight = Math.hypot(mesh.position.x - start.x, mesh.position.z - start.z);
+            view.update(1);
+
+            expect(inFlight).toBeGreaterThan(0);
+            expect(inFlight).toBeLessThan(2);
+            expect(view.getProjectileMeshes()).toEqual([]);
+        });
+
+        it('should fly a glowing bolt along the path of a cast spell', () => {
+            const { engine, view } = createView();
+            const state = engine.getState();
+            const { x, y } = state.player.position;
+            const target = [{ x: x + 1, y }, { x: x - 1, y }, { x, y: y + 1 }, { x, y: y - 1 }]
+                .find(tile => state.dungeon.grid[tile.y][tile.x] === 'floor');
+            state.player.spells = ['magic missile'];
+
+            engine.dispatch({ type: ENGINE_ACTIONS.CAST_SPELL, spell: 'magic missile', target });
+
+            const [mesh] = view.getProjectileMeshes();
+            expect(mesh.children[0].material.color.hex).toBe(PALETTE.SPELL);
+        });
+
+        it('should remove meshes for picked up items', () => {
+            const { engine, view } = createView();
+            const mace = createWeapon('Mace', [1, 6]);
+            engine.getState().inventory[0] = mace;
+            engine.dispatch({ type: ENGINE_ACTIONS.DROP_ITEM, slot: 0 });
+
+            // Step onto the tile in front, turn around and pick the mace back up
+            const state = engine.getState();
+            state.entities.items = state.entities.items.map(item =>
+                item.id === mace.id ? { ...item, position: { x: state.player.position.x, y: state.player.position.y - 1 } } : item
+            );
+            state.dungeon.grid[state.player.position.y - 1][state.player.position.x] = 'floor';
+            engine.dispatch({ type: ENGINE_ACTIONS.INTERACT });
+
+            expect(view.getItemMesh(mace.id)).toBeUndefined();
+        });
+
+        it('should move enemy meshes when enemies move', () => {
+            const { engine, view } = createView(1);
+            let moved = null;
+            engine.subscribe(events => {
+                moved = events.find(e => e.type === 'enemyMoved')?.enemy || moved;
+            });
+
+            playFrames(engine, 5000, () => moved !== null);
+
+            const world = gridToWorld(moved.position.x, moved.position.y);
+            expect(view.getEnemyMesh(moved.id).position.x).toBe(world.x);
+            expect(view.getEnemyMesh(moved.id).position.z).toBe(world.z);
+        });
+
+        it('should rebuild the scene when a level loads', () => {
+            const { engine, scene, view } = createView();
+            const enemyId = engine.getState().entities.enemies[0].id;
+            const oldMesh = view.getEnemyMesh(enemyId);
+
+            engine.restore(engine.getSaveData());
+
+            expect(scene.children).not.toContain(oldMesh);
+            expect(scene.children).toContain(view.getEnemyMesh(enemyId));
+        });
+    });
+
+    describe('update', () => {
+        it('should hide enemies outside the visible tiles', () => {
+            const { engine, view } = createView();
+            const state = engine.getState();
+            state.visibleTiles = new Set();
+
+            view.update();
+
+            for (const enemy of state.entities.enemies) {
+                expect(view.getEnemyMesh(enemy.id).visible).toBe(false);
+            }
+        });
+
+        it('should follow the player as they move', () => {
+            const { engine, view, camera } = createView();
+            const start = engine.getState().player.worldPosition;
+            engine.dispatch({
+                type: ENGINE_ACTIONS.MOVE,
+                worldPosition: { ...start, x: start.x + 0.05 },
+                distance: 0.05
+            });
+
+            view.update();
+
+            expect(camera.position.x).toBeCloseTo(start.x + 0.05);
+        });
+    });
+
+    describe('grid steps', () => {
+        it('should glide the camera to the center of the tile stepped onto', () => {
+            // Arrange
+            const { engine, view, camera } = createView();
+            const state = engine.getState();
+            const { x, y } = state.player.position;
+            const direction = [{ dx: 1, dy: 0 }, { dx: -1, dy: 0 }, { dx: 0, dy: 1 }, { dx: 0, dy: -1 }]
+                .find(({ dx, dy }) => state.dungeon.grid[y + dy][x + dx] === 'floor' &&
+                    !state.entities.enemies.some(enemy => enemy.position.x === x + dx && enemy.position.y === y + dy));
+            const start = { x: camera.position.x, z: camera.position.z };
+
+            // Act
+            engine.dispatch({ type: ENGINE_ACTIONS.STEP, direction });
+            view.update(0.05);
+            const midway = { x: camera.position.x, z: camera.position.z, stepping: view.isStepping() };
+            view.update(1);
+
+            // Assert
+            const end = gridToWorld(x + direction.dx, y + direction.dy);
+            const covered = Math.hypot(midway.x - start.x, midway.z - start.z);
+            expect(covered).toBeGreaterThan(0);
+            expect(covered).toBeLessThan(Math.hypot(end.x - start.x, end.z - start.z));
+            expect(midway.stepping).toBe(true);
+            expect(camera.position.x).toBe(end.x);
+            expect(camera.position.z).toBe(end.z);
+            expect(view.isStepping()).toBe(false);
+        });
+    });
+
+    describe('dispose', () => {
+        it('should remove its meshes and stop listening', () => {
+            const { engine, scene, view } = createView();
+            engine.getState().inventory[0] = createWeapon('Mace', [1, 6]);
+
+            view.dispose();
+            engine.dispatch({ type: ENGINE_ACTIONS.DROP_ITEM, slot: 0 });
+
+            expect(scene.children).toHaveLength(0);
+        });
+    });
+});
@@ -0,0 +1,288 @@
+/**
+ * Unit tests for run recording and replay
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+    REPLAY_FORMAT,
+    REPLAY_VERSION,
+    REPLAY_ACTIONS,
+    createRecorder,
+    applyReplayAction,
+    replayRun,
+    verifyReplay,
+    summarizeState
+} from '../../../src/rogue/replay.js';
+import { startRun, movePlayer, interact, useInventoryItem } from '../../../src/rogue/game-rules.js';
+import { updatePlayerRotation } from '../../../src/rogue/game-state.js';
+import { findPath, gridToWorld } from '../../../src/rogue/grid-utils.js';
+import { getPassableGrid, DOOR_SKILLS } from '../../../src/rogue/doors.js';
+
+/**
+ * Get the rotation that faces an adjacent tile
+ */
+function facing(dx, dy) {
+    if (dy === -1) return 0;
+    if (dx === -1) return Math.PI / 2;
+    if (dy === 1) return Math.PI;
+    return -Math.PI / 2;
+}
+
+/**
+ * Play a run the way the game controller does: walk toward the stairs in
+ * small frames, attacking, picking up, opening doors and descending along the way
+ */
+function playRun(seed, maxFrames) {
+    let { state, rng } = startRun(seed);
+    const recorder = createRecorder(seed);
+
+    const act = (type, rule, data) => {
+        recorder.recordAction(state, type, data);
+        state = rule(state).state;
+    };
+
+    for (let frame = 0; frame < maxFrames && !state.gameOver; frame++) {
+        const position = state.player.position;
+        const grid = getPassableGrid(state.dungeon.grid, state.dungeon.doors, DOOR_SKILLS.BASH);
+        const path = findPath(grid, position, state.dungeon.stairsPosition);
+        if (path.length === 0) break;
+
+        const next = path[0];
+        state = updatePlayerRotation(state, facing(next.x - position.x, next.y - position.y));
+
+        const somethingAhead = path.length === 1 ||
+            state.dungeon.grid[next.y][next.x] === 'door_closed' ||
+            state.entities.enemies.some(e => e.isAlive && e.position.x === next.x && e.position.y === next.y) ||
+            state.entities.items.some(item => item.position.x === next.x && item.position.y === next.y);
+
+        if (somethingAhead) {
+            act(REPLAY_ACTIONS.INTERACT, s => interact(s, rng));
+            continue;
+        }
+
+        if (frame % 200 === 0) {
+            act(REPLAY_ACTIONS.USE_ITEM, s => useInventoryItem(s, 0), { slot: 0 });
+        }
+
+        const center = gridToWorld(next.x, next.y);
+        const world = state.player.worldPosition;
+        const dx = center.x - world.x;
+        const dz = center.z - world.z;
+        const length = Math.hypot(dx, dz);
+        const step = Math.min(0.09, length);
+        const target = { x: world.x + dx / length * step, y: world.y, z: world.z + dz / length * step };
+
+        const before = state;
+        const result = movePlayer(state, target, step, rng);
+        if (result.moved) {
+            recorder.recordMove(before, target, step, result.cellChanged || result.turnAdvanced);
+            state = result.state;
+        }
+    }
+
+    return { state, replay: recorder.getReplay(state) };
+}
+
+describe('Replay', () => {
+    describe('createRecorder', () => {
+        it('should only keep move frames that change cell or turn', () => {
+            // Arrange
+            const { state } = startRun(42);
+            const recorder = createRecorder(42);
+            const position = { x: 1, y: 1.6, z: 1 };
+
+            // Act
+            recorder.recordMove(state, position, 0.1, false);
+            recorder.recordMove(state, position, 0.1, false);
+            recorder.recordMove(state, position, 0.1, true);
+
+            // Assert
+            const moves = recorder.getActions().filter(a => a.type === REPLAY_ACTIONS.MOVE);
+            expect(moves).toHaveLength(1);
+        });
+
+        it('should store the movement accumulated before the frame', () => {
+            const { state } = startRun(42);
+            const recorder = createRecorder(42);
+
+            recorder.recordMove({ ...state, accumulatedMovement: 0.75 }, { x: 1, y: 1.6, z: 1 }, 0.2, true);
+
+            expect(recorder.getActions()[0]).toEqual({
+                type: REPLAY_ACTIONS.MOVE,
+                turn: state.turnCount,
+                worldPosition: { x: 1, y: 1.6, z: 1 },
+                accumulatedMovement: 0.75,
+                distance: 0.2
+            });
+        });
+
+        it('should flush the last move frame before a discrete action', () => {
+            const { state } = startRun(42);
+            const recorder = createRecorder(42);
+
+            recorder.recordMove(state, { x: 1, y: 1.6, z: 1 }, 0.1, false);
+            recorder.recordMove(state, { x: 2, y: 1.6, z: 2 }, 0.1, false);
+            recorder.recordAction(state, REPLAY_ACTIONS.INTERACT);
+
+            const actions = recorder.getActions();
+            expect(actions.map(a => a.type)).toEqual([REPLAY_ACTIONS.MOVE, REPLAY_ACTIONS.INTERACT]);
+            expect(actions[0].worldPosition).toEqual({ x: 2, y: 1.6, z: 2 });
+        });
+
+        it('should record rotation changes before actions', () => {
+            const { state } = startRun(42);
+            const recorder = createRecorder(42);
+            const turned = updatePlayerRotation(state, Math.PI);
+
+            recorder.recordAction(turned, REPLAY_ACTIONS.INTERACT);
+            recorder.recordAction(turned, REPLAY_ACTIONS.INTERACT);
+
+            const actions = recorder.getActions();
+            expect(actions.map(a => a.type)).toEqual([
+                REPLAY_ACTIONS.ROTATE,
+                REPLAY_ACTIONS.INTERACT,
+                REPLAY_ACTIONS.INTERACT
+            ]);
+            expect(actions[0].rotation).toBe(Math.PI);
+        });
+
+        it('should record the turn and data of each action', () => {
+            const { state } = startRun(42);
+            const recorder = createRecorder(42);
+
+            recorder.recordAction({ ...state, turnCount: 9 }, REPLAY_ACTIONS.DROP_ITEM, { slot: 3 });
+
+            expect(recorder.getActions()[0]).toEqual({ type: REPLAY_ACTIONS.DROP_ITEM, turn: 9, slot: 3 });
+        });
+
+        it('should continue from previously recorded actions', () => {
+            const { state } = startRun(42);
+            const previous = [{ type: REPLAY_ACTIONS.ROTATE, turn: 0, rotation: Math.PI }];
+            const recorder = createRecorder(42, previous);
+
+            recorder.recordAction(updatePlayerRotation(state, Math.PI), REPLAY_ACTIONS.INTERACT);
+
+            expect(recorder.getActions().map(a => a.type)).toEqual([
+                REPLAY_ACTIONS.ROTATE,
+                REPLAY_ACTIONS.INTERACT
+            ]);
+        });
+
+        it('should build a replay file with the final summary', () => {
+            const { state } = startRun(42);
+            const recorder = createRecorder(42);
+
+            const replay = recorder.getReplay(state);
+
+            expect(replay.format).toBe(REPLAY_FORMAT);
+            expect(replay.version).toBe(REPLAY_VERSION);
+            expect(replay.seed).toBe(42);
+            expect(replay.final).toEqual(summarizeState(state));
+        });
+    });
+
+    describe('applyReplayAction', () => {
+        it('should apply rotations', () => {
+            const { state, rng } = startRun(42);
+
+            const result = applyReplayAction(state, { type: REPLAY_ACTIONS.ROTATE, rotation: 1.5 }, rng);
+
+            expect(result.state.player.rotation).toBe(1.5);
+        });
+
+        it('should throw on unknown actions', () => {
+            const { state, rng } = startRun(42);
+
+            expect(() => applyReplayAction(state, { type: 'dance' }, rng)).toThrow('Unknown replay action');
+        });
+    });
+
+    describe('replayRun', () => {
+        it('should reproduce the final state of a recorded run', () => {
+            // Arrange
+            const { state, replay } = playRun(12345, 20000);
+
+            // Act
+            const replayed = replayRun(JSON.parse(JSON.stringify(replay)));
+
+            // Assert
+            expect(replay.actions.length).toBeGreaterThan(0);
+            expect(replayed.state.turnCount).toBe(state.turnCount);
+            expect(replayed.state.player).toEqual(state.player);
+            expect(replayed.state.entities).toEqual(state.entities);
+            expect(replayed.state.inventory).toEqual(state.inventory);
+            expect(replayed.state.dungeon.level).toBe(state.dungeon.level);
+            expect(replayed.state.gameOver).toBe(state.gameOver);
+        });
+
+        it('should reproduce runs that descend and end in death', () => {
+            const { state, replay } = playRun(1, 20000);
+
+            const replayed = replayRun(replay);
+
+            expect(state.dungeon.level).toBeGreaterThan(1);
+            expect(state.gameOver).toBe(true);
+            expect(summarizeState(replayed.state)).toEqual(summarizeState(state));
+        });
+
+        it('should reproduce an empty run as the starting state', () => {
+            const { state } = startRun(7);
+            const replay = createRecorder(7).getReplay(state);
+
+            const replayed = replayRun(replay);
+
+            expect(replayed.state.player).toEqual(state.player);
+            expect(replayed.state.entities).toEqual(state.entities);
+        });
+
+        it('should throw when the replay falls out of sync', () => {
+            const { replay } = playRun(12345, 2000);
+            replay.actions[replay.actions.length - 1].turn += 5;
+
+            expect(() => replayRun(replay)).toThrow('Replay desynced');
+        });
+
+        it('should throw on invalid replay data', () => {
+            expect(() => replayRun(null)).toThrow('Invalid replay data');
+            expect(() => replayRun({ format: 'other', actions: [] })).toThrow('Invalid replay data');
+        });
+
+        it('should throw on replays from a newer version', () => {
+            const replay = { format: REPLAY_FORMAT, version: REPLAY_VERSION + 1, seed: 1, actions: [] };
+
+            expect(() => replayRun(replay)).toThrow('newer than supported');
+        });
+
+        it('should reject a newer replay before driving actions it may not know', () => {
+            const replay = {
+                format: REPLAY_FORMAT,
+                version: REPLAY_VERSION + 1,
+                seed: 1,
+                actions: [{ type: 'teleportHome', turn: 0 }]
+            };
+
+            expect(() => replayRun(replay)).toThrow(
+                `Replay version ${REPLAY_VERSION + 1} is newer than supported version ${REPLAY_VERSION}`
+            );
+        });
+    });
+
+    describe('verifyReplay', () => {
+        it('should match a faithful replay', () => {
+            const { replay } = playRun(12345, 3000);
+
+            const result = verifyReplay(replay);
+
+            expect(result.matches).toBe(true);
+            expect(result.actual).toEqual(result.expected);
+        });
+
+        it('should report a mismatch when the recorded outcome differs', () => {
+            const { replay } = playRun(12345, 3000);
+            replay.final = { ...replay.final, hp: replay.final.hp + 1 };
+
+            const result = verifyReplay(replay);
+
+            expect(result.matches).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Unit tests for run random number service
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+    createRunRandom,
+    nextRandom,
+    nextEntityId,
+    pickWeighted,
+    RunRandom
+} from '../../../src/rogue/rng.js';
+
+describe('Run RNG', () => {
+    describe('createRunRandom', () => {
+        it('should produce the same sequence for the same seed', () => {
+            // Arrange
+            const rng1 = createRunRandom(12345);
+            const rng2 = createRunRandom(12345);
+            
+            // Act
+            const seq1 = [rng1.next(), rng1.next(), rng1.nextInt(1, 100)];
+            const seq2 = [rng2.next(), rng2.next(), rng2.nextInt(1, 100)];
+            
+            // Assert
+            expect(seq1).toEqual(seq2);
+        });
+
+        it('should produce different sequences for different seeds', () => {
+            const rng1 = createRunRandom(1);
+            const rng2 = createRunRandom(2);
+            
+            expect(rng1.next()).not.toBe(rng2.next());
+        });
+    });
+
+    describe('nextId', () => {
+        it('should generate sequential ids', () => {
+            const rng = createRunRandom(1);
+            
+            expect(rng.nextId('enemy')).toBe('enemy_1');
+            expect(rng.nextId('potion')).toBe('potion_2');
+            expect(rng.nextId('enemy')).toBe('enemy_3');
+        });
+
+        it('should not consume random rolls', () => {
+            const rng1 = createRunRandom(7);
+            const rng2 = createRunRandom(7);
+            
+            rng1.nextId('enemy');
+            
+            expect(rng1.next()).toBe(rng2.next());
+        });
+    });
+
+    describe('getState / fromState', () => {
+        it('should continue the sequence from a saved position', () => {
+            // Arrange
+            const rng = createRunRandom(999);
+            rng.next();
+            rng.nextId('enemy');
+            const saved = JSON.parse(JSON.stringify(rng.getState()));
+            
+            // Act
+            const restored = RunRandom.fromState(saved);
+            
+            // Assert
+            expect(restored.next()).toBe(rng.next());
+            expect(restored.nextId('item')).toBe(rng.nextId('item'));
+        });
+
+        it('should default the id counter when missing', () => {
+            const restored = RunRandom.fromState({ seed: 5 });
+            
+            expect(restored.nextId('enemy')).toBe('enemy_1');
+        });
+    });
+
+    describe('nextRandom', () => {
+        it('should use the provided rng', () => {
+            const rng = { next: () => 0.25 };
+            
+            expect(nextRandom(rng)).toBe(0.25);
+        });
+
+        it('should fall back to Math.random', () => {
+            const value = nextRandom();
+            
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        });
+    });
+
+    describe('pickWeighted', () => {
+        it('should pick options in proportion to their weights', () => {
+            const options = [{ id: 'a', weight: 1 }, { id: 'b', weight: 3 }];
+            
+            expect(pickWeighted(options, { next: () => 0.2 }).id).toBe('a');
+            expect(pickWeighted(options, { next: () => 0.3 }).id).toBe('b');
+            expect(pickWeighted(options, { next: () => 0.99 }).id).toBe('b');
+        });
+    });
+
+    describe('nextEntityId', () => {
+        it('should use the rng id counter when available', () => {
+            const rng = createRunRandom(3);
+            
+            expect(nextEntityId('gold', rng)).toBe('gold_1');
+        });
+
+        it('should fall back to a unique time-based id', () => {
+            const id1 = nextEntityId('gold');
+            const id2 = nextEntityId('gold');
+            
+            expect(id1).toMatch(/^gold_/);
+            expect(id1).not.toBe(id2);
+        });
+
+        it('should fall back when the rng has no id counter', () => {
+            const id = nextEntityId('gold', { next: () => 0.5 });
+            
+            expect(id).toMatch(/^gold_\d+_/);
+        });
+    });
+});
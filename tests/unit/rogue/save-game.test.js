@@ -0,0 +1,397 @@
+/**
+ * Unit tests for save game system
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+    SAVE_VERSION,
+    SAVE_STORAGE_KEY,
+    registerSaveMigration,
+    serializeGameState,
+    deserializeGameState,
+    migrateSaveData,
+    writeSave,
+    readSave,
+    hasSave,
+    deleteSave
+} from '../../../src/rogue/save-game.js';
+import { createInitialState } from '../../../src/rogue/game-state.js';
+import { generateDungeon } from '../../../src/rogue/dungeon-generator.js';
+import { createEnemy, createPotion, createScroll, createWeapon, createArmor } from '../../../src/rogue/entity-manager.js';
+import { createStatusEffect, STATUS_TYPES } from '../../../src/rogue/status-effects.js';
+import { createDiscoveries } from '../../../src/rogue/discoveries.js';
+
+/**
+ * Minimal in-memory Web Storage implementation
+ */
+function createMemoryStorage() {
+    const data = new Map();
+    return {
+        getItem: key => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: key => data.delete(key)
+    };
+}
+
+/**
+ * Build a state resembling a run in progress
+ */
+function createRunState() {
+    const state = createInitialState(4242);
+    state.dungeon = generateDungeon(4242, 2);
+    state.player.position = { x: 3, y: 4 };
+    state.player.statusEffects = [createStatusEffect(STATUS_TYPES.SPEED, 5)];
+    state.entities.enemies = [createEnemy('GOBLIN', { x: 5, y: 5 }, 2)];
+    state.inventory[0] = createPotion('healing', 'red potion', {});
+    state.exploredTiles = new Set(['1,1', '1,2', '2,2']);
+    state.visibleTiles = new Set(['2,2']);
+    state.turnCount = 17;
+    return state;
+}
+
+describe('Save Game', () => {
+    describe('serializeGameState', () => {
+        it('should produce JSON-safe data with the current version', () => {
+            // Arrange
+            const state = createRunState();
+
+            // Act
+            const data = serializeGameState(state);
+
+            // Assert
+            expect(data.version).toBe(SAVE_VERSION);
+            expect(JSON.parse(JSON.stringify(data))).toEqual(data);
+        });
+
+        it('should convert tile sets to arrays', () => {
+            const state = createRunState();
+
+            const data = serializeGameState(state);
+
+            expect(data.state.exploredTiles).toEqual(['1,1', '1,2', '2,2']);
+            expect(data.state.visibleTiles).toEqual(['2,2']);
+        });
+
+        it('should store room rectangles', () => {
+            const state = createRunState();
+
+            const data = serializeGameState(state);
+
+            expect(data.state.dungeon.rooms[0]).toEqual({
+                x: state.dungeon.rooms[0].x,
+                y: state.dungeon.rooms[0].y,
+                width: state.dungeon.rooms[0].width,
+                height: state.dungeon.rooms[0].height
+            });
+        });
+
+        it('should include rng state', () => {
+            const state = createRunState();
+
+            const data = serializeGameState(state, { seed: 99 });
+
+            expect(data.rngState).toEqual({ seed: 99 });
+        });
+
+        it('should not be affected by later mutation of the live state', () => {
+            const state = createRunState();
+            const data = serializeGameState(state);
+
+            state.entities.enemies[0].hp = 0;
+            state.dungeon.grid[0][0] = 'floor';
+
+            expect(data.state.entities.enemies[0].hp).toBeGreaterThan(0);
+            expect(data.state.dungeon.grid[0][0]).toBe('wall');
+        });
+    });
+
+    describe('deserializeGameState', () => {
+        it('should round-trip the full game state', () => {
+            // Arrange
+            const state = createRunState();
+
+            // Act
+            const { state: restored } = deserializeGameState(serializeGameState(state));
+
+            // Assert
+            expect(restored.player).toEqual(state.player);
+            expect(restored.dungeon.grid).toEqual(state.dungeon.grid);
+            expect(restored.entities).toEqual(state.entities);
+            expect(restored.inventory).toEqual(state.inventory);
+            expect(restored.turnCount).toBe(17);
+            expect(restored.seed).toBe(4242);
+        });
+
+        it('should restore tile sets', () => {
+            const state = createRunState();
+
+            const { state: restored } = deserializeGameState(serializeGameState(state));
+
+            expect(restored.exploredTiles).toBeInstanceOf(Set);
+            expect(restored.exploredTiles.has('1,2')).toBe(true);
+            expect(restored.visibleTiles.has('2,2')).toBe(true);
+        });
+
+        it('should restore room centers', () => {
+            const state = createRunState();
+
+            const { state: restored } = deserializeGameState(serializeGameState(state));
+
+            expect(restored.dungeon.rooms[0].center).toEqual(state.dungeon.rooms[0].center);
+        });
+
+        it('should return rng state', () => {
+            const state = createRunState();
+
+            const { rngState } = deserializeGameState(serializeGameState(state, { seed: 7 }));
+
+            expect(rngState).toEqual({ seed: 7 });
+        });
+
+        it('should return recorded replay actions', () => {
+            const actions = [{ type: 'interact', turn: 3 }];
+
+            const { replay } = deserializeGameState(serializeGameState(createRunState(), null, actions));
+
+            expect(replay).toEqual(actions);
+        });
+
+        it('should return null replay for saves without one', () => {
+            const { replay } = deserializeGameState(serializeGameState(createRunState()));
+
+            expect(replay).toBeNull();
+        });
+
+        it('should throw on invalid data', () => {
+            expect(() => deserializeGameState(null)).toThrow('Invalid save data');
+            expect(() => deserializeGameState({ state: {} })).toThrow('Invalid save data');
+        });
+
+        it('should throw on saves from a newer version', () => {
+            const data = serializeGameState(createRunState());
+            data.version = SAVE_VERSION + 1;
+
+            expect(() => deserializeGameState(data)).toThrow('newer than supported');
+        });
+
+        it('should apply migrations to older saves', () => {
+            const data = serializeGameState(createRunState());
+            data.version = SAVE_VERSION - 1;
+            delete data.state.turnCount;
+            const migrations = {
+                [SAVE_VERSION - 1]: old => ({
+                    ...old,
+                    version: old.version + 1,
+                    state: { ...old.state, turnCount: 3 }
+                })
+            };
+
+            const { state } = deserializeGameState(data, migrations);
+
+            expect(state.turnCount).toBe(3);
+        });
+    });
+
+    describe('built-in migrations', () => {
+        it('should give enemies in version 1 saves AI memory', () => {
+            // Arrange
+            const data = serializeGameState(createRunState());
+            data.version = 1;
+            data.state.entities.enemies.forEach(enemy => delete enemy.ai);
+
+            // Act
+            const { state } = deserializeGameState(data);
+
+            // Assert
+            const enemy = state.entities.enemies[0];
+            expect(enemy.ai.state).toBe('idle');
+            expect(enemy.ai.home).toEqual(enemy.position);
+        });
+
+        it('should give version 2 saves an empty level cache', () => {
+            const data = serializeGameState(createRunState());
+            data.version = 2;
+            delete data.state.levels;
+
+            const { state } = deserializeGameState(data);
+
+            expect(state.levels).toEqual({});
+        });
+
+        it('should give version 3 saves empty door lists', () => {
+            const data = serializeGameState(createRunState());
+            data.version = 3;
+            delete data.state.dungeon.doors;
+            data.state.levels = { 1: { dungeon: { grid: [], rooms: [] }, enemies: [], items: [], exploredTiles: [] } };
+
+            const { state } = deserializeGameState(data);
+
+            expect(state.dungeon.doors).toEqual([]);
+            expect(state.levels[1].dungeon.doors).toEqual([]);
+        });
+
+        it('should move the weapon and armor of version 4 saves into equipment slots', () => {
+            const data = serializeGameState(createRunState());
+            data.version = 4;
+            const player = data.state.player;
+            delete player.equipment;
+            delete player.baseStats;
+            Object.assign(player, {
+                attackBonus: 2,
+                ac: 13,
+                weapon: createWeapon('Mace', [2, 4]),
+                armor: createArmor('Chain Mail', 3)
+            });
+
+            const { state } = deserializeGameState(data);
+
+            expect(state.player.weapon).toBeUndefined();
+            expect(state.player.equipment.mainHand.name).toBe('Mace');
+            expect(state.player.equipment.body.name).toBe('Chain Mail');
+            expect(state.player.baseStats.attackBonus).toBe(2);
+            expect(state.player.ac).toBe(13);
+        });
+
+        it('should give version 5 saves shuffled appearances and keep what was identified', () => {
+            const data = serializeGameState(createRunState());
+            data.version = 5;
+            delete data.state.discoveries;
+            data.state.inventory[0] = { ...createPotion('healing', 'crimson potion', {}), identified: true };
+            data.state.inventory[1] = createScroll('fire', 'smoky scroll', {});
+            data.state.levels = { 1: { items: [createPotion('poison', 'emerald potion', {})] } };
+
+            const { state } = deserializeGameState(data);
+
+            const appearances = createDiscoveries(4242).appearances;
+            expect(state.inventory[0].appearance).toBe(appearances.potion.healing);
+            expect(state.inventory[1].appearance).toBe(appearances.scroll.fire);
+            expect(state.levels[1].items[0].appearance).toBe(appearances.potion.poison);
+            expect(state.discoveries.known).toEqual([appearances.potion.healing]);
+        });
+
+        it('should fill the purse of version 6 saves with the gold collected', () => {
+            const data = serializeGameState(createRunState());
+            data.version = 6;
+            delete data.state.player.gold;
+            data.state.statistics.goldCollected = 75;
+
+            const { state } = deserializeGameState(data);
+
+            expect(state.player.gold).toBe(75);
+        });
+
+        it('should give version 7 saves a mana pool for the player level and no spells', () => {
+            const data = serializeGameState(createRunState());
+            data.version = 7;
+            data.state.player.level = 3;
+            delete data.state.player.mana;
+            delete data.state.player.maxMana;
+            delete data.state.player.spells;
+
+            const { state } = deserializeGameState(data);
+
+            expect(state.player.mana).toBe(10);
+            expect(state.player.maxMana).toBe(16);
+            expect(state.player.spells).toEqual([]);
+        });
+    });
+
+    describe('migrateSaveData', () => {
+        it('should return current saves unchanged', () => {
+            const data = { version: SAVE_VERSION, state: {} };
+
+            expect(migrateSaveData(data, {})).toBe(data);
+        });
+
+        it('should chain migrations across versions', () => {
+            const data = { version: SAVE_VERSION - 2, state: { steps: [] } };
+            const migrations = {};
+            registerSaveMigration(SAVE_VERSION - 2, old => ({
+                ...old, version: old.version + 1, state: { steps: [...old.state.steps, 'a'] }
+            }), migrations);
+            registerSaveMigration(SAVE_VERSION - 1, old => ({
+                ...old, version: old.version + 1, state: { steps: [...old.state.steps, 'b'] }
+            }), migrations);
+
+            const migrated = migrateSaveData(data, migrations);
+
+            expect(migrated.version).toBe(SAVE_VERSION);
+            expect(migrated.state.steps).toEqual(['a', 'b']);
+        });
+
+        it('should throw when a migration is missing', () => {
+            const data = { version: SAVE_VERSION - 1, state: {} };
+
+            expect(() => migrateSaveData(data, {})).toThrow('No save migration');
+        });
+
+        it('should throw when a migration does not advance the version', () => {
+            const data = { version: SAVE_VERSION - 1, state: {} };
+            const migrations = { [SAVE_VERSION - 1]: old => old };
+
+            expect(() => migrateSaveData(data, migrations)).toThrow('did not advance');
+        });
+    });
+
+    describe('storage', () => {
+        it('should write and read saves', () => {
+            // Arrange
+            const storage = createMemoryStorage();
+            const data = serializeGameState(createRunState());
+
+            // Act
+            const written = writeSave(data, storage);
+
+            // Assert
+            expect(written).toBe(true);
+            expect(readSave(storage)).toEqual(data);
+            expect(hasSave(storage)).toBe(true);
+        });
+
+        it('should use the default storage key', () => {
+            const storage = createMemoryStorage();
+
+            writeSave({ version: SAVE_VERSION, state: {} }, storage);
+
+            expect(storage.getItem(SAVE_STORAGE_KEY)).not.toBeNull();
+        });
+
+        it('should delete saves', () => {
+            const storage = createMemoryStorage();
+            writeSave({ version: SAVE_VERSION, state: {} }, storage);
+
+            deleteSave(storage);
+
+            expect(hasSave(storage)).toBe(false);
+            expect(readSave(storage)).toBeNull();
+        });
+
+        it('should handle missing storage', () => {
+            expect(writeSave({}, null)).toBe(false);
+            expect(readSave(null)).toBeNull();
+            expect(hasSave(null)).toBe(false);
+            expect(() => deleteSave(null)).not.toThrow();
+        });
+
+        it('should handle storage errors', () => {
+            const storage = {
+                getItem: () => '{not json',
+                setItem: () => { throw new Error('QuotaExceededError'); },
+                removeItem: () => { throw new Error('SecurityError'); }
+            };
+
+            expect(writeSave({}, storage)).toBe(false);
+            expect(readSave(storage)).toBeNull();
+            expect(() => deleteSave(storage)).not.toThrow();
+        });
+
+        it('should default to localStorage', () => {
+            localStorage.clear();
+
+            writeSave({ version: SAVE_VERSION, state: {} });
+
+            expect(hasSave()).toBe(true);
+            deleteSave();
+            expect(hasSave()).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,167 @@
+/**
+ * Unit tests for scrolls
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+    SCROLL_TARGETS,
+    getScrollDefinition,
+    getScrollTarget,
+    rollScroll,
+    canTargetItem,
+    findTeleportDestination,
+    getMagicMapTiles,
+    getBlastArea,
+    canTargetTile,
+    getAimedTile
+} from '../../../src/rogue/scrolls.js';
+import { createScroll, createPotion, createWeapon, createArmor, createEnemy } from '../../../src/rogue/entity-manager.js';
+import { parseGrid } from '../helpers/grid.js';
+
+/**
+ * RNG that returns the given rolls in order, then the last one forever
+ */
+function createSequenceRng(values) {
+    let index = 0;
+    return { next: () => values[Math.min(index++, values.length - 1)] };
+}
+
+const ROOM = parseGrid([
+    '#######',
+    '#.....#',
+    '#.....#',
+    '#.....#',
+    '#######'
+]);
+
+describe('Scrolls', () => {
+    describe('catalogue', () => {
+        it('should say what each scroll needs as a target', () => {
+            // Arrange
+            const fire = createScroll('fire', 'smoky scroll', {});
+
+            // Act
+            const target = getScrollTarget(fire);
+
+            // Assert
+            expect(target).toBe(SCROLL_TARGETS.TILE);
+            expect(getScrollTarget(createScroll('enchant armor', 'torn scroll', {}))).toBe(SCROLL_TARGETS.ITEM);
+            expect(getScrollTarget(createScroll('teleportation', 'crumpled scroll', {}))).toBe(SCROLL_TARGETS.NONE);
+        });
+
+        it('should not ask for targets for anything else', () => {
+            expect(getScrollTarget(createPotion('healing', 'red potion', {}))).toBe(SCROLL_TARGETS.NONE);
+            expect(getScrollTarget(createScroll('unknown', 'odd scroll', {}))).toBe(SCROLL_TARGETS.NONE);
+            expect(getScrollTarget(null)).toBe(SCROLL_TARGETS.NONE);
+        });
+
+        it('should find scrolls by true type', () => {
+            expect(getScrollDefinition('magic mapping').minLevel).toBe(2);
+            expect(getScrollDefinition('unknown')).toBeNull();
+        });
+    });
+
+    describe('rollScroll', () => {
+        it('should only roll scrolls allowed at the depth', () => {
+            // The top roll picks the last scroll allowed
+            expect(rollScroll(createSequenceRng([0.99]), 1)).toBe('scare monster');
+            expect(rollScroll(createSequenceRng([0.99]), 3)).toBe('fire');
+        });
+
+        it('should weight the rolls', () => {
+            // identify takes the first 4 of the 11 weights at depth 1
+            expect(rollScroll(createSequenceRng([0.3]), 1)).toBe('identify');
+            expect(rollScroll(createSequenceRng([0.4]), 1)).toBe('teleportation');
+        });
+    });
+
+    describe('canTargetItem', () => {
+        it('should only enchant the item types the scroll names', () => {
+            const enchantWeapon = getScrollDefinition('enchant weapon');
+
+            expect(canTargetItem(enchantWeapon, createWeapon('Mace', [2, 4]))).toBe(true);
+            expect(canTargetItem(enchantWeapon, createArmor('Chain Mail', 3))).toBe(false);
+            expect(canTargetItem(enchantWeapon, null)).toBe(false);
+        });
+    });
+
+    describe('findTeleportDestination', () => {
+        it('should pick an empty floor tile other than the start', () => {
+            // Arrange
+            const enemies = [createEnemy('RAT', { x: 2, y: 1 })];
+
+            // Act
+            const destination = findTeleportDestination(ROOM, { x: 1, y: 1 }, enemies, createSequenceRng([0]));
+
+            // Assert
+            expect(destination).toEqual({ x: 3, y: 1 });
+        });
+
+        it('should return null when there is nowhere to go', () => {
+            const cell = parseGrid(['###', '#.#', '###']);
+
+            expect(findTeleportDestination(cell, { x: 1, y: 1 }, [], createSequenceRng([0.5]))).toBeNull();
+        });
+    });
+
+    describe('getMagicMapTiles', () => {
+        it('should reveal open tiles and the walls around them', () => {
+            const grid = parseGrid([
+                '#####',
+                '#.###',
+                '#####',
+                '#####'
+            ]);
+
+            const tiles = getMagicMapTiles(grid);
+
+            expect(tiles.size).toBe(9);
+            expect(tiles.has('1,1')).toBe(true);
+            expect(tiles.has('0,0')).toBe(true);
+            expect(tiles.has('1,3')).toBe(false);
+        });
+    });
+
+    describe('getBlastArea', () => {
+        it('should cover the tiles around the centre that walls do not block', () => {
+            const grid = parseGrid([
+                '#####',
+                '#.+.#',
+                '#####'
+            ]);
+
+            const tiles = getBlastArea(grid, { x: 1, y: 1 }, 1);
+
+            expect(tiles).toEqual([{ x: 1, y: 1 }]);
+            expect(getBlastArea(ROOM, { x: 3, y: 2 }, 1)).toHaveLength(9);
+        });
+    });
+
+    describe('canTargetTile', () => {
+        it('should only target visible tiles within range', () => {
+            const state = { player: { position: { x: 1, y: 1 } }, visibleTiles: new Set(['2,1', '5,1']) };
+
+            expect(canTargetTile(state, { x: 2, y: 1 }, 3)).toBe(true);
+            expect(canTargetTile(state, { x: 5, y: 1 }, 3)).toBe(false);
+            expect(canTargetTile(state, { x: 3, y: 1 }, 3)).toBe(false);
+            expect(canTargetTile(state, null, 3)).toBe(false);
+        });
+    });
+
+    describe('getAimedTile', () => {
+        it('should aim at the last open tile before a wall', () => {
+            // Rotation -PI/2 faces +x
+            expect(getAimedTile(ROOM, { x: 1, y: 2 }, -Math.PI / 2, 10)).toEqual({ x: 5, y: 2 });
+            expect(getAimedTile(ROOM, { x: 1, y: 2 }, -Math.PI / 2, 2)).toEqual({ x: 3, y: 2 });
+        });
+
+        it('should stop at the first enemy in the way', () => {
+            const enemies = [createEnemy('RAT', { x: 3, y: 2 })];
+
+            expect(getAimedTile(ROOM, { x: 1, y: 2 }, -Math.PI / 2, 10, enemies)).toEqual({ x: 3, y: 2 });
+        });
+
+        it('should return null when facing a wall', () => {
+            expect(getAimedTile(ROOM, { x: 5, y: 2 }, -Math.PI / 2, 10)).toBeNull();
+        });
+    });
+});
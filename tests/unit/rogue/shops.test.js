@@ -0,0 +1,265 @@
+/**
+ * Unit tests for shops
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+    getBasePrice,
+    getItemPrice,
+    getSellPrice,
+    canSellItem,
+    getPriceHint,
+    isInShop,
+    getShopkeeper,
+    isShopOpen,
+    getBill,
+    clearPriceTag,
+    findFreeShopTile,
+    angerShopkeeper,
+    planShop,
+    getShopView,
+    getShopRows,
+    SHOP_ACTIONS
+} from '../../../src/rogue/shops.js';
+import { Room } from '../../../src/rogue/dungeon-generator.js';
+import { AI_STATES } from '../../../src/rogue/enemy-ai.js';
+import { createInitialState } from '../../../src/rogue/game-state.js';
+import { createEnemy, createPotion, createScroll, createWeapon, createGold } from '../../../src/rogue/entity-manager.js';
+import { createDiscoveries, discoverItem, getAppearance } from '../../../src/rogue/discoveries.js';
+
+/**
+ * Build a state with a 4x4 shop at (2, 2), its shopkeeper at (3, 3) and the
+ * player at (2, 2)
+ */
+function createShopState() {
+    const state = createInitialState(1);
+    const grid = Array.from({ length: 8 }, (_, y) =>
+        Array.from({ length: 8 }, (_, x) => (x === 0 || y === 0 || x === 7 || y === 7 ? 'wall' : 'floor')));
+    const shopkeeper = { ...createEnemy('SHOPKEEPER', { x: 3, y: 3 }), peaceful: true };
+
+    return {
+        ...state,
+        dungeon: {
+            level: 2,
+            grid,
+            rooms: [],
+            shop: { room: { x: 2, y: 2, width: 4, height: 4 }, shopkeeperId: shopkeeper.id, level: 2 }
+        },
+        entities: { enemies: [shopkeeper], items: [] },
+        player: { ...state.player, position: { x: 2, y: 2 } }
+    };
+}
+
+describe('Shops', () => {
+    describe('prices', () => {
+        it('should price weapons and armor by type, enchantment and affix', () => {
+            // Arrange
+            const plain = createWeapon('Sword', [1, 8], {});
+            const enchanted = { ...plain, enchantment: 2 };
+            const affixed = { ...plain, affix: 'flaming' };
+
+            // Act
+            const prices = [plain, enchanted, affixed].map(item => getBasePrice(item));
+
+            // Assert
+            expect(prices).toEqual([40, 100, 90]);
+        });
+
+        it('should price potions and scrolls by their kind', () => {
+            expect(getBasePrice(createPotion('healing', 'red potion', {}))).toBe(100);
+            expect(getBasePrice(createPotion('poison', 'green potion', {}))).toBe(50);
+            expect(getBasePrice(createScroll('identify', 'dusty scroll', {}))).toBe(20);
+        });
+
+        it('should charge more deeper in the dungeon', () => {
+            const potion = createPotion('healing', 'red potion', {});
+
+            expect(getItemPrice(potion, 1)).toBe(100);
+            expect(getItemPrice(potion, 3)).toBe(120);
+        });
+
+        it('should offer half the price for each item in a stack', () => {
+            const potions = { ...createPotion('poison', 'green potion', {}), quantity: 3 };
+
+            expect(getSellPrice(potions, 1)).toBe(75);
+        });
+
+        it('should not buy gold or goods not yet paid for', () => {
+            const potion = createPotion('healing', 'red potion', {});
+
+            expect(canSellItem(potion)).toBe(true);
+            expect(canSellItem({ ...potion, unpaid: true, price: 100 })).toBe(false);
+            expect(canSellItem(createGold(10, {}))).toBe(false);
+            expect(canSellItem(null)).toBe(false);
+        });
+    });
+
+    describe('getPriceHint', () => {
+        it('should list the unknown kinds that share the price', () => {
+            // Arrange
+            const potion = createPotion('healing', 'red potion', {});
+
+            // Act
+            const hint = getPriceHint(potion);
+
+            // Assert
+            expect(hint).toEqual(['healing', 'strength', 'skill']);
+        });
+
+        it('should leave out kinds the player has identified', () => {
+            const discoveries = createDiscoveries(7);
+            const strength = createPotion('strength', getAppearance(discoveries, 'potion', 'strength'), {});
+            const potion = createPotion('healing', getAppearance(discoveries, 'potion', 'healing'), {});
+
+            const hint = getPriceHint(potion, discoverItem(discoveries, strength));
+
+            expect(hint).toEqual(['healing', 'skill']);
+        });
+
+        it('should tell nothing about identified items or other goods', () => {
+            expect(getPriceHint({ ...createPotion('healing', 'red potion', {}), identified: true })).toBeNull();
+            expect(getPriceHint(createWeapon('Sword', [1, 8], {}))).toBeNull();
+        });
+    });
+
+    describe('shop state', () => {
+        it('should tell whether a position is inside the shop', () => {
+            const { shop } = createShopState().dungeon;
+
+            expect(isInShop(shop, { x: 2, y: 2 })).toBe(true);
+            expect(isInShop(shop, { x: 5, y: 5 })).toBe(true);
+            expect(isInShop(shop, { x: 6, y: 2 })).toBe(false);
+            expect(isInShop(null, { x: 2, y: 2 })).toBe(false);
+        });
+
+        it('should only be open with a living, peaceful shopkeeper and the player inside', () => {
+            const state = createShopState();
+            const outside = { ...state, player: { ...state.player, position: { x: 1, y: 1 } } };
+            const angry = {
+                ...state,
+                entities: { ...state.entities, enemies: [angerShopkeeper(state.entities.enemies[0], { x: 2, y: 2 })] }
+            };
+            const dead = {
+                ...state,
+                entities: { ...state.entities, enemies: [{ ...state.entities.enemies[0], isAlive: false }] }
+            };
+
+            expect(isShopOpen(state)).toBe(true);
+            expect(isShopOpen(outside)).toBe(false);
+            expect(isShopOpen(angry)).toBe(false);
+            expect(isShopOpen(dead)).toBe(false);
+            expect(getShopkeeper(dead)).toBeNull();
+        });
+
+        it('should bill the unpaid goods in the inventory by the stack', () => {
+            const state = createShopState();
+            state.inventory[0] = createWeapon('Sword', [1, 8], {});
+            state.inventory[2] = { ...createPotion('poison', 'green potion', {}), quantity: 2, price: 55, unpaid: true };
+
+            const bill = getBill(state.inventory);
+
+            expect(bill).toHaveLength(1);
+            expect(bill[0].slot).toBe(2);
+            expect(bill[0].price).toBe(110);
+            expect(clearPriceTag(bill[0].item)).not.toHaveProperty('unpaid');
+            expect(clearPriceTag(bill[0].item)).not.toHaveProperty('price');
+        });
+
+        it('should find floor tiles in the shop free of goods and the shopkeeper', () => {
+            const state = createShopState();
+            state.entities.items = [{ ...createPotion('healing', 'red potion', {}), position: { x: 2, y: 2 }, price: 110 }];
+
+            expect(findFreeShopTile(state)).toEqual({ x: 3, y: 2 });
+        });
+
+        it('should send an angry shopkeeper hunting the player', () => {
+            const shopkeeper = createShopState().entities.enemies[0];
+
+            const angry = angerShopkeeper(shopkeeper, { x: 6, y: 6 });
+
+            expect(angry.peaceful).toBe(false);
+            expect(angry.ai.state).toBe(AI_STATES.HUNT);
+            expect(angry.ai.lastKnownPlayer).toEqual({ x: 6, y: 6 });
+            expect(shopkeeper.peaceful).toBe(true);
+        });
+    });
+
+    describe('planShop', () => {
+        const grid = Array.from({ length: 12 }, () => Array(30).fill('floor'));
+        const rooms = [new Room(1, 1, 4, 4), new Room(10, 1, 6, 5), new Room(20, 1, 4, 4)];
+
+        it('should lay out a shop in a middle room with stock around the shopkeeper', () => {
+            // Arrange & Act
+            const plan = planShop({ grid, rooms }, 2, 2);
+
+            // Assert
+            expect(plan.room).toEqual({ x: 10, y: 1, width: 6, height: 5 });
+            expect(plan.shopkeeper).toEqual({ x: 13, y: 3 });
+            expect(plan.stock.length).toBeGreaterThanOrEqual(4);
+            expect(plan.stock.every(({ position }) => isInShop(plan, position))).toBe(true);
+            expect(plan.stock.some(({ position }) => position.x === 13 && position.y === 3)).toBe(false);
+            expect(new Set(plan.stock.map(({ position }) => `${position.x},${position.y}`)).size).toBe(plan.stock.length);
+        });
+
+        it('should plan the same shop for the same seed', () => {
+            expect(planShop({ grid, rooms }, 11, 2)).toEqual(planShop({ grid, rooms }, 11, 2));
+        });
+
+        it('should not open shops on the first level or when the roll fails', () => {
+            expect(planShop({ grid, rooms }, 2, 1)).toBeNull();
+            expect(planShop({ grid, rooms }, 1, 2)).toBeNull();
+        });
+
+        it('should not cover reserved positions', () => {
+            expect(planShop({ grid, rooms }, 2, 2, [{ x: 12, y: 2 }])).toBeNull();
+        });
+    });
+
+    describe('getShopView', () => {
+        it('should list the bill, the goods on sale and the offers', () => {
+            // Arrange
+            const state = createShopState();
+            state.player.gold = 30;
+            state.inventory[0] = createWeapon('Sword', [1, 8], {});
+            state.inventory[1] = { ...createScroll('identify', 'dusty scroll', {}), price: 22, unpaid: true };
+            const goods = { ...createPotion('healing', 'red potion', {}), position: { x: 4, y: 4 }, price: 110 };
+            const stray = { ...createPotion('healing', 'red potion', {}), position: { x: 6, y: 6 }, price: 110 };
+            state.entities.items = [goods, stray];
+
+            // Act
+            const view = getShopView(state);
+
+            // Assert
+            expect(view.gold).toBe(30);
+            expect(view.bill).toEqual([{ slot: 1, name: 'dusty scroll', quantity: 1, price: 22 }]);
+            expect(view.stock).toEqual([{ id: goods.id, name: 'red potion', quantity: 1, price: 110, hint: ['healing', 'strength', 'skill'] }]);
+            expect(view.offers).toEqual([{ slot: 0, name: 'Sword', quantity: 1, price: 22, hint: null }]);
+        });
+
+        it('should flatten the view into rows to pay, buy and sell', () => {
+            const view = {
+                gold: 0,
+                bill: [{ slot: 1, name: 'dusty scroll', quantity: 1, price: 22 }],
+                stock: [{ id: 'potion_1', name: 'red potion', quantity: 3, price: 330, hint: ['healing'] }],
+                offers: [{ slot: 0, name: 'Sword', quantity: 1, price: 22, hint: null }]
+            };
+
+            const rows = getShopRows(view);
+
+            expect(rows).toEqual([
+                { action: SHOP_ACTIONS.PAY, target: { slot: 1 }, name: 'dusty scroll', quantity: 1, price: 22, hint: null },
+                { action: SHOP_ACTIONS.BUY, target: { itemId: 'potion_1' }, name: 'red potion', quantity: 3, price: 330, hint: ['healing'] },
+                { action: SHOP_ACTIONS.SELL, target: { slot: 0 }, name: 'Sword', quantity: 1, price: 22, hint: null }
+            ]);
+        });
+
+        it('should price goods on sale by the whole stack', () => {
+            const state = createShopState();
+            const potions = { ...createPotion('healing', 'red potion', {}), quantity: 4, position: { x: 4, y: 4 }, price: 110 };
+            state.entities.items = [potions];
+
+            const [stock] = getShopView(state).stock;
+
+            expect(stock).toMatchObject({ quantity: 4, price: 440 });
+        });
+    });
+});
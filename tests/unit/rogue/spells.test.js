@@ -0,0 +1,148 @@
+/**
+ * Unit tests for spells
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+    SPELL_TARGETS,
+    getSpellDefinition,
+    rollSpellbook,
+    knowsSpell,
+    learnSpell,
+    getCastProblem,
+    findBlinkDestination,
+    getSpellMenu
+} from '../../../src/rogue/spells.js';
+import { SPELL_TYPES } from '../../../src/rogue/constants.js';
+import { createEnemy } from '../../../src/rogue/entity-manager.js';
+import { createRunRandom } from '../../../src/rogue/rng.js';
+import { parseGrid } from '../helpers/grid.js';
+
+describe('Spells', () => {
+    describe('getSpellDefinition', () => {
+        it('should look spells up in the catalogue', () => {
+            // Arrange & Act
+            const definition = getSpellDefinition('magic missile');
+
+            // Assert
+            expect(definition.target).toBe(SPELL_TARGETS.TILE);
+            expect(definition.cost).toBe(3);
+        });
+
+        it('should return null for unknown spells', () => {
+            expect(getSpellDefinition('fireball')).toBeNull();
+        });
+    });
+
+    describe('rollSpellbook', () => {
+        it('should only teach spells found on the level or above', () => {
+            // Arrange
+            const rng = createRunRandom(7);
+
+            // Act
+            const spells = Array.from({ length: 50 }, () => rollSpellbook(rng, 1));
+
+            // Assert
+            const shallow = SPELL_TYPES.filter(spell => spell.minLevel <= 1).map(spell => spell.spell);
+            expect(spells.every(spell => shallow.includes(spell))).toBe(true);
+        });
+
+        it('should roll the same books for the same seed', () => {
+            const first = createRunRandom(3);
+            const second = createRunRandom(3);
+
+            expect(rollSpellbook(first, 5)).toBe(rollSpellbook(second, 5));
+        });
+    });
+
+    describe('learning spells', () => {
+        it('should add a spell to the ones the player knows', () => {
+            // Arrange
+            const player = { spells: ['heal'] };
+
+            // Act
+            const learned = learnSpell(player, 'blink');
+
+            // Assert
+            expect(learned.spells).toEqual(['heal', 'blink']);
+            expect(knowsSpell(learned, 'blink')).toBe(true);
+            expect(knowsSpell(player, 'blink')).toBe(false);
+        });
+
+        it('should not learn a spell twice', () => {
+            const player = { spells: ['heal'] };
+
+            expect(learnSpell(player, 'heal')).toBe(player);
+        });
+    });
+
+    describe('getCastProblem', () => {
+        it('should allow known spells the player has the mana for', () => {
+            // Arrange
+            const player = { mana: 3, spells: ['magic missile'] };
+
+            // Act
+            const problem = getCastProblem(player, 'magic missile');
+
+            // Assert
+            expect(problem).toBeNull();
+        });
+
+        it('should refuse unknown spells and spells the player cannot afford', () => {
+            const player = { mana: 4, spells: ['heal'] };
+
+            expect(getCastProblem(player, 'blink')).toBe("You don't know that spell");
+            expect(getCastProblem(player, 'fireball')).toBe("You don't know that spell");
+            expect(getCastProblem(player, 'heal')).toBe('You need 5 mana to cast heal');
+        });
+    });
+
+    describe('findBlinkDestination', () => {
+        const grid = parseGrid([
+            '#######',
+            '#.....#',
+            '#######'
+        ]);
+
+        it('should land on the furthest open tile in range', () => {
+            // Arrange & Act
+            const destination = findBlinkDestination(grid, { x: 1, y: 1 }, { x: 5, y: 1 }, 3);
+
+            // Assert
+            expect(destination).toEqual({ x: 4, y: 1 });
+        });
+
+        it('should stop short of walls and enemies', () => {
+            const goblin = createEnemy('GOBLIN', { x: 4, y: 1 });
+
+            expect(findBlinkDestination(grid, { x: 1, y: 1 }, { x: 9, y: 1 }, 9)).toEqual({ x: 5, y: 1 });
+            expect(findBlinkDestination(grid, { x: 1, y: 1 }, { x: 5, y: 1 }, 4, [goblin])).toEqual({ x: 3, y: 1 });
+        });
+
+        it('should find no room when the way is blocked', () => {
+            const goblin = createEnemy('GOBLIN', { x: 2, y: 1 });
+
+            expect(findBlinkDestination(grid, { x: 1, y: 1 }, { x: 1, y: 0 }, 4)).toBeNull();
+            expect(findBlinkDestination(grid, { x: 1, y: 1 }, { x: 5, y: 1 }, 4, [goblin])).toBeNull();
+        });
+    });
+
+    describe('getSpellMenu', () => {
+        it('should list known spells in the order learned with what they cost', () => {
+            // Arrange
+            const player = { mana: 5, spells: ['blink', 'heal'] };
+
+            // Act
+            const rows = getSpellMenu(player);
+
+            // Assert
+            expect(rows).toEqual([
+                { spell: 'blink', cost: 6, target: SPELL_TARGETS.TILE, castable: false },
+                { spell: 'heal', cost: 5, target: SPELL_TARGETS.NONE, castable: true }
+            ]);
+        });
+
+        it('should be empty for a player who knows no spells', () => {
+            expect(getSpellMenu({ mana: 10, spells: [] })).toEqual([]);
+        });
+    });
+});
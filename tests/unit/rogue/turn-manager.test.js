@@ -15,6 +15,7 @@ import {
 } from '../../../src/rogue/turn-manager.js';
 import { createInitialState } from '../../../src/rogue/game-state.js';
 import { createStatusEffect, STATUS_TYPES } from '../../../src/rogue/status-effects.js';
+import { ENCUMBRANCE_LEVELS } from '../../../src/rogue/constants.js';
 
 describe('Turn Manager', () => {
     describe('createActionQueue', () => {
@@ -164,6 +165,28 @@ describe('Turn Manager', () => {
             expect(newState.player.hunger).toBe(999);
             expect(newState.accumulatedMovement).toBe(0);
         });
+
+        it('should burn hunger faster under a heavy load', () => {
+            const state = createInitialState();
+            state.inventory[0] = { id: 'armor_1', type: 'armor', name: 'Plate Mail', weight: 450 };
+            state.inventory[1] = { id: 'armor_2', type: 'armor', name: 'Plate Mail', weight: 450 };
+            
+            const newState = advanceTurn(state);
+            
+            // 900 of 500 capacity is stressed
+            expect(newState.player.hunger).toBe(997);
+        });
+
+        it('should regenerate mana every few turns', () => {
+            const state = { ...createInitialState(), turnCount: 1 };
+            state.player = { ...state.player, mana: 4 };
+            
+            const quiet = advanceTurn(state);
+            const regenerated = advanceTurn(quiet);
+            
+            expect(quiet.player.mana).toBe(4);
+            expect(regenerated.player.mana).toBe(5);
+        });
     });
 
     describe('checkTurnAdvancement', () => {
@@ -185,6 +208,15 @@ describe('Turn Manager', () => {
             
             expect(result).toBe(false);
         });
+
+        it('should advance sooner when burdened', () => {
+            const state = { ...createInitialState(), accumulatedMovement: 1.6 };
+            state.inventory[0] = { id: 'armor_1', type: 'armor', name: 'Plate Mail', weight: 600 };
+            
+            const result = checkTurnAdvancement(state);
+            
+            expect(result).toBe(true);
+        });
     });
 
     describe('executePlayerAction', () => {
@@ -270,6 +302,14 @@ describe('Turn Manager', () => {
             // Assert
             expect(threshold).toBe(6);
         });
+
+        it('should shorten the threshold by the encumbrance level', () => {
+            const [burdened, stressed] = ENCUMBRANCE_LEVELS;
+            const speedEffect = createStatusEffect(STATUS_TYPES.SPEED, 5);
+            
+            expect(getEffectiveMovementThreshold([], 2, burdened)).toBe(1.5);
+            expect(getEffectiveMovementThreshold([speedEffect], 2, stressed)).toBe(2);
+        });
     });
 
     describe('checkTurnAdvancement with speed effect', () => {
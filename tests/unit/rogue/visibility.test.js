@@ -5,13 +5,17 @@ import { describe, it, expect } from '@jest/globals';
 import {
     computeVisibleTiles,
     updateExploredTiles,
+    updateRememberedItems,
     isTileVisible,
     isTileExplored,
     getTileVisibilityState,
     filterVisibleEntities,
-    getEffectiveVisibilityRadius
+    getEffectiveVisibilityRadius,
+    isOpaqueTile,
+    hasLineOfSight
 } from '../../../src/rogue/visibility.js';
 import { createStatusEffect, STATUS_TYPES } from '../../../src/rogue/status-effects.js';
+import { parseGrid } from '../helpers/grid.js';
 
 describe('Visibility System', () => {
     describe('computeVisibleTiles', () => {
@@ -69,6 +73,149 @@ describe('Visibility System', () => {
         });
     });
 
+    describe('line of sight', () => {
+        it('should see down a corridor but not into the one beside it', () => {
+            // Arrange
+            const grid = parseGrid([
+                '###########',
+                '#.........#',
+                '###########',
+                '#.........#',
+                '###########'
+            ]);
+
+            // Act
+            const visible = computeVisibleTiles(grid, { x: 1, y: 1 }, 40);
+
+            // Assert
+            expect(visible.has('9,1')).toBe(true);
+            expect(visible.has('5,0')).toBe(true);
+            expect(visible.has('5,2')).toBe(true);
+            expect(visible.has('1,3')).toBe(false);
+            expect(visible.has('5,3')).toBe(false);
+        });
+
+        it('should cast a shadow behind a pillar', () => {
+            const grid = parseGrid([
+                '###########',
+                '#.........#',
+                '#.........#',
+                '#....#....#',
+                '#.........#',
+                '#.........#',
+                '###########'
+            ]);
+
+            const visible = computeVisibleTiles(grid, { x: 5, y: 5 }, 40);
+
+            expect(visible.has('5,3')).toBe(true);
+            expect(visible.has('5,2')).toBe(false);
+            expect(visible.has('5,1')).toBe(false);
+            expect(visible.has('3,1')).toBe(true);
+            expect(visible.has('7,1')).toBe(true);
+        });
+
+        it('should see the whole room from a corner but nothing past its walls', () => {
+            const grid = parseGrid([
+                '#############',
+                '#.....#.....#',
+                '#.....#.....#',
+                '#.....#.....#',
+                '#############'
+            ]);
+
+            const visible = computeVisibleTiles(grid, { x: 1, y: 1 }, 40);
+
+            for (let y = 0; y <= 4; y++) {
+                for (let x = 0; x <= 6; x++) {
+                    expect(visible.has(`${x},${y}`)).toBe(true);
+                }
+            }
+            expect(visible.has('7,1')).toBe(false);
+            expect(visible.has('11,3')).toBe(false);
+        });
+
+        it('should be blocked by closed doors but not open ones', () => {
+            const closed = parseGrid([
+                '#######',
+                '#..+..#',
+                '#######'
+            ]);
+            const open = parseGrid([
+                '#######',
+                '#../..#',
+                '#######'
+            ]);
+
+            const behindClosed = computeVisibleTiles(closed, { x: 1, y: 1 }, 40);
+            const behindOpen = computeVisibleTiles(open, { x: 1, y: 1 }, 40);
+
+            expect(behindClosed.has('3,1')).toBe(true);
+            expect(behindClosed.has('4,1')).toBe(false);
+            expect(behindOpen.has('5,1')).toBe(true);
+        });
+
+        it('should extend along a corridor with the sight potion radius', () => {
+            const grid = parseGrid([
+                '##############',
+                '#............#',
+                '##############'
+            ]);
+            const sight = [createStatusEffect(STATUS_TYPES.SIGHT, 10, 10)];
+
+            const normal = computeVisibleTiles(grid, { x: 1, y: 1 }, getEffectiveVisibilityRadius([]));
+            const boosted = computeVisibleTiles(grid, { x: 1, y: 1 }, getEffectiveVisibilityRadius(sight));
+
+            expect(normal.has('3,1')).toBe(true);
+            expect(normal.has('5,1')).toBe(false);
+            expect(boosted.has('8,1')).toBe(true);
+        });
+
+        it('should see nothing from outside the grid', () => {
+            const grid = parseGrid(['...']);
+
+            expect(computeVisibleTiles(grid, { x: 5, y: 5 }, 10).size).toBe(0);
+        });
+    });
+
+    describe('hasLineOfSight', () => {
+        const grid = [
+            ['floor', 'floor', 'floor', 'floor', 'floor'],
+            ['floor', 'floor', 'wall', 'floor', 'floor'],
+            ['floor', 'floor', 'floor', 'floor', 'floor']
+        ];
+
+        it('should see along open lines', () => {
+            expect(hasLineOfSight(grid, { x: 0, y: 0 }, { x: 4, y: 0 })).toBe(true);
+            expect(hasLineOfSight(grid, { x: 0, y: 2 }, { x: 4, y: 2 })).toBe(true);
+            expect(hasLineOfSight(grid, { x: 3, y: 0 }, { x: 4, y: 2 })).toBe(true);
+        });
+
+        it('should be blocked by opaque tiles in between', () => {
+            expect(hasLineOfSight(grid, { x: 0, y: 1 }, { x: 4, y: 1 })).toBe(false);
+            expect(hasLineOfSight(grid, { x: 0, y: 2 }, { x: 4, y: 0 })).toBe(false);
+        });
+
+        it('should not be blocked by the end tiles themselves', () => {
+            expect(hasLineOfSight(grid, { x: 0, y: 1 }, { x: 2, y: 1 })).toBe(true);
+        });
+
+        it('should be symmetric', () => {
+            expect(hasLineOfSight(grid, { x: 4, y: 1 }, { x: 0, y: 1 })).toBe(false);
+            expect(hasLineOfSight(grid, { x: 4, y: 2 }, { x: 3, y: 0 })).toBe(true);
+        });
+    });
+
+    describe('isOpaqueTile', () => {
+        it('should block sight for walls and closed doors only', () => {
+            expect(isOpaqueTile('wall')).toBe(true);
+            expect(isOpaqueTile('door_closed')).toBe(true);
+            expect(isOpaqueTile('door')).toBe(false);
+            expect(isOpaqueTile('floor')).toBe(false);
+            expect(isOpaqueTile('stairs_down')).toBe(false);
+        });
+    });
+
     describe('updateExploredTiles', () => {
         it('should add visible tiles to explored set', () => {
             // Arrange
@@ -104,6 +251,22 @@ describe('Visibility System', () => {
         });
     });
 
+    describe('updateRememberedItems', () => {
+        it('should remember items in view and forget items gone from view', () => {
+            // Arrange
+            const remembered = new Set(['1,1', '5,5']);
+            const visibleTiles = new Set(['1,1', '2,2']);
+            const items = [{ position: { x: 2, y: 2 } }, { position: { x: 7, y: 7 } }];
+
+            // Act
+            const updated = updateRememberedItems(remembered, visibleTiles, items);
+
+            // Assert
+            expect([...updated].sort()).toEqual(['2,2', '5,5']);
+            expect([...remembered]).toEqual(['1,1', '5,5']);
+        });
+    });
+
     describe('isTileVisible', () => {
         it('should return true for visible tile', () => {
             // Arrange
@@ -0,0 +1,296 @@
+/**
+ * Unit tests for the VR panels
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+    fitText,
+    wrapText,
+    layoutWristPanel,
+    layoutInventoryTablet,
+    uvToPanelPoint,
+    getSlotAtPoint,
+    getItemTooltip,
+    layoutTooltip,
+    layoutMessageLog,
+    drawPanel
+} from '../../../src/rogue/vr-ui.js';
+import { VR_PANELS, VR_PANEL_TEXT } from '../../../src/rogue/constants.js';
+import {
+    createWeapon,
+    createLauncher,
+    createRing,
+    createPotion,
+    createFood
+} from '../../../src/rogue/entity-manager.js';
+import { createInventory, getInventoryDisplay, addItemToInventory } from '../../../src/rogue/inventory.js';
+
+/**
+ * Fixed-width text measurer: every character is 10 pixels wide
+ */
+const measure = text => text.length * 10;
+
+/**
+ * Stats for a player part way through a run
+ */
+const STATS = {
+    hp: 15,
+    maxHp: 20,
+    mana: 3,
+    maxMana: 12,
+    hunger: 400,
+    maxHunger: 1000,
+    level: 3,
+    depth: 2,
+    turn: 120,
+    gold: 45,
+    encumbrance: null
+};
+
+/**
+ * Get the text runs of a layout
+ */
+function texts(elements) {
+    return elements.filter(element => element.type === 'text').map(element => element.text);
+}
+
+describe('VR UI', () => {
+    describe('fitText', () => {
+        it('should shorten text that is too wide, ending it with an ellipsis', () => {
+            // Arrange & Act
+            const fitted = fitText('Long Sword of Flame', 100, measure);
+
+            // Assert
+            expect(fitted).toBe('Long Swor…');
+            expect(measure(fitted)).toBeLessThanOrEqual(100);
+        });
+
+        it('should leave text that fits alone', () => {
+            expect(fitText('Dagger', 100, measure)).toBe('Dagger');
+        });
+    });
+
+    describe('wrapText', () => {
+        it('should break lines between words', () => {
+            // Arrange & Act
+            const lines = wrapText('You hit the goblin for 4 damage', 120, measure);
+
+            // Assert
+            expect(lines).toEqual(['You hit the', 'goblin for 4', 'damage']);
+        });
+
+        it('should shorten a word too long for a line', () => {
+            expect(wrapText('a supercalifragilistic word', 100, measure)).toEqual(['a', 'supercali…', 'word']);
+        });
+    });
+
+    describe('layoutWristPanel', () => {
+        it('should fill each bar to its share of the maximum', () => {
+            // Arrange
+            const panel = VR_PANELS.wrist;
+
+            // Act
+            const elements = layoutWristPanel(STATS);
+
+            // Assert
+            const bars = elements.filter(element => element.type === 'rect');
+            const full = bars[0].width;
+            expect(bars).toHaveLength(6);
+            expect(bars[0].x + full).toBe(panel.width - VR_PANEL_TEXT.padding);
+            expect(bars[1].width).toBe(Math.round(full * 0.75));
+            expect(bars[3].width).toBe(Math.round(full * 0.25));
+            expect(bars[5].width).toBe(Math.round(full * 0.4));
+            expect(texts(elements)).toEqual(['HP 15/20', 'MP 3/12', 'Food 400', 'Level 3  Depth 2', 'Turn 120  Gold 45']);
+        });
+
+        it('should leave out mana for a player without any and show encumbrance', () => {
+            const elements = layoutWristPanel({ ...STATS, mana: 0, maxMana: 0, encumbrance: 'Burdened' });
+
+            expect(texts(elements)).toEqual(['HP 15/20', 'Food 400', 'Level 3  Depth 2', 'Turn 120  Gold 45', 'Burdened']);
+            expect(elements[elements.length - 1].color).toBe('#ffff00');
+        });
+
+        it('should keep the bars within the panel past the maximum', () => {
+            const bars = layoutWristPanel({ ...STATS, hp: 25, hunger: -10 }).filter(element => element.type === 'rect');
+
+            expect(bars[1].width).toBe(bars[0].width);
+            expect(bars[5].width).toBe(0);
+        });
+    });
+
+    describe('layoutInventoryTablet', () => {
+        it('should lay the slots out down each column in letter order', () => {
+            // Arrange
+            const inventory = addItemToInventory(createInventory(), createWeapon('Dagger', [1, 4])).inventory;
+            const view = { title: 'Inventory', items: getInventoryDisplay(inventory), selected: -1, pointed: -1 };
+
+            // Act
+            const { elements, slots } = layoutInventoryTablet(view, measure);
+
+            // Assert
+            expect(slots).toHaveLength(26);
+            expect(slots[1].x).toBe(slots[0].x);
+            expect(slots[1].y).toBeGreaterThan(slots[0].y);
+            expect(slots[13].x).toBeGreaterThan(slots[12].x);
+            expect(slots[13].y).toBe(slots[0].y);
+            expect(slots[25].y + slots[25].height).toBeLessThanOrEqual(VR_PANELS.tablet.height);
+            expect(texts(elements).slice(0, 3)).toEqual(['Inventory', 'a) Dagger', 'b) empty']);
+        });
+
+        it('should highlight the selected slot and outline the one pointed at', () => {
+            const view = { title: 'Inventory', items: getInventoryDisplay(createInventory()), selected: 2, pointed: 5 };
+
+            const { elements, slots } = layoutInventoryTablet(view, measure);
+
+            expect(elements).toContainEqual({ type: 'rect', ...slots[2], color: '#225522' });
+            expect(elements).toContainEqual({ type: 'outline', ...slots[5], color: '#ffffff' });
+            expect(elements.filter(element => element.type !== 'text')).toHaveLength(2);
+        });
+    });
+
+    describe('uvToPanelPoint and getSlotAtPoint', () => {
+        it('should find the slot a laser pointer hits', () => {
+            // Arrange
+            const view = { title: 'Inventory', items: getInventoryDisplay(createInventory()), selected: -1, pointed: -1 };
+            const { slots } = layoutInventoryTablet(view, measure);
+            const panel = VR_PANELS.tablet;
+            const slot = slots[14];
+            const uv = { x: (slot.x + slot.width / 2) / panel.width, y: 1 - (slot.y + slot.height / 2) / panel.height };
+
+            // Act
+            const index = getSlotAtPoint(slots, uvToPanelPoint(uv, panel));
+
+            // Assert
+            expect(index).toBe(14);
+        });
+
+        it('should find no slot on the title or between the columns', () => {
+            const view = { title: 'Inventory', items: getInventoryDisplay(createInventory()), selected: -1, pointed: -1 };
+            const { slots } = layoutInventoryTablet(view, measure);
+
+            expect(getSlotAtPoint(slots, { x: 20, y: 5 })).toBe(-1);
+            expect(getSlotAtPoint(slots, { x: slots[0].x + slots[0].width + 1, y: slots[0].y + 1 })).toBe(-1);
+        });
+    });
+
+    describe('getItemTooltip', () => {
+        it('should describe an identified weapon', () => {
+            // Arrange
+            const sword = { ...createWeapon('Long Sword', [1, 8], 1), enchantment: 2 };
+
+            // Act
+            const lines = getItemTooltip(sword);
+
+            // Assert
+            expect(lines.map(line => line.text)).toEqual([
+                '+2 Long Sword',
+                'Damage 1d8+1',
+                'Hit +2  Dmg +2',
+                `Weight ${sword.weight}`
+            ]);
+        });
+
+        it('should describe launchers, rings, food and curses', () => {
+            const bow = createLauncher('Short Bow', [1, 2], 0, 'arrow', 8);
+            const ring = { ...createRing('Ring of Protection', { ac: 2 }), cursed: true };
+            const food = { ...createFood('Ration', 300), quantity: 2 };
+
+            expect(getItemTooltip(bow).map(line => line.text)).toContain('Fires arrow, range 8');
+            expect(getItemTooltip(ring).map(line => line.text)).toEqual(expect.arrayContaining(['AC +2', 'Cursed']));
+            expect(getItemTooltip(food).map(line => line.text).slice(0, 2)).toEqual(['Ration x2', 'Restores 300 food']);
+        });
+
+        it('should give nothing for unidentified items or empty slots', () => {
+            expect(getItemTooltip(createPotion('healing', 'bubbling', { heal: 10 }))).toBeNull();
+            expect(getItemTooltip({ ...createWeapon('Mace', [2, 6]), identified: false })).toBeNull();
+            expect(getItemTooltip(null)).toBeNull();
+        });
+    });
+
+    describe('layoutTooltip', () => {
+        it('should wrap lines to the panel and keep their colors', () => {
+            // Arrange
+            const panel = { width: 144, height: 384 };
+            const lines = [{ text: 'Ring of Protection', color: '#ffd700' }, { text: 'Cursed', color: '#ff0000' }];
+
+            // Act
+            const elements = layoutTooltip(lines, measure, panel);
+
+            // Assert
+            expect(elements.map(element => [element.text, element.color])).toEqual([
+                ['Ring of', '#ffd700'],
+                ['Protection', '#ffd700'],
+                ['Cursed', '#ff0000']
+            ]);
+            expect(elements[2].y).toBe(VR_PANEL_TEXT.padding + 2 * VR_PANEL_TEXT.lineHeight);
+        });
+    });
+
+    describe('layoutMessageLog', () => {
+        it('should show the latest messages with the newest at the bottom', () => {
+            // Arrange
+            const panel = { width: 1024, height: 3 * VR_PANEL_TEXT.lineHeight + 2 * VR_PANEL_TEXT.padding };
+            const messages = ['one', 'two', 'three', 'four'];
+
+            // Act
+            const elements = layoutMessageLog(messages, measure, panel);
+
+            // Assert
+            expect(texts(elements)).toEqual(['two', 'three', 'four']);
+            expect(elements.map(element => element.color)).toEqual(['#aaaaaa', '#aaaaaa', '#ffffff']);
+        });
+
+        it('should wrap long messages, pushing older lines off the top', () => {
+            const panel = { width: 124, height: 2 * VR_PANEL_TEXT.lineHeight + 2 * VR_PANEL_TEXT.padding };
+
+            const elements = layoutMessageLog(['old news', 'the goblin dies'], measure, panel);
+
+            expect(texts(elements)).toEqual(['the goblin', 'dies']);
+        });
+    });
+
+    describe('drawPanel', () => {
+        it('should paint the background and then each element', () => {
+            // Arrange
+            const calls = [];
+            const ctx = {
+                fillRect: (...args) => calls.push(['fillRect', ctx.fillStyle, ...args]),
+                strokeRect: (...args) => calls.push(['strokeRect', ctx.strokeStyle, ...args]),
+                fillText: (...args) => calls.push(['fillText', ctx.fillStyle, ...args])
+            };
+            const elements = [
+                { type: 'rect', x: 1, y: 2, width: 3, height: 4, color: '#ff0000' },
+                { type: 'outline', x: 5, y: 6, width: 7, height: 8, color: '#ffffff' },
+                { type: 'text', x: 9, y: 10, text: 'a) Dagger', color: '#00ff00' }
+            ];
+
+            // Act
+            drawPanel(ctx, elements, { width: 64, height: 32 });
+
+            // Assert
+            expect(calls).toEqual([
+                ['fillRect', '#000000', 0, 0, 64, 32],
+                ['fillRect', '#ff0000', 1, 2, 3, 4],
+                ['strokeRect', '#ffffff', 5, 6, 7, 8],
+                ['fillText', '#00ff00', 'a) Dagger', 9, 10]
+            ]);
+            expect(ctx.font).toBe(VR_PANEL_TEXT.font);
+        });
+
+        it('should draw the wrist panel onto a real canvas', () => {
+            const panel = VR_PANELS.wrist;
+            const canvas = document.createElement('canvas');
+            canvas.width = panel.width;
+            canvas.height = panel.height;
+            const ctx = canvas.getContext('2d');
+
+            drawPanel(ctx, layoutWristPanel(STATS), panel);
+
+            // The HP bar is green where it is filled and grey past that
+            const bar = layoutWristPanel(STATS).filter(element => element.type === 'rect')[1];
+            const filled = ctx.getImageData(bar.x + 2, bar.y + 2, 1, 1).data;
+            const empty = ctx.getImageData(bar.x + bar.width + 4, bar.y + 2, 1, 1).data;
+            expect(Array.from(filled)).toEqual([0, 255, 0, 255]);
+            expect(Array.from(empty)).toEqual([51, 51, 51, 255]);
+        });
+    });
+});